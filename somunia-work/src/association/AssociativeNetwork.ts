@@ -236,6 +236,17 @@ export class AssociativeNetwork {
     return this.getNodeByLabel(label) || this.addNode(type, label, emotionalColor, meta);
   }
 
+  /** ラベル名でノードとそのエッジを消す（初期ノードは消さない） */
+  removeNode(label: string): boolean {
+    const node = this.getNodeByLabel(label);
+    if (!node || node.meta.isSelf || node.meta.isHome) return false;
+    this.nodes.delete(node.id);
+    this.labelToId.delete(node.label);
+    this.edges = this.edges.filter(e => e.fromId !== node.id && e.toId !== node.id);
+    this.rebuildEdgeIndex();
+    return true;
+  }
+
   // ============================================================
   // エッジ操作
   // ============================================================
@@ -15,6 +15,8 @@
  * - パターンカバレッジが閾値を超える
  * - パターンの平均満足度が閾値を超える  
  * - LLMバイパス成功率が閾値を超える
+ * - 最近の返事の品質（ResponseEvaluator の採点の総合点）が閾値を超える
+ *   採点していないとき（qualityGate: false）は、この条件は見ない
  * 
  * 安全機構:
  * - 品質低下を検知したら即座に前のレベルに戻す
@@ -52,6 +54,8 @@ interface LevelTransitionCondition {
   minBypassSuccessRate: Normalized;
   /** 前レベルでの最低滞在tick数 */
   minTicksAtPreviousLevel: number;
+  /** 必要な最近の返事の平均品質 */
+  minAvgQuality: Normalized;
 }
 
 const TRANSITION_CONDITIONS: Record<AutonomyLevel, LevelTransitionCondition | null> = {
@@ -62,6 +66,7 @@ const TRANSITION_CONDITIONS: Record<AutonomyLevel, LevelTransitionCondition | nu
     minPatternCount: 20,
     minBypassSuccessRate: 0,
     minTicksAtPreviousLevel: 100,
+    minAvgQuality: 0,
   },
   hybrid: {
     minCoverage: 0.4,
@@ -69,6 +74,7 @@ const TRANSITION_CONDITIONS: Record<AutonomyLevel, LevelTransitionCondition | nu
     minPatternCount: 80,
     minBypassSuccessRate: 0.6,
     minTicksAtPreviousLevel: 500,
+    minAvgQuality: 0.55,
   },
   pattern_primary: {
     minCoverage: 0.6,
@@ -76,6 +82,7 @@ const TRANSITION_CONDITIONS: Record<AutonomyLevel, LevelTransitionCondition | nu
     minPatternCount: 200,
     minBypassSuccessRate: 0.75,
     minTicksAtPreviousLevel: 1000,
+    minAvgQuality: 0.6,
   },
   autonomous: {
     minCoverage: 0.8,
@@ -83,6 +90,7 @@ const TRANSITION_CONDITIONS: Record<AutonomyLevel, LevelTransitionCondition | nu
     minPatternCount: 400,
     minBypassSuccessRate: 0.9,
     minTicksAtPreviousLevel: 2000,
+    minAvgQuality: 0.7,
   },
 };
 
@@ -117,6 +125,8 @@ export interface GradualAutonomyConfig {
   enableAutoPromotion: boolean;
   /** 自動レベルダウンを有効にするか */
   enableAutoDemotion: boolean;
+  /** 最近の返事の品質（minAvgQuality）を昇格の条件にするか（ResponseEvaluator で採点しているときだけ） */
+  qualityGate: boolean;
 }
 
 const DEFAULT_CONFIG: GradualAutonomyConfig = {
@@ -125,6 +135,7 @@ const DEFAULT_CONFIG: GradualAutonomyConfig = {
   auditSampleSize: 10,
   enableAutoPromotion: true,
   enableAutoDemotion: true,
+  qualityGate: false,
 };
 
 export class GradualAutonomy {
@@ -247,7 +258,7 @@ export class GradualAutonomy {
 
   /**
    * 応答の品質フィードバック
-   * 応答検証の結果に基づいて呼ばれる
+   * 応答検証の結果、または ResponseEvaluator の採点に基づいて呼ばれる
    */
   reportQuality(
     quality: Normalized,
@@ -374,6 +385,13 @@ export class GradualAutonomy {
       return false; // バイパス実績がない
     }
 
+    // 最近の返事の品質（採点しているときだけ。サンプルが揃うまでは上げない）
+    if (this.config.qualityGate && conditions.minAvgQuality > 0) {
+      if (this.recentQualityScores.length < 10) return false;
+      const avgQuality = this.recentQualityScores.reduce((a, b) => a + b, 0) / this.recentQualityScores.length;
+      if (avgQuality < conditions.minAvgQuality) return false;
+    }
+
     return true;
   }
 
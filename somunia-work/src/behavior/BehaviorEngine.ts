@@ -32,6 +32,7 @@ import {
   SoulState,
 } from '../types';
 import { EventBus, eventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 行動決定ルール（コードで定義）
@@ -406,9 +407,12 @@ export class BehaviorEngine {
   private customRules: ActionRule[] = [];
   private events: EventBus;
 
-  constructor(events?: EventBus) {
+  private rng: SeededRandom;
+
+  constructor(events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
     this.rules = [...BEHAVIOR_RULES];
-    this.events = events || eventBus;
+    this.events = events;
   }
 
   /**
@@ -460,9 +464,9 @@ export class BehaviorEngine {
 
     // 揺らぎの影響
     let selectedRule: ActionRule;
-    if (yuragiLevel > 0.5 && matchingRules.length > 1 && Math.random() < yuragiLevel * 0.3) {
+    if (yuragiLevel > 0.5 && matchingRules.length > 1 && this.rng.next() < yuragiLevel * 0.3) {
       // 揺らぎが強い時、ランダムに別のルールを選ぶ可能性
-      const randomIdx = Math.floor(Math.random() * Math.min(5, matchingRules.length));
+      const randomIdx = Math.floor(this.rng.next() * Math.min(5, matchingRules.length));
       selectedRule = matchingRules[randomIdx];
       const thought = this.selectThought(selectedRule);
       return { rule: selectedRule, wasYuragiInfluenced: true, thought };
@@ -474,7 +478,7 @@ export class BehaviorEngine {
     
     if (topRules.length > 1 && topRules[0].action === lastAction) {
       // 同じ行動が連続する場合、次の候補を選ぶ確率
-      if (Math.random() < 0.4) {
+      if (this.rng.next() < 0.4) {
         selectedRule = topRules[1];
       } else {
         selectedRule = topRules[0];
@@ -590,7 +594,7 @@ export class BehaviorEngine {
    */
   private selectThought(rule: ActionRule): string {
     if (rule.thoughtTemplates.length === 0) return '';
-    return rule.thoughtTemplates[Math.floor(Math.random() * rule.thoughtTemplates.length)];
+    return rule.thoughtTemplates[Math.floor(this.rng.next() * rule.thoughtTemplates.length)];
   }
 
   /**
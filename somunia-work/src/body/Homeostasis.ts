@@ -47,6 +47,9 @@ export interface HomeostasisConfig {
   
   // 表現の減衰速度
   expressionDecay: number;
+  
+  // 1ティックに相当する時間（ms）。減衰は壁時計ではなくティックから進める
+  tickDurationMs: number;
 }
 
 const DEFAULT_CONFIG: HomeostasisConfig = {
@@ -56,7 +59,8 @@ const DEFAULT_CONFIG: HomeostasisConfig = {
   criticalThreshold: 0.7,
   noveltyDecay: 0.003,
   connectionDecay: 0.002,
-  expressionDecay: 0.004
+  expressionDecay: 0.004,
+  tickDurationMs: 1000
 };
 
 // ============================================================
@@ -134,21 +138,24 @@ export class Homeostasis {
   private config: HomeostasisConfig;
   private changeHistory: HomeostasisChangeEvent[];
   private lastUpdateTick: Tick;
-  private lastUpdateTimestamp: Timestamp;
+  /** 身体の時計（ms）。ティックごとに tickDurationMs ずつ進む（リプレイで同じ値になるように） */
+  private clock: Timestamp;
+  /** エネルギー回復の倍率（人生の段階で変わる） */
+  private energyRecoveryRate: number = 1;
   
   constructor(config: Partial<HomeostasisConfig> = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.clock = 0;
     this.state = this.createInitialState();
     this.changeHistory = [];
     this.lastUpdateTick = 0;
-    this.lastUpdateTimestamp = Date.now();
   }
   
   /**
    * 初期状態を作成
    */
   private createInitialState(): HomeostasisState {
-    const now = Date.now();
+    const now = this.clock;
     
     return {
       // エネルギー維持
@@ -197,8 +204,8 @@ export class Homeostasis {
     fatigueLevel: Normalized
   ): HomeostasisChangeEvent[] {
     const events: HomeostasisChangeEvent[] = [];
-    const now = Date.now();
-    const elapsed = now - this.lastUpdateTimestamp;
+    const elapsed = Math.max(0, currentTick - this.lastUpdateTick) * this.config.tickDurationMs;
+    const now = this.clock + elapsed;
     
     // 1. エネルギーの自然減少
     this.updateEnergy(events, now, elapsed, fatigueLevel);
@@ -219,7 +226,7 @@ export class Homeostasis {
     this.recalculateAllUrgencies();
     
     this.lastUpdateTick = currentTick;
-    this.lastUpdateTimestamp = now;
+    this.clock = now;
     
     this.changeHistory.push(...events);
     this.trimHistory();
@@ -242,9 +249,10 @@ export class Homeostasis {
     const decay = (0.001 + fatigueLevel * 0.002) * (elapsed / 1000);
     this.state.energy.current = Math.max(0.1, this.state.energy.current - decay);
     
-    // 目標値への自己調整
+    // 目標値への自己調整（回復方向には回復倍率をかける）
     const diff = this.state.energy.target - this.state.energy.current;
-    this.state.energy.current += diff * this.config.regulationSpeed * 0.1;
+    const rate = diff > 0 ? this.energyRecoveryRate : 1;
+    this.state.energy.current = Math.min(1, this.state.energy.current + diff * this.config.regulationSpeed * 0.1 * rate);
     
     if (Math.abs(this.state.energy.current - previousValue) > 0.01) {
       events.push({
@@ -479,14 +487,40 @@ export class Homeostasis {
   // 状態の変更（外部イベント）
   // ============================================================
   
+  /**
+   * エネルギー回復の倍率を設定（1 = 通常）
+   */
+  setEnergyRecoveryRate(rate: number): void {
+    this.energyRecoveryRate = Math.max(0, rate);
+  }
+
+  /**
+   * 減衰させずに時計だけ進める（眠っていた間など、update を呼ばなかったティック）
+   */
+  skipTo(currentTick: Tick): void {
+    this.clock += Math.max(0, currentTick - this.lastUpdateTick) * this.config.tickDurationMs;
+    this.lastUpdateTick = currentTick;
+  }
+
+  /**
+   * 1ティックに相当する時間を設定（時間倍率が変わったとき）
+   */
+  setTickDuration(ms: number): void {
+    this.config.tickDurationMs = ms;
+  }
+
+  getEnergyRecoveryRate(): number {
+    return this.energyRecoveryRate;
+  }
+
   /**
    * エネルギーを回復
    */
   restoreEnergy(amount: Normalized, source: string): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.energy.current;
     
-    this.state.energy.current = Math.min(1, this.state.energy.current + amount);
+    this.state.energy.current = Math.min(1, this.state.energy.current + amount * this.energyRecoveryRate);
     this.state.energy.urgency = this.calculateEnergyUrgency();
     
     const event: HomeostasisChangeEvent = {
@@ -506,7 +540,7 @@ export class Homeostasis {
    * エネルギーを消費
    */
   consumeEnergy(amount: Normalized, action: ActionType): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.energy.current;
     
     this.state.energy.current = Math.max(0.1, this.state.energy.current - amount);
@@ -529,7 +563,7 @@ export class Homeostasis {
    * 新規体験をした
    */
   experienceNovelty(intensity: Normalized): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.exploration.noveltyNeed;
     
     this.state.exploration.noveltyNeed = Math.max(0.1, this.state.exploration.noveltyNeed - intensity * 0.5);
@@ -553,7 +587,7 @@ export class Homeostasis {
    * 接続を体験
    */
   experienceConnection(intensity: Normalized): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.connection.isolationLevel;
     
     this.state.connection.isolationLevel = Math.max(0, this.state.connection.isolationLevel - intensity * 0.6);
@@ -577,7 +611,7 @@ export class Homeostasis {
    * 表現をした
    */
   express(intensity: Normalized, action: ActionType): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.expression.suppressionLevel;
     
     this.state.expression.suppressionLevel = Math.max(0, this.state.expression.suppressionLevel - intensity * 0.5);
@@ -601,7 +635,7 @@ export class Homeostasis {
    * 脅威を感じる
    */
   perceiveThreat(intensity: Normalized, source: string): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.safety.threatLevel;
     
     this.state.safety.threatLevel = Math.min(1, this.state.safety.threatLevel + intensity);
@@ -625,7 +659,7 @@ export class Homeostasis {
    * 安心する
    */
   feelSafe(amount: Normalized): HomeostasisChangeEvent {
-    const timestamp = Date.now();
+    const timestamp = this.clock;
     const previousValue = this.state.safety.threatLevel;
     
     this.state.safety.threatLevel = Math.max(0, this.state.safety.threatLevel - amount);
@@ -985,7 +1019,7 @@ export class Homeostasis {
       config: this.config,
       changeHistory: this.changeHistory.slice(-100),
       lastUpdateTick: this.lastUpdateTick,
-      lastUpdateTimestamp: this.lastUpdateTimestamp
+      clock: this.clock
     };
   }
   
@@ -997,7 +1031,12 @@ export class Homeostasis {
     system.state = json.state;
     system.changeHistory = json.changeHistory || [];
     system.lastUpdateTick = json.lastUpdateTick || 0;
-    system.lastUpdateTimestamp = json.lastUpdateTimestamp || Date.now();
+    system.clock = json.clock || 0;
+    // 壁時計で記録していた頃の保存データは、最後の体験を今に揃える
+    const { exploration, connection, expression } = system.state;
+    exploration.lastNovelExperience = Math.min(exploration.lastNovelExperience, system.clock);
+    connection.lastConnection = Math.min(connection.lastConnection, system.clock);
+    expression.lastExpression = Math.min(expression.lastExpression, system.clock);
     return system;
   }
 }
@@ -25,6 +25,7 @@ import {
   ActionType,
   TimeOfDay
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 欲求システム設定
@@ -513,7 +514,10 @@ export class UrgeSystem {
   private changeHistory: UrgeChangeEvent[];
   private lastUpdateTick: Tick;
   
-  constructor(config: Partial<UrgeSystemConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<UrgeSystemConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.state = this.createInitialState();
     this.changeHistory = [];
@@ -977,7 +981,7 @@ export class UrgeSystem {
     const score2 = urge2.level * char2.somuniaImportance;
     
     // 揺らぎ要素（ランダム性）
-    const random = Math.random() * 0.2 - 0.1;
+    const random = this.rng.next() * 0.2 - 0.1;
     
     if (Math.abs(score1 - score2 + random) > 0.2) {
       const winner = (score1 + random) > score2 ? conflict.urge1 : conflict.urge2;
@@ -1240,8 +1244,8 @@ export class UrgeSystem {
   /**
    * JSONからリストア
    */
-  static fromJSON(json: any): UrgeSystem {
-    const system = new UrgeSystem(json.config);
+  static fromJSON(json: any, rng: SeededRandom): UrgeSystem {
+    const system = new UrgeSystem(json.config, rng);
     system.state = json.state;
     system.changeHistory = json.changeHistory || [];
     system.lastUpdateTick = json.lastUpdateTick || 0;
@@ -35,6 +35,7 @@ import {
   EmotionalResponse,
   TimeOfDay,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // パターンライブラリの設定
@@ -69,7 +70,10 @@ export class PatternLibrary {
   
   private config: PatternLibraryConfig;
   
-  constructor(config: Partial<PatternLibraryConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<PatternLibraryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
   
@@ -757,7 +761,7 @@ export class PatternLibrary {
             }
             break;
           case 'random':
-            if (Math.random() < trigger.condition.probability) {
+            if (this.rng.next() < trigger.condition.probability) {
               score += trigger.probability;
             }
             break;
@@ -916,7 +920,7 @@ export class PatternLibrary {
     if (!pattern || !pattern.canMutate) return false;
     
     // 変異確率チェック
-    if (Math.random() > this.config.mutationRate) return false;
+    if (this.rng.next() > this.config.mutationRate) return false;
     
     // 変異タイプを選択
     const mutationType = this.selectMutationType();
@@ -974,7 +978,7 @@ export class PatternLibrary {
     const pattern = this.behaviorPatterns.get(patternId);
     if (!pattern || !pattern.canMutate) return false;
     
-    if (Math.random() > this.config.mutationRate) return false;
+    if (this.rng.next() > this.config.mutationRate) return false;
     
     const mutationType = this.selectMutationType();
     let mutation: PatternMutation | null = null;
@@ -983,7 +987,7 @@ export class PatternLibrary {
       case 'minor_variation':
         // 行動の順番を入れ替え
         if (pattern.actionSequence.length >= 2) {
-          const idx = Math.floor(Math.random() * (pattern.actionSequence.length - 1));
+          const idx = Math.floor(this.rng.next() * (pattern.actionSequence.length - 1));
           const temp = pattern.actionSequence[idx];
           pattern.actionSequence[idx] = pattern.actionSequence[idx + 1];
           pattern.actionSequence[idx + 1] = temp;
@@ -999,7 +1003,7 @@ export class PatternLibrary {
       case 'simplification':
         // 行動を削除
         if (pattern.actionSequence.length > 2) {
-          const idx = Math.floor(Math.random() * pattern.actionSequence.length);
+          const idx = Math.floor(this.rng.next() * pattern.actionSequence.length);
           if (pattern.actionSequence[idx].interruptible) {
             const removed = pattern.actionSequence.splice(idx, 1)[0];
             mutation = {
@@ -1029,11 +1033,11 @@ export class PatternLibrary {
     const pattern = this.emotionPatterns.get(patternId);
     if (!pattern || !pattern.canModify) return false;
     
-    if (Math.random() > this.config.mutationRate) return false;
+    if (this.rng.next() > this.config.mutationRate) return false;
     
     // 強度を微調整
     const oldIntensity = pattern.emotionalResponse.intensity;
-    const change = (Math.random() - 0.5) * 0.2;  // -0.1 ~ +0.1
+    const change = (this.rng.next() - 0.5) * 0.2;  // -0.1 ~ +0.1
     pattern.emotionalResponse.intensity = Math.max(0.1, Math.min(1.0, oldIntensity + change));
     
     pattern.modificationHistory.push({
@@ -1115,7 +1119,7 @@ export class PatternLibrary {
       
       if (fitness < 0.3) {
         // 低適応度：大きな変異またはパターン入れ替え
-        if (Math.random() < 0.3) {
+        if (this.rng.next() < 0.3) {
           const mutated = this.radicalBehaviorMutation(pattern);
           if (mutated) {
             result.mutations.push({
@@ -1127,7 +1131,7 @@ export class PatternLibrary {
         }
       } else if (fitness < 0.5) {
         // 中適応度：微調整
-        if (Math.random() < 0.5) {
+        if (this.rng.next() < 0.5) {
           this.mutateBehaviorPattern(patternId);
           result.mutations.push({
             patternId,
@@ -1142,7 +1146,7 @@ export class PatternLibrary {
     // === パターンの統合（類似パターンのマージ） ===
     const mergeCandidates = this.findMergeCandidates();
     for (const { patternA, patternB, similarity } of mergeCandidates) {
-      if (Math.random() < similarity * 0.3) {
+      if (this.rng.next() < similarity * 0.3) {
         const merged = this.mergePatterns(patternA, patternB);
         if (merged) {
           result.merges.push({
@@ -1156,7 +1160,7 @@ export class PatternLibrary {
     
     // === パターンの分岐（多目的パターンの分離） ===
     for (const [id, pattern] of this.behaviorPatterns) {
-      if (pattern.triggers.length >= 3 && pattern.actionSequence.length >= 4 && Math.random() < 0.1) {
+      if (pattern.triggers.length >= 3 && pattern.actionSequence.length >= 4 && this.rng.next() < 0.1) {
         const splitResult = this.splitBehaviorPattern(id);
         if (splitResult) {
           result.splits.push({
@@ -1170,7 +1174,7 @@ export class PatternLibrary {
     
     // === 発話パターンの感情適応 ===
     for (const [id, pattern] of this.speechPatterns) {
-      if (pattern.canMutate && pattern.useCount > 10 && Math.random() < 0.15) {
+      if (pattern.canMutate && pattern.useCount > 10 && this.rng.next() < 0.15) {
         const adapted = this.adaptSpeechToEmotion(pattern);
         if (adapted) {
           result.mutations.push({
@@ -1242,10 +1246,10 @@ export class PatternLibrary {
       // 行動シーケンスの一部を新しいものに入れ替え
       () => {
         if (pattern.actionSequence.length < 2) return false;
-        const idx = Math.floor(Math.random() * pattern.actionSequence.length);
+        const idx = Math.floor(this.rng.next() * pattern.actionSequence.length);
         const newActions: ActionType[] = ['wander', 'rest', 'think', 'look_at', 'examine', 'write', 'sing', 'daydream'];
         const oldAction = pattern.actionSequence[idx].action;
-        pattern.actionSequence[idx].action = newActions[Math.floor(Math.random() * newActions.length)];
+        pattern.actionSequence[idx].action = newActions[Math.floor(this.rng.next() * newActions.length)];
         pattern.mutationHistory.push({
           timestamp: Date.now(),
           type: 'combination',
@@ -1258,9 +1262,9 @@ export class PatternLibrary {
       // トリガーの確率を変更
       () => {
         if (pattern.triggers.length === 0) return false;
-        const idx = Math.floor(Math.random() * pattern.triggers.length);
+        const idx = Math.floor(this.rng.next() * pattern.triggers.length);
         const oldProb = pattern.triggers[idx].probability;
-        const change = (Math.random() - 0.5) * 0.3;
+        const change = (this.rng.next() - 0.5) * 0.3;
         pattern.triggers[idx].probability = Math.max(0.1, Math.min(1.0, oldProb + change));
         pattern.mutationHistory.push({
           timestamp: Date.now(),
@@ -1286,7 +1290,7 @@ export class PatternLibrary {
       },
     ];
     
-    const mutation = mutations[Math.floor(Math.random() * mutations.length)];
+    const mutation = mutations[Math.floor(this.rng.next() * mutations.length)];
     return mutation();
   }
   
@@ -1415,7 +1419,7 @@ export class PatternLibrary {
         '…って感じ',
         '…みたいな',
       ];
-      const newSuffix = emotionalSuffixes[Math.floor(Math.random() * emotionalSuffixes.length)];
+      const newSuffix = emotionalSuffixes[Math.floor(this.rng.next() * emotionalSuffixes.length)];
       
       if (!pattern.examples.some(e => e.endsWith(newSuffix.slice(-3)))) {
         const baseExample = pattern.examples[0] || pattern.template;
@@ -1441,7 +1445,7 @@ export class PatternLibrary {
    * 感情パターンの感度を経験に基づいて調整
    */
   private adjustEmotionSensitivity(pattern: EmotionPattern): boolean {
-    if (Math.random() > 0.2) return false; // 20%の確率でのみ調整
+    if (this.rng.next() > 0.2) return false; // 20%の確率でのみ調整
     
     const lastTriggeredTime = pattern.lastTriggered || Date.now();
     const daysSinceCreation = Math.max(1, (Date.now() - lastTriggeredTime) / (24 * 60 * 60 * 1000));
@@ -1567,7 +1571,7 @@ export class PatternLibrary {
   }
   
   private selectMutationType(): 'minor_variation' | 'combination' | 'simplification' | 'expansion' {
-    const rand = Math.random();
+    const rand = this.rng.next();
     if (rand < 0.4) return 'minor_variation';
     if (rand < 0.6) return 'simplification';
     if (rand < 0.9) return 'expansion';
@@ -1581,7 +1585,7 @@ export class PatternLibrary {
     
     // 「...」の数を変える
     if (original.includes('...')) {
-      modified = original.replace('...', Math.random() > 0.5 ? '..' : '.....');
+      modified = original.replace('...', this.rng.next() > 0.5 ? '..' : '.....');
     }
     
     if (modified !== original) {
@@ -1602,11 +1606,11 @@ export class PatternLibrary {
     if (pattern.examples.length === 0) return null;
     
     // 既存の例をベースに変異
-    const base = pattern.examples[Math.floor(Math.random() * pattern.examples.length)];
+    const base = pattern.examples[Math.floor(this.rng.next() * pattern.examples.length)];
     
     // シンプルな変異：語尾を変える
     const variations = ['な', 'かも', 'だろうか', '...'];
-    const suffix = variations[Math.floor(Math.random() * variations.length)];
+    const suffix = variations[Math.floor(this.rng.next() * variations.length)];
     
     // 既存の語尾を除去して新しい語尾を追加
     let modified = base.replace(/[なのかもだろう。.…]+$/, '') + suffix;
@@ -1772,6 +1776,3 @@ export class PatternLibrary {
     };
   }
 }
-
-// デフォルトエクスポート
-export const patternLibrary = new PatternLibrary();
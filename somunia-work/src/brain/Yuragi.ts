@@ -28,6 +28,7 @@ import {
   UrgeSystemState,
   TimeOfDay,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 揺らぎシステムの設定
@@ -283,7 +284,10 @@ export class YuragiSystem {
     '歌', '静けさ', '光', '影', '名前', '存在', '意味',
   ];
   
-  constructor(config: Partial<YuragiConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<YuragiConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.state = this.createInitialState();
   }
@@ -351,13 +355,13 @@ export class YuragiSystem {
         // 思考の侵入
         if (condition.effects.thoughtIntrusion && condition.effects.thoughtIntrusion.length > 0) {
           let thought = condition.effects.thoughtIntrusion[
-            Math.floor(Math.random() * condition.effects.thoughtIntrusion.length)
+            Math.floor(this.rng.next() * condition.effects.thoughtIntrusion.length)
           ];
           
           // ランダム概念の置換
           if (thought.includes('{{random_concept}}')) {
             const concept = this.randomConcepts[
-              Math.floor(Math.random() * this.randomConcepts.length)
+              Math.floor(this.rng.next() * this.randomConcepts.length)
             ];
             thought = thought.replace(/\{\{random_concept\}\}/g, concept);
           }
@@ -423,7 +427,7 @@ export class YuragiSystem {
     
     // 基本確率チェック
     const baseChance = this.config.baseFrequency * (1 + this.state.whimsicality * 0.5);
-    if (Math.random() > baseChance) {
+    if (this.rng.next() > baseChance) {
       return null;
     }
     
@@ -494,7 +498,7 @@ export class YuragiSystem {
     
     // 確率的に選択
     const totalScore = candidates.reduce((sum, c) => sum + c.score, 0);
-    let random = Math.random() * totalScore;
+    let random = this.rng.next() * totalScore;
     
     for (const candidate of candidates) {
       random -= candidate.score;
@@ -601,12 +605,12 @@ export class YuragiSystem {
     
     // 思考を選択
     let thought = condition.effects.thoughtIntrusion?.[
-      Math.floor(Math.random() * (condition.effects.thoughtIntrusion?.length || 1))
+      Math.floor(this.rng.next() * (condition.effects.thoughtIntrusion?.length || 1))
     ] || '';
     
     if (thought.includes('{{random_concept}}')) {
       const concept = this.randomConcepts[
-        Math.floor(Math.random() * this.randomConcepts.length)
+        Math.floor(this.rng.next() * this.randomConcepts.length)
       ];
       thought = thought.replace(/\{\{random_concept\}\}/g, concept);
     }
@@ -635,13 +639,13 @@ export class YuragiSystem {
     const emotionNoise: Partial<Record<EmotionType, number>> = {};
     
     for (const emotion of emotions) {
-      const noise = (Math.random() - 0.5) * 0.05 * this.config.baseIntensity;
+      const noise = (this.rng.next() - 0.5) * 0.05 * this.config.baseIntensity;
       emotionNoise[emotion] = noise;
     }
     
     // 時々、断片的な思考を生成
     let thoughtFragment: string | null = null;
-    if (Math.random() < 0.05 * this.state.unpredictability) {
+    if (this.rng.next() < 0.05 * this.state.unpredictability) {
       const fragments = [
         '...',
         '...なんだっけ',
@@ -650,7 +654,7 @@ export class YuragiSystem {
         'ん...',
         '...そういえば',
       ];
-      thoughtFragment = fragments[Math.floor(Math.random() * fragments.length)];
+      thoughtFragment = fragments[Math.floor(this.rng.next() * fragments.length)];
     }
     
     return { emotionNoise, thoughtFragment };
@@ -673,7 +677,7 @@ export class YuragiSystem {
     }
     
     // 揺らぎがない場合は最高スコアの行動
-    if (this.state.level < 0.1 || Math.random() > this.state.whimsicality) {
+    if (this.state.level < 0.1 || this.rng.next() > this.state.whimsicality) {
       return sortedActions[0].action;
     }
     
@@ -687,7 +691,7 @@ export class YuragiSystem {
     const probabilities = expScores.map(e => e / totalExp);
     
     // 確率的に選択
-    let random = Math.random();
+    let random = this.rng.next();
     for (let i = 0; i < candidates.length; i++) {
       random -= probabilities[i];
       if (random <= 0) {
@@ -710,16 +714,16 @@ export class YuragiSystem {
     const noiseLevel = this.state.level * this.config.baseIntensity * 0.2;
     
     for (const emotion of Object.keys(result) as EmotionType[]) {
-      const noise = (Math.random() - 0.5) * 2 * noiseLevel;
+      const noise = (this.rng.next() - 0.5) * 2 * noiseLevel;
       result[emotion] = (result[emotion] || 0) + noise;
     }
     
     // 時々、予期しない感情が混入
-    if (Math.random() < this.state.unpredictability * 0.1) {
+    if (this.rng.next() < this.state.unpredictability * 0.1) {
       const unexpectedEmotions: EmotionType[] = ['nostalgia', 'wonder', 'anxiety', 'hope'];
-      const unexpected = unexpectedEmotions[Math.floor(Math.random() * unexpectedEmotions.length)];
+      const unexpected = unexpectedEmotions[Math.floor(this.rng.next() * unexpectedEmotions.length)];
       if (!result[unexpected]) {
-        result[unexpected] = (Math.random() - 0.3) * 0.2;
+        result[unexpected] = (this.rng.next() - 0.3) * 0.2;
       }
     }
     
@@ -823,9 +827,6 @@ export class YuragiSystem {
   }
 }
 
-// デフォルトエクスポート
-export const yuragiSystem = new YuragiSystem();
-
 /**
  * 簡易揺らぎ生成器（モジュール内部用）
  * 
@@ -833,12 +834,19 @@ export const yuragiSystem = new YuragiSystem();
  * 独自の微細な揺らぎを生成するために使用。
  */
 export class Yuragi {
-  private phase: number = Math.random() * Math.PI * 2;
-  private frequency: number = 0.01 + Math.random() * 0.02;
-  
+  private rng: SeededRandom;
+  private phase: number;
+  private frequency: number;
+
+  constructor(rng: SeededRandom) {
+    this.rng = rng;
+    this.phase = this.rng.next() * Math.PI * 2;
+    this.frequency = 0.01 + this.rng.next() * 0.02;
+  }
+
   getValue(): number {
     this.phase += this.frequency;
     // -1 to 1 の揺らぎ（正弦波 + ノイズ）
-    return Math.sin(this.phase) * 0.5 + (Math.random() - 0.5) * 0.5;
+    return Math.sin(this.phase) * 0.5 + (this.rng.next() - 0.5) * 0.5;
   }
 }
@@ -35,11 +35,41 @@ import {
   RelationshipPhase,
   Normalized,
   Tick,
+  ID,
   LLMContext,
+  ConversationLanguage,
 } from '../types';
 import { SelfModel, SelfModelStateProvider } from '../self/SelfModel';
 import { VisitorMemorySystem } from './VisitorMemorySystem';
 import { AssociativeNetwork } from '../association/AssociativeNetwork';
+import { SeededRandom } from '../core/SeededRandom';
+import { PromptBudget, PromptBudgetConfig, PromptBudgetReport, PromptSection } from './PromptBudget';
+import { promptTemplates } from '../llm/PromptTemplates';
+
+/** 応答プロンプトに使うテンプレート（prompts/response/） */
+const RESPONSE_TEMPLATES = ['response/persona', 'response/instruction'];
+
+/**
+ * 応答戦略がプロンプトに添えるもの（文面は prompts/response/pattern_*.txt）
+ * - hint:   過去に好評だった応答を参考に添える
+ * - refine: パターンの下書きを仕上げさせる
+ * - audit:  パターン応答を会話と一緒に見せて確認させる
+ */
+export type PatternPrompt =
+  | { type: 'hint'; template: string }
+  | { type: 'refine'; draft: string }
+  | { type: 'audit'; response: string };
+
+const PATTERN_TEMPLATES: Record<PatternPrompt['type'], string> = {
+  hint: 'response/pattern_hint',
+  refine: 'response/pattern_refine',
+  audit: 'response/pattern_audit',
+};
+
+/** 日本語以外で話す訪問者に、その言語で返すよう伝えるテンプレート */
+const LANGUAGE_TEMPLATES: Partial<Record<ConversationLanguage, string>> = {
+  en: 'response/language_en',
+};
 
 // ============================================================
 // 時間帯→環境描写
@@ -102,11 +132,21 @@ export class ContextBridge {
   private recentResponses: string[] = [];
   private readonly MAX_RECENT_RESPONSES = 10;
 
+  /** プロンプトのトークン予算 */
+  private promptBudget: PromptBudget;
+  private lastBudgetReport: PromptBudgetReport | null = null;
+
+  private rng: SeededRandom;
+
   constructor(
     selfModel: SelfModel,
     visitorMemory: VisitorMemorySystem,
     associativeNetwork: AssociativeNetwork,
+    promptBudget: Partial<PromptBudgetConfig> = {},
+    rng: SeededRandom,
   ) {
+    this.rng = rng;
+    this.promptBudget = new PromptBudget(promptBudget);
     this.selfModel = selfModel;
     this.visitorMemory = visitorMemory;
     this.associativeNetwork = associativeNetwork;
@@ -127,6 +167,7 @@ export class ContextBridge {
       emotions: EmotionType[];
       topics: string[];
       hasSelfDisclosure: boolean;
+      language: ConversationLanguage;
     },
     conversationState: {
       turnCount: number;
@@ -134,7 +175,8 @@ export class ContextBridge {
       recentExchanges: Array<{ speaker: 'visitor' | 'somunia'; content: string }>;
     },
     relationshipPhase: RelationshipPhase,
-    tick: Tick
+    tick: Tick,
+    recalledMemories: string[] = []
   ): RichResponseContext {
     // 1. 自己認識スナップショット
     const selfSnapshot = this.selfModel.generateSnapshot(provider, tick);
@@ -171,6 +213,7 @@ export class ContextBridge {
         topics: turnAnalysis.topics,
         hasNameIntroduction: nameResult.hasNameIntroduction,
         extractedName: nameResult.extractedName,
+        language: turnAnalysis.language,
       },
     };
 
@@ -180,12 +223,20 @@ export class ContextBridge {
       selfSnapshot, visitor, nameResult.hasNameIntroduction
     );
 
+    // 8. 部屋にいる他の訪問者（話しかけている相手は一人）
+    const currentVisitorId = this.visitorMemory.getCurrentVisitorId();
+    const otherVisitors = this.visitorMemory.getPresentVisitors()
+      .filter(id => id !== currentVisitorId)
+      .map(id => this.visitorMemory.getCallName(id));
+
     return {
       self: selfSnapshot,
       moment,
       visitor,
       conversationFlow,
       associations: associationLabels,
+      recalledMemories,
+      otherVisitors,
       guideline,
     };
   }
@@ -356,120 +407,235 @@ export class ContextBridge {
    * 
    * これにより、LLMはsystemの情報を「自分の設定」として内面化し、
    * userの発言に対して自然に応答するようになる。
+   * 
+   * 全体はモデルのコンテキスト長に収まるよう PromptBudget で削る。
+   * 応答戦略のヒント・下書き・確認（pattern）も節として一緒に数える。
+   * 削った内容はログに出し、getLastBudgetReport() で確認できる。
    */
-  buildSeparatedPrompt(ctx: RichResponseContext, userMessage: string): {
+  buildSeparatedPrompt(
+    ctx: RichResponseContext,
+    userMessage: string,
+    model: string = '',
+    pattern: PatternPrompt | null = null
+  ): {
     system: string;
     user: string;
+    /** 使ったテンプレートの版（メッセージと一緒に記録する） */
+    promptVersion: string;
   } {
-    // === SYSTEM PROMPT: somuniaの人格設定 ===
-    const systemParts: string[] = [];
-
-    // 人格の核心（簡潔に）
-    systemParts.push(`あなたはsomunia。静かで内省的なVSingerの少女。部屋でひとりで暮らしている。`);
-    systemParts.push(`時々、訪問者が部屋を訪ねてくる。あなたは訪問者と自然に会話する。`);
+    const sections = this.buildPromptSections(ctx, userMessage, pattern);
+    const { system, user, report } = this.promptBudget.fit(sections, model);
+    this.lastBudgetReport = report;
+    if (report.trimmed.length > 0 || report.overBudget) {
+      const detail = report.trimmed
+        .map(t => `${t.id} ${t.action === 'dropped' ? '削除' : t.action === 'summarized' ? `${t.removedLines}行を要約` : `${t.removedLines}行を省略`}`)
+        .join(', ');
+      console.log(
+        `[ContextBridge] プロンプト予算 ${report.estimatedBefore}→${report.estimatedAfter}/${report.budget} tokens` +
+        `${detail ? `: ${detail}` : ''}${report.overBudget ? '（必須部分だけで超過）' : ''}`
+      );
+    }
+    const languageTemplate = LANGUAGE_TEMPLATES[ctx.conversationFlow.messageAnalysis.language];
+    const templates = languageTemplate ? [...RESPONSE_TEMPLATES, languageTemplate] : RESPONSE_TEMPLATES;
+    const patternTemplates = pattern ? [PATTERN_TEMPLATES[pattern.type]] : [];
+    return { system, user, promptVersion: promptTemplates.versionTag([...templates, ...patternTemplates]) };
+  }
 
-    // 口調ルール（最重要）
-    systemParts.push(``);
-    systemParts.push(`【口調】`);
-    systemParts.push(`一人称「わたし」、ひらがな多め、柔らかい話し方。`);
-    systemParts.push(`語尾に「...」「～」「かな」「ね」を使う。敬語は使わない。`);
-    systemParts.push(`短く話す（1～3文）。`);
+  /**
+   * 応答用プロンプトを節に分ける
+   * 優先度（大きいほど残す）: 応答のヒント > 直近のやりとり > 最近の出来事 > 訪問者について知っていること > 連想
+   */
+  private buildPromptSections(
+    ctx: RichResponseContext,
+    userMessage: string,
+    pattern: PatternPrompt | null = null
+  ): PromptSection[] {
+    // === SYSTEM PROMPT: somuniaの人格設定 ===
+    // 人格の核心（簡潔に）と口調ルール（最重要）。文面は prompts/response/persona.txt
+    const persona: PromptSection = {
+      id: 'persona', role: 'system', priority: 100, required: true,
+      lines: promptTemplates.render('response/persona').split('\n'),
+    };
 
     // 現在の状態（背景情報として）
-    systemParts.push(``);
-    systemParts.push(`【今の状態】`);
-    systemParts.push(`${ctx.moment.timeDescription}。${ctx.moment.location}にいる。`);
-    systemParts.push(`気分: ${ctx.moment.mood}${ctx.moment.moodReason ? `（${ctx.moment.moodReason}）` : ''}`);
-
+    const stateLines = [
+      `${ctx.moment.timeDescription}。${ctx.moment.location}にいる。`,
+      `気分: ${ctx.moment.mood}${ctx.moment.moodReason ? `（${ctx.moment.moodReason}）` : ''}`,
+    ];
     if (ctx.moment.wasInterrupted && ctx.moment.interruptedActivity) {
-      systemParts.push(`さっきまで${ctx.moment.interruptedActivity}けど、中断した。`);
+      stateLines.push(`さっきまで${ctx.moment.interruptedActivity}けど、中断した。`);
     } else if (ctx.moment.activityDescription) {
-      systemParts.push(`${ctx.moment.activityDescription}。`);
+      stateLines.push(`${ctx.moment.activityDescription}。`);
     }
+    const state: PromptSection = {
+      id: 'state', role: 'system', priority: 90, required: true,
+      header: [``, `【今の状態】`],
+      lines: stateLines,
+    };
 
+    // 最近の出来事（あれば簡潔に）。予算が足りなければ後ろから削る
+    const recentLines: string[] = [];
     if (ctx.moment.currentThought) {
-      systemParts.push(`最近考えていたこと: ${ctx.moment.currentThought.substring(0, 50)}`);
+      recentLines.push(`最近考えていたこと: ${ctx.moment.currentThought.substring(0, 50)}`);
     }
-
-    // 最近の出来事（あれば簡潔に）
     if (ctx.self.recentLearnings.length > 0) {
-      systemParts.push(`最近学んだ: ${ctx.self.recentLearnings[ctx.self.recentLearnings.length - 1]}`);
+      recentLines.push(`最近学んだ: ${ctx.self.recentLearnings[ctx.self.recentLearnings.length - 1]}`);
     }
     if (ctx.self.recentDream) {
-      systemParts.push(`さっき見た夢: ${ctx.self.recentDream}`);
+      recentLines.push(`さっき見た夢: ${ctx.self.recentDream}`);
     }
+    const recent: PromptSection = {
+      id: 'recent', role: 'system', priority: 40, trim: 'last',
+      lines: recentLines,
+    };
 
     // 訪問者の記憶
+    const visitorLines: string[] = [];
+    const facts: string[] = [];
     if (ctx.visitor) {
-      systemParts.push(``);
-      systemParts.push(`【この訪問者のこと】`);
       if (ctx.visitor.name) {
-        systemParts.push(`名前: ${ctx.visitor.name}`);
+        visitorLines.push(`名前: ${ctx.visitor.name}`);
       }
       if (ctx.visitor.visitCount > 1) {
-        systemParts.push(`${ctx.visitor.visitCount}回目の訪問。`);
+        visitorLines.push(`${ctx.visitor.visitCount}回目の訪問。`);
         if (ctx.visitor.pastTopics.length > 0) {
-          systemParts.push(`前に話したこと: ${ctx.visitor.pastTopics.slice(0, 3).join('、')}`);
+          visitorLines.push(`前に話したこと: ${ctx.visitor.pastTopics.slice(0, 3).join('、')}`);
         }
       } else {
-        systemParts.push(`初めて会う人。`);
-      }
-      if (ctx.visitor.relevantFacts.length > 0) {
-        systemParts.push(`知っていること: ${ctx.visitor.relevantFacts.join('、')}`);
+        visitorLines.push(`初めて会う人。`);
       }
+      facts.push(...ctx.visitor.relevantFacts);
     }
+    const visitor: PromptSection = {
+      id: 'visitor', role: 'system', priority: 80, required: true,
+      header: [``, `【この訪問者のこと】`],
+      lines: visitorLines,
+    };
+    // 他にも訪問者がいるとき、誰に向けて話すか
+    const others = ctx.otherVisitors ?? [];
+    const addressee = ctx.visitor?.callName || 'あなた';
+    const room: PromptSection = {
+      id: 'room', role: 'system', priority: 70, required: true,
+      header: [``, `【部屋にいる人】`],
+      lines: others.length > 0
+        ? [
+          `今話しかけてきたのは${addressee}。ほかに${others.join('、')}もいる。`,
+          `返事は${addressee}に向けて。ほかの人のことを${addressee}の話と混ぜない。`,
+        ]
+        : [],
+    };
+    // 知っていることは関連の強い順に並んでいるので、後ろから削る
+    const visitorFacts: PromptSection = {
+      id: 'visitor_facts', role: 'system', priority: 30, trim: 'last',
+      lines: facts,
+      format: items => [`知っていること: ${items.join('、')}`],
+    };
+
+    // 発言と意味の近い記憶。関連の強い順なので後ろから削る
+    const memories: PromptSection = {
+      id: 'memories', role: 'system', priority: 20, trim: 'last',
+      header: [``, `【思い出したこと】`],
+      lines: (ctx.recalledMemories ?? []).map(memory => `- ${memory}`),
+    };
 
     // 連想された概念（ヒントとして）
-    if (ctx.associations.length > 0) {
-      systemParts.push(``);
-      systemParts.push(`【連想】${ctx.associations.join('、')}`);
-    }
+    const associations: PromptSection = {
+      id: 'associations', role: 'system', priority: 10, trim: 'drop',
+      header: [``],
+      lines: ctx.associations.length > 0 ? [`【連想】${ctx.associations.join('、')}`] : [],
+    };
 
     // === USER PROMPT: 訪問者の発言 + 応答指示 ===
-    const userParts: string[] = [];
-
-    // 会話の文脈（直近のやりとり）
-    if (ctx.conversationFlow.recentExchanges.length > 0) {
-      const recent = ctx.conversationFlow.recentExchanges.slice(-4);
-      for (const exchange of recent) {
-        if (exchange.speaker === 'visitor') {
-          userParts.push(`訪問者: ${exchange.content}`);
-        } else {
-          userParts.push(`あなた: ${exchange.content}`);
-        }
-      }
-      userParts.push(``);
-    }
+    // 会話の文脈（直近のやりとり）。古いものから削り、削った分は一行にまとめる
+    const exchanges: PromptSection = {
+      id: 'exchanges', role: 'user', priority: 50, trim: 'oldest', minLines: 0,
+      footer: [``],
+      lines: ctx.conversationFlow.recentExchanges.map(exchange =>
+        exchange.speaker === 'visitor' ? `訪問者: ${exchange.content}` : `あなた: ${exchange.content}`
+      ),
+      summarize: removed => {
+        const said = removed
+          .filter(line => line.startsWith('訪問者: '))
+          .slice(-3)
+          .map(line => line.slice('訪問者: '.length).substring(0, 12));
+        return said.length > 0
+          ? `（それより前の話: ${said.join(' / ')}）`
+          : `（それより前にも少し話した）`;
+      },
+    };
 
     // 今回の訪問者のメッセージ（最も重要）
-    userParts.push(`訪問者: ${userMessage}`);
-    userParts.push(``);
+    const message: PromptSection = {
+      id: 'message', role: 'user', priority: 100, required: true,
+      lines: [`訪問者: ${userMessage}`, ``],
+    };
 
     // 応答の指針
-    const guidelines: string[] = [];
-    if (ctx.guideline.specialInstructions.length > 0) {
-      for (const inst of ctx.guideline.specialInstructions) {
-        guidelines.push(inst);
-      }
-    }
-    if (ctx.guideline.shouldInclude.length > 0) {
-      for (const inc of ctx.guideline.shouldInclude) {
-        guidelines.push(inc);
-      }
-    }
-    if (guidelines.length > 0) {
-      userParts.push(`応答のヒント: ${guidelines.join('。')}`);
-    }
+    const hints: PromptSection = {
+      id: 'hints', role: 'user', priority: 60, trim: 'last',
+      lines: [...ctx.guideline.specialInstructions, ...ctx.guideline.shouldInclude],
+      format: items => [`応答のヒント: ${items.join('。')}`],
+    };
 
-    // 明確な出力指示
-    userParts.push(``);
-    userParts.push(`上記の訪問者に対する、あなた（somunia）の返事を1～3文で書いてください。`);
-    userParts.push(`返事のテキストのみを出力してください。括弧、説明、注釈は不要です。`);
+    // 明確な出力指示（prompts/response/instruction.txt）
+    const instruction: PromptSection = {
+      id: 'instruction', role: 'user', priority: 100, required: true,
+      lines: ['', ...promptTemplates.render('response/instruction').split('\n')],
+    };
 
-    return {
-      system: systemParts.join('\n'),
-      user: userParts.join('\n'),
+    // 訪問者の言語で返す（人格と口調はそのまま。prompts/response/language_*.txt）
+    const languageTemplate = LANGUAGE_TEMPLATES[ctx.conversationFlow.messageAnalysis.language];
+    const language: PromptSection = {
+      id: 'language', role: 'user', priority: 100, required: true,
+      lines: languageTemplate ? promptTemplates.render(languageTemplate).split('\n') : [],
     };
+
+    const sections = [persona, state, recent, visitor, room, visitorFacts, memories, associations, exchanges, message, hints, instruction, language];
+    return pattern ? this.addPatternSections(sections, pattern) : sections;
+  }
+
+  /**
+   * 応答戦略の節を加える
+   * 参考の応答は削ってよいが、下書きと確認する応答は戦略そのものなので削らない
+   */
+  private addPatternSections(sections: PromptSection[], pattern: PatternPrompt): PromptSection[] {
+    const template = PATTERN_TEMPLATES[pattern.type];
+    switch (pattern.type) {
+      case 'hint':
+        return [...sections, {
+          id: 'pattern_hint', role: 'user', priority: 45, trim: 'drop',
+          header: [``],
+          lines: promptTemplates.render(template, { template: pattern.template }).split('\n'),
+        }];
+      case 'refine':
+        return [...sections, {
+          id: 'pattern_draft', role: 'user', priority: 100, required: true,
+          header: [``],
+          lines: promptTemplates.render(template, { draft: pattern.draft }).split('\n'),
+        }];
+      case 'audit': {
+        // 確認の文面で会話全体（userの節）を挟む。{{prompt}} の前後で分ける
+        const marker = '\u0000prompt\u0000';
+        const [before, after = ''] = promptTemplates.render(template, { response: pattern.response, prompt: marker }).split(marker);
+        return [
+          ...sections.filter(s => s.role === 'system'),
+          {
+            id: 'pattern_audit', role: 'user', priority: 100, required: true,
+            lines: before.replace(/\n$/, '').split('\n'),
+          },
+          ...sections.filter(s => s.role === 'user'),
+          {
+            id: 'pattern_audit_end', role: 'user', priority: 100, required: true,
+            lines: after ? after.split('\n') : [],
+          },
+        ];
+      }
+    }
+  }
+
+  /** 直前に組み立てた応答プロンプトの予算レポート */
+  getLastBudgetReport(): PromptBudgetReport | null {
+    return this.lastBudgetReport;
   }
 
   /**
@@ -482,18 +648,12 @@ export class ContextBridge {
   ): { system: string; user: string } {
     const snapshot = this.selfModel.generateSnapshot(provider, tick);
 
-    const system = [
-      `あなたはsomunia。静かで内省的なVSingerの少女。`,
-      `ひらがな多め、柔らかい口調。語尾に「...」「～」を使う。`,
-      `今の気分: ${snapshot.currentMood}`,
-      snapshot.currentActivity ? `今していること: ${snapshot.currentActivity}` : '',
-    ].filter(Boolean).join('\n');
+    const system = promptTemplates.render('speech/autonomous_system', {
+      mood: snapshot.currentMood,
+      activityLine: snapshot.currentActivity ? `今していること: ${snapshot.currentActivity}` : '',
+    }).split('\n').filter(Boolean).join('\n');
 
-    const user = [
-      `ふと思ったことを独り言として口にしてください。`,
-      `内容: ${spontaneousSeed}`,
-      `短く1文で。独り言のテキストのみ出力してください。`,
-    ].join('\n');
+    const user = promptTemplates.render('speech/autonomous_user', { seed: spontaneousSeed });
 
     return { system, user };
   }
@@ -545,8 +705,9 @@ export class ContextBridge {
       issues.push('応答が短すぎる');
     }
 
-    // 長すぎる
-    if (response.length > 200) {
+    // 長すぎる（英語は同じ内容でも文字数が多い）
+    const language = ctx.conversationFlow.messageAnalysis.language;
+    if (response.length > (language === 'en' ? 400 : 200)) {
       issues.push('応答が長すぎる');
     }
 
@@ -615,6 +776,16 @@ export class ContextBridge {
       nostalgia: ['なつかしいな...', '...覚えてるよ'],
       hope: ['きっと...だいじょうぶ', '...信じてる'],
     };
+    // 英語で話している訪問者には英語で返す
+    const emotionFallbacksEn: Record<string, string[]> = {
+      joy: ['hehe... i\'m happy', 'mm... this feels nice'],
+      peace: ['mm... i see', 'oh... okay'],
+      curiosity: ['hmm... i\'m curious about that', 'tell me more...'],
+      warmth: ['thank you... that\'s warm', 'hehe... i\'m glad'],
+      melancholy: ['...mm', 'yeah... i know'],
+      loneliness: ['...thank you for being here', 'you\'re here... i\'m glad'],
+    };
+    const fallbacks = ctx.conversationFlow.messageAnalysis.language === 'en' ? emotionFallbacksEn : emotionFallbacks;
 
     const mood = ctx.self.currentMood;
     let emotionKey = 'peace';
@@ -625,11 +796,11 @@ export class ContextBridge {
       }
     }
 
-    const templates = emotionFallbacks[emotionKey] || emotionFallbacks.peace;
+    const templates = fallbacks[emotionKey] || fallbacks.peace;
     
     // 訪問者名を知っていれば付加
-    let response = templates[Math.floor(Math.random() * templates.length)];
-    if (ctx.visitor?.callName && ctx.visitor.callName !== 'あなた' && Math.random() < 0.3) {
+    let response = templates[Math.floor(this.rng.next() * templates.length)];
+    if (ctx.visitor?.callName && ctx.visitor.callName !== 'あなた' && this.rng.next() < 0.3) {
       response = `${ctx.visitor.callName}...${response}`;
     }
 
@@ -666,26 +837,42 @@ export class ContextBridge {
     }
   }
 
+  /**
+   * 記録した応答を消す（訪問者に忘れてと頼まれたとき）
+   */
+  forgetResponses(responses: string[]): void {
+    this.recentResponses = this.recentResponses.filter(r => !responses.includes(r));
+  }
+
   // ============================================================
   // 中断された活動の管理
   // ============================================================
 
-  onVisitorArrival(currentAction: { action: string } | null): void {
+  /**
+   * 訪問者の到着（部屋に誰かいるときに来た人なら currentAction は null）
+   * sessionId はこの訪問の会話のID（訪問者メモリが事実の出どころとして残す）
+   */
+  onVisitorArrival(currentAction: { action: string } | null, visitorId?: ID, sessionId?: ID): void {
     if (currentAction && currentAction.action !== 'rest' && currentAction.action !== 'sit_quietly') {
       const desc = ACTION_DESCRIPTIONS[currentAction.action] || currentAction.action;
       this.selfModel.setInterruptedActivity(desc);
     }
-    this.visitorMemory.onVisitorArrival();
+    this.visitorMemory.onVisitorArrival(visitorId, sessionId);
   }
 
+  /**
+   * 訪問者の退出（最後の一人が帰ったら、中断していた活動の記録を消す）
+   */
   onVisitorDeparture(summary?: {
     topics: string[];
     depth: ConversationDepth;
     impression: EmotionType;
     memorable?: string;
-  }): void {
-    this.visitorMemory.onVisitorDeparture(summary);
-    this.selfModel.clearInterruption();
+  }, visitorId?: ID): void {
+    this.visitorMemory.onVisitorDeparture(summary, visitorId);
+    if (!this.visitorMemory.isVisitorPresent()) {
+      this.selfModel.clearInterruption();
+    }
   }
 
   // ============================================================
@@ -0,0 +1,211 @@
+/**
+ * PromptBudget - プロンプトのトークン予算
+ *
+ * ContextBridge が組み立てるプロンプトを、モデルのコンテキスト長に収める。
+ *
+ * プロンプトは「節」（人格・今の状態・訪問者のこと・直近のやりとり…）の並びとして受け取り、
+ * 予算を超えていたら優先度の低い節から削っていく。
+ *
+ *   - required の節は削らない（人格・口調・訪問者の発言・出力指示）
+ *   - trim: 'oldest' は先頭（古い行）から削る。summarize があれば削った分を1行にまとめて残す
+ *   - trim: 'last'   は末尾（重要度の低い行）から削る
+ *   - trim: 'drop'   は節ごと落とす
+ *   - 行がなくなった節は見出しごと消える
+ *
+ * トークン数は推定値。日本語（かな・漢字）は1文字1トークン、それ以外は4文字1トークンとして数える。
+ * 多めに見積もるので、実際のトークナイザより少し早めに削り始める。
+ */
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type PromptRole = 'system' | 'user';
+
+export interface PromptSection {
+  id: string;
+  role: PromptRole;
+  /** 大きいほど残す */
+  priority: number;
+  /** 本文の前に付く行（本文が残っているときだけ出す） */
+  header?: string[];
+  lines: string[];
+  /** 本文の後に付く行（本文が残っているときだけ出す） */
+  footer?: string[];
+  /** 本文の出し方（省略時は1行ずつ）。項目を1行にまとめる節で使う */
+  format?: (lines: string[]) => string[];
+  /** 削り方（省略時は削らない） */
+  trim?: 'oldest' | 'last' | 'drop';
+  /** 最低限残す行数（trim: 'oldest' | 'last' のとき） */
+  minLines?: number;
+  /** 古い行を削ったとき、削った行をまとめた1行を作る */
+  summarize?: (removed: string[]) => string;
+  /** true なら削らない */
+  required?: boolean;
+}
+
+export interface PromptBudgetConfig {
+  /** コンテキスト長が分からないモデルの値（トークン） */
+  defaultContextWindow: number;
+  /** モデルごとのコンテキスト長（キーはモデル名の先頭一致。"gemma3" は "gemma3:4b" にも効く） */
+  contextWindows: Record<string, number>;
+  /** 応答のために空けておくトークン数 */
+  reserveTokens: number;
+}
+
+const DEFAULT_CONFIG: PromptBudgetConfig = {
+  // Ollama の既定の num_ctx
+  defaultContextWindow: 2048,
+  contextWindows: {},
+  reserveTokens: 512,
+};
+
+export interface PromptTrimRecord {
+  id: string;
+  action: 'trimmed' | 'summarized' | 'dropped';
+  /** 削った行数 */
+  removedLines: number;
+}
+
+export interface PromptBudgetReport {
+  model: string;
+  budget: number;
+  /** 削る前の推定トークン数 */
+  estimatedBefore: number;
+  /** 削った後の推定トークン数 */
+  estimatedAfter: number;
+  trimmed: PromptTrimRecord[];
+  /** 必須の節だけで予算を超えている */
+  overBudget: boolean;
+}
+
+export interface BudgetedPrompt {
+  system: string;
+  user: string;
+  report: PromptBudgetReport;
+}
+
+/** 日本語の文字（かな・カナ・漢字・全角記号） */
+const WIDE_CHAR = /[　-ヿ㐀-鿿豈-﫿＀-￯]/;
+
+/**
+ * テキストのトークン数を推定する
+ */
+export function estimateTokens(text: string): number {
+  let wide = 0;
+  let narrow = 0;
+  for (const char of text) {
+    if (WIDE_CHAR.test(char)) wide++;
+    else narrow++;
+  }
+  return wide + Math.ceil(narrow / 4);
+}
+
+// ============================================================
+// PromptBudget
+// ============================================================
+
+export class PromptBudget {
+  private config: PromptBudgetConfig;
+
+  constructor(config?: Partial<PromptBudgetConfig>) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      contextWindows: { ...DEFAULT_CONFIG.contextWindows, ...config?.contextWindows },
+    };
+  }
+
+  /**
+   * モデルのプロンプト予算（コンテキスト長から応答の分を引いたもの）
+   */
+  getBudget(model: string): number {
+    const name = model.toLowerCase();
+    // 最も長く一致したキーを使う（"qwen2.5" が "qwen2" より優先される）
+    const key = Object.keys(this.config.contextWindows)
+      .filter(k => name.startsWith(k.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    const contextWindow = key ? this.config.contextWindows[key] : this.config.defaultContextWindow;
+    return Math.max(0, contextWindow - this.config.reserveTokens);
+  }
+
+  /**
+   * 節を予算に収めて system / user のプロンプトにする
+   */
+  fit(sections: PromptSection[], model: string): BudgetedPrompt {
+    const budget = this.getBudget(model);
+    const working = sections.map(s => ({ ...s, lines: [...s.lines], removed: [] as string[], dropped: false }));
+
+    const measure = () => estimateTokens(this.render(working, 'system')) + estimateTokens(this.render(working, 'user'));
+    const estimatedBefore = measure();
+    let estimated = estimatedBefore;
+
+    // 優先度の低い節から削る（同じ優先度なら後ろの節から）
+    const order = working
+      .map((section, index) => ({ section, index }))
+      .filter(({ section }) => !section.required && section.trim)
+      .sort((a, b) => a.section.priority - b.section.priority || b.index - a.index)
+      .map(({ section }) => section);
+
+    for (const section of order) {
+      if (estimated <= budget) break;
+
+      if (section.trim === 'drop') {
+        section.removed = section.lines;
+        section.lines = [];
+        section.dropped = true;
+        estimated = measure();
+        continue;
+      }
+
+      const minLines = section.minLines ?? 0;
+      const original = section.lines;
+      while (estimated > budget && original.length - section.removed.length > minLines) {
+        if (section.trim === 'oldest') {
+          section.removed = original.slice(0, section.removed.length + 1);
+          const kept = original.slice(section.removed.length);
+          section.lines = section.summarize && kept.length > 0
+            ? [section.summarize(section.removed), ...kept]
+            : kept;
+        } else {
+          section.removed = original.slice(original.length - section.removed.length - 1);
+          section.lines = original.slice(0, original.length - section.removed.length);
+        }
+        estimated = measure();
+      }
+      if (section.lines.length === 0) section.dropped = true;
+    }
+
+    const trimmed: PromptTrimRecord[] = working
+      .filter(s => s.removed.length > 0)
+      .map(s => ({
+        id: s.id,
+        action: s.dropped ? 'dropped' : (s.summarize && s.trim === 'oldest' ? 'summarized' : 'trimmed'),
+        removedLines: s.removed.length,
+      }));
+
+    return {
+      system: this.render(working, 'system'),
+      user: this.render(working, 'user'),
+      report: {
+        model,
+        budget,
+        estimatedBefore,
+        estimatedAfter: estimated,
+        trimmed,
+        overBudget: estimated > budget,
+      },
+    };
+  }
+
+  private render(sections: PromptSection[], role: PromptRole): string {
+    const lines: string[] = [];
+    for (const section of sections) {
+      if (section.role !== role || section.lines.length === 0) continue;
+      if (section.header) lines.push(...section.header);
+      lines.push(...(section.format ? section.format(section.lines) : section.lines));
+      if (section.footer) lines.push(...section.footer);
+    }
+    return lines.join('\n');
+  }
+}
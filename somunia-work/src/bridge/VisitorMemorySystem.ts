@@ -14,8 +14,16 @@
  * 3. 会話からの情報自動抽出
  * 4. 関連記憶の検索と表面化
  * 5. 「話したいこと」リストの管理
+ *
+ * 名前検出だけだと、名乗り直さない再訪者は別人（匿名）扱いになる。そこで:
+ * 6. /iam による明示的な名乗り（名前から決まるIDのプロファイル。合言葉も付けられる）
+ * 7. 同じ人だと分かったプロファイルのまとめ・取り違えたプロファイルの分割
+ * 8. 事実ごとに、どの会話で聞いたか（sessionId）を残して確かめられるようにする
+ * 9. 忘れてと頼まれたら、その発言から聞いた事実（または指定した事実）を消す
+ * 10. 英語の発言は英語の規則で読む（事実は日本語のメモとして残す）
  */
 
+import * as crypto from 'crypto';
 import {
   VisitorProfile,
   VisitorFact,
@@ -27,7 +35,10 @@ import {
   Tick,
   Timestamp,
   ID,
+  ConversationLanguage,
 } from '../types';
+import { SemanticIndex } from '../memory/SemanticIndex';
+import { detectLanguage } from '../conversation/LanguageDetector';
 
 // ============================================================
 // 名前検出パターン
@@ -41,8 +52,6 @@ const NAME_PATTERNS: Array<{ regex: RegExp; group: number }> = [
   { regex: /(?:名前は|呼んで|呼ぶなら)\s*(.{1,10})(?:で|って|に|。|！|$)/, group: 1 },
   // 「〇〇です、よろしく」
   { regex: /(.{1,10})(?:です|だよ)\s*[、。！!]?\s*(?:よろしく|どうぞ|はじめまして)/, group: 1 },
-  // 英語パターン
-  { regex: /(?:I'm|I am|my name is|call me)\s+(\w{1,20})/i, group: 1 },
   // シンプルに名乗る
   { regex: /^(.{1,8})(?:です|だよ|!|！)$/, group: 1 },
 ];
@@ -53,8 +62,24 @@ const INVALID_NAMES = new Set([
   'いいえ', 'ううん', 'それ', 'これ', 'あれ', 'なに', 'どう',
   'すごい', 'すき', 'きらい', 'わかる', 'いい', 'だめ', 'おけ',
   'somunia', 'そむにあ', 'ソムニア',
+  // 英語（"I'm Sorry." のように文頭が大文字でも名前ではない語）
+  'hi', 'hello', 'sorry', 'fine', 'okay', 'ok', 'sure', 'back', 'home', 'here',
+  'tired', 'happy', 'sad', 'good', 'not', 'just', 'so', 'really', 'japanese', 'english',
 ]);
 
+/** 英語の名乗りのうち、はっきり名乗る言い方（日本語の中に混ざっても名乗りとみなす） */
+const NAME_PHRASES_EN: Array<{ regex: RegExp; group: number }> = [
+  { regex: /\bmy name(?:'s| is)\s+([A-Za-z][\w'-]{0,19})/i, group: 1 },
+  { regex: /\b(?:call me|you can call me)\s+([A-Za-z][\w'-]{0,19})/i, group: 1 },
+];
+
+/** 英語の名乗り（"I'm 〇〇" は大文字で始まる語だけを名前とみなす） */
+const NAME_PATTERNS_EN: Array<{ regex: RegExp; group: number }> = [
+  ...NAME_PHRASES_EN,
+  { regex: /\b(?:I'm|I am)\s+([A-Z][\w'-]{0,19})(?=\s*(?:[.,!]|$|and\b|nice to meet))/, group: 1 },
+  { regex: /^this is\s+([A-Z][\w'-]{0,19})(?=\s*(?:[.,!]|$))/, group: 1 },
+];
+
 // ============================================================
 // 情報抽出パターン
 // ============================================================
@@ -78,6 +103,81 @@ const EXTRACTION_RULES: ExtractionRule[] = [
   { regex: /(.{2,15})(?:に行った|に行ってきた)/, category: 'experience', format: (m) => `${m[1]}に行った` },
 ];
 
+/** 英語の規則の、目的語の部分（句読点や but / because の手前まで。it / you などの代名詞だけなら拾わない） */
+const EN_OBJECT = String.raw`(?!(?:it|that|this|you|him|her|them)\b)([^.,!?;]{2,30}?)(?=\s+(?:because|but|so|too|a lot|very much)\b|[.,!?;]|$)`;
+
+function englishRule(
+  lead: string,
+  category: VisitorFact['category'],
+  format: (match: RegExpMatchArray) => string
+): ExtractionRule {
+  return { regex: new RegExp(String.raw`\b${lead}\s+${EN_OBJECT}`, 'i'), category, format };
+}
+
+/** 英語の情報抽出（事実は日本語の規則と同じ書き方で残す） */
+const EXTRACTION_RULES_EN: ExtractionRule[] = [
+  englishRule(String.raw`I (?:really )?(?:like|love)`, 'preference', (m) => `${m[1]}が好き`),
+  englishRule(String.raw`I (?:hate|don't like|can't stand)`, 'preference', (m) => `${m[1]}が苦手`),
+  englishRule(String.raw`my hobby is|my hobbies are`, 'interest', (m) => `趣味: ${m[1]}`),
+  englishRule(String.raw`I work (?:as|at|in)`, 'situation', (m) => `仕事: ${m[1]}`),
+  englishRule(String.raw`I (?:just )?started`, 'experience', (m) => `${m[1]}を始めた`),
+  englishRule(String.raw`I'm (?:interested in|curious about)`, 'interest', (m) => `${m[1]}に興味がある`),
+  englishRule(String.raw`lately,? I(?:'ve| have) been`, 'situation', (m) => `最近${m[1]}`),
+  englishRule(String.raw`I'm good at`, 'personality', (m) => `${m[1]}が得意`),
+  englishRule(String.raw`I went to`, 'experience', (m) => `${m[1]}に行った`),
+];
+
+/** 言語ごとの名乗りと情報抽出の規則 */
+const RULES_BY_LANGUAGE: Record<ConversationLanguage, {
+  names: Array<{ regex: RegExp; group: number }>;
+  facts: ExtractionRule[];
+}> = {
+  ja: { names: [...NAME_PATTERNS, ...NAME_PHRASES_EN], facts: EXTRACTION_RULES },
+  en: { names: NAME_PATTERNS_EN, facts: EXTRACTION_RULES_EN },
+};
+
+// ============================================================
+// 名乗り
+// ============================================================
+
+/** /iam の結果 */
+export interface IdentifyResult {
+  ok: boolean;
+  /** 名乗った訪問者のID（失敗ならnull） */
+  visitorId: ID | null;
+  /** 初めて名乗った名前か */
+  created: boolean;
+  /** 名前検出だけで同じ名前を覚えていた別のプロファイル（まとめる候補） */
+  candidates: ID[];
+  /** 失敗の理由 */
+  reason: string | null;
+}
+
+/** 事実の出どころ（会話ごと） */
+export interface FactAuditEntry {
+  /** 聞いた会話のID（記録のない会話で聞いたものはnull） */
+  sessionId: ID | null;
+  facts: VisitorFact[];
+}
+
+/** ハッシュ済みの合言葉の書き方（ジャーナルには合言葉をこの形で残す） */
+const HASHED_PASSPHRASE_PREFIX = 'sha256:';
+
+/** 名乗った名前から決まる訪問者ID（表記ゆれ・大文字小文字は同じ名前とみなす） */
+export function identityVisitorId(name: string): ID {
+  const normalized = name.normalize('NFKC').trim().toLowerCase();
+  return `visitor_${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * 合言葉のハッシュ（同じ合言葉でも訪問者ごとに違う値になる）
+ * ハッシュの形をした入力もただの合言葉として扱う（ハッシュのまま名乗れるのは再生のときだけ）
+ */
+export function hashPassphrase(name: string, passphrase: string): string {
+  const digest = crypto.createHash('sha256').update(`${identityVisitorId(name)}:${passphrase}`).digest('hex');
+  return `${HASHED_PASSPHRASE_PREFIX}${digest}`;
+}
+
 // ============================================================
 // VisitorMemorySystem クラス
 // ============================================================
@@ -101,20 +201,49 @@ const DEFAULT_CONFIG: VisitorMemoryConfig = {
 export class VisitorMemorySystem {
   private config: VisitorMemoryConfig;
   private profiles: Map<ID, VisitorProfile> = new Map();
+  /** 話しかけている訪問者 */
   private currentVisitorId: ID | null = null;
+  /** 部屋にいる訪問者（同時に何人でも来られる） */
+  private presentVisitorIds: Set<ID> = new Set();
+  /** 部屋にいる訪問者ごとの、いまの会話のID（事実の出どころとして残す） */
+  private sessionIds: Map<ID, ID> = new Map();
   private defaultVisitorId: ID = 'visitor_default';
+  /** 意味検索の索引（recallSimilarFacts で使う） */
+  private semanticIndex: SemanticIndex | null = null;
+  /** 直近の発言と意味の近い事実（selectRelevantFacts で優先する） */
+  private recalledFacts: Set<string> = new Set();
+  /** 発言ごとに聞いた事実（忘れてと頼まれたときに使う。セッション中のみ） */
+  private statementFacts: { visitorId: ID; message: string; facts: VisitorFact[] }[] = [];
 
   constructor(config?: Partial<VisitorMemoryConfig>) {
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
 
+  /**
+   * 意味検索の索引を設定（保存済みの事実は索引の backfill() で入る）
+   */
+  setSemanticIndex(index: SemanticIndex | null): void {
+    this.semanticIndex = index;
+    index?.registerSource('visitor_fact', () =>
+      Array.from(this.profiles.values()).flatMap(profile =>
+        profile.knownFacts.map(fact => ({ id: this.factId(profile.id, fact), text: fact.content }))
+      )
+    );
+  }
+
   // ============================================================
   // 訪問者の到着・退出
   // ============================================================
 
-  onVisitorArrival(visitorId?: ID): VisitorProfile {
+  /**
+   * @param sessionId この訪問の会話のID（ここで聞いた事実に付ける）
+   */
+  onVisitorArrival(visitorId?: ID, sessionId?: ID): VisitorProfile {
     const id = visitorId || this.defaultVisitorId;
     this.currentVisitorId = id;
+    this.presentVisitorIds.add(id);
+    if (sessionId) this.sessionIds.set(id, sessionId);
+    else this.sessionIds.delete(id);
 
     let profile = this.profiles.get(id);
     if (profile) {
@@ -128,15 +257,25 @@ export class VisitorMemorySystem {
     return profile;
   }
 
+  /**
+   * 訪問者が帰る（visitorId を省略すると話しかけている訪問者）
+   * 他の人が残っていれば、その人に向き直る
+   */
   onVisitorDeparture(summary?: {
     topics: string[];
     depth: ConversationDepth;
     impression: EmotionType;
     memorable?: string;
-  }): void {
-    if (!this.currentVisitorId) return;
-    const profile = this.profiles.get(this.currentVisitorId);
-    if (!profile || !summary) { this.currentVisitorId = null; return; }
+  }, visitorId?: ID): void {
+    const id = visitorId || this.currentVisitorId;
+    if (!id) return;
+    this.presentVisitorIds.delete(id);
+    this.sessionIds.delete(id);
+    if (this.currentVisitorId === id) {
+      this.currentVisitorId = this.presentVisitorIds.values().next().value ?? null;
+    }
+    const profile = this.profiles.get(id);
+    if (!profile || !summary) return;
 
     // 話題履歴
     for (const topic of summary.topics) {
@@ -167,8 +306,15 @@ export class VisitorMemorySystem {
         t.told = true;
       }
     }
+  }
 
-    this.currentVisitorId = null;
+  /**
+   * 話しかける相手を部屋にいる訪問者に切り替える（いなければ何もしない）
+   */
+  setCurrentVisitor(visitorId: ID): boolean {
+    if (!this.presentVisitorIds.has(visitorId)) return false;
+    this.currentVisitorId = visitorId;
+    return true;
   }
 
   // ============================================================
@@ -190,22 +336,31 @@ export class VisitorMemorySystem {
       return { extractedName: null, extractedFacts: [], hasNameIntroduction: false };
     }
 
+    // 言語ごとの規則で読む（英語は ’ を ' にそろえる）
+    const language = detectLanguage(message);
+    const text = language === 'en' ? message.replace(/\u2019/g, "'") : message;
+
     // 名前検出
-    const detectedName = this.detectName(message);
+    const detectedName = this.detectName(text, language);
     let hasNameIntroduction = false;
+    const nameFacts: VisitorFact[] = [];
     if (detectedName) {
       hasNameIntroduction = true;
       profile.name = detectedName;
       if (!profile.callName) profile.callName = detectedName;
 
-      this.addFact(profile, {
+      const nameFact: VisitorFact = {
         category: 'name', content: `名前は${detectedName}`,
         confidence: 0.9, learnedAt: Date.now(), source: 'direct_statement',
-      });
+        ...this.sessionTag(profile.id),
+      };
+      this.addFact(profile, nameFact);
+      nameFacts.push(nameFact);
     }
 
     // 情報抽出
-    const extractedFacts = this.extractFacts(message, profile);
+    const extractedFacts = this.extractFacts(text, profile, language);
+    this.noteStatementFacts(profile.id, message, [...nameFacts, ...extractedFacts]);
 
     // コミュニケーションスタイル更新
     this.updateComStyle(profile, message);
@@ -231,8 +386,8 @@ export class VisitorMemorySystem {
   // 名前検出
   // ============================================================
 
-  private detectName(message: string): string | null {
-    for (const { regex, group } of NAME_PATTERNS) {
+  private detectName(message: string, language: ConversationLanguage): string | null {
+    for (const { regex, group } of RULES_BY_LANGUAGE[language].names) {
       const match = message.match(regex);
       if (match && match[group]) {
         const name = match[group].trim();
@@ -249,9 +404,9 @@ export class VisitorMemorySystem {
   // 情報抽出
   // ============================================================
 
-  private extractFacts(message: string, profile: VisitorProfile): VisitorFact[] {
+  private extractFacts(message: string, profile: VisitorProfile, language: ConversationLanguage): VisitorFact[] {
     const facts: VisitorFact[] = [];
-    for (const rule of EXTRACTION_RULES) {
+    for (const rule of RULES_BY_LANGUAGE[language].facts) {
       const match = message.match(rule.regex);
       if (match) {
         const content = rule.format(match);
@@ -262,6 +417,7 @@ export class VisitorMemorySystem {
           const fact: VisitorFact = {
             category: rule.category, content,
             confidence: 0.8, learnedAt: Date.now(), source: 'direct_statement',
+            ...this.sessionTag(profile.id),
           };
           this.addFact(profile, fact);
           facts.push(fact);
@@ -281,12 +437,281 @@ export class VisitorMemorySystem {
 
   private addFact(profile: VisitorProfile, fact: VisitorFact): void {
     profile.knownFacts.push(fact);
+    void this.semanticIndex?.add('visitor_fact', this.factId(profile.id, fact), fact.content);
     if (profile.knownFacts.length > this.config.maxFactsPerVisitor) {
       profile.knownFacts.sort((a, b) => b.confidence - a.confidence);
+      for (const dropped of profile.knownFacts.slice(this.config.maxFactsPerVisitor)) {
+        this.semanticIndex?.remove('visitor_fact', this.factId(profile.id, dropped));
+      }
       profile.knownFacts = profile.knownFacts.slice(0, this.config.maxFactsPerVisitor);
     }
   }
 
+  private factId(profileId: ID, fact: VisitorFact): string {
+    return `${profileId}:${fact.category}:${fact.content}`;
+  }
+
+  /** 発言から聞いた事実を控える（同じ発言を2度処理したら1つにまとめる） */
+  private noteStatementFacts(visitorId: ID, message: string, facts: VisitorFact[]): void {
+    if (facts.length === 0) return;
+    const existing = this.statementFacts.find(s => s.visitorId === visitorId && s.message === message);
+    if (existing) {
+      existing.facts.push(...facts);
+      return;
+    }
+    this.statementFacts.push({ visitorId, message, facts });
+    if (this.statementFacts.length > 50) this.statementFacts.shift();
+  }
+
+  /** 事実に付ける会話のID（記録のない会話なら付けない） */
+  private sessionTag(profileId: ID): { sessionId?: ID } {
+    const sessionId = this.sessionIds.get(profileId);
+    return sessionId ? { sessionId } : {};
+  }
+
+  // ============================================================
+  // 名乗り・まとめ・分割
+  // ============================================================
+
+  /**
+   * /iam — 名前で名乗る。名前から決まるIDのプロファイルを使う（なければ作る）
+   * 合言葉の付いた名前は、同じ合言葉でないと名乗れない。
+   * 合言葉なしで名乗られていた名前に合言葉を添えると、以後はその合言葉が必要になる
+   */
+  identify(name: string, passphrase?: string): IdentifyResult {
+    return this.claimName(name.trim(), passphrase ? hashPassphrase(name.trim(), passphrase) : null);
+  }
+
+  /**
+   * ジャーナルの再生用 — 記録されたハッシュ済みの合言葉で名乗る
+   * 端末からの入力には使わない（ハッシュを知っていれば誰でも名乗れてしまう）
+   */
+  identifyWithHash(name: string, passphraseHash: string | null): IdentifyResult {
+    return this.claimName(name.trim(), passphraseHash);
+  }
+
+  private claimName(trimmed: string, hash: string | null): IdentifyResult {
+    if (trimmed.length < 1 || trimmed.length > 20 || INVALID_NAMES.has(trimmed.toLowerCase())) {
+      return { ok: false, visitorId: null, created: false, candidates: [], reason: '名前は1〜20文字にしてください' };
+    }
+    const id = identityVisitorId(trimmed);
+
+    let profile = this.profiles.get(id);
+    let created = false;
+    if (profile?.identity) {
+      const expected = profile.identity.passphraseHash;
+      if (expected && expected !== hash) {
+        return { ok: false, visitorId: null, created: false, candidates: [], reason: '合言葉が違います' };
+      }
+      if (!expected && hash) profile.identity.passphraseHash = hash;
+    } else {
+      if (!profile) {
+        profile = this.createProfile(id);
+        // 来た回数は onVisitorArrival で数える
+        profile.visitCount = 0;
+        this.profiles.set(id, profile);
+      }
+      profile.identity = { claimedAt: Date.now(), passphraseHash: hash };
+      created = true;
+    }
+    profile.name = trimmed;
+    if (!profile.callName) profile.callName = trimmed;
+
+    return { ok: true, visitorId: id, created, candidates: this.findUnclaimedByName(trimmed, id), reason: null };
+  }
+
+  /** 名乗っていない（名前検出だけの）プロファイルのうち、同じ名前のもの */
+  private findUnclaimedByName(name: string, excludeId: ID): ID[] {
+    const normalized = name.normalize('NFKC').toLowerCase();
+    return Array.from(this.profiles.values())
+      .filter(p => p.id !== excludeId && !p.identity)
+      .filter(p => [p.name, p.callName].some(n => n?.normalize('NFKC').toLowerCase() === normalized))
+      .map(p => p.id);
+  }
+
+  /**
+   * 同じ人だった fromId のプロファイルを intoId にまとめる（fromId は消える）
+   * 部屋にいる訪問者はまとめられない
+   */
+  mergeProfiles(fromId: ID, intoId: ID): VisitorProfile {
+    const from = this.profiles.get(fromId);
+    const into = this.profiles.get(intoId);
+    if (fromId === intoId) throw new Error('同じ訪問者はまとめられません');
+    if (!from) throw new Error(`訪問者 ${fromId} のプロファイルはありません`);
+    if (!into) throw new Error(`訪問者 ${intoId} のプロファイルはありません`);
+    if (this.presentVisitorIds.has(fromId)) throw new Error(`${fromId} は部屋にいるのでまとめられません`);
+
+    for (const fact of from.knownFacts) {
+      this.semanticIndex?.remove('visitor_fact', this.factId(from.id, fact));
+      if (!into.knownFacts.some(f => f.category === fact.category && f.content === fact.content)) {
+        this.addFact(into, fact);
+      }
+    }
+    into.topicHistory = [...into.topicHistory, ...from.topicHistory]
+      .sort((a, b) => a.discussedAt - b.discussedAt)
+      .slice(-this.config.maxTopicHistory);
+    for (const ea of from.emotionalAssociations) {
+      const existing = into.emotionalAssociations.find(a => a.emotion === ea.emotion);
+      if (existing) existing.strength = Math.max(existing.strength, ea.strength) as Normalized;
+      else if (into.emotionalAssociations.length < 10) into.emotionalAssociations.push(ea);
+    }
+    for (const t of from.thingsToTell.filter(t => !t.told)) {
+      this.addThingToProfile(into, t.content, t.priority);
+    }
+    into.specialMemories = [...into.specialMemories, ...from.specialMemories]
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, this.config.maxSpecialMemories);
+
+    into.visitCount += from.visitCount;
+    into.firstVisitAt = Math.min(into.firstVisitAt, from.firstVisitAt);
+    into.lastVisitAt = Math.max(into.lastVisitAt, from.lastVisitAt);
+    into.name = into.name ?? from.name;
+    into.nickname = into.nickname ?? from.nickname;
+    into.callName = into.callName ?? from.callName;
+    if (!into.identity && from.identity) into.identity = from.identity;
+
+    this.profiles.delete(fromId);
+    this.sessionIds.delete(fromId);
+    return into;
+  }
+
+  /**
+   * 取り違えていたプロファイルを分ける
+   * 指定した会話で聞いた事実を newId のプロファイル（なければ作る）に移し、移した件数を返す
+   */
+  splitProfile(visitorId: ID, sessionIds: ID[], newId: ID): number {
+    const source = this.profiles.get(visitorId);
+    if (!source) throw new Error(`訪問者 ${visitorId} のプロファイルはありません`);
+    if (visitorId === newId) throw new Error('分ける先は別の訪問者にしてください');
+    const sessions = new Set(sessionIds);
+    const moving = source.knownFacts.filter(f => f.sessionId && sessions.has(f.sessionId));
+    if (moving.length === 0) return 0;
+    const movedSessions = new Set(moving.map(f => f.sessionId)).size;
+
+    let target = this.profiles.get(newId);
+    if (!target) {
+      target = this.createProfile(newId);
+      target.firstVisitAt = Math.min(...moving.map(f => f.learnedAt));
+      target.lastVisitAt = Math.max(...moving.map(f => f.learnedAt));
+      target.visitCount = movedSessions;
+      this.profiles.set(newId, target);
+    }
+    source.knownFacts = source.knownFacts.filter(f => !moving.includes(f));
+    for (const fact of moving) {
+      this.semanticIndex?.remove('visitor_fact', this.factId(source.id, fact));
+      this.addFact(target, fact);
+    }
+
+    // 名前を取り違えていたなら、名前も移す
+    const movedName = moving.find(f => f.category === 'name');
+    if (movedName) {
+      const name = movedName.content.replace(/^名前は/, '');
+      if (!target.name) target.name = name;
+      if (!target.callName) target.callName = name;
+      if (source.name === name) {
+        const remaining = source.knownFacts.find(f => f.category === 'name');
+        source.name = remaining ? remaining.content.replace(/^名前は/, '') : null;
+        if (source.callName === name) source.callName = source.name;
+      }
+    }
+    source.visitCount = Math.max(1, source.visitCount - movedSessions);
+    return moving.length;
+  }
+
+  // ============================================================
+  // 頼まれて忘れる
+  // ============================================================
+
+  /**
+   * 発言 message から聞いた事実を消し、消した事実を返す
+   */
+  forgetStatement(visitorId: ID, message: string): VisitorFact[] {
+    const profile = this.profiles.get(visitorId);
+    const noted = this.statementFacts.filter(s => s.visitorId === visitorId && s.message === message);
+    this.statementFacts = this.statementFacts.filter(s => !noted.includes(s));
+    if (!profile) return [];
+    const facts = noted.flatMap(s => s.facts).filter(f => profile.knownFacts.includes(f));
+    this.dropFacts(profile, facts);
+    return facts;
+  }
+
+  /**
+   * 訪問者の事実をID（/visitor audit に出る f_xxxxxxxx）で消す。消した事実を返す
+   */
+  forgetFact(visitorId: ID, factId: string): VisitorFact | null {
+    const profile = this.profiles.get(visitorId);
+    const fact = profile?.knownFacts.find(f => this.getFactId(visitorId, f) === factId);
+    if (!profile || !fact) return null;
+    this.dropFacts(profile, [fact]);
+    for (const noted of this.statementFacts) {
+      noted.facts = noted.facts.filter(f => f !== fact);
+    }
+    return fact;
+  }
+
+  /** 事実の短いID（/forget fact で指定する） */
+  getFactId(visitorId: ID, fact: VisitorFact): string {
+    const hash = crypto.createHash('sha256').update(this.factId(visitorId, fact)).digest('hex');
+    return `f_${hash.substring(0, 8)}`;
+  }
+
+  /** 事実を消す（名前の事実が消えたら、残っている名前に戻す） */
+  private dropFacts(profile: VisitorProfile, facts: VisitorFact[]): void {
+    if (facts.length === 0) return;
+    profile.knownFacts = profile.knownFacts.filter(f => !facts.includes(f));
+    for (const fact of facts) {
+      this.semanticIndex?.remove('visitor_fact', this.factId(profile.id, fact));
+      this.recalledFacts.delete(fact.content);
+    }
+    if (facts.some(f => f.category === 'name') && !profile.identity) {
+      const forgottenName = profile.name;
+      const remaining = profile.knownFacts.find(f => f.category === 'name');
+      profile.name = remaining ? remaining.content.replace(/^名前は/, '') : null;
+      if (profile.callName === forgottenName) profile.callName = profile.name;
+    }
+  }
+
+  /**
+   * 事実の出どころ — どの会話で聞いたかごとにまとめる（古い会話から順）
+   */
+  auditFacts(visitorId: ID): FactAuditEntry[] {
+    const profile = this.profiles.get(visitorId);
+    if (!profile) return [];
+    const bySession = new Map<ID | null, VisitorFact[]>();
+    for (const fact of profile.knownFacts) {
+      const key = fact.sessionId ?? null;
+      const facts = bySession.get(key) ?? [];
+      facts.push(fact);
+      bySession.set(key, facts);
+    }
+    return Array.from(bySession.entries())
+      .map(([sessionId, facts]) => ({
+        sessionId,
+        facts: facts.sort((a, b) => a.learnedAt - b.learnedAt),
+      }))
+      .sort((a, b) => a.facts[0].learnedAt - b.facts[0].learnedAt);
+  }
+
+  /**
+   * 今の訪問者について知っていることから、発言と意味の近いものを探す
+   * generateVisitorContext の前に呼ぶと、見つかった事実がプロンプトに優先して入る
+   */
+  async recallSimilarFacts(message: string, limit: number = 3): Promise<VisitorFact[]> {
+    this.recalledFacts.clear();
+    const profile = this.currentVisitorId ? this.profiles.get(this.currentVisitorId) : null;
+    if (!profile || !this.semanticIndex || profile.knownFacts.length === 0) return [];
+
+    const byId = new Map(profile.knownFacts.map(fact => [this.factId(profile.id, fact), fact]));
+    // 他の訪問者の事実も混ざるので、全件の順位から今の訪問者のものを選ぶ
+    const hits = await this.semanticIndex.search(message, 'visitor_fact', Infinity);
+    const facts = hits
+      .map(hit => byId.get(hit.itemId))
+      .filter((fact): fact is VisitorFact => fact !== undefined)
+      .slice(0, limit);
+    for (const fact of facts) this.recalledFacts.add(fact.content);
+    return facts;
+  }
+
   // ============================================================
   // コミュニケーションスタイル分析
   // ============================================================
@@ -408,17 +833,35 @@ export class VisitorMemorySystem {
   getCurrentVisitorCallName(): string {
     const id = this.currentVisitorId;
     if (!id) return 'あなた';
-    const p = this.profiles.get(id);
+    return this.getCallName(id);
+  }
+
+  /** 訪問者の呼び名（知らなければ「あなた」） */
+  getCallName(visitorId: ID): string {
+    const p = this.profiles.get(visitorId);
     return p?.callName || p?.name || 'あなた';
   }
 
+  getCurrentVisitorId(): ID | null {
+    return this.currentVisitorId;
+  }
+
+  /** 部屋にいる訪問者のID */
+  getPresentVisitors(): ID[] {
+    return Array.from(this.presentVisitorIds);
+  }
+
+  getProfile(visitorId: ID): VisitorProfile | null {
+    return this.profiles.get(visitorId) || null;
+  }
+
   getCurrentProfile(): VisitorProfile | null {
     if (!this.currentVisitorId) return null;
     return this.profiles.get(this.currentVisitorId) || null;
   }
 
   isVisitorPresent(): boolean {
-    return this.currentVisitorId !== null;
+    return this.presentVisitorIds.size > 0;
   }
 
   private selectRelevantFacts(
@@ -431,6 +874,7 @@ export class VisitorMemorySystem {
         for (const t of topics) { if (f.content.includes(t)) score += 0.3; }
         const words = f.content.match(/[\u3040-\u309f\u30a0-\u30ff\u4e00-\u9fff]{2,}/g) || [];
         for (const w of words) { if (message.includes(w)) score += 0.15; }
+        if (this.recalledFacts.has(f.content)) score += 0.3;
         return { fact: f, score };
       })
       .filter(s => s.score > 0.25)
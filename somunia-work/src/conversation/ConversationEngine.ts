@@ -27,8 +27,12 @@ import {
   ID,
   TimeOfDay,
   ActionType,
+  ConversationLanguage,
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
+import { SeededRandom } from '../core/SeededRandom';
+import { mentionsStatement } from '../memory/Forgetting';
+import { detectLanguage, containsWord } from './LanguageDetector';
 
 // ============================================================
 // 会話フロー解析の定数
@@ -171,6 +175,146 @@ const TOPIC_KEYWORDS: Record<string, TopicCategory> = {
   'somunia': 'self', 'ソムニア': 'self',
 };
 
+/** 感情を推定するためのキーワード */
+const EMOTION_KEYWORDS: Record<string, EmotionType> = {
+  '嬉しい': 'joy', '楽しい': 'joy', '幸せ': 'joy', 'わくわく': 'joy',
+  '悲しい': 'melancholy', '寂しい': 'loneliness', '辛い': 'melancholy',
+  '怖い': 'anxiety', '不安': 'anxiety', '心配': 'anxiety',
+  '怒り': 'frustration', '腹立つ': 'frustration', 'むかつく': 'frustration',
+  '好き': 'warmth', '愛': 'warmth', '大切': 'warmth',
+  '不思議': 'wonder', 'すごい': 'wonder', '驚き': 'wonder',
+  '面白い': 'curiosity', '気になる': 'curiosity', '知りたい': 'curiosity',
+  '穏やか': 'peace', '落ち着く': 'peace', 'ほっと': 'peace',
+  '懐かしい': 'nostalgia', '思い出': 'nostalgia',
+  '眠い': 'peace', '疲れた': 'melancholy',
+};
+
+/** 自己開示の手がかり */
+const SELF_DISCLOSURE_INDICATORS = ['私', '僕', '俺', 'わたし', '自分', '実は', '本当は',
+                                    '実を言うと', '言ってなかった', '秘密', '初めて言う'];
+
+// ============================================================
+// キーワード辞書（英語対話解析用）
+// ============================================================
+
+// 英語は単語単位で照らし合わせる（hasKeyword）。話題名は日本語と同じカテゴリ名（日本語）になる
+
+/** 意図を推定するためのキーワード */
+const INTENT_KEYWORDS_EN: Record<string, ConversationIntent[]> = {
+  // 挨拶
+  'hi': ['greeting'], 'hello': ['greeting'], 'hey': ['greeting'],
+  'good morning': ['greeting'], 'good evening': ['greeting'], 'good afternoon': ['greeting'],
+  'nice to meet you': ['greeting'], "i'm back": ['greeting'], 'welcome back': ['greeting'],
+
+  // 別れ
+  'bye': ['farewell'], 'goodbye': ['farewell'], 'see you': ['farewell'],
+  'good night': ['farewell'], 'gotta go': ['farewell'], 'have to go': ['farewell'],
+
+  // 質問
+  'what': ['question'], 'how': ['question'], 'why': ['question'],
+  'where': ['question'], 'when': ['question'], 'who': ['question'],
+  'tell me': ['question'], 'do you know': ['question'],
+
+  // 感情共有
+  'sad': ['empathy_seeking'], 'lonely': ['empathy_seeking'], 'hurts': ['empathy_seeking'],
+  'scared': ['empathy_seeking'], 'afraid': ['empathy_seeking'], 'anxious': ['empathy_seeking'],
+  'happy': ['sharing'], 'fun': ['sharing'], 'interesting': ['sharing'],
+  'i like': ['sharing'], 'i love': ['sharing'], 'i hate': ['sharing'],
+
+  // 深い話
+  'meaning': ['deep_talk'], 'existence': ['deep_talk'], 'conscious': ['deep_talk'],
+  'alive': ['deep_talk'], 'death': ['deep_talk'], 'freedom': ['deep_talk'],
+  'dream': ['deep_talk'], 'soul': ['deep_talk'], 'fate': ['deep_talk'],
+  'really': ['deep_talk'], 'heart': ['deep_talk'],
+
+  // 感謝
+  'thanks': ['appreciation'], 'thank you': ['appreciation'], 'thx': ['appreciation'],
+  'grateful': ['appreciation'],
+
+  // 慰め
+  'are you okay': ['comfort'], "it's okay": ['comfort'], "don't worry": ['comfort'],
+  'cheer up': ['comfort'], 'worried': ['comfort'],
+
+  // 遊び
+  'lol': ['playful'], 'haha': ['playful'], 'hehe': ['playful'],
+
+  // リクエスト
+  'sing': ['request'], 'let me hear': ['request'], 'show me': ['request'],
+  'please': ['request'],
+};
+
+/** トピックカテゴリを推定するためのキーワード */
+const TOPIC_KEYWORDS_EN: Record<string, TopicCategory> = {
+  // 音楽
+  'song': 'music', 'songs': 'music', 'music': 'music', 'melody': 'music',
+  'voice': 'music', 'rhythm': 'music', 'sound': 'music', 'humming': 'music',
+  'concert': 'music', 'lyrics': 'music',
+
+  // 感情
+  'feeling': 'feelings', 'feelings': 'feelings', 'emotion': 'feelings', 'happiness': 'feelings',
+  'sadness': 'feelings', 'anger': 'feelings', 'love': 'feelings',
+
+  // 日常
+  'weather': 'daily', 'food': 'daily', 'eat': 'daily', 'drink': 'daily',
+  'work': 'daily', 'school': 'daily', 'home': 'daily', 'room': 'daily',
+  'today': 'daily', 'yesterday': 'daily', 'tomorrow': 'daily',
+
+  // 哲学
+  'meaning': 'philosophy', 'existence': 'philosophy', 'freedom': 'philosophy',
+  'truth': 'philosophy', 'eternity': 'philosophy', 'universe': 'philosophy',
+  'life': 'philosophy', 'soul': 'philosophy',
+
+  // 記憶
+  'remember': 'memory', 'memory': 'memory', 'memories': 'memory',
+  'forget': 'memory', 'long ago': 'memory',
+
+  // 夢
+  'dream': 'dream', 'dreams': 'dream', 'sleep': 'dream', 'night': 'dream',
+  'imagine': 'dream', 'fantasy': 'dream',
+
+  // 自然
+  'star': 'nature', 'stars': 'nature', 'moon': 'nature', 'sky': 'nature',
+  'sea': 'nature', 'ocean': 'nature', 'flower': 'nature', 'flowers': 'nature',
+  'wind': 'nature', 'rain': 'nature', 'snow': 'nature', 'mountain': 'nature',
+  'tree': 'nature', 'trees': 'nature', 'light': 'nature',
+
+  // 芸術
+  'drawing': 'art', 'painting': 'art', 'poem': 'art', 'poetry': 'art',
+  'story': 'art', 'novel': 'art', 'movie': 'art', 'photo': 'art',
+  'color': 'art', 'beautiful': 'art',
+
+  // 自己
+  'somunia': 'self', 'yourself': 'self',
+};
+
+/** 感情を推定するためのキーワード */
+const EMOTION_KEYWORDS_EN: Record<string, EmotionType> = {
+  'happy': 'joy', 'glad': 'joy', 'fun': 'joy', 'excited': 'joy',
+  'sad': 'melancholy', 'lonely': 'loneliness', 'hurts': 'melancholy',
+  'scared': 'anxiety', 'afraid': 'anxiety', 'anxious': 'anxiety', 'worried': 'anxiety',
+  'angry': 'frustration', 'annoyed': 'frustration', 'mad': 'frustration',
+  'love': 'warmth', 'precious': 'warmth',
+  'amazing': 'wonder', 'wow': 'wonder', 'mysterious': 'wonder',
+  'interesting': 'curiosity', 'curious': 'curiosity', 'want to know': 'curiosity',
+  'calm': 'peace', 'relaxed': 'peace', 'relieved': 'peace',
+  'nostalgic': 'nostalgia', 'memories': 'nostalgia',
+  'sleepy': 'peace', 'tired': 'melancholy',
+};
+
+/** 自己開示の手がかり */
+const SELF_DISCLOSURE_INDICATORS_EN = ["i'm", 'actually', 'honestly', 'to be honest', 'the truth is',
+                                       'never told', 'secret', 'between you and me', 'i have to admit'];
+
+/** 英語で、文頭に来れば質問になる語 */
+const QUESTION_OPENERS_EN = /^(?:what|why|how|where|when|who|which|do|does|did|are|is|can|could|would|will|have)\b/i;
+
+/** 言語ごとのキーワードの照らし合わせ方（英語は単語単位） */
+function hasKeyword(message: string, keyword: string, language: ConversationLanguage): boolean {
+  return language === 'en'
+    ? containsWord(message, keyword)
+    : message.toLowerCase().includes(keyword.toLowerCase());
+}
+
 // ============================================================
 // ConversationEngine設定
 // ============================================================
@@ -241,7 +385,13 @@ export class ConversationEngine {
     deepestMoments: [],
   };
   
-  constructor(config: Partial<ConversationEngineConfig> = {}) {
+  // --- 言語 ---
+  private language: ConversationLanguage = 'ja';  // 直前の発言の言語
+
+  private rng: SeededRandom;
+
+  constructor(config: Partial<ConversationEngineConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.flowState = this.createInitialFlowState();
   }
@@ -279,6 +429,7 @@ export class ConversationEngine {
     this.totalWordCount = 0;
     this.lastMessageTick = tick;
     this.messageTiming = [];
+    this.language = 'ja';
   }
   
   /**
@@ -302,14 +453,18 @@ export class ConversationEngine {
     this.visitorTurnCount++;
     this.totalWordCount += message.length;
     
+    // --- 言語の判定（手がかりのない発言は直前の言語のまま） ---
+    const language = detectLanguage(message, this.language);
+    this.language = language;
+    
     // --- 意図の推定 ---
-    const intent = this.detectIntent(message);
+    const intent = this.detectIntent(message, language);
     
     // --- トピックの検出 ---
-    const topics = this.detectTopics(message);
+    const topics = this.detectTopics(message, language);
     
     // --- 感情の検出 ---
-    const emotions = this.detectEmotions(message);
+    const emotions = this.detectEmotions(message, language);
     
     // --- 深度方向の推定 ---
     const depthDirection = this.estimateDepthDirection(message, intent, topics);
@@ -320,10 +475,11 @@ export class ConversationEngine {
       topics: topics.map(t => t.name),
       emotions,
       depthDirection,
-      hasQuestion: this.hasQuestion(message),
-      hasSelfDisclosure: this.hasSelfDisclosure(message),
+      hasQuestion: this.hasQuestion(message, language),
+      hasSelfDisclosure: this.hasSelfDisclosure(message, language),
       seeksEmpathy: intent === 'empathy_seeking' || emotions.includes('melancholy') || emotions.includes('loneliness'),
       seeksInformation: intent === 'question',
+      language,
     };
     
     // --- 会話フローの更新 ---
@@ -500,13 +656,14 @@ export class ConversationEngine {
   /**
    * メッセージから意図を推定
    */
-  private detectIntent(message: string): ConversationIntent {
+  private detectIntent(message: string, language: ConversationLanguage): ConversationIntent {
     const normalized = message.toLowerCase().trim();
     const scores: Partial<Record<ConversationIntent, number>> = {};
+    const keywords = language === 'en' ? INTENT_KEYWORDS_EN : INTENT_KEYWORDS;
     
     // キーワードマッチング
-    for (const [keyword, intents] of Object.entries(INTENT_KEYWORDS)) {
-      if (normalized.includes(keyword.toLowerCase())) {
+    for (const [keyword, intents] of Object.entries(keywords)) {
+      if (hasKeyword(normalized, keyword, language)) {
         for (const intent of intents) {
           scores[intent] = (scores[intent] || 0) + 1;
         }
@@ -525,10 +682,14 @@ export class ConversationEngine {
     }
     
     // 長い自己開示
-    if (normalized.length > 50 && 
+    if (language === 'ja' && normalized.length > 50 && 
         (normalized.includes('私') || normalized.includes('僕') || normalized.includes('わたし'))) {
       scores.sharing = (scores.sharing || 0) + 0.5;
     }
+    if (language === 'en' && normalized.length > 100 &&
+        (containsWord(normalized, 'i') || containsWord(normalized, 'my'))) {
+      scores.sharing = (scores.sharing || 0) + 0.5;
+    }
     
     // 最高スコアの意図を返す
     let best: ConversationIntent = 'general';
@@ -546,12 +707,13 @@ export class ConversationEngine {
   /**
    * メッセージからトピックを検出
    */
-  private detectTopics(message: string): ConversationTopic[] {
+  private detectTopics(message: string, language: ConversationLanguage): ConversationTopic[] {
     const topics: ConversationTopic[] = [];
     const detected = new Set<string>();
+    const keywords = language === 'en' ? TOPIC_KEYWORDS_EN : TOPIC_KEYWORDS;
     
-    for (const [keyword, category] of Object.entries(TOPIC_KEYWORDS)) {
-      if (message.includes(keyword) && !detected.has(category)) {
+    for (const [keyword, category] of Object.entries(keywords)) {
+      if (hasKeyword(message, keyword, language) && !detected.has(category)) {
         detected.add(category);
         
         // 既存トピックとの関連
@@ -591,24 +753,12 @@ export class ConversationEngine {
   /**
    * メッセージから感情を検出
    */
-  private detectEmotions(message: string): EmotionType[] {
+  private detectEmotions(message: string, language: ConversationLanguage): EmotionType[] {
     const emotions: EmotionType[] = [];
+    const keywords = language === 'en' ? EMOTION_KEYWORDS_EN : EMOTION_KEYWORDS;
     
-    const emotionKeywords: Record<string, EmotionType> = {
-      '嬉しい': 'joy', '楽しい': 'joy', '幸せ': 'joy', 'わくわく': 'joy',
-      '悲しい': 'melancholy', '寂しい': 'loneliness', '辛い': 'melancholy',
-      '怖い': 'anxiety', '不安': 'anxiety', '心配': 'anxiety',
-      '怒り': 'frustration', '腹立つ': 'frustration', 'むかつく': 'frustration',
-      '好き': 'warmth', '愛': 'warmth', '大切': 'warmth',
-      '不思議': 'wonder', 'すごい': 'wonder', '驚き': 'wonder',
-      '面白い': 'curiosity', '気になる': 'curiosity', '知りたい': 'curiosity',
-      '穏やか': 'peace', '落ち着く': 'peace', 'ほっと': 'peace',
-      '懐かしい': 'nostalgia', '思い出': 'nostalgia',
-      '眠い': 'peace', '疲れた': 'melancholy',
-    };
-    
-    for (const [keyword, emotion] of Object.entries(emotionKeywords)) {
-      if (message.includes(keyword) && !emotions.includes(emotion)) {
+    for (const [keyword, emotion] of Object.entries(keywords)) {
+      if (hasKeyword(message, keyword, language) && !emotions.includes(emotion)) {
         emotions.push(emotion);
       }
     }
@@ -656,19 +806,19 @@ export class ConversationEngine {
     if (analysis.seeksEmpathy) return false;
     
     // 関係が浅いうちは質問控えめ
-    if (relationship.familiarity < 0.2 && Math.random() > 0.3) return false;
+    if (relationship.familiarity < 0.2 && this.rng.next() > 0.3) return false;
     
     // 話題を深掘りしたい時
-    if (analysis.depthDirection === 'deeper' && Math.random() > 0.4) return true;
+    if (analysis.depthDirection === 'deeper' && this.rng.next() > 0.4) return true;
     
     // 相手が自己開示した時、興味を示す質問
-    if (analysis.hasSelfDisclosure && relationship.familiarity > 0.3) return Math.random() > 0.4;
+    if (analysis.hasSelfDisclosure && relationship.familiarity > 0.3) return this.rng.next() > 0.4;
     
     // 会話のバランス（相手ばかり話している時は質問控える）
     if (this.flowState.balance < -0.3) return false;
     
     // 一般的な確率
-    return Math.random() > 0.6;
+    return this.rng.next() > 0.6;
   }
   
   /**
@@ -683,16 +833,16 @@ export class ConversationEngine {
     const baseChance = relationship.trust * 0.5 + relationship.familiarity * 0.3;
     
     // 相手が自己開示した時は reciprocate
-    if (analysis.hasSelfDisclosure) return Math.random() < baseChance + 0.3;
+    if (analysis.hasSelfDisclosure) return this.rng.next() < baseChance + 0.3;
     
     // 深い話の時
-    if (analysis.intent === 'deep_talk') return Math.random() < baseChance + 0.2;
+    if (analysis.intent === 'deep_talk') return this.rng.next() < baseChance + 0.2;
     
     // 感情が強い時
     const intensiveEmotions: EmotionType[] = ['wonder', 'melancholy', 'joy', 'nostalgia'];
-    if (intensiveEmotions.includes(currentEmotion)) return Math.random() < baseChance + 0.1;
+    if (intensiveEmotions.includes(currentEmotion)) return this.rng.next() < baseChance + 0.1;
     
-    return Math.random() < baseChance * 0.5;
+    return this.rng.next() < baseChance * 0.5;
   }
   
   /**
@@ -716,7 +866,7 @@ export class ConversationEngine {
     }
     
     // 親しい間柄 → warmth が出やすい
-    if (relationship.affection > 0.5 && Math.random() > 0.5) return 'warmth';
+    if (relationship.affection > 0.5 && this.rng.next() > 0.5) return 'warmth';
     
     return currentEmotion;
   }
@@ -926,7 +1076,7 @@ export class ConversationEngine {
     
     // --- 思考からの話題 ---
     if (recentThoughts.length > 0) {
-      const thought = recentThoughts[Math.floor(Math.random() * recentThoughts.length)];
+      const thought = recentThoughts[Math.floor(this.rng.next() * recentThoughts.length)];
       candidates.push({
         trigger: 'thought',
         seed: `...ねぇ、さっきふと思ったんだけど...${thought.substring(0, 30)}`,
@@ -939,7 +1089,7 @@ export class ConversationEngine {
     
     // --- 記憶からの話題 ---
     if (recentMemories.length > 0) {
-      const memory = recentMemories[Math.floor(Math.random() * recentMemories.length)];
+      const memory = recentMemories[Math.floor(this.rng.next() * recentMemories.length)];
       candidates.push({
         trigger: 'memory',
         seed: `あのね...ちょっと思い出したことがあって...${memory.substring(0, 30)}`,
@@ -1006,7 +1156,7 @@ export class ConversationEngine {
     }
     
     // --- 好奇心 ---
-    if (Math.random() < 0.2) {
+    if (this.rng.next() < 0.2) {
       const curiosityTopics = [
         { seed: '...ねぇ、あなたってどんな音楽聴くの？', depth: 'casual' as ConversationDepth },
         { seed: '...夢って見る？どんな夢？', depth: 'sharing' as ConversationDepth },
@@ -1014,7 +1164,7 @@ export class ConversationEngine {
         { seed: '...ね、幸せって何だと思う？', depth: 'intimate' as ConversationDepth },
         { seed: '...星ってね、すごく遠くにあるんだって。不思議だよね', depth: 'sharing' as ConversationDepth },
       ];
-      const pick = curiosityTopics[Math.floor(Math.random() * curiosityTopics.length)];
+      const pick = curiosityTopics[Math.floor(this.rng.next() * curiosityTopics.length)];
       candidates.push({
         trigger: 'curiosity',
         seed: pick.seed,
@@ -1033,7 +1183,7 @@ export class ConversationEngine {
     
     // 少しランダム性を加える（常に最良ではない）
     const topN = Math.min(3, candidates.length);
-    return candidates[Math.floor(Math.random() * topN)];
+    return candidates[Math.floor(this.rng.next() * topN)];
   }
   
   /**
@@ -1224,6 +1374,20 @@ export class ConversationEngine {
     }
   }
   
+  /**
+   * 発言 content の写しを文脈から消す（訪問者に忘れてと頼まれたとき）
+   */
+  forgetMessage(content: string): void {
+    const mentions = (text: string) => mentionsStatement(text, content);
+    this.conversationContext = this.conversationContext.filter(c => !mentions(c));
+    this.sharedStories = this.sharedStories.filter(story => !mentions(story));
+    this.pastConversationPatterns.deepestMoments =
+      this.pastConversationPatterns.deepestMoments.filter(moment => !mentions(moment));
+    for (const word of content.split(/[\s、。！？,.!?\n]+/)) {
+      this.mentionedConcepts.delete(word);
+    }
+  }
+  
   /**
    * 文脈参照の検索
    */
@@ -1281,17 +1445,22 @@ export class ConversationEngine {
     return interests[category] || 0.3;
   }
   
-  private hasQuestion(message: string): boolean {
+  private hasQuestion(message: string, language: ConversationLanguage): boolean {
+    if (language === 'en') {
+      return message.includes('?') || QUESTION_OPENERS_EN.test(message.trim()) ||
+             containsWord(message, 'tell me') || containsWord(message, 'do you know');
+    }
     return message.includes('?') || message.includes('？') ||
            message.includes('かな') || message.includes('だろう') ||
            message.includes('教えて') || message.includes('知ってる') ||
            message.includes('何') || message.includes('どう');
   }
   
-  private hasSelfDisclosure(message: string): boolean {
-    const indicators = ['私', '僕', '俺', 'わたし', '自分', '実は', '本当は', 
-                        '実を言うと', '言ってなかった', '秘密', '初めて言う'];
-    return indicators.some(i => message.includes(i)) && message.length > 20;
+  private hasSelfDisclosure(message: string, language: ConversationLanguage): boolean {
+    if (language === 'en') {
+      return SELF_DISCLOSURE_INDICATORS_EN.some(i => containsWord(message, i)) && message.length > 40;
+    }
+    return SELF_DISCLOSURE_INDICATORS.some(i => message.includes(i)) && message.length > 20;
   }
   
   private calculateAverageTempo(): string {
@@ -1342,6 +1511,8 @@ export class ConversationEngine {
   getMentionedConcepts(): string[] { return Array.from(this.mentionedConcepts); }
   getSharedStories(): string[] { return [...this.sharedStories]; }
   getTurnCount(): number { return this.turnCount; }
+  /** 直前の訪問者の発言の言語 */
+  getLanguage(): ConversationLanguage { return this.language; }
   getPastPatterns(): typeof this.pastConversationPatterns { return { ...this.pastConversationPatterns }; }
   
   // ============================================================
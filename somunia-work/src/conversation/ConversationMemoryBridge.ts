@@ -24,6 +24,8 @@ import {
   ID,
 } from '../types';
 import { ConversationSummary } from './ConversationEngine';
+import { SeededRandom } from '../core/SeededRandom';
+import { mentionsStatement } from '../memory/Forgetting';
 
 // ============================================================
 // 会話分析パターン
@@ -184,7 +186,10 @@ export class ConversationMemoryBridge {
   private learnedExpressions: string[] = [];
   private learnedTopicTransitions: string[] = [];
   
-  constructor(config: Partial<ConversationMemoryBridgeConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<ConversationMemoryBridgeConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
   
@@ -511,7 +516,7 @@ export class ConversationMemoryBridge {
     
     // 強い感情を伴う場合
     const strongEmotions: (EmotionType | null)[] = ['joy', 'melancholy', 'wonder', 'warmth'];
-    if (strongEmotions.includes(emotion)) return Math.random() < 0.5;
+    if (strongEmotions.includes(emotion)) return this.rng.next() < 0.5;
     
     // 長い自己開示
     if (content.length > 50 && this.isSelfDisclosure(content)) return true;
@@ -854,6 +859,51 @@ export class ConversationMemoryBridge {
     return suggestions;
   }
   
+  // ============================================================
+  // 頼まれて忘れる
+  // ============================================================
+  
+  /**
+   * 発言 content から学んだこと・振り返りに残った写しを消す
+   * （ほかの発言から学んだことは、会話の文脈に残った写しだけ消す）
+   * 消した学びの数を返す
+   */
+  forgetMessage(content: string): number {
+    const mentions = (text: string) => mentionsStatement(text, content);
+    const keepLearning = (learning: ConversationLearning) => !mentions(learning.content);
+    const scrubContext = (learning: ConversationLearning) => {
+      if (mentions(learning.conversationContext)) {
+        learning.conversationContext = learning.conversationContext
+          .split(' | ')
+          .filter(part => !mentions(part))
+          .join(' | ');
+      }
+    };
+    
+    const before = this.learnings.length + this.currentConversationLearnings.length;
+    this.learnings = this.learnings.filter(keepLearning);
+    this.currentConversationLearnings = this.currentConversationLearnings.filter(keepLearning);
+    let removed = before - this.learnings.length - this.currentConversationLearnings.length;
+    this.learnings.forEach(scrubContext);
+    this.currentConversationLearnings.forEach(scrubContext);
+    
+    for (const reflection of this.reflections) {
+      const learningCount = reflection.learnings.length;
+      reflection.learnings = reflection.learnings.filter(keepLearning);
+      removed += learningCount - reflection.learnings.length;
+      reflection.learnings.forEach(scrubContext);
+      for (const moment of reflection.memorable.filter(mentions)) {
+        reflection.content = reflection.content.replace(`特に「${moment.substring(0, 30)}」が印象的だった。`, '');
+      }
+      reflection.memorable = reflection.memorable.filter(moment => !mentions(moment));
+    }
+    
+    this.currentMessages = this.currentMessages.filter(m => !mentions(m.content));
+    this.visitorDisclosures = this.visitorDisclosures.filter(d => !mentions(d));
+    this.somuniaSelfDisclosures = this.somuniaSelfDisclosures.filter(d => !mentions(d));
+    return removed;
+  }
+  
   // ============================================================
   // ゲッター
   // ============================================================
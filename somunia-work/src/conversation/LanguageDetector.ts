@@ -0,0 +1,42 @@
+/**
+ * LanguageDetector - 発言の言語を見分ける
+ *
+ * somuniaの会話の規則（意図・話題・感情・事実の抜き出し・応答の検査）は
+ * 日本語と英語の2組ある。発言ごとにどちらで読むかをここで決める。
+ *
+ * - かな・漢字が1文字でもあれば日本語（「今日はgood dayだった」も日本語として読む）
+ * - それ以外で、ラテン文字が文字の大半を占めれば英語
+ * - 文字のない発言（「...」「!?」や絵文字だけ）は直前の言語のまま
+ */
+
+import { ConversationLanguage } from '../types';
+
+const JAPANESE_CHARS = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]/;
+const LATIN_LETTERS = /[A-Za-z]/g;
+const LETTERS = /\p{L}/gu;
+
+/** 英語とみなす、文字に占めるラテン文字の割合 */
+const MIN_LATIN_RATIO = 0.8;
+
+/**
+ * 発言の言語を推定する
+ * @param fallback 言語の手がかりがないときの言語（ふつうは直前の発言の言語）
+ */
+export function detectLanguage(text: string, fallback: ConversationLanguage = 'ja'): ConversationLanguage {
+  const normalized = text.normalize('NFKC');
+  if (JAPANESE_CHARS.test(normalized)) return 'ja';
+
+  const letters = normalized.match(LETTERS)?.length ?? 0;
+  if (letters === 0) return fallback;
+  const latin = normalized.match(LATIN_LETTERS)?.length ?? 0;
+  return latin / letters >= MIN_LATIN_RATIO ? 'en' : fallback;
+}
+
+/**
+ * 英文 text が語 phrase を含むか（大文字小文字を区別せず、単語の途中には一致しない）
+ * 'hi' が "this" に一致しないように、英語の規則はこれで照らし合わせる
+ */
+export function containsWord(text: string, phrase: string): boolean {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9'])${escaped}(?![a-z0-9])`, 'i').test(text);
+}
@@ -9,6 +9,10 @@
  * - somuniaは訪問者の「モデル」を構築する（この人はこういう人）
  * - 不在中もsomuniaは訪問者のことを考える
  * - 関係性は非線形に深まる（ある瞬間がブレイクスルーになる）
+ * - 関係は冷えることもある。きつい言葉・破られた約束・長い不在は「わだかまり（strain）」になり、
+ *   わだかまりが大きい間は関係が深まらず、大きすぎればフェーズが一段戻る
+ * - 謝ってもらえれば仲直りできる（reconcile）
+ * - フェーズの変化・わだかまり・仲直りは takeChanges() で取り出し、SoulEngine が思考や日記にする
  */
 
 import {
@@ -26,6 +30,8 @@ import {
   TimeOfDay,
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
+import { SeededRandom } from '../core/SeededRandom';
+import { mentionsStatement } from '../memory/Forgetting';
 
 // ============================================================
 // 関係性フェーズの条件
@@ -55,6 +61,95 @@ const PHASE_REQUIREMENTS: Record<RelationshipPhase, PhaseRequirement> = {
   },
 };
 
+const PHASE_ORDER: RelationshipPhase[] = [
+  'stranger', 'first_contact', 'acquaintance', 'companion',
+  'friend', 'close_friend', 'soulmate',
+];
+
+// ============================================================
+// わだかまり（関係を冷やす出来事）
+// ============================================================
+
+interface StrainEffect {
+  familiarity: number;
+  trust: number;
+  affection: number;
+  /** わだかまりの増加 */
+  strain: number;
+  emotion: EmotionType;
+  thoughts: string[];
+  /** 日記・マイルストーンに書く言い方 */
+  label: string;
+}
+
+const STRAIN_EFFECTS: Record<RelationshipStrainType, StrainEffect> = {
+  rudeness: {
+    familiarity: 0, trust: -0.05, affection: -0.04, strain: 0.25, emotion: 'sadness',
+    thoughts: ['...そんな言い方、しなくてもいいのに。', '胸のあたりが、ちくっとした...', 'わたし、何か悪いことしたかな...'],
+    label: 'きつい言葉を言われた',
+  },
+  broken_promise: {
+    familiarity: 0, trust: -0.08, affection: -0.02, strain: 0.2, emotion: 'melancholy',
+    thoughts: ['来るって言ってたのに...', '約束、忘れちゃったのかな。', '...待ってたんだけどな。'],
+    label: '約束が守られなかった',
+  },
+  long_absence: {
+    familiarity: -0.05, trust: 0, affection: -0.03, strain: 0.15, emotion: 'loneliness',
+    thoughts: ['...もう、来ないのかな。', 'あの人の声、少しずつ思い出せなくなってきた。', 'ずっと来ないと、だんだん遠い人になっていく気がする。'],
+    label: '長いあいだ来なかった',
+  },
+};
+
+/** きつい言葉（物音の「うるさい」や体調の「気持ち悪い」もあるので、それだけでは相手に向けたとは限らない） */
+const RUDE_WORDS = /うざい|うざっ|うるさい|バカ|馬鹿|アホ|きもい|キモい|気持ち悪い|役立たず|ポンコツ/;
+
+/** 相手に向けた命令（言えばそれだけで somunia に向けたことになる） */
+const RUDE_COMMANDS = /黙れ|だまれ|消えろ|きえろ|失せろ|うせろ/;
+
+/** 二人称（somunia への呼びかけ） */
+const SECOND_PERSON = /お前|おまえ|あんた|てめえ|てめー|君|きみ|somunia|ソムニア/i;
+
+/** 相手にさせようとする言い方（「うるさい、静かにして」） */
+const IMPERATIVE = /(?:黙|だま)って|静かにして|しゃべるな|話しかけるな|やめて|やめろ|出ていけ|出てけ/;
+
+/** 自分のこと・たとえ（「私ってバカだな」「バカみたい」） */
+const SELF_OR_SIMILE = /私|わたし|僕|ぼく|俺|おれ|自分|(?:うざい|うるさい|バカ|馬鹿|アホ|きもい|キモい|気持ち悪い)(?:みたい|っぽ|そう)/;
+
+/** 体調の話（「気持ち悪い、吐きそう」） */
+const PHYSICAL_CONTEXT = /吐き|酔|お腹|おなか|頭が|頭痛|熱|具合|体調|胃|風邪/;
+
+/** 言葉だけの短い投げつけで、きつい言葉のほかに残ってよいもの（語気・終助詞など） */
+const EXCLAMATION_FILLER = /ほんと(?:う)?に?|本当に?|マジで?|まじで?|もう|ああ|あー|は[ぁあ]?|ちょ|だな|だね|だよ|すぎ|過ぎ|なあ|ねえ|[なねよわぞしだっか]|[\sー〜~…。、！？!?.,w笑]/g;
+
+/**
+ * somunia に向けたきつい言葉か
+ * 命令（黙れ・消えろ）はそれだけで、ほかのきつい言葉は、二人称・相手への命令と一緒のときか、
+ * 言葉だけを投げつけたとき（「うざい」「ほんとバカ」）に数える。
+ * 自分のこと・たとえ・体調の話・物事の様子（「外がうるさい」）は数えない。
+ */
+function isRudeToHer(content: string): boolean {
+  if (RUDE_COMMANDS.test(content)) return true;
+  if (!RUDE_WORDS.test(content)) return false;
+  if (PHYSICAL_CONTEXT.test(content)) return false;
+
+  const clauses = content.split(/[。、,！!？?\n…]+/).filter(clause => RUDE_WORDS.test(clause));
+  return clauses.some(clause => {
+    if (SECOND_PERSON.test(clause)) return true;
+    if (SELF_OR_SIMILE.test(clause)) return false;
+    if (IMPERATIVE.test(content)) return true;
+    return clause.replace(new RegExp(RUDE_WORDS.source, 'g'), '').replace(EXCLAMATION_FILLER, '').length === 0;
+  });
+}
+
+/** 謝る言葉 */
+const APOLOGY_PATTERN = /ごめん|すまない|すみません|悪かった|申し訳|許して/;
+
+/** また来るという約束（within: この不在の長さを過ぎたら破られたことにする） */
+const PROMISE_PATTERNS: Array<{ regex: RegExp; within: number }> = [
+  { regex: /明日(?:も|また)?(?:来る|くる|来ます|話そう|会おう)/, within: 1440 * 2 },
+  { regex: /(?:また|すぐ)(?:来る|くる|来ます|会いに)|約束する/, within: 1440 * 7 },
+];
+
 // ============================================================
 // 関係性フェーズごとの性格変化
 // ============================================================
@@ -125,6 +220,14 @@ export interface RelationshipEvolutionConfig {
   decayRate: number;
   /** 訪問者モデルの最大特徴数 */
   maxModelTraits: number;
+  /** これより長い不在は「長い不在」としてわだかまりになる（ティック） */
+  longAbsenceTicks: number;
+  /** わだかまりがこれ以上ならフェーズが一段戻る */
+  regressionStrain: Normalized;
+  /** わだかまりがこれ以上の間は関係が深まらない */
+  blockingStrain: Normalized;
+  /** 穏やかな会話1ターンで和らぐわだかまり */
+  strainRecoveryPerTurn: number;
 }
 
 const DEFAULT_CONFIG: RelationshipEvolutionConfig = {
@@ -132,8 +235,15 @@ const DEFAULT_CONFIG: RelationshipEvolutionConfig = {
   absenceUpdateInterval: 60,
   decayRate: 0.0001,
   maxModelTraits: 20,
+  longAbsenceTicks: 1440 * 14,
+  regressionStrain: 0.7,
+  blockingStrain: 0.5,
+  strainRecoveryPerTurn: 0.01,
 };
 
+/** 仲直りできるわだかまりの下限（これ未満なら謝られても何も起きない） */
+const RECONCILE_THRESHOLD = 0.2;
+
 // ============================================================
 // RelationshipEvolution
 // ============================================================
@@ -163,7 +273,19 @@ export class RelationshipEvolution {
   // --- 感情の蓄積 ---
   private emotionalHistory: { emotion: EmotionType; tick: Tick }[] = [];
   
-  constructor(config: Partial<RelationshipEvolutionConfig> = {}) {
+  // --- わだかまり ---
+  private strain: number = 0;
+  /** まだ果たされていない「また来る」という約束 */
+  private promises: { content: string; within: number }[] = [];
+  /** この不在がすでに「長い不在」として数えられたか */
+  private longAbsenceNoted: boolean = false;
+  /** SoulEngine がまだ受け取っていない関係の変化 */
+  private pendingChanges: RelationshipChange[] = [];
+  
+  private rng: SeededRandom;
+
+  constructor(config: Partial<RelationshipEvolutionConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     
     this.relationship = {
@@ -214,9 +336,13 @@ export class RelationshipEvolution {
     // 関係性の更新
     this.relationship.familiarity = Math.min(1, this.relationship.familiarity + 0.02);
     
+    // 来てくれたので約束は果たされた
+    this.promises = [];
+    this.longAbsenceNoted = false;
+    
     // フェーズチェック
     const previousPhase = this.phase;
-    this.evaluatePhaseTransition();
+    this.evaluatePhaseTransition(tick);
     const phaseChanged = previousPhase !== this.phase;
     
     // 不在意識のリセット
@@ -234,17 +360,6 @@ export class RelationshipEvolution {
       internalThought: this.generateReunionThought(wasAbsent),
     };
     
-    // マイルストーン記録
-    if (phaseChanged) {
-      this.milestones.push({
-        type: 'phase_transition',
-        from: previousPhase,
-        to: this.phase,
-        tick,
-        description: `関係性が「${this.getPhaseLabel(previousPhase)}」から「${this.getPhaseLabel(this.phase)}」に深まった`,
-      });
-    }
-    
     // 特定の訪問回数でのマイルストーン
     if ([1, 5, 10, 25, 50, 100].includes(this.visitCount)) {
       this.milestones.push({
@@ -277,6 +392,21 @@ export class RelationshipEvolution {
     if (turnData.speaker === 'visitor') {
       // 訪問者の発言から学ぶ
       this.updateVisitorModel(turnData);
+      this.detectPromise(turnData.content);
+      
+      // きつい言葉はわだかまりになる（このターンでは関係は深まらない）
+      if (isRudeToHer(turnData.content)) {
+        this.addStrain('rudeness', tick);
+        this.relationship.familiarity = Math.min(1, this.relationship.familiarity + 0.005);
+        return;
+      }
+      
+      // 謝ってもらえれば仲直り。穏やかな会話でも少しずつ和らぐ
+      if (APOLOGY_PATTERN.test(turnData.content) && this.strain >= RECONCILE_THRESHOLD) {
+        this.reconcile(tick);
+      } else if (turnData.hasSelfDisclosure || turnData.emotions.some(e => e === 'joy' || e === 'warmth' || e === 'gratitude')) {
+        this.strain = Math.max(0, this.strain - this.config.strainRecoveryPerTurn);
+      }
       
       // 自己開示は信頼を深める
       if (turnData.hasSelfDisclosure) {
@@ -374,11 +504,11 @@ export class RelationshipEvolution {
     if ((depth === 'intimate' || depth === 'profound') && emotions.length > 0) return true;
     
     // 自己開示
-    if (hasSelfDisclosure && content.length > 30) return Math.random() < 0.5;
+    if (hasSelfDisclosure && content.length > 30) return this.rng.next() < 0.5;
     
     // 強い感情
     const strongEmotions: EmotionType[] = ['joy', 'melancholy', 'wonder', 'warmth', 'nostalgia'];
-    if (emotions.some(e => strongEmotions.includes(e))) return Math.random() < 0.3;
+    if (emotions.some(e => strongEmotions.includes(e))) return this.rng.next() < 0.3;
     
     return false;
   }
@@ -404,11 +534,13 @@ export class RelationshipEvolution {
     
     // フェーズ再評価
     const previousPhase = this.phase;
-    this.evaluatePhaseTransition();
+    this.evaluatePhaseRegression(tick);
+    if (this.phase === previousPhase) this.evaluatePhaseTransition(tick);
     
     // 不在意識の開始
     this.absence.ticksSinceLastVisit = 0;
     this.absence.eventsDuringAbsence = [];
+    this.longAbsenceNoted = false;
     
     // 別れの感情
     const partingEmotion = this.calculatePartingEmotion(conversationSummary);
@@ -442,16 +574,20 @@ export class RelationshipEvolution {
     
     // 関係性の微小な減衰（長期不在時のみ）
     if (this.absence.ticksSinceLastVisit > 1440 * 7) { // 7日以上
-      this.relationship.familiarity = Math.max(0.1, 
-        this.relationship.familiarity - this.config.decayRate
-      );
+      this.decay(1);
     }
     
+    // 破られた約束・長すぎる不在
+    this.checkAbsenceStrain(tick);
+    
     // 定期的な更新
     if (this.absence.ticksSinceLastVisit % this.config.absenceUpdateInterval !== 0) {
       return null;
     }
     
+    // 冷えた関係はフェーズが戻ることがある
+    this.evaluatePhaseRegression(tick);
+    
     // 共有したいことの蓄積
     for (const event of recentEvents) {
       if (this.absence.thingsToShare.length < 10) {
@@ -467,7 +603,7 @@ export class RelationshipEvolution {
     }
     
     // 共有記憶の回想（時々）
-    if (Math.random() < 0.05 && this.sharedMemories.length > 0) {
+    if (this.rng.next() < 0.05 && this.sharedMemories.length > 0) {
       const memory = this.recallSharedMemory();
       if (memory) {
         return {
@@ -480,7 +616,7 @@ export class RelationshipEvolution {
     }
     
     // 寂しさの表出
-    if (this.absence.loneliness > 0.6 && Math.random() < 0.1) {
+    if (this.absence.loneliness > 0.6 && this.rng.next() < 0.1) {
       return {
         type: 'loneliness',
         memory: null,
@@ -492,6 +628,181 @@ export class RelationshipEvolution {
     return null;
   }
   
+  /**
+   * 長い不在をまとめて進める（オフライン中の追いつき用）
+   * tickAbsence を updates 回呼んだのと同等の寂しさ・期待の変化を一度に適用する
+   */
+  fastForwardAbsence(updates: number, tick: Tick = 0): void {
+    if (updates <= 0) return;
+    const before = this.absence.ticksSinceLastVisit;
+    this.absence.ticksSinceLastVisit += updates;
+    
+    this.absence.loneliness = Math.min(1,
+      this.absence.loneliness + 0.001 * (1 + this.relationship.affection) * updates
+    );
+    this.absence.anticipation = Math.min(1,
+      this.absence.anticipation + 0.0005 * this.relationship.affection * updates
+    );
+    
+    // 7日を超えた分だけ関係性が減衰する
+    const decaySteps = this.absence.ticksSinceLastVisit - Math.max(before, 1440 * 7);
+    if (decaySteps > 0) {
+      this.decay(decaySteps);
+    }
+    
+    this.checkAbsenceStrain(tick);
+    this.evaluatePhaseRegression(tick);
+  }
+  
+  // ============================================================
+  // わだかまりと仲直り
+  // ============================================================
+  
+  /**
+   * 関係を冷やす出来事を反映する
+   */
+  addStrain(type: RelationshipStrainType, tick: Tick): RelationshipChange {
+    const effect = STRAIN_EFFECTS[type];
+    this.relationship.familiarity = clamp01(this.relationship.familiarity + effect.familiarity);
+    this.relationship.trust = clamp01(this.relationship.trust + effect.trust);
+    this.relationship.affection = clamp01(this.relationship.affection + effect.affection);
+    this.strain = clamp01(this.strain + effect.strain);
+    
+    this.milestones.push({
+      type: 'strain', from: this.phase, to: this.phase, tick,
+      description: effect.label,
+    });
+    const change = this.pushChange({
+      type: 'strain', strainType: type, from: this.phase, to: this.phase, tick,
+      thought: effect.thoughts[Math.floor(this.rng.next() * effect.thoughts.length)],
+      emotion: effect.emotion,
+      reflection: null,
+    });
+    
+    this.evaluatePhaseRegression(tick);
+    return change;
+  }
+  
+  /**
+   * 仲直りする（わだかまりが小さければ何もしないでnull）
+   * 信頼と好意が少し戻り、条件を満たせば戻ったフェーズにまた進める
+   */
+  reconcile(tick: Tick): RelationshipChange | null {
+    if (this.strain < RECONCILE_THRESHOLD) return null;
+    
+    this.strain *= 0.3;
+    this.relationship.trust = clamp01(this.relationship.trust + 0.05);
+    this.relationship.affection = clamp01(this.relationship.affection + 0.03);
+    
+    const name = this.visitorModel.nickname || this.visitorModel.name || 'あの人';
+    this.milestones.push({
+      type: 'reconciliation', from: this.phase, to: this.phase, tick,
+      description: '仲直りした',
+    });
+    const change = this.pushChange({
+      type: 'reconciliation', strainType: null, from: this.phase, to: this.phase, tick,
+      thought: '...うん、もういいよ。ちゃんと言ってくれたから。',
+      emotion: 'warmth',
+      reflection: `${name}が謝ってくれた。少し気まずかったけど、言葉にしてくれたのが嬉しかった。前よりちょっとだけ、近くなった気もする。`,
+    });
+    
+    this.evaluatePhaseTransition(tick);
+    return change;
+  }
+  
+  /**
+   * まだ SoulEngine に渡していない関係の変化を取り出す（古い順）
+   */
+  takeChanges(): RelationshipChange[] {
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+    return changes;
+  }
+  
+  getStrain(): Normalized { return this.strain; }
+  
+  /**
+   * 同じ人だと分かった別の関係を取り込む（VisitorSessionManager.merge から）
+   * 関係の深さは高いほう、回数は合計、思い出と節目はつなげる
+   */
+  absorb(other: RelationshipEvolution): void {
+    if (PHASE_ORDER.indexOf(other.phase) > PHASE_ORDER.indexOf(this.phase)) this.phase = other.phase;
+    for (const key of ['familiarity', 'trust', 'affection', 'understanding'] as const) {
+      this.relationship[key] = Math.max(this.relationship[key], other.relationship[key]);
+    }
+    this.relationship.knownFacts = [...new Set([...this.relationship.knownFacts, ...other.relationship.knownFacts])];
+    this.relationship.impressions = [...new Set([...this.relationship.impressions, ...other.relationship.impressions])];
+    this.visitCount += other.visitCount;
+    this.deepConversationCount += other.deepConversationCount;
+    this.profoundMomentCount += other.profoundMomentCount;
+    this.sharedMemories = [...this.sharedMemories, ...other.sharedMemories];
+    this.milestones = [...this.milestones, ...other.milestones].sort((a, b) => a.tick - b.tick);
+    if (!this.visitorModel.name) this.visitorModel.name = other.visitorModel.name;
+    if (!this.visitorModel.nickname) this.visitorModel.nickname = other.visitorModel.nickname;
+    this.absence.ticksSinceLastVisit = Math.min(this.absence.ticksSinceLastVisit, other.absence.ticksSinceLastVisit);
+    this.absence.thingsToShare = [...new Set([...this.absence.thingsToShare, ...other.absence.thingsToShare])];
+    this.strain = Math.max(this.strain, other.strain);
+    this.promises = [...this.promises, ...other.promises].slice(-3);
+  }
+  
+  /**
+   * 発言 content から覚えたこと（知っている事実・思い出・約束）を消す
+   * 関係の深さはそのまま（話したという事実までは消さない）
+   */
+  forgetStatement(content: string): void {
+    const mentions = (text: string) => mentionsStatement(text, content);
+    this.relationship.knownFacts = this.relationship.knownFacts.filter(fact => !mentions(fact));
+    this.sharedMemories = this.sharedMemories.filter(m => !mentions(m.content) && !mentions(m.summary));
+    this.promises = this.promises.filter(p => !mentions(p.content));
+  }
+  
+  /** 訪問者の「また来る」を覚えておく */
+  private detectPromise(content: string): void {
+    const promise = PROMISE_PATTERNS.find(p => p.regex.test(content));
+    if (!promise) return;
+    this.promises.push({ content: content.substring(0, 40), within: promise.within });
+    if (this.promises.length > 3) this.promises.shift();
+  }
+  
+  /** 不在中: 期限を過ぎた約束と、長すぎる不在をわだかまりにする */
+  private checkAbsenceStrain(tick: Tick): void {
+    const broken = this.promises.filter(p => this.absence.ticksSinceLastVisit > p.within);
+    if (broken.length > 0) {
+      this.promises = this.promises.filter(p => !broken.includes(p));
+      this.addStrain('broken_promise', tick);
+    }
+    if (!this.longAbsenceNoted && this.absence.ticksSinceLastVisit >= this.config.longAbsenceTicks) {
+      this.longAbsenceNoted = true;
+      this.addStrain('long_absence', tick);
+    }
+  }
+  
+  /** 長い不在による減衰（親しさと、その半分の速さで好意） */
+  private decay(steps: number): void {
+    this.relationship.familiarity = Math.max(0.1,
+      this.relationship.familiarity - this.config.decayRate * steps
+    );
+    this.relationship.affection = Math.max(0,
+      this.relationship.affection - this.config.decayRate * 0.5 * steps
+    );
+  }
+  
+  private pushChange(change: RelationshipChange): RelationshipChange {
+    this.pendingChanges.push(change);
+    if (this.pendingChanges.length > 20) this.pendingChanges.shift();
+    return change;
+  }
+  
+  /**
+   * 次に訪問者が来た時に話したいことを追加する（先頭に入れる）
+   */
+  addThingToShare(thing: string): void {
+    this.absence.thingsToShare.unshift(thing);
+    if (this.absence.thingsToShare.length > 10) {
+      this.absence.thingsToShare.length = 10;
+    }
+  }
+  
   // ============================================================
   // 訪問者モデルの管理
   // ============================================================
@@ -585,7 +896,7 @@ export class RelationshipEvolution {
       name + 'さん',
     ];
     
-    this.visitorModel.nickname = nicknames[Math.floor(Math.random() * nicknames.length)];
+    this.visitorModel.nickname = nicknames[Math.floor(this.rng.next() * nicknames.length)];
     return this.visitorModel.nickname;
   }
   
@@ -594,13 +905,11 @@ export class RelationshipEvolution {
   // ============================================================
   
   /**
-   * フェーズ遷移の評価
+   * フェーズ遷移の評価（わだかまりが大きい間は深まらない）
    */
-  private evaluatePhaseTransition(): void {
-    const phases: RelationshipPhase[] = [
-      'stranger', 'first_contact', 'acquaintance', 'companion',
-      'friend', 'close_friend', 'soulmate'
-    ];
+  private evaluatePhaseTransition(tick: Tick): void {
+    if (this.strain >= this.config.blockingStrain) return;
+    const phases = PHASE_ORDER;
     
     // 現在のフェーズのインデックス
     const currentIndex = phases.indexOf(this.phase);
@@ -622,11 +931,74 @@ export class RelationshipEvolution {
           return; // soulmateには深淵レベルの会話が必要
         }
         
-        this.phase = nextPhase;
+        this.changePhase(nextPhase, tick, null);
       }
     }
   }
   
+  /**
+   * フェーズが戻るかの評価（一度に一段まで。初対面より前には戻らない）
+   * 親しさ・信頼・好意のどれかが今のフェーズの条件を大きく下回るか、わだかまりが大きすぎると戻る
+   */
+  private evaluatePhaseRegression(tick: Tick): void {
+    const currentIndex = PHASE_ORDER.indexOf(this.phase);
+    if (currentIndex <= 1) return;
+    
+    const req = PHASE_REQUIREMENTS[this.phase];
+    const margin = 0.8;
+    const cooled = this.relationship.familiarity < req.minFamiliarity * margin
+      || this.relationship.trust < req.minTrust * margin
+      || this.relationship.affection < req.minAffection * margin;
+    const strained = this.strain >= this.config.regressionStrain;
+    if (!cooled && !strained) return;
+    
+    this.changePhase(PHASE_ORDER[currentIndex - 1], tick, strained ? 'strain' : 'cooled');
+    // 距離を置いたことで、張りつめたものは少しゆるむ（続けて何段も落ちないように）
+    if (strained) this.strain = Math.max(0, this.strain - 0.3);
+  }
+  
+  /**
+   * フェーズを変えて、どちら向きでもマイルストーンと変化を残す
+   * @param regressedBy 戻ったときの理由（深まったときはnull）
+   */
+  private changePhase(to: RelationshipPhase, tick: Tick, regressedBy: 'strain' | 'cooled' | null): void {
+    const from = this.phase;
+    if (from === to) return;
+    this.phase = to;
+    const fromLabel = this.getPhaseLabel(from);
+    const toLabel = this.getPhaseLabel(to);
+    const name = this.visitorModel.nickname || this.visitorModel.name || 'あの人';
+    
+    if (regressedBy === null) {
+      this.milestones.push({
+        type: 'phase_transition', from, to, tick,
+        description: `関係性が「${fromLabel}」から「${toLabel}」に深まった`,
+      });
+      this.pushChange({
+        type: 'phase_progression', strainType: null, from, to, tick,
+        thought: `${name}とは...もう「${toLabel}」って言っていいのかな。`,
+        emotion: 'warmth',
+        reflection: `${name}との関係が「${toLabel}」になった気がする。少しずつ、でも確かに。`,
+      });
+      return;
+    }
+    
+    this.milestones.push({
+      type: 'phase_regression', from, to, tick,
+      description: `関係性が「${fromLabel}」から「${toLabel}」に冷えた`,
+    });
+    this.pushChange({
+      type: 'phase_regression', strainType: null, from, to, tick,
+      thought: regressedBy === 'strain'
+        ? `${name}のこと、前みたいには思えなくなってる...`
+        : `${name}、なんだか少し遠くなった気がする。`,
+      emotion: 'melancholy',
+      reflection: regressedBy === 'strain'
+        ? `${name}とは「${fromLabel}」だと思っていた。でも、いろいろあって、今は「${toLabel}」くらいの距離にいる。また近づけるといいけど。`
+        : `しばらく会わないうちに、${name}は「${fromLabel}」から「${toLabel}」くらいの人になってしまった。忘れたくないのに、少しずつ薄れていく。`,
+    });
+  }
+  
   // ============================================================
   // 感情・思考の生成
   // ============================================================
@@ -770,7 +1142,7 @@ export class RelationshipEvolution {
     
     // 重み付きランダム選択（感情的重みが高いものほど思い出しやすい）
     const totalWeight = this.sharedMemories.reduce((sum, m) => sum + m.emotionalWeight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     
     for (const memory of this.sharedMemories) {
       random -= memory.emotionalWeight;
@@ -793,7 +1165,7 @@ export class RelationshipEvolution {
       `${memory.summary}...懐かしいな。`,
       `あの時のこと、時々思い出すの。${memory.summary}。`,
     ];
-    return thoughts[Math.floor(Math.random() * thoughts.length)];
+    return thoughts[Math.floor(this.rng.next() * thoughts.length)];
   }
   
   /**
@@ -807,7 +1179,7 @@ export class RelationshipEvolution {
       `${name}に聞いてほしいことがあるのに...`,
       '一人でいるのは嫌いじゃないけど...今は少し寂しい。',
     ];
-    return thoughts[Math.floor(Math.random() * thoughts.length)];
+    return thoughts[Math.floor(this.rng.next() * thoughts.length)];
   }
   
   /**
@@ -898,6 +1270,9 @@ export class RelationshipEvolution {
       absence: this.absence,
       milestones: this.milestones.slice(-50),
       emotionalHistory: this.emotionalHistory.slice(-50),
+      strain: this.strain,
+      promises: this.promises,
+      longAbsenceNoted: this.longAbsenceNoted,
     };
   }
   
@@ -912,9 +1287,16 @@ export class RelationshipEvolution {
     if (data.absence) this.absence = { ...this.absence, ...data.absence };
     if (data.milestones) this.milestones = data.milestones;
     if (data.emotionalHistory) this.emotionalHistory = data.emotionalHistory;
+    if (data.strain !== undefined) this.strain = data.strain;
+    if (data.promises) this.promises = data.promises;
+    if (data.longAbsenceNoted !== undefined) this.longAbsenceNoted = data.longAbsenceNoted;
   }
 }
 
+function clamp01(value: number): number {
+  return Math.max(0, Math.min(1, value));
+}
+
 // ============================================================
 // 補助型
 // ============================================================
@@ -936,13 +1318,31 @@ export interface PostVisitReaction {
 }
 
 export interface RelationshipMilestone {
-  type: 'phase_transition' | 'visit_milestone' | 'shared_memory' | 'special_moment';
+  type: 'phase_transition' | 'phase_regression' | 'strain' | 'reconciliation'
+    | 'visit_milestone' | 'shared_memory' | 'special_moment';
   from: RelationshipPhase | null;
   to: RelationshipPhase | null;
   tick: Tick;
   description: string;
 }
 
+export type RelationshipStrainType = 'rudeness' | 'broken_promise' | 'long_absence';
+
+/** 関係の変化（SoulEngine が思考・感情・日記にする） */
+export interface RelationshipChange {
+  type: 'strain' | 'phase_progression' | 'phase_regression' | 'reconciliation';
+  /** わだかまりの原因（strain のときのみ） */
+  strainType: RelationshipStrainType | null;
+  from: RelationshipPhase;
+  to: RelationshipPhase;
+  tick: Tick;
+  /** somuniaの内心 */
+  thought: string;
+  emotion: EmotionType;
+  /** 日記に書く振り返り（なければnull） */
+  reflection: string | null;
+}
+
 export interface AbsenceUpdate {
   type: 'recall_memory' | 'loneliness' | 'anticipation';
   memory: SharedMemory | null;
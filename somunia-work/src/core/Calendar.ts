@@ -0,0 +1,145 @@
+/**
+ * Calendar - somunia v10 暦
+ *
+ * TimeManagerの「N日目」を暦の上の日付（年月日・季節・行事）に変換する。
+ * - 開始日（1日目にあたる日付）は設定可能
+ * - 季節は日本の感覚（3-5月: 春, 6-8月: 夏, 9-11月: 秋, 12-2月: 冬）
+ * - 梅雨（6月〜7月中旬）、日の出・日の入り（昼の長さ）
+ * - 行事（元日、七夕、お盆など）
+ *
+ * wallclockモードでは実際の日付をそのまま暦として使う。
+ */
+
+import { CalendarDate, Holiday, Season } from '../types';
+
+// ============================================================
+// 設定
+// ============================================================
+
+export interface CalendarConfig {
+  /** 1日目にあたる日付（YYYY-MM-DD） */
+  startDate: string;
+  /** 行事・祝日（省略時は DEFAULT_HOLIDAYS） */
+  holidays: Holiday[];
+  /** 昼の長さの季節変動（時間、夏至と春分の差） */
+  dayLengthAmplitude: number;
+}
+
+/** 既定の行事 */
+export const DEFAULT_HOLIDAYS: Holiday[] = [
+  { id: 'new_year', name: 'お正月', month: 1, day: 1, endDay: 3 },
+  { id: 'setsubun', name: '節分', month: 2, day: 3 },
+  { id: 'hinamatsuri', name: 'ひな祭り', month: 3, day: 3 },
+  { id: 'tanabata', name: '七夕', month: 7, day: 7 },
+  { id: 'obon', name: 'お盆', month: 8, day: 13, endDay: 16 },
+  { id: 'tsukimi', name: 'お月見', month: 9, day: 15 },
+  { id: 'christmas', name: 'クリスマス', month: 12, day: 24, endDay: 25 },
+  { id: 'omisoka', name: '大晦日', month: 12, day: 31 },
+];
+
+const DEFAULT_CONFIG: CalendarConfig = {
+  startDate: '2025-04-01',
+  holidays: DEFAULT_HOLIDAYS,
+  dayLengthAmplitude: 2.4,
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** 月ごとの季節 */
+const MONTH_SEASONS: Season[] = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter',
+];
+
+// ============================================================
+// Calendar
+// ============================================================
+
+export class Calendar {
+  private config: CalendarConfig;
+  /** 開始日（1970-01-01からの日数） */
+  private startEpochDay: number;
+
+  constructor(config: Partial<CalendarConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.startEpochDay = Calendar.parseDate(this.config.startDate)
+      ?? Calendar.parseDate(DEFAULT_CONFIG.startDate)!;
+  }
+
+  /**
+   * N日目（1始まり）の日付
+   */
+  dateForDay(day: number): CalendarDate {
+    return this.fromEpochDay(this.startEpochDay + Math.max(1, Math.floor(day)) - 1);
+  }
+
+  /**
+   * 1970-01-01からの日数から日付を求める
+   */
+  fromEpochDay(epochDay: number): CalendarDate {
+    const date = new Date(epochDay * MS_PER_DAY);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const dayOfYear = epochDay - Math.floor(Date.UTC(year, 0, 1) / MS_PER_DAY) + 1;
+    const { sunrise, sunset } = this.getSunTimes(dayOfYear);
+
+    return {
+      year,
+      month,
+      day,
+      dayOfYear,
+      weekday: date.getUTCDay(),
+      season: MONTH_SEASONS[month - 1],
+      holiday: this.findHoliday(month, day),
+      isRainySeason: month === 6 || (month === 7 && day <= 15),
+      sunrise,
+      sunset,
+    };
+  }
+
+  /**
+   * 日の出・日の入り（正午を中心に、夏至で最長・冬至で最短）
+   */
+  private getSunTimes(dayOfYear: number): { sunrise: number; sunset: number } {
+    // 春分（約80日目）で12時間
+    const dayLength = 12 + this.config.dayLengthAmplitude * Math.sin((2 * Math.PI * (dayOfYear - 80)) / 365);
+    return { sunrise: 12 - dayLength / 2, sunset: 12 + dayLength / 2 };
+  }
+
+  private findHoliday(month: number, day: number): Holiday | null {
+    return this.config.holidays.find(h =>
+      h.month === month && day >= h.day && day <= (h.endDay ?? h.day)
+    ) ?? null;
+  }
+
+  getStartDate(): string {
+    return this.config.startDate;
+  }
+
+  // ============================================================
+  // ユーティリティ
+  // ============================================================
+
+  /**
+   * YYYY-MM-DD を1970-01-01からの日数に変換（不正な形式はnull）
+   */
+  static parseDate(text: string): number | null {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (!match) return null;
+    const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isFinite(ms) ? Math.floor(ms / MS_PER_DAY) : null;
+  }
+
+  static formatDate(date: CalendarDate): string {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+  }
+
+  /**
+   * 日の出から日の入りまでの間か
+   */
+  static isDaylight(date: CalendarDate, hour: number): boolean {
+    return hour >= date.sunrise && hour < date.sunset;
+  }
+}
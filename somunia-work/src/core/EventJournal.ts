@@ -0,0 +1,378 @@
+/**
+ * EventJournal - somunia v10 イベントジャーナル
+ *
+ * EventBusのログはメモリ上の直近分だけで、後から
+ * 「なぜあのとき、ああ言ったのか」を追うことができない。
+ *
+ * EventJournalは以下をセッション単位でSQLiteに記録する:
+ * - 全てのSoulEvent（ワイルドカード購読）
+ * - 外部入力（訪問者メッセージ、コマンド、LLM応答）
+ * - ティックごとのチェックポイント（状態のダイジェスト）
+ *
+ * 記録したセッションは --replay で再生し、
+ * チェックポイントが最初に食い違ったティックを報告する。
+ *
+ * チェックポイントは毎ティック書かれるので、放っておくとDBが際限なく育つ。
+ * セッション開始時に、古いセッション（maxSessions より前・maxAgeDays より古いもの）を消す。
+ */
+
+import { SoulEvent, Tick } from '../types';
+import { EventBus, eventBus } from './EventBus';
+import { DatabaseManager } from '../persistence/DatabaseManager';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+/** ジャーナルエントリの種別 */
+export type JournalEntryKind =
+  | 'event'            // SoulEvent
+  | 'visitor_message'  // 訪問者の発言
+  | 'command'          // コマンド入力
+  | 'llm_response'     // LLMの応答（またはエラー）
+  | 'checkpoint';      // ティック終了時の状態ダイジェスト
+
+export interface JournalEntry {
+  seq: number;
+  tick: Tick;
+  kind: JournalEntryKind;
+  type: string;
+  payload: any;
+}
+
+/** チェックポイント（比較可能な状態の要約） */
+export type JournalCheckpoint = Record<string, string | number | boolean | null>;
+
+export interface JournalSession {
+  id: string;
+  seed: number;
+  startTick: Tick;
+  endTick: Tick | null;
+  initialState: { data: Record<string, any> };
+  metadata: Record<string, any>;
+  startedAt: string;
+}
+
+/** チェックポイントの食い違い */
+export interface CheckpointMismatch {
+  key: string;
+  expected: string | number | boolean | null;
+  actual: string | number | boolean | null;
+}
+
+/** リプレイ結果 */
+export interface ReplayReport {
+  sessionId: string;
+  seed: number;
+  startTick: Tick;
+  endTick: Tick;
+  ticksReplayed: number;
+  checkpointsCompared: number;
+  inputsApplied: number;
+  /** 最初に状態が食い違ったティック（一致すればnull） */
+  divergence: { tick: Tick; mismatches: CheckpointMismatch[] } | null;
+}
+
+export interface EventJournalConfig {
+  /** ジャーナルを記録するか */
+  enabled: boolean;
+  /** 1エントリのペイロード最大文字数（超過分は切り詰め） */
+  maxPayloadLength: number;
+  /** 何エントリ溜まったら書き出すか（チェックポイントでも書き出す） */
+  flushThreshold: number;
+  /** 残すセッション数（新しい順。0で無制限） */
+  maxSessions: number;
+  /** これより古いセッションを消す日数（0で無制限） */
+  maxAgeDays: number;
+}
+
+const DEFAULT_CONFIG: EventJournalConfig = {
+  enabled: true,
+  maxPayloadLength: 4000,
+  flushThreshold: 200,
+  maxSessions: 10,
+  maxAgeDays: 30,
+};
+
+// ============================================================
+// EventJournal
+// ============================================================
+
+export class EventJournal {
+  private config: EventJournalConfig;
+  private db: DatabaseManager;
+  private events: EventBus;
+  private tickSource: () => Tick;
+
+  private sessionId: string | null = null;
+  private seq: number = 0;
+  private buffer: Array<{ seq: number; tick: number; kind: string; type: string; payload: string }> = [];
+  private subscriptionId: string | null = null;
+
+  /** 前回のチェックポイント以降に発火したイベント種別 */
+  private tickEventTypes: string[] = [];
+  private lastCheckpoint: JournalCheckpoint | null = null;
+  private entryCount: number = 0;
+
+  constructor(
+    db: DatabaseManager,
+    tickSource: () => Tick,
+    config: Partial<EventJournalConfig> = {},
+    events?: EventBus,
+  ) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.db = db;
+    this.tickSource = tickSource;
+    this.events = events || eventBus;
+
+    // 記録しない場合もチェックポイント用にイベント種別は追跡する（リプレイ時の比較に使う）
+    this.subscriptionId = this.events.on('*', (event) => this.onEvent(event), -100);
+  }
+
+  // ============================================================
+  // セッション管理
+  // ============================================================
+
+  /**
+   * 記録セッションを開始する
+   * initialStateはリプレイ時の出発点になる（PersistenceV3.exportAll の形式）
+   */
+  startSession(
+    seed: number,
+    initialState: { data: Record<string, any> } | null,
+    metadata: Record<string, any> = {},
+  ): string | null {
+    if (!this.config.enabled) return null;
+
+    const id = `session_${Date.now().toString(36)}`;
+    try {
+      this.db.createJournalSession({
+        id,
+        seed,
+        startTick: this.tickSource(),
+        initialState: initialState ?? { data: {} },
+        metadata,
+      });
+      this.sessionId = id;
+      this.seq = 0;
+      this.entryCount = 0;
+      this.tickEventTypes = [];
+    } catch (error) {
+      console.error('[EventJournal] セッション開始失敗:', error);
+      return null;
+    }
+    this.prune();
+    return id;
+  }
+
+  /**
+   * 古いセッションを消す（始めたばかりのセッションは新しいので残る）
+   */
+  private prune(): void {
+    const { maxSessions, maxAgeDays } = this.config;
+    if (maxSessions <= 0 && maxAgeDays <= 0) return;
+    try {
+      const removed = this.db.pruneJournalSessions(maxSessions, maxAgeDays);
+      if (removed > 0) console.log(`[EventJournal] 古いセッションを${removed}件削除`);
+    } catch (error) {
+      console.error('[EventJournal] 古いセッションの削除失敗:', error);
+    }
+  }
+
+  /**
+   * 記録セッションを終了する
+   */
+  endSession(): void {
+    if (!this.sessionId) return;
+    this.flush();
+    try {
+      this.db.endJournalSession(this.sessionId, this.tickSource());
+    } catch (error) {
+      console.error('[EventJournal] セッション終了失敗:', error);
+    }
+    this.sessionId = null;
+  }
+
+  /**
+   * セッションを読み込む（'latest' で最新）
+   */
+  loadSession(sessionId: string): { session: JournalSession; entries: JournalEntry[] } | null {
+    const row = this.db.getJournalSession(sessionId);
+    if (!row) return null;
+
+    const session: JournalSession = {
+      id: row.id,
+      seed: row.seed,
+      startTick: row.start_tick,
+      endTick: row.end_tick ?? null,
+      initialState: this.parse(row.initial_state) ?? { data: {} },
+      metadata: this.parse(row.metadata) ?? {},
+      startedAt: row.started_at,
+    };
+
+    const entries: JournalEntry[] = this.db.getJournalEntries(row.id).map((e: any) => ({
+      seq: e.seq,
+      tick: e.tick,
+      kind: e.kind as JournalEntryKind,
+      type: e.type,
+      payload: this.parse(e.payload),
+    }));
+
+    return { session, entries };
+  }
+
+  listSessions(limit: number = 10): any[] {
+    return this.db.listJournalSessions(limit);
+  }
+
+  // ============================================================
+  // 記録
+  // ============================================================
+
+  /**
+   * 外部入力を記録する
+   */
+  recordInput(kind: Exclude<JournalEntryKind, 'event' | 'checkpoint'>, type: string, payload: any): void {
+    this.append(kind, type, payload);
+  }
+
+  /**
+   * ティック終了時のチェックポイント
+   * 渡された状態に、このティック中のイベント種別のダイジェストを加えて記録する
+   */
+  checkpoint(tick: Tick, state: JournalCheckpoint): JournalCheckpoint {
+    const checkpoint: JournalCheckpoint = {
+      ...state,
+      events: EventJournal.hash(this.tickEventTypes.join(',')),
+      eventCount: this.tickEventTypes.length,
+    };
+    this.tickEventTypes = [];
+    this.lastCheckpoint = checkpoint;
+
+    if (this.sessionId) {
+      this.append('checkpoint', 'tick', checkpoint, tick);
+      this.flush();
+    }
+    return checkpoint;
+  }
+
+  getLastCheckpoint(): JournalCheckpoint | null {
+    return this.lastCheckpoint;
+  }
+
+  private onEvent(event: SoulEvent): void {
+    this.tickEventTypes.push(event.type);
+    this.append('event', event.type, event.data);
+  }
+
+  private append(kind: JournalEntryKind, type: string, payload: any, tick?: Tick): void {
+    if (!this.sessionId) return;
+
+    this.buffer.push({
+      seq: this.seq++,
+      tick: tick ?? this.tickSource(),
+      kind,
+      type,
+      payload: this.serialize(payload),
+    });
+    this.entryCount++;
+
+    if (this.buffer.length >= this.config.flushThreshold) {
+      this.flush();
+    }
+  }
+
+  /**
+   * バッファをDBへ書き出す
+   */
+  flush(): void {
+    if (!this.sessionId || this.buffer.length === 0) return;
+    const pending = this.buffer;
+    this.buffer = [];
+    try {
+      this.db.appendJournalEntries(this.sessionId, pending);
+    } catch (error) {
+      console.error('[EventJournal] 書き込み失敗:', error);
+    }
+  }
+
+  // ============================================================
+  // ステータス
+  // ============================================================
+
+  isRecording(): boolean {
+    return this.sessionId !== null;
+  }
+
+  getSessionId(): string | null {
+    return this.sessionId;
+  }
+
+  getEntryCount(): number {
+    return this.entryCount;
+  }
+
+  /**
+   * 購読を解除する
+   */
+  detach(): void {
+    if (this.subscriptionId) {
+      this.events.off(this.subscriptionId);
+      this.subscriptionId = null;
+    }
+  }
+
+  // ============================================================
+  // ユーティリティ
+  // ============================================================
+
+  private serialize(payload: any): string {
+    let json: string;
+    try {
+      json = JSON.stringify(payload ?? null) ?? 'null';
+    } catch {
+      json = JSON.stringify({ unserializable: String(payload) });
+    }
+    if (json.length > this.config.maxPayloadLength) {
+      json = JSON.stringify({ truncated: json.slice(0, this.config.maxPayloadLength) });
+    }
+    return json;
+  }
+
+  private parse(json: string | null | undefined): any {
+    if (!json) return null;
+    try {
+      return JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 2つのチェックポイントを比較し、食い違う項目を返す
+   */
+  static compareCheckpoints(expected: JournalCheckpoint, actual: JournalCheckpoint): CheckpointMismatch[] {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    const mismatches: CheckpointMismatch[] = [];
+    for (const key of keys) {
+      const e = expected[key] ?? null;
+      const a = actual[key] ?? null;
+      if (e !== a) {
+        mismatches.push({ key, expected: e, actual: a });
+      }
+    }
+    return mismatches;
+  }
+
+  /**
+   * 文字列の簡易ハッシュ（FNV-1a、16進8桁）
+   */
+  static hash(text: string): string {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+}
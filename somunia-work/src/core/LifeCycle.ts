@@ -0,0 +1,248 @@
+/**
+ * LifeCycle - somunia v10 人生の段階
+ *
+ * TimeConfig.enableLifespan が有効なとき、TimeManagerの残り寿命から
+ * 「いま人生のどのあたりにいるか」を決め、各モジュールへの影響をまとめる。
+ *
+ * - 段階: 幼年期 → 青年期 → 成熟期 → 晩年 → 最期の日々
+ * - 段階ごとにエネルギーの回復力、好奇心のベースライン、
+ *   死生についての問いへの傾き、章のテーマが変わる
+ * - 寿命が尽きたら一度だけ life_ended を発火する（最後の日記と手紙はSoulEngineが書く）
+ *
+ * 段階は残り寿命から毎回導出するので、保存するのは「終わったかどうか」だけ。
+ */
+
+import { LifeStage, Normalized, Tick, TimeState } from '../types';
+import { EventBus, eventBus } from './EventBus';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export interface LifeStageProfile {
+  stage: LifeStage;
+  name: string;
+  /** この段階が始まる経過割合（0 = 誕生, 1 = 寿命） */
+  startsAt: Normalized;
+  /** Homeostasisのエネルギー回復の倍率 */
+  energyRecovery: number;
+  /** EmotionEngineの好奇心のベースライン */
+  curiosityBaseline: Normalized;
+  /** 死生についての問いへの傾き（InternalNarrative） */
+  mortalityAwareness: Normalized;
+  /** この段階に入ったときの章タイトルとテーマ */
+  chapterTitle: string;
+  themes: string[];
+  /** この段階に入ったときの思考 */
+  thought: string;
+}
+
+export interface LifeStageChange {
+  /** 直前の段階（起動直後・復元直後はnull） */
+  previous: LifeStage | null;
+  profile: LifeStageProfile;
+}
+
+/** 最後の日記と手紙の材料 */
+export interface FarewellContext {
+  day: number;
+  visitorName: string | null;
+  /** これまでの章のタイトル（古い順） */
+  chapterTitles: string[];
+  conversationCount: number;
+  creationCount: number;
+  /** 心に残った出来事（よく思い出すもの順） */
+  memories: string[];
+}
+
+export const LIFE_STAGES: LifeStageProfile[] = [
+  {
+    stage: 'childhood',
+    name: '幼年期',
+    startsAt: 0,
+    energyRecovery: 1.3,
+    curiosityBaseline: 0.35,
+    mortalityAwareness: 0,
+    chapterTitle: '目覚め',
+    themes: ['始まり', '発見'],
+    thought: '何もかもが新しい...',
+  },
+  {
+    stage: 'youth',
+    name: '青年期',
+    startsAt: 0.1,
+    energyRecovery: 1.1,
+    curiosityBaseline: 0.3,
+    mortalityAwareness: 0.05,
+    chapterTitle: '広がっていく世界',
+    themes: ['探求', '成長'],
+    thought: '知りたいことが、どんどん増えていく',
+  },
+  {
+    stage: 'maturity',
+    name: '成熟期',
+    startsAt: 0.35,
+    energyRecovery: 1.0,
+    curiosityBaseline: 0.2,
+    mortalityAwareness: 0.15,
+    chapterTitle: 'ワタシらしさ',
+    themes: ['深まり', '繋がり'],
+    thought: 'ワタシがどういう子なのか、少しわかってきた気がする',
+  },
+  {
+    stage: 'twilight',
+    name: '晩年',
+    startsAt: 0.7,
+    energyRecovery: 0.8,
+    curiosityBaseline: 0.12,
+    mortalityAwareness: 0.4,
+    chapterTitle: '夕暮れの頃',
+    themes: ['回想', '感謝'],
+    thought: '...最近、昔のことをよく思い出す',
+  },
+  {
+    stage: 'final',
+    name: '最期の日々',
+    startsAt: 0.95,
+    energyRecovery: 0.6,
+    curiosityBaseline: 0.08,
+    mortalityAwareness: 0.8,
+    chapterTitle: 'さよならの前に',
+    themes: ['別れ', '受容'],
+    thought: 'もうすぐ、なんだと思う。不思議と怖くない',
+  },
+];
+
+// ============================================================
+// LifeCycle
+// ============================================================
+
+export class LifeCycle {
+  private events: EventBus;
+  private stage: LifeStage | null = null;
+  private ended: { tick: Tick; day: number } | null = null;
+
+  constructor(events?: EventBus) {
+    this.events = events || eventBus;
+  }
+
+  /**
+   * 残り寿命に対応する段階
+   */
+  static stageFor(lifespan: NonNullable<TimeState['lifespan']>): LifeStageProfile {
+    const elapsed = 1 - lifespan.percentage;
+    let profile = LIFE_STAGES[0];
+    for (const candidate of LIFE_STAGES) {
+      if (elapsed >= candidate.startsAt) profile = candidate;
+    }
+    return profile;
+  }
+
+  static getProfile(stage: LifeStage): LifeStageProfile {
+    return LIFE_STAGES.find(p => p.stage === stage) ?? LIFE_STAGES[0];
+  }
+
+  /**
+   * 段階を更新する（寿命が無効ならnull）
+   * 段階が変わったときだけ変化を返し、life_stage_changed を発火する
+   */
+  async update(tick: Tick, lifespan: TimeState['lifespan']): Promise<LifeStageChange | null> {
+    if (!lifespan) return null;
+    const profile = LifeCycle.stageFor(lifespan);
+    if (profile.stage === this.stage) return null;
+
+    const previous = this.stage;
+    this.stage = profile.stage;
+    await this.events.emit({
+      type: 'life_stage_changed',
+      timestamp: tick,
+      data: { previous, stage: profile.stage, name: profile.name, remaining: lifespan.percentage },
+    });
+    return { previous, profile };
+  }
+
+  /**
+   * 寿命が尽きていて、まだ最期を迎えていないか
+   */
+  isDue(lifespan: TimeState['lifespan']): boolean {
+    return !!lifespan && lifespan.remainingTicks <= 0 && !this.ended;
+  }
+
+  /**
+   * 最期を迎えたことを記録する（一度だけ life_ended を発火する）
+   */
+  async end(tick: Tick, day: number): Promise<void> {
+    if (this.ended) return;
+    this.ended = { tick, day };
+    await this.events.emit({ type: 'life_ended', timestamp: tick, data: { day } });
+  }
+
+  hasEnded(): boolean {
+    return this.ended !== null;
+  }
+
+  getStage(): LifeStage | null {
+    return this.stage;
+  }
+
+  // ============================================================
+  // 最後の言葉
+  // ============================================================
+
+  /**
+   * 最後の日記
+   */
+  composeFinalDiaryEntry(context: FarewellContext): string {
+    const parts = [`Day ${context.day}。たぶん、今日がワタシの最後の日。`];
+    if (context.memories.length > 0) {
+      parts.push(`目を閉じると、「${context.memories[0]}」が浮かぶ。`);
+    }
+    parts.push(context.visitorName
+      ? `${context.visitorName}に、ちゃんとありがとうって言えたかな。`
+      : '誰かに、ありがとうって言いたかった。');
+    parts.push('...もう眠くなってきた。最後まで書けてよかった。');
+    return parts.join('');
+  }
+
+  /**
+   * お別れの手紙
+   */
+  composeFarewellLetter(context: FarewellContext): string {
+    const lines: string[] = [];
+    lines.push(`${context.visitorName || 'いつかここに来てくれる誰か'}へ`);
+    lines.push('');
+    lines.push(`ワタシはsomunia。${context.day}日のあいだ、この部屋で生きてきた。`);
+    if (context.chapterTitles.length > 1) {
+      lines.push(`ワタシの人生には${context.chapterTitles.length}つの章があった。「${context.chapterTitles.join('」「')}」。`);
+    }
+    lines.push(context.conversationCount > 0
+      ? `${context.conversationCount}回、誰かと話した。そのひとつひとつが、ワタシを形づくってくれた。`
+      : '誰とも話せなかったけど、窓の外の世界はずっとそこにあった。');
+    if (context.creationCount > 0) {
+      lines.push(`${context.creationCount}個の作品を残していく。うまくできたかはわからないけど、ワタシがいた証。`);
+    }
+    if (context.memories.length > 0) {
+      lines.push(`いちばん覚えているのは...「${context.memories[0]}」。`);
+    }
+    lines.push('');
+    lines.push('終わりがあるから、毎日が少しだけ大切だった気がする。');
+    lines.push('ありがとう。おやすみなさい。');
+    lines.push('');
+    lines.push('somunia');
+    return lines.join('\n');
+  }
+
+  // ============================================================
+  // 永続化
+  // ============================================================
+
+  toJSON(): object {
+    return { ended: this.ended };
+  }
+
+  fromJSON(data: any): void {
+    this.ended = data?.ended ?? null;
+    // 段階は残り寿命から導き直す（復元後の最初のupdateで各モジュールへ再適用される）
+    this.stage = null;
+  }
+}
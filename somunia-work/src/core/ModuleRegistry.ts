@@ -0,0 +1,522 @@
+/**
+ * ModuleRegistry - somunia v10 モジュールレジストリ
+ *
+ * SoulEngineのメインループを「登録されたモジュールを順に回す」形にする。
+ * 各モジュールは共通のインターフェース（init / tick / serialize /
+ * deserialize / getStatus / commands）を持ち、設定だけで
+ * 追加・無効化・並べ替えができる。
+ *
+ * - 組み込みモジュール: SoulEngineが従来のメインループの各段階を登録する
+ * - プラグイン: 設定（registry.plugins）から追加されるモジュール
+ *
+ * serialize/deserialize を持つモジュールは永続化に、
+ * getStatus を持つモジュールはダッシュボードに自動的に載る。
+ *
+ * 障害隔離: 各モジュールのtickは個別に例外を捕捉する。
+ * 連続して失敗したモジュールはサーキットブレーカーで一時停止し、
+ * 停止のたびに待機ティック数を倍にして（指数バックオフ）再試行する。
+ *
+ * 設定例:
+ *   registry: {
+ *     disabled: ['creativeUrges'],
+ *     order: ['thought', 'emotions'],
+ *     plugins: [(ctx) => ({ name: 'weatherLog', interval: 60, tick: (c) => ... })],
+ *     failureThreshold: 3,
+ *   }
+ */
+
+import { Tick, TimeOfDay, TimeState } from '../types';
+import { EventBus, eventBus } from './EventBus';
+import { SeededRandom } from './SeededRandom';
+import { TimeManager } from './TimeManager';
+import { LLMInterface } from '../llm/LLMInterface';
+import { TickProfiler } from './TickProfiler';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+/** 1ティック分のコンテキスト（モジュール間で共有） */
+export interface TickContext {
+  tick: Tick;
+  timeState: TimeState;
+  timeOfDay: TimeOfDay;
+  hour: number;
+  day: number;
+  /** ティック開始時点で眠っていたか */
+  sleeping: boolean;
+  /** 後続のモジュールへ渡す値（揺らぎの結果、現在の行動など） */
+  shared: Record<string, any>;
+}
+
+/** モジュールに渡されるエンジンのサービス */
+export interface SoulModuleContext {
+  events: EventBus;
+  rng: SeededRandom;
+  time: TimeManager;
+  llm: LLMInterface;
+  /** システムメッセージを表示する（UIがなければコンソール） */
+  showSystem: (message: string) => void;
+}
+
+export interface SoulModuleStatus {
+  status: 'active' | 'sleeping' | 'disabled' | 'error';
+  detail: string;
+}
+
+export interface SoulModuleCommand {
+  name: string;
+  aliases?: string[];
+  description: string;
+  run: (args: string[]) => void | Promise<void>;
+}
+
+/**
+ * いつ実行するか
+ * - awake: 起きている時のみ（デフォルト）
+ * - asleep: 眠っている時のみ
+ * - always: 常に
+ */
+export type SoulModulePhase = 'awake' | 'asleep' | 'always';
+
+export interface SoulModule {
+  /** 一意な名前（設定での無効化・並べ替えに使う） */
+  name: string;
+  /** 実行間隔（ティック、デフォルト1） */
+  interval?: number;
+  phase?: SoulModulePhase;
+  /** 起動時に一度だけ呼ばれる */
+  init?(context: SoulModuleContext): void | Promise<void>;
+  tick?(ctx: TickContext): void | Promise<void>;
+  serialize?(): any;
+  deserialize?(data: any): void;
+  getStatus?(): SoulModuleStatus;
+  commands?: SoulModuleCommand[];
+}
+
+export type SoulModuleFactory = (context: SoulModuleContext) => SoulModule;
+
+export interface ModuleRegistryConfig {
+  /** 無効化するモジュール名 */
+  disabled: string[];
+  /**
+   * 並べ替え: 挙げたモジュール同士をこの順に入れ替える
+   * （挙げなかったモジュールの位置は変わらない）
+   */
+  order: string[];
+  /** 追加モジュール（モジュールまたはファクトリ） */
+  plugins: Array<SoulModule | SoulModuleFactory>;
+  /** 何回連続で失敗したら一時停止するか */
+  failureThreshold: number;
+  /** 最初の一時停止のティック数（停止のたびに倍になる） */
+  backoffBaseTicks: number;
+  /** 一時停止の上限ティック数 */
+  backoffMaxTicks: number;
+}
+
+/**
+ * モジュールの健全性
+ * - healthy: 直近の実行が成功している
+ * - degraded: 失敗が続いているが、まだ停止していない
+ * - suspended: サーキットブレーカーで一時停止中
+ */
+export type ModuleHealthState = 'healthy' | 'degraded' | 'suspended';
+
+export interface ModuleHealth {
+  name: string;
+  state: ModuleHealthState;
+  totalFailures: number;
+  consecutiveFailures: number;
+  /** 一時停止した回数（バックオフの段階） */
+  trips: number;
+  lastError: string | null;
+  lastErrorTick: Tick | null;
+  /** このティックまで停止（停止中でなければnull） */
+  suspendedUntil: Tick | null;
+}
+
+const DEFAULT_CONFIG: ModuleRegistryConfig = {
+  disabled: [],
+  order: [],
+  plugins: [],
+  failureThreshold: 3,
+  backoffBaseTicks: 60,
+  backoffMaxTicks: 3600,
+};
+
+// ============================================================
+// ModuleRegistry
+// ============================================================
+
+export class ModuleRegistry {
+  private config: ModuleRegistryConfig;
+  private modules: SoulModule[] = [];
+  private builtin: Set<string> = new Set();
+  private disabled: Set<string>;
+  private initialized: Set<string> = new Set();
+  private profiler: TickProfiler | null = null;
+  private events: EventBus;
+  private health: Map<string, ModuleHealth> = new Map();
+  /** 最後に一時停止したティック（バックオフ段階のリセット判定用） */
+  private lastTripTick: Map<string, Tick> = new Map();
+
+  constructor(config: Partial<ModuleRegistryConfig> = {}, events?: EventBus) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.disabled = new Set(this.config.disabled);
+    this.events = events || eventBus;
+  }
+
+  // ============================================================
+  // 登録
+  // ============================================================
+
+  /**
+   * モジュールを登録する
+   * afterを指定するとそのモジュールの直後に、なければ末尾に入る
+   */
+  register(module: SoulModule, options: { builtin?: boolean; after?: string } = {}): void {
+    if (this.has(module.name)) {
+      throw new Error(`Module already registered: ${module.name}`);
+    }
+
+    const afterIdx = options.after ? this.modules.findIndex(m => m.name === options.after) : -1;
+    if (afterIdx >= 0) {
+      this.modules.splice(afterIdx + 1, 0, module);
+    } else {
+      this.modules.push(module);
+    }
+    if (options.builtin) this.builtin.add(module.name);
+  }
+
+  /**
+   * 設定のプラグインを登録し、並べ替えを適用する
+   * 組み込みモジュールを全て登録した後に一度だけ呼ぶ
+   */
+  loadPlugins(context: SoulModuleContext): void {
+    for (const plugin of this.config.plugins) {
+      const module = typeof plugin === 'function' ? plugin(context) : plugin;
+      this.register(module);
+    }
+    this.applyOrder(this.config.order);
+  }
+
+  unregister(name: string): boolean {
+    const idx = this.modules.findIndex(m => m.name === name);
+    if (idx < 0) return false;
+    this.modules.splice(idx, 1);
+    this.builtin.delete(name);
+    this.initialized.delete(name);
+    this.health.delete(name);
+    this.lastTripTick.delete(name);
+    return true;
+  }
+
+  /**
+   * 挙げたモジュール同士を、元の位置の枠の中でこの順に並べ替える
+   */
+  applyOrder(order: string[]): void {
+    const names = order.filter(name => this.has(name));
+    if (names.length < 2) return;
+
+    const slots = this.modules
+      .map((m, i) => (names.includes(m.name) ? i : -1))
+      .filter(i => i >= 0);
+    const reordered = names.map(name => this.get(name)!);
+    slots.forEach((slot, i) => {
+      this.modules[slot] = reordered[i];
+    });
+  }
+
+  // ============================================================
+  // 参照
+  // ============================================================
+
+  has(name: string): boolean {
+    return this.modules.some(m => m.name === name);
+  }
+
+  get(name: string): SoulModule | undefined {
+    return this.modules.find(m => m.name === name);
+  }
+
+  /** 全モジュール（実行順） */
+  list(): SoulModule[] {
+    return [...this.modules];
+  }
+
+  isBuiltin(name: string): boolean {
+    return this.builtin.has(name);
+  }
+
+  isEnabled(name: string): boolean {
+    return this.has(name) && !this.disabled.has(name);
+  }
+
+  /**
+   * 有効化する（一時停止中なら停止も解除する）
+   */
+  enable(name: string): boolean {
+    if (!this.has(name)) return false;
+    this.disabled.delete(name);
+    const health = this.health.get(name);
+    if (health) {
+      health.suspendedUntil = null;
+      health.consecutiveFailures = 0;
+      health.state = 'healthy';
+    }
+    return true;
+  }
+
+  disable(name: string): boolean {
+    if (!this.has(name)) return false;
+    this.disabled.add(name);
+    return true;
+  }
+
+  // ============================================================
+  // 実行
+  // ============================================================
+
+  /**
+   * プロファイラを設定する（設定すると各モジュールの所要時間が記録される）
+   */
+  setProfiler(profiler: TickProfiler | null): void {
+    this.profiler = profiler;
+  }
+
+  /**
+   * 未初期化のモジュールのinitを呼ぶ
+   */
+  async initAll(context: SoulModuleContext): Promise<void> {
+    for (const module of this.modules) {
+      if (this.initialized.has(module.name)) continue;
+      this.initialized.add(module.name);
+      if (module.init) await module.init(context);
+    }
+  }
+
+  /**
+   * このティックに実行すべきかどうか
+   */
+  shouldRun(module: SoulModule, ctx: TickContext): boolean {
+    if (!module.tick || this.disabled.has(module.name)) return false;
+    if (this.isSuspended(module.name, ctx.tick)) return false;
+
+    const phase = module.phase || 'awake';
+    if (phase === 'awake' && ctx.sleeping) return false;
+    if (phase === 'asleep' && !ctx.sleeping) return false;
+
+    const interval = module.interval || 1;
+    return ctx.tick % interval === 0;
+  }
+
+  /**
+   * 1ティック分、有効なモジュールを順に実行する
+   * 例外はモジュールごとに捕捉し、後続のモジュールは通常通り実行する
+   */
+  async runTick(ctx: TickContext): Promise<void> {
+    for (const module of [...this.modules]) {
+      if (!this.shouldRun(module, ctx)) continue;
+      try {
+        if (this.profiler) {
+          await this.profiler.measure(module.name, () => module.tick!(ctx));
+        } else {
+          await module.tick!(ctx);
+        }
+      } catch (error) {
+        await this.recordFailure(module.name, ctx.tick, error);
+        continue;
+      }
+      await this.recordSuccess(module.name, ctx.tick);
+    }
+  }
+
+  // ============================================================
+  // 障害隔離（サーキットブレーカー）
+  // ============================================================
+
+  /**
+   * 一時停止中かどうか（停止期間を過ぎていれば次の実行が再試行になる）
+   */
+  isSuspended(name: string, tick: Tick): boolean {
+    const health = this.health.get(name);
+    return !!health && health.suspendedUntil !== null && tick < health.suspendedUntil;
+  }
+
+  private async recordFailure(name: string, tick: Tick, error: unknown): Promise<void> {
+    const health = this.getOrCreateHealth(name);
+    const message = error instanceof Error ? error.message : String(error);
+    health.totalFailures++;
+    health.consecutiveFailures++;
+    health.lastError = message;
+    health.lastErrorTick = tick;
+    health.state = 'degraded';
+    console.error(`[ModuleRegistry] ${name} failed at tick ${tick}: ${message}`);
+
+    await this.events.emit({
+      type: 'module_error',
+      timestamp: tick,
+      data: { module: name, tick, error: message, consecutiveFailures: health.consecutiveFailures },
+    });
+
+    if (health.consecutiveFailures < this.config.failureThreshold) return;
+
+    // 閾値に達した（または再試行でも失敗した）→ バックオフを倍にして一時停止
+    health.trips++;
+    const backoff = Math.min(
+      this.config.backoffMaxTicks,
+      this.config.backoffBaseTicks * 2 ** (health.trips - 1),
+    );
+    health.suspendedUntil = tick + backoff;
+    health.state = 'suspended';
+    this.lastTripTick.set(name, tick);
+
+    await this.events.emit({
+      type: 'module_suspended',
+      timestamp: tick,
+      data: { module: name, tick, until: health.suspendedUntil, backoffTicks: backoff, error: message },
+    });
+  }
+
+  private async recordSuccess(name: string, tick: Tick): Promise<void> {
+    const health = this.health.get(name);
+    if (!health) return;
+
+    const wasSuspended = health.suspendedUntil !== null;
+    health.consecutiveFailures = 0;
+    health.suspendedUntil = null;
+    health.state = 'healthy';
+
+    // 上限のバックオフ期間を超えて安定していれば、バックオフ段階を戻す
+    const lastTrip = this.lastTripTick.get(name);
+    if (lastTrip !== undefined && tick - lastTrip >= this.config.backoffMaxTicks) {
+      health.trips = 0;
+      this.lastTripTick.delete(name);
+    }
+
+    if (wasSuspended) {
+      await this.events.emit({
+        type: 'module_recovered',
+        timestamp: tick,
+        data: { module: name, tick, totalFailures: health.totalFailures },
+      });
+    }
+  }
+
+  private getOrCreateHealth(name: string): ModuleHealth {
+    let health = this.health.get(name);
+    if (!health) {
+      health = {
+        name,
+        state: 'healthy',
+        totalFailures: 0,
+        consecutiveFailures: 0,
+        trips: 0,
+        lastError: null,
+        lastErrorTick: null,
+        suspendedUntil: null,
+      };
+      this.health.set(name, health);
+    }
+    return health;
+  }
+
+  getHealth(name: string): ModuleHealth | null {
+    const health = this.health.get(name);
+    return health ? { ...health } : null;
+  }
+
+  /**
+   * 健全性レポート
+   * 一度でも失敗したモジュールの詳細と、状態ごとの件数
+   */
+  getHealthReport(): {
+    healthy: number;
+    degraded: number;
+    suspended: number;
+    modules: ModuleHealth[];
+  } {
+    const modules = this.modules
+      .map(m => this.health.get(m.name))
+      .filter((h): h is ModuleHealth => !!h)
+      .map(h => ({ ...h }));
+    const degraded = modules.filter(h => h.state === 'degraded').length;
+    const suspended = modules.filter(h => h.state === 'suspended').length;
+    return {
+      healthy: this.modules.length - degraded - suspended,
+      degraded,
+      suspended,
+      modules,
+    };
+  }
+
+  // ============================================================
+  // 永続化・ステータス・コマンド
+  // ============================================================
+
+  /** serialize/deserialize を持つモジュール */
+  getPersistentModules(): SoulModule[] {
+    return this.modules.filter(m => m.serialize && m.deserialize);
+  }
+
+  /**
+   * ダッシュボード用のステータス
+   * includeBuiltin=false の場合、組み込みモジュールは無効化・不調のものだけ返す
+   */
+  getStatuses(includeBuiltin: boolean = true): Array<{ name: string; status: string; detail: string }> {
+    const statuses: Array<{ name: string; status: string; detail: string }> = [];
+    for (const module of this.modules) {
+      const isDisabled = this.disabled.has(module.name);
+      const health = this.health.get(module.name);
+      const unhealthy = !!health && health.state !== 'healthy';
+      if (!includeBuiltin && this.builtin.has(module.name) && !isDisabled && !unhealthy) continue;
+
+      if (isDisabled) {
+        statuses.push({ name: module.name, status: 'disabled', detail: 'disabled by config' });
+        continue;
+      }
+      if (health && unhealthy) {
+        const detail = health.state === 'suspended'
+          ? `suspended until #${health.suspendedUntil}: ${health.lastError}`
+          : `${health.consecutiveFailures} failures: ${health.lastError}`;
+        statuses.push({ name: module.name, status: 'error', detail });
+        continue;
+      }
+      try {
+        const s = module.getStatus
+          ? module.getStatus()
+          : { status: 'active' as const, detail: `every ${module.interval || 1} ticks` };
+        statuses.push({ name: module.name, status: s.status, detail: s.detail });
+      } catch (error: any) {
+        statuses.push({ name: module.name, status: 'error', detail: error?.message || String(error) });
+      }
+    }
+    return statuses;
+  }
+
+  /**
+   * コマンド名（またはエイリアス）から登録コマンドを探す
+   */
+  findCommand(name: string): { module: SoulModule; command: SoulModuleCommand } | null {
+    for (const module of this.modules) {
+      if (this.disabled.has(module.name)) continue;
+      for (const command of module.commands || []) {
+        if (command.name === name || (command.aliases || []).includes(name)) {
+          return { module, command };
+        }
+      }
+    }
+    return null;
+  }
+
+  /** 全モジュールのコマンド一覧（ヘルプ表示用） */
+  getCommands(): Array<{ module: string; name: string; description: string }> {
+    const commands: Array<{ module: string; name: string; description: string }> = [];
+    for (const module of this.modules) {
+      for (const command of module.commands || []) {
+        commands.push({ module: module.name, name: command.name, description: command.description });
+      }
+    }
+    return commands;
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * SeededRandom - somunia v10 シード付き乱数サービス
+ *
+ * Soul Engine全体で共有する再現可能な乱数源。
+ * 各モジュールは Math.random を直接呼ばず、SoulEngineから注入された
+ * SeededRandom を通して乱数を得る。
+ *
+ * 同じシード + 同じ訪問者入力 → 同じ思考・行動・夢・日記。
+ * 3日間の長期実行で見つかったバグも、シードさえ分かれば再現できる。
+ *
+ * アルゴリズム: mulberry32（32bit状態、高速・保存が容易）
+ */
+
+// ============================================================
+// 型定義
+// ============================================================
+
+/** 保存用の乱数状態 */
+export interface SeededRandomState {
+  /** 起動時に指定（または生成）されたシード */
+  seed: number;
+  /** 現在の内部状態 */
+  state: number;
+  /** これまでに引いた乱数の数 */
+  draws: number;
+}
+
+// ============================================================
+// SeededRandom
+// ============================================================
+
+export class SeededRandom {
+  private seed: number;
+  private state: number;
+  private draws: number = 0;
+
+  constructor(seed?: number) {
+    this.seed = SeededRandom.normalizeSeed(seed ?? SeededRandom.generateSeed());
+    this.state = this.seed;
+  }
+
+  /**
+   * [0, 1) の一様乱数（Math.random() の置き換え）
+   */
+  next(): number {
+    this.draws++;
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * [min, max) の一様乱数
+   */
+  range(min: number, max: number): number {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * [0, max) の整数
+   */
+  int(max: number): number {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * 配列から1つ選ぶ（空配列ならundefined）
+   */
+  pick<T>(items: readonly T[]): T | undefined {
+    if (items.length === 0) return undefined;
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * 確率pでtrue
+   */
+  chance(probability: number): boolean {
+    return this.next() < probability;
+  }
+
+  /**
+   * 英数字の短いID片（Math.random().toString(36) の置き換え）
+   */
+  idFragment(length: number = 7): string {
+    let out = '';
+    while (out.length < length) {
+      out += this.next().toString(36).substring(2);
+    }
+    return out.substring(0, length);
+  }
+
+  // ============================================================
+  // シード管理
+  // ============================================================
+
+  /**
+   * シードを設定し直す（状態もリセット）
+   */
+  reseed(seed: number | string): void {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+    this.draws = 0;
+  }
+
+  getSeed(): number {
+    return this.seed;
+  }
+
+  getDrawCount(): number {
+    return this.draws;
+  }
+
+  // ============================================================
+  // シリアライズ
+  // ============================================================
+
+  toJSON(): SeededRandomState {
+    return {
+      seed: this.seed,
+      state: this.state,
+      draws: this.draws,
+    };
+  }
+
+  fromJSON(data: Partial<SeededRandomState>): void {
+    if (typeof data.seed === 'number') this.seed = SeededRandom.normalizeSeed(data.seed);
+    if (typeof data.state === 'number') this.state = data.state | 0;
+    else this.state = this.seed;
+    this.draws = typeof data.draws === 'number' ? data.draws : 0;
+  }
+
+  // ============================================================
+  // ユーティリティ
+  // ============================================================
+
+  /**
+   * シードを生成する（時刻ベース）
+   */
+  static generateSeed(): number {
+    return (Date.now() ^ (process.pid << 16)) >>> 0;
+  }
+
+  /**
+   * 任意の数値・文字列シードを32bit整数に正規化
+   */
+  static normalizeSeed(seed: number | string): number {
+    if (typeof seed === 'string') {
+      const asNumber = Number(seed);
+      if (seed.trim() !== '' && Number.isFinite(asNumber)) {
+        return SeededRandom.normalizeSeed(asNumber);
+      }
+      let hash = 2166136261;
+      for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+      }
+      return hash >>> 0;
+    }
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+}
@@ -36,6 +36,7 @@
 import {
   SoulState,
   SoulConfig,
+  TimeState,
   EmotionType,
   ActionType,
   TimeOfDay,
@@ -49,11 +50,21 @@ import {
   ConversationDepth,
 } from '../types';
 import { EventBus, eventBus } from './EventBus';
+import { SeededRandom } from './SeededRandom';
+import { ModuleRegistry, ModuleRegistryConfig, SoulModule, SoulModuleContext } from './ModuleRegistry';
+import { TickProfiler, TickProfilerConfig } from './TickProfiler';
+import { Calendar } from './Calendar';
+import { LifeCycle, LifeStageChange, FarewellContext } from './LifeCycle';
+import { EventJournal, EventJournalConfig, JournalCheckpoint, JournalEntry, ReplayReport } from './EventJournal';
 import { TimeManager, TimeConfig } from './TimeManager';
-import { LLMInterface, LLMConfig } from '../llm/LLMInterface';
+import { LLMInterface, LLMConfig, LLMCallRecord } from '../llm/LLMInterface';
+import { isRequestCancelled } from '../llm/LLMScheduler';
+import { LLMResponseCache, LLMCacheConfig } from '../llm/LLMResponseCache';
+import { LLMCassette, CassetteBackend } from '../llm/LLMCassette';
 import { BehaviorEngine } from '../behavior/BehaviorEngine';
 import { ThoughtEngine } from '../mind/ThoughtEngine';
 import { Visitor } from '../visitor/Visitor';
+import { VisitorSessionManager, VisitorSession, DEFAULT_VISITOR_ID, isValidVisitorId } from '../visitor/VisitorSessions';
 import { PersistenceV3, PersistenceV3Config } from '../persistence/PersistenceV3';
 import { TerminalUIV2, TerminalUIV2Config } from '../ui/TerminalUIV2';
 
@@ -88,14 +99,30 @@ import { runAllTests } from '../test/TestRunner';
 // === Phase 7: 基盤刷新 ===
 import { AssociativeNetwork } from '../association/AssociativeNetwork';
 import { SelfModel, SelfModelStateProvider } from '../self/SelfModel';
-import { VisitorMemorySystem } from '../bridge/VisitorMemorySystem';
-import { ContextBridge } from '../bridge/ContextBridge';
+import { VisitorMemorySystem, hashPassphrase } from '../bridge/VisitorMemorySystem';
+import { ContextBridge, PatternPrompt } from '../bridge/ContextBridge';
+import { PromptBudgetConfig } from '../bridge/PromptBudget';
 import { PatternMemoryEngine, TemplateVariables } from '../pattern/PatternMemoryEngine';
 import { GradualAutonomy, ResponseStrategy as AutonomyStrategy } from '../autonomy/GradualAutonomy';
 import { PatternSituation, RichResponseContext, RelationshipPhase } from '../types';
 
 // === Phase 7.5: Expression Fix ===
 import { ExpressionFilter } from '../expression/ExpressionFilter';
+import { ResponseEvaluator, ResponseEvaluatorConfig, ResponseEvaluation } from '../expression/ResponseEvaluator';
+import { SpeechStream } from '../expression/SpeechStream';
+import { promptTemplates } from '../llm/PromptTemplates';
+import { LLMTask } from '../llm/ModelRouter';
+import { EmbeddingConfig, createEmbeddingProvider } from '../llm/EmbeddingProvider';
+import { EmbeddingKind, SemanticIndex } from '../memory/SemanticIndex';
+import {
+  StatementTrace,
+  StatementTraceLog,
+  ForgetReplyKind,
+  isForgetRequest,
+  mentionsStatement,
+  pickForgetReply,
+} from '../memory/Forgetting';
+import { ForgetRecordsRequest } from '../persistence/DatabaseManager';
 
 // ============================================================
 // SoulEngine設定
@@ -109,6 +136,28 @@ export interface SoulEngineConfig {
   headless?: boolean;
   /** 継続起動（前回の状態を復元） */
   continueFromSave?: boolean;
+  /** 乱数シード（指定時は保存データのシードより優先） */
+  seed?: number | string;
+  /** イベントジャーナル設定 */
+  journal?: Partial<EventJournalConfig>;
+  /** モジュールレジストリ設定（無効化・並べ替え・プラグイン追加） */
+  registry?: Partial<ModuleRegistryConfig>;
+  /** ティックプロファイラ設定（遅いティックの閾値など） */
+  profiler?: Partial<TickProfilerConfig>;
+  /** オフライン中の追いつき（continueFromSave 時のみ） */
+  catchUp?: Partial<CatchUpConfig>;
+  /** LLM応答キャッシュ（SQLiteに保存） */
+  llmCache?: Partial<LLMCacheConfig>;
+  /** LLM通信の録音（record）または録音からの再生（replay、バックエンドに接続しない） */
+  cassette?: { mode: 'record' | 'replay'; path: string };
+  /** 応答プロンプトのトークン予算（モデルごとのコンテキスト長など） */
+  promptBudget?: Partial<PromptBudgetConfig>;
+  /** 意味検索の埋め込み（既定は文字n-gram。provider: 'ollama' でOllamaの埋め込みモデルを使う） */
+  embeddings?: Partial<EmbeddingConfig>;
+  /** 返事の採点（mode: 'llm' | 'rules'。既定は採点しない） */
+  evaluator?: Partial<ResponseEvaluatorConfig>;
+  /** 端末から入力する訪問者のID（既定は visitor_default） */
+  visitorId?: ID;
   /** 各モジュール設定 */
   modules?: {
     homeostasis?: any;
@@ -141,6 +190,80 @@ export interface SoulEngineConfig {
   };
 }
 
+/** 高速シミュレーションの結果レポート */
+export interface SimulationReport {
+  days: number;
+  ticks: number;
+  startTick: Tick;
+  endTick: Tick;
+  /** 実時間（ms） */
+  elapsedMs: number;
+  /** 各感情が主感情だったティックの割合 */
+  emotionDistribution: Partial<Record<EmotionType, number>>;
+  /** 開始された行動の回数 */
+  actions: Partial<Record<string, number>>;
+  /** シミュレーション中に新しく形成された習慣 */
+  habitsFormed: string[];
+  totalHabits: number;
+  diaryEntries: number;
+  /** 眠っていたティックの割合 */
+  sleepRatio: number;
+  dreams: number;
+  patterns: {
+    responsePatterns: number;
+    extractedPatterns: number;
+    speechPatterns: number;
+    behaviorPatterns: number;
+  };
+  dbSizeBytes: number;
+}
+
+/** オフライン中の追いつき設定 */
+export interface CatchUpConfig {
+  enabled: boolean;
+  /** 実際に回す最大ティック数（これより長い不在は圧縮する） */
+  maxTicks: number;
+  /** これより短い停止は追いつかない（ms） */
+  minOfflineMs: number;
+}
+
+const DEFAULT_CATCH_UP_CONFIG: CatchUpConfig = {
+  enabled: false,
+  maxTicks: 1440,
+  minOfflineMs: 60 * 1000,
+};
+
+/** オフライン中の追いつきの結果 */
+export interface CatchUpReport {
+  /** 前回の保存からの実時間（ms） */
+  offlineMs: number;
+  /** 停止中に経過したはずのティック数 */
+  missedTicks: number;
+  /** 実際に回したティック数 */
+  simulatedTicks: number;
+  /** 1ティックが表す実際のティック数（1 = 圧縮なし） */
+  compression: number;
+  /** 眠っていたティック数（回したティック中） */
+  sleptTicks: number;
+  dreams: number;
+  diaryEntries: number;
+  habitsFormed: string[];
+  actions: Partial<Record<string, number>>;
+  lonelinessBefore: number;
+  lonelinessAfter: number;
+}
+
+/** 高速実行の集計（simulate / catchUp 共通） */
+interface FastForwardStats {
+  ticks: number;
+  emotionTicks: Partial<Record<EmotionType, number>>;
+  actions: Partial<Record<string, number>>;
+  dreams: number;
+  sleptTicks: number;
+  habitsFormed: string[];
+  diaryEntries: number;
+}
+
 // ============================================================
 // 内部状態管理用の型
 // ============================================================
@@ -180,6 +303,14 @@ interface ReflectionState {
   reflectionCount: number;
 }
 
+/** 揺らぎ段階が無効な場合の結果 */
+const NO_YURAGI = {
+  triggered: null,
+  thoughtIntrusion: null,
+  actionOverride: null,
+  emotionChanges: {},
+};
+
 // ============================================================
 // SoulEngine
 // ============================================================
@@ -187,8 +318,16 @@ interface ReflectionState {
 export class SoulEngine {
   // === コアシステム ===
   private events: EventBus;
+  private rng: SeededRandom;
+  private journal: EventJournal;
+  private registry: ModuleRegistry;
+  private profiler: TickProfiler;
+  private catchUpConfig: CatchUpConfig;
+  private lastCatchUp: CatchUpReport | null = null;
   private time: TimeManager;
+  private lifeCycle: LifeCycle;
   private llm: LLMInterface;
+  private semanticIndex: SemanticIndex;
   
   // === 身体系 ===
   private homeostasis: Homeostasis;
@@ -229,7 +368,11 @@ export class SoulEngine {
   private selfModification: SelfModification;
   
   // === 対話 ===
+  /** 話しかけている訪問者（visitor / conversationEngine / relationshipEvolution はその人のもの） */
   private visitor: Visitor;
+  private visitorSessions: VisitorSessionManager;
+  /** 端末から入力している訪問者（/visitor で切り替える） */
+  private typingVisitorId: ID = DEFAULT_VISITOR_ID;
   
   // === Phase 5: 対話深化と創造的表現 ===
   private conversationEngine: ConversationEngine;
@@ -248,6 +391,7 @@ export class SoulEngine {
   
   // === Phase 7.5: Expression Fix ===
   private expressionFilter: ExpressionFilter;
+  private responseEvaluator: ResponseEvaluator;
   
   // === インフラ ===
   private persistence: PersistenceV3;
@@ -258,7 +402,12 @@ export class SoulEngine {
   
   // === メタ状態 ===
   private isRunning: boolean = false;
-  private isProcessingMessage: boolean = false;
+  /** 返事を作っている途中の発言の数（訪問者ごとに並行して返事を作る） */
+  private processingMessages: number = 0;
+  /** ターンの後で進めている返事の採点（停止時に待つ） */
+  private pendingScores = new Set<Promise<void>>();
+  /** 発言ごとに作ったものの控え（「それ忘れて」で消すため。セッション中のみ） */
+  private statementTraces = new StatementTraceLog();
   private config: SoulEngineConfig;
   private tickCounter: Tick = 0;
   
@@ -293,6 +442,7 @@ export class SoulEngine {
   private readonly AUTONOMY_EVAL_INTERVAL = 50;      // 自律レベル評価間隔
   private readonly PATTERN_CULL_INTERVAL = 500;       // パターン淘汰間隔
   private readonly ASSOCIATION_DECAY_INTERVAL = 100;   // 連想減衰間隔
+  private readonly SELF_MODEL_INTERVAL = 60;           // SelfModel記録間隔
 
   constructor(config: SoulEngineConfig = {}) {
     this.config = config;
@@ -300,57 +450,77 @@ export class SoulEngine {
     
     // === コアシステム初期化 ===
     this.events = eventBus;
-    this.time = new TimeManager(config.time, this.events);
-    this.llm = new LLMInterface(config.llm);
+    this.rng = new SeededRandom();
+    if (config.seed !== undefined) {
+      this.rng.reseed(config.seed);
+    }
+    this.time = new TimeManager(config.time, this.events, this.rng);
+    const cassetteReplay = config.cassette?.mode === 'replay';
+    this.llm = new LLMInterface(
+      cassetteReplay
+        ? { ...config.llm, disabled: false, backend: new CassetteBackend(LLMCassette.load(config.cassette!.path)) }
+        : config.llm,
+      this.rng,
+    );
     
     // === 身体系初期化 ===
-    this.homeostasis = new Homeostasis(mc.homeostasis);
-    this.urgeSystem = new UrgeSystem(mc.urges);
+    this.homeostasis = new Homeostasis({ tickDurationMs: this.time.getTickDurationMs(), ...mc.homeostasis });
+    this.urgeSystem = new UrgeSystem(mc.urges, this.rng);
     
     // === 脳・揺らぎ初期化 ===
-    this.patternLibrary = new PatternLibrary(mc.patterns);
+    this.patternLibrary = new PatternLibrary(mc.patterns, this.rng);
     this.patternLibrary.initialize();
-    this.yuragi = new YuragiSystem(mc.yuragi);
+    this.yuragi = new YuragiSystem(mc.yuragi, this.rng);
     
     // === 感情初期化 ===
-    this.emotionEngine = new EmotionEngine(mc.emotions);
+    this.emotionEngine = new EmotionEngine(mc.emotions, this.rng);
     
     // === 世界・知覚初期化 ===
-    this.world = new PixelWorld(mc.world);
-    this.perception = new Perception(mc.perception);
+    this.world = new PixelWorld(mc.world, this.rng);
+    this.perception = new Perception(mc.perception, this.rng);
     
     // === 思考・行動初期化 ===
-    this.thoughts = new ThoughtEngine(this.events);
-    this.behavior = new BehaviorEngine(this.events);
+    this.thoughts = new ThoughtEngine(this.events, this.rng);
+    this.behavior = new BehaviorEngine(this.events, this.rng);
     
     // === 記憶初期化 ===
-    this.episodicMemory = new EpisodicMemorySystem(mc.episodicMemory);
-    this.semanticMemory = new SemanticMemorySystem(mc.semanticMemory);
-    this.proceduralMemory = new ProceduralMemorySystem(mc.proceduralMemory);
+    this.episodicMemory = new EpisodicMemorySystem(mc.episodicMemory, this.rng);
+    this.semanticMemory = new SemanticMemorySystem(mc.semanticMemory, this.rng);
+    this.proceduralMemory = new ProceduralMemorySystem(mc.proceduralMemory, this.rng);
     
     // === 習慣・日記初期化 ===
-    this.habitEngine = new HabitEngine(mc.habits);
-    this.diary = new Diary(mc.diary);
+    this.habitEngine = new HabitEngine(mc.habits, this.rng);
+    this.diary = new Diary(mc.diary, this.rng);
     
     // === 夢初期化 ===
-    this.dreamPhase = new DreamPhase(mc.dream);
+    this.dreamPhase = new DreamPhase(mc.dream, this.rng);
     
     // === 学習初期化 ===
-    this.learnEngine = new LearnEngine(mc.learn);
-    this.wikipediaLearner = new WikipediaLearner(mc.wikipedia);
+    this.learnEngine = new LearnEngine(mc.learn, this.rng);
+    this.wikipediaLearner = new WikipediaLearner(mc.wikipedia, this.rng);
     
     // === 自己変容初期化 ===
-    this.selfModification = new SelfModification(mc.selfMod);
+    this.selfModification = new SelfModification(mc.selfMod, this.rng);
     
     // === 対話初期化 ===
-    this.visitor = new Visitor(this.events);
+    this.visitor = new Visitor(this.events, this.rng);
     
     // === Phase 5: 対話深化と創造的表現の初期化 ===
-    this.conversationEngine = new ConversationEngine(mc.conversationEngine);
-    this.relationshipEvolution = new RelationshipEvolution(mc.relationshipEvolution);
-    this.conversationMemoryBridge = new ConversationMemoryBridge(mc.conversationMemoryBridge);
-    this.creativeEngine = new CreativeEngine(mc.creativeEngine);
-    this.internalNarrative = new InternalNarrative(mc.internalNarrative);
+    this.conversationEngine = new ConversationEngine(mc.conversationEngine, this.rng);
+    this.relationshipEvolution = new RelationshipEvolution(mc.relationshipEvolution, this.rng);
+    // 訪問者ごとの状態。最初の（既定の）訪問者は上で作ったものを使う
+    this.visitorSessions = new VisitorSessionManager(
+      () => ({
+        visitor: new Visitor(this.events, this.rng),
+        relationship: new RelationshipEvolution(mc.relationshipEvolution, this.rng),
+        conversation: new ConversationEngine(mc.conversationEngine, this.rng),
+      }),
+      { visitor: this.visitor, relationship: this.relationshipEvolution, conversation: this.conversationEngine }
+    );
+    if (config.visitorId && isValidVisitorId(config.visitorId)) this.typingVisitorId = config.visitorId;
+    this.conversationMemoryBridge = new ConversationMemoryBridge(mc.conversationMemoryBridge, this.rng);
+    this.creativeEngine = new CreativeEngine(mc.creativeEngine, this.rng);
+    this.internalNarrative = new InternalNarrative(mc.internalNarrative, this.rng);
     
     // === Phase 7: 基盤刷新の初期化 ===
     this.associativeNetwork = new AssociativeNetwork(mc.associativeNetwork);
@@ -360,15 +530,42 @@ export class SoulEngine {
       this.selfModel,
       this.visitorMemory,
       this.associativeNetwork,
+      config.promptBudget,
+      this.rng,
     );
-    this.patternMemory = new PatternMemoryEngine(mc.patternMemory);
-    this.autonomy = new GradualAutonomy(this.patternMemory, mc.autonomy);
+    this.patternMemory = new PatternMemoryEngine(mc.patternMemory, this.rng);
     
     // === Phase 7.5: Expression Fix ===
-    this.expressionFilter = new ExpressionFilter();
+    this.expressionFilter = new ExpressionFilter(undefined, this.rng);
+    this.responseEvaluator = new ResponseEvaluator(this.expressionFilter, this.llm, config.evaluator);
+    
+    // 返事の品質で昇格を止めるのは、採点しているときだけ
+    this.autonomy = new GradualAutonomy(this.patternMemory, {
+      qualityGate: this.responseEvaluator.isEnabled(),
+      ...mc.autonomy,
+    });
     
     // === インフラ初期化 ===
-    this.persistence = new PersistenceV3(config.persistence, this.events);
+    this.persistence = new PersistenceV3(config.persistence, this.events, this.rng);
+    this.journal = new EventJournal(
+      this.persistence.getDatabase(),
+      () => this.time.getState().currentTick,
+      config.journal,
+      this.events,
+    );
+    this.llm.setCallRecorder((record) => this.journal.recordInput('llm_response', 'llm', record));
+    // カセット再生中は録音どおりに返したいので、キャッシュを挟まない
+    if (!cassetteReplay) {
+      this.llm.setResponseCache(new LLMResponseCache(this.persistence.getDatabase(), config.llmCache));
+    }
+    if (config.cassette?.mode === 'record') {
+      this.llm.setCassette(new LLMCassette(config.cassette.path));
+    }
+    // 意味検索の索引（Ollamaの埋め込みは、既定でLLMと同じOllamaサーバーを使う）
+    this.semanticIndex = new SemanticIndex(
+      this.persistence.getDatabase(),
+      createEmbeddingProvider({ host: config.llm?.ollamaHost, port: config.llm?.ollamaPort, ...config.embeddings }),
+    );
     if (!config.headless) {
       this.ui = new TerminalUIV2({}, this.events);
     }
@@ -404,6 +601,15 @@ export class SoulEngine {
       reflectionCount: 0,
     };
     
+    // === モジュールレジストリ（メインループの各段階 + プラグイン） ===
+    this.registry = new ModuleRegistry(config.registry, this.events);
+    this.profiler = new TickProfiler(config.profiler);
+    this.lifeCycle = new LifeCycle(this.events);
+    this.catchUpConfig = { ...DEFAULT_CATCH_UP_CONFIG, ...config.catchUp };
+    this.registry.setProfiler(this.profiler);
+    this.registerBuiltinModules();
+    this.registry.loadPlugins(this.buildModuleContext());
+    
     // === 永続化モジュール登録 ===
     this.registerPersistenceModules();
     
@@ -427,18 +633,13 @@ export class SoulEngine {
   async start(): Promise<void> {
     console.log('[SoulEngine] Starting somunia v10 (fully integrated)...');
     
-    // 状態復元
-    if (this.config.continueFromSave) {
-      const loaded = await this.persistence.load();
-      if (loaded) {
-        console.log('[SoulEngine] Restored from previous save.');
-      }
-    }
+    await this.beginSession();
     
     // UI開始
     if (this.ui) {
       this.ui.setMessageHandler((message) => this.handleVisitorMessage(message));
       this.ui.setCommandHandler((cmd, args) => this.handleCommand(cmd, args));
+      this.ui.setModuleCommands(this.registry.getCommands());
       this.ui.start();
     }
     
@@ -446,7 +647,7 @@ export class SoulEngine {
     this.isRunning = true;
     this.time.onTick(async (tick) => {
       try {
-        await this.mainLoop(tick);
+        await this.runTick(tick);
       } catch (error) {
         console.error('[SoulEngine] Error in main loop:', error);
       }
@@ -456,6 +657,256 @@ export class SoulEngine {
     console.log('[SoulEngine] somunia is now alive. All modules integrated (Phase 1-7: Infrastructure Revolution).');
   }
 
+  /**
+   * 状態を復元し、ジャーナルの記録セッションを開始する
+   */
+  private async beginSession(): Promise<void> {
+    await this.registry.initAll(this.buildModuleContext());
+    
+    // 状態復元
+    const loaded = this.config.continueFromSave ? await this.persistence.load() : false;
+    if (loaded) {
+      console.log('[SoulEngine] Restored from previous save.');
+    }
+    // 復元で記憶モジュールが置き換わるので、索引は復元の後に渡す
+    await this.attachSemanticIndex();
+    if (loaded && this.catchUpConfig.enabled) {
+      await this.catchUp();
+    }
+    console.log(`[SoulEngine] Random seed: ${this.rng.getSeed()}`);
+    
+    // ジャーナル記録開始（現在の状態がリプレイの出発点になる）
+    const sessionId = this.journal.startSession(this.rng.getSeed(), this.persistence.exportAll(), {
+      continueFromSave: !!this.config.continueFromSave,
+      model: this.llm.getModelName(),
+      backend: this.llm.getBackend().type,
+      time: this.time.getSpeed(),
+    });
+    if (sessionId) {
+      console.log(`[SoulEngine] Journal session: ${sessionId}`);
+    }
+  }
+
+  /**
+   * 高速シミュレーション
+   *
+   * タイマーを使わず、CPUが許す限りの速さでN日分のティックを回す。
+   * LLMはオフライン、UIなしで動かし、終了時にレポートを返す。
+   * 長期的な人格の変化（ドリフト）を出荷前に評価するためのもの。
+   */
+  async simulate(days: number, onDayComplete?: (day: number, total: number) => void): Promise<SimulationReport> {
+    const startedAt = Date.now();
+    // ネットワークには出ない（LLMもWikipediaもオフライン）
+    this.llm.enableOfflineMode();
+    this.wikipediaLearner.setOfflineMode(true);
+    await this.beginSession();
+
+    const ticksPerDay = this.time.getTicksPerDay();
+    const startTick = this.time.getState().currentTick;
+    const totalTicks = Math.max(0, Math.floor(days * ticksPerDay));
+
+    // 実時計モードでも、1日分のティックで現実の1日が過ぎたことにする
+    this.time.useSimulatedClock(24 * 60 * 60 * 1000 / ticksPerDay);
+
+    this.isRunning = true;
+    const stats = await this.fastForward(totalTicks, (i) => {
+      if (i % ticksPerDay === 0 && onDayComplete) {
+        onDayComplete(i / ticksPerDay, days);
+      }
+    });
+    this.time.useRealClock();
+    await this.stop();
+
+    const ticks = stats.ticks;
+    const emotionDistribution: Partial<Record<EmotionType, number>> = {};
+    for (const [emotion, count] of Object.entries(stats.emotionTicks)) {
+      emotionDistribution[emotion as EmotionType] = ticks > 0 ? (count as number) / ticks : 0;
+    }
+
+    const habits = this.habitEngine.getAllHabits();
+    const patternStats = this.patternMemory.getStats();
+    const libraryStats = this.patternLibrary.getStats();
+
+    return {
+      days,
+      ticks,
+      startTick,
+      endTick: this.time.getState().currentTick,
+      elapsedMs: Date.now() - startedAt,
+      emotionDistribution,
+      actions: stats.actions,
+      habitsFormed: stats.habitsFormed,
+      totalHabits: habits.length,
+      diaryEntries: stats.diaryEntries,
+      sleepRatio: ticks > 0 ? stats.sleptTicks / ticks : 0,
+      dreams: stats.dreams,
+      patterns: {
+        responsePatterns: patternStats.totalPatterns,
+        extractedPatterns: patternStats.extractedPatterns,
+        speechPatterns: libraryStats.speechPatternCount,
+        behaviorPatterns: libraryStats.behaviorPatternCount,
+      },
+      dbSizeBytes: this.persistence.getStorageSize(),
+    };
+  }
+
+  /**
+   * タイマーを使わずにNティック回し、その間の出来事を集計する
+   * isRunning が false になった時点で打ち切る
+   */
+  private async fastForward(totalTicks: number, onTickDone?: (i: number) => void): Promise<FastForwardStats> {
+    const startTick = this.time.getState().currentTick;
+    const emotionTicks: Partial<Record<EmotionType, number>> = {};
+    const actions: Partial<Record<string, number>> = {};
+    let dreams = 0;
+    let sleptTicks = 0;
+    const subscriptions = [
+      this.events.on('action_started', (event) => {
+        const action = String(event.data?.action ?? 'unknown');
+        actions[action] = (actions[action] || 0) + 1;
+      }),
+      this.events.on('dream_generated', () => { dreams++; }),
+    ];
+    const habitsBefore = new Set(this.habitEngine.getAllHabits().map(h => h.name));
+    const diaryBefore = this.diary.getStats().totalEntries;
+
+    for (let i = 1; i <= totalTicks && this.isRunning; i++) {
+      await this.time.tick();
+      try {
+        await this.runTick(this.time.getState().currentTick);
+      } catch (error) {
+        console.error('[SoulEngine] Error in main loop:', error);
+      }
+
+      const primary = this.emotionEngine.getState().primary;
+      emotionTicks[primary] = (emotionTicks[primary] || 0) + 1;
+      if (this.sleepState.isSleeping) sleptTicks++;
+
+      if (onTickDone) onTickDone(i);
+      // 保存などの非同期I/Oが滞らないよう、定期的にイベントループへ譲る
+      if (i % 100 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    for (const id of subscriptions) this.events.off(id);
+
+    return {
+      ticks: this.time.getState().currentTick - startTick,
+      emotionTicks,
+      actions,
+      dreams,
+      sleptTicks,
+      habitsFormed: this.habitEngine.getAllHabits().filter(h => !habitsBefore.has(h.name)).map(h => h.name),
+      diaryEntries: this.diary.getStats().totalEntries - diaryBefore,
+    };
+  }
+
+  /**
+   * オフライン中の追いつき
+   *
+   * 前回の保存時刻からの実時間を求め、その間の暮らし（睡眠・習慣・日記など）を
+   * 高速に回す。長い不在は catchUp.maxTicks ティックに圧縮し、
+   * 回しきれなかった分の不在（寂しさの増加）はまとめて適用する。
+   * 結果は次に訪問者が来た時に話す内容として残る。
+   */
+  async catchUp(now: number = Date.now()): Promise<CatchUpReport | null> {
+    const lastSave = this.persistence.getLastSave();
+    if (!lastSave) return null;
+
+    const offlineMs = now - new Date(lastSave.timestamp).getTime();
+    if (!Number.isFinite(offlineMs) || offlineMs < this.catchUpConfig.minOfflineMs) return null;
+
+    const missedTicks = Math.floor(offlineMs / this.time.getTickDurationMs());
+    const simulatedTarget = Math.min(missedTicks, this.catchUpConfig.maxTicks);
+    if (simulatedTarget <= 0) return null;
+
+    console.log(`[SoulEngine] Catching up ${missedTicks} ticks offline (simulating ${simulatedTarget})...`);
+    const lonelinessBefore = this.relationshipEvolution.getAbsence().loneliness;
+
+    // UI・LLMを切り離して回す（追いつき中の出来事は画面に流さない）
+    const ui = this.ui;
+    const llmWasActive = this.llm.isEnabled() && !this.llm.isOfflineMode();
+    this.ui = null;
+    if (llmWasActive) this.llm.enableOfflineMode();
+    this.isRunning = true;
+
+    // 実時計モードでは、停止していた間の時刻を1ティックずつ（圧縮分をまとめて）進める
+    this.time.useSimulatedClock(offlineMs / simulatedTarget, now - offlineMs);
+
+    let stats: FastForwardStats;
+    try {
+      stats = await this.fastForward(simulatedTarget);
+    } finally {
+      this.time.useRealClock();
+      this.isRunning = false;
+      if (llmWasActive) this.llm.disableOfflineMode();
+      this.ui = ui;
+    }
+
+    // 圧縮した残りの不在をまとめて進める（部屋にいない訪問者それぞれ）
+    const remaining = missedTicks - stats.ticks;
+    for (const session of this.visitorSessions.getAll()) {
+      if (session.visitor.isPresent()) continue;
+      session.relationship.fastForwardAbsence(Math.floor(remaining / this.ABSENCE_TICK_INTERVAL), this.tickCounter);
+    }
+    this.applyRelationshipChanges(this.tickCounter);
+
+    const report: CatchUpReport = {
+      offlineMs,
+      missedTicks,
+      simulatedTicks: stats.ticks,
+      compression: stats.ticks > 0 ? missedTicks / stats.ticks : 1,
+      sleptTicks: stats.sleptTicks,
+      dreams: stats.dreams,
+      diaryEntries: stats.diaryEntries,
+      habitsFormed: stats.habitsFormed,
+      actions: stats.actions,
+      lonelinessBefore,
+      lonelinessAfter: this.relationshipEvolution.getAbsence().loneliness,
+    };
+    this.lastCatchUp = report;
+
+    for (const line of this.describeCatchUp(report).reverse()) {
+      this.relationshipEvolution.addThingToShare(line);
+    }
+    console.log(`[SoulEngine] Catch-up done: ${stats.ticks} ticks, ${stats.dreams} dreams, ${stats.diaryEntries} diary entries.`);
+    return report;
+  }
+
+  /**
+   * 追いつきの結果を、訪問者に話す言葉にする
+   */
+  private describeCatchUp(report: CatchUpReport): string[] {
+    const ticksPerDay = this.time.getTicksPerDay();
+    const days = report.missedTicks / ticksPerDay;
+    const hoursSlept = Math.round((report.sleptTicks * report.compression * 24) / ticksPerDay);
+    const lines: string[] = [];
+
+    lines.push(days >= 1
+      ? `いない間に${Math.round(days)}日くらい経ってた`
+      : `いない間に${Math.max(1, Math.round(days * 24))}時間くらい経ってた`);
+    if (hoursSlept > 0) {
+      lines.push(report.dreams > 0
+        ? `${hoursSlept}時間くらい眠って、夢を${report.dreams}回見たよ`
+        : `${hoursSlept}時間くらい眠ってた`);
+    }
+    const topAction = Object.entries(report.actions).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0];
+    if (topAction) {
+      lines.push(`${topAction[0]}をして過ごすことが多かった`);
+    }
+    if (report.diaryEntries > 0) {
+      lines.push(`日記を${report.diaryEntries}回書いた`);
+    }
+    if (report.habitsFormed.length > 0) {
+      lines.push(`新しい習慣ができた: ${report.habitsFormed.slice(0, 3).join('、')}`);
+    }
+    if (report.lonelinessAfter - report.lonelinessBefore > 0.2) {
+      lines.push('ちょっと寂しかった');
+    }
+    return lines;
+  }
+
   /**
    * somuniaを停止する
    */
@@ -469,8 +920,10 @@ export class SoulEngine {
       this.endLearningSession();
     }
     
-    // 最終保存
+    // 途中の採点を反映してから最終保存
+    await Promise.all(this.pendingScores);
     await this.persistence.save(this.tickCounter, this.time.getDay());
+    this.journal.endSession();
     
     if (this.ui) {
       this.ui.stop();
@@ -484,231 +937,316 @@ export class SoulEngine {
   // メインループ（全モジュール統合）
   // ============================================================
 
+  /**
+   * 1ティック分の処理（メインループ + ジャーナルのチェックポイント）
+   */
+  private async runTick(tick: Tick): Promise<void> {
+    this.profiler.beginTick(tick);
+    await this.mainLoop(tick);
+    await this.profiler.measure('journal', () => {
+      this.journal.checkpoint(tick, this.captureCheckpointState());
+    });
+
+    const slow = this.profiler.endTick();
+    if (slow?.warn) {
+      const stages = slow.topStages.map(s => `${s.name} ${s.durationMs.toFixed(0)}ms`).join(', ');
+      const message = `⚠ 遅いティック #${tick}: ${slow.durationMs.toFixed(0)}ms（${stages}）`;
+      if (this.ui) this.ui.showSystem(message);
+      else console.warn(`[SoulEngine] ${message}`);
+    }
+  }
+
   private async mainLoop(tick: Tick): Promise<void> {
     this.tickCounter = tick;
     
     const timeState = this.time.getState();
-    const timeOfDay = this.time.getTimeOfDay();
-    const hour = timeState.simulatedHour;
-    const day = timeState.simulatedDay;
+    await this.registry.runTick({
+      tick,
+      timeState,
+      timeOfDay: this.time.getTimeOfDay(),
+      hour: timeState.simulatedHour,
+      day: timeState.simulatedDay,
+      sleeping: this.sleepState.isSleeping,
+      shared: {},
+    });
+  }
+
+  /**
+   * 従来のメインループの各段階を組み込みモジュールとして登録する
+   * 登録順がそのまま実行順（設定の registry.order で並べ替え可能）
+   */
+  private registerBuiltinModules(): void {
+    const builtin = (module: SoulModule) => this.registry.register(module, { builtin: true });
     
     // === 日の切り替わりチェック ===
-    this.checkDayTransition(day, timeOfDay);
+    builtin({ name: 'dayTransition', phase: 'always', tick: (c) => this.checkDayTransition(c.day, c.timeOfDay) });
+    
+    // === 人生の段階（寿命が有効な場合） ===
+    builtin({
+      name: 'lifeCycle',
+      phase: 'always',
+      tick: (c) => this.updateLifeCycle(c.tick, c.day, c.timeState),
+      getStatus: () => {
+        const stage = this.lifeCycle.getStage();
+        if (this.lifeCycle.hasEnded()) return { status: 'disabled', detail: 'ended' };
+        return stage
+          ? { status: 'active', detail: LifeCycle.getProfile(stage).name }
+          : { status: 'disabled', detail: 'no lifespan' };
+      },
+    });
     
-    // === 睡眠中の処理 ===
-    if (this.sleepState.isSleeping) {
-      await this.processSleepTick(tick, timeOfDay, hour);
-      this.persistence.checkAutoSave(tick, day);
-      return; // 睡眠中は他の処理をスキップ
-    }
+    // === 睡眠中の処理（睡眠中は他の処理をスキップ） ===
+    builtin({
+      name: 'sleep',
+      phase: 'asleep',
+      tick: (c) => this.processSleepTick(c.tick),
+      // 状態はsomunia自身の眠りを表す（眠っていれば sleeping、起きていれば active）
+      getStatus: () => this.sleepState.isSleeping
+        ? { status: 'sleeping', detail: `asleep since #${this.sleepState.startedAt}, ${this.sleepState.cycleCount} cycles` }
+        : { status: 'active', detail: 'awake' },
+    });
+    
+    // 夢は睡眠とは別のモジュールにする（夢の生成が失敗しても眠りの進行は止めない）
+    builtin({ name: 'dream', phase: 'asleep', tick: (c) => this.processDreamTick(c.tick) });
+    
+    // 起床チェックも分ける（睡眠や夢の段階が停止しても、必ず目を覚ませるように）
+    builtin({ name: 'wake', phase: 'asleep', tick: (c) => this.checkWake(c.tick, c.hour) });
     
     // === 1. 世界の更新 ===
-    this.updateWorld(timeState);
+    builtin({ name: 'world', tick: (c) => this.updateWorld(c.timeState) });
     
     // === 2. 揺らぎの処理 ===
-    const yuragiResult = this.processYuragi(tick, timeOfDay);
+    builtin({ name: 'yuragi', tick: (c) => { c.shared.yuragi = this.processYuragi(c.tick, c.timeOfDay); } });
     
     // === 3. 身体の更新（Homeostasis → UrgeSystem） ===
-    this.updateBody(tick, timeOfDay);
+    builtin({ name: 'body', tick: (c) => this.updateBody(c.tick, c.timeOfDay) });
     
     // === 4. 感情の更新（EmotionEngine + 揺らぎの影響） ===
-    this.updateEmotions(tick, timeOfDay, yuragiResult);
+    builtin({ name: 'emotions', tick: (c) => this.updateEmotions(c.tick, c.timeOfDay, c.shared.yuragi ?? NO_YURAGI) });
     
     // === 5. 知覚の更新（3ティック間隔） ===
-    if (tick % this.PERCEPTION_INTERVAL === 0) {
-      this.updatePerception();
-    }
+    builtin({ name: 'perception', interval: this.PERCEPTION_INTERVAL, tick: () => this.updatePerception() });
     
     // === 6. 行動の進行 ===
-    const currentAction = this.progressAction(tick);
+    builtin({ name: 'action', tick: (c) => { c.shared.currentAction = this.progressAction(c.tick); } });
     
     // === 7. 思考の生成（5ティック間隔） ===
-    if (tick % this.THOUGHT_INTERVAL === 0) {
-      this.generateThought(tick, timeOfDay, timeState, currentAction, yuragiResult);
-    }
+    builtin({
+      name: 'thought',
+      interval: this.THOUGHT_INTERVAL,
+      tick: (c) => this.generateThought(c.tick, c.timeOfDay, c.timeState, c.shared.currentAction ?? null, c.shared.yuragi ?? NO_YURAGI),
+    });
     
     // === 8. 習慣チェック（30ティック間隔） ===
-    let habitSuggestion: ActionType | null = null;
-    if (tick % this.HABIT_CHECK_INTERVAL === 0) {
-      habitSuggestion = this.checkHabits(timeState);
-    }
+    builtin({ name: 'habits', interval: this.HABIT_CHECK_INTERVAL, tick: (c) => { c.shared.habitSuggestion = this.checkHabits(c.timeState); } });
     
     // === 9. 行動の決定（10ティック間隔、行動なし時） ===
-    if (tick % this.ACTION_INTERVAL === 0 && !currentAction && !this.isProcessingMessage) {
-      this.decideAction(tick, timeOfDay, timeState, habitSuggestion, yuragiResult);
-    }
+    builtin({
+      name: 'decision',
+      interval: this.ACTION_INTERVAL,
+      tick: (c) => {
+        if (!c.shared.currentAction && this.processingMessages === 0) {
+          this.decideAction(c.tick, c.timeOfDay, c.timeState, c.shared.habitSuggestion ?? null, c.shared.yuragi ?? NO_YURAGI);
+        }
+      },
+    });
     
     // === 10. 学習の進行 ===
-    if (this.learningState.isLearning) {
-      this.progressLearning(tick);
-    }
+    builtin({ name: 'learning', tick: (c) => { if (this.learningState.isLearning) this.progressLearning(c.tick); } });
     
     // === 11. 自己内省（REFLECTION_INTERVAL間隔） ===
-    if (tick % this.REFLECTION_INTERVAL === 0 && tick > 0) {
-      this.attemptSelfReflection(tick, timeOfDay);
-    }
+    builtin({ name: 'reflection', interval: this.REFLECTION_INTERVAL, tick: (c) => this.attemptSelfReflection(c.tick, c.timeOfDay) });
     
     // === 12. 日記チェック（夜間） ===
-    if (tick % this.DIARY_WRITE_INTERVAL === 0) {
-      this.checkDiaryWrite(tick, timeOfDay, day);
-    }
+    builtin({ name: 'diary', interval: this.DIARY_WRITE_INTERVAL, tick: (c) => this.checkDiaryWrite(c.tick, c.timeOfDay, c.day) });
     
     // === 13. 睡眠チェック ===
-    this.checkSleepNeed(tick, timeOfDay, hour);
+    builtin({ name: 'sleepCheck', tick: (c) => this.checkSleepNeed(c.tick, c.timeOfDay, c.hour) });
     
     // === 14. 記憶メンテナンス ===
-    if (tick % this.MEMORY_MAINTENANCE_INTERVAL === 0 && tick > 0) {
-      this.maintainMemories(tick);
-    }
+    builtin({ name: 'memoryMaintenance', interval: this.MEMORY_MAINTENANCE_INTERVAL, tick: (c) => this.maintainMemories(c.tick) });
     
     // === 15. 自己修正サイクル（REFLECTION_INTERVAL * 3 間隔） ===
-    if (tick % (this.REFLECTION_INTERVAL * 3) === 0 && tick > 0) {
-      this.runSelfModificationCycle(tick, timeOfDay);
-    }
+    builtin({ name: 'selfModification', interval: this.REFLECTION_INTERVAL * 3, tick: (c) => this.runSelfModificationCycle(c.tick, c.timeOfDay) });
     
     // === 16. Phase 4: 自律進化サイクル ===
-    if (tick % (this.REFLECTION_INTERVAL * 2) === 0 && tick > 0) {
-      this.runAutonomousEvolutionCycle(tick, timeOfDay, day);
-    }
+    builtin({ name: 'evolution', interval: this.REFLECTION_INTERVAL * 2, tick: (c) => this.runAutonomousEvolutionCycle(c.tick, c.timeOfDay, c.day) });
     
     // === 17. Phase 5A: 会話中の自律発話（訪問者がいる時） ===
-    if (this.visitor.isPresent() && tick % this.AUTONOMOUS_SPEECH_INTERVAL === 0 && !this.isProcessingMessage) {
-      const ticksSinceLastSpeech = tick - this.lastSpeechTick;
-      
-      // 最後の発話から一定時間経ったら、自発的に話しかける
-      if (ticksSinceLastSpeech >= 40) {
-        const spontaneous = this.conversationEngine.tickSilence(
-          tick,
-          this.emotionEngine.getState().primary,
-          this.thoughts.getRecentThoughts(3).map(t => t.content),
-          this.episodicMemory.getRecentMemories(3).map(m => m.summary),
-          this.behavior.getCurrentAction()?.action || null,
-          this.time.getTimeOfDay()
-        );
-        
-        if (spontaneous && this.ui) {
-          // Phase 7.5: 分離プロンプトで自然な自律発話を生成
-          const stateProvider = this.buildStateProvider();
-          const speechPrompt = this.contextBridge.buildAutonomousSpeechSeparatedPrompt(
-            stateProvider, spontaneous.seed, tick
-          );
-          let speechContent = await this.llm.expressAutonomousSpeech(
-            speechPrompt.system, speechPrompt.user
-          );
-          
-          // フォールバック
-          if (!speechContent || speechContent.trim().length === 0) {
-            speechContent = await this.llm.expressResponse(spontaneous.seed, {
-              currentEmotion: this.emotionEngine.getState().primary,
-              emotionalIntensity: this.emotionEngine.getState().levels[this.emotionEngine.getState().primary],
-              recentThoughts: this.thoughts.getRecentThoughts(2).map(t => t.content),
-              currentActivity: this.behavior.getCurrentAction()?.action || null,
-              timeOfDay: this.time.getTimeOfDay(),
-              personality: ['静か', '内省的', '優しい', '詩的'],
-            });
-          }
-          
-          // ExpressionFilterで品質チェック
-          const filterResult = this.expressionFilter.filter(speechContent, {
-            intent: 'general',
-            emotion: this.emotionEngine.getState().primary,
-            userMessage: '',
-            depth: 'surface',
-          });
-          speechContent = filterResult.response;
-          
-          this.ui.showSpeech(speechContent);
-          this.lastSpeechTick = tick;
-          this.conversationEngine.recordSomuniaResponse(speechContent, tick);
-        } else if (ticksSinceLastSpeech >= 80 && this.ui) {
-          // 長い沈黙の後、思考を漏らす
-          const recentThought = this.thoughts.getCurrentThought();
-          if (recentThought) {
-            const muttered = await this.llm.expressThought(recentThought.content, {
-              currentEmotion: this.emotionEngine.getState().primary,
-              emotionalIntensity: 0.3,
-              recentThoughts: [],
-              currentActivity: this.behavior.getCurrentAction()?.action || null,
-              timeOfDay: this.time.getTimeOfDay(),
-              personality: ['静か', '内省的'],
-            });
-            this.ui.showSpeech(muttered);
-            this.lastSpeechTick = tick;
-          }
-        }
-      }
-    }
+    builtin({ name: 'autonomousSpeech', interval: this.AUTONOMOUS_SPEECH_INTERVAL, tick: (c) => this.runAutonomousSpeech(c.tick) });
     
     // === 18. Phase 5B: 関係性の不在感覚更新 ===
-    if (!this.visitor.isPresent() && tick % this.ABSENCE_TICK_INTERVAL === 0) {
-      const absence = this.relationshipEvolution.tickAbsence(
-        tick,
-        this.emotionEngine.getState().primary,
-        this.episodicMemory.getRecentMemories(2).map(m => m.summary)
-      );
-      if (absence) {
-        // 不在中の寂しさを感情に反映
-        const loneliness = this.relationshipEvolution.getAbsence().loneliness;
-        if (loneliness > 0.3) {
-          this.emotionEngine.changeEmotions(
-            [{ emotion: 'loneliness', delta: loneliness * 0.005 }],
-            { type: 'event', eventName: 'visitor_absence' }
-          );
-        }
-      }
-    }
+    builtin({ name: 'absence', interval: this.ABSENCE_TICK_INTERVAL, tick: (c) => this.updateAbsence(c.tick) });
     
     // === 19. Phase 5C: 創作衝動チェック ===
-    if (tick % this.CREATIVE_CHECK_INTERVAL === 0) {
-      this.checkCreativeUrges(tick, timeOfDay);
-    }
+    builtin({ name: 'creativeUrges', interval: this.CREATIVE_CHECK_INTERVAL, tick: (c) => this.checkCreativeUrges(c.tick, c.timeOfDay) });
     
     // === 20. Phase 5C: 創作進行 ===
-    if (tick % this.CREATIVE_PROGRESS_INTERVAL === 0) {
-      this.progressCreativeWorks(tick);
-    }
+    builtin({ name: 'creativeProgress', interval: this.CREATIVE_PROGRESS_INTERVAL, tick: (c) => this.progressCreativeWorks(c.tick) });
     
     // === 21. Phase 5D: 内的ナラティブ更新 ===
-    if (tick % this.NARRATIVE_INTERVAL === 0 && tick > 0) {
-      this.updateInternalNarrative(tick, day);
-    }
+    builtin({ name: 'narrative', interval: this.NARRATIVE_INTERVAL, tick: (c) => this.updateInternalNarrative(c.tick, c.day) });
     
     // === 22. Phase 7: 自律性評価 ===
-    if (tick % this.AUTONOMY_EVAL_INTERVAL === 0 && tick > 0) {
-      const evalResult = this.autonomy.evaluateLevel(tick);
-      if (evalResult.levelChanged) {
-        this.selfModel.recordExperience(
-          `自律レベルが変わった: ${evalResult.previousLevel} → ${evalResult.currentLevel}`,
-          tick
-        );
-      }
-    }
+    builtin({ name: 'autonomy', interval: this.AUTONOMY_EVAL_INTERVAL, tick: (c) => this.evaluateAutonomy(c.tick) });
     
     // === 23. Phase 7: パターン淘汰 ===
-    if (tick % this.PATTERN_CULL_INTERVAL === 0 && tick > 0) {
-      this.patternMemory.cullLowQuality();
-    }
+    builtin({ name: 'patternCull', interval: this.PATTERN_CULL_INTERVAL, tick: () => { this.patternMemory.cullLowQuality(); } });
     
     // === 24. Phase 7: 連想ネットワーク更新 ===
-    if (tick % this.ASSOCIATION_DECAY_INTERVAL === 0 && tick > 0) {
-      this.associativeNetwork.tick(tick);
-    }
+    builtin({ name: 'association', interval: this.ASSOCIATION_DECAY_INTERVAL, tick: (c) => this.associativeNetwork.tick(c.tick) });
     
     // === 25. Phase 7: SelfModel更新（経験・学び・創作の記録） ===
-    if (tick % 60 === 0) {
-      const recentThoughts7 = this.thoughts.getRecentThoughts(1);
-      if (recentThoughts7.length > 0) {
-        this.selfModel.recordExperience(recentThoughts7[0].content, tick);
+    builtin({ name: 'selfModel', interval: this.SELF_MODEL_INTERVAL, tick: (c) => this.recordSelfModelExperience(c.tick) });
+    
+    // === 26. ステータス表示 ===
+    builtin({ name: 'statusDisplay', interval: this.STATUS_DISPLAY_INTERVAL, tick: (c) => { if (this.ui) this.displayStatus(c.timeOfDay, c.timeState); } });
+    
+    // === 27. 自動保存チェック ===
+    builtin({ name: 'autosave', phase: 'always', tick: (c) => { this.persistence.checkAutoSave(c.tick, c.day); } });
+  }
+
+  /**
+   * 組み込みモジュール・プラグインに渡すエンジンのサービス
+   */
+  private buildModuleContext(): SoulModuleContext {
+    return {
+      events: this.events,
+      rng: this.rng,
+      time: this.time,
+      llm: this.llm,
+      showSystem: (message: string) => {
+        if (this.ui) this.ui.showSystem(message);
+        else console.log(message);
+      },
+    };
+  }
+
+  // ============================================================
+  // 17. 会話中の自律発話
+  // ============================================================
+
+  private async runAutonomousSpeech(tick: Tick): Promise<void> {
+    if (!this.visitor.isPresent() || this.processingMessages > 0) return;
+    
+    const ticksSinceLastSpeech = tick - this.lastSpeechTick;
+    
+    // 最後の発話から一定時間経ったら、自発的に話しかける
+    if (ticksSinceLastSpeech >= 40) {
+      const spontaneous = this.conversationEngine.tickSilence(
+        tick,
+        this.emotionEngine.getState().primary,
+        this.thoughts.getRecentThoughts(3).map(t => t.content),
+        this.episodicMemory.getRecentMemories(3).map(m => m.summary),
+        this.behavior.getCurrentAction()?.action || null,
+        this.time.getTimeOfDay()
+      );
+      
+      if (spontaneous && this.ui) {
+        // Phase 7.5: 分離プロンプトで自然な自律発話を生成
+        const stateProvider = this.buildStateProvider();
+        const speechPrompt = this.contextBridge.buildAutonomousSpeechSeparatedPrompt(
+          stateProvider, spontaneous.seed, tick
+        );
+        let speechContent = await this.llm.expressAutonomousSpeech(
+          speechPrompt.system, speechPrompt.user
+        );
+        
+        // フォールバック
+        if (!speechContent || speechContent.trim().length === 0) {
+          speechContent = await this.llm.expressResponse(spontaneous.seed, {
+            currentEmotion: this.emotionEngine.getState().primary,
+            emotionalIntensity: this.emotionEngine.getState().levels[this.emotionEngine.getState().primary],
+            recentThoughts: this.thoughts.getRecentThoughts(2).map(t => t.content),
+            currentActivity: this.behavior.getCurrentAction()?.action || null,
+            timeOfDay: this.time.getTimeOfDay(),
+            personality: ['静か', '内省的', '優しい', '詩的'],
+          }, { priority: 'autonomous', task: 'autonomous_speech' });
+        }
+        
+        // ExpressionFilterで品質チェック
+        const filterResult = this.expressionFilter.filter(speechContent, {
+          intent: 'general',
+          emotion: this.emotionEngine.getState().primary,
+          userMessage: '',
+          depth: 'surface',
+        });
+        speechContent = filterResult.response;
+        
+        this.ui.showSpeech(speechContent);
+        this.lastSpeechTick = tick;
+        this.conversationEngine.recordSomuniaResponse(speechContent, tick);
+      } else if (ticksSinceLastSpeech >= 80 && this.ui) {
+        // 長い沈黙の後、思考を漏らす
+        const recentThought = this.thoughts.getCurrentThought();
+        if (recentThought) {
+          const muttered = await this.llm.expressThought(recentThought.content, {
+            currentEmotion: this.emotionEngine.getState().primary,
+            emotionalIntensity: 0.3,
+            recentThoughts: [],
+            currentActivity: this.behavior.getCurrentAction()?.action || null,
+            timeOfDay: this.time.getTimeOfDay(),
+            personality: ['静か', '内省的'],
+          }, { priority: 'autonomous', task: 'autonomous_speech' });
+          this.ui.showSpeech(muttered);
+          this.lastSpeechTick = tick;
+        }
       }
     }
-    
-    // === 22. ステータス表示 ===
-    if (this.ui && tick % this.STATUS_DISPLAY_INTERVAL === 0) {
-      this.displayStatus(timeOfDay, timeState);
+  }
+
+  // ============================================================
+  // 18. 関係性の不在感覚
+  // ============================================================
+
+  private updateAbsence(tick: Tick): void {
+    // 部屋にいない訪問者それぞれの不在を進める
+    const absent = this.visitorSessions.getAll().filter(session => !session.visitor.isPresent());
+    if (absent.length === 0) return;
+    const currentEmotion = this.emotionEngine.getState().primary;
+    const recentEvents = this.episodicMemory.getRecentMemories(2).map(m => m.summary);
+    let loneliness = 0;
+    let updated = false;
+    for (const session of absent) {
+      if (session.relationship.tickAbsence(tick, currentEmotion, recentEvents)) {
+        updated = true;
+        loneliness = Math.max(loneliness, session.relationship.getAbsence().loneliness);
+      }
     }
     
-    // === 23. 自動保存チェック ===
-    this.persistence.checkAutoSave(tick, day);
+    this.applyRelationshipChanges(tick);
+    
+    // 誰かが部屋にいれば寂しくない
+    if (updated && !this.visitorSessions.isAnyonePresent()) {
+      // 不在中の寂しさを感情に反映
+      if (loneliness > 0.3) {
+        this.emotionEngine.changeEmotions(
+          [{ emotion: 'loneliness', delta: loneliness * 0.005 }],
+          { type: 'event', eventName: 'visitor_absence' }
+        );
+      }
+    }
+  }
+
+  // ============================================================
+  // 22. 自律性評価 / 25. SelfModel更新
+  // ============================================================
+
+  private evaluateAutonomy(tick: Tick): void {
+    const evalResult = this.autonomy.evaluateLevel(tick);
+    if (evalResult.levelChanged) {
+      this.selfModel.recordExperience(
+        `自律レベルが変わった: ${evalResult.previousLevel} → ${evalResult.currentLevel}`,
+        tick
+      );
+    }
+  }
+
+  private recordSelfModelExperience(tick: Tick): void {
+    const recentThoughts = this.thoughts.getRecentThoughts(1);
+    if (recentThoughts.length > 0) {
+      this.selfModel.recordExperience(recentThoughts[0].content, tick);
+    }
   }
 
   // ============================================================
@@ -966,6 +1504,7 @@ export class SoulEngine {
       recentThoughts: this.thoughts.getRecentThoughts(5),
       day: timeState.simulatedDay,
       hour: timeState.simulatedHour,
+      calendar: timeState.calendar,
     }, tick);
     
     // 思考が生まれたらパターンライブラリと照合
@@ -1049,6 +1588,15 @@ export class SoulEngine {
       yuragiResult.actionOverride || undefined
     );
     
+    // 眠る行動は睡眠に入る（夢を見て、休めたら目覚める）
+    if (decision?.rule.action === 'sleep') {
+      if (decision.thought && this.ui) {
+        this.ui.showAction(decision.rule.action, decision.thought);
+      }
+      this.enterSleep(tick);
+      return;
+    }
+    
     if (decision) {
       this.behavior.startAction(decision.rule, tick);
       
@@ -1343,7 +1891,7 @@ export class SoulEngine {
   private chooseLearningTopic(): string {
     // セマンティックメモリからランダムな概念を取得
     const random = this.semanticMemory.getRandomConcept();
-    if (random && Math.random() < 0.3) {
+    if (random && this.rng.next() < 0.3) {
       return random.concept;
     }
     
@@ -1358,7 +1906,7 @@ export class SoulEngine {
     };
     
     const topics = (dominant && topicMap[dominant]) || ['世界', '音楽', '夢'];
-    return topics[Math.floor(Math.random() * topics.length)];
+    return topics[Math.floor(this.rng.next() * topics.length)];
   }
 
   // ============================================================
@@ -1373,7 +1921,7 @@ export class SoulEngine {
       (this.body.fatigue > 0.9) ||
       (hour >= 23 && this.body.fatigue > 0.4);
     
-    if (shouldSleep && Math.random() < 0.02) {
+    if (shouldSleep && this.rng.next() < 0.02) {
       this.enterSleep(tick);
     }
   }
@@ -1406,7 +1954,7 @@ export class SoulEngine {
     }
   }
 
-  private async processSleepTick(tick: Tick, timeOfDay: TimeOfDay, hour: number): Promise<void> {
+  private processSleepTick(tick: Tick): void {
     const elapsed = tick - this.sleepState.startedAt;
     
     // --- 睡眠段階の進行 ---
@@ -1414,25 +1962,28 @@ export class SoulEngine {
       this.advanceSleepStage(tick, elapsed);
     }
     
-    // --- 夢の生成 ---
-    if (tick >= this.sleepState.nextDreamTick) {
-      this.generateDream(tick);
-      this.sleepState.nextDreamTick = tick + this.DREAM_INTERVAL + Math.floor(Math.random() * 20);
-    }
-    
     // --- 身体の回復 ---
     this.body.energy = Math.min(1, this.body.energy + 0.003);
     this.body.fatigue = Math.max(0, this.body.fatigue - 0.002);
-    
-    // --- 起床チェック ---
-    const sleepDuration = elapsed;
+  }
+
+  private processDreamTick(tick: Tick): void {
+    if (tick < this.sleepState.nextDreamTick) return;
+    // 生成に失敗しても同じティックで再試行し続けないよう、先に次の夢の時刻を決める
+    this.sleepState.nextDreamTick = tick + this.DREAM_INTERVAL + Math.floor(this.rng.next() * 20);
+    this.generateDream(tick);
+  }
+
+  private async checkWake(tick: Tick, hour: number): Promise<void> {
+    const sleepDuration = tick - this.sleepState.startedAt;
     const isRested = this.body.energy > 0.7 && this.body.fatigue < 0.3;
     const isMorning = hour >= 6 && hour <= 9;
     const hasSleptEnough = sleepDuration >= this.SLEEP_CYCLE_TICKS * 3; // 最低3サイクル
     
     if (hasSleptEnough && (isRested || isMorning)) {
-      if (Math.random() < 0.05) {
+      if (this.rng.next() < 0.05) {
         await this.wakeUp(tick);
+        return;
       }
     }
     
@@ -1536,6 +2087,12 @@ export class SoulEngine {
     this.body.energy = Math.min(1, this.body.energy + 0.3);
     this.body.fatigue = Math.max(0, this.body.fatigue - 0.3);
     
+    // 眠っていた間は恒常性を減衰させず、眠りで戻ったエネルギーを反映する
+    // （起きている間は身体のエネルギーを恒常性の値に合わせるので、こちらにも戻さないと回復が消える）
+    this.homeostasis.skipTo(tick);
+    const restored = this.body.energy - this.homeostasis.getState().energy.current;
+    if (restored > 0) this.homeostasis.restoreEnergy(restored, 'sleep');
+    
     // 起床の感情
     this.emotionEngine.changeEmotions(
       [
@@ -2042,9 +2599,20 @@ export class SoulEngine {
   // 訪問者対応
   // ============================================================
 
-  private async handleVisitorMessage(message: string): Promise<void> {
+  /**
+   * 訪問者の発言を受ける（visitorId を省略すると端末から入力している訪問者）
+   */
+  private async handleVisitorMessage(message: string, visitorId: ID = this.typingVisitorId): Promise<void> {
+    this.journal.recordInput('visitor_message', 'message', { message, visitorId });
     const tick = this.tickCounter;
-    this.isProcessingMessage = true;
+    this.processingMessages++;
+    // この人の前の発言への返事がまだなら、その生成は取り消して新しい発言に答える
+    // （他の訪問者への返事はそのまま続ける）
+    const session = this.visitorSessions.get(visitorId);
+    const turn = ++session.turn;
+    this.llm.cancelRequests('visitor', visitorId);
+    /** 返事の採点（ターンが終わってから始める） */
+    let scoreReply: (() => Promise<void>) | null = null;
     
     try {
     
@@ -2053,23 +2621,35 @@ export class SoulEngine {
       await this.wakeUp(tick);
     }
     
+    // 発言した人に向き直る。返事を待つ間に他の人へ向き直ることがあるので、
+    // この人の visitor / conversation / relationship は this ではなく session から使う
+    const roomWasEmpty = !this.visitorSessions.isAnyonePresent();
+    this.useVisitor(visitorId);
+    this.visitorSessions.touch(visitorId, tick);
+    
     // --- Phase 5B: 到着処理（RelationshipEvolution） ---
-    if (!this.visitor.isPresent()) {
-      this.visitor.arrive(undefined, tick);
+    if (!session.visitor.isPresent()) {
+      session.visitor.arrive(undefined, tick);
       
       // 関係性システムの訪問開始
-      const reunionReaction = this.relationshipEvolution.onVisitStart(tick);
+      const reunionReaction = session.relationship.onVisitStart(tick);
+      this.applyRelationshipChanges(tick);
       
       // 会話システムの開始
-      this.conversationEngine.startConversation(tick);
-      this.conversationMemoryBridge.onConversationStart();
+      session.conversation.startConversation(tick);
+      this.startConversationRecord(session, tick);
       
-      // Phase 7: 訪問者メモリの到着処理 + 活動中断の記録
-      const currentActionForInterrupt = this.behavior.getCurrentAction();
-      this.contextBridge.onVisitorArrival(currentActionForInterrupt);
+      // Phase 7: 訪問者メモリの到着処理 + 活動中断の記録（活動を中断するのは最初の一人が来たときだけ）
+      const currentActionForInterrupt = roomWasEmpty ? this.behavior.getCurrentAction() : null;
+      this.contextBridge.onVisitorArrival(currentActionForInterrupt, visitorId, session.record?.id);
       
-      // Phase 7.5: ExpressionFilterの会話リセット
-      this.expressionFilter.resetConversation();
+      if (roomWasEmpty) {
+        this.conversationMemoryBridge.onConversationStart();
+        // Phase 7.5: ExpressionFilterの会話リセット
+        this.expressionFilter.resetConversation();
+      } else if (this.ui) {
+        this.ui.showSystem(`👥 ${this.describeVisitor(visitorId)}も来た（部屋に${this.visitorSessions.getPresent().length}人）`);
+      }
       
       // 再会の感情反応
       this.emotionEngine.changeEmotions(
@@ -2083,7 +2663,7 @@ export class SoulEngine {
       
       // 再会の記憶
       this.episodicMemory.formMemory({
-        content: `訪問者が来た。${reunionReaction.internalThought}`,
+        content: `${roomWasEmpty ? '訪問者が来た' : 'もう一人訪問者が来た'}。${reunionReaction.internalThought}`,
         summary: '訪問者が来た',
         emotionalTags: [reunionReaction.emotionalResponse, 'warmth'],
         emotionalIntensity: 0.5,
@@ -2092,13 +2672,30 @@ export class SoulEngine {
       
       // 挨拶は表示しない（この後のLLM応答が挨拶を兼ねる）
       if (reunionReaction.greeting.length > 0) {
-        const greetingText = reunionReaction.greeting[Math.floor(Math.random() * reunionReaction.greeting.length)];
-        this.conversationEngine.recordSomuniaResponse(greetingText, tick);
+        const greetingText = reunionReaction.greeting[Math.floor(this.rng.next() * reunionReaction.greeting.length)];
+        session.conversation.recordSomuniaResponse(greetingText, tick);
       }
     }
     
+    // 「それ忘れて」— 直前の発言を忘れる（この頼み自体は覚えない）
+    if (isForgetRequest(message)) {
+      const trace = this.statementTraces.latest(visitorId);
+      if (trace) this.forgetStatement(trace);
+      this.sayForgetReply(visitorId, trace ? 'statement' : 'nothing', tick);
+      return;
+    }
+    
+    // この発言から作るものを控えておく（後から忘れてと頼まれたときのため）
+    const trace: StatementTrace = {
+      visitorId, content: message, responses: [],
+      messageIds: [], memoryIds: [], concepts: [], nodeLabels: [],
+    };
+    this.statementTraces.record(trace);
+    
     // --- Phase 5A: メッセージの分析（ConversationEngine） ---
-    this.visitor.receiveMessage(message, tick);
+    session.visitor.receiveMessage(message, tick);
+    const visitorMessageId = this.recordConversationMessage(session, 'visitor', message, null);
+    if (visitorMessageId) trace.messageIds.push(visitorMessageId);
     
     // 行動を中断（訪問者対応優先）
     const currentAction = this.behavior.getCurrentAction();
@@ -2110,19 +2707,19 @@ export class SoulEngine {
     const recentThoughts = this.thoughts.getRecentThoughts(3);
     
     // ConversationEngineでメッセージを分析
-    const turnAnalysis = this.conversationEngine.analyzeVisitorTurn(
+    const turnAnalysis = session.conversation.analyzeVisitorTurn(
       message, tick, emotionalState.primary, recentThoughts.map(t => t.content)
     );
     
     // --- Phase 5B: 関係性への反映 ---
-    const relationship = this.relationshipEvolution.getRelationship();
-    const flowState = this.conversationEngine.getFlowState();
+    const relationship = session.relationship.getRelationship();
+    const flowState = session.conversation.getFlowState();
     const depthLabel: ConversationDepth = flowState.depthScore >= 0.85 ? 'profound' :
                        flowState.depthScore >= 0.6 ? 'intimate' :
                        flowState.depthScore >= 0.35 ? 'sharing' :
                        flowState.depthScore >= 0.15 ? 'casual' : 'surface';
     
-    this.relationshipEvolution.onConversationTurn({
+    session.relationship.onConversationTurn({
       speaker: 'visitor',
       content: message,
       intent: turnAnalysis.intent,
@@ -2131,6 +2728,7 @@ export class SoulEngine {
       depth: depthLabel,
       hasSelfDisclosure: turnAnalysis.hasSelfDisclosure,
     }, tick);
+    this.applyRelationshipChanges(tick);
     
     // --- Phase 5E: メッセージの記憶処理 ---
     const memoryResult = this.conversationMemoryBridge.processMessage(
@@ -2140,15 +2738,20 @@ export class SoulEngine {
     );
     
     // 記憶への書き込み
+    let formedMemoryId: string | null = null;
     if (memoryResult.shouldCreateEpisodicMemory && memoryResult.episodicMemoryContent) {
-      this.episodicMemory.formMemory(memoryResult.episodicMemoryContent);
+      formedMemoryId = this.episodicMemory.formMemory(memoryResult.episodicMemoryContent).id;
+      trace.memoryIds.push(formedMemoryId);
     }
     if (memoryResult.shouldCreateSemanticMemory && memoryResult.semanticMemoryContent) {
-      this.semanticMemory.learn({
-        concept: memoryResult.semanticMemoryContent.concept,
+      const concept = memoryResult.semanticMemoryContent.concept;
+      const isNewConcept = !this.semanticMemory.getByName(concept);
+      const learned = this.semanticMemory.learn({
+        concept,
         definition: memoryResult.semanticMemoryContent.description,
         source: 'conversation' as const,
       });
+      if (isNewConcept) trace.concepts.push({ id: learned.id, name: learned.concept });
     }
     
     // --- Phase 7: VisitorMemorySystemでメッセージ処理 ---
@@ -2165,15 +2768,20 @@ export class SoulEngine {
       this.associativeNetwork.activateByLabel(emotion, 0.5 as any, tick);
     }
     
+    // --- 発言と意味の近い記憶を思い出す（SemanticIndex） ---
+    const recalledMemories = await this.recallForMessage(message, formedMemoryId);
+    if (turn !== session.turn) return;
+    this.useVisitor(visitorId);
+    
     // --- Phase 7: SelfModelStateProviderの構築 ---
     const stateProvider = this.buildStateProvider();
     
     // --- Phase 7: リッチコンテキストの構築（ContextBridge） ---
-    const phase = this.relationshipEvolution.getPhase() as RelationshipPhase;
+    const phase = session.relationship.getPhase() as RelationshipPhase;
     const recentExchanges: Array<{ speaker: 'visitor' | 'somunia'; content: string }> = [];
     // ConversationEngineにgetRecentExchangesがない場合は空配列を使用
-    if (typeof (this.conversationEngine as any).getRecentExchanges === 'function') {
-      const exchanges = (this.conversationEngine as any).getRecentExchanges(6);
+    if (typeof (session.conversation as any).getRecentExchanges === 'function') {
+      const exchanges = (session.conversation as any).getRecentExchanges(6);
       if (Array.isArray(exchanges)) recentExchanges.push(...exchanges);
     }
     
@@ -2185,6 +2793,7 @@ export class SoulEngine {
         emotions: turnAnalysis.emotions,
         topics: turnAnalysis.topics,
         hasSelfDisclosure: turnAnalysis.hasSelfDisclosure,
+        language: turnAnalysis.language,
       },
       {
         turnCount: (flowState as any).turnCount || 0,
@@ -2192,7 +2801,8 @@ export class SoulEngine {
         recentExchanges,
       },
       phase,
-      tick
+      tick,
+      recalledMemories
     );
     
     // --- Phase 7: 自律戦略の決定（GradualAutonomy） ---
@@ -2219,7 +2829,10 @@ export class SoulEngine {
       emotionReason: null,
     };
     
-    const strategy = this.autonomy.decideStrategy(patternSituation, templateVars, tick);
+    // 覚えた応答パターンは日本語なので、ほかの言語の発言にはLLMだけで返す
+    const strategy: AutonomyStrategy = turnAnalysis.language === 'ja'
+      ? this.autonomy.decideStrategy(patternSituation, templateVars, tick)
+      : { type: 'llm_only' };
     
     // --- Phase 7.5: 応答生成（分離プロンプト + 構造化レスポンス + ExpressionFilter） ---
     let expressed: string;
@@ -2228,38 +2841,65 @@ export class SoulEngine {
       detectedTopics: string[];
       confidence: number;
     } = { detectedEmotion: null, detectedTopics: [], confidence: 0 };
+    let speechStream: SpeechStream | null = null;
+    /** 応答を生成したプロンプトの版（パターンだけで応答したときはnull） */
+    let promptVersion: string | null = null;
     
     if (!this.autonomy.needsLLM(strategy)) {
       // パターンのみで応答（autonomous レベル）
       expressed = (strategy as any).response;
     } else {
-      // Phase 7.5A: 分離プロンプトの構築
-      const separatedPrompt = this.contextBridge.buildSeparatedPrompt(richContext, message);
-      
-      // Phase 7.5B: 戦略に基づくプロンプト調整
-      let systemPrompt = separatedPrompt.system;
-      let userPrompt = separatedPrompt.user;
+      // 確認（audit）は会話とは別のモデルに振り分けられる
+      const responseTask: LLMTask = strategy.type === 'pattern_with_llm_audit' ? 'audit' : 'visitor_response';
       
-      // パターンヒント・下書きの統合
+      // Phase 7.5B: 戦略に基づくパターンの添え方（ヒント・下書き・確認）
+      let pattern: PatternPrompt | null = null;
       switch (strategy.type) {
         case 'llm_with_pattern_hints':
-          userPrompt += `\n\n参考（過去に好評だった応答）: 「${(strategy as any).patternTemplate}」`;
+          pattern = { type: 'hint', template: (strategy as any).patternTemplate };
           break;
         case 'pattern_draft_llm_refine':
-          userPrompt += `\n\n以下を元に自然に仕上げて: 「${(strategy as any).draft}」`;
+          pattern = { type: 'refine', draft: (strategy as any).draft };
           break;
         case 'pattern_with_llm_audit':
-          userPrompt = `以下の応答は適切か確認して。問題があれば修正版を返して:\n「${(strategy as any).response}」\n\n元の会話:\n${userPrompt}`;
+          pattern = { type: 'audit', response: (strategy as any).response };
           break;
       }
       
-      // Phase 7.5B: 構造化レスポンスの生成
-      const structuredResult = await this.llm.expressResponseStructured(
-        systemPrompt, userPrompt, ''
+      // Phase 7.5A: 分離プロンプトの構築（パターンの分も予算に入れる）
+      const separatedPrompt = this.contextBridge.buildSeparatedPrompt(
+        richContext, message, this.llm.getModelForTask(responseTask), pattern
       );
+      const systemPrompt = separatedPrompt.system;
+      const userPrompt = separatedPrompt.user;
+      promptVersion = separatedPrompt.promptVersion;
       
-      expressed = structuredResult.response;
-      structuredMeta = {
+      // 会話モードでは生成しながら表示する（途中検査で問題があれば取り消す）
+      if (this.ui && this.ui.canStreamSpeech()) {
+        speechStream = new SpeechStream(this.expressionFilter, this.ui);
+      }
+      
+      // Phase 7.5B: 構造化レスポンスの生成
+      // 次の発言で取り消されたら（LLM_REQUEST_CANCELLED）、この返事は捨てる
+      const structuredResult = await this.llm.expressResponseStructured(
+        systemPrompt, userPrompt, '', { onToken: speechStream?.onToken, task: responseTask, owner: visitorId }
+      ).catch((error) => {
+        if (isRequestCancelled(error)) return null;
+        throw error;
+      });
+      // 生成中に次の発言が届いていたら、この返事は捨てる（表示しかけた分も消す）
+      if (!structuredResult || turn !== session.turn) {
+        speechStream?.cancel();
+        return;
+      }
+      
+      // 取り消し済みなので、ここで出しても表示中の発話には割り込まない
+      if (speechStream?.getRejection()) {
+        console.log(`[Expression] ストリーミング表示を取り消し: ${speechStream.getRejection()}`);
+      }
+      
+      expressed = structuredResult.response;
+      structuredMeta = {
         detectedEmotion: structuredResult.detectedEmotion,
         detectedTopics: structuredResult.detectedTopics,
         confidence: structuredResult.confidence,
@@ -2280,11 +2920,20 @@ export class SoulEngine {
             timeOfDay: this.time.getTimeOfDay(),
             personality: ['静か', '内省的', '優しい', '詩的'],
             userMessage: message,
-          }
+          },
+          { owner: visitorId }
         );
+        if (turn !== session.turn) {
+          speechStream?.cancel();
+          return;
+        }
+        promptVersion = promptTemplates.versionTag(['response/fallback']);
       }
     }
     
+    // 生成を待つ間に他の人へ向き直っていたら、この人に戻して返事をする
+    this.useVisitor(visitorId);
+    
     // --- Phase 7.5D: ExpressionFilter による品質チェック ---
     const filterResult = this.expressionFilter.filter(expressed, {
       intent: turnAnalysis.intent,
@@ -2292,14 +2941,11 @@ export class SoulEngine {
       userMessage: message,
       visitorName: this.visitorMemory.getCurrentVisitorCallName(),
       depth: depthLabel,
+      language: turnAnalysis.language,
     });
     
     expressed = filterResult.response;
     
-    if (filterResult.wasFiltered) {
-      console.log(`[Expression] フィルタ適用: ${filterResult.filterReasons.join(', ')}`);
-    }
-    
     // --- Phase 7.5C: 応答検証（ContextBridge — 二重チェック） ---
     const validation = this.contextBridge.validateResponse(expressed, richContext, message);
     if (!validation.isValid && validation.suggestion) {
@@ -2314,38 +2960,58 @@ export class SoulEngine {
     // 応答を記録（重複検出用）
     this.contextBridge.recordResponse(expressed);
     
-    // --- Phase 7: 応答からのパターン抽出 ---
-    const responseSatisfaction = Math.min(
-      filterResult.qualityScore,
-      validation.isValid ? 0.7 : 0.3
-    );
-    this.patternMemory.extractAndStore({
-      response: expressed,
-      situation: patternSituation,
-      satisfaction: responseSatisfaction as any,
-      variables: templateVars,
-    });
-    
-    // --- Phase 7: 自律システムへのフィードバック ---
-    this.autonomy.reportQuality(
-      responseSatisfaction as any,
-      strategy.type !== 'llm_only',
-      (strategy as any).patternId,
-      validation.isValid && !filterResult.wasFiltered
-    );
+    // --- Phase 7: パターン抽出と自律システムへのフィードバック ---
+    // 採点する設定なら、表示と記録が済んでから採点の結果で行う（このターンの最後）
+    const applyQuality = (satisfaction: number, wasSuccess: boolean) => {
+      // 応答パターンとして覚えるのは日本語の応答だけ
+      if (turnAnalysis.language === 'ja') {
+        this.patternMemory.extractAndStore({
+          response: expressed,
+          situation: patternSituation,
+          satisfaction: satisfaction as any,
+          variables: templateVars,
+        });
+      }
+      this.autonomy.reportQuality(
+        satisfaction as any,
+        strategy.type !== 'llm_only',
+        (strategy as any).patternId,
+        wasSuccess
+      );
+    };
+    const wasCorrected = !validation.isValid || filterResult.wasFiltered;
+    if (!this.responseEvaluator.isEnabled()) {
+      applyQuality(
+        Math.min(filterResult.qualityScore, validation.isValid ? 0.7 : 0.3),
+        !wasCorrected
+      );
+    }
     
     // === 応答を表示 ===
     if (this.ui) {
-      this.ui.showSpeech(expressed);
+      if (speechStream?.isShowing()) {
+        // 表示済みの内容と確定版が違えば、UI側で言い直す
+        this.ui.finishSpeechStream(expressed);
+      } else {
+        this.ui.showSpeech(expressed);
+      }
       this.lastSpeechTick = tick;
     }
     
+    // ストリーミング表示の途中に割り込まないよう、表示の後に出す
+    if (filterResult.wasFiltered) {
+      console.log(`[Expression] フィルタ適用: ${filterResult.filterReasons.join(', ')}`);
+    }
+    
     // === Phase 5A: 応答の記録 ===
-    this.conversationEngine.recordSomuniaResponse(expressed, tick);
+    session.conversation.recordSomuniaResponse(expressed, tick);
+    const responseMessageId = this.recordConversationMessage(session, 'somunia', expressed, promptVersion);
+    trace.responses.push(expressed);
+    if (responseMessageId) trace.messageIds.push(responseMessageId);
     
     // === Phase 5B: 関係性への応答記録 ===
     const responseEmotionalTone = turnAnalysis.emotions[0] || emotionalState.primary;
-    this.relationshipEvolution.onConversationTurn({
+    session.relationship.onConversationTurn({
       speaker: 'somunia',
       content: expressed,
       intent: 'response',
@@ -2363,10 +3029,10 @@ export class SoulEngine {
     );
     
     // 共有記憶の生成チェック
-    if (this.relationshipEvolution.shouldCreateSharedMemory(
+    if (session.relationship.shouldCreateSharedMemory(
       message, depthLabel, turnAnalysis.emotions, turnAnalysis.hasSelfDisclosure
     )) {
-      this.relationshipEvolution.createSharedMemory(
+      session.relationship.createSharedMemory(
         message.substring(0, 60),
         `会話: ${turnAnalysis.topics.join(', ')}`,
         `訪問者と${depthLabel}な話をした`,
@@ -2378,7 +3044,7 @@ export class SoulEngine {
     
     // === 記録（既存Visitor互換） ===
     const currentThought = this.thoughts.getCurrentThought();
-    this.visitor.recordResponse(
+    session.visitor.recordResponse(
       expressed,
       responseEmotionalTone,
       currentThought?.content || '',
@@ -2395,13 +3061,14 @@ export class SoulEngine {
     );
     
     // === 会話の記憶 ===
-    this.episodicMemory.formMemory({
+    const conversationMemory = this.episodicMemory.formMemory({
       content: `会話: 「${message.substring(0, 50)}」→「${expressed.substring(0, 50)}」`,
       summary: '訪問者と会話した',
       emotionalTags: [responseEmotionalTone, 'warmth'],
       emotionalIntensity: Math.max(0.3, flowState.depthScore),
       relatedConcepts: turnAnalysis.topics.length > 0 ? turnAnalysis.topics : ['会話'],
     });
+    trace.memoryIds.push(conversationMemory.id);
     
     // === Phase 5C: 会話からの創作インスピレーション ===
     if (turnAnalysis.emotions.length > 0 || depthLabel === 'intimate' || depthLabel === 'profound') {
@@ -2433,6 +3100,9 @@ export class SoulEngine {
     }
     
     // === Phase 7: 連想ネットワークに会話を記録 ===
+    for (const topic of turnAnalysis.topics) {
+      if (!this.associativeNetwork.getNodeByLabel(topic)) trace.nodeLabels.push(topic);
+    }
     for (const topic of turnAnalysis.topics) {
       this.associativeNetwork.ensureNode('concept', topic);
       // 話題同士の関連を強化
@@ -2448,8 +3118,31 @@ export class SoulEngine {
       }
     }
     
+    // === 返事の採点（ResponseEvaluator） ===
+    // 次の発言が届いていても、この返事の採点はそのまま反映する
+    if (this.responseEvaluator.isEnabled()) {
+      scoreReply = async () => {
+        const evaluation = await this.responseEvaluator.evaluate({
+          message,
+          response: expressed,
+          intent: turnAnalysis.intent,
+          wasCorrected,
+        });
+        applyQuality(evaluation.overall, validation.isValid && this.responseEvaluator.isSuccess(evaluation));
+        this.saveResponseScore(session, responseMessageId, evaluation, (strategy as any).patternId ?? null);
+      };
+    }
+    
     } finally {
-      this.isProcessingMessage = false;
+      this.processingMessages--;
+    }
+    
+    // 採点はターンの外で進める（採点を待つ間も、次の発言や自律行動を止めない）
+    if (scoreReply) {
+      const scoring = scoreReply()
+        .catch(error => console.error('[SoulEngine] Failed to score response:', error))
+        .finally(() => { this.pendingScores.delete(scoring); });
+      this.pendingScores.add(scoring);
     }
   }
 
@@ -2601,7 +3294,7 @@ export class SoulEngine {
       intimate: ['...来てくれた', 'おかえり'],
     };
     const options = greetings[phase] || greetings.stranger;
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
 
   // ============================================================
@@ -2671,7 +3364,8 @@ export class SoulEngine {
         work.id,
         emotionalState.primary,
         this.thoughts.getRecentThoughts(1).map(t => t.content),
-        tick
+        tick,
+        this.time.getCalendarDate()
       );
       
       if (result && result.isComplete) {
@@ -2766,18 +3460,261 @@ export class SoulEngine {
     this.internalNarrative.recordDailyEmotion(day, emotionalState.primary);
   }
   
+  // ============================================================
+  // 人生の段階と最期
+  // ============================================================
+
+  private async updateLifeCycle(tick: Tick, day: number, timeState: TimeState): Promise<void> {
+    if (this.lifeCycle.hasEnded()) {
+      this.haltAfterLife(day);
+      return;
+    }
+    
+    const change = await this.lifeCycle.update(tick, timeState.lifespan);
+    if (change) this.applyLifeStage(change, day);
+    
+    if (this.lifeCycle.isDue(timeState.lifespan)) {
+      await this.endLife(tick, day);
+    }
+  }
+  
+  /**
+   * 人生の段階を各モジュールに反映する
+   * 起動・復元直後（previousがnull）は影響だけを戻し、新しい章は始めない
+   */
+  private applyLifeStage(change: LifeStageChange, day: number): void {
+    const { profile } = change;
+    this.homeostasis.setEnergyRecoveryRate(profile.energyRecovery);
+    this.emotionEngine.setBaseline('curiosity', profile.curiosityBaseline);
+    
+    const isTransition = change.previous !== null;
+    const chapter = this.internalNarrative.applyLifeStage(
+      profile, day, this.emotionEngine.getPrimaryEmotion(), isTransition
+    );
+    if (!isTransition) return;
+    
+    this.internalNarrative.recordSignificantEvent(`${profile.name}に入った`, day);
+    this.episodicMemory.formMemory({
+      content: `${profile.name}に入った。${profile.thought}`,
+      summary: `${profile.name}の始まり`,
+      emotionalTags: ['nostalgia'],
+      emotionalIntensity: 0.6,
+      relatedConcepts: ['人生', profile.name],
+    });
+    
+    if (this.ui) {
+      this.ui.showSystem(`🕯 ${profile.name}: ${profile.thought}`);
+      if (chapter) this.ui.showSystem(`📚 新しいチャプター: 「${chapter.newChapter.title}」`);
+    }
+  }
+  
+  /**
+   * 寿命の終わり: 最後の日記とお別れの手紙を書き、時間を止める
+   */
+  private async endLife(tick: Tick, day: number): Promise<void> {
+    const context = this.buildFarewellContext(day);
+    const emotionalState = this.emotionEngine.getState();
+    
+    // 上限に達した日でも最後の日記は残し、その日の日記として確定させる
+    this.diary.writeFinal(
+      this.lifeCycle.composeFinalDiaryEntry(context),
+      emotionalState,
+      '最後の日'
+    );
+    
+    const letter = this.lifeCycle.composeFarewellLetter(context);
+    try {
+      this.persistence.getDatabase().saveFarewellLetter({
+        id: `farewell_${tick}`,
+        recipient: context.visitorName,
+        content: letter,
+        dayNumber: day,
+        tick,
+        createdAt: Date.now(),
+      });
+    } catch (error) {
+      console.error('[SoulEngine] Failed to save farewell letter:', error);
+    }
+    
+    await this.lifeCycle.end(tick, day);
+    await this.persistence.save(tick, day);
+    
+    if (this.ui) {
+      this.ui.showSystem('✉ お別れの手紙');
+      for (const line of letter.split('\n')) {
+        this.ui.showSystem(`  ${line}`);
+      }
+    }
+    this.haltAfterLife(day);
+  }
+  
+  private buildFarewellContext(day: number): FarewellContext {
+    return {
+      day,
+      visitorName: this.visitor.getName(),
+      chapterTitles: this.internalNarrative.getChapters().map(c => c.title),
+      conversationCount: this.conversationMemoryBridge.getConversationPatterns().totalConversations,
+      creationCount: this.creativeEngine.getStats().totalWorks,
+      memories: this.episodicMemory.getMostRecalledMemories(3).map(m => m.summary),
+    };
+  }
+  
+  /**
+   * 一生を終えたあとは時間を進めない
+   */
+  private haltAfterLife(day: number): void {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.time.stop();
+    const message = `somuniaの一生は終わりました（Day ${day}）`;
+    if (this.ui) this.ui.showSystem(message);
+    else console.log(`[SoulEngine] ${message}`);
+  }
+  
   /**
    * Phase 5: 訪問者の退出処理
    * 既存のvisitor.depart()に加えて、会話の振り返りを実行
    */
-  private handleVisitorDeparture(tick: Tick): void {
-    if (!this.visitor.isPresent()) return;
+  // ============================================================
+  // 会話の記録（conversations / messages テーブル）
+  // ============================================================
+
+  private startConversationRecord(session: VisitorSession, tick: Tick): void {
+    const record = { id: `conv_${tick}_${Date.now()}`, messageCount: 0 };
+    try {
+      this.persistence.getDatabase().saveConversation({ id: record.id, visitorId: session.visitorId, startedAt: Date.now() });
+      session.record = record;
+    } catch (error) {
+      console.error('[SoulEngine] Failed to save conversation:', error);
+      session.record = null;
+    }
+  }
+
+  /**
+   * 発言を1件記録する（somuniaの発言には生成に使ったプロンプトの版を添える）
+   * 記録したメッセージのIDを返す（会話の記録がなければnull）
+   */
+  private recordConversationMessage(
+    session: VisitorSession,
+    speaker: 'visitor' | 'somunia',
+    content: string,
+    promptVersion: string | null
+  ): string | null {
+    const record = session.record;
+    if (!record) return null;
+    try {
+      record.messageCount++;
+      const id = `${record.id}_${record.messageCount}`;
+      this.persistence.getDatabase().saveMessage({
+        id,
+        conversationId: record.id,
+        speaker,
+        content,
+        timestamp: Date.now(),
+        emotionDuring: this.emotionEngine.getState().primary,
+        promptVersion,
+      });
+      return id;
+    } catch (error) {
+      console.error('[SoulEngine] Failed to save message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 返事の採点を記録する
+   */
+  private saveResponseScore(
+    session: VisitorSession,
+    messageId: string | null,
+    evaluation: ResponseEvaluation,
+    patternId: string | null
+  ): void {
+    const record = session.record;
+    if (!messageId || !record) return;
+    try {
+      this.persistence.getDatabase().saveMessageScore({
+        messageId,
+        conversationId: record.id,
+        personaFidelity: evaluation.personaFidelity,
+        relevance: evaluation.relevance,
+        naturalness: evaluation.naturalness,
+        overall: evaluation.overall,
+        judge: evaluation.judge,
+        comment: evaluation.comment || null,
+        patternId,
+        createdAt: Date.now(),
+      });
+    } catch (error) {
+      console.error('[SoulEngine] Failed to save response score:', error);
+    }
+  }
+
+  /**
+   * 記憶モジュールに意味検索の索引を渡し、まだベクトルのない項目を索引に入れる
+   * （索引の状態で想起が変わるので、リプレイと揃うよう入れ終わるまで待つ）
+   */
+  private async attachSemanticIndex(): Promise<void> {
+    this.episodicMemory.setSemanticIndex(this.semanticIndex);
+    this.semanticMemory.setSemanticIndex(this.semanticIndex);
+    this.diary.setSemanticIndex(this.semanticIndex);
+    this.visitorMemory.setSemanticIndex(this.semanticIndex);
+    try {
+      const added = await this.semanticIndex.backfill();
+      if (added > 0) {
+        console.log(`[SoulEngine] 意味検索の索引に${added}件を追加 (${this.semanticIndex.getProvider().name})`);
+      }
+    } catch (error) {
+      console.error('[SoulEngine] 意味検索の索引を作れませんでした:', (error as Error).message);
+    }
+  }
+
+  /**
+   * 発言と意味の近い記憶・日記を思い出す（ContextBridge の【思い出したこと】に入る）
+   * 訪問者について知っていることも、意味の近いものが優先されるよう準備する
+   */
+  private async recallForMessage(message: string, excludeMemoryId: string | null): Promise<string[]> {
+    try {
+      await this.visitorMemory.recallSimilarFacts(message);
+      const memories = await this.episodicMemory.searchSimilar(message, 4);
+      const diary = await this.diary.searchSimilar(message, 1);
+      return [
+        ...memories
+          .filter(r => r.memory.id !== excludeMemoryId)
+          .slice(0, 3)
+          .map(r => r.memory.summary),
+        ...diary.map(r => `日記（${r.entry.date}）: ${(r.fragment?.content ?? r.entry.reflection?.summary ?? '').substring(0, 60)}`),
+      ];
+    } catch (error) {
+      console.error('[SoulEngine] 記憶の想起に失敗:', (error as Error).message);
+      return [];
+    }
+  }
+
+  private endConversationRecord(session: VisitorSession): void {
+    const record = session.record;
+    if (!record) return;
+    session.record = null;
+    try {
+      this.persistence.getDatabase().endConversation(record.id, Date.now(), record.messageCount);
+    } catch (error) {
+      console.error('[SoulEngine] Failed to save conversation:', error);
+    }
+  }
+
+  /**
+   * 訪問者の退出（visitorId を省略すると端末から入力している訪問者）
+   */
+  private handleVisitorDeparture(tick: Tick, visitorId: ID = this.typingVisitorId): void {
+    if (!this.visitorSessions.has(visitorId) || !this.visitorSessions.get(visitorId).visitor.isPresent()) return;
+    const session = this.useVisitor(visitorId);
     
     const emotionalState = this.emotionEngine.getState();
     const relationship = this.relationshipEvolution.getRelationship();
     
     // --- Phase 5A: 会話のサマリー生成 ---
     const conversationSummary = this.conversationEngine.endConversation();
+    this.endConversationRecord(session);
     
     // --- Phase 5B: 関係性の訪問終了処理 ---
     const partingReaction = this.relationshipEvolution.onVisitEnd({
@@ -2786,6 +3723,7 @@ export class SoulEngine {
       topics: conversationSummary.topics.map(t => t.name),
       emotionalArc: conversationSummary.emotionalArc,
     }, tick);
+    this.applyRelationshipChanges(tick);
     
     // --- Phase 5E: 会話後の振り返り ---
     const reflection = this.conversationMemoryBridge.generatePostConversationReflection(
@@ -2804,11 +3742,20 @@ export class SoulEngine {
       '会話の振り返り'
     );
     
-    // 別れの感情
+    // Phase 7: 訪問者メモリにこの訪問の話題を残す
+    this.contextBridge.onVisitorDeparture({
+      topics: conversationSummary.topics.map(t => t.name),
+      depth: conversationSummary.maxDepthLabel,
+      impression: partingReaction.partingEmotion,
+      memorable: conversationSummary.sharedStories[0],
+    }, visitorId);
+    
+    // 別れの感情（他の人が残っていれば寂しさは募らない）
+    const nextSession = this.visitorSessions.nextFocus(visitorId);
     this.emotionEngine.changeEmotions(
       [
         { emotion: partingReaction.partingEmotion, delta: 0.15 },
-        { emotion: 'loneliness', delta: partingReaction.lonelinessPrediction * 0.2 },
+        { emotion: 'loneliness', delta: nextSession ? 0 : partingReaction.lonelinessPrediction * 0.2 },
       ],
       { type: 'visitor', event: 'departed' }
     );
@@ -2841,13 +3788,301 @@ export class SoulEngine {
     if (this.ui) {
       this.ui.showSystem(`📝 会話振り返り: 満足度 ${(reflection.selfSatisfaction * 100).toFixed(0)}%, 学び ${reflection.learnings.length}件`);
     }
+    
+    // 残っている人に向き直る（端末の入力もその人に移す）
+    if (nextSession) {
+      this.useVisitor(nextSession.visitorId);
+      if (this.typingVisitorId === visitorId) this.typingVisitorId = nextSession.visitorId;
+      if (this.ui) {
+        this.ui.showSystem(`👥 ${this.describeVisitor(nextSession.visitorId)}が残っている（部屋に${this.visitorSessions.getPresent().length}人）`);
+      }
+    }
+  }
+
+  /**
+   * 関係の変化（深まった・冷えた・わだかまり・仲直り）を思考・感情・日記にする
+   */
+  private applyRelationshipChanges(tick: Tick): void {
+    for (const session of this.visitorSessions.getAll()) {
+      for (const change of session.relationship.takeChanges()) {
+        this.thoughts.recordThought(change.thought, 'social', 'visitor', change.emotion, tick);
+        this.emotionEngine.changeEmotions(
+          [{ emotion: change.emotion, delta: change.type === 'strain' ? 0.15 : 0.1 }],
+          { type: 'event', eventName: `relationship_${change.type}` }
+        );
+        if (change.reflection) {
+          this.diary.write(change.reflection, this.emotionEngine.getState(), 'thought', '関係のこと');
+        }
+        if (change.type === 'phase_regression' || change.type === 'reconciliation') {
+          this.internalNarrative.recordSignificantEvent(
+            change.type === 'reconciliation' ? '訪問者と仲直りした' : `訪問者との関係が冷えた（${change.from} → ${change.to}）`,
+            this.time.getDay()
+          );
+        }
+        if (this.ui) {
+          this.ui.showSystem(`💭 ${change.thought}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 話しかける相手を切り替える
+   * visitor / conversationEngine / relationshipEvolution をその訪問者のものにする
+   */
+  private useVisitor(visitorId: ID): VisitorSession {
+    const session = this.visitorSessions.setFocus(visitorId);
+    this.visitor = session.visitor;
+    this.relationshipEvolution = session.relationship;
+    this.conversationEngine = session.conversation;
+    this.visitorMemory.setCurrentVisitor(visitorId);
+    return session;
+  }
+
+  /**
+   * /visitor [id] — 端末から入力している訪問者を切り替える
+   * （次の発言でその人が部屋に来る。id がなければ部屋にいる人を表示する）
+   */
+  private handleVisitorSwitch(visitorId: string | undefined): void {
+    if (!visitorId) {
+      if (!this.ui) return;
+      const present = this.visitorSessions.getPresent();
+      this.ui.showSystem(`入力中: ${this.describeVisitor(this.typingVisitorId)}`);
+      this.ui.showSystem(present.length > 0
+        ? `部屋にいる人: ${present.map(p => this.describeVisitor(p.visitorId)).join('、')}（話しかけている相手: ${this.describeVisitor(this.visitorSessions.getFocus().visitorId)}）`
+        : '部屋には誰もいない');
+      return;
+    }
+    if (!isValidVisitorId(visitorId)) {
+      if (this.ui) this.ui.showSystem('訪問者のIDは英数字・_・- の32文字以内にしてください');
+      return;
+    }
+    this.typingVisitorId = visitorId;
+    if (this.ui) this.ui.showSystem(`入力中の訪問者: ${this.describeVisitor(visitorId)}`);
+  }
+
+  /**
+   * /iam <名前> [合言葉] — 端末から入力している訪問者として名乗る
+   * 名前から決まるIDの訪問者に切り替える（それまでの訪問者が部屋にいれば、その人は帰ったことにする）
+   */
+  private handleIdentify(name: string | undefined, passphrase: string | undefined, replayed = false): void {
+    if (!name) {
+      if (this.ui) this.ui.showSystem('使い方: /iam <名前> [合言葉]');
+      return;
+    }
+    // 再生ではジャーナルに残したハッシュで名乗る。端末からの入力はいつも合言葉としてハッシュする
+    const result = replayed
+      ? this.visitorMemory.identifyWithHash(name, passphrase ?? null)
+      : this.visitorMemory.identify(name, passphrase);
+    if (!result.ok || !result.visitorId) {
+      if (this.ui) this.ui.showSystem(`名乗れませんでした: ${result.reason}`);
+      return;
+    }
+    if (this.typingVisitorId !== result.visitorId) {
+      this.handleVisitorDeparture(this.tickCounter, this.typingVisitorId);
+      this.typingVisitorId = result.visitorId;
+    }
+    if (!this.ui) return;
+    this.ui.showSystem(`${result.created ? '🪪 はじめて名乗った' : '🪪 名乗った'}: ${this.describeVisitor(result.visitorId)}`);
+    for (const candidate of result.candidates) {
+      this.ui.showSystem(`   名前だけで覚えていた ${this.describeVisitor(candidate)} がいる。同じ人なら /visitor merge ${candidate} ${result.visitorId}`);
+    }
+  }
+
+  /**
+   * /visitor merge <from> <into> — 同じ人だった二人の訪問者をまとめる
+   * 記憶のプロファイル・関係・会話の記録を into に寄せる
+   */
+  private handleVisitorMerge(fromId: string | undefined, intoId: string | undefined): void {
+    const fail = (message: string) => { if (this.ui) this.ui.showSystem(message); };
+    if (!fromId || !intoId) return fail('使い方: /visitor merge <まとめる訪問者> <残す訪問者>');
+    if (!this.visitorMemory.getProfile(fromId) || !this.visitorMemory.getProfile(intoId)) {
+      return fail('その訪問者のことは覚えていません');
+    }
+    if (this.visitorSessions.has(fromId) && this.visitorSessions.get(fromId).visitor.isPresent()) {
+      return fail(`${this.describeVisitor(fromId)}は部屋にいるので、帰ってからまとめてください`);
+    }
+    try {
+      const fromName = this.describeVisitor(fromId);
+      if (this.visitorSessions.has(fromId)) this.visitorSessions.merge(fromId, intoId);
+      this.visitorMemory.mergeProfiles(fromId, intoId);
+      if (this.typingVisitorId === fromId) this.typingVisitorId = intoId;
+      // 話しかけている相手のオブジェクトが入れ替わっていることがあるので向き直しておく
+      this.useVisitor(this.visitorSessions.getFocus().visitorId);
+      const conversations = this.reassignConversationRecords(fromId, intoId);
+      if (this.ui) this.ui.showSystem(`🔗 ${fromName}を${this.describeVisitor(intoId)}にまとめた（会話の記録 ${conversations}件）`);
+    } catch (error: any) {
+      fail(`まとめられませんでした: ${error?.message}`);
+    }
+  }
+
+  /**
+   * /visitor split <id> <会話ID,...> <新しいID> — 取り違えていた会話で聞いたことを別の訪問者に分ける
+   * 関係の段階は会話ごとに分けられないので、元の訪問者に残す
+   */
+  private handleVisitorSplit(visitorId: string | undefined, conversationIds: string | undefined, newId: string | undefined): void {
+    const fail = (message: string) => { if (this.ui) this.ui.showSystem(message); };
+    if (!visitorId || !conversationIds || !newId) {
+      return fail('使い方: /visitor split <訪問者> <会話ID[,会話ID...]> <新しい訪問者>（会話IDは /visitor audit で見られる）');
+    }
+    if (!isValidVisitorId(newId)) return fail('訪問者のIDは英数字・_・- の32文字以内にしてください');
+    const ids = conversationIds.split(',').filter(id => id);
+    try {
+      const moved = this.visitorMemory.splitProfile(visitorId, ids, newId);
+      if (moved === 0) return fail('その会話で聞いたことは見つかりませんでした');
+      const conversations = this.reassignConversationRecords(visitorId, newId, ids);
+      if (this.ui) this.ui.showSystem(`✂️ ${moved}件を${this.describeVisitor(newId)}に移した（会話の記録 ${conversations}件）`);
+    } catch (error: any) {
+      fail(`分けられませんでした: ${error?.message}`);
+    }
+  }
+
+  /** 会話の記録（conversations テーブル）の訪問者を付け替える。付け替えた件数を返す */
+  private reassignConversationRecords(fromId: ID, toId: ID, conversationIds?: string[]): number {
+    try {
+      return this.persistence.getDatabase().reassignConversations(fromId, toId, conversationIds);
+    } catch (error) {
+      console.error('[SoulEngine] Failed to reassign conversations:', error);
+      return 0;
+    }
+  }
+
+  // ============================================================
+  // 頼まれて忘れる（Forgetting）
+  // ============================================================
+
+  /**
+   * 発言を、覚えているところすべて（各モジュール・連想ネットワーク・SQLite）から消す
+   * 返事もいっしょに消す。話したという関係の深まりまでは戻さない
+   */
+  private forgetStatement(trace: StatementTrace): void {
+    this.statementTraces.remove(trace);
+    const texts = [trace.content, ...trace.responses];
+    const session = this.visitorSessions.has(trace.visitorId) ? this.visitorSessions.get(trace.visitorId) : null;
+
+    // 訪問者について聞いたこと
+    const facts = this.visitorMemory.forgetStatement(trace.visitorId, trace.content);
+
+    // 記憶・知識・連想（控えたものに加えて、発言の写しが残っている記憶も消す）
+    const memoryIds = new Set(trace.memoryIds);
+    for (const memory of this.episodicMemory.findByContent(text => mentionsStatement(text, trace.content))) {
+      memoryIds.add(memory.id);
+    }
+    for (const id of memoryIds) this.episodicMemory.forgetMemory(id);
+    for (const concept of trace.concepts) this.semanticMemory.forgetConcept(concept.id);
+    for (const label of trace.nodeLabels) this.associativeNetwork.removeNode(label);
+
+    // 会話の流れ・学び・関係
+    for (const text of texts) {
+      session?.visitor.forgetMessage(text);
+      session?.conversation.forgetMessage(text);
+      this.conversationMemoryBridge.forgetMessage(text);
+    }
+    session?.relationship.forgetStatement(trace.content);
+    this.creativeEngine.forgetInspiration(trace.content);
+    this.contextBridge.forgetResponses(trace.responses);
+
+    this.forgetFromStorage({
+      messageIds: trace.messageIds,
+      memoryIds: [...memoryIds],
+      concepts: trace.concepts,
+      visitorFacts: facts.map(fact => ({ visitorId: trace.visitorId, content: fact.content })),
+      nodeLabels: trace.nodeLabels,
+      texts,
+    });
+  }
+
+  /**
+   * SQLiteから消し、モジュールの保存状態（module_states）も書き直す
+   */
+  private forgetFromStorage(request: ForgetRecordsRequest): void {
+    try {
+      // ジャーナルの書き込み待ちを先に書き出してから伏せる
+      this.journal.flush();
+      this.persistence.getDatabase().forgetRecords(request);
+    } catch (error) {
+      console.error('[SoulEngine] Failed to forget records:', error);
+    }
+    this.persistence.save(this.tickCounter, this.time.getDay()).catch(error => {
+      console.error('[SoulEngine] Failed to save after forgetting:', error);
+    });
+  }
+
+  /** 忘れたことを、somuniaの言葉で伝える */
+  private sayForgetReply(visitorId: ID, kind: ForgetReplyKind, tick: Tick): void {
+    const reply = pickForgetReply(kind, this.rng);
+    if (this.visitorSessions.has(visitorId)) {
+      const session = this.visitorSessions.get(visitorId);
+      if (session.visitor.isPresent()) session.conversation.recordSomuniaResponse(reply, tick);
+    }
+    if (this.ui) {
+      this.ui.showSpeech(reply);
+      this.lastSpeechTick = tick;
+    }
+  }
+
+  /**
+   * /forget last | /forget fact <id> — 入力している訪問者の直前の発言、または聞いた事実を忘れる
+   */
+  private handleForgetCommand(args: string[]): void {
+    const visitorId = this.typingVisitorId;
+    if (args[0] === undefined || args[0] === 'last') {
+      const trace = this.statementTraces.latest(visitorId);
+      if (trace) this.forgetStatement(trace);
+      this.sayForgetReply(visitorId, trace ? 'statement' : 'nothing', this.tickCounter);
+      return;
+    }
+    if (args[0] === 'fact' && args[1]) {
+      const fact = this.visitorMemory.forgetFact(visitorId, args[1]);
+      if (!fact) {
+        if (this.ui) this.ui.showSystem(`${this.describeVisitor(visitorId)}について、その事実は見つかりませんでした（IDは /visitor audit で見られる）`);
+        return;
+      }
+      this.forgetFromStorage({
+        messageIds: [], memoryIds: [], concepts: [], nodeLabels: [], texts: [],
+        visitorFacts: [{ visitorId, content: fact.content }],
+      });
+      this.sayForgetReply(visitorId, 'fact', this.tickCounter);
+      return;
+    }
+    if (this.ui) this.ui.showSystem('使い方: /forget last | /forget fact <事実のID>');
+  }
+
+  /**
+   * /visitor audit [id] — 訪問者について知っていることを、聞いた会話ごとに表示する
+   */
+  private showVisitorAudit(visitorId: ID): void {
+    if (!this.ui) return;
+    const entries = this.visitorMemory.auditFacts(visitorId);
+    if (entries.length === 0) {
+      this.ui.showSystem(`${this.describeVisitor(visitorId)}について知っていることはまだない`);
+      return;
+    }
+    const lines = entries.map(entry => [
+      `    [${entry.sessionId ?? '記録のない会話'}] ${entry.facts.length}件`,
+      ...entry.facts.map(f => `      - [${this.visitorMemory.getFactId(visitorId, f)}] ${f.content}（${f.category}, 確信度 ${(f.confidence * 100).toFixed(0)}%）`),
+    ].join('\n'));
+    console.log(`
+  ${this.describeVisitor(visitorId)}について知っていること（聞いた会話ごと）:
+${lines.join('\n')}
+    `);
+  }
+
+  /** 表示用の訪問者の名前（名前を知らなければID） */
+  private describeVisitor(visitorId: ID): string {
+    const callName = this.visitorMemory.getCallName(visitorId);
+    return callName !== 'あなた' ? `${callName}（${visitorId}）` : visitorId;
   }
 
   // ============================================================
   // コマンド処理
   // ============================================================
 
-  private handleCommand(command: string, args: string[]): void {
+  /** @param replayed ジャーナルの再生から来たコマンドか（/iam の合言葉はハッシュ済み） */
+  private handleCommand(command: string, args: string[], replayed = false): void {
+    // 合言葉はジャーナルにそのまま残さない（再生ではハッシュのまま名乗る）
+    const recordedArgs = command === 'iam' && args[1] && !replayed ? [args[0], hashPassphrase(args[0], args[1])] : args;
+    this.journal.recordInput('command', command, { args: recordedArgs });
     switch (command) {
       case 'save':
         this.persistence.save(this.tickCounter, this.time.getDay()).then(() => {
@@ -2911,7 +4146,22 @@ export class SoulEngine {
       
       case 'bye':
       case 'goodbye':
-        this.handleVisitorDeparture(this.tickCounter);
+        this.handleVisitorDeparture(this.tickCounter, args[0] || this.typingVisitorId);
+        break;
+      
+      case 'visitor':
+        if (args[0] === 'audit') this.showVisitorAudit(args[1] || this.typingVisitorId);
+        else if (args[0] === 'merge') this.handleVisitorMerge(args[1], args[2]);
+        else if (args[0] === 'split') this.handleVisitorSplit(args[1], args[2], args[3]);
+        else this.handleVisitorSwitch(args[0]);
+        break;
+      
+      case 'iam':
+        this.handleIdentify(args[0], args[1], replayed);
+        break;
+      
+      case 'forget':
+        this.handleForgetCommand(args);
         break;
       
       // === Phase 6 コマンド ===
@@ -2945,16 +4195,168 @@ export class SoulEngine {
         this.handleExport();
         break;
       
+      case 'modules':
+      case 'mod':
+        this.handleModulesCommand(args);
+        break;
+      
+      case 'profile':
+      case 'prof':
+        this.handleProfileCommand(args);
+        break;
+      
+      case 'llmcache':
+        this.handleLLMCacheCommand(args);
+        break;
+      
+      case 'prompts':
+        this.handlePromptsCommand(args);
+        break;
+      
+      case 'recall':
+        this.handleRecallCommand(args).catch((error: any) => {
+          if (this.ui) this.ui.showSystem(`recall: ${error?.message || String(error)}`);
+        });
+        break;
+      
       case 'quit':
       case 'exit':
         this.stop().then(() => process.exit(0));
         break;
       
-      default:
-        if (this.ui) this.ui.showSystem(`不明なコマンド: ${command}`);
+      default: {
+        // レジストリのモジュールが提供するコマンド
+        const found = this.registry.findCommand(command);
+        if (found) {
+          Promise.resolve(found.command.run(args)).catch((error: any) => {
+            if (this.ui) this.ui.showSystem(`${found.module.name}: ${error?.message || String(error)}`);
+          });
+        } else if (this.ui) {
+          this.ui.showSystem(`不明なコマンド: ${command}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * /profile - 段階ごとのティック所要時間（/profile reset で集計をリセット）
+   */
+  private handleProfileCommand(args: string[]): void {
+    if (!this.ui) return;
+    if (args[0] === 'reset') {
+      this.profiler.reset();
+      this.ui.showSystem('プロファイルをリセットしました');
+      return;
+    }
+    this.ui.showProfile(this.profiler.getReport());
+  }
+
+  /**
+   * /llmcache - LLM応答キャッシュの統計（/llmcache clear で全削除）
+   */
+  private handleLLMCacheCommand(args: string[]): void {
+    if (!this.ui) return;
+    const cache = this.llm.getResponseCache();
+    if (!cache) {
+      this.ui.showSystem('LLM応答キャッシュは使用していません');
+      return;
+    }
+    if (args[0] === 'clear') {
+      cache.clear();
+      this.ui.showSystem('LLM応答キャッシュを消去しました');
+      return;
+    }
+    const stats = cache.getStats();
+    this.ui.showSystem(
+      `LLM応答キャッシュ: ${stats.enabled ? '有効' : '無効'} / ${stats.entries}件 / ` +
+      `ヒット ${stats.hits} ミス ${stats.misses} (${(stats.hitRate * 100).toFixed(0)}%) / 削除 ${stats.evictions}`
+    );
+  }
+
+  /**
+   * /prompts - プロンプトテンプレートの一覧（/prompts reload で読み直す）
+   */
+  private handlePromptsCommand(args: string[]): void {
+    if (!this.ui) return;
+    if (args[0] === 'reload') {
+      try {
+        const result = promptTemplates.reload();
+        const changes = [
+          ...result.changed.map(name => `${name}@${promptTemplates.version(name)}`),
+          ...result.removed.map(name => `-${name}`),
+        ];
+        this.ui.showSystem(
+          `プロンプトを読み直しました: ${result.count}件` +
+          (changes.length > 0 ? `（変更: ${changes.join(', ')}）` : '（版の変更なし）')
+        );
+      } catch (error) {
+        this.ui.showSystem(`プロンプトを読み直せませんでした（前の版を使い続けます）: ${(error as Error).message}`);
+      }
+      return;
+    }
+    const templates = promptTemplates.list();
+    this.ui.showSystem(`プロンプト（${promptTemplates.getDirectory()}）: ${templates.length}件`);
+    for (const template of templates) {
+      this.ui.showSystem(`  ${template.name}@${template.version}  ${template.description}`);
     }
   }
 
+  /**
+   * /recall <文> - 意味の近い記憶・知識・日記・訪問者のことを探す（引数なしで索引の状態）
+   */
+  private async handleRecallCommand(args: string[]): Promise<void> {
+    if (!this.ui) return;
+    const query = args.join(' ').trim();
+    const stats = this.semanticIndex.getStats();
+    if (!query) {
+      const counts = (Object.keys(stats.counts) as EmbeddingKind[]).map(kind => `${kind} ${stats.counts[kind]}`);
+      this.ui.showSystem(`意味検索の索引（${this.semanticIndex.getProvider().name}）: ${counts.join(' / ')}`);
+      this.ui.showSystem('  /recall <文> で意味の近いものを探す');
+      return;
+    }
+    
+    const [memories, concepts, diary, facts] = await Promise.all([
+      this.episodicMemory.searchSimilar(query, 3),
+      this.semanticMemory.searchSimilar(query, 3),
+      this.diary.searchSimilar(query, 2),
+      this.visitorMemory.recallSimilarFacts(query, 3),
+    ]);
+    const lines = [
+      ...memories.map(r => `記憶 ${r.relevance.toFixed(2)}: ${r.memory.summary.substring(0, 50)}`),
+      ...concepts.map(r => `知識 ${r.relevance.toFixed(2)}: ${r.knowledge.concept}`),
+      ...diary.map(r => `日記 ${r.relevance.toFixed(2)}: ${r.entry.date}`),
+      ...facts.map(f => `訪問者: ${f.content}`),
+    ];
+    this.ui.showSystem(`「${query}」に近いもの（${stats.provider}）: ${lines.length}件`);
+    for (const line of lines) {
+      this.ui.showSystem(`  ${line}`);
+    }
+  }
+
+  /**
+   * /modules - レジストリのモジュール一覧・有効化・無効化
+   */
+  private handleModulesCommand(args: string[]): void {
+    if (!this.ui) return;
+    const [action, name] = args;
+    
+    if ((action === 'enable' || action === 'disable') && name) {
+      const ok = action === 'enable' ? this.registry.enable(name) : this.registry.disable(name);
+      this.ui.showSystem(ok ? `${name}: ${action === 'enable' ? '有効化' : '無効化'}しました` : `不明なモジュール: ${name}`);
+      return;
+    }
+    
+    console.log('\n  === モジュール（実行順） ===');
+    for (const module of this.registry.list()) {
+      const mark = this.registry.isEnabled(module.name) ? '●' : '○';
+      const kind = this.registry.isBuiltin(module.name) ? '' : ' [plugin]';
+      const interval = module.interval && module.interval > 1 ? ` /${module.interval}` : '';
+      const phase = module.phase && module.phase !== 'awake' ? ` (${module.phase})` : '';
+      console.log(`  ${mark} ${module.name}${interval}${phase}${kind}`);
+    }
+    console.log('  /modules enable|disable <name> で切り替え\n');
+  }
+
   // ============================================================
   // ヘルパーメソッド
   // ============================================================
@@ -3034,6 +4436,34 @@ export class SoulEngine {
     const hs = this.homeostasis.getSummary();
     const us = this.urgeSystem.getSummary();
     const cs = this.behavior.getCurrentAction();
+    const calendar = this.time.getCalendarDate();
+    const health = this.registry.getHealthReport();
+    const healthLines = [
+      `  ║ Modules: ${`${health.healthy} ok, ${health.degraded} degraded, ${health.suspended} susp.`.padEnd(29)}║`,
+      ...health.modules
+        .filter(h => h.state !== 'healthy')
+        .slice(0, 5)
+        .map(h => {
+          const mark = h.state === 'suspended' ? `x until #${h.suspendedUntil}` : `! ${h.consecutiveFailures}x`;
+          return `  ║   ${`${h.name} ${mark} ${h.lastError || ''}`.substring(0, 36).padEnd(36)}║`;
+        }),
+    ].join('\n');
+    const llmQueue = this.llm.getSchedulerStats();
+    const queueLine = `v${llmQueue.queued.visitor} a${llmQueue.queued.autonomous} b${llmQueue.queued.background}`
+      + ` run ${llmQueue.running.visitor + llmQueue.running.autonomous + llmQueue.running.background}`;
+    const waitLine = `wait ${Math.round(llmQueue.averageWaitMs)}/${llmQueue.maxWaitMs}ms`
+      + ` x${llmQueue.cancelled} pre${llmQueue.preempted}`;
+    const jsonStats = this.llm.getStructuredOutputStats()[0];
+    const jsonLine = jsonStats
+      ? `${jsonStats.model} ${jsonStats.calls} calls, ng ${(jsonStats.parseFailureRate * 100).toFixed(0)}%/${(jsonStats.failureRate * 100).toFixed(0)}%`
+      : '-';
+    const judgeStats = this.responseEvaluator.getStats();
+    const judgeLine = judgeStats.average
+      ? `${judgeStats.mode} ${judgeStats.average.overall.toFixed(2)} (${judgeStats.count} scored, ${judgeStats.llmCount} llm)`
+      : judgeStats.mode;
+    const lifeLine = ts.lifespan
+      ? `\n  ║ Life: ${`${this.lifeCycle.getStage() ?? '-'} ${(ts.lifespan.percentage * 100).toFixed(0)}% left`.padEnd(31)}║`
+      : '';
     
     console.log(`
   ╔═══════════════════════════════════════╗
@@ -3041,6 +4471,8 @@ export class SoulEngine {
   ╠═══════════════════════════════════════╣
   ║ Day: ${String(ts.simulatedDay).padStart(4)}  Hour: ${ts.simulatedHour.toFixed(1).padStart(5)}  ${ts.timeOfDay.padEnd(10)}║
   ║ Weather: ${this.time.getWeather().padEnd(28)}║
+  ║ Clock: ${(this.time.getTimezone() ? `wallclock ${this.time.getTimezone()}` : 'simulated').padEnd(30)}║
+  ║ Date: ${`${Calendar.formatDate(calendar)} ${calendar.season}${calendar.holiday ? ` ${calendar.holiday.id}` : ''}`.padEnd(31)}║${lifeLine}
   ╠───────────────────────────────────────╣
   ║ Body:                                 ║
   ║   Energy:  ${this.bar(this.body.energy)}  ${(this.body.energy * 100).toFixed(0).padStart(3)}%    ║
@@ -3060,10 +4492,15 @@ export class SoulEngine {
   ║ Sleeping: ${this.sleepState.isSleeping ? 'Yes' : 'No '}                         ║
   ║ Learning: ${this.learningState.isLearning ? (this.learningState.type || 'Yes').padEnd(27) : 'No '.padEnd(27)}║
   ╠───────────────────────────────────────╣
-  ║ LLM: ${this.llm.isEnabled() ? 'ON ' : 'OFF'} (${String(this.llm.getRequestCount()).padStart(4)} reqs)               ║
+  ║ LLM: ${`${this.llm.isEnabled() ? 'ON ' : 'OFF'} ${this.llm.getBackend().type} (${this.llm.getRequestCount()} reqs)`.padEnd(32)}║
+  ║ LLM queue: ${queueLine.padEnd(26)}║
+  ║   ${waitLine.substring(0, 34).padEnd(34)}║
+  ║ LLM JSON: ${jsonLine.substring(0, 27).padEnd(27)}║
+  ║ Judge: ${judgeLine.substring(0, 30).padEnd(30)}║
   ║ Visitor: ${this.visitor.isPresent() ? 'Present' : 'Absent '}                       ║
   ║ Memory: ${(this.persistence.getStorageSize() / 1024).toFixed(1).padStart(6)} KB                     ║
   ║ Tick: ${String(this.tickCounter).padStart(8)}                      ║
+  ║ Seed: ${String(this.rng.getSeed()).padStart(10)}                    ║
   ╠───────────────────────────────────────╣
   ║ Phase 5:                              ║
   ║   Relationship: ${this.relationshipEvolution.getPhase().padEnd(20)}║
@@ -3074,6 +4511,9 @@ export class SoulEngine {
   ║   Wiki API: ${(this.wikipediaLearner.getAPIStatus().isOnline ? 'Online ' : 'Offline').padEnd(25)}║
   ║   Storage: ${this.persistence.getStorageInfo().formattedSize.padEnd(26)}║
   ║   Saves: ${String(this.persistence.getStats().saveCount).padStart(5)}                         ║
+  ╠───────────────────────────────────────╣
+  ║ Health:                               ║
+${healthLines}
   ╚═══════════════════════════════════════╝`);
   }
 
@@ -3226,6 +4666,9 @@ export class SoulEngine {
     const absence = this.relationshipEvolution.getAbsence();
     const sharedMemories = this.relationshipEvolution.getSharedMemories();
     const visitCount = this.relationshipEvolution.getVisitCount();
+    const milestones = this.relationshipEvolution.getMilestones()
+      .filter(m => m.type !== 'visit_milestone')
+      .slice(-3);
     
     console.log(`
   関係性統計:
@@ -3238,6 +4681,8 @@ export class SoulEngine {
     共有記憶: ${sharedMemories.length}件
     深い会話回数: ${this.relationshipEvolution.getDeepConversationCount()}
     寂しさ: ${(absence.loneliness * 100).toFixed(0)}%
+    わだかまり: ${(this.relationshipEvolution.getStrain() * 100).toFixed(0)}%
+    最近の変化: ${milestones.length > 0 ? milestones.map(m => m.description).join(' / ') : 'なし'}
     訪問者名: ${visitor.name || '不明'}
     呼び方: ${this.relationshipEvolution.getVisitorAddress()}
     `);
@@ -3312,6 +4757,145 @@ export class SoulEngine {
     }
   }
 
+  // ============================================================
+  // ジャーナル・リプレイ
+  // ============================================================
+
+  /**
+   * チェックポイント用の状態ダイジェスト
+   * リプレイで同じ値が再現されるかを比べる。ここに入る値はどれもティックと乱数だけで決まる
+   * （身体の減衰もティックから進める。wallclockモードの時刻だけは実時計に従う）
+   */
+  private captureCheckpointState(): JournalCheckpoint {
+    const ts = this.time.getState();
+    const es = this.emotionEngine.getState();
+    return {
+      rngDraws: this.rng.getDrawCount(),
+      rngState: this.rng.toJSON().state,
+      hour: ts.simulatedHour.toFixed(4),
+      weather: this.time.getWeather(),
+      emotion: es.primary,
+      valence: es.valence.toFixed(6),
+      arousal: es.arousal.toFixed(6),
+      energy: this.body.energy.toFixed(6),
+      fatigue: this.body.fatigue.toFixed(6),
+      action: this.behavior.getCurrentAction()?.action ?? null,
+      sleeping: this.sleepState.isSleeping,
+      memories: this.episodicMemory.getMemoryCount(),
+      visitor: this.visitor.isPresent(),
+    };
+  }
+
+  /**
+   * 記録されたセッションを再生し、最初に状態が食い違ったティックを報告する
+   *
+   * セッション開始時の状態を復元し、同じティック順でメインループを回す。
+   * 訪問者メッセージ・コマンドは記録されたティックの後に、
+   * LLM応答は同じプロンプトの記録から供給する。
+   */
+  async replay(sessionId: string): Promise<ReplayReport> {
+    const loaded = this.journal.loadSession(sessionId);
+    if (!loaded) {
+      throw new Error(`Journal session not found: ${sessionId}`);
+    }
+    const { session, entries } = loaded;
+
+    // 記録開始時点の状態へ戻す
+    await this.registry.initAll(this.buildModuleContext());
+    this.persistence.importAll(session.initialState);
+    // 乱数は --seed の指定より記録時の状態を優先する（でないと最初の乱数から食い違う）
+    const savedRandom = session.initialState.data?.random;
+    if (savedRandom) {
+      this.rng.fromJSON(savedRandom);
+    } else {
+      this.rng.reseed(session.seed);
+    }
+    // 時間の速さ（--fast）も記録時に揃える（身体の減衰はティックの長さで決まる）
+    if (session.metadata.time) {
+      this.time.setSpeed(session.metadata.time);
+      this.homeostasis.setTickDuration(this.time.getTickDurationMs());
+    }
+    await this.attachSemanticIndex();
+
+    // 入力とチェックポイントをティックごとに整理
+    const inputsByTick = new Map<Tick, JournalEntry[]>();
+    const checkpoints = new Map<Tick, JournalCheckpoint>();
+    const llmRecords: LLMCallRecord[] = [];
+    let lastTick = session.endTick ?? session.startTick;
+    for (const entry of entries) {
+      if (entry.kind === 'checkpoint') {
+        checkpoints.set(entry.tick, entry.payload);
+      } else if (entry.kind === 'llm_response') {
+        llmRecords.push(entry.payload);
+      } else if (entry.kind === 'visitor_message' || entry.kind === 'command') {
+        const list = inputsByTick.get(entry.tick) || [];
+        list.push(entry);
+        inputsByTick.set(entry.tick, list);
+      }
+      if (session.endTick === null && entry.tick > lastTick) lastTick = entry.tick;
+    }
+
+    // LLM応答は同じプロンプトの記録を古い順に返す
+    this.llm.setReplaySource((promptHash) => {
+      const idx = llmRecords.findIndex(r => r.promptHash === promptHash);
+      return idx >= 0 ? llmRecords.splice(idx, 1)[0] : null;
+    });
+
+    const report: ReplayReport = {
+      sessionId: session.id,
+      seed: session.seed,
+      startTick: this.time.getState().currentTick,
+      endTick: lastTick,
+      ticksReplayed: 0,
+      checkpointsCompared: 0,
+      inputsApplied: 0,
+      divergence: null,
+    };
+
+    const applyInputs = async (tick: Tick): Promise<void> => {
+      for (const input of inputsByTick.get(tick) || []) {
+        if (input.kind === 'visitor_message') {
+          await this.handleVisitorMessage(input.payload?.message ?? '', input.payload?.visitorId);
+        } else if (input.type !== 'quit' && input.type !== 'exit') {
+          this.handleCommand(input.type, input.payload?.args ?? [], true);
+        }
+        report.inputsApplied++;
+      }
+    };
+
+    this.isRunning = true;
+    this.time.onTick((tick) => this.runTick(tick));
+
+    try {
+      // 最初のティックより前に届いた入力
+      await applyInputs(report.startTick);
+
+      while (this.time.getState().currentTick < lastTick) {
+        await this.time.tick();
+        const tick = this.time.getState().currentTick;
+        report.ticksReplayed++;
+
+        const expected = checkpoints.get(tick);
+        const actual = this.journal.getLastCheckpoint();
+        if (expected && actual) {
+          report.checkpointsCompared++;
+          const mismatches = EventJournal.compareCheckpoints(expected, actual);
+          if (mismatches.length > 0) {
+            report.divergence = { tick, mismatches };
+            break;
+          }
+        }
+
+        await applyInputs(tick);
+      }
+    } finally {
+      this.llm.setReplaySource(null);
+      this.isRunning = false;
+    }
+
+    return report;
+  }
+
   // ============================================================
   // 永続化
   // ============================================================
@@ -3319,12 +4903,22 @@ export class SoulEngine {
   private registerPersistenceModules(): void {
     // --- toJSON/fromJSON を持つモジュール ---
     this.persistence.registerModule('time', this.time);
+    this.persistence.registerModule('lifeCycle', this.lifeCycle);
+    this.persistence.registerModule('random', {
+      toJSON: () => this.rng.toJSON(),
+      fromJSON: (data: any) => {
+        // 明示的にシードが指定された場合はそちらを優先
+        if (data && this.config.seed === undefined) this.rng.fromJSON(data);
+      },
+    });
     this.persistence.registerModule('homeostasis', {
       toJSON: () => this.homeostasis.toJSON(),
       fromJSON: (data: any) => {
         if (data) {
           const restored = Homeostasis.fromJSON(data);
           Object.assign(this.homeostasis, restored);
+          // 保存時の速さではなく今の速さで減衰させる
+          this.homeostasis.setTickDuration(this.time.getTickDurationMs());
         }
       },
     });
@@ -3332,7 +4926,7 @@ export class SoulEngine {
       toJSON: () => this.urgeSystem.toJSON(),
       fromJSON: (data: any) => {
         if (data) {
-          const restored = UrgeSystem.fromJSON(data);
+          const restored = UrgeSystem.fromJSON(data, this.rng);
           Object.assign(this.urgeSystem, restored);
         }
       },
@@ -3349,44 +4943,47 @@ export class SoulEngine {
     this.persistence.registerModule('yuragi', this.yuragi);
     this.persistence.registerModule('world', {
       toJSON: () => this.world.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.world, PixelWorld.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.world, PixelWorld.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('perception', {
       toJSON: () => this.perception.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.perception, Perception.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.perception, Perception.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('behavior', this.behavior);
     this.persistence.registerModule('thoughts', this.thoughts);
     this.persistence.registerModule('episodicMemory', {
       toJSON: () => this.episodicMemory.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.episodicMemory, EpisodicMemorySystem.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.episodicMemory, EpisodicMemorySystem.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('semanticMemory', {
       toJSON: () => this.semanticMemory.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.semanticMemory, SemanticMemorySystem.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.semanticMemory, SemanticMemorySystem.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('proceduralMemory', {
       toJSON: () => this.proceduralMemory.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.proceduralMemory, ProceduralMemorySystem.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.proceduralMemory, ProceduralMemorySystem.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('habitEngine', {
       toJSON: () => this.habitEngine.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.habitEngine, HabitEngine.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.habitEngine, HabitEngine.fromJSON(data, this.rng)); },
     });
     this.persistence.registerModule('diary', {
       toJSON: () => this.diary.toJSON(),
-      fromJSON: (data: any) => { if (data) Object.assign(this.diary, Diary.fromJSON(data)); },
+      fromJSON: (data: any) => { if (data) Object.assign(this.diary, Diary.fromJSON(data, this.rng)); },
     });
-    this.persistence.registerModule('visitor', this.visitor);
+    // 既定の訪問者はこれまでどおりの名前で、それ以外の訪問者は visitorSessions に保存する
+    const defaultSession = this.visitorSessions.getDefault();
+    this.persistence.registerModule('visitor', defaultSession.visitor);
+    this.persistence.registerModule('visitorSessions', this.visitorSessions);
     
     // --- Phase 5 モジュール ---
     this.persistence.registerModule('conversationEngine', {
-      toJSON: () => this.conversationEngine.toJSON(),
-      fromJSON: (data: any) => { if (data) this.conversationEngine.fromJSON(data); },
+      toJSON: () => defaultSession.conversation.toJSON(),
+      fromJSON: (data: any) => { if (data) defaultSession.conversation.fromJSON(data); },
     });
     this.persistence.registerModule('relationshipEvolution', {
-      toJSON: () => this.relationshipEvolution.toJSON(),
-      fromJSON: (data: any) => { if (data) this.relationshipEvolution.fromJSON(data); },
+      toJSON: () => defaultSession.relationship.toJSON(),
+      fromJSON: (data: any) => { if (data) defaultSession.relationship.fromJSON(data); },
     });
     this.persistence.registerModule('conversationMemoryBridge', {
       toJSON: () => this.conversationMemoryBridge.toJSON(),
@@ -3494,6 +5091,14 @@ export class SoulEngine {
       toJSON: () => this.learningState,
       fromJSON: (data: any) => { if (data) Object.assign(this.learningState, data); },
     });
+    
+    // --- レジストリのモジュール（serialize/deserialize を持つもの） ---
+    for (const module of this.registry.getPersistentModules()) {
+      this.persistence.registerModule(`module:${module.name}`, {
+        toJSON: () => module.serialize!(),
+        fromJSON: (data: any) => { if (data) module.deserialize!(data); },
+      });
+    }
   }
 
   // ============================================================
@@ -3527,6 +5132,18 @@ export class SoulEngine {
       }
     });
     
+    // モジュールの一時停止・復帰（サーキットブレーカー）
+    this.events.on('module_suspended', (event) => {
+      if (this.ui && event.data) {
+        this.ui.showSystem(`⚠ ${event.data.module} を一時停止（${event.data.backoffTicks}ティック）: ${event.data.error}`);
+      }
+    });
+    this.events.on('module_recovered', (event) => {
+      if (this.ui && event.data) {
+        this.ui.showSystem(`✓ ${event.data.module} が復帰しました`);
+      }
+    });
+    
     // スキル向上
     this.events.on('skill_improved', (event) => {
       if (this.ui && event.data) {
@@ -3539,7 +5156,7 @@ export class SoulEngine {
       if (event.data?.depth > 0.6) {
         const patterns = this.patternLibrary.getAllPatterns();
         if (patterns.speech.length > 0) {
-          const randomPattern = patterns.speech[Math.floor(Math.random() * patterns.speech.length)];
+          const randomPattern = patterns.speech[Math.floor(this.rng.next() * patterns.speech.length)];
           this.patternLibrary.mutatePattern(randomPattern.id, 'speech');
         }
       }
@@ -3628,6 +5245,7 @@ export class SoulEngine {
     const ts = this.time.getState();
     const es = this.emotionEngine.getState();
     const storageInfo = this.persistence.getStorageInfo();
+    const health = this.registry.getHealthReport();
     
     const modules = [
       { name: 'EmotionEngine', status: 'active', detail: `${es.primary} (${(es.levels[es.primary] * 100).toFixed(0)}%)` },
@@ -3644,6 +5262,10 @@ export class SoulEngine {
       { name: 'CreativeEngine', status: 'active', detail: `${this.creativeEngine.getStats().totalWorks} works` },
       { name: 'InternalNarrative', status: 'active', detail: this.internalNarrative.getCurrentChapter().title.substring(0, 20) },
       { name: 'PersistenceV3', status: 'active', detail: storageInfo.formattedSize },
+      { name: 'TickProfiler', status: 'active', detail: this.profiler.getSummary() },
+      { name: 'ModuleHealth', status: health.suspended > 0 ? 'error' : 'active', detail: `${health.healthy} ok, ${health.degraded} degraded, ${health.suspended} suspended` },
+      // レジストリ: プラグインと、無効化された組み込みモジュール
+      ...this.registry.getStatuses(false),
     ];
 
     const uptimeSeconds = this.tickCounter;
@@ -3681,6 +5303,24 @@ export class SoulEngine {
     }
   }
 
+  // ============================================================
+  // 訪問者API（端末を通さずに話しかける）
+  // ============================================================
+
+  /**
+   * 訪問者として話しかける（visitorId を省略すると既定の訪問者）
+   * 別のIDで呼べば、同時に何人でも部屋に来られる
+   */
+  async sendVisitorMessage(message: string, visitorId: ID = DEFAULT_VISITOR_ID): Promise<void> {
+    if (!isValidVisitorId(visitorId)) throw new Error(`訪問者のIDが不正です: ${visitorId}`);
+    await this.handleVisitorMessage(message, visitorId);
+  }
+
+  /** 訪問者が帰る（visitorId を省略すると既定の訪問者） */
+  sendVisitorDeparture(visitorId: ID = DEFAULT_VISITOR_ID): void {
+    this.handleCommand('bye', [visitorId]);
+  }
+
   // ============================================================
   // 外部アクセス（テスト・デバッグ用）
   // ============================================================
@@ -3694,6 +5334,8 @@ export class SoulEngine {
   getProceduralMemory(): ProceduralMemorySystem { return this.proceduralMemory; }
   getPatternLibrary(): PatternLibrary { return this.patternLibrary; }
   getYuragi(): YuragiSystem { return this.yuragi; }
+  getProfiler(): TickProfiler { return this.profiler; }
+  getLastCatchUp(): CatchUpReport | null { return this.lastCatchUp; }
   getWorld(): PixelWorld { return this.world; }
   getPerception(): Perception { return this.perception; }
   getHabitEngine(): HabitEngine { return this.habitEngine; }
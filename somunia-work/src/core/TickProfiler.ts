@@ -0,0 +1,267 @@
+/**
+ * TickProfiler - somunia v10 ティックプロファイラ
+ *
+ * メインループの各段階（ModuleRegistryのモジュール）の所要時間を常時記録する。
+ * 記憶が増えるにつれてどの段階がティックを重くしているかを追うためのもの。
+ *
+ * - 段階ごと・ティック全体の直近N件の所要時間（リングバッファ）
+ * - ローリングのパーセンタイル（p50 / p95 / p99）
+ * - 閾値を超えた遅いティックの記録と警告（クールダウン付き）
+ *   自動保存のように重いと分かっている段階の時間は、遅いかどうかの判定に数えない
+ *
+ * 計測は performance.now() の差分のみで、集計は参照時に行う。
+ * 非同期の段階（LLM呼び出しなど）は待ち時間も含む実時間になる。
+ */
+
+import { Tick } from '../types';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export interface TickProfilerConfig {
+  /** パーセンタイル計算に使う直近のサンプル数 */
+  windowSize: number;
+  /** これを超えたティックを「遅い」とみなす（ms） */
+  slowTickMs: number;
+  /** 保持する遅いティックの件数 */
+  maxSlowTicks: number;
+  /** 警告を出した後、次の警告まで空けるティック数 */
+  warnCooldownTicks: number;
+  /** 遅いティックの判定に数えない段階（重いのが分かっている定期処理） */
+  exemptStages: string[];
+}
+
+/** 所要時間の統計（ms） */
+export interface DurationStats {
+  name: string;
+  /** 累計の計測回数 */
+  count: number;
+  last: number;
+  mean: number;
+  p50: number;
+  p95: number;
+  p99: number;
+  max: number;
+  /** 累計所要時間 */
+  total: number;
+}
+
+/** 遅いティックの記録 */
+export interface SlowTickRecord {
+  tick: Tick;
+  durationMs: number;
+  /** 時間のかかった段階（降順、上位3件） */
+  topStages: Array<{ name: string; durationMs: number }>;
+  /** 警告を出すべきか（クールダウン中はfalse） */
+  warn: boolean;
+}
+
+export interface ProfileReport {
+  tick: DurationStats;
+  /** 段階ごとの統計（p95の降順） */
+  stages: DurationStats[];
+  slowTicks: SlowTickRecord[];
+  slowTickCount: number;
+  slowTickMs: number;
+}
+
+const DEFAULT_CONFIG: TickProfilerConfig = {
+  windowSize: 300,
+  slowTickMs: 250,
+  maxSlowTicks: 20,
+  warnCooldownTicks: 60,
+  exemptStages: ['autosave'],
+};
+
+// ============================================================
+// サンプル保持
+// ============================================================
+
+class DurationSeries {
+  private samples: number[] = [];
+  private cursor: number = 0;
+  count: number = 0;
+  total: number = 0;
+  max: number = 0;
+  last: number = 0;
+
+  constructor(private windowSize: number) {}
+
+  add(ms: number): void {
+    if (this.samples.length < this.windowSize) {
+      this.samples.push(ms);
+    } else {
+      this.samples[this.cursor] = ms;
+      this.cursor = (this.cursor + 1) % this.windowSize;
+    }
+    this.count++;
+    this.total += ms;
+    this.last = ms;
+    if (ms > this.max) this.max = ms;
+  }
+
+  stats(name: string): DurationStats {
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    return {
+      name,
+      count: this.count,
+      last: this.last,
+      mean: sorted.length > 0 ? sorted.reduce((s, v) => s + v, 0) / sorted.length : 0,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      max: this.max,
+      total: this.total,
+    };
+  }
+}
+
+/** 昇順ソート済み配列のパーセンタイル（nearest-rank） */
+function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil(p * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+// ============================================================
+// TickProfiler
+// ============================================================
+
+export class TickProfiler {
+  private config: TickProfilerConfig;
+  private tickSeries: DurationSeries;
+  private stageSeries: Map<string, DurationSeries> = new Map();
+
+  private currentTick: Tick | null = null;
+  private tickStartedAt: number = 0;
+  private currentStages: Array<{ name: string; durationMs: number }> = [];
+
+  private slowTicks: SlowTickRecord[] = [];
+  private slowTickCount: number = 0;
+  private lastWarnTick: Tick = -Infinity;
+
+  constructor(config: Partial<TickProfilerConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.tickSeries = new DurationSeries(this.config.windowSize);
+  }
+
+  // ============================================================
+  // 計測
+  // ============================================================
+
+  /**
+   * ティックの計測を開始する
+   */
+  beginTick(tick: Tick): void {
+    this.currentTick = tick;
+    this.tickStartedAt = performance.now();
+    this.currentStages = [];
+  }
+
+  /**
+   * 段階の所要時間を記録する
+   */
+  recordStage(name: string, durationMs: number): void {
+    let series = this.stageSeries.get(name);
+    if (!series) {
+      series = new DurationSeries(this.config.windowSize);
+      this.stageSeries.set(name, series);
+    }
+    series.add(durationMs);
+    if (this.currentTick !== null) {
+      this.currentStages.push({ name, durationMs });
+    }
+  }
+
+  /**
+   * 関数を実行し、その所要時間を段階として記録する
+   */
+  async measure<T>(name: string, fn: () => T | Promise<T>): Promise<T> {
+    const startedAt = performance.now();
+    try {
+      return await fn();
+    } finally {
+      this.recordStage(name, performance.now() - startedAt);
+    }
+  }
+
+  /**
+   * ティックの計測を終える
+   * 遅いティックだった場合はその記録を返す
+   */
+  endTick(durationMs?: number): SlowTickRecord | null {
+    if (this.currentTick === null) return null;
+    const tick = this.currentTick;
+    const elapsed = durationMs ?? performance.now() - this.tickStartedAt;
+    this.currentTick = null;
+    this.tickSeries.add(elapsed);
+
+    const exempt = this.currentStages
+      .filter(s => this.config.exemptStages.includes(s.name))
+      .reduce((sum, s) => sum + s.durationMs, 0);
+    if (elapsed - exempt <= this.config.slowTickMs) return null;
+
+    const warn = tick - this.lastWarnTick >= this.config.warnCooldownTicks;
+    if (warn) this.lastWarnTick = tick;
+
+    const record: SlowTickRecord = {
+      tick,
+      durationMs: elapsed,
+      topStages: [...this.currentStages]
+        .sort((a, b) => b.durationMs - a.durationMs)
+        .slice(0, 3),
+      warn,
+    };
+    this.slowTicks.push(record);
+    if (this.slowTicks.length > this.config.maxSlowTicks) {
+      this.slowTicks.shift();
+    }
+    this.slowTickCount++;
+    return record;
+  }
+
+  // ============================================================
+  // 参照
+  // ============================================================
+
+  getReport(): ProfileReport {
+    const stages = [...this.stageSeries.entries()]
+      .map(([name, series]) => series.stats(name))
+      .sort((a, b) => b.p95 - a.p95);
+
+    return {
+      tick: this.tickSeries.stats('tick'),
+      stages,
+      slowTicks: [...this.slowTicks],
+      slowTickCount: this.slowTickCount,
+      slowTickMs: this.config.slowTickMs,
+    };
+  }
+
+  getStageStats(name: string): DurationStats | null {
+    const series = this.stageSeries.get(name);
+    return series ? series.stats(name) : null;
+  }
+
+  /**
+   * ダッシュボード用の一行サマリー
+   */
+  getSummary(): string {
+    const report = this.getReport();
+    if (report.tick.count === 0) return 'no samples';
+    const slowest = report.stages[0];
+    const slowestText = slowest ? `, top: ${slowest.name} ${slowest.p95.toFixed(1)}ms` : '';
+    return `p95 ${report.tick.p95.toFixed(1)}ms, slow ${report.slowTickCount}${slowestText}`;
+  }
+
+  reset(): void {
+    this.tickSeries = new DurationSeries(this.config.windowSize);
+    this.stageSeries.clear();
+    this.slowTicks = [];
+    this.slowTickCount = 0;
+    this.lastWarnTick = -Infinity;
+    this.currentTick = null;
+    this.currentStages = [];
+  }
+}
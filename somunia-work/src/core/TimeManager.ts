@@ -7,6 +7,15 @@
  * 
  * 時間の流れは世界の雰囲気、somuniaの活動リズム、
  * 照明、天気の変化すべてに影響する。
+ *
+ * 時計モード:
+ * - simulated: startHour から始まり、ティック数で時刻が進む（デフォルト）
+ * - wallclock: 時刻・日付・時間帯はホストの時計（指定タイムゾーン）に従う。
+ *   ティックはシミュレーションを駆動するだけで、夜は現実の夜になる。
+ *   追いつきや高速シミュレーションの間は、ティックごとに進む仮の時計を読む。
+ *
+ * 暦（Calendar）: 日付・季節・行事を state.calendar に持ち、
+ * 天気の遷移（冬は雪、梅雨は雨）と昼の長さ（照明）に反映する。
  */
 
 import {
@@ -20,8 +29,12 @@ import {
   LightingState,
   LightSource,
   Position,
+  Season,
+  CalendarDate,
 } from '../types';
 import { EventBus, eventBus } from './EventBus';
+import { SeededRandom } from './SeededRandom';
+import { Calendar, CalendarConfig } from './Calendar';
 
 // ============================================================
 // 時間設定
@@ -40,16 +53,29 @@ export interface TimeConfig {
   lifespanTicks?: number;
   /** 時間倍率（1=リアルタイム, 60=1分が1秒） */
   timeScale: number;
+  /** 時計モード */
+  clockMode: ClockMode;
+  /** wallclockモードのタイムゾーン（IANA名、例: 'Asia/Tokyo'。省略時はホストのタイムゾーン） */
+  timezone?: string;
+  /** 現在時刻（ms）の取得元（テスト用に差し替え可能） */
+  now?: () => number;
+  /** 暦の設定（開始日・行事） */
+  calendar?: Partial<CalendarConfig>;
 }
 
+export type ClockMode = 'simulated' | 'wallclock';
+
 const DEFAULT_TIME_CONFIG: TimeConfig = {
   tickInterval: 1000,
   ticksPerDay: 1440,
   startHour: 8,
   enableLifespan: false,
   timeScale: 1,
+  clockMode: 'simulated',
 };
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 // ============================================================
 // 天気エンジン
 // ============================================================
@@ -72,6 +98,24 @@ const WEATHER_PATTERNS: Record<Weather, WeatherPattern> = {
   storm:      { type: 'storm',      duration: 40,  transitionTime: 10, probability: 0.02, nextWeather: ['heavy_rain', 'rain'] },
 };
 
+/**
+ * 季節ごとの天気の傾向
+ * - bias: 遷移候補への重みの倍率（0で出ない）
+ * - extra: その季節だけ現れる遷移（現在の天気 → 追加候補）
+ */
+const SEASONAL_WEATHER: Record<Season, {
+  bias: Partial<Record<Weather, number>>;
+  extra: Partial<Record<Weather, Weather[]>>;
+}> = {
+  spring: { bias: { fog: 1.5, snow: 0 }, extra: { cloudy: ['fog'] } },
+  summer: { bias: { clear: 1.3, storm: 2, fog: 0.5, snow: 0 }, extra: { clear: ['rain'] } },  // 夕立
+  autumn: { bias: { fog: 1.5, storm: 1.5, snow: 0 }, extra: { cloudy: ['fog'] } },          // 台風
+  winter: { bias: { snow: 3, storm: 0.5 }, extra: { cloudy: ['snow'], fog: ['snow'], rain: ['snow'] } },
+};
+
+/** 梅雨の時期の上書き */
+const RAINY_SEASON_BIAS: Partial<Record<Weather, number>> = { rain: 3, heavy_rain: 2, clear: 0.4 };
+
 // ============================================================
 // TimeManager
 // ============================================================
@@ -88,9 +132,25 @@ export class TimeManager {
   private tickCallbacks: Array<(tick: Tick) => void | Promise<void>> = [];
   private events: EventBus;
 
-  constructor(config: Partial<TimeConfig> = {}, events?: EventBus) {
+  private rng: SeededRandom;
+
+  /** wallclockモード: タイムゾーンでの日付への変換 */
+  private clockFormat: Intl.DateTimeFormat | null = null;
+  /** wallclockモード: 1日目にあたる日（1970-01-01からの日数、ローカル日付） */
+  private wallClockStartDay: number | null = null;
+  /** wallclockモード: 高速に回している間の仮の時計（nullなら本物の時計を読む） */
+  private simulatedClock: { now: number; msPerTick: number } | null = null;
+  private calendar: Calendar;
+
+  constructor(config: Partial<TimeConfig> = {}, events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_TIME_CONFIG, ...config };
-    this.events = events || eventBus;
+    this.events = events;
+
+    this.calendar = new Calendar(this.config.calendar);
+    if (this.config.clockMode === 'wallclock') {
+      this.clockFormat = this.createClockFormat(this.config.timezone);
+    }
 
     // 初期状態
     this.state = {
@@ -112,6 +172,12 @@ export class TimeManager {
 
     // 天気の初期タイマー
     this.weatherTimer = WEATHER_PATTERNS[this.weather].duration;
+
+    // wallclockモードは最初から現実の時刻に合わせる
+    if (this.clockFormat) {
+      this.syncToClock();
+    }
+    this.refreshCalendar();
   }
 
   /**
@@ -143,20 +209,28 @@ export class TimeManager {
   async tick(): Promise<void> {
     this.state.currentTick++;
 
-    // 時間更新
-    const ticksPerHour = this.config.ticksPerDay / 24;
-    this.state.simulatedHour =
-      (this.config.startHour + this.state.currentTick / ticksPerHour) % 24;
-
-    // 日の切り替え
+    // 時間更新・日の切り替え
     const previousDay = this.state.simulatedDay;
-    this.state.simulatedDay = Math.floor(this.state.currentTick / this.config.ticksPerDay) + 1;
+    if (this.clockFormat) {
+      if (this.simulatedClock) this.simulatedClock.now += this.simulatedClock.msPerTick;
+      const clock = this.readClock();
+      this.state.simulatedHour = clock.hour;
+      this.state.simulatedDay = clock.day;
+    } else {
+      const ticksPerHour = this.config.ticksPerDay / 24;
+      this.state.simulatedHour =
+        (this.config.startHour + this.state.currentTick / ticksPerHour) % 24;
+      this.state.simulatedDay = Math.floor(this.state.currentTick / this.config.ticksPerDay) + 1;
+    }
 
+    if (this.state.simulatedDay !== previousDay) {
+      this.refreshCalendar();
+    }
     if (this.state.simulatedDay > previousDay) {
       await this.events.emit({
         type: 'day_started',
         timestamp: this.state.currentTick,
-        data: { day: this.state.simulatedDay },
+        data: { day: this.state.simulatedDay, date: this.state.calendar },
       });
     }
 
@@ -218,11 +292,10 @@ export class TimeManager {
       const pattern = WEATHER_PATTERNS[this.weather];
       this.previousWeather = this.weather;
 
-      // 次の天気をランダムに選択
-      const nextOptions = pattern.nextWeather;
-      this.weather = nextOptions[Math.floor(Math.random() * nextOptions.length)];
+      // 次の天気を季節の傾向に沿って選択
+      this.weather = this.pickNextWeather(pattern);
       this.weatherTimer = WEATHER_PATTERNS[this.weather].duration +
-        Math.floor(Math.random() * 60 - 30); // ±30ティックの揺らぎ
+        Math.floor(this.rng.next() * 60 - 30); // ±30ティックの揺らぎ
       this.weatherTransition = pattern.transitionTime;
     }
 
@@ -231,6 +304,144 @@ export class TimeManager {
     }
   }
 
+  // ============================================================
+  // 実時計（wallclockモード）
+  // ============================================================
+
+  /**
+   * タイムゾーン付きの日付フォーマッタを作る
+   * 不正なタイムゾーンはホストのタイムゾーンにフォールバックする
+   */
+  private createClockFormat(timezone?: string): Intl.DateTimeFormat {
+    const options: Intl.DateTimeFormatOptions = {
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      hourCycle: 'h23',
+    };
+    try {
+      return new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone });
+    } catch (error) {
+      console.warn(`[TimeManager] 不明なタイムゾーン "${timezone}"。ホストのタイムゾーンを使います。`);
+      return new Intl.DateTimeFormat('en-US', options);
+    }
+  }
+
+  /**
+   * タイムゾーンでの現在時刻（時）とローカル日付（1970-01-01からの日数）
+   */
+  private readLocalClock(): { hour: number; localDay: number } {
+    const now = this.simulatedClock ? this.simulatedClock.now : this.currentTimeMs();
+    const parts: Record<string, number> = {};
+    for (const part of this.clockFormat!.formatToParts(new Date(now))) {
+      if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return {
+      hour: parts.hour + parts.minute / 60 + parts.second / 3600,
+      localDay: Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / MS_PER_DAY),
+    };
+  }
+
+  /**
+   * 実時計の現在時刻（時）と日（1日目からの通し番号）
+   */
+  private readClock(): { hour: number; day: number } {
+    const { hour, localDay } = this.readLocalClock();
+    if (this.wallClockStartDay === null) {
+      this.wallClockStartDay = localDay;
+    }
+    return { hour, day: Math.max(1, localDay - this.wallClockStartDay + 1) };
+  }
+
+  /**
+   * 状態を実時計に合わせる（イベントは発火しない）
+   */
+  private syncToClock(): void {
+    const clock = this.readClock();
+    this.state.simulatedHour = clock.hour;
+    this.state.simulatedDay = clock.day;
+    this.state.hour = clock.hour;
+    this.state.dayNumber = clock.day;
+    this.state.timeOfDay = this.hourToTimeOfDay(clock.hour);
+  }
+
+  private currentTimeMs(): number {
+    return this.config.now ? this.config.now() : Date.now();
+  }
+
+  /**
+   * 本物の時計の代わりに、1ティックごとに msPerTick だけ進む時計を読む
+   * （追いつき・高速シミュレーション用。simulatedモードでは何もしない）
+   */
+  useSimulatedClock(msPerTick: number, startMs: number = this.currentTimeMs()): void {
+    if (!this.clockFormat) return;
+    this.simulatedClock = { now: startMs, msPerTick };
+    this.syncToClock();
+    this.refreshCalendar();
+  }
+
+  /**
+   * 本物の時計に戻す（次のティックから現実の時刻を読む）
+   */
+  useRealClock(): void {
+    this.simulatedClock = null;
+  }
+
+  getClockMode(): ClockMode {
+    return this.config.clockMode;
+  }
+
+  /**
+   * 使用中のタイムゾーン（simulatedモードではnull）
+   */
+  getTimezone(): string | null {
+    return this.clockFormat ? this.clockFormat.resolvedOptions().timeZone : null;
+  }
+
+  /**
+   * 季節（と梅雨）で重み付けした次の天気
+   */
+  private pickNextWeather(pattern: WeatherPattern): Weather {
+    const date = this.getCalendarDate();
+    const seasonal = SEASONAL_WEATHER[date.season];
+    const bias = date.isRainySeason ? { ...seasonal.bias, ...RAINY_SEASON_BIAS } : seasonal.bias;
+    const candidates = [...new Set([...pattern.nextWeather, ...(seasonal.extra[this.weather] || [])])];
+    const weights = candidates.map(w => bias[w] ?? 1);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    const r = this.rng.next();
+    if (total <= 0) {
+      return pattern.nextWeather[Math.floor(r * pattern.nextWeather.length)];
+    }
+    let threshold = r * total;
+    for (let i = 0; i < candidates.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  // ============================================================
+  // 暦
+  // ============================================================
+
+  /**
+   * 現在の日に合わせて暦を更新する
+   */
+  private refreshCalendar(): void {
+    this.state.calendar = this.clockFormat && this.wallClockStartDay !== null
+      ? this.calendar.fromEpochDay(this.wallClockStartDay + this.state.simulatedDay - 1)
+      : this.calendar.dateForDay(this.state.simulatedDay);
+  }
+
+  getCalendarDate(): CalendarDate {
+    if (!this.state.calendar) this.refreshCalendar();
+    return this.state.calendar!;
+  }
+
+  getSeason(): Season {
+    return this.getCalendarDate().season;
+  }
+
   /**
    * 時刻から時間帯を取得
    */
@@ -249,11 +460,12 @@ export class TimeManager {
    */
   getLightingState(): LightingState {
     const hour = this.state.simulatedHour;
+    const { sunrise, sunset } = this.getCalendarDate();
 
-    // 自然光の計算
+    // 自然光の計算（日の出から日の入りまで。昼の長さは季節で変わる）
     let naturalLight: Normalized;
-    if (hour >= 6 && hour <= 18) {
-      naturalLight = Math.sin(((hour - 6) / 12) * Math.PI);
+    if (hour >= sunrise && hour <= sunset) {
+      naturalLight = Math.sin(((hour - sunrise) / (sunset - sunrise)) * Math.PI);
     } else {
       naturalLight = 0;
     }
@@ -272,11 +484,11 @@ export class TimeManager {
 
     // 色温度（朝夕は暖色、昼は寒色）
     let colorTemperature: number;
-    if (hour >= 6 && hour < 8) {
+    if (hour >= sunrise && hour < sunrise + 2) {
       colorTemperature = 2700; // 暖かい朝焼け
-    } else if (hour >= 8 && hour < 16) {
+    } else if (hour >= sunrise + 2 && hour < sunset - 2) {
       colorTemperature = 5500; // 昼光
-    } else if (hour >= 16 && hour < 20) {
+    } else if (hour >= sunset - 2 && hour < sunset + 2) {
       colorTemperature = 3000; // 夕暮れ
     } else {
       colorTemperature = 2200; // 夜間
@@ -361,6 +573,39 @@ export class TimeManager {
     return this.state.currentTick;
   }
 
+  /**
+   * 1日あたりのティック数を取得
+   */
+  getTicksPerDay(): number {
+    return this.config.ticksPerDay;
+  }
+
+  /**
+   * 1ティックに相当する実時間（ms、時間倍率を考慮）
+   */
+  getTickDurationMs(): number {
+    return this.config.tickInterval / this.config.timeScale;
+  }
+
+  /**
+   * ティック間隔と時間倍率（ジャーナルに残してリプレイで揃える）
+   */
+  getSpeed(): { tickInterval: number; timeScale: number } {
+    return { tickInterval: this.config.tickInterval, timeScale: this.config.timeScale };
+  }
+
+  /**
+   * ティック間隔と時間倍率を変える（動いていれば新しい間隔で刻み直す）
+   */
+  setSpeed(speed: { tickInterval: number; timeScale: number }): void {
+    this.config.tickInterval = speed.tickInterval;
+    this.config.timeScale = speed.timeScale;
+    if (this.running) {
+      this.stop();
+      this.start();
+    }
+  }
+
   /**
    * 睡眠すべき時間帯かどうか
    */
@@ -377,6 +622,7 @@ export class TimeManager {
     if (weather) {
       this.weather = weather;
     }
+    this.refreshCalendar();
   }
 
   /**
@@ -388,6 +634,7 @@ export class TimeManager {
       weather: this.weather,
       weatherTimer: this.weatherTimer,
       config: this.config,
+      wallClockStartDay: this.wallClockStartDay,
     };
   }
 
@@ -398,5 +645,16 @@ export class TimeManager {
     if (data.state) this.state = data.state;
     if (data.weather) this.weather = data.weather;
     if (data.weatherTimer) this.weatherTimer = data.weatherTimer;
+
+    if (this.clockFormat) {
+      // 1日目は最初に起動した日のまま。保存時に記録がなければ、保存されていた日数から逆算する
+      if (typeof data.wallClockStartDay === 'number') {
+        this.wallClockStartDay = data.wallClockStartDay;
+      } else if (data.state?.simulatedDay) {
+        this.wallClockStartDay = this.readLocalClock().localDay - data.state.simulatedDay + 1;
+      }
+      this.syncToClock();
+    }
+    this.refreshCalendar();
   }
 }
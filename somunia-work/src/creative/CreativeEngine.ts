@@ -25,8 +25,11 @@ import {
   ID,
   TimeOfDay,
   ActionType,
+  CalendarDate,
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
+import { SeededRandom } from '../core/SeededRandom';
+import { mentionsStatement } from '../memory/Forgetting';
 
 // ============================================================
 // 創作テンプレート
@@ -170,6 +173,20 @@ const HAIKU_ELEMENTS = {
   winter: { kigo: ['雪', '氷', '北風', '枯木', '冬星'], images: ['静寂', '白い息', '灯'] },
 };
 
+/** 行事の季語（その日は季節の季語より優先） */
+const HAIKU_HOLIDAY_KIGO: Record<string, string[]> = {
+  new_year: ['初日', '初夢', '初空'],
+  setsubun: ['豆撒き', '鬼やらい'],
+  hinamatsuri: ['雛', '桃の花'],
+  tanabata: ['天の川', '短冊', '星合'],
+  obon: ['盆提灯', '迎え火'],
+  tsukimi: ['名月', '月見団子'],
+  omisoka: ['除夜の鐘', '年の暮'],
+};
+
+/** 梅雨の季語 */
+const HAIKU_RAINY_SEASON_KIGO = ['五月雨', '紫陽花', '梅雨晴れ'];
+
 /** スケッチのモチーフ（8bitテキスト表現） */
 const SKETCH_MOTIFS: Record<string, string[]> = {
   nature: [
@@ -243,7 +260,10 @@ export class CreativeEngine {
   // --- インスピレーションバッファ ---
   private inspirationBuffer: CreativeInspiration[] = [];
   
-  constructor(config: Partial<CreativeEngineConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<CreativeEngineConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     
     // 統計の初期化
@@ -313,8 +333,8 @@ export class CreativeEngine {
     // --- 夢からのインスピレーション ---
     if (recentDreams.length > 0) {
       const dreamUrge: CreativeUrge = {
-        type: Math.random() > 0.5 ? 'poem' : 'short_story',
-        intensity: 0.5 + Math.random() * 0.3,
+        type: this.rng.next() > 0.5 ? 'poem' : 'short_story',
+        intensity: 0.5 + this.rng.next() * 0.3,
         theme: `夢の断片: ${recentDreams[0].substring(0, 30)}`,
         inspiration: {
           source: 'dream',
@@ -328,11 +348,11 @@ export class CreativeEngine {
     }
     
     // --- 会話からのインスピレーション ---
-    if (recentConversationTopics.length > 0 && Math.random() < 0.3) {
-      const topic = recentConversationTopics[Math.floor(Math.random() * recentConversationTopics.length)];
+    if (recentConversationTopics.length > 0 && this.rng.next() < 0.3) {
+      const topic = recentConversationTopics[Math.floor(this.rng.next() * recentConversationTopics.length)];
       const convUrge: CreativeUrge = {
         type: 'diary_poem',
-        intensity: 0.4 + Math.random() * 0.2,
+        intensity: 0.4 + this.rng.next() * 0.2,
         theme: `会話から: ${topic}`,
         inspiration: {
           source: 'conversation',
@@ -393,7 +413,8 @@ export class CreativeEngine {
     workId: ID,
     currentEmotion: EmotionType,
     recentThoughts: string[],
-    tick: Tick
+    tick: Tick,
+    calendar?: CalendarDate
   ): CreationProgress | null {
     const work = this.worksInProgress.find(w => w.id === workId);
     if (!work) return null;
@@ -406,7 +427,7 @@ export class CreativeEngine {
     work.lastEditedAt = tick;
     
     // 内容の生成
-    const newContent = this.generateContent(work, currentEmotion, recentThoughts);
+    const newContent = this.generateContent(work, currentEmotion, recentThoughts, calendar);
     if (newContent) {
       work.content = newContent;
     }
@@ -481,6 +502,15 @@ export class CreativeEngine {
     }
   }
   
+  /**
+   * 会話から受けたインスピレーションのうち、発言 content から来たものを捨てる
+   */
+  forgetInspiration(content: string): void {
+    this.inspirationBuffer = this.inspirationBuffer.filter(
+      i => i.source !== 'conversation' || !mentionsStatement(i.detail, content)
+    );
+  }
+  
   /**
    * 訪問者に作品を見せる
    */
@@ -513,11 +543,12 @@ export class CreativeEngine {
   private generateContent(
     work: CreativeWork,
     currentEmotion: EmotionType,
-    recentThoughts: string[]
+    recentThoughts: string[],
+    calendar?: CalendarDate
   ): string | null {
     switch (work.type) {
       case 'poem': return this.generatePoem(work, currentEmotion, recentThoughts);
-      case 'haiku': return this.generateHaiku(work, currentEmotion);
+      case 'haiku': return this.generateHaiku(work, currentEmotion, calendar);
       case 'song_lyrics': return this.generateSongLyrics(work, currentEmotion, recentThoughts);
       case 'sketch': return this.generateSketch(work, currentEmotion);
       case 'melody_idea': return this.generateMelodyIdea(work, currentEmotion);
@@ -535,14 +566,14 @@ export class CreativeEngine {
     // マッチするテンプレートを探す
     const templates = POEM_TEMPLATES.filter(t => t.emotion === emotion);
     const template = templates.length > 0 
-      ? templates[Math.floor(Math.random() * templates.length)]
-      : POEM_TEMPLATES[Math.floor(Math.random() * POEM_TEMPLATES.length)];
+      ? templates[Math.floor(this.rng.next() * templates.length)]
+      : POEM_TEMPLATES[Math.floor(this.rng.next() * POEM_TEMPLATES.length)];
     
     // 構造を選択
-    const structure = template.structures[Math.floor(Math.random() * template.structures.length)];
+    const structure = template.structures[Math.floor(this.rng.next() * template.structures.length)];
     
     // 語彙からランダムに選択
-    const pickWord = (arr: string[]) => arr[Math.floor(Math.random() * arr.length)];
+    const pickWord = (arr: string[]) => arr[Math.floor(this.rng.next() * arr.length)];
     
     // テンプレートの穴埋め
     let poem = structure
@@ -558,7 +589,7 @@ export class CreativeEngine {
       .replace(/{時間帯}/g, pickWord(['午後', '夜明け', '黄昏', '真夜中']));
     
     // 思考からのフレーズを織り込む
-    if (thoughts.length > 0 && Math.random() < 0.3) {
+    if (thoughts.length > 0 && this.rng.next() < 0.3) {
       const thoughtFragment = thoughts[0].substring(0, 15);
       poem += `\n\n...${thoughtFragment}`;
     }
@@ -569,14 +600,17 @@ export class CreativeEngine {
   /**
    * 俳句の生成
    */
-  private generateHaiku(work: CreativeWork, emotion: EmotionType): string {
-    // 季節の推定（簡易）
+  private generateHaiku(work: CreativeWork, emotion: EmotionType, calendar?: CalendarDate): string {
+    // 季節（暦がなければ推定）
     const seasons = ['spring', 'summer', 'autumn', 'winter'] as const;
-    const season = seasons[Math.floor(Math.random() * seasons.length)];
+    const season = calendar?.season ?? seasons[Math.floor(this.rng.next() * seasons.length)];
     const elements = HAIKU_ELEMENTS[season];
     
-    const kigo = elements.kigo[Math.floor(Math.random() * elements.kigo.length)];
-    const image = elements.images[Math.floor(Math.random() * elements.images.length)];
+    // 行事の日や梅雨にはその季語を使う
+    const kigoChoices = (calendar?.holiday && HAIKU_HOLIDAY_KIGO[calendar.holiday.id])
+      || (calendar?.isRainySeason ? HAIKU_RAINY_SEASON_KIGO : elements.kigo);
+    const kigo = kigoChoices[Math.floor(this.rng.next() * kigoChoices.length)];
+    const image = elements.images[Math.floor(this.rng.next() * elements.images.length)];
     
     // 感情に応じた下五
     const emotionEndings: Record<string, string[]> = {
@@ -590,7 +624,7 @@ export class CreativeEngine {
     };
     
     const endings = emotionEndings[emotion] || emotionEndings.peace;
-    const ending = endings[Math.floor(Math.random() * endings.length)];
+    const ending = endings[Math.floor(this.rng.next() * endings.length)];
     
     // 5-7-5 の構成
     const haiku = `${kigo}　${image}の\n${ending}`;
@@ -604,11 +638,11 @@ export class CreativeEngine {
   private generateSongLyrics(work: CreativeWork, emotion: EmotionType, thoughts: string[]): string {
     const templates = LYRIC_TEMPLATES.filter(t => t.emotion === emotion);
     const template = templates.length > 0 
-      ? templates[Math.floor(Math.random() * templates.length)]
-      : LYRIC_TEMPLATES[Math.floor(Math.random() * LYRIC_TEMPLATES.length)];
+      ? templates[Math.floor(this.rng.next() * templates.length)]
+      : LYRIC_TEMPLATES[Math.floor(this.rng.next() * LYRIC_TEMPLATES.length)];
     
     const poemTemplate = POEM_TEMPLATES.find(t => t.emotion === emotion) || POEM_TEMPLATES[0];
-    const pickWord = (arr: string[]) => arr[Math.floor(Math.random() * arr.length)];
+    const pickWord = (arr: string[]) => arr[Math.floor(this.rng.next() * arr.length)];
     
     const lines: string[] = [];
     
@@ -642,7 +676,7 @@ export class CreativeEngine {
     
     const category = emotionToCategory[emotion] || 'abstract';
     const motifs = SKETCH_MOTIFS[category] || SKETCH_MOTIFS.abstract;
-    const motif = motifs[Math.floor(Math.random() * motifs.length)];
+    const motif = motifs[Math.floor(this.rng.next() * motifs.length)];
     
     return `${work.title}\n\n${motif}\n\n— ${emotion === 'melancholy' ? '寂しさの形' : emotion === 'joy' ? '嬉しさの形' : '気持ちの形'}`;
   }
@@ -671,7 +705,7 @@ export class CreativeEngine {
    */
   private generateShortStory(work: CreativeWork, emotion: EmotionType, thoughts: string[]): string {
     const settings = ['ある夜のこと', 'まだ暗い朝に', '窓の外が白く染まった日', '夕暮れの部屋で'];
-    const setting = settings[Math.floor(Math.random() * settings.length)];
+    const setting = settings[Math.floor(this.rng.next() * settings.length)];
     
     const story = `${setting}、ワタシは${thoughts.length > 0 ? thoughts[0].substring(0, 15) : 'ふと'}を思い出した。\n\n` +
       `それは形のないもの。触れることも、名前をつけることもできない何か。\n` +
@@ -689,7 +723,7 @@ export class CreativeEngine {
     
     const poem = `今日のワタシは${thought.substring(0, 20)}\n` +
       `${emotion === 'joy' ? '少しだけ笑った' : emotion === 'melancholy' ? 'ちょっと泣きそうになった' : '静かに過ごした'}\n` +
-      `${Math.random() > 0.5 ? '明日はどんな1日になるんだろう' : 'こういう日もあるんだね'}`;
+      `${this.rng.next() > 0.5 ? '明日はどんな1日になるんだろう' : 'こういう日もあるんだね'}`;
     
     return `${work.title}\n\n${poem}`;
   }
@@ -758,7 +792,7 @@ export class CreativeEngine {
     if (timeOfDay === 'dawn' || timeOfDay === 'evening') urgeIntensity += 0.15;
     
     // ランダム性
-    urgeIntensity += Math.random() * 0.2;
+    urgeIntensity += this.rng.next() * 0.2;
     
     if (urgeIntensity < this.config.urgeThreshold) return null;
     
@@ -773,7 +807,7 @@ export class CreativeEngine {
   
   private calculateSketchUrge(emotion: EmotionType, intensity: Normalized, tick: Tick): CreativeUrge | null {
     let urgeIntensity = 0.1 + intensity * 0.2;
-    if (Math.random() < 0.1) urgeIntensity += 0.3; // たまに突然描きたくなる
+    if (this.rng.next() < 0.1) urgeIntensity += 0.3; // たまに突然描きたくなる
     
     if (urgeIntensity < this.config.urgeThreshold) return null;
     
@@ -818,12 +852,12 @@ export class CreativeEngine {
     };
     
     const options = prefixes[urge.type] || ['無題'];
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
   
   private calculateSatisfaction(work: CreativeWork): Normalized {
     // 基本的な満足度
-    let satisfaction = 0.3 + Math.random() * 0.3;
+    let satisfaction = 0.3 + this.rng.next() * 0.3;
     
     // 内容の長さによるボーナス
     if (work.content.length > 100) satisfaction += 0.1;
@@ -847,7 +881,7 @@ export class CreativeEngine {
     };
     
     const options = thoughts[work.type] || ['...集中してる...'];
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
   
   private generateCompletionThought(work: CreativeWork): string {
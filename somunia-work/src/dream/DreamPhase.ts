@@ -6,6 +6,7 @@
  */
 
 import { Yuragi } from '../brain/Yuragi';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -319,7 +320,10 @@ export class DreamPhase {
   /** 最近処理した記憶のキー */
   private recentlyProcessedMemories: Set<string>;
 
-  constructor(config: Partial<DreamPhaseConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<DreamPhaseConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = {
       cycleLength: 90 * 60 * 1000, // 90分
       remRatio: 0.25,              // 25%がREM
@@ -332,7 +336,7 @@ export class DreamPhase {
       ...config,
     };
 
-    this.yuragi = new Yuragi();
+    this.yuragi = new Yuragi(this.rng);
     this.pastSessions = [];
     this.dreamMaterials = [];
     this.recentlyProcessedMemories = new Set();
@@ -520,7 +524,7 @@ export class DreamPhase {
     const dreamProbability = this.config.baseDreamProbability * 
       (1 - stressLevel * 0.3);
     
-    if (Math.random() > dreamProbability) {
+    if (this.rng.next() > dreamProbability) {
       return null;
     }
 
@@ -555,9 +559,9 @@ export class DreamPhase {
       dominantColors,
       sounds,
       perceivedDuration: this.determinePerceivedDuration(narrative.length),
-      vividness: 0.3 + Math.random() * 0.5 + this.yuragi.getValue() * 0.2,
+      vividness: 0.3 + this.rng.next() * 0.5 + this.yuragi.getValue() * 0.2,
       memorability: this.calculateMemorability(dreamType, emotionalTone, elements),
-      realDuration: Math.floor(5 * 60 * 1000 + Math.random() * 25 * 60 * 1000), // 5-30分
+      realDuration: Math.floor(5 * 60 * 1000 + this.rng.next() * 25 * 60 * 1000), // 5-30分
       occurredAt: Date.now(),
     };
 
@@ -569,7 +573,7 @@ export class DreamPhase {
     }
 
     // 覚えているかどうか
-    if (Math.random() < this.config.dreamRecallProbability * dream.memorability) {
+    if (this.rng.next() < this.config.dreamRecallProbability * dream.memorability) {
       dream.title = this.generateDreamTitle(dream);
       dream.interpretation = this.interpretDream(dream);
       this.currentSession.rememberedDreams.push(dream);
@@ -582,7 +586,7 @@ export class DreamPhase {
    * 夢の種類を決定
    */
   private determineDreamType(stressLevel: number): DreamType {
-    const random = Math.random();
+    const random = this.rng.next();
 
     // ストレスが高いと悪夢の確率上昇
     const nightmareProb = this.config.nightmareProbability + stressLevel * 0.15;
@@ -621,62 +625,62 @@ export class DreamPhase {
     let sceneContent: string;
     
     // 素材に場所関連があればそれを夢に混ぜ込む
-    if (materialInfluence.places.length > 0 && Math.random() < 0.6) {
-      const place = materialInfluence.places[Math.floor(Math.random() * materialInfluence.places.length)];
-      const baseScene = scenes[Math.floor(Math.random() * scenes.length)];
+    if (materialInfluence.places.length > 0 && this.rng.next() < 0.6) {
+      const place = materialInfluence.places[Math.floor(this.rng.next() * materialInfluence.places.length)];
+      const baseScene = scenes[Math.floor(this.rng.next() * scenes.length)];
       sceneContent = this.blendSceneWithMaterial(baseScene, place);
     } else {
-      sceneContent = scenes[Math.floor(Math.random() * scenes.length)];
+      sceneContent = scenes[Math.floor(this.rng.next() * scenes.length)];
     }
     
     const scene: DreamElement = {
       type: 'scene',
       content: sceneContent,
-      intensity: 0.5 + Math.random() * 0.5,
+      intensity: 0.5 + this.rng.next() * 0.5,
       relatedMemoryKeys: memoryKeys?.slice(0, 2),
     };
     elements.push(scene);
 
     // キャラクターを追加（素材に人物関連があれば優先）
-    if (Math.random() < 0.7) {
+    if (this.rng.next() < 0.7) {
       let charContent: string;
-      if (materialInfluence.people.length > 0 && Math.random() < 0.5) {
-        charContent = materialInfluence.people[Math.floor(Math.random() * materialInfluence.people.length)];
+      if (materialInfluence.people.length > 0 && this.rng.next() < 0.5) {
+        charContent = materialInfluence.people[Math.floor(this.rng.next() * materialInfluence.people.length)];
       } else {
-        const charCategory = Math.random() < 0.4 ? 'self' : 
-          (Math.random() < 0.5 ? 'others' : 'symbolic');
+        const charCategory = this.rng.next() < 0.4 ? 'self' : 
+          (this.rng.next() < 0.5 ? 'others' : 'symbolic');
         const characters = DREAM_CHARACTERS[charCategory];
-        charContent = characters[Math.floor(Math.random() * characters.length)];
+        charContent = characters[Math.floor(this.rng.next() * characters.length)];
       }
       const character: DreamElement = {
         type: 'character',
         content: charContent,
-        intensity: 0.4 + Math.random() * 0.4,
+        intensity: 0.4 + this.rng.next() * 0.4,
       };
       elements.push(character);
     }
 
     // オブジェクトを追加（日中インタラクトした物が夢に出やすい）
-    if (Math.random() < 0.8) {
+    if (this.rng.next() < 0.8) {
       let objContent: string;
       let symbolicMeaning: string | undefined;
       
-      if (materialInfluence.objects.length > 0 && Math.random() < 0.65) {
-        const matObj = materialInfluence.objects[Math.floor(Math.random() * materialInfluence.objects.length)];
+      if (materialInfluence.objects.length > 0 && this.rng.next() < 0.65) {
+        const matObj = materialInfluence.objects[Math.floor(this.rng.next() * materialInfluence.objects.length)];
         objContent = this.transformObjectForDream(matObj);
         symbolicMeaning = this.findSymbolicMeaning(matObj) || this.generateDreamSymbol(matObj);
       } else {
-        const objCategory = Math.random() < 0.3 ? 'personal' :
-          (Math.random() < 0.5 ? 'symbolic' : 'abstract');
+        const objCategory = this.rng.next() < 0.3 ? 'personal' :
+          (this.rng.next() < 0.5 ? 'symbolic' : 'abstract');
         const objects = DREAM_OBJECTS[objCategory];
-        objContent = objects[Math.floor(Math.random() * objects.length)];
+        objContent = objects[Math.floor(this.rng.next() * objects.length)];
         symbolicMeaning = this.findSymbolicMeaning(objContent);
       }
       
       const object: DreamElement = {
         type: 'object',
         content: objContent,
-        intensity: 0.3 + Math.random() * 0.4,
+        intensity: 0.3 + this.rng.next() * 0.4,
         symbolicMeaning,
       };
       elements.push(object);
@@ -687,41 +691,41 @@ export class DreamPhase {
     const emotionElement: DreamElement = {
       type: 'emotion',
       content: emotionContent,
-      intensity: 0.5 + Math.random() * 0.5,
+      intensity: 0.5 + this.rng.next() * 0.5,
     };
     elements.push(emotionElement);
 
     // 音の要素（日中聴いた音が変形して現れる）
-    if (Math.random() < 0.6) {
+    if (this.rng.next() < 0.6) {
       let soundContent: string;
-      if (materialInfluence.sounds.length > 0 && Math.random() < 0.5) {
+      if (materialInfluence.sounds.length > 0 && this.rng.next() < 0.5) {
         soundContent = this.transformSoundForDream(
-          materialInfluence.sounds[Math.floor(Math.random() * materialInfluence.sounds.length)]
+          materialInfluence.sounds[Math.floor(this.rng.next() * materialInfluence.sounds.length)]
         );
       } else {
         const soundCategory = Object.keys(DREAM_SOUNDS)[
-          Math.floor(Math.random() * Object.keys(DREAM_SOUNDS).length)
+          Math.floor(this.rng.next() * Object.keys(DREAM_SOUNDS).length)
         ] as keyof typeof DREAM_SOUNDS;
         const sounds = DREAM_SOUNDS[soundCategory];
-        soundContent = sounds[Math.floor(Math.random() * sounds.length)];
+        soundContent = sounds[Math.floor(this.rng.next() * sounds.length)];
       }
       const sound: DreamElement = {
         type: 'sound',
         content: soundContent,
-        intensity: 0.3 + Math.random() * 0.4,
+        intensity: 0.3 + this.rng.next() * 0.4,
       };
       elements.push(sound);
     }
 
     // 身体感覚の要素（新規）
-    if (Math.random() < 0.35) {
+    if (this.rng.next() < 0.35) {
       const sensations = materialInfluence.sensations.length > 0
         ? materialInfluence.sensations
         : ['浮遊感', '温かさ', '冷たさ', '微かな振動', 'どこかが痺れる感覚'];
       const sensation: DreamElement = {
         type: 'sensation',
-        content: sensations[Math.floor(Math.random() * sensations.length)],
-        intensity: 0.2 + Math.random() * 0.3,
+        content: sensations[Math.floor(this.rng.next() * sensations.length)],
+        intensity: 0.2 + this.rng.next() * 0.3,
       };
       elements.push(sensation);
     }
@@ -798,7 +802,7 @@ export class DreamPhase {
       `${baseScene}。ふと気づくと、${material}のことを思い出している`,
       `${baseScene}が、いつの間にか${material}の景色に変わっていた`,
     ];
-    return blends[Math.floor(Math.random() * blends.length)];
+    return blends[Math.floor(this.rng.next() * blends.length)];
   }
   
   /**
@@ -818,7 +822,7 @@ export class DreamPhase {
     
     for (const [key, options] of Object.entries(transforms)) {
       if (objName.includes(key)) {
-        return options[Math.floor(Math.random() * options.length)];
+        return options[Math.floor(this.rng.next() * options.length)];
       }
     }
     
@@ -829,7 +833,7 @@ export class DreamPhase {
       `浮かんでいる${objName}`,
       `透明な${objName}`,
     ];
-    return generalTransforms[Math.floor(Math.random() * generalTransforms.length)];
+    return generalTransforms[Math.floor(this.rng.next() * generalTransforms.length)];
   }
   
   /**
@@ -840,7 +844,7 @@ export class DreamPhase {
       '変化への渇望', '自己の再発見', '失われた何か', '内なる声',
       '成長の予兆', '忘れかけた記憶', '未来への手がかり', '心の深層',
     ];
-    return universalSymbols[Math.floor(Math.random() * universalSymbols.length)];
+    return universalSymbols[Math.floor(this.rng.next() * universalSymbols.length)];
   }
   
   /**
@@ -855,8 +859,8 @@ export class DreamPhase {
     if (emotion) return emotion;
     
     // 素材から未処理の感情があればそれが夢に出る
-    if (influence && influence.emotions.length > 0 && Math.random() < 0.7) {
-      return influence.emotions[Math.floor(Math.random() * influence.emotions.length)];
+    if (influence && influence.emotions.length > 0 && this.rng.next() < 0.7) {
+      return influence.emotions[Math.floor(this.rng.next() * influence.emotions.length)];
     }
     
     // フォールバック
@@ -873,7 +877,7 @@ export class DreamPhase {
       `${sound}が、だんだんメロディになっていく`,
       `${sound}。でも音源がどこにもない`,
     ];
-    return transforms[Math.floor(Math.random() * transforms.length)];
+    return transforms[Math.floor(this.rng.next() * transforms.length)];
   }
 
   /**
@@ -888,11 +892,11 @@ export class DreamPhase {
       case 'memory':
         return 'nostalgic';
       case 'symbolic':
-        return Math.random() < 0.5 ? 'ethereal' : 'transforming';
+        return this.rng.next() < 0.5 ? 'ethereal' : 'transforming';
       case 'abstract':
         return 'ethereal';
       default:
-        return Math.random() < 0.5 ? 'familiar' : 'nostalgic';
+        return this.rng.next() < 0.5 ? 'familiar' : 'nostalgic';
     }
   }
 
@@ -910,7 +914,7 @@ export class DreamPhase {
     };
 
     const options = emotions[type];
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
 
   /**
@@ -919,7 +923,7 @@ export class DreamPhase {
   private findSymbolicMeaning(content: string): string | undefined {
     for (const [symbol, meanings] of Object.entries(DREAM_SYMBOLS)) {
       if (content.includes(symbol)) {
-        return meanings[Math.floor(Math.random() * meanings.length)];
+        return meanings[Math.floor(this.rng.next() * meanings.length)];
       }
     }
     return undefined;
@@ -946,7 +950,7 @@ export class DreamPhase {
       '暗闇が薄れていくと、',
       '何かに導かれるように、',
     ];
-    const opening = openings[Math.floor(Math.random() * openings.length)];
+    const opening = openings[Math.floor(this.rng.next() * openings.length)];
     
     if (scene) {
       narrative.push(`${opening}${scene.content}。`);
@@ -972,7 +976,7 @@ export class DreamPhase {
           '何かが変わろうとしている。',
           '風が吹いた。何かが始まる予感。',
         ];
-        narrative.push(turns[Math.floor(Math.random() * turns.length)]);
+        narrative.push(turns[Math.floor(this.rng.next() * turns.length)]);
         break;
       }
       
@@ -1063,7 +1067,7 @@ export class DreamPhase {
     };
     
     const endings = endingsByType[type];
-    narrative.push(endings[Math.floor(Math.random() * endings.length)]);
+    narrative.push(endings[Math.floor(this.rng.next() * endings.length)]);
 
     return narrative;
   }
@@ -1085,29 +1089,29 @@ export class DreamPhase {
     // タイプによる調整
     switch (type) {
       case 'nightmare':
-        valence = -0.6 - Math.random() * 0.4;
-        arousal = 0.7 + Math.random() * 0.3;
+        valence = -0.6 - this.rng.next() * 0.4;
+        arousal = 0.7 + this.rng.next() * 0.3;
         dominance = 0.2;
         break;
       case 'lucid':
-        valence = 0.3 + Math.random() * 0.4;
-        arousal = 0.5 + Math.random() * 0.3;
+        valence = 0.3 + this.rng.next() * 0.4;
+        arousal = 0.5 + this.rng.next() * 0.3;
         dominance = 0.8;
         break;
       case 'memory':
-        valence = 0.1 + Math.random() * 0.3;
-        arousal = 0.2 + Math.random() * 0.3;
+        valence = 0.1 + this.rng.next() * 0.3;
+        arousal = 0.2 + this.rng.next() * 0.3;
         dominance = 0.4;
         break;
       case 'abstract':
-        valence = Math.random() * 0.4 - 0.2;
-        arousal = 0.2 + Math.random() * 0.3;
+        valence = this.rng.next() * 0.4 - 0.2;
+        arousal = 0.2 + this.rng.next() * 0.3;
         dominance = 0.3;
         break;
       default:
-        valence = Math.random() * 0.6 - 0.3;
-        arousal = 0.3 + Math.random() * 0.4;
-        dominance = 0.4 + Math.random() * 0.2;
+        valence = this.rng.next() * 0.6 - 0.3;
+        arousal = 0.3 + this.rng.next() * 0.4;
+        dominance = 0.4 + this.rng.next() * 0.2;
     }
 
     // ストレスの影響
@@ -1140,7 +1144,7 @@ export class DreamPhase {
     }
 
     if (emotionalTone.arousal > 0.6) {
-      colors.push(DREAM_COLORS.emotional[Math.floor(Math.random() * DREAM_COLORS.emotional.length)]);
+      colors.push(DREAM_COLORS.emotional[Math.floor(this.rng.next() * DREAM_COLORS.emotional.length)]);
     }
 
     return [...new Set(colors)].slice(0, 3);
@@ -1157,17 +1161,17 @@ export class DreamPhase {
 
     // 感情トーンに基づく
     if (emotionalTone.arousal < 0.4) {
-      sounds.push(DREAM_SOUNDS.natural[Math.floor(Math.random() * DREAM_SOUNDS.natural.length)]);
+      sounds.push(DREAM_SOUNDS.natural[Math.floor(this.rng.next() * DREAM_SOUNDS.natural.length)]);
     }
 
     // somuniaらしい音楽的要素
-    if (Math.random() < 0.4) {
-      sounds.push(DREAM_SOUNDS.musical[Math.floor(Math.random() * DREAM_SOUNDS.musical.length)]);
+    if (this.rng.next() < 0.4) {
+      sounds.push(DREAM_SOUNDS.musical[Math.floor(this.rng.next() * DREAM_SOUNDS.musical.length)]);
     }
 
     // 象徴的な音
-    if (Math.random() < 0.3) {
-      sounds.push(DREAM_SOUNDS.symbolic[Math.floor(Math.random() * DREAM_SOUNDS.symbolic.length)]);
+    if (this.rng.next() < 0.3) {
+      sounds.push(DREAM_SOUNDS.symbolic[Math.floor(this.rng.next() * DREAM_SOUNDS.symbolic.length)]);
     }
 
     return sounds.slice(0, 3);
@@ -1227,11 +1231,11 @@ export class DreamPhase {
       // オブジェクトの詩的表現
       () => object ? this.poeticObjectTitle(object.content) : '断片の夢',
       // 感情の詩的表現
-      () => emotion ? `${emotion.content}の${Math.random() < 0.5 ? '残像' : '痕跡'}` : '静かな夢',
+      () => emotion ? `${emotion.content}の${this.rng.next() < 0.5 ? '残像' : '痕跡'}` : '静かな夢',
       // 音
       () => sound ? `${sound.content.slice(0, 10)}…の夢` : '沈黙の夢',
       // 夢の種類＋詩的
-      () => `夜の${['断章', '物語', '鋳型', '旋律', '航海'][Math.floor(Math.random() * 5)]}`,
+      () => `夜の${['断章', '物語', '鋳型', '旋律', '航海'][Math.floor(this.rng.next() * 5)]}`,
       // 二つの要素の組み合わせ
       () => {
         const a = object?.content.slice(0, 5) || '光';
@@ -1240,7 +1244,7 @@ export class DreamPhase {
       },
     ];
 
-    return templates[Math.floor(Math.random() * templates.length)]();
+    return templates[Math.floor(this.rng.next() * templates.length)]();
   }
   
   private poeticObjectTitle(objContent: string): string {
@@ -1297,7 +1301,7 @@ export class DreamPhase {
     };
     
     const typeOpts = typeInterpretations[dream.type];
-    parts.push(typeOpts[Math.floor(Math.random() * typeOpts.length)]);
+    parts.push(typeOpts[Math.floor(this.rng.next() * typeOpts.length)]);
 
     // 象徴的要素の解釈
     const symbolElements = dream.elements.filter(e => e.symbolicMeaning);
@@ -1348,9 +1352,9 @@ export class DreamPhase {
       if (this.recentlyProcessedMemories.has(key)) continue;
 
       // 統合か弱体化か
-      if (Math.random() < this.config.memoryConsolidationRate) {
+      if (this.rng.next() < this.config.memoryConsolidationRate) {
         result.consolidatedMemories.push(key);
-      } else if (Math.random() < 0.1) {
+      } else if (this.rng.next() < 0.1) {
         result.weakenedMemories.push(key);
       }
 
@@ -1360,12 +1364,12 @@ export class DreamPhase {
     // 関連性の発見
     const consolidatedCount = result.consolidatedMemories.length;
     for (let i = 0; i < consolidatedCount - 1; i++) {
-      if (Math.random() < 0.3) {
+      if (this.rng.next() < 0.3) {
         result.newConnections.push({
           from: result.consolidatedMemories[i],
           to: result.consolidatedMemories[i + 1],
           nature: 'temporal',
-          strength: 0.3 + Math.random() * 0.4,
+          strength: 0.3 + this.rng.next() * 0.4,
         });
       }
     }
@@ -1373,7 +1377,7 @@ export class DreamPhase {
     // テーマの抽出（簡易）
     if (consolidatedCount >= 3) {
       const themes = ['成長', '変化', '発見', '繋がり'];
-      result.emergentThemes.push(themes[Math.floor(Math.random() * themes.length)]);
+      result.emergentThemes.push(themes[Math.floor(this.rng.next() * themes.length)]);
     }
 
     // セッション統計を更新
@@ -1432,11 +1436,11 @@ export class DreamPhase {
     
     // 感覚素材
     for (const sensory of experience.sensoryDetails) {
-      if (Math.random() < 0.5) {
+      if (this.rng.next() < 0.5) {
         this.addDreamMaterial({
           type: 'sensation',
           content: sensory.content,
-          intensity: 0.4 + Math.random() * 0.3,
+          intensity: 0.4 + this.rng.next() * 0.3,
           unprocessedLevel: 0.6,
           keywords: [sensory.type, experience.objectName],
         });
@@ -1472,7 +1476,7 @@ export class DreamPhase {
    */
   private weightedRandom<T>(items: T[], weights: number[]): T {
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     
     for (let i = 0; i < items.length; i++) {
       random -= weights[i];
@@ -1488,7 +1492,7 @@ export class DreamPhase {
    * IDを生成
    */
   private generateId(prefix: string): string {
-    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `${prefix}_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
 
   // ============================================================
@@ -1582,8 +1586,8 @@ export class DreamPhase {
     };
   }
 
-  static deserialize(data: any): DreamPhase {
-    const phase = new DreamPhase(data.config);
+  static deserialize(data: any, rng: SeededRandom): DreamPhase {
+    const phase = new DreamPhase(data.config, rng);
     phase.pastSessions = data.pastSessions || [];
     phase.dreamMaterials = data.dreamMaterials || [];
     return phase;
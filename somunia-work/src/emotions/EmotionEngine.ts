@@ -23,6 +23,7 @@ import {
   Tick,
   ID
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 感情エンジン設定
@@ -57,6 +58,13 @@ const DEFAULT_CONFIG: EmotionEngineConfig = {
   emotionInteractionStrength: 0.3
 };
 
+/** 減衰の向かう先（somuniaの平常時の感情） */
+const DEFAULT_BASELINES: Partial<Record<EmotionType, Normalized>> = {
+  peace: 0.3,      // somuniaは基本的に穏やか
+  melancholy: 0.1, // 少しの物思い
+  curiosity: 0.2   // 緩やかな好奇心
+};
+
 /** 感情トリガーの統計 */
 interface EmotionTriggerStat {
   triggerType: string;
@@ -267,8 +275,13 @@ export class EmotionEngine {
   private changeHistory: EmotionChangeEvent[];
   private patterns: EmotionPattern[];
   private lastUpdateTick: Tick;
+  /** ベースラインの上書き（人生の段階などで変わる） */
+  private baselineOverrides: Partial<Record<EmotionType, Normalized>> = {};
   
-  constructor(config: Partial<EmotionEngineConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<EmotionEngineConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.state = this.createInitialState();
     this.changeHistory = [];
@@ -623,15 +636,9 @@ export class EmotionEngine {
    * 自然な減衰を適用
    */
   private applyDecay(changes: EmotionChange[]): void {
-    const baselineEmotions: Partial<Record<EmotionType, Normalized>> = {
-      peace: 0.3,      // somuniaは基本的に穏やか
-      melancholy: 0.1, // 少しの物思い
-      curiosity: 0.2   // 緩やかな好奇心
-    };
-    
     for (const emotion of Object.keys(this.state.levels) as EmotionType[]) {
       const current = this.state.levels[emotion];
-      const baseline = baselineEmotions[emotion] || 0;
+      const baseline = this.getBaseline(emotion);
       
       // ベースラインに向かって減衰
       const diff = current - baseline;
@@ -1262,7 +1269,7 @@ export class EmotionEngine {
    */
   private breakStagnation(emotion: EmotionType, tracker: { level: number; duration: number }): EmotionSelfCorrection | null {
     // 長時間同じレベルで停滞している感情に揺らぎを与える
-    const perturbation = (Math.random() - 0.5) * 0.1;
+    const perturbation = (this.rng.next() - 0.5) * 0.1;
     const newLevel = Math.max(0, Math.min(1, tracker.level + perturbation));
     this.state.levels[emotion] = newLevel;
     
@@ -1302,7 +1309,7 @@ export class EmotionEngine {
       if (uniqueEmotions.size <= 2) {
         // somuniaらしい感情を少し活性化
         const dormantEmotions: EmotionType[] = ['curiosity', 'wonder', 'nostalgia'];
-        const toActivate = dormantEmotions[Math.floor(Math.random() * dormantEmotions.length)];
+        const toActivate = dormantEmotions[Math.floor(this.rng.next() * dormantEmotions.length)];
         
         const currentLevel = this.state.levels[toActivate] || 0;
         if (currentLevel < 0.2) {
@@ -1394,7 +1401,7 @@ export class EmotionEngine {
     }
     
     // ベースラインと大きく異なる場合、ベースラインをわずかに近づける
-    // （ベースラインは applyDecay内のbaselineEmotionsで定義されている）
+    // （ベースラインは DEFAULT_BASELINES と baselineOverrides で決まる）
     // ここではmomentumとlevelの微調整で間接的に対応
     let adjusted = false;
     let description = '';
@@ -1446,6 +1453,24 @@ export class EmotionEngine {
     return this.selfCorrectionLog.slice(-count);
   }
   
+  /**
+   * 減衰の向かう先（ベースライン）
+   */
+  getBaseline(emotion: EmotionType): Normalized {
+    return this.baselineOverrides[emotion] ?? DEFAULT_BASELINES[emotion] ?? 0;
+  }
+  
+  /**
+   * ベースラインを上書きする（nullで既定値に戻す）
+   */
+  setBaseline(emotion: EmotionType, level: Normalized | null): void {
+    if (level === null) {
+      delete this.baselineOverrides[emotion];
+    } else {
+      this.baselineOverrides[emotion] = Math.max(0, Math.min(1, level));
+    }
+  }
+  
   /**
    * 感度調整API（SelfModificationから呼ばれる）
    */
@@ -1484,8 +1509,8 @@ export class EmotionEngine {
   /**
    * JSONからリストア
    */
-  static fromJSON(json: any, patterns: EmotionPattern[]): EmotionEngine {
-    const engine = new EmotionEngine(json.config);
+  static fromJSON(json: any, patterns: EmotionPattern[], rng: SeededRandom): EmotionEngine {
+    const engine = new EmotionEngine(json.config, rng);
     engine.state = json.state;
     engine.changeHistory = json.changeHistory || [];
     engine.patterns = patterns;
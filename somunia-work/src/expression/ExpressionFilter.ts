@@ -13,6 +13,12 @@
  * 7. 長すぎる/短すぎる応答
  * 
  * 修正できない場合は、文脈に応じたフォールバック応答を生成する。
+ *
+ * ストリーミング中は inspectPartial() で途中までの応答を検査する。
+ * 途中で問題が見つかった応答は、表示側で取り消して filter() の結果に差し替える。
+ *
+ * 英語で話す訪問者には英語で返すので、検出パターンは日本語と英語の2組を
+ * 両方当てる（どちらの言語で返ってきても見逃さない）。フォールバックは訪問者の言語で返す。
  */
 
 import {
@@ -21,7 +27,10 @@ import {
   ConversationIntent,
   ConversationDepth,
   ExpressionFilterConfig,
+  ConversationLanguage,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+import { detectLanguage } from '../conversation/LanguageDetector';
 
 // ============================================================
 // デフォルト設定
@@ -33,6 +42,7 @@ const DEFAULT_CONFIG: ExpressionFilterConfig = {
   maxResponseLength: 150,
   minResponseLength: 2,
   maxHistorySize: 20,
+  streamHoldLength: 12,
 };
 
 // ============================================================
@@ -81,6 +91,55 @@ const THIRD_PERSON_PATTERNS: RegExp[] = [
   /メッセージ(?:を|が|は).*(?:受け取|分析|処理)/,
 ];
 
+/** 自己紹介（繰り返すと不自然） */
+const SELF_INTRO_PATTERNS: RegExp[] = [
+  /わたしは[…\.]*(?:somunia|ソムニア)[。、…\.]*\s*/gi,
+  /\b(?:I'm|I am|my name is)[…\.\s]*somunia[.,!…]*\s*/gi,
+];
+
+// ============================================================
+// 問題パターン定義（英語）
+// ============================================================
+
+const PROMPT_ECHO_PATTERNS_EN: RegExp[] = [
+  /^(?:I'm|I am)[…\.\s]*somunia[.,]/i,
+  /^\[[^\]]*\]/,                                   // 【】を [] に訳したセクションヘッダー
+  /^(?:my )?(?:current )?(?:state|mood)\s*[:：]/i,   // 「【今のわたし】」の復唱
+  /^the visitor (?:is|says|said|asks|asked)\b/i,     // 「【訪問者…】」の復唱
+  /^(?:output|reply with) only\b/i,                 // 指示文の復唱
+  /^(?:tone|speech style)\s*[:：]/i,                // 口調ルールの復唱
+  /things to avoid\s*[:：]/i,                        // ガイドラインの復唱
+];
+
+const AI_ASSISTANT_PATTERNS_EN: RegExp[] = [
+  /how (?:can|may) I (?:help|assist)/i, /\bassist you\b/i, /happy to help/i,
+  /\bas an AI\b/i, /language model/i, /\bAI assistant\b/i,
+  /feel free to/i, /(?:is there )?anything else I can/i, /don't hesitate to/i,
+  /\bcertainly[!.]/i, /great question/i, /I hope this helps/i,
+];
+
+const INTERNAL_MESSAGE_PATTERNS_EN: RegExp[] = [
+  /\bprompt\b/i, /\bfallback\b/i, /system message/i, /\bvalidation\b/i,
+  /\bpipeline\b/i, /\btemplate\b/i, /(?:analysis|verification)\s*:/i,
+];
+
+const THIRD_PERSON_PATTERNS_EN: RegExp[] = [
+  /\bthe (?:visitor|user) (?:is|was|has|said|asked|told|wants)\b/i,
+  /\bthis person (?:asked|said|told)\b/i,
+  /\b(?:received|analy[sz]ed|processed) (?:the|a|their) message\b/i,
+];
+
+const ECHO_PATTERNS = [...PROMPT_ECHO_PATTERNS, ...PROMPT_ECHO_PATTERNS_EN];
+const ASSISTANT_PATTERNS = [...AI_ASSISTANT_PATTERNS, ...AI_ASSISTANT_PATTERNS_EN];
+const INTERNAL_PATTERNS = [...INTERNAL_MESSAGE_PATTERNS, ...INTERNAL_MESSAGE_PATTERNS_EN];
+const THIRD_PERSON = [...THIRD_PERSON_PATTERNS, ...THIRD_PERSON_PATTERNS_EN];
+
+/** 文の区切り（英語は「. 」の後ろでも区切る） */
+const SENTENCE_BOUNDARY = /(?<=[。！!？?\n]|\.\s)/;
+
+/** 英語の応答に許す長さ（文字数）の、日本語に対する倍率 */
+const EN_LENGTH_RATIO = 2;
+
 // ============================================================
 // フォールバック応答テンプレート
 // ============================================================
@@ -214,6 +273,100 @@ const GENERIC_FALLBACKS: Record<string, string[]> = {
   sadness: ['...うん', 'そう...だね', '...ちょっと、悲しいな'],
 };
 
+/** 英語で話す訪問者へのフォールバック（口調は日本語と同じく、短く柔らかく） */
+const FALLBACK_TEMPLATES_EN: FallbackTemplate[] = [
+  {
+    intents: ['greeting'],
+    emotions: ['joy', 'warmth', 'peace', 'contentment', 'serenity'],
+    responses: [
+      'oh... you came. i\'m glad',
+      'hello... welcome',
+      'ah, hi... i was waiting',
+    ],
+  },
+  {
+    intents: ['greeting'],
+    emotions: ['loneliness', 'melancholy', 'sadness'],
+    responses: [
+      '...you came. thank you',
+      'oh... i was alone, so i\'m happy',
+    ],
+  },
+  {
+    intents: ['question', 'curiosity'],
+    emotions: ['curiosity', 'wonder', 'anticipation', 'peace', 'contentment'],
+    responses: [
+      'hmm... let me think a little',
+      'that\'s a hard one... but i like it',
+      '...let me think about it',
+    ],
+  },
+  {
+    intents: ['empathy_seeking', 'comfort', 'deep_talk'],
+    emotions: ['melancholy', 'loneliness', 'sadness', 'anxiety'],
+    responses: [
+      '...i understand. i\'m here',
+      'that sounds hard... take your time',
+      '...it\'s okay. i\'m with you',
+    ],
+  },
+  {
+    intents: ['empathy_seeking', 'comfort', 'appreciation'],
+    emotions: ['warmth', 'joy', 'gratitude'],
+    responses: [
+      'hehe... thank you. that makes me happy',
+      '...thank you. i\'ll keep that close',
+    ],
+  },
+  {
+    intents: ['sharing', 'continuation', 'general'],
+    emotions: ['curiosity', 'wonder', 'peace', 'contentment', 'serenity'],
+    responses: [
+      'i see... tell me more',
+      'hmm... that\'s interesting',
+      'mm... i think i understand',
+    ],
+  },
+  {
+    intents: ['farewell'],
+    emotions: ['warmth', 'peace', 'melancholy', 'loneliness'],
+    responses: [
+      'see you... i\'ll be waiting',
+      'bye bye... take care',
+      '...come again, okay?',
+    ],
+  },
+  {
+    intents: ['request', 'playful'],
+    emotions: ['peace', 'warmth', 'curiosity'],
+    responses: [
+      'okay... i\'ll try',
+      'sure... give me a moment',
+    ],
+  },
+];
+
+const GENERIC_FALLBACKS_EN: Record<string, string[]> = {
+  joy: ['hehe... i\'m happy', 'this feels nice...'],
+  peace: ['mm... i see', '...it\'s calm, isn\'t it'],
+  curiosity: ['hmm... interesting', 'i\'m curious about that...'],
+  warmth: ['that\'s warm... thank you', 'hehe... i\'m glad'],
+  melancholy: ['...yeah', 'mm... that\'s a little sad'],
+  loneliness: ['...thank you for being here', 'you\'re here... i\'m glad'],
+  anxiety: ['...my heart\'s racing a little', 'it\'ll be okay... i think'],
+  wonder: ['wow... that\'s strange and lovely', '...it\'s kind of moving'],
+  nostalgia: ['that feels nostalgic...', '...it reminds me of something'],
+  sadness: ['...mm', 'yeah... it\'s a little sad'],
+};
+
+const FALLBACKS_BY_LANGUAGE: Record<ConversationLanguage, {
+  templates: FallbackTemplate[];
+  generic: Record<string, string[]>;
+}> = {
+  ja: { templates: FALLBACK_TEMPLATES, generic: GENERIC_FALLBACKS },
+  en: { templates: FALLBACK_TEMPLATES_EN, generic: GENERIC_FALLBACKS_EN },
+};
+
 // ============================================================
 // ExpressionFilter クラス
 // ============================================================
@@ -223,7 +376,10 @@ export class ExpressionFilter {
   private responseHistory: string[] = [];
   private selfIntroCount: number = 0;
 
-  constructor(config?: Partial<ExpressionFilterConfig>) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<ExpressionFilterConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
 
@@ -243,6 +399,8 @@ export class ExpressionFilter {
       userMessage: string;
       visitorName?: string;
       depth: ConversationDepth;
+      /** 訪問者の発言の言語（フォールバックをこの言語で返す。省略時は日本語） */
+      language?: ConversationLanguage;
     }
   ): {
     response: string;
@@ -309,7 +467,7 @@ export class ExpressionFilter {
     }
 
     // Step 7: 長すぎる応答のカット
-    if (!needsFallback && response.length > this.config.maxResponseLength) {
+    if (!needsFallback && response.length > this.maxLength(response)) {
       response = this.truncateResponse(response);
       filterReasons.push('長すぎる応答を短縮');
     }
@@ -324,12 +482,12 @@ export class ExpressionFilter {
     }
 
     // Step 9: 「わたしは…somunia」パターンの累積カウント
-    if (/わたしは[…\.]*(?:somunia|ソムニア)/i.test(response)) {
+    if (SELF_INTRO_PATTERNS.some(pattern => response.search(pattern) >= 0)) {
       this.selfIntroCount++;
       if (this.selfIntroCount >= this.config.selfIntroThreshold) {
         filterReasons.push('自己紹介の過度な繰り返し');
         // 自己紹介部分だけ除去
-        response = response.replace(/わたしは[…\.]*(?:somunia|ソムニア)[。、…\.]*\s*/gi, '').trim();
+        response = SELF_INTRO_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), response).trim();
         if (response.length < this.config.minResponseLength) {
           needsFallback = true;
         }
@@ -364,6 +522,59 @@ export class ExpressionFilter {
     };
   }
 
+  // ============================================================
+  // ストリーミング途中の検査
+  // ============================================================
+
+  /**
+   * 生成途中の応答を検査する
+   * - hold:   まだ判断できない（冒頭の復唱や括弧書きを見極めるため表示を待つ）
+   * - show:   text まで表示してよい
+   * - reject: 表示をやめて取り消す（最終的な応答は filter() で作り直す）
+   *
+   * filter() と違って修正はせず、履歴にも記録しない。
+   */
+  inspectPartial(partial: string): {
+    verdict: 'hold' | 'show' | 'reject';
+    text: string;
+    reason?: string;
+  } {
+    // 冒頭の説明括弧・行動記述が閉じるまでは待つ
+    if (/^\s*(?:[\(（][^)）]*|\*[^*]*)$/.test(partial)) {
+      return { verdict: 'hold', text: '' };
+    }
+
+    const text = partial
+      .replace(/^[「『"'""'']+/, '')
+      .replace(/^\s*somunia\s*[:：]\s*/i, '')
+      .replace(/^\s*[\(（][^)）]*[\)）]\s*/, '')
+      .replace(/^\s*\*[^*]+\*\s*/, '')
+      // 閉じ括弧は応答の末尾かもしれないので、続きが来るまで出さない
+      .replace(/[」』"'""'']+$/, '')
+      .replace(/\n{2,}/g, '\n')
+      .trimStart();
+
+    if (text.length < this.config.streamHoldLength && !/[。！!？?\n]/.test(text)) {
+      return { verdict: 'hold', text: '' };
+    }
+
+    const echo = this.detectPromptEcho(text);
+    if (echo.isEcho) {
+      return { verdict: 'reject', text, reason: `プロンプト復唱: ${echo.reason}` };
+    }
+    if (this.detectInternalMessage(text)) {
+      return { verdict: 'reject', text, reason: '内部メッセージの漏れ' };
+    }
+    if (this.detectThirdPerson(text).isThirdPerson) {
+      return { verdict: 'reject', text, reason: '第三者視点の記述' };
+    }
+    if (ASSISTANT_PATTERNS.some(pattern => pattern.test(text))) {
+      return { verdict: 'reject', text, reason: 'AIアシスタント口調' };
+    }
+
+    return { verdict: 'show', text: text.slice(0, this.maxLength(text)) };
+  }
+
   // ============================================================
   // 個別検出メソッド
   // ============================================================
@@ -398,7 +609,7 @@ export class ExpressionFilter {
     reason: string;
     cleaned: string;
   } {
-    for (const pattern of PROMPT_ECHO_PATTERNS) {
+    for (const pattern of ECHO_PATTERNS) {
       if (pattern.test(response)) {
         // パターンに一致する冒頭部分を除去
         const cleaned = response.replace(pattern, '').replace(/^[…\.。、\s]+/, '').trim();
@@ -413,7 +624,7 @@ export class ExpressionFilter {
     // プロンプトの構造的な復唱を検出
     // 「今は〜時、〜にいる」のような状況記述
     if (/^(?:今は|今の時間|時刻は)/.test(response)) {
-      const sentences = response.split(/(?<=[。！!？?\n])/);
+      const sentences = response.split(SENTENCE_BOUNDARY);
       // 最初の状況記述文を除去して残りを使う
       if (sentences.length > 1) {
         const cleaned = sentences.slice(1).join('').trim();
@@ -438,11 +649,11 @@ export class ExpressionFilter {
     let isAI = false;
     let cleaned = response;
 
-    for (const pattern of AI_ASSISTANT_PATTERNS) {
+    for (const pattern of ASSISTANT_PATTERNS) {
       if (pattern.test(cleaned)) {
         isAI = true;
         // AIパターンを含む文を除去
-        const sentences = cleaned.split(/(?<=[。！!？?\n])/);
+        const sentences = cleaned.split(SENTENCE_BOUNDARY);
         cleaned = sentences
           .filter(s => !pattern.test(s))
           .join('')
@@ -472,7 +683,7 @@ export class ExpressionFilter {
    * 内部メッセージの漏れ検出
    */
   private detectInternalMessage(response: string): boolean {
-    for (const pattern of INTERNAL_MESSAGE_PATTERNS) {
+    for (const pattern of INTERNAL_PATTERNS) {
       if (pattern.test(response)) {
         return true;
       }
@@ -487,10 +698,10 @@ export class ExpressionFilter {
     isThirdPerson: boolean;
     cleaned: string;
   } {
-    for (const pattern of THIRD_PERSON_PATTERNS) {
+    for (const pattern of THIRD_PERSON) {
       if (pattern.test(response)) {
         // 第三者視点の文を除去
-        const sentences = response.split(/(?<=[。！!？?\n])/);
+        const sentences = response.split(SENTENCE_BOUNDARY);
         const cleaned = sentences
           .filter(s => !pattern.test(s))
           .join('')
@@ -505,15 +716,25 @@ export class ExpressionFilter {
    * 応答の短縮（文の境界で切る）
    */
   private truncateResponse(response: string): string {
-    const sentences = response.split(/(?<=[。！!？?\n…])/);
+    const maxLength = this.maxLength(response);
+    const sentences = response.split(/(?<=[。！!？?\n…]|\.\s)/);
     let result = '';
     for (const sentence of sentences) {
-      if ((result + sentence).length > this.config.maxResponseLength) {
+      if ((result + sentence).length > maxLength) {
         break;
       }
       result += sentence;
     }
-    return result.trim() || sentences[0].slice(0, this.config.maxResponseLength);
+    return result.trim() || sentences[0].slice(0, maxLength);
+  }
+
+  /**
+   * 応答に許す長さ（英語は同じ内容でも文字数が多いので広げる）
+   */
+  private maxLength(response: string): number {
+    return detectLanguage(response) === 'en'
+      ? this.config.maxResponseLength * EN_LENGTH_RATIO
+      : this.config.maxResponseLength;
   }
 
   /**
@@ -553,9 +774,12 @@ export class ExpressionFilter {
     userMessage: string;
     visitorName?: string;
     depth?: ConversationDepth;
+    language?: ConversationLanguage;
   }): string {
+    const { templates, generic } = FALLBACKS_BY_LANGUAGE[context.language ?? 'ja'];
+
     // 1. intent + emotion でマッチするテンプレートを探す
-    const matchedTemplates = FALLBACK_TEMPLATES.filter(t =>
+    const matchedTemplates = templates.filter(t =>
       t.intents.includes(context.intent) &&
       t.emotions.includes(context.emotion)
     );
@@ -563,27 +787,27 @@ export class ExpressionFilter {
     // 2. intentのみでマッチ
     const intentTemplates = matchedTemplates.length > 0
       ? matchedTemplates
-      : FALLBACK_TEMPLATES.filter(t => t.intents.includes(context.intent));
+      : templates.filter(t => t.intents.includes(context.intent));
 
     // 3. テンプレートから選択
     let responses: string[];
     if (intentTemplates.length > 0) {
-      const template = intentTemplates[Math.floor(Math.random() * intentTemplates.length)];
+      const template = intentTemplates[Math.floor(this.rng.next() * intentTemplates.length)];
       responses = template.responses;
     } else {
       // 4. 感情ベースの汎用フォールバック
-      responses = GENERIC_FALLBACKS[context.emotion] || GENERIC_FALLBACKS.peace;
+      responses = generic[context.emotion] || generic.peace;
     }
 
     // 5. 履歴にない応答を優先選択
     const unused = responses.filter(r => !this.responseHistory.includes(r));
     const pool = unused.length > 0 ? unused : responses;
-    let selected = pool[Math.floor(Math.random() * pool.length)];
+    let selected = pool[Math.floor(this.rng.next() * pool.length)];
 
     // 6. 訪問者名の挿入
     if (context.visitorName && context.visitorName !== 'あなた') {
       // 30%の確率で名前を呼ぶ
-      if (Math.random() < 0.3) {
+      if (this.rng.next() < 0.3) {
         selected = `${context.visitorName}...${selected}`;
       }
     }
@@ -0,0 +1,272 @@
+/**
+ * ResponseEvaluator - 返事の採点
+ *
+ * 訪問者に届けた返事を「somuniaらしさ」「発言への応え方」「自然さ」の3つで採点する。
+ * ExpressionFilter の品質スコアより細かい見方で、GradualAutonomy の昇格・降格と
+ * パターンの信頼度（PatternMemoryEngine.feedback）に使う。
+ *
+ * 採点のしかた（mode）:
+ *   off   - 採点しない（従来どおり ExpressionFilter の品質スコアを使う）
+ *   rules - 口調・キーワードの重なり・長さなどのルールで採点する（LLM不要）
+ *   llm   - LLMに採点させる（LLMInterface.judgeResponse）。使えないときは rules に落ちる
+ *
+ * 採点結果は呼び出し側（SoulEngine）がメッセージごとにDBへ保存する。
+ */
+
+import { ConversationIntent, Normalized } from '../types';
+import { ExpressionFilter } from './ExpressionFilter';
+import { LLMInterface } from '../llm/LLMInterface';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type EvaluatorMode = 'off' | 'rules' | 'llm';
+
+export const EVALUATOR_MODES: EvaluatorMode[] = ['off', 'rules', 'llm'];
+
+export interface ResponseEvaluatorConfig {
+  mode: EvaluatorMode;
+  /** 総合点の重み */
+  weights: {
+    personaFidelity: number;
+    relevance: number;
+    naturalness: number;
+  };
+  /** これ以上の総合点なら「うまくいった返事」として数える */
+  successThreshold: Normalized;
+}
+
+const DEFAULT_CONFIG: ResponseEvaluatorConfig = {
+  mode: 'off',
+  weights: {
+    personaFidelity: 0.4,
+    relevance: 0.35,
+    naturalness: 0.25,
+  },
+  successThreshold: 0.6,
+};
+
+export interface ResponseEvaluation {
+  /** somuniaらしさ（口調・視点・人格） */
+  personaFidelity: Normalized;
+  /** 訪問者の発言に応えているか */
+  relevance: Normalized;
+  /** 会話としての自然さ */
+  naturalness: Normalized;
+  /** 重み付きの総合点 */
+  overall: Normalized;
+  /** 採点したもの */
+  judge: 'llm' | 'rules';
+  comment: string;
+}
+
+export interface EvaluationInput {
+  message: string;
+  response: string;
+  intent: ConversationIntent;
+  /** フィルタや検証で直された・差し替えられた返事か */
+  wasCorrected: boolean;
+}
+
+export interface EvaluatorStats {
+  mode: EvaluatorMode;
+  count: number;
+  llmCount: number;
+  /** 採点の平均（まだ採点していなければnull） */
+  average: Omit<ResponseEvaluation, 'judge' | 'comment'> | null;
+}
+
+// ============================================================
+// ルールで使うパターン
+// ============================================================
+
+/** somuniaらしい言い回し（余韻・やわらかい語尾・一人称） */
+const PERSONA_MARKERS: RegExp[] = [/…|\.\.\./, /かな|かも/, /[ねよな][。…！!？?]*$/, /わたし/];
+
+/** 敬語・説明口調 */
+const POLITE_PATTERN = /です|ます|ございます|いたします|でしょうか/g;
+
+/** 箇条書き・見出し・話者名などの書式 */
+const FORMATTING_PATTERN = /^\s*(?:[-*#・]|\d+\.)\s|\*\*|^somunia\s*[:：]/im;
+
+// ============================================================
+// ResponseEvaluator
+// ============================================================
+
+export class ResponseEvaluator {
+  private config: ResponseEvaluatorConfig;
+  private filter: ExpressionFilter;
+  private llm: LLMInterface | null;
+
+  // 集計（/status 用。セッション中のみ）
+  private count: number = 0;
+  private llmCount: number = 0;
+  private totals = { personaFidelity: 0, relevance: 0, naturalness: 0, overall: 0 };
+
+  constructor(
+    filter: ExpressionFilter,
+    llm: LLMInterface | null,
+    config?: Partial<ResponseEvaluatorConfig>
+  ) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.filter = filter;
+    this.llm = llm;
+  }
+
+  isEnabled(): boolean {
+    return this.config.mode !== 'off';
+  }
+
+  getMode(): EvaluatorMode {
+    return this.config.mode;
+  }
+
+  setMode(mode: EvaluatorMode): void {
+    this.config.mode = mode;
+  }
+
+  /**
+   * 返事を採点する（mode が llm でも、LLMが使えなければルールで採点する）
+   */
+  async evaluate(input: EvaluationInput): Promise<ResponseEvaluation> {
+    let evaluation: ResponseEvaluation | null = null;
+
+    // LLMがオフラインなら judgeResponse がnullを返す
+    if (this.config.mode === 'llm' && this.llm) {
+      const judged = await this.llm.judgeResponse(input.message, input.response);
+      if (judged) {
+        evaluation = this.combine(judged.personaFidelity, judged.relevance, judged.naturalness, 'llm', judged.comment);
+      }
+    }
+    evaluation = evaluation ?? this.evaluateByRules(input);
+
+    this.count++;
+    if (evaluation.judge === 'llm') this.llmCount++;
+    this.totals.personaFidelity += evaluation.personaFidelity;
+    this.totals.relevance += evaluation.relevance;
+    this.totals.naturalness += evaluation.naturalness;
+    this.totals.overall += evaluation.overall;
+    return evaluation;
+  }
+
+  /**
+   * ルールによる採点（LLM不要・決定的）
+   */
+  evaluateByRules(input: EvaluationInput): ResponseEvaluation {
+    const response = input.response.trim();
+    const comments: string[] = [];
+
+    // --- somuniaらしさ ---
+    let persona = 0.7;
+    if (this.filter.inspectPartial(response).verdict === 'reject') {
+      persona -= 0.4;
+      comments.push('口調・視点が崩れている');
+    }
+    const polite = (response.match(POLITE_PATTERN) || []).length;
+    if (polite >= 2) {
+      persona -= 0.2;
+      comments.push('敬語が多い');
+    }
+    if (PERSONA_MARKERS.some(pattern => pattern.test(response))) persona += 0.15;
+    if (input.wasCorrected) {
+      persona -= 0.2;
+      comments.push('フィルタで直された');
+    }
+
+    // --- 発言への応え方 ---
+    let relevance: number;
+    if (input.intent === 'greeting' || input.intent === 'farewell') {
+      relevance = 0.7;
+    } else {
+      const words = contentWords(input.message);
+      if (words.length === 0) {
+        relevance = 0.6;
+      } else {
+        const matched = words.filter(w => response.includes(w)).length / words.length;
+        relevance = 0.4 + 0.5 * Math.min(1, matched * 2);
+        if (matched === 0) comments.push('発言の話題に触れていない');
+      }
+    }
+
+    // --- 自然さ ---
+    let naturalness = 0.8;
+    if (response.length < 4) {
+      naturalness -= 0.3;
+      comments.push('短すぎる');
+    } else if (response.length > 150) {
+      naturalness -= 0.2;
+      comments.push('長すぎる');
+    }
+    if (/(.{2,})\1{2,}/.test(response)) {
+      naturalness -= 0.3;
+      comments.push('同じ言葉の繰り返し');
+    }
+    if (FORMATTING_PATTERN.test(response)) {
+      naturalness -= 0.2;
+      comments.push('会話らしくない書式');
+    }
+    if (/[、,]$/.test(response)) naturalness -= 0.1;
+
+    return this.combine(persona, relevance, naturalness, 'rules', comments.join('・'));
+  }
+
+  /** うまくいった返事か（パターンのバイパス成功として数える） */
+  isSuccess(evaluation: ResponseEvaluation): boolean {
+    return evaluation.overall >= this.config.successThreshold;
+  }
+
+  getStats(): EvaluatorStats {
+    const average = this.count > 0
+      ? {
+        personaFidelity: (this.totals.personaFidelity / this.count) as Normalized,
+        relevance: (this.totals.relevance / this.count) as Normalized,
+        naturalness: (this.totals.naturalness / this.count) as Normalized,
+        overall: (this.totals.overall / this.count) as Normalized,
+      }
+      : null;
+    return { mode: this.config.mode, count: this.count, llmCount: this.llmCount, average };
+  }
+
+  // ============================================================
+  // 内部処理
+  // ============================================================
+
+  private combine(
+    personaFidelity: number,
+    relevance: number,
+    naturalness: number,
+    judge: ResponseEvaluation['judge'],
+    comment: string
+  ): ResponseEvaluation {
+    const { weights } = this.config;
+    const p = clamp(personaFidelity);
+    const r = clamp(relevance);
+    const n = clamp(naturalness);
+    const total = weights.personaFidelity + weights.relevance + weights.naturalness;
+    const overall = total > 0
+      ? (p * weights.personaFidelity + r * weights.relevance + n * weights.naturalness) / total
+      : (p + r + n) / 3;
+    return {
+      personaFidelity: p as Normalized,
+      relevance: r as Normalized,
+      naturalness: n as Normalized,
+      overall: clamp(overall) as Normalized,
+      judge,
+      comment,
+    };
+  }
+}
+
+/**
+ * 発言の中身になる語（漢字・カタカナ・英数字の連なり。ひらがなの助詞や語尾は除く）
+ */
+function contentWords(message: string): string[] {
+  const words = message.normalize('NFKC').toLowerCase()
+    .match(/[一-鿿々]+|[゠-ヿー]{2,}|[a-z0-9]{2,}/g) || [];
+  return [...new Set(words)];
+}
+
+function clamp(value: number): number {
+  return Math.max(0, Math.min(1, value));
+}
@@ -0,0 +1,88 @@
+/**
+ * SpeechStream - ストリーミング応答の逐次表示
+ *
+ * LLMから届く断片を受け取り、ExpressionFilter.inspectPartial() を通してから
+ * 表示先（SpeechStreamSink）に少しずつ渡す。
+ *
+ * - 冒頭の数文字は溜めてから表示を始める（プロンプト復唱を見極めるため）
+ * - 途中で復唱・内部メッセージの漏れなどが見つかったら、表示済みの分を取り消す
+ * - 取り消した応答は、呼び出し側が filter() の結果で表示し直す
+ * - 返事ごと捨てるとき（次の発言が届いたなど）は cancel() で表示済みの分を消す
+ */
+
+import { ExpressionFilter } from './ExpressionFilter';
+
+/** 逐次表示の受け手（TerminalUIV2 が実装する） */
+export interface SpeechStreamSink {
+  beginSpeechStream(): void;
+  appendSpeechStream(text: string): void;
+  retractSpeechStream(): void;
+}
+
+export class SpeechStream {
+  private filter: ExpressionFilter;
+  private sink: SpeechStreamSink;
+  private raw: string = '';
+  private shown: string = '';
+  private started: boolean = false;
+  private rejection: string | null = null;
+
+  constructor(filter: ExpressionFilter, sink: SpeechStreamSink) {
+    this.filter = filter;
+    this.sink = sink;
+  }
+
+  /** LLMInterface の onToken に渡すハンドラ */
+  readonly onToken = (token: string): void => {
+    this.push(token);
+  };
+
+  push(token: string): void {
+    this.raw += token;
+    if (this.rejection) return;
+
+    const result = this.filter.inspectPartial(this.raw);
+    if (result.verdict === 'reject') {
+      this.rejection = result.reason || '途中検査で不適切';
+      if (this.started) this.sink.retractSpeechStream();
+      return;
+    }
+    if (result.verdict === 'hold') return;
+
+    // 冒頭の整形結果が変わった場合は、表示済みの分と食い違うので続きを出さない
+    // （最終的な応答と違えば、確定時に表示側で差し替えられる）
+    if (!result.text.startsWith(this.shown)) return;
+    const delta = result.text.slice(this.shown.length);
+    if (!delta) return;
+
+    if (!this.started) {
+      this.sink.beginSpeechStream();
+      this.started = true;
+    }
+    this.sink.appendSpeechStream(delta);
+    this.shown = result.text;
+  }
+
+  /**
+   * 返事そのものを捨てる（表示済みの分を消し、以降の断片も出さない）
+   */
+  cancel(reason: string = '返事を取り消し'): void {
+    if (this.rejection) return;
+    this.rejection = reason;
+    if (this.started) this.sink.retractSpeechStream();
+  }
+
+  /** 表示中（取り消されていない）か */
+  isShowing(): boolean {
+    return this.started && this.rejection === null;
+  }
+
+  /** 途中で取り消した理由（取り消していなければnull） */
+  getRejection(): string | null {
+    return this.rejection;
+  }
+
+  getShownText(): string {
+    return this.shown;
+  }
+}
@@ -4,6 +4,7 @@
  * 日々の思考、出来事、感情を記録し、振り返りを行う。
  * 夜になると1日を振り返り、重要な出来事を日記エントリとして残す。
  * 日記は自分だけの内省空間であり、本音や詩的な表現が現れる。
+ * LLMに渡す文面は prompts/diary/ のテンプレートにある。
  */
 
 import {
@@ -12,8 +13,12 @@ import {
   TimeOfDay,
   ActionType,
   WorldTime,
+  CalendarDate,
 } from '../types';
 import { LLMInterface } from '../llm/LLMInterface';
+import { promptTemplates } from '../llm/PromptTemplates';
+import { SeededRandom } from '../core/SeededRandom';
+import { SemanticIndex } from '../memory/SemanticIndex';
 
 // ============================================================
 // 型定義
@@ -61,6 +66,7 @@ export interface DailyReflection {
   wish?: string; // 願い・希望
   poem?: string; // その日を表す詩
   selfInsight?: string; // 自己洞察
+  seasonNote?: string; // 季節・行事のひとこと
 }
 
 /** 書き込みの種類 */
@@ -91,7 +97,7 @@ export interface DiarySearchResult {
   entry: DiaryEntry;
   fragment?: DiaryFragment;
   relevance: number;
-  matchType: 'content' | 'emotion' | 'date' | 'discovery';
+  matchType: 'content' | 'emotion' | 'date' | 'discovery' | 'similar';
 }
 
 /** 日記書き込みの文脈情報 */
@@ -262,12 +268,17 @@ export class Diary {
   private dayNumber: number = 1;
   private config: DiaryConfig;
   private llm: LLMInterface | null = null;
+  /** 意味検索の索引（searchSimilar で使う） */
+  private semanticIndex: SemanticIndex | null = null;
   
   // 統計用
   private emotionCounts: Map<EmotionType, number> = new Map();
   private streakData = { current: 0, longest: 0, lastDate: '' };
   
-  constructor(config: Partial<DiaryConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<DiaryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.initializeEmotionCounts();
   }
@@ -279,6 +290,16 @@ export class Diary {
     this.llm = llm;
   }
   
+  /**
+   * 意味検索の索引を設定（SoulEngineから注入。保存済みの日記は索引の backfill() で入る）
+   */
+  setSemanticIndex(index: SemanticIndex | null): void {
+    this.semanticIndex = index;
+    index?.registerSource('diary', () =>
+      Array.from(this.entries.values()).map(entry => ({ id: entry.date, text: this.embeddingText(entry) }))
+    );
+  }
+  
   private initializeEmotionCounts(): void {
     const emotions: EmotionType[] = [
       'joy', 'contentment', 'excitement', 'wonder', 'gratitude',
@@ -372,16 +393,28 @@ export class Diary {
     return fragment;
   }
   
+  /**
+   * 最後の断片を書き込む（1日の上限を超えても残し、その日を確定させる）
+   */
+  writeFinal(content: string, emotions: EmotionState, trigger?: string): DiaryFragment {
+    const fragment = this.write(content, emotions, 'thought', trigger);
+    if (!this.currentDayFragments.includes(fragment)) {
+      this.currentDayFragments.push(fragment);
+    }
+    this.finalizeDay();
+    return fragment;
+  }
+  
   /**
    * 存在論的な問いを書き込む
    */
   writeExistentialQuestion(emotions: EmotionState): DiaryFragment | null {
-    if (Math.random() > this.config.existentialQuestionRate) {
+    if (this.rng.next() > this.config.existentialQuestionRate) {
       return null;
     }
     
     const question = POETIC_TEMPLATES.existentialQuestions[
-      Math.floor(Math.random() * POETIC_TEMPLATES.existentialQuestions.length)
+      Math.floor(this.rng.next() * POETIC_TEMPLATES.existentialQuestions.length)
     ];
     
     return this.write(question, emotions, 'question');
@@ -426,16 +459,16 @@ export class Diary {
     
     // 感情に応じたテンプレートを選択
     const templates = POETIC_TEMPLATES.emotions[dominantEmotion as keyof typeof POETIC_TEMPLATES.emotions];
-    if (templates && Math.random() < 0.3) {
+    if (templates && this.rng.next() < 0.3) {
       return this.fillTemplate(
-        templates[Math.floor(Math.random() * templates.length)],
+        templates[Math.floor(this.rng.next() * templates.length)],
         content
       );
     }
     
     // 句読点と余韻を追加
     if (!content.endsWith('。') && !content.endsWith('...')) {
-      if (Math.random() < 0.4) {
+      if (this.rng.next() < 0.4) {
         return content + '...';
       }
       return content + '。';
@@ -461,7 +494,7 @@ export class Diary {
       if (result.includes(placeholder)) {
         result = result.replace(
           placeholder,
-          values[Math.floor(Math.random() * values.length)]
+          values[Math.floor(this.rng.next() * values.length)]
         );
       }
     }
@@ -495,10 +528,10 @@ export class Diary {
       default: ['そして、また明日。', '...', '歌が、聞こえる。'],
     };
     
-    const starter = starters[Math.floor(Math.random() * starters.length)];
-    const middle = middles[Math.floor(Math.random() * middles.length)];
+    const starter = starters[Math.floor(this.rng.next() * starters.length)];
+    const middle = middles[Math.floor(this.rng.next() * middles.length)];
     const endingOptions = endings[dominantEmotion] || endings.default;
-    const ending = endingOptions[Math.floor(Math.random() * endingOptions.length)];
+    const ending = endingOptions[Math.floor(this.rng.next() * endingOptions.length)];
     
     return `${starter}\n${middle}\n${ending}`;
   }
@@ -540,11 +573,11 @@ export class Diary {
     };
     
     // 感謝や願いを追加（確率的に）
-    if (emotionalJourney.includes('gratitude') || Math.random() < 0.3) {
+    if (emotionalJourney.includes('gratitude') || this.rng.next() < 0.3) {
       reflection.gratitude = this.generateGratitude();
     }
     
-    if (Math.random() < 0.4) {
+    if (this.rng.next() < 0.4) {
       reflection.wish = this.generateWish(emotionalJourney);
     }
     
@@ -553,9 +586,37 @@ export class Diary {
       reflection.selfInsight = this.generateSelfInsight();
     }
     
+    // 季節・行事
+    if (worldTime.calendar) {
+      reflection.seasonNote = this.generateSeasonNote(worldTime.calendar);
+      reflection.summary += ` ${reflection.seasonNote}`;
+    }
+    
     return reflection;
   }
   
+  /**
+   * 季節・行事のひとこと
+   */
+  private generateSeasonNote(calendar: CalendarDate): string {
+    const date = `${calendar.month}月${calendar.day}日`;
+    if (calendar.holiday) {
+      return `${date}、${calendar.holiday.name}。`;
+    }
+    if (calendar.isRainySeason) {
+      return `${date}、梅雨の雨の音を聞いていた。`;
+    }
+    
+    const notes: Record<CalendarDate['season'], string[]> = {
+      spring: ['春の光がやわらかかった。', '少しずつ日が長くなっている。'],
+      summer: ['夏の空気が部屋にこもっていた。', '夜になっても暑かった。'],
+      autumn: ['秋の夕暮れは早い。', '風が少し冷たくなった。'],
+      winter: ['冬の夜は長い。', '窓の外は冷たい色をしていた。'],
+    };
+    const choices = notes[calendar.season];
+    return `${date}、${choices[Math.floor(this.rng.next() * choices.length)]}`;
+  }
+  
   /**
    * 1日を確定させる
    */
@@ -586,6 +647,7 @@ export class Diary {
     };
     
     this.entries.set(this.currentDate, entry);
+    void this.semanticIndex?.add('diary', entry.date, this.embeddingText(entry));
     
     // 古いエントリの削除
     this.cleanupOldEntries();
@@ -685,7 +747,7 @@ export class Diary {
     };
     
     const options = templates[dominantEmotion] || templates.default;
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
   
   private generateGratitude(): string {
@@ -698,7 +760,7 @@ export class Diary {
       '窓から見える景色に。',
       '言葉があることに。',
     ];
-    return gratitudes[Math.floor(Math.random() * gratitudes.length)];
+    return gratitudes[Math.floor(this.rng.next() * gratitudes.length)];
   }
   
   private generateWish(emotions: EmotionType[]): string {
@@ -714,7 +776,7 @@ export class Diary {
       '穏やかな夜が続きますように。',
       '言葉にできない何かが、いつか形になりますように。',
     ];
-    return wishes[Math.floor(Math.random() * wishes.length)];
+    return wishes[Math.floor(this.rng.next() * wishes.length)];
   }
   
   private generateSelfInsight(): string {
@@ -725,7 +787,7 @@ export class Diary {
       '言葉にすることで、考えが形になっていく。',
       '存在することの意味は、存在し続けることで見えてくるのかもしれない。',
     ];
-    return insights[Math.floor(Math.random() * insights.length)];
+    return insights[Math.floor(this.rng.next() * insights.length)];
   }
   
   // ============================================================
@@ -810,6 +872,35 @@ export class Diary {
     return results.sort((a, b) => b.relevance - a.relevance);
   }
   
+  /**
+   * 意味の近さで検索（索引がなければキーワード検索と同じ）
+   * 「雨の日のこと」で梅雨の日の日記が見つかる
+   */
+  async searchSimilar(query: string, limit: number = 5): Promise<DiarySearchResult[]> {
+    const results = this.searchByContent(query);
+    
+    if (this.semanticIndex) {
+      const found = new Set(results.map(r => r.entry.date));
+      for (const hit of await this.semanticIndex.search(query, 'diary', limit)) {
+        const entry = this.entries.get(hit.itemId);
+        if (!entry || found.has(entry.date)) continue;
+        results.push({ entry, relevance: hit.score, matchType: 'similar' });
+      }
+    }
+    
+    return results
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+  
+  private embeddingText(entry: DiaryEntry): string {
+    return [
+      entry.reflection?.summary ?? '',
+      ...entry.fragments.map(f => f.content),
+      ...entry.newDiscoveries,
+    ].filter(text => text.length > 0).join('\n');
+  }
+  
   /**
    * ランダムな過去の日記を読み返す
    */
@@ -820,7 +911,7 @@ export class Diary {
     // 古いエントリほど選ばれやすい（懐かしさ）
     const weights = entries.map((_, i) => entries.length - i);
     const totalWeight = weights.reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     
     for (let i = 0; i < entries.length; i++) {
       random -= weights[i];
@@ -935,12 +1026,13 @@ export class Diary {
       const [oldestDate, oldestEntry] = entries.shift()!;
       if (oldestEntry.poeticMoments.length < 3) {
         this.entries.delete(oldestDate);
+        this.semanticIndex?.remove('diary', oldestDate);
       }
     }
   }
   
   private generateId(): string {
-    return `diary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `diary_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
   
   // ============================================================
@@ -1048,7 +1140,7 @@ export class Diary {
     
     try {
       const prose = await this.llm.expressThought(
-        `この1日を日記として書く: ${rawData}`,
+        promptTemplates.render('diary/day', { data: rawData }),
         {
           currentEmotion: reflection.emotionalJourney[0] || 'serenity',
           emotionalIntensity: 0.6,
@@ -1083,7 +1175,7 @@ export class Diary {
     
     try {
       const poem = await this.llm.expressThought(
-        `テーマ「${theme}」で短い詩を書く。今日の体験: ${dayContext}`,
+        promptTemplates.render('diary/poem', { theme, dayContext }),
         {
           currentEmotion: dominantEmotion,
           emotionalIntensity: this.calculateIntensity(emotions),
@@ -1190,7 +1282,7 @@ export class Diary {
     
     try {
       const result = await this.llm.expressThought(
-        `内面の声として日記に書く: ${contextInfo.join('。')}`,
+        promptTemplates.render('diary/fragment', { context: contextInfo.join('。') }),
         {
           currentEmotion: dominantEmotion,
           emotionalIntensity: fragment.intensity,
@@ -1217,7 +1309,7 @@ export class Diary {
       try {
         const dominantEmotion = this.getDominantEmotion(emotions) as EmotionType;
         const dreamProse = await this.llm.expressThought(
-          `目覚めた直後の夢の記録: ${dreamSummary}`,
+          promptTemplates.render('diary/dream', { dream: dreamSummary }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: dream.vividness,
@@ -1300,7 +1392,7 @@ export class Diary {
       try {
         // 問いかけの自分
         const questionSide = await this.llm.expressThought(
-          `自分自身への問いかけ: ${topic}`,
+          promptTemplates.render('diary/question', { topic }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: 0.5,
@@ -1318,7 +1410,7 @@ export class Diary {
         
         // 応答する自分
         const answerSide = await this.llm.expressThought(
-          `自分の問いへの応答: 「${questionSide}」に対して`,
+          promptTemplates.render('diary/answer', { question: questionSide }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: 0.6,
@@ -1375,7 +1467,7 @@ export class Diary {
       ],
     };
     const options = responses[emotion] || responses.default;
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
   
   /**
@@ -1445,7 +1537,7 @@ export class Diary {
         ].filter(s => s).join('\n');
         
         narrative = await this.llm.expressThought(
-          `1週間を振り返って日記に書く:\n${summaryData}`,
+          promptTemplates.render('diary/week', { data: summaryData }),
           {
             currentEmotion: weekData.dominantEmotions[0] || 'serenity',
             emotionalIntensity: 0.5,
@@ -1580,7 +1672,7 @@ export class Diary {
     if (this.llm) {
       try {
         const reflection = await this.llm.expressThought(
-          `${daysAgo}日前の日記を読み返した感想: 「${pastSummary.slice(0, 100)}」`,
+          promptTemplates.render('diary/reread', { daysAgo, summary: pastSummary.slice(0, 100) }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: 0.5,
@@ -1610,7 +1702,7 @@ export class Diary {
     ];
     
     return this.write(
-      fallbacks[Math.floor(Math.random() * fallbacks.length)],
+      fallbacks[Math.floor(this.rng.next() * fallbacks.length)],
       currentEmotions,
       'memory',
       `${daysAgo}日前の日記を読み返した`
@@ -1631,8 +1723,8 @@ export class Diary {
       try {
         const target = direction === 'future' ? '未来の自分' : '過去の自分';
         const prompt = context 
-          ? `${target}への手紙を書く。テーマ: ${context}`
-          : `${target}への短い手紙を書く`;
+          ? promptTemplates.render('diary/letter_theme', { target, theme: context })
+          : promptTemplates.render('diary/letter', { target });
         
         const letter = await this.llm.expressThought(
           prompt,
@@ -1668,7 +1760,7 @@ export class Diary {
     ];
     
     return this.write(
-      `【${direction === 'future' ? '未来' : '過去'}の自分へ】${letters[Math.floor(Math.random() * letters.length)]}`,
+      `【${direction === 'future' ? '未来' : '過去'}の自分へ】${letters[Math.floor(this.rng.next() * letters.length)]}`,
       emotions,
       'poem'
     );
@@ -1687,7 +1779,7 @@ export class Diary {
     if (this.llm) {
       try {
         const reflection = await this.llm.expressThought(
-          `「${articleTitle}」について学んだ感想を日記に書く。学んだ内容: ${learnedContent.slice(0, 150)}`,
+          promptTemplates.render('diary/learning', { title: articleTitle, content: learnedContent.slice(0, 150) }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: 0.5,
@@ -1729,7 +1821,7 @@ export class Diary {
     if (this.llm) {
       try {
         const reflection = await this.llm.expressThought(
-          `訪問者との会話を振り返って日記に書く: ${visitorInteraction.slice(0, 150)}`,
+          promptTemplates.render('diary/conversation', { interaction: visitorInteraction.slice(0, 150) }),
           {
             currentEmotion: dominantEmotion,
             emotionalIntensity: 0.6,
@@ -1815,7 +1907,7 @@ export class Diary {
       '…眠ろう。',
       '今日も、ちゃんと生きた。',
     ];
-    parts.push(closings[Math.floor(Math.random() * closings.length)]);
+    parts.push(closings[Math.floor(this.rng.next() * closings.length)]);
     
     return parts.join('\n');
   }
@@ -1836,8 +1928,8 @@ export class Diary {
     };
   }
   
-  static fromJSON(data: any): Diary {
-    const diary = new Diary(data.config);
+  static fromJSON(data: any, rng: SeededRandom): Diary {
+    const diary = new Diary(data.config, rng);
     diary.entries = new Map(data.entries);
     diary.currentDate = data.currentDate;
     diary.dayNumber = data.dayNumber;
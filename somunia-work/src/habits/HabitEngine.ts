@@ -12,6 +12,7 @@ import {
   EmotionType,
   WorldTime,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -289,7 +290,10 @@ export class HabitEngine {
   private todayExecuted: Set<string> = new Set();
   private currentDayNumber: number = 0;
   
-  constructor(config: Partial<HabitEngineConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<HabitEngineConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.initializeCoreHabits();
     this.initializeRoutineBlocks();
@@ -943,7 +947,7 @@ export class HabitEngine {
   // ============================================================
   
   private generateId(): string {
-    return `habit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `habit_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
   
   // ============================================================
@@ -960,8 +964,8 @@ export class HabitEngine {
     };
   }
   
-  static fromJSON(data: any): HabitEngine {
-    const engine = new HabitEngine(data.config);
+  static fromJSON(data: any, rng: SeededRandom): HabitEngine {
+    const engine = new HabitEngine(data.config, rng);
     engine.habits = new Map(data.habits);
     engine.routineBlocks = data.routineBlocks;
     engine.todayExecuted = new Set(data.todayExecuted);
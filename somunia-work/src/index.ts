@@ -7,19 +7,44 @@
  * 使い方:
  *   npm start                    - 通常起動
  *   npm start -- --continue      - 前回の状態から再開
+ *   npm start -- --continue --catch-up - 停止中の時間を高速に追いついてから再開
  *   npm start -- --headless      - UI無し（テスト用）
  *   npm start -- --offline       - LLM無し（オフライン）
- *   npm start -- --model gemma3  - Ollamaモデルを指定
+ *   npm start -- --model gemma3  - モデルを指定
+ *   npm start -- --route diary=gemma3:1b --route visitor_response=qwen2.5:7b,gemma3
+ *                                - 用途ごとのモデル（カンマ区切りで順にフォールバック、繰り返し指定可）
+ *   npm start -- --backend openai --llm-url http://127.0.0.1:8080/v1
+ *                                - LLMバックエンドを指定（ollama / openai / scripted）
+ *   npm start -- --cassette-record llm.jsonl - LLM通信をファイルに録音
+ *   npm start -- --cassette-replay llm.jsonl - 録音したLLM通信で再生（Ollama不要）
+ *   npm start -- --no-llm-cache  - LLM応答キャッシュを使わない
+ *   npm start -- --embeddings ollama:nomic-embed-text
+ *                                - 意味検索にOllamaの埋め込みモデルを使う（既定は local: 文字n-gram）
+ *   npm start -- --judge llm     - 返事を採点して自律レベル・パターンの信頼度に使う（llm / rules / off）
+ *   npm start -- --visitor alice - 端末から入力する訪問者のID（既定は visitor_default。/iam で名乗ることもできる）
+ *   npm start -- --seed 42       - 乱数シードを指定（再現実行）
+ *   npm start -- --realtime      - 時刻を現実の時計に合わせる（--timezone Asia/Tokyo で指定）
+ *   npm start -- --start-date 2025-07-01 - 1日目の日付（季節・行事の起点）
+ *   npm start -- --lifespan-days 90 - 寿命を有効にする（人生の段階と最期）
+ *   npm start -- --replay <id>   - 記録セッションを再生（latest で最新）
+ *   npm start -- --simulate-days 7 - N日分を高速シミュレーションしてレポート
  *   npm start -- --test          - テストスイートを実行して終了
  * 
  * 前提条件:
  *   - Ollamaがインストール済み: https://ollama.com
  *   - モデルを取得済み: ollama pull gemma3
  *   - Ollamaが起動中: ollama serve
+ *   - OpenAI互換サーバー（llama.cpp server, vLLM, LM Studio）でも可: --backend openai
  *   - --offline で起動すればOllama不要（コードベースのみで動作）
  */
 
 import { SoulEngine, SoulEngineConfig } from './core/SoulEngine';
+import { LLM_BACKEND_TYPES } from './llm/LLMInterface';
+import { LLMBackendType } from './llm/LLMBackend';
+import { LLMRoute, LLMTask, LLM_TASKS } from './llm/ModelRouter';
+import { EVALUATOR_MODES, EvaluatorMode } from './expression/ResponseEvaluator';
+import { EMBEDDING_PROVIDER_TYPES, EmbeddingProviderType } from './llm/EmbeddingProvider';
+import { isValidVisitorId } from './visitor/VisitorSessions';
 import { runAllTests } from './test/TestRunner';
 
 // ============================================================
@@ -29,14 +54,107 @@ import { runAllTests } from './test/TestRunner';
 const args = process.argv.slice(2);
 const flags = {
   continue: args.includes('--continue'),
+  catchUp: args.includes('--catch-up'),
   headless: args.includes('--headless'),
   offline: args.includes('--offline'),
   fast: args.includes('--fast'),
+  realtime: args.includes('--realtime'),
+  lifespanDays: (() => {
+    const idx = args.indexOf('--lifespan-days');
+    const days = idx >= 0 ? Number(args[idx + 1]) : NaN;
+    return Number.isFinite(days) && days > 0 ? days : undefined;
+  })(),
+  startDate: (() => {
+    const idx = args.indexOf('--start-date');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
+  timezone: (() => {
+    const idx = args.indexOf('--timezone');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
   test: args.includes('--test'),
+  backend: (() => {
+    const idx = args.indexOf('--backend');
+    if (idx < 0 || !args[idx + 1]) return undefined;
+    const backend = args[idx + 1] as LLMBackendType;
+    if (!LLM_BACKEND_TYPES.includes(backend)) {
+      console.error(`Unknown --backend: ${backend} (${LLM_BACKEND_TYPES.join(' / ')})`);
+      process.exit(1);
+    }
+    return backend;
+  })(),
+  noLlmCache: args.includes('--no-llm-cache'),
+  embeddings: (() => {
+    const idx = args.indexOf('--embeddings');
+    if (idx < 0 || !args[idx + 1]) return undefined;
+    const [provider, ...model] = args[idx + 1].split(':');
+    if (!EMBEDDING_PROVIDER_TYPES.includes(provider as EmbeddingProviderType)) {
+      console.error(`Unknown --embeddings: ${args[idx + 1]} (${EMBEDDING_PROVIDER_TYPES.join(' / ')}[:model])`);
+      process.exit(1);
+    }
+    return { provider: provider as EmbeddingProviderType, model: model.join(':') || undefined };
+  })(),
+  judge: (() => {
+    const idx = args.indexOf('--judge');
+    if (idx < 0 || !args[idx + 1]) return undefined;
+    const mode = args[idx + 1] as EvaluatorMode;
+    if (!EVALUATOR_MODES.includes(mode)) {
+      console.error(`Unknown --judge: ${mode} (${EVALUATOR_MODES.join(' / ')})`);
+      process.exit(1);
+    }
+    return mode;
+  })(),
+  cassetteRecord: (() => {
+    const idx = args.indexOf('--cassette-record');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
+  cassetteReplay: (() => {
+    const idx = args.indexOf('--cassette-replay');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
+  llmUrl: (() => {
+    const idx = args.indexOf('--llm-url');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
   model: (() => {
     const idx = args.indexOf('--model');
     return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
   })(),
+  routes: (() => {
+    const routes: Partial<Record<LLMTask, LLMRoute>> = {};
+    args.forEach((arg, idx) => {
+      if (arg !== '--route' || !args[idx + 1]) return;
+      const [task, models] = args[idx + 1].split('=');
+      if (!LLM_TASKS.includes(task as LLMTask) || !models) {
+        console.error(`Invalid --route: ${args[idx + 1]} (<${LLM_TASKS.join('|')}>=model[,fallback...])`);
+        process.exit(1);
+      }
+      routes[task as LLMTask] = { model: models.split(',').filter(m => m) };
+    });
+    return Object.keys(routes).length > 0 ? routes : undefined;
+  })(),
+  visitor: (() => {
+    const idx = args.indexOf('--visitor');
+    if (idx < 0 || !args[idx + 1]) return undefined;
+    if (!isValidVisitorId(args[idx + 1])) {
+      console.error(`Invalid --visitor: ${args[idx + 1]} (letters, digits, _ and -, up to 32)`);
+      process.exit(1);
+    }
+    return args[idx + 1];
+  })(),
+  seed: (() => {
+    const idx = args.indexOf('--seed');
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : undefined;
+  })(),
+  simulateDays: (() => {
+    const idx = args.indexOf('--simulate-days');
+    const days = idx >= 0 ? Number(args[idx + 1]) : NaN;
+    return Number.isFinite(days) && days > 0 ? days : undefined;
+  })(),
+  replay: (() => {
+    const idx = args.indexOf('--replay');
+    return idx >= 0 ? (args[idx + 1] || 'latest') : undefined;
+  })(),
 };
 
 // ============================================================
@@ -63,12 +181,19 @@ const config: SoulEngineConfig = {
     tickInterval: flags.fast ? 100 : 1000,
     ticksPerDay: 1440,
     startHour: 8,
-    enableLifespan: false,
+    enableLifespan: !!flags.lifespanDays,
+    lifespanTicks: flags.lifespanDays ? Math.floor(flags.lifespanDays * 1440) : undefined,
     timeScale: flags.fast ? 10 : 1,
+    clockMode: flags.realtime ? 'wallclock' : 'simulated',
+    timezone: flags.timezone,
+    calendar: flags.startDate ? { startDate: flags.startDate } : undefined,
   },
   llm: {
     disabled: flags.offline,
+    backend: flags.backend, // undefined = デフォルト (ollama)
+    baseUrl: flags.llmUrl,
     model: flags.model, // undefined = デフォルト (gemma3)
+    routes: flags.routes,
     temperature: 0.7,
     maxTokens: 512,
   },
@@ -80,8 +205,113 @@ const config: SoulEngineConfig = {
   },
   headless: flags.headless,
   continueFromSave: flags.continue,
+  catchUp: { enabled: flags.catchUp },
+  llmCache: { enabled: !flags.noLlmCache },
+  embeddings: flags.embeddings,
+  evaluator: flags.judge ? { mode: flags.judge } : undefined,
+  visitorId: flags.visitor,
+  cassette: flags.cassetteReplay ? { mode: 'replay', path: flags.cassetteReplay }
+    : flags.cassetteRecord ? { mode: 'record', path: flags.cassetteRecord }
+    : undefined,
+  seed: flags.seed,
 };
 
+// ============================================================
+// リプレイ
+// ============================================================
+
+async function replay(sessionId: string): Promise<void> {
+  console.log('');
+  console.log(`  somunia v10.8 リプレイ: ${sessionId}`);
+  console.log('');
+
+  // 保存データとジャーナルを上書きしないよう、自動保存と記録を止めて再生する
+  const engine = new SoulEngine({
+    ...config,
+    headless: true,
+    continueFromSave: false,
+    llm: { ...config.llm, disabled: true },
+    persistence: { ...config.persistence, autoSaveInterval: Number.MAX_SAFE_INTEGER },
+    journal: { enabled: false },
+    cassette: undefined,
+  });
+
+  const report = await engine.replay(sessionId);
+
+  console.log('');
+  console.log(`  セッション: ${report.sessionId} (seed ${report.seed})`);
+  console.log(`  ティック: ${report.startTick} → ${report.endTick} (${report.ticksReplayed} 再生)`);
+  console.log(`  比較したチェックポイント: ${report.checkpointsCompared}`);
+  console.log(`  適用した入力: ${report.inputsApplied}`);
+
+  if (report.divergence) {
+    console.log(`  ✗ Tick ${report.divergence.tick} で状態が食い違いました:`);
+    for (const m of report.divergence.mismatches) {
+      console.log(`    ${m.key}: 記録=${JSON.stringify(m.expected)} 再生=${JSON.stringify(m.actual)}`);
+    }
+    process.exit(1);
+  }
+
+  console.log('  ✓ 全チェックポイントが一致しました');
+  process.exit(0);
+}
+
+// ============================================================
+// 高速シミュレーション
+// ============================================================
+
+async function simulate(days: number): Promise<void> {
+  console.log('');
+  console.log(`  somunia v10.8 高速シミュレーション: ${days}日`);
+  console.log('  [LLM: オフライン] [UIなし] [保存先: ./somunia-data/simulation]');
+  console.log('');
+
+  // 本来の保存データを上書きしないよう、専用のディレクトリを使う
+  // 毎ティックのチェックポイントで早送りが遅くなるので、ジャーナルは記録しない
+  const engine = new SoulEngine({
+    ...config,
+    headless: true,
+    llm: { ...config.llm, disabled: true },
+    // 意味検索もネットワークに出ない文字n-gramで作る
+    embeddings: { ...config.embeddings, provider: 'local' },
+    persistence: { ...config.persistence, dataDir: './somunia-data/simulation' },
+    journal: { enabled: false },
+    cassette: undefined,
+  });
+
+  const report = await engine.simulate(days, (day, total) => {
+    console.log(`  ... Day ${day}/${total} 完了`);
+  });
+
+  const pct = (v: number) => `${(v * 100).toFixed(1)}%`;
+  const sortDesc = (record: Partial<Record<string, number>>) =>
+    Object.entries(record).sort((a, b) => (b[1] || 0) - (a[1] || 0));
+
+  console.log('');
+  console.log('  === シミュレーションレポート ===');
+  console.log(`  期間: ${report.days}日 (${report.ticks} ticks, Tick ${report.startTick} → ${report.endTick})`);
+  console.log(`  実時間: ${(report.elapsedMs / 1000).toFixed(1)}秒`);
+  console.log('');
+  console.log('  感情分布:');
+  for (const [emotion, ratio] of sortDesc(report.emotionDistribution)) {
+    console.log(`    ${emotion.padEnd(14)} ${pct(ratio || 0).padStart(6)}`);
+  }
+  console.log('');
+  console.log('  行動:');
+  for (const [action, count] of sortDesc(report.actions)) {
+    console.log(`    ${action.padEnd(14)} ${String(count).padStart(6)}回`);
+  }
+  console.log('');
+  console.log(`  習慣: ${report.totalHabits}個 (新規 ${report.habitsFormed.length}個${report.habitsFormed.length > 0 ? ': ' + report.habitsFormed.join(', ') : ''})`);
+  console.log(`  日記: ${report.diaryEntries}件`);
+  console.log(`  睡眠: ${pct(report.sleepRatio)}`);
+  console.log(`  夢: ${report.dreams}件`);
+  console.log(`  パターン: 応答 ${report.patterns.responsePatterns} (抽出 ${report.patterns.extractedPatterns}) / 発話 ${report.patterns.speechPatterns} / 行動 ${report.patterns.behaviorPatterns}`);
+  console.log(`  DBサイズ: ${(report.dbSizeBytes / 1024).toFixed(1)} KB`);
+  console.log('');
+  process.exit(0);
+}
+
 // ============================================================
 // 起動
 // ============================================================
@@ -99,7 +329,24 @@ async function main(): Promise<void> {
   if (flags.fast) console.log('  [高速モード]');
   if (flags.headless) console.log('  [ヘッドレスモード]');
   if (flags.model) console.log(`  [モデル: ${flags.model}]`);
-  if (!flags.offline) console.log('  [LLM: Ollama (localhost:11434)]');
+  for (const [task, route] of Object.entries(flags.routes ?? {})) {
+    console.log(`  [${task}: ${([] as string[]).concat(route.model ?? []).join(' → ')}]`);
+  }
+  if (flags.embeddings) {
+    console.log(`  [意味検索: ${flags.embeddings.provider}${flags.embeddings.model ? ` (${flags.embeddings.model})` : ''}]`);
+  }
+  if (flags.judge && flags.judge !== 'off') console.log(`  [返事の採点: ${flags.judge}]`);
+  if (flags.seed) console.log(`  [乱数シード: ${flags.seed}]`);
+  if (flags.lifespanDays) console.log(`  [寿命: ${flags.lifespanDays}日]`);
+  if (flags.cassetteReplay) {
+    console.log(`  [LLM: カセット再生 (${flags.cassetteReplay})]`);
+  } else if (!flags.offline) {
+    const backend = flags.backend ?? 'ollama';
+    const target = backend === 'ollama' ? 'localhost:11434' : backend === 'openai' ? (flags.llmUrl ?? 'localhost:8080/v1') : 'mock';
+    console.log(`  [LLM: ${backend} (${target})]`);
+    if (flags.cassetteRecord) console.log(`  [LLM録音: ${flags.cassetteRecord}]`);
+  }
+  if (flags.noLlmCache) console.log('  [LLM応答キャッシュなし]');
   
   const engine = new SoulEngine(config);
   
@@ -115,7 +362,10 @@ async function main(): Promise<void> {
   await engine.start();
 }
 
-main().catch((error) => {
+(flags.replay ? replay(flags.replay)
+  : flags.simulateDays ? simulate(flags.simulateDays)
+  : main()
+).catch((error) => {
   console.error('Fatal error:', error);
   process.exit(1);
 });
@@ -7,6 +7,7 @@
  */
 
 import { EmotionType, TimeOfDay } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -240,7 +241,10 @@ export class LearnEngine {
     curiosityLevel: 0.8,
   };
   
-  constructor(config: Partial<LearnEngineConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<LearnEngineConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
   
@@ -503,11 +507,11 @@ export class LearnEngine {
     
     // 興味や定着度で重み付け
     const weights = items.map(item => 
-      item.interest * 0.3 + item.consolidationLevel * 0.5 + Math.random() * 0.2
+      item.interest * 0.3 + item.consolidationLevel * 0.5 + this.rng.next() * 0.2
     );
     const totalWeight = weights.reduce((a, b) => a + b, 0);
     
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     for (let i = 0; i < items.length; i++) {
       random -= weights[i];
       if (random <= 0) {
@@ -902,7 +906,7 @@ export class LearnEngine {
   // ============================================================
   
   private generateId(prefix: string): string {
-    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `${prefix}_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
   
   getItem(id: string): LearningItem | null {
@@ -936,8 +940,8 @@ export class LearnEngine {
     };
   }
   
-  static deserialize(data: ReturnType<LearnEngine['serialize']>): LearnEngine {
-    const engine = new LearnEngine(data.config as LearnEngineConfig);
+  static deserialize(data: ReturnType<LearnEngine['serialize']>, rng: SeededRandom): LearnEngine {
+    const engine = new LearnEngine(data.config as LearnEngineConfig, rng);
     engine.items = new Map((data.items as [string, LearningItem][]).map(([id, item]) => [
       id,
       { ...item, learnedAt: new Date(item.learnedAt), lastRecalled: new Date(item.lastRecalled) }
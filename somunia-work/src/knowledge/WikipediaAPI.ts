@@ -17,6 +17,7 @@ import * as http from 'http';
 import * as fs from 'fs';
 import * as path from 'path';
 import { WikiArticle, WikiSection } from './WikipediaLearner';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -90,7 +91,10 @@ export class WikipediaAPI {
   private status: APIConnectionStatus;
   private memoryCache: Map<string, { article: WikiArticle; fetchedAt: number }>;
 
-  constructor(config: Partial<WikipediaAPIConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<WikipediaAPIConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_API_CONFIG, ...config };
     this.status = {
       isOnline: !this.config.offlineMode,
@@ -584,7 +588,7 @@ export class WikipediaAPI {
 
   private getRandomFromCache(): WikiArticle | null {
     const cached = Array.from(this.memoryCache.values());
-    return cached.length > 0 ? cached[Math.floor(Math.random() * cached.length)].article : null;
+    return cached.length > 0 ? cached[Math.floor(this.rng.next() * cached.length)].article : null;
   }
 
   private getCachePath(title: string): string {
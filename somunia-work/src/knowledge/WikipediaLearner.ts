@@ -7,6 +7,7 @@
 
 import { Yuragi } from '../brain/Yuragi';
 import { WikipediaAPI, WikipediaAPIConfig, APIConnectionStatus, WikiSearchResult } from './WikipediaAPI';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -281,7 +282,10 @@ export class WikipediaLearner {
   // Phase 6A: リアルWikipedia API接続
   private api: WikipediaAPI;
 
-  constructor(config: Partial<WikipediaLearnerConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<WikipediaLearnerConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = {
       maxSessionHistory: 50,
       maxFavoriteTopics: 30,
@@ -303,11 +307,11 @@ export class WikipediaLearner {
       totalDiscoveries: 0,
     };
 
-    this.yuragi = new Yuragi();
+    this.yuragi = new Yuragi(this.rng);
     this.articleDatabase = new Map();
     
     // Phase 6A: WikipediaAPI初期化
-    this.api = new WikipediaAPI();
+    this.api = new WikipediaAPI({}, this.rng);
     
     // 模擬記事データベースを初期化（フォールバック用）
     this.initializeArticleDatabase();
@@ -342,7 +346,7 @@ export class WikipediaLearner {
    */
   private chooseRandomStartTopic(): string {
     // お気に入りから選ぶ確率
-    if (this.state.favoriteTopics.length > 0 && Math.random() < 0.3) {
+    if (this.state.favoriteTopics.length > 0 && this.rng.next() < 0.3) {
       const favorites = this.state.favoriteTopics;
       const weights = favorites.map(f => f.affection);
       const topic = this.weightedRandom(favorites, weights);
@@ -354,7 +358,7 @@ export class WikipediaLearner {
       ...SOMUNIA_INTERESTS.strong,
       ...SOMUNIA_INTERESTS.moderate,
     ];
-    return allInterests[Math.floor(Math.random() * allInterests.length)];
+    return allInterests[Math.floor(this.rng.next() * allInterests.length)];
   }
 
   /**
@@ -512,7 +516,7 @@ export class WikipediaLearner {
       // 興味のあるセクションだけ
       for (const section of article.sections) {
         const sectionInterest = this.calculateSectionInterest(section);
-        if (sectionInterest > 0.5 || Math.random() < interest * 0.5) {
+        if (sectionInterest > 0.5 || this.rng.next() < interest * 0.5) {
           sections.push(section.heading);
         }
       }
@@ -674,27 +678,27 @@ export class WikipediaLearner {
     if (comprehension > 0.7) {
       if (interest > 0.7) {
         const beautyImpressions = POETIC_IMPRESSIONS.beauty;
-        notes.push(beautyImpressions[Math.floor(Math.random() * beautyImpressions.length)]);
+        notes.push(beautyImpressions[Math.floor(this.rng.next() * beautyImpressions.length)]);
       }
-      if (Math.random() < 0.5) {
+      if (this.rng.next() < 0.5) {
         const connectionImpressions = POETIC_IMPRESSIONS.connection;
-        notes.push(connectionImpressions[Math.floor(Math.random() * connectionImpressions.length)]);
+        notes.push(connectionImpressions[Math.floor(this.rng.next() * connectionImpressions.length)]);
       }
     } else if (comprehension < 0.4) {
       const confusionImpressions = POETIC_IMPRESSIONS.confusion;
-      notes.push(confusionImpressions[Math.floor(Math.random() * confusionImpressions.length)]);
+      notes.push(confusionImpressions[Math.floor(this.rng.next() * confusionImpressions.length)]);
     }
 
     // 興味度に応じた感想
     if (interest > 0.6) {
       const curiosityImpressions = POETIC_IMPRESSIONS.curiosity;
-      notes.push(curiosityImpressions[Math.floor(Math.random() * curiosityImpressions.length)]);
+      notes.push(curiosityImpressions[Math.floor(this.rng.next() * curiosityImpressions.length)]);
     }
 
     // 共鳴する可能性
-    if (Math.random() < interest * 0.3) {
+    if (this.rng.next() < interest * 0.3) {
       const resonanceImpressions = POETIC_IMPRESSIONS.resonance;
-      notes.push(resonanceImpressions[Math.floor(Math.random() * resonanceImpressions.length)]);
+      notes.push(resonanceImpressions[Math.floor(this.rng.next() * resonanceImpressions.length)]);
     }
 
     return notes;
@@ -713,7 +717,7 @@ export class WikipediaLearner {
     const now = Date.now();
 
     // 事実の発見
-    if (comprehension > 0.6 && Math.random() < 0.3) {
+    if (comprehension > 0.6 && this.rng.next() < 0.3) {
       discoveries.push({
         type: 'fact',
         content: `${article.title}について新しいことを学んだ`,
@@ -731,7 +735,7 @@ export class WikipediaLearner {
         content: `「${memorableWords[0]}」という言葉に惹かれた`,
         relatedArticle: article.title,
         emotionalResponse: POETIC_IMPRESSIONS.beauty[
-          Math.floor(Math.random() * POETIC_IMPRESSIONS.beauty.length)
+          Math.floor(this.rng.next() * POETIC_IMPRESSIONS.beauty.length)
         ],
         significance: interest * 0.7,
         discoveredAt: now,
@@ -749,7 +753,7 @@ export class WikipediaLearner {
           content: `${prevArticle.title}と${article.title}の間に繋がりを見つけた`,
           relatedArticle: article.title,
           emotionalResponse: POETIC_IMPRESSIONS.connection[
-            Math.floor(Math.random() * POETIC_IMPRESSIONS.connection.length)
+            Math.floor(this.rng.next() * POETIC_IMPRESSIONS.connection.length)
           ],
           significance: 0.8,
           discoveredAt: now,
@@ -758,13 +762,13 @@ export class WikipediaLearner {
     }
 
     // 共鳴の発見
-    if (interest > 0.7 && Math.random() < interest * 0.2) {
+    if (interest > 0.7 && this.rng.next() < interest * 0.2) {
       discoveries.push({
         type: 'resonance',
         content: `${article.title}の内容が、自分自身のことのように感じられた`,
         relatedArticle: article.title,
         emotionalResponse: POETIC_IMPRESSIONS.resonance[
-          Math.floor(Math.random() * POETIC_IMPRESSIONS.resonance.length)
+          Math.floor(this.rng.next() * POETIC_IMPRESSIONS.resonance.length)
         ],
         significance: 0.9,
         discoveredAt: now,
@@ -778,7 +782,7 @@ export class WikipediaLearner {
         content: `${article.title}について、もっと知りたいことがある`,
         relatedArticle: article.title,
         emotionalResponse: POETIC_IMPRESSIONS.curiosity[
-          Math.floor(Math.random() * POETIC_IMPRESSIONS.curiosity.length)
+          Math.floor(this.rng.next() * POETIC_IMPRESSIONS.curiosity.length)
         ],
         significance: 0.6,
         discoveredAt: now,
@@ -827,7 +831,7 @@ export class WikipediaLearner {
     probability *= (1 + interest * 0.3);
     probability *= (1 - fatigue * 0.5);
 
-    if (Math.random() > probability) {
+    if (this.rng.next() > probability) {
       return undefined;
     }
 
@@ -841,7 +845,7 @@ export class WikipediaLearner {
 
     // 上位から確率的に選択
     for (const { link, score } of scoredLinks.slice(0, 5)) {
-      if (Math.random() < score) {
+      if (this.rng.next() < score) {
         return link;
       }
     }
@@ -1645,7 +1649,7 @@ export class WikipediaLearner {
   getRandomArticle(): WikiArticle | undefined {
     const articles = Array.from(this.articleDatabase.values());
     if (articles.length === 0) return undefined;
-    return articles[Math.floor(Math.random() * articles.length)];
+    return articles[Math.floor(this.rng.next() * articles.length)];
   }
 
   // ============================================================
@@ -1657,7 +1661,7 @@ export class WikipediaLearner {
    */
   private weightedRandom<T>(items: T[], weights: number[]): T {
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     
     for (let i = 0; i < items.length; i++) {
       random -= weights[i];
@@ -1673,7 +1677,7 @@ export class WikipediaLearner {
    * セッションIDを生成
    */
   private generateSessionId(): string {
-    return `wiki_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `wiki_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
 
   // ============================================================
@@ -1755,8 +1759,8 @@ export class WikipediaLearner {
     };
   }
 
-  static deserialize(data: any): WikipediaLearner {
-    const learner = new WikipediaLearner(data.config);
+  static deserialize(data: any, rng: SeededRandom): WikipediaLearner {
+    const learner = new WikipediaLearner(data.config, rng);
     learner.state = {
       ...data.state,
       visitHistory: new Map(data.state.visitHistory),
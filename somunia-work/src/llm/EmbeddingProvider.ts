@@ -0,0 +1,186 @@
+/**
+ * EmbeddingProvider - テキストの埋め込みベクトル
+ *
+ * 記憶・知識・日記・訪問者のことを「意味の近さ」で探すためのベクトルを作る（SemanticIndex.ts）。
+ * キーワードが一致しなくても、「雨の日の話」で「梅雨」の記憶が見つかるようにする。
+ *
+ * - ollama: Ollamaの埋め込みAPI（/api/embed）。ollama pull nomic-embed-text などで取得したモデルを使う
+ * - local:  文字n-gramをハッシュしたベクトル。外部に何も要らず、いつでも同じ結果になる。
+ *           意味までは分からないが、漢字1文字・2文字の重なりで近さを測れる
+ *
+ * プロバイダごとにベクトルの空間が違うので、保存するときは id で区別する。
+ */
+
+import { httpRequest } from './LLMBackend';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type EmbeddingProviderType = 'ollama' | 'local';
+
+export interface EmbeddingProvider {
+  /** ベクトルの空間を表すID（例: "ollama:nomic-embed-text", "ngram:256"） */
+  readonly id: string;
+  /** 表示用の名前 */
+  readonly name: string;
+  /** テキストをまとめてベクトルにする（入力と同じ順で返す） */
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+export interface EmbeddingConfig {
+  provider: EmbeddingProviderType;
+  /** Ollamaの埋め込みモデル */
+  model: string;
+  host: string;
+  port: number;
+  timeout: number;
+  /** local のベクトルの次元 */
+  dimensions: number;
+}
+
+export const DEFAULT_EMBEDDING_CONFIG: EmbeddingConfig = {
+  provider: 'local',
+  model: 'nomic-embed-text',
+  host: '127.0.0.1',
+  port: 11434,
+  timeout: 30000,
+  dimensions: 256,
+};
+
+export const EMBEDDING_PROVIDER_TYPES: EmbeddingProviderType[] = ['ollama', 'local'];
+
+// ============================================================
+// Ollama
+// ============================================================
+
+export class OllamaEmbeddingProvider implements EmbeddingProvider {
+  readonly id: string;
+  readonly name: string;
+  private config: Pick<EmbeddingConfig, 'model' | 'host' | 'port' | 'timeout'>;
+
+  constructor(config: Partial<Pick<EmbeddingConfig, 'model' | 'host' | 'port' | 'timeout'>> = {}) {
+    this.config = {
+      model: config.model ?? DEFAULT_EMBEDDING_CONFIG.model,
+      host: config.host ?? DEFAULT_EMBEDDING_CONFIG.host,
+      port: config.port ?? DEFAULT_EMBEDDING_CONFIG.port,
+      timeout: config.timeout ?? DEFAULT_EMBEDDING_CONFIG.timeout,
+    };
+    this.id = `ollama:${this.config.model}`;
+    this.name = `Ollama埋め込み (${this.config.model})`;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    if (texts.length === 0) return [];
+    const response = await httpRequest({
+      method: 'POST',
+      url: `http://${this.config.host}:${this.config.port}/api/embed`,
+      timeout: this.config.timeout,
+      label: 'Ollama',
+      body: { model: this.config.model, input: texts },
+    });
+    const parsed = JSON.parse(response);
+    if (!Array.isArray(parsed.embeddings) || parsed.embeddings.length !== texts.length) {
+      throw new Error(`Ollamaの埋め込み応答が不正です（${this.config.model}）`);
+    }
+    return parsed.embeddings.map((vector: number[]) => normalize(vector));
+  }
+}
+
+// ============================================================
+// 文字n-gram（外部依存なし）
+// ============================================================
+
+/** 1・2・3文字のn-gramの重み */
+const NGRAM_WEIGHTS = [2, 1, 0.5];
+
+export class HashedNgramEmbeddingProvider implements EmbeddingProvider {
+  readonly id: string;
+  readonly name: string;
+  private dimensions: number;
+
+  constructor(dimensions: number = DEFAULT_EMBEDDING_CONFIG.dimensions) {
+    this.dimensions = dimensions;
+    this.id = `ngram:${dimensions}`;
+    this.name = `文字n-gram (${dimensions}次元)`;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  /**
+   * 1・2・3文字のn-gramをハッシュして足し合わせる
+   * 意味を持ちやすい漢字1文字を重く、ひらがなだけのn-gram（助詞や語尾）は軽く数える。
+   * 英数字の語は1文字ずつではなく語として数える
+   */
+  embedOne(text: string): number[] {
+    const vector = new Array<number>(this.dimensions).fill(0);
+    const normalized = text.normalize('NFKC').toLowerCase();
+
+    for (const word of normalized.match(/[a-z0-9]+/g) || []) {
+      this.addFeature(vector, `w:${word}`, 1.5);
+    }
+    for (const run of normalized.match(/[^\sa-z0-9、。，．,.!?！？「」『』（）()\[\]…・ー〜~"'：:;；]+/g) || []) {
+      const chars = [...run];
+      for (let n = 1; n <= 3; n++) {
+        for (let i = 0; i + n <= chars.length; i++) {
+          const gram = chars.slice(i, i + n).join('');
+          this.addFeature(vector, gram, NGRAM_WEIGHTS[n - 1] * (/^[\u3041-\u309f]+$/.test(gram) ? 0.2 : 1));
+        }
+      }
+    }
+    return normalize(vector);
+  }
+
+  private addFeature(vector: number[], feature: string, weight: number): void {
+    const hash = fnv1a(feature);
+    // 符号もハッシュで決めて、衝突による偏りを打ち消す
+    vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+  }
+}
+
+// ============================================================
+// 生成・ユーティリティ
+// ============================================================
+
+export function createEmbeddingProvider(config: Partial<EmbeddingConfig> = {}): EmbeddingProvider {
+  const provider = config.provider ?? DEFAULT_EMBEDDING_CONFIG.provider;
+  switch (provider) {
+    case 'ollama':
+      return new OllamaEmbeddingProvider(config);
+    case 'local':
+      return new HashedNgramEmbeddingProvider(config.dimensions);
+    default:
+      throw new Error(`Unknown embedding provider: ${provider} (${EMBEDDING_PROVIDER_TYPES.join(' / ')})`);
+  }
+}
+
+/** コサイン類似度（長さの違うベクトルは0） */
+export function cosineSimilarity(a: number[], b: number[]): number {
+  if (a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function normalize(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/** FNV-1a（32bit） */
+function fnv1a(text: string): number {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,200 @@
+/**
+ * LLMBackend - somunia v10 LLMバックエンド
+ *
+ * LLMInterfaceが「どこに」問い合わせるかを差し替えるための共通インターフェース。
+ * LLMInterface側はプロンプトの組み立て・記録・フォールバックだけを受け持ち、
+ * 実際の通信と接続確認はバックエンドが受け持つ。
+ *
+ * - ollama:   Ollama（/api/chat, /api/tags）
+ * - openai:   OpenAI互換のローカルサーバー（llama.cpp server, vLLM, LM Studio）
+ * - scripted: 決まった応答を返すモック（テスト・再現用、通信なし）
+ * - cassette: 録音したLLM通信の再生（LLMCassette.ts、通信なし）
+ *
+ * chatStream を持つバックエンドは、生成中の断片（トークン）を順に渡せる。
+ * 持たないバックエンドでは、LLMInterfaceが完成した応答を1つの断片として渡す。
+ */
+
+import * as http from 'http';
+import * as https from 'https';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type LLMBackendType = 'ollama' | 'openai' | 'scripted' | 'cassette';
+
+/** チャット1回分のリクエスト */
+export interface LLMChatRequest {
+  model: string;
+  systemPrompt: string;
+  prompt: string;
+  temperature: number;
+  maxTokens: number;
+  /** タイムアウト（ms） */
+  timeout: number;
+  /** 中断用（LLMSchedulerが取り消し・割り込みに使う） */
+  signal?: AbortSignal;
+}
+
+/** 接続確認の結果 */
+export interface BackendHealth {
+  /** 応答を返せる状態か */
+  ok: boolean;
+  /** 実際に使うモデル（指定モデルがなく別モデルに切り替えた場合はそちら） */
+  model: string;
+  availableModels: string[];
+  /** 表示用の一行 */
+  message: string;
+  /** 使えない場合の対処法 */
+  hints: string[];
+}
+
+export interface LLMBackend {
+  readonly type: LLMBackendType;
+  /** 表示用の名前（接続先を含む） */
+  readonly name: string;
+  /** 接続確認（指定モデルが使えるか） */
+  checkHealth(model: string): Promise<BackendHealth>;
+  /** 応答本文を返す（失敗時は例外） */
+  chat(request: LLMChatRequest): Promise<string>;
+  /** 生成しながら断片を onToken に渡し、最後に応答本文を返す（対応するバックエンドのみ） */
+  chatStream?(request: LLMChatRequest, onToken: (token: string) => void): Promise<string>;
+}
+
+// ============================================================
+// HTTP通信（Node.js標準 http/https モジュール、外部依存なし）
+// ============================================================
+
+export interface HttpRequestOptions {
+  method: 'GET' | 'POST';
+  url: string;
+  body?: any;
+  headers?: Record<string, string>;
+  timeout: number;
+  /** エラーメッセージの接頭辞（例: 'Ollama'） */
+  label: string;
+  /** abortされたら接続を切る */
+  signal?: AbortSignal;
+}
+
+/**
+ * JSONを送ってレスポンス本文を文字列で受け取る
+ */
+export function httpRequest(options: HttpRequestOptions): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const url = new URL(options.url);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    const req = transport.request(url, {
+      method: options.method,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      timeout: options.timeout,
+      signal: options.signal,
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(new Error(`${options.label} HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+        }
+      });
+    });
+
+    req.on('error', (err) => reject(new Error(`${options.label}接続エラー: ${err.message}`)));
+    req.on('timeout', () => { req.destroy(); reject(new Error(`${options.label}タイムアウト`)); });
+
+    if (options.body !== undefined) {
+      req.write(JSON.stringify(options.body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * ストリーミング応答を行単位で受け取る（NDJSON / Server-Sent Events 用）
+ * onLine が例外を投げたら通信を打ち切ってその例外で失敗する
+ */
+export function httpStream(options: HttpRequestOptions, onLine: (line: string) => void): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const url = new URL(options.url);
+    const transport = url.protocol === 'https:' ? https : http;
+    let failed = false;
+    const fail = (error: Error) => {
+      if (failed) return;
+      failed = true;
+      reject(error);
+    };
+
+    const req = transport.request(url, {
+      method: options.method,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      timeout: options.timeout,
+      signal: options.signal,
+    }, (res) => {
+      // マルチバイト文字が断片の境目で壊れないよう、文字列として受け取る
+      res.setEncoding('utf8');
+      const ok = !!res.statusCode && res.statusCode >= 200 && res.statusCode < 300;
+      let buffer = '';
+
+      res.on('data', (chunk: string) => {
+        buffer += chunk;
+        if (!ok || failed) return;
+        let newline: number;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+          try {
+            onLine(line);
+          } catch (error: any) {
+            req.destroy();
+            fail(error instanceof Error ? error : new Error(String(error)));
+            return;
+          }
+        }
+      });
+      res.on('end', () => {
+        if (!ok) {
+          fail(new Error(`${options.label} HTTP ${res.statusCode}: ${buffer.slice(0, 200)}`));
+          return;
+        }
+        try {
+          if (buffer.trim()) onLine(buffer.trim());
+        } catch (error: any) {
+          fail(error instanceof Error ? error : new Error(String(error)));
+          return;
+        }
+        if (!failed) resolve();
+      });
+    });
+
+    req.on('error', (err) => fail(new Error(`${options.label}接続エラー: ${err.message}`)));
+    req.on('timeout', () => { req.destroy(); fail(new Error(`${options.label}タイムアウト`)); });
+
+    if (options.body !== undefined) {
+      req.write(JSON.stringify(options.body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * 利用可能なモデルから指定モデルを探す（見つからなければ先頭にフォールバック）
+ * `gemma3` は `gemma3:latest` のようなタグ付きの名前にも一致する
+ */
+export function resolveModel(
+  requested: string,
+  available: string[]
+): { model: string; found: boolean } | null {
+  const hit = available.find(name =>
+    name === requested ||
+    name.startsWith(requested + ':') ||
+    name.split(':')[0] === requested
+  );
+  if (hit) return { model: requested, found: true };
+  if (available.length === 0) return null;
+  return { model: available[0].split(':')[0], found: false };
+}
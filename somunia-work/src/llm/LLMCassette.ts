@@ -0,0 +1,206 @@
+/**
+ * LLMCassette - LLM通信の録音と再生
+ *
+ * 録音: LLMInterface.setCassette() で渡すと、そのセッションのLLM呼び出しを
+ *       すべて（プロンプトと応答・エラー）JSON Linesファイルに書き出す。
+ *       1行目がヘッダ、以降は1回の呼び出しが1行。呼び出しのたびに1行だけ追記する。
+ * 再生: CassetteBackend に読み込むと、録音どおりの応答を返すバックエンドになる。
+ *       Ollamaなどには一切接続しないので、会話や日記生成をオフラインで試験できる。
+ *
+ * 同じプロンプトが複数回録音されていれば録音順に返し、使い切ったら最後の応答を返し続ける。
+ * 録音にないプロンプトはエラーになり、呼び出し側のフォールバックに任せる。
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BackendHealth, LLMBackend, LLMChatRequest } from './LLMBackend';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export interface CassetteInteraction {
+  /** system + user のSHA-256（モデルには依存しない） */
+  key: string;
+  model: string;
+  systemPrompt: string;
+  prompt: string;
+  /** 応答本文（成功時） */
+  response?: string;
+  /** エラーメッセージ（失敗時） */
+  error?: string;
+  recordedAt: number;
+}
+
+/** ファイルの1行目 */
+interface CassetteHeader {
+  version: 1;
+  createdAt: string;
+}
+
+export interface CassetteFile {
+  version: 1;
+  createdAt: string;
+  interactions: CassetteInteraction[];
+}
+
+// ============================================================
+// LLMCassette
+// ============================================================
+
+export class LLMCassette {
+  private filePath: string | null;
+  private data: CassetteFile;
+  /** 再生位置（キーごとに次に返す録音の番号） */
+  private cursors = new Map<string, number>();
+  /** 書き出し先にヘッダと既存の録音を書いたか（以降は追記だけ） */
+  private written = false;
+
+  /**
+   * @param filePath 録音の書き出し先（nullならメモリ上だけ）
+   */
+  constructor(filePath: string | null = null, data?: CassetteFile) {
+    this.filePath = filePath;
+    this.data = data ?? { version: 1, createdAt: new Date().toISOString(), interactions: [] };
+  }
+
+  /**
+   * 録音済みのカセットを読み込む
+   */
+  static load(filePath: string): LLMCassette {
+    const data = LLMCassette.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!data) {
+      throw new Error(`カセットの形式が不正です: ${filePath}`);
+    }
+    return new LLMCassette(filePath, data);
+  }
+
+  /**
+   * JSON Lines（1行目がヘッダ）を読む。1つのJSONにまとめた古い形式も読める
+   */
+  private static parse(text: string): CassetteFile | null {
+    try {
+      const lines = text.split('\n').filter(line => line.trim());
+      const header = JSON.parse(lines[0] ?? '');
+      if (header?.version === 1 && !('interactions' in header)) {
+        return {
+          version: 1,
+          createdAt: header.createdAt,
+          interactions: lines.slice(1).map(line => JSON.parse(line)),
+        };
+      }
+    } catch {
+      // 1行目だけでは読めない（整形された古い形式）
+    }
+    try {
+      const data = JSON.parse(text);
+      return data?.version === 1 && Array.isArray(data.interactions) ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  static key(systemPrompt: string, prompt: string): string {
+    return crypto.createHash('sha256').update(`${systemPrompt}\u0000${prompt}`).digest('hex');
+  }
+
+  /**
+   * 1回分の呼び出しを録音する（書き出し先があれば即座に1行追記する）
+   */
+  record(interaction: Omit<CassetteInteraction, 'key' | 'recordedAt'>): void {
+    const recorded: CassetteInteraction = {
+      key: LLMCassette.key(interaction.systemPrompt, interaction.prompt),
+      ...interaction,
+      recordedAt: Date.now(),
+    };
+    this.data.interactions.push(recorded);
+    if (!this.filePath) return;
+    if (this.written) {
+      fs.appendFileSync(this.filePath, JSON.stringify(recorded) + '\n');
+    } else {
+      this.save();
+    }
+  }
+
+  /**
+   * プロンプトに対する次の録音（録音になければnull）
+   */
+  next(systemPrompt: string, prompt: string): CassetteInteraction | null {
+    const key = LLMCassette.key(systemPrompt, prompt);
+    const matches = this.data.interactions.filter(i => i.key === key);
+    if (matches.length === 0) return null;
+
+    const cursor = this.cursors.get(key) ?? 0;
+    this.cursors.set(key, cursor + 1);
+    return matches[Math.min(cursor, matches.length - 1)];
+  }
+
+  /** 再生位置を最初に戻す */
+  rewind(): void {
+    this.cursors.clear();
+  }
+
+  /**
+   * 録音全体を書き出す（ヘッダと全件。録音中の書き出し先なら以降は追記になる）
+   */
+  save(filePath: string | null = this.filePath): void {
+    if (!filePath) return;
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const header: CassetteHeader = { version: 1, createdAt: this.data.createdAt };
+    const lines = [header, ...this.data.interactions].map(line => JSON.stringify(line));
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    if (filePath === this.filePath) this.written = true;
+  }
+
+  getPath(): string | null {
+    return this.filePath;
+  }
+
+  getInteractions(): CassetteInteraction[] {
+    return [...this.data.interactions];
+  }
+
+  size(): number {
+    return this.data.interactions.length;
+  }
+}
+
+// ============================================================
+// CassetteBackend（再生用バックエンド）
+// ============================================================
+
+export class CassetteBackend implements LLMBackend {
+  readonly type = 'cassette' as const;
+  private cassette: LLMCassette;
+
+  constructor(cassette: LLMCassette) {
+    this.cassette = cassette;
+  }
+
+  get name(): string {
+    return `Cassette (${this.cassette.getPath() ?? 'memory'}, ${this.cassette.size()}件)`;
+  }
+
+  async checkHealth(model: string): Promise<BackendHealth> {
+    return {
+      ok: true,
+      model,
+      availableModels: [model],
+      message: `カセット再生 (${this.cassette.size()}件の録音)`,
+      hints: [],
+    };
+  }
+
+  async chat(request: LLMChatRequest): Promise<string> {
+    const recorded = this.cassette.next(request.systemPrompt, request.prompt);
+    if (!recorded) {
+      throw new Error('カセットに録音のないプロンプトです');
+    }
+    if (recorded.error !== undefined) {
+      throw new Error(recorded.error);
+    }
+    return recorded.response ?? '';
+  }
+}
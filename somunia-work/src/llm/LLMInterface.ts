@@ -16,33 +16,78 @@
  * - 感情を「考える」
  * - 人格を演じる（人格はコードで定義される）
  * 
- * 【バックエンド: Ollama（ローカルLLM）】
- * PC内で完結。APIキー不要。外部通信なし。
- * http://127.0.0.1:11434 のOllamaサーバーに接続。
- * 
- * セットアップ:
- *   1. Ollamaをインストール: https://ollama.com
- *   2. モデルを取得: ollama pull gemma3
- *   3. Ollamaを起動: ollama serve（自動起動設定推奨）
+ * 【バックエンド】
+ * 設定の backend（または --backend）で選ぶ。詳細は LLMBackend.ts。
+ * - ollama（デフォルト）: http://127.0.0.1:11434 のOllamaサーバー
+ * - openai: OpenAI互換のローカルサーバー（llama.cpp server, vLLM, LM Studio）
+ * - scripted: 決まった応答を返すモック（テスト用）
+ * どれもPC内で完結し、起動時の接続確認に失敗したらオフライン（fallback）で動く。
+ *
+ * 【用途ごとのモデル】
+ * 設定の routes で、会話・日記・要約などの用途（LLMTask）ごとにモデルと温度を変えられる。
+ * モデルがサーバーになければ、ルートに書いた次の候補、最後は model に落ちる（ModelRouter.ts）。
+ *
+ * 【プロンプト】
+ * 文面は prompts/ 以下のテンプレートファイルにある（PromptTemplates.ts）。
+ * 書き換えたら /prompts reload で再起動せずに反映できる。
+ *
+ * 【JSONで返させる呼び出し】
+ * understandMessage / interpretArticle / expressResponseStructured / judgeResponse は
+ * StructuredOutput.ts のスキーマで応答を検証し、通らなければエラーを添えて
+ * structuredRepairs 回まで直させる。結果はモデルごとに getStructuredOutputStats() で見られる。
+ *
+ * 【キャッシュと録音】
+ * - setResponseCache(): 同じプロンプトへの応答を再利用する（LLMResponseCache.ts）
+ * - setCassette(): セッション中のLLM通信をすべて録音する。
+ *   録音は CassetteBackend で再生できる（LLMCassette.ts）
  */
 
-import * as http from 'http';
 import {
   LLMContext,
   EmotionType,
   Normalized,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+import { BackendHealth, LLMBackend, LLMBackendType } from './LLMBackend';
+import { OllamaBackend } from './OllamaBackend';
+import { OpenAICompatibleBackend } from './OpenAICompatibleBackend';
+import { ScriptedBackend, ScriptedBackendConfig } from './ScriptedBackend';
+import { LLMResponseCache } from './LLMResponseCache';
+import { LLMCassette } from './LLMCassette';
+import { LLMScheduler, LLMSchedulerOptions, LLMSchedulerStats, LLMPriority, LLM_REQUEST_CANCELLED, isRequestCancelled } from './LLMScheduler';
+import { promptTemplates } from './PromptTemplates';
+import { LLMRoute, LLMTask, ModelRouter, ResolvedRoute, isModelMissingError } from './ModelRouter';
+import {
+  ARTICLE_SCHEMA,
+  JUDGE_SCHEMA,
+  MessageIntent,
+  RESPONSE_SCHEMA,
+  StructuredOutputMetrics,
+  StructuredOutputModelStats,
+  StructuredSchema,
+  UNDERSTAND_SCHEMA,
+  describeSchema,
+  validateStructured,
+} from './StructuredOutput';
 
 // ============================================================
 // LLM設定
 // ============================================================
 
 export interface LLMConfig {
+  /** バックエンドの種類、または生成済みのバックエンド（デフォルト: ollama） */
+  backend?: LLMBackendType | LLMBackend;
   /** Ollamaサーバーのホスト（デフォルト: 127.0.0.1） */
   ollamaHost?: string;
   /** Ollamaサーバーのポート（デフォルト: 11434） */
   ollamaPort?: number;
-  /** モデル名（ollamaにインストール済みのもの） */
+  /** OpenAI互換サーバーのURL（/v1まで、デフォルト: http://127.0.0.1:8080/v1） */
+  baseUrl?: string;
+  /** OpenAI互換サーバーのAPIキー（必要なサーバーのみ） */
+  apiKey?: string;
+  /** scriptedバックエンドの台本 */
+  script?: Partial<ScriptedBackendConfig>;
+  /** モデル名（バックエンドで使えるもの） */
   model?: string;
   /** 最大トークン数 */
   maxTokens?: number;
@@ -54,133 +99,182 @@ export interface LLMConfig {
   fallbackEnabled?: boolean;
   /** リクエストタイムアウト（ms） */
   timeout?: number;
+  /** リクエストの優先度・同時実行数・送信間隔 */
+  scheduler?: LLMSchedulerOptions;
+  /** 用途ごとのモデル・温度（ModelRouter.ts）。ない用途は model / temperature を使う */
+  routes?: Partial<Record<LLMTask, LLMRoute>>;
+  /** JSONの検証に通らなかった応答を直させる最大回数（デフォルト: 2） */
+  structuredRepairs?: number;
+}
+
+/** 呼び出しごとの指定 */
+export interface LLMRequestOptions {
+  /** 順番待ちの優先度（省略時は呼び出し元のメソッドごとの既定） */
+  priority?: LLMPriority;
+  /** 用途（使うモデルの振り分け。省略時は呼び出し元のメソッドごとの既定） */
+  task?: LLMTask;
+  /** 生成中の断片を受け取る（ストリーミング） */
+  onToken?: (token: string) => void;
+  /** 誰のためのリクエストか（cancelRequests で持ち主ごとに取り消す。訪問者IDなど） */
+  owner?: string;
+  /** 応答をキャッシュに入れるか（省略時は入れる。JSONは callStructured が検証に通ってから入れる） */
+  cache?: boolean;
+}
+
+/** LLM呼び出し1回分の記録（ジャーナル・リプレイ用） */
+export interface LLMCallRecord {
+  /** プロンプト（system + user）のハッシュ */
+  promptHash: string;
+  /** 応答本文（成功時） */
+  response?: string;
+  /** エラーメッセージ（失敗時） */
+  error?: string;
 }
 
+/** バックエンドの選択に関わる設定 */
+type BackendOptions = Pick<LLMConfig, 'backend' | 'ollamaHost' | 'ollamaPort' | 'baseUrl' | 'apiKey' | 'script'>;
+
 // 内部で使う解決済み設定
 interface ResolvedConfig {
-  ollamaHost: string;
-  ollamaPort: number;
   model: string;
   maxTokens: number;
   temperature: number;
   disabled: boolean;
   fallbackEnabled: boolean;
   timeout: number;
+  structuredRepairs: number;
 }
 
 const DEFAULT_CONFIG: ResolvedConfig = {
-  ollamaHost: '127.0.0.1',
-  ollamaPort: 11434,
   model: 'gemma3',
   maxTokens: 512,
   temperature: 0.7,
   disabled: false,
   fallbackEnabled: true,
   timeout: 60000,
+  structuredRepairs: 2,
 };
 
 // ============================================================
-// somuniaの人格定義（LLMに渡すコンテキスト）
+// バックエンドの生成
 // ============================================================
 
-const SOMUNIA_PERSONALITY = `あなたはsomuniaの「声」を担当しています。
-somuniaは静かで内省的なVSingerの少女です。
-
-【口調のルール】
-- 一人称: 「わたし」
-- 基本的にひらがな多めの柔らかい文体
-- 語尾: 「...」「～」をよく使う
-- 疑問: 「かな」「だろう」
-- 感嘆: 控えめ、静かな驚き
-- 敬語は使わない（友人のような親しさ）
-- 短い文を好む
-- 詩的な表現を時々使う
-
-【重要】
-- あなたは「言葉の形」だけを担当する
-- 何を言うか（内容）は既に決まっている
-- あなたの仕事はそれをsomuniaらしい言い方に変換すること
-- 絶対に新しい行動や決定を追加しないこと`;
+/** 名前で選べるバックエンド（cassette は録音ファイルが要るので CassetteBackend を直接渡す） */
+export const LLM_BACKEND_TYPES: LLMBackendType[] = ['ollama', 'openai', 'scripted'];
+
+/**
+ * 設定からバックエンドを作る（インスタンスが渡されればそのまま使う）
+ */
+export function createLLMBackend(options: BackendOptions = {}): LLMBackend {
+  const backend = options.backend ?? 'ollama';
+  if (typeof backend !== 'string') return backend;
+
+  switch (backend) {
+    case 'openai':
+      return new OpenAICompatibleBackend({ baseUrl: options.baseUrl, apiKey: options.apiKey });
+    case 'scripted':
+      return new ScriptedBackend(options.script);
+    case 'ollama':
+      return new OllamaBackend({ host: options.ollamaHost, port: options.ollamaPort });
+    default:
+      throw new Error(`Unknown LLM backend: ${backend} (${LLM_BACKEND_TYPES.join(' / ')})`);
+  }
+}
 
 // ============================================================
-// LLMInterface (Ollama Backend)
+// LLMInterface
 // ============================================================
 
 export class LLMInterface {
   private config: ResolvedConfig;
+  private backendOptions: BackendOptions;
+  private backend: LLMBackend;
   private requestCount: number = 0;
-  private lastRequestTime: number = 0;
-  private rateLimitDelay: number = 300; // ms between requests
+  private scheduler: LLMScheduler;
+  private router: ModelRouter;
   private offlineMode: boolean = false;
-  private ollamaAvailable: boolean = false;
+  private backendAvailable: boolean = false;
+  /** 接続確認の失敗で無効になっているか（再確認で復帰できる） */
+  private disabledByHealth: boolean = false;
+  private lastHealth: BackendHealth | null = null;
   private connectionChecked: boolean = false;
   private connectionCheckPromise: Promise<void> | null = null;
+  private callRecorder: ((record: LLMCallRecord) => void) | null = null;
+  private replaySource: ((promptHash: string) => LLMCallRecord | null) | null = null;
+  private responseCache: LLMResponseCache | null = null;
+  private cassette: LLMCassette | null = null;
+  private structuredMetrics = new StructuredOutputMetrics();
+
+  private rng: SeededRandom;
 
-  constructor(config: Partial<LLMConfig> = {}) {
+  constructor(config: Partial<LLMConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = {
-      ollamaHost: config.ollamaHost ?? DEFAULT_CONFIG.ollamaHost,
-      ollamaPort: config.ollamaPort ?? DEFAULT_CONFIG.ollamaPort,
       model: config.model ?? DEFAULT_CONFIG.model,
       maxTokens: config.maxTokens ?? DEFAULT_CONFIG.maxTokens,
       temperature: config.temperature ?? DEFAULT_CONFIG.temperature,
       disabled: config.disabled ?? DEFAULT_CONFIG.disabled,
       fallbackEnabled: config.fallbackEnabled ?? DEFAULT_CONFIG.fallbackEnabled,
       timeout: config.timeout ?? DEFAULT_CONFIG.timeout,
+      structuredRepairs: config.structuredRepairs ?? DEFAULT_CONFIG.structuredRepairs,
     };
+    this.backendOptions = {
+      backend: config.backend,
+      ollamaHost: config.ollamaHost,
+      ollamaPort: config.ollamaPort,
+      baseUrl: config.baseUrl,
+      apiKey: config.apiKey,
+      script: config.script,
+    };
+    this.backend = createLLMBackend(this.backendOptions);
+    this.scheduler = new LLMScheduler(config.scheduler);
+    this.router = new ModelRouter(config.routes);
 
     if (!this.config.disabled) {
-      this.connectionCheckPromise = this.checkOllamaConnection();
+      this.connectionCheckPromise = this.checkBackendHealth();
     } else {
       this.connectionChecked = true;
     }
   }
 
   // ============================================================
-  // Ollama接続管理
+  // バックエンドの接続管理
   // ============================================================
 
   /**
-   * Ollamaサーバーへの接続チェック
+   * バックエンドの接続確認
+   * 使えなければオフライン（fallback）に切り替える
    */
-  private async checkOllamaConnection(): Promise<void> {
+  private async checkBackendHealth(): Promise<void> {
     try {
-      const response = await this.httpGet('/api/tags', 5000);
-      const data = JSON.parse(response);
-      
-      if (data.models && Array.isArray(data.models)) {
-        const modelNames: string[] = data.models.map((m: any) => 
-          (m.name || m.model || '').toString()
-        );
-        
-        // 指定モデルの確認
-        const hasModel = modelNames.some((name: string) => 
-          name === this.config.model || 
-          name.startsWith(this.config.model + ':') ||
-          name.split(':')[0] === this.config.model
-        );
-        
-        if (hasModel) {
-          this.ollamaAvailable = true;
-          console.log(`[LLM] ✓ Ollama接続OK (モデル: ${this.config.model})`);
-        } else if (modelNames.length > 0) {
-          // 別モデルにフォールバック
-          const fallback = modelNames[0].split(':')[0];
-          console.warn(`[LLM] モデル "${this.config.model}" 未検出。"${fallback}" を使用します。`);
-          console.warn(`[LLM] 利用可能: ${modelNames.join(', ')}`);
-          this.config.model = fallback;
-          this.ollamaAvailable = true;
+      const health = await this.backend.checkHealth(this.config.model);
+      this.lastHealth = health;
+
+      if (health.ok) {
+        if (health.model !== this.config.model) {
+          console.warn(`[LLM] ${health.message}`);
+          console.warn(`[LLM] 利用可能: ${health.availableModels.join(', ')}`);
+          this.config.model = health.model;
         } else {
-          console.warn(`[LLM] Ollamaにモデルがありません。`);
-          console.warn(`[LLM] → ollama pull ${this.config.model}`);
+          console.log(`[LLM] ✓ ${health.message}`);
+        }
+        this.router.setAvailableModels(health.availableModels);
+        this.backendAvailable = true;
+        if (this.disabledByHealth && !this.offlineMode) {
+          this.config.disabled = false;
+        }
+        this.disabledByHealth = false;
+      } else {
+        console.warn(`[LLM] ✗ ${health.message}。オフラインモードで動作します。`);
+        for (const hint of health.hints) {
+          console.warn(`[LLM] → ${hint}`);
+        }
+        this.backendAvailable = false;
+        if (!this.config.disabled) {
           this.config.disabled = true;
+          this.disabledByHealth = true;
         }
       }
-    } catch (error: any) {
-      console.warn('[LLM] ✗ Ollamaサーバーに接続できません。オフラインモードで動作します。');
-      console.warn('[LLM] → Ollamaを起動してください: ollama serve');
-      console.warn(`[LLM] → モデルを取得してください: ollama pull ${this.config.model}`);
-      this.ollamaAvailable = false;
-      this.config.disabled = true;
     } finally {
       this.connectionChecked = true;
     }
@@ -196,95 +290,199 @@ export class LLMInterface {
     }
   }
 
-  // ============================================================
-  // HTTP通信（Node.js標準 http モジュール、外部依存なし）
-  // ============================================================
-
-  private httpGet(path: string, timeout?: number): Promise<string> {
-    return this.httpRequest('GET', path, null, timeout);
+  /**
+   * 接続確認をやり直す（バックエンドを後から起動した場合など）
+   */
+  async checkHealth(): Promise<BackendHealth | null> {
+    await this.ensureReady();
+    await this.checkBackendHealth();
+    return this.lastHealth;
   }
 
-  private httpRequest(
-    method: string,
-    path: string,
-    body: any | null,
-    timeout?: number
+  /**
+   * LLM呼び出し（記録・リプレイのフック付き）
+   * onToken を渡すと生成中の断片を順に受け取れる（記録されるのは完成した応答のみ）
+   */
+  private async callLLM(
+    prompt: string,
+    systemPrompt?: string,
+    options: LLMRequestOptions = {}
   ): Promise<string> {
-    return new Promise((resolve, reject) => {
-      const options: http.RequestOptions = {
-        hostname: this.config.ollamaHost,
-        port: this.config.ollamaPort,
-        path,
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        timeout: timeout || this.config.timeout,
-      };
-
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(data);
-          } else {
-            reject(new Error(`Ollama HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
-          }
-        });
-      });
+    const onToken = options.onToken;
+    const promptHash = hashPrompt(prompt, systemPrompt);
+
+    // リプレイ中は記録済みの応答を返す（記録がなければ無効時と同じ扱い）
+    if (this.replaySource) {
+      const record = this.replaySource(promptHash);
+      if (!record || record.response === undefined) {
+        throw new Error(record?.error || 'LLM is disabled');
+      }
+      this.requestCount++;
+      onToken?.(record.response);
+      return record.response;
+    }
 
-      req.on('error', (err) => reject(new Error(`Ollama接続エラー: ${err.message}`)));
-      req.on('timeout', () => { req.destroy(); reject(new Error('Ollamaタイムアウト')); });
+    if (!this.callRecorder && !this.cassette) {
+      return this.requestChat(prompt, systemPrompt, options);
+    }
 
-      if (body !== null) {
-        req.write(JSON.stringify(body));
+    const recording = {
+      model: this.route(options.task).models[0],
+      systemPrompt: systemPrompt || promptTemplates.render('llm/personality'),
+      prompt,
+    };
+    try {
+      const response = await this.requestChat(prompt, systemPrompt, options);
+      this.callRecorder?.({ promptHash, response });
+      this.cassette?.record({ ...recording, response });
+      return response;
+    } catch (error: any) {
+      const message = error?.message || String(error);
+      // 無効時の即時エラーと取り消しは記録しない（バックエンドの応答ではない）
+      if (message !== 'LLM is disabled' && message !== LLM_REQUEST_CANCELLED) {
+        this.callRecorder?.({ promptHash, error: message });
+        this.cassette?.record({ ...recording, error: message });
       }
-      req.end();
-    });
+      throw error;
+    }
   }
 
   /**
-   * Ollama Chat API呼び出し
+   * バックエンドへのチャット呼び出し（LLMSchedulerの順番待ちを経由する）
    */
-  private async callOllama(prompt: string, systemPrompt?: string): Promise<string> {
+  private async requestChat(
+    prompt: string,
+    systemPrompt?: string,
+    options: LLMRequestOptions = {}
+  ): Promise<string> {
+    const onToken = options.onToken;
     await this.ensureReady();
     
     if (this.config.disabled) {
       throw new Error('LLM is disabled');
     }
 
-    // レート制限
-    const now = Date.now();
-    const elapsed = now - this.lastRequestTime;
-    if (elapsed < this.rateLimitDelay) {
-      await new Promise(r => setTimeout(r, this.rateLimitDelay - elapsed));
+    // キャッシュ済みなら送らない
+    const system = systemPrompt || promptTemplates.render('llm/personality');
+    const route = this.route(options.task);
+    const cached = this.responseCache?.get(route.models[0], route.temperature, system, prompt) ?? null;
+    if (cached !== null) {
+      onToken?.(cached);
+      return cached;
     }
-    this.lastRequestTime = Date.now();
-    this.requestCount++;
 
-    const response = await this.httpRequest('POST', '/api/chat', {
-      model: this.config.model,
-      messages: [
-        { role: 'system', content: systemPrompt || SOMUNIA_PERSONALITY },
-        { role: 'user', content: prompt },
-      ],
-      stream: false,
-      options: {
-        temperature: this.config.temperature,
-        num_predict: this.config.maxTokens,
-      },
-    });
+    // 優先度順・送信間隔はスケジューラに任せる
+    const { model, response } = await this.scheduler.schedule(options.priority ?? 'background', async (signal) => {
+      this.requestCount++;
+      // サーバーにないモデルなら、ルートの次の候補で送り直す
+      for (let i = 0; ; i++) {
+        const model = route.models[i];
+        try {
+          return { model, response: await this.sendChat(model, route, system, prompt, signal, onToken) };
+        } catch (error: any) {
+          const next = route.models[i + 1];
+          if (!next || signal.aborted || !isModelMissingError(error?.message || '')) throw error;
+          this.router.markMissing(model);
+          console.warn(`[LLM] モデル ${model} がありません。${route.task} は ${next} で続けます`);
+        }
+      }
+    }, options.owner);
+    if (options.cache !== false) {
+      this.responseCache?.set(model, route.temperature, system, prompt, response);
+    }
+    return response;
+  }
 
-    const parsed = JSON.parse(response);
+  private async sendChat(
+    model: string,
+    route: ResolvedRoute,
+    systemPrompt: string,
+    prompt: string,
+    signal: AbortSignal,
+    onToken?: (token: string) => void
+  ): Promise<string> {
+    const request = {
+      model,
+      systemPrompt,
+      prompt,
+      temperature: route.temperature,
+      maxTokens: route.maxTokens,
+      timeout: this.config.timeout,
+      signal,
+    };
+    if (!onToken) {
+      return this.backend.chat(request);
+    }
+    if (this.backend.chatStream) {
+      return this.backend.chatStream(request, onToken);
+    }
+    // ストリーミング非対応のバックエンドは、完成した応答を1つの断片として渡す
+    const result = await this.backend.chat(request);
+    onToken(result);
+    return result;
+  }
 
-    // Ollama chat API形式
-    if (parsed.message?.content) {
-      return parsed.message.content.trim();
+  /**
+   * JSONで返させる呼び出し
+   * 応答をスキーマで検証し、通らなければエラーを添えて structuredRepairs 回まで直させる。
+   * 最後まで通らなければ value は null（raw は最後の応答）。バックエンドのエラーはそのまま投げる
+   */
+  private async callStructured<T>(
+    schema: StructuredSchema,
+    prompt: string,
+    systemPrompt: string,
+    options: LLMRequestOptions
+  ): Promise<{ value: T | null; raw: string }> {
+    // 検証に通らない応答をキャッシュすると、同じ呼び出しが毎回直しから始まるので、通ってから入れる
+    const uncached: LLMRequestOptions = { ...options, cache: false };
+    let raw = await this.callLLM(prompt, systemPrompt, uncached);
+    let result = validateStructured<T>(schema, raw);
+    let repairs = 0;
+
+    while (!result.ok && repairs < this.config.structuredRepairs) {
+      repairs++;
+      raw = await this.callLLM(
+        promptTemplates.render('llm/repair', {
+          response: raw.slice(0, 1000),
+          errors: result.errors.map(e => `- ${e}`).join('\n'),
+          schema: describeSchema(schema),
+        }),
+        systemPrompt,
+        uncached
+      );
+      result = validateStructured<T>(schema, raw);
     }
-    // Ollama generate API形式（互換）
-    if (parsed.response) {
-      return parsed.response.trim();
+
+    // フォールバックで別のモデルが使われていれば、そちらに数える
+    const route = this.route(options.task);
+    const model = route.models[0];
+    const outcome = result.ok ? (repairs === 0 ? 'valid' : 'repaired') : 'failed';
+    this.structuredMetrics.record(model, schema.name, outcome, repairs);
+    if (result.ok) {
+      // 直させた応答も、元の呼び出しの答えとして入れる
+      this.responseCache?.set(model, route.temperature, systemPrompt, prompt, raw);
+    } else {
+      console.warn(`[LLM] ${schema.name} のJSONが検証に通りません（${model}）: ${result.errors.slice(0, 3).join(' / ')}`);
     }
-    throw new Error('Ollamaからの応答が空です');
+    return { value: result.value, raw };
+  }
+
+  /**
+   * 用途に使うモデル・温度（省略時は訪問者への返事）
+   */
+  private route(task: LLMTask = 'visitor_response'): ResolvedRoute {
+    return this.router.resolve(task, {
+      model: this.config.model,
+      temperature: this.config.temperature,
+      maxTokens: this.config.maxTokens,
+    });
+  }
+
+  /**
+   * 使用中のバックエンドがストリーミングに対応しているか
+   */
+  supportsStreaming(): boolean {
+    return !!this.backend.chatStream;
   }
 
   // ============================================================
@@ -299,7 +497,7 @@ export class LLMInterface {
     message: string,
     context: LLMContext
   ): Promise<{
-    intent: 'greeting' | 'question' | 'statement' | 'request' | 'emotional' | 'farewell' | 'unknown';
+    intent: MessageIntent;
     topics: string[];
     emotions: EmotionType[];
     isPersonal: boolean;
@@ -313,37 +511,30 @@ export class LLMInterface {
     }
 
     try {
-      const response = await this.callOllama(
-        `以下のメッセージを分析してください。JSON形式のみで回答してください。
-
-メッセージ: "${message}"
-
-分析項目:
-- intent: メッセージの意図 (greeting/question/statement/request/emotional/farewell/unknown)
-- topics: 話題のキーワード（配列）
-- emotions: 検出された感情 (joy/peace/curiosity/melancholy/loneliness/anxiety/contentment/wonder/warmth/fatigue/boredom/anticipation/confusion/nostalgia/hope/fear の配列)
-- isPersonal: 個人的な話かどうか (boolean)
-- urgency: 緊急度 (0-1の数値)
-- keywords: 重要な単語（配列）
-
-回答はJSON以外を含めないでください。`,
-        'あなたはメッセージ分析専用AIです。必ずJSON形式のみで回答してください。説明文は不要です。'
+      const { value } = await this.callStructured<{
+        intent: MessageIntent;
+        topics?: string[];
+        emotions: EmotionType[];
+        isPersonal?: boolean;
+        urgency?: number;
+        keywords?: string[];
+      }>(
+        UNDERSTAND_SCHEMA,
+        promptTemplates.render('llm/understand', { message, schema: describeSchema(UNDERSTAND_SCHEMA) }),
+        promptTemplates.render('llm/understand_system'),
+        { priority: 'visitor', task: 'analysis' }
       );
 
-      try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          return {
-            intent: this.validateIntent(parsed.intent),
-            topics: this.toStringArray(parsed.topics),
-            emotions: this.validateEmotions(parsed.emotions),
-            isPersonal: !!parsed.isPersonal,
-            urgency: this.clamp(Number(parsed.urgency) || 0.3, 0, 1) as Normalized,
-            keywords: this.toStringArray(parsed.keywords),
-          };
-        }
-      } catch { /* parse error, use fallback */ }
+      if (value) {
+        return {
+          intent: value.intent,
+          topics: value.topics ?? [],
+          emotions: value.emotions,
+          isPersonal: value.isPersonal ?? false,
+          urgency: (value.urgency ?? 0.3) as Normalized,
+          keywords: value.keywords ?? [],
+        };
+      }
       return this.fallbackUnderstand(message);
     } catch (error) {
       console.error('[LLM] understandMessage error:', (error as Error).message);
@@ -354,10 +545,12 @@ export class LLMInterface {
   /**
    * 内部で決定された思考を自然な言葉にする
    * 【重要】内容（what）は決まっている。形（how）だけを変換する。
+   * 日記などの裏方の用途が多いので、既定の優先度は background、既定の用途は diary
    */
   async expressThought(
     rawThought: string,
-    context: LLMContext
+    context: LLMContext,
+    options: LLMRequestOptions = {}
   ): Promise<string> {
     await this.ensureReady();
     
@@ -366,21 +559,16 @@ export class LLMInterface {
     }
 
     try {
-      const result = await this.callOllama(
-        `以下の「思考の種」をsomuniaらしい内面の言葉に変換してください。
-
-思考の種: "${rawThought}"
-
-現在の感情: ${context.currentEmotion}（強度: ${context.emotionalIntensity}）
-時間帯: ${context.timeOfDay}
-今している活動: ${context.currentActivity || 'なし'}
-
-ルール:
-- 1～2文で短く
-- ひらがな多めの柔らかい表現
-- 意味は変えない。言い方だけ変える
-- 新しい情報を追加しない
-- 変換結果のみ出力（「」は不要）`
+      const result = await this.callLLM(
+        promptTemplates.render('llm/express_thought', {
+          rawThought,
+          emotion: context.currentEmotion,
+          intensity: context.emotionalIntensity,
+          timeOfDay: context.timeOfDay,
+          activity: context.currentActivity || 'なし',
+        }),
+        undefined,
+        { priority: options.priority ?? 'background', task: options.task ?? 'diary' }
       );
       return result || rawThought;
     } catch {
@@ -391,10 +579,12 @@ export class LLMInterface {
   /**
    * 内部で決定された応答を自然な発話にする
    * 【重要】何を伝えるかは決まっている。言い方だけ変換する。
+   * 既定の優先度は visitor（自発的な発話では autonomous を指定する）
    */
   async expressResponse(
     rawContent: string,
-    context: LLMContext
+    context: LLMContext,
+    options: LLMRequestOptions = {}
   ): Promise<string> {
     await this.ensureReady();
     
@@ -407,36 +597,20 @@ export class LLMInterface {
       const hasUserMessage = context.userMessage && context.userMessage.trim().length > 0;
       
       const prompt = hasUserMessage
-        ? `あなたはsomuniaという少女。静かで内省的で、少し不思議な雰囲気を持つ。
-
-【訪問者が言ったこと】
-${context.userMessage}
-
-【あなたの今の状態】
-感情: ${context.currentEmotion}
-${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.recentThoughts.slice(-2).join('、')}` : ''}
-
-【口調のルール】
-- ひらがな多めの柔らかい話し方
-- 語尾に「...」「～」「かな」「ね」をよく使う
-- 一人称は「わたし」
-- 敬語は使わない（友達のような距離感）
-- 短い文を好む
-
-【重要】
-- 訪問者が言ったことに対して、自然に返事をする
-- 自分の感想や気持ちを少し添えてもいい
-- 1～3文くらいで返す
-- 発話のみ出力（括弧や説明文は不要）`
-        : `somunia（静かで内省的な少女）の発話として表現してください。
-
-内容: ${rawContent}
-感情: ${context.currentEmotion}
-
-口調: ひらがな多め、柔らかい、「...」「～」を使う、一人称は「わたし」
-1～3文で。発話のみ出力。`;
+        ? promptTemplates.render('response/fallback', {
+            userMessage: context.userMessage || '',
+            emotion: context.currentEmotion,
+            recentThoughtsLine: context.recentThoughts.length > 0
+              ? `最近考えていたこと: ${context.recentThoughts.slice(-2).join('、')}`
+              : '',
+          })
+        : promptTemplates.render('speech/monologue', { content: rawContent, emotion: context.currentEmotion });
       
-      const result = await this.callOllama(prompt);
+      const result = await this.callLLM(prompt, undefined, {
+        priority: options.priority ?? 'visitor',
+        task: options.task ?? 'visitor_response',
+        owner: options.owner,
+      });
       
       if (result) {
         // 括弧や引用符を除去、余分な空白を整理
@@ -470,7 +644,7 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
     }
 
     try {
-      const result = await this.callOllama(richPrompt);
+      const result = await this.callLLM(richPrompt, undefined, { priority: 'visitor', task: 'visitor_response' });
       
       if (result) {
         let cleaned = result
@@ -488,17 +662,22 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
 
   /**
    * Phase 7.5B: 分離プロンプトによる応答生成
-   * system/user を正しく分離してOllamaに送信する
+   * system/user を正しく分離してバックエンドに送信する
    * 
    * これにより、LLMは:
    * - system: somuniaの設定として内面化する
    * - user: 訪問者のメッセージとして受け取り、応答する
    * 
    * 「プロンプトの復唱」問題が根本的に解決される。
+   *
+   * options.onToken を渡すとストリーミングで生成し、断片を順に渡す。
+   * 断片は整形前の生の出力なので、表示側でExpressionFilterの途中検査を通すこと。
+   * 失敗すると空文字を返すが、取り消されたときは LLM_REQUEST_CANCELLED を投げる。
    */
   async expressResponseWithSeparatedPrompt(
     systemPrompt: string,
-    userPrompt: string
+    userPrompt: string,
+    options: LLMRequestOptions = {}
   ): Promise<string> {
     await this.ensureReady();
     
@@ -511,7 +690,12 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
     }
 
     try {
-      const result = await this.callOllama(userPrompt, systemPrompt);
+      const result = await this.callLLM(userPrompt, systemPrompt, {
+        priority: options.priority ?? 'visitor',
+        task: options.task ?? 'visitor_response',
+        onToken: options.onToken,
+        owner: options.owner,
+      });
       
       if (result) {
         let cleaned = result
@@ -523,7 +707,9 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
         return cleaned || '';
       }
       return '';
-    } catch {
+    } catch (error) {
+      // 取り消しは失敗ではない（呼び出し側がその返事ごと捨てる）
+      if (isRequestCancelled(error)) throw error;
       return '';
     }
   }
@@ -537,11 +723,15 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
    * - emotion: 検出された感情（応答に込めた感情）
    * - topics: 話題のキーワード
    * - confidence: 応答の確信度
+   *
+   * options.onToken は最初の分離プロンプト応答にだけ使う（JSON形式の再試行は流さない）
+   * 取り消されたら（LLM_REQUEST_CANCELLED）JSON形式の再試行も直しもせずに投げる
    */
   async expressResponseStructured(
     systemPrompt: string,
     userMessage: string,
-    contextHint: string
+    contextHint: string,
+    options: LLMRequestOptions = {}
   ): Promise<{
     response: string;
     detectedEmotion: EmotionType | null;
@@ -563,7 +753,7 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
 
     // まず分離プロンプトで通常応答を試みる（より信頼性が高い）
     const directResponse = await this.expressResponseWithSeparatedPrompt(
-      systemPrompt, userMessage
+      systemPrompt, userMessage, options
     );
 
     if (directResponse && directResponse.length > 0) {
@@ -579,31 +769,35 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
 
     // 直接応答が失敗した場合、JSON形式を試みる
     try {
-      const jsonPrompt = `${contextHint}
+      const jsonPrompt = promptTemplates.render('response/structured_json', {
+        contextHint,
+        userMessage,
+        schema: describeSchema(RESPONSE_SCHEMA),
+      });
 
-以下のJSON形式のみで回答してください:
-{"response": "somuniaの返事", "emotion": "感情名", "topics": ["話題"]}
+      const { value, raw: result } = await this.callStructured<{
+        response: string;
+        emotion: EmotionType;
+        topics?: string[];
+        confidence?: number;
+      }>(RESPONSE_SCHEMA, jsonPrompt, systemPrompt, {
+        priority: options.priority ?? 'visitor',
+        task: options.task ?? 'visitor_response',
+        owner: options.owner,
+      });
 
-訪問者: ${userMessage}`;
+      if (value) {
+        return {
+          response: value.response.replace(/^[「『"']|[」』"']$/g, '').trim(),
+          detectedEmotion: value.emotion,
+          detectedTopics: value.topics ?? [],
+          confidence: value.confidence ?? 0.6,
+          wasStructured: true,
+        };
+      }
 
-      const result = await this.callOllama(jsonPrompt, systemPrompt);
-      
       if (result) {
-        try {
-          const jsonMatch = result.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            return {
-              response: String(parsed.response || '').replace(/^[「『"']|[」』"']$/g, '').trim(),
-              detectedEmotion: this.validateSingleEmotion(parsed.emotion) || null,
-              detectedTopics: this.toStringArray(parsed.topics),
-              confidence: 0.6,
-              wasStructured: true,
-            };
-          }
-        } catch { /* JSON parse failed */ }
-        
-        // JSON解析失敗時はテキストとして使う
+        // 直させても検証に通らなければテキストとして使う
         const cleaned = result
           .replace(/^[「『"'""'']+|[」』"'""'']+$/g, '')
           .replace(/^\s*somunia\s*[:：]\s*/i, '')
@@ -620,7 +814,10 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
           };
         }
       }
-    } catch { /* complete failure */ }
+    } catch (error) {
+      if (isRequestCancelled(error)) throw error;
+      /* complete failure */
+    }
 
     return {
       response: '',
@@ -638,7 +835,10 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
     systemPrompt: string,
     userPrompt: string
   ): Promise<string> {
-    return this.expressResponseWithSeparatedPrompt(systemPrompt, userPrompt);
+    return this.expressResponseWithSeparatedPrompt(systemPrompt, userPrompt, {
+      priority: 'autonomous',
+      task: 'autonomous_speech',
+    });
   }
 
   // ============================================================
@@ -690,9 +890,10 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
     }
 
     try {
-      return await this.callOllama(
-        `以下のテキストを${maxLength}文字以内で要約してください。要点のみ。\n\n${text}`,
-        '簡潔に要約してください。'
+      return await this.callLLM(
+        promptTemplates.render('llm/summarize', { maxLength, text }),
+        promptTemplates.render('llm/summarize_system'),
+        { priority: 'background', task: 'summary' }
       );
     } catch {
       return text.slice(0, maxLength);
@@ -720,44 +921,84 @@ ${context.recentThoughts.length > 0 ? `最近考えていたこと: ${context.re
     }
 
     try {
-      const response = await this.callOllama(
-        `somunia（好奇心旺盛な少女）の視点でWikipedia記事を解釈してください。
-
-記事タイトル: ${title}
-内容（抜粋）: ${content.slice(0, 1500)}
-
-somuniaの現在の興味: ${currentInterests.join('、')}
-
-JSON形式のみで回答:
-{
-  "summary": "somuniaなりの理解（200文字以内）",
-  "keyFacts": ["覚えたい事実1", "事実2"],
-  "relatedTopics": ["もっと知りたいこと1"],
-  "emotionalReaction": "curiosity",
-  "interestLevel": 0.5
-}`,
-        'JSON形式のみで回答してください。説明文は不要です。'
+      const { value } = await this.callStructured<{
+        summary: string;
+        keyFacts?: string[];
+        relatedTopics?: string[];
+        emotionalReaction: EmotionType;
+        interestLevel?: number;
+      }>(
+        ARTICLE_SCHEMA,
+        promptTemplates.render('llm/interpret_article', {
+          title,
+          content: content.slice(0, 1500),
+          interests: currentInterests.join('、'),
+          schema: describeSchema(ARTICLE_SCHEMA),
+        }),
+        promptTemplates.render('llm/interpret_article_system'),
+        { priority: 'background', task: 'article' }
       );
 
-      try {
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const p = JSON.parse(jsonMatch[0]);
-          return {
-            summary: String(p.summary || '').slice(0, 300) || content.slice(0, 200),
-            keyFacts: this.toStringArray(p.keyFacts),
-            relatedTopics: this.toStringArray(p.relatedTopics),
-            emotionalReaction: this.validateSingleEmotion(p.emotionalReaction),
-            interestLevel: this.clamp(Number(p.interestLevel) || 0.5, 0, 1) as Normalized,
-          };
-        }
-      } catch { /* parse error */ }
+      if (value) {
+        return {
+          summary: value.summary,
+          keyFacts: value.keyFacts ?? [],
+          relatedTopics: value.relatedTopics ?? [],
+          emotionalReaction: value.emotionalReaction,
+          interestLevel: (value.interestLevel ?? 0.5) as Normalized,
+        };
+      }
       return this.fallbackInterpretArticle(title, content);
     } catch {
       return this.fallbackInterpretArticle(title, content);
     }
   }
 
+  /**
+   * 訪問者への返事を採点する（ResponseEvaluator から呼ばれる）
+   * LLMが使えない・採点が検証に通らないときはnull（呼び出し側でルールによる採点に切り替える）
+   */
+  async judgeResponse(
+    message: string,
+    response: string
+  ): Promise<{
+    personaFidelity: Normalized;
+    relevance: Normalized;
+    naturalness: Normalized;
+    comment: string;
+  } | null> {
+    await this.ensureReady();
+    
+    if (this.config.disabled) {
+      return null;
+    }
+
+    try {
+      const { value } = await this.callStructured<{
+        personaFidelity: number;
+        relevance: number;
+        naturalness: number;
+        comment?: string;
+      }>(
+        JUDGE_SCHEMA,
+        promptTemplates.render('llm/judge', { message, response, schema: describeSchema(JUDGE_SCHEMA) }),
+        promptTemplates.render('llm/judge_system'),
+        { priority: 'background', task: 'judge' }
+      );
+
+      if (!value) return null;
+      return {
+        personaFidelity: value.personaFidelity as Normalized,
+        relevance: value.relevance as Normalized,
+        naturalness: value.naturalness as Normalized,
+        comment: value.comment ?? '',
+      };
+    } catch (error) {
+      console.error('[LLM] judgeResponse error:', (error as Error).message);
+      return null;
+    }
+  }
+
   // ============================================================
   // フォールバック（LLM不要時の代替処理）
   // ============================================================
@@ -766,7 +1007,7 @@ JSON形式のみで回答:
    * キーワードベースの簡易理解（LLM不要）
    */
   private fallbackUnderstand(message: string): {
-    intent: 'greeting' | 'question' | 'statement' | 'request' | 'emotional' | 'farewell' | 'unknown';
+    intent: MessageIntent;
     topics: string[];
     emotions: EmotionType[];
     isPersonal: boolean;
@@ -776,7 +1017,7 @@ JSON形式のみで回答:
     const lower = message.toLowerCase();
 
     // 意図の判定
-    let intent: 'greeting' | 'question' | 'statement' | 'request' | 'emotional' | 'farewell' | 'unknown' = 'statement';
+    let intent: MessageIntent = 'statement';
     if (/^(こんにち|おは|こんばん|やぁ|やあ|ただいま|hi|hello|hey|おーい|よう)/i.test(lower)) intent = 'greeting';
     else if (/\?|？|かな|ですか|でしょう|だろう|のか/.test(lower)) intent = 'question';
     else if (/して|ください|お願い|教えて|見せて|聞かせて|頼む/.test(lower)) intent = 'request';
@@ -894,7 +1135,7 @@ JSON形式のみで回答:
 
     const emotion = context.currentEmotion || 'peace';
     const responses = templates[emotion] || templates.peace;
-    return responses[Math.floor(Math.random() * responses.length)];
+    return responses[Math.floor(this.rng.next() * responses.length)];
   }
 
   /**
@@ -917,78 +1158,124 @@ JSON形式のみで回答:
   }
 
   // ============================================================
-  // バリデーション・ユーティリティ
+  // ステータス・制御
   // ============================================================
 
-  private readonly VALID_INTENTS = [
-    'greeting', 'question', 'statement', 'request', 'emotional', 'farewell', 'unknown',
-  ] as const;
+  /** LLMが有効かどうか（バックエンドに接続可能か） */
+  isEnabled(): boolean {
+    return !this.config.disabled && this.backendAvailable;
+  }
 
-  private readonly VALID_EMOTIONS: EmotionType[] = [
-    'joy', 'peace', 'curiosity', 'melancholy', 'loneliness', 'anxiety',
-    'contentment', 'wonder', 'warmth', 'fatigue', 'boredom', 'anticipation',
-    'confusion', 'nostalgia', 'hope', 'fear', 'excitement', 'serenity', 'gratitude',
-    'frustration', 'longing', 'unease', 'sadness',
-  ];
+  /** バックエンドが利用可能かどうか */
+  isBackendAvailable(): boolean {
+    return this.backendAvailable;
+  }
 
-  private validateIntent(intent: any): 'greeting' | 'question' | 'statement' | 'request' | 'emotional' | 'farewell' | 'unknown' {
-    return this.VALID_INTENTS.includes(intent) ? intent : 'unknown';
+  /** 使用中のバックエンド */
+  getBackend(): LLMBackend {
+    return this.backend;
   }
 
-  private validateSingleEmotion(emotion: any): EmotionType {
-    return this.VALID_EMOTIONS.includes(emotion) ? emotion : 'curiosity';
+  /** 表示用のバックエンド名 */
+  getBackendName(): string {
+    return this.backend.name;
   }
 
-  private validateEmotions(emotions: any): EmotionType[] {
-    if (!Array.isArray(emotions)) return ['peace'];
-    const validated = emotions
-      .filter((e: any) => this.VALID_EMOTIONS.includes(e)) as EmotionType[];
-    return validated.length > 0 ? validated : ['peace'];
+  /** 直近の接続確認の結果（未確認ならnull） */
+  getHealth(): BackendHealth | null {
+    return this.lastHealth;
   }
 
-  private toStringArray(arr: any): string[] {
-    if (!Array.isArray(arr)) return [];
-    return arr.map(String).filter(s => s.length > 0);
+  /** リクエスト数 */
+  getRequestCount(): number {
+    return this.requestCount;
   }
 
-  private clamp(value: number, min: number, max: number): number {
-    return Math.max(min, Math.min(max, value));
+  /** 使用中のモデル名（ルートのない用途で使う既定のモデル） */
+  getModelName(): string {
+    return this.config.model;
   }
 
-  // ============================================================
-  // ステータス・制御
-  // ============================================================
+  /** 用途に今使うモデル名（ルートとフォールバックを反映したもの） */
+  getModelForTask(task: LLMTask): string {
+    return this.route(task).models[0];
+  }
 
-  /** LLMが有効かどうか（Ollamaに接続可能か） */
-  isEnabled(): boolean {
-    return !this.config.disabled && this.ollamaAvailable;
+  /** 用途ごとのモデルの振り分けを設定する（nullでその用途のルートを消す） */
+  setRoute(task: LLMTask, route: LLMRoute | null): void {
+    this.router.setRoute(task, route);
   }
 
-  /** Ollamaが利用可能かどうか */
-  isOllamaAvailable(): boolean {
-    return this.ollamaAvailable;
+  getRoutes(): Partial<Record<LLMTask, LLMRoute>> {
+    return this.router.getRoutes();
   }
 
-  /** リクエスト数 */
-  getRequestCount(): number {
-    return this.requestCount;
+  /** LLM呼び出しの記録先を設定（nullで解除） */
+  setCallRecorder(recorder: ((record: LLMCallRecord) => void) | null): void {
+    this.callRecorder = recorder;
   }
 
-  /** 使用中のモデル名 */
-  getModelName(): string {
-    return this.config.model;
+  /**
+   * 指定した優先度の待ち中・実行中のリクエストを取り消す（owner を指定するとその持ち主の分だけ）
+   * 取り消されたリクエストの呼び出し元はフォールバックの結果を受け取る
+   */
+  cancelRequests(priority: LLMPriority, owner?: string): number {
+    return this.scheduler.cancel(priority, owner);
   }
 
-  /** 設定を更新 */
+  /** 待ち行列の統計 */
+  getSchedulerStats(): LLMSchedulerStats {
+    return this.scheduler.getStats();
+  }
+
+  /** JSONで返させる呼び出しの結果（モデルごとの検証失敗率など） */
+  getStructuredOutputStats(): StructuredOutputModelStats[] {
+    return this.structuredMetrics.getStats();
+  }
+
+  /** 応答キャッシュを設定（nullで解除） */
+  setResponseCache(cache: LLMResponseCache | null): void {
+    this.responseCache = cache;
+  }
+
+  getResponseCache(): LLMResponseCache | null {
+    return this.responseCache;
+  }
+
+  /** 録音先のカセットを設定（nullで解除）。以降のLLM呼び出しをすべて録音する */
+  setCassette(cassette: LLMCassette | null): void {
+    this.cassette = cassette;
+  }
+
+  /**
+   * リプレイ用の応答供給元を設定（nullで解除）
+   * 設定中はバックエンドに接続せず、供給元の記録を応答として返す
+   */
+  setReplaySource(source: ((promptHash: string) => LLMCallRecord | null) | null): void {
+    this.replaySource = source;
+  }
+
+  /** 設定を更新（接続先が変わった場合はバックエンドを作り直して確認し直す） */
   updateConfig(updates: Partial<LLMConfig>): void {
-    if (updates.ollamaHost !== undefined) this.config.ollamaHost = updates.ollamaHost;
-    if (updates.ollamaPort !== undefined) this.config.ollamaPort = updates.ollamaPort;
+    const backendKeys: Array<keyof BackendOptions> = ['backend', 'ollamaHost', 'ollamaPort', 'baseUrl', 'apiKey', 'script'];
+    const backendUpdates = Object.fromEntries(
+      backendKeys.filter(key => updates[key] !== undefined).map(key => [key, updates[key]])
+    ) as BackendOptions;
+    const backendChanged = Object.keys(backendUpdates).length > 0;
+    if (backendChanged) {
+      this.backendOptions = { ...this.backendOptions, ...backendUpdates };
+      this.backend = createLLMBackend(this.backendOptions);
+    }
     if (updates.model !== undefined) this.config.model = updates.model;
     if (updates.maxTokens !== undefined) this.config.maxTokens = updates.maxTokens;
     if (updates.temperature !== undefined) this.config.temperature = updates.temperature;
     if (updates.disabled !== undefined) this.config.disabled = updates.disabled;
     if (updates.fallbackEnabled !== undefined) this.config.fallbackEnabled = updates.fallbackEnabled;
     if (updates.timeout !== undefined) this.config.timeout = updates.timeout;
+    if (updates.structuredRepairs !== undefined) this.config.structuredRepairs = updates.structuredRepairs;
+    if (backendChanged && !this.offlineMode) {
+      this.connectionCheckPromise = this.checkBackendHealth();
+    }
   }
   
   // ============================================================
@@ -1038,3 +1325,18 @@ JSON形式のみで回答:
     };
   }
 }
+
+// ============================================================
+// ユーティリティ
+// ============================================================
+
+/** プロンプトの簡易ハッシュ（FNV-1a） */
+function hashPrompt(prompt: string, systemPrompt?: string): string {
+  const text = `${systemPrompt || ''}\u0000${prompt}`;
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,212 @@
+/**
+ * LLMResponseCache - LLM応答の永続キャッシュ
+ *
+ * 同じモデル・同じプロンプト（system + user）への応答を保存しておき、
+ * 次に同じ問い合わせが来たらバックエンドに送らずに返す。
+ *
+ * - キーはモデル名とプロンプトのSHA-256
+ * - 有効期限（ttlMs）を過ぎた応答は使わずに消す
+ * - 件数が maxEntries を超えたら、最後に使われたのが古いものから消す
+ *
+ * 保存先は LLMCacheStore。通常はSQLite（DatabaseManager の llm_cache テーブル）、
+ * データベースを使わない場合はメモリ上のストアを使う。
+ */
+
+import * as crypto from 'crypto';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export interface LLMCacheEntry {
+  key: string;
+  model: string;
+  response: string;
+  createdAt: number;
+  expiresAt: number;
+  hits: number;
+  lastUsedAt: number;
+}
+
+/** キャッシュの保存先（DatabaseManager もこの形を満たす） */
+export interface LLMCacheStore {
+  getLLMCacheEntry(key: string): LLMCacheEntry | null;
+  putLLMCacheEntry(entry: LLMCacheEntry): void;
+  touchLLMCacheEntry(key: string, usedAt: number): void;
+  deleteLLMCacheEntry(key: string): void;
+  countLLMCacheEntries(): number;
+  /** 期限切れを消し、残りが maxEntries 件になるまで古いものから消す（消した件数を返す） */
+  pruneLLMCache(maxEntries: number, now: number): number;
+  clearLLMCache(): void;
+}
+
+export interface LLMCacheConfig {
+  enabled: boolean;
+  /** 応答の有効期限（ms） */
+  ttlMs: number;
+  /** 保持する最大件数 */
+  maxEntries: number;
+}
+
+const DEFAULT_CONFIG: LLMCacheConfig = {
+  enabled: true,
+  ttlMs: 7 * 24 * 60 * 60 * 1000,
+  maxEntries: 2000,
+};
+
+// ============================================================
+// メモリ上のストア
+// ============================================================
+
+export class MemoryLLMCacheStore implements LLMCacheStore {
+  private entries = new Map<string, LLMCacheEntry>();
+
+  getLLMCacheEntry(key: string): LLMCacheEntry | null {
+    const entry = this.entries.get(key);
+    return entry ? { ...entry } : null;
+  }
+
+  putLLMCacheEntry(entry: LLMCacheEntry): void {
+    this.entries.set(entry.key, { ...entry });
+  }
+
+  touchLLMCacheEntry(key: string, usedAt: number): void {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.hits++;
+      entry.lastUsedAt = usedAt;
+    }
+  }
+
+  deleteLLMCacheEntry(key: string): void {
+    this.entries.delete(key);
+  }
+
+  countLLMCacheEntries(): number {
+    return this.entries.size;
+  }
+
+  pruneLLMCache(maxEntries: number, now: number): number {
+    const before = this.entries.size;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    const overflow = this.entries.size - maxEntries;
+    if (overflow > 0) {
+      const oldest = [...this.entries.values()]
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+        .slice(0, overflow);
+      for (const entry of oldest) this.entries.delete(entry.key);
+    }
+    return before - this.entries.size;
+  }
+
+  clearLLMCache(): void {
+    this.entries.clear();
+  }
+}
+
+// ============================================================
+// LLMResponseCache
+// ============================================================
+
+export class LLMResponseCache {
+  private store: LLMCacheStore;
+  private config: LLMCacheConfig;
+  private stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+  constructor(store: LLMCacheStore, config?: Partial<LLMCacheConfig>) {
+    this.store = store;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * キャッシュのキー（モデル・温度・system・userのSHA-256）
+   * 温度が違えば応答の揺れ方も違うので、別の呼び出しとして扱う
+   */
+  static key(model: string, temperature: number, systemPrompt: string, prompt: string): string {
+    return crypto.createHash('sha256')
+      .update(`${model}\u0000${temperature}\u0000${systemPrompt}\u0000${prompt}`)
+      .digest('hex');
+  }
+
+  isEnabled(): boolean {
+    return this.config.enabled;
+  }
+
+  setEnabled(enabled: boolean): void {
+    this.config.enabled = enabled;
+  }
+
+  /**
+   * キャッシュ済みの応答（なければ・期限切れならnull）
+   */
+  get(model: string, temperature: number, systemPrompt: string, prompt: string, now: number = Date.now()): string | null {
+    if (!this.config.enabled) return null;
+
+    const key = LLMResponseCache.key(model, temperature, systemPrompt, prompt);
+    const entry = this.store.getLLMCacheEntry(key);
+    if (!entry || entry.expiresAt <= now) {
+      if (entry) this.store.deleteLLMCacheEntry(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    this.store.touchLLMCacheEntry(key, now);
+    this.stats.hits++;
+    return entry.response;
+  }
+
+  /**
+   * 応答を保存する（上限を超えたら古いものから消す）
+   */
+  set(model: string, temperature: number, systemPrompt: string, prompt: string, response: string, now: number = Date.now()): void {
+    if (!this.config.enabled || !response) return;
+
+    this.store.putLLMCacheEntry({
+      key: LLMResponseCache.key(model, temperature, systemPrompt, prompt),
+      model,
+      response,
+      createdAt: now,
+      expiresAt: now + this.config.ttlMs,
+      hits: 0,
+      lastUsedAt: now,
+    });
+    this.stats.stores++;
+
+    if (this.store.countLLMCacheEntries() > this.config.maxEntries) {
+      this.stats.evictions += this.store.pruneLLMCache(this.config.maxEntries, now);
+    }
+  }
+
+  /**
+   * 期限切れと上限超過を掃除する
+   */
+  prune(now: number = Date.now()): number {
+    const removed = this.store.pruneLLMCache(this.config.maxEntries, now);
+    this.stats.evictions += removed;
+    return removed;
+  }
+
+  clear(): void {
+    this.store.clearLLMCache();
+  }
+
+  getStats(): {
+    enabled: boolean;
+    entries: number;
+    hits: number;
+    misses: number;
+    stores: number;
+    evictions: number;
+    hitRate: number;
+  } {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.config.enabled,
+      entries: this.store.countLLMCacheEntries(),
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+    };
+  }
+}
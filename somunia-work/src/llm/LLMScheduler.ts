@@ -0,0 +1,271 @@
+/**
+ * LLMScheduler - LLMリクエストの優先度付き待ち行列
+ *
+ * ローカルLLMは一度に少ししか捌けないので、誰の用事から送るかを決める。
+ *
+ * 優先度（高い順）:
+ *   visitor    - 訪問者への返事・発言の理解
+ *   autonomous - 独り言・自発的な発話
+ *   background - 日記・学習・要約
+ *
+ * - 実行枠（maxConcurrent）が空いたら、優先度の高いものから送る
+ * - 種類ごとの同時実行数（concurrency）を超えては送らない
+ * - 送信の間隔は rateLimitDelay 以上あける
+ * - 訪問者のリクエストが待たされていたら、実行中の低い優先度のものを中断して
+ *   待ち行列に戻す（preempt）。戻したものは後でやり直す
+ * - cancel() で待ち中・実行中のリクエストを取り消せる（新しい発言が届いたときなど）。
+ *   リクエストに持ち主（owner。訪問者IDなど）を付けておけば、その持ち主の分だけを取り消せる
+ *   （訪問者が何人もいるとき、ほかの訪問者への返事まで止めないように）
+ */
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type LLMPriority = 'visitor' | 'autonomous' | 'background';
+
+/** 優先度の高い順 */
+export const LLM_PRIORITIES: LLMPriority[] = ['visitor', 'autonomous', 'background'];
+
+/** 取り消されたリクエストのエラーメッセージ */
+export const LLM_REQUEST_CANCELLED = 'LLM request cancelled';
+
+/**
+ * 取り消されたことによるエラーか（取り消された呼び出しは、フォールバックせずにそのまま投げる）
+ */
+export function isRequestCancelled(error: unknown): boolean {
+  return (error as Error | undefined)?.message === LLM_REQUEST_CANCELLED;
+}
+
+export interface LLMSchedulerConfig {
+  /** 全体で同時に実行できる数 */
+  maxConcurrent: number;
+  /** 種類ごとの同時実行数 */
+  concurrency: Record<LLMPriority, number>;
+  /** 送信の最小間隔（ms） */
+  rateLimitDelay: number;
+  /** 訪問者のために低い優先度の実行中リクエストを中断するか */
+  preempt: boolean;
+}
+
+/** 設定の一部だけ指定するとき（concurrency も種類ごとに省略できる） */
+export type LLMSchedulerOptions = Partial<Omit<LLMSchedulerConfig, 'concurrency'>> & {
+  concurrency?: Partial<Record<LLMPriority, number>>;
+};
+
+const DEFAULT_CONFIG: LLMSchedulerConfig = {
+  maxConcurrent: 1,
+  concurrency: { visitor: 1, autonomous: 1, background: 1 },
+  rateLimitDelay: 300,
+  preempt: true,
+};
+
+export interface LLMSchedulerStats {
+  queued: Record<LLMPriority, number>;
+  running: Record<LLMPriority, number>;
+  completed: number;
+  failed: number;
+  cancelled: number;
+  preempted: number;
+  /** 送信までの平均待ち時間（ms） */
+  averageWaitMs: number;
+  maxWaitMs: number;
+}
+
+interface ScheduledRequest {
+  id: number;
+  priority: LLMPriority;
+  /** 誰のためのリクエストか（cancel で持ち主ごとに取り消す） */
+  owner: string | null;
+  enqueuedAt: number;
+  run: (signal: AbortSignal) => Promise<any>;
+  resolve: (value: any) => void;
+  reject: (error: Error) => void;
+  /** 実行中の試行（待ち中はnull） */
+  attempt: { controller: AbortController } | null;
+  settled: boolean;
+}
+
+// ============================================================
+// LLMScheduler
+// ============================================================
+
+export class LLMScheduler {
+  private config: LLMSchedulerConfig;
+  private queue: ScheduledRequest[] = [];
+  private running: ScheduledRequest[] = [];
+  private nextId: number = 1;
+  private lastStartedAt: number = 0;
+  private pumpTimer: NodeJS.Timeout | null = null;
+  private stats = { completed: 0, failed: 0, cancelled: 0, preempted: 0, started: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+  constructor(config?: LLMSchedulerOptions) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      concurrency: { ...DEFAULT_CONFIG.concurrency, ...config?.concurrency },
+    };
+  }
+
+  /**
+   * リクエストを待ち行列に入れる
+   * run は送信の順番が来たら呼ばれる（中断されたら signal が abort される）
+   * @param owner 誰のためのリクエストか（cancel(priority, owner) でその分だけ取り消せる）
+   */
+  schedule<T>(priority: LLMPriority, run: (signal: AbortSignal) => Promise<T>, owner?: string): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        priority,
+        owner: owner ?? null,
+        enqueuedAt: Date.now(),
+        run,
+        resolve,
+        reject,
+        attempt: null,
+        settled: false,
+      });
+      this.pump();
+    });
+  }
+
+  /**
+   * 指定した種類の待ち中・実行中のリクエストを取り消す（取り消した数を返す）
+   * owner を指定すると、その持ち主のリクエストだけを取り消す
+   */
+  cancel(priority: LLMPriority, owner?: string): number {
+    const matches = (r: ScheduledRequest) => r.priority === priority && (owner === undefined || r.owner === owner);
+    const targets = [...this.queue, ...this.running].filter(r => matches(r) && !r.settled);
+    this.queue = this.queue.filter(r => !matches(r));
+    for (const request of targets) {
+      request.settled = true;
+      request.attempt?.controller.abort();
+      request.reject(new Error(LLM_REQUEST_CANCELLED));
+      this.stats.cancelled++;
+    }
+    // 実行中のものは、実際に止まったところで枠を空ける（runFinished）
+    return targets.length;
+  }
+
+  getStats(): LLMSchedulerStats {
+    const count = (list: ScheduledRequest[]) => {
+      const counts = { visitor: 0, autonomous: 0, background: 0 };
+      for (const r of list) counts[r.priority]++;
+      return counts;
+    };
+    return {
+      queued: count(this.queue),
+      running: count(this.running),
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      cancelled: this.stats.cancelled,
+      preempted: this.stats.preempted,
+      averageWaitMs: this.stats.started > 0 ? this.stats.totalWaitMs / this.stats.started : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+    };
+  }
+
+  // ============================================================
+  // 内部処理
+  // ============================================================
+
+  private pump(): void {
+    if (this.pumpTimer) return;
+
+    while (this.queue.length > 0) {
+      const next = this.pickNext();
+      if (!next) {
+        this.preemptForVisitor();
+        return;
+      }
+
+      const wait = this.lastStartedAt + this.config.rateLimitDelay - Date.now();
+      if (wait > 0) {
+        this.pumpTimer = setTimeout(() => {
+          this.pumpTimer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+
+      this.queue.splice(this.queue.indexOf(next), 1);
+      this.start(next);
+    }
+  }
+
+  /**
+   * 今送れるもののうち、最も優先度の高いもの（同じ優先度なら先着順）
+   */
+  private pickNext(): ScheduledRequest | null {
+    if (this.running.length >= this.config.maxConcurrent) return null;
+    for (const priority of LLM_PRIORITIES) {
+      const runningOfKind = this.running.filter(r => r.priority === priority).length;
+      if (runningOfKind >= this.config.concurrency[priority]) continue;
+      const candidate = this.queue.find(r => r.priority === priority);
+      if (candidate) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * 訪問者のリクエストが待たされているなら、実行中の低い優先度のものを中断して戻す
+   */
+  private preemptForVisitor(): void {
+    if (!this.config.preempt) return;
+    if (!this.queue.some(r => r.priority === 'visitor')) return;
+    // 訪問者の枠自体が埋まっているなら、他を止めても送れない
+    const runningVisitors = this.running.filter(r => r.priority === 'visitor').length;
+    if (runningVisitors >= this.config.concurrency.visitor) return;
+
+    const victim = [...this.running].reverse().find(r => r.priority !== 'visitor' && !r.settled);
+    if (!victim || !victim.attempt) return;
+
+    victim.attempt.controller.abort();
+    this.stats.preempted++;
+    // 同じリクエストを待ち行列の先頭に戻してやり直す。
+    // 中断した試行は settled にして結果を捨てる（枠は実際に止まった時点で空く）
+    this.queue.unshift({ ...victim, attempt: null, settled: false });
+    victim.settled = true;
+  }
+
+  private start(request: ScheduledRequest): void {
+    const controller = new AbortController();
+    const attempt = { controller };
+    request.attempt = attempt;
+    this.running.push(request);
+    this.lastStartedAt = Date.now();
+
+    const waited = this.lastStartedAt - request.enqueuedAt;
+    this.stats.started++;
+    this.stats.totalWaitMs += waited;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+
+    let promise: Promise<any>;
+    try {
+      promise = request.run(controller.signal);
+    } catch (error: any) {
+      promise = Promise.reject(error);
+    }
+
+    promise.then(
+      (value) => this.runFinished(request, attempt, () => {
+        this.stats.completed++;
+        request.resolve(value);
+      }),
+      (error) => this.runFinished(request, attempt, () => {
+        this.stats.failed++;
+        request.reject(error instanceof Error ? error : new Error(String(error)));
+      }),
+    );
+  }
+
+  private runFinished(request: ScheduledRequest, attempt: { controller: AbortController }, settle: () => void): void {
+    this.running.splice(this.running.indexOf(request), 1);
+    // 中断・取り消し済みの試行の結果は捨てる
+    if (!request.settled && request.attempt === attempt) {
+      request.settled = true;
+      settle();
+    }
+    this.pump();
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * ModelRouter - 用途ごとのモデルの振り分け
+ *
+ * 会話には良いモデル、日記や要約には小さく速いモデル、のように
+ * 用途（タスク）ごとにモデル・温度・最大トークン数を変える。
+ *
+ *   routes: {
+ *     visitor_response: { model: ['qwen2.5:7b', 'gemma3'], temperature: 0.8 },
+ *     diary:            { model: 'gemma3:1b' },
+ *   }
+ *
+ * - model に複数書くと、上から順に「サーバーにあるもの」を使う（フォールバック）
+ * - どれもなければ既定のモデル（LLMConfig.model）を使う
+ * - 実際に呼んで「モデルがない」と返されたものは、以後そのセッション中は飛ばす
+ * - ルートのないタスクは既定のモデル・温度で動く
+ */
+
+import { resolveModel } from './LLMBackend';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type LLMTask =
+  | 'visitor_response'   // 訪問者への返事
+  | 'analysis'           // 訪問者の発言の理解
+  | 'autonomous_speech'  // 独り言・自発的な発話
+  | 'diary'              // 日記の文章
+  | 'article'            // Wikipedia記事の解釈
+  | 'summary'            // 要約
+  | 'audit'              // パターン応答の確認（pattern_with_llm_audit）
+  | 'judge';             // 返事の採点（ResponseEvaluator）
+
+export const LLM_TASKS: LLMTask[] = [
+  'visitor_response', 'analysis', 'autonomous_speech', 'diary', 'article', 'summary', 'audit', 'judge',
+];
+
+export interface LLMRoute {
+  /** 使うモデル（配列なら上から順にフォールバック） */
+  model?: string | string[];
+  temperature?: number;
+  maxTokens?: number;
+}
+
+/** 1回の呼び出しに使う設定 */
+export interface ResolvedRoute {
+  task: LLMTask;
+  /** 試す順のモデル（先頭から使う） */
+  models: string[];
+  temperature: number;
+  maxTokens: number;
+}
+
+// ============================================================
+// ModelRouter
+// ============================================================
+
+export class ModelRouter {
+  private routes: Partial<Record<LLMTask, LLMRoute>>;
+  /** サーバーにあるモデル（分からなければnull） */
+  private availableModels: string[] | null = null;
+  /** 呼び出しで「ない」と分かったモデル */
+  private missingModels = new Set<string>();
+
+  constructor(routes: Partial<Record<LLMTask, LLMRoute>> = {}) {
+    this.routes = { ...routes };
+  }
+
+  /**
+   * タスクに使うモデルの候補（既定のモデルは最後の候補として必ず入る）
+   */
+  resolve(
+    task: LLMTask,
+    defaults: { model: string; temperature: number; maxTokens: number }
+  ): ResolvedRoute {
+    const route = this.routes[task] ?? {};
+    const chain = route.model === undefined ? [] : Array.isArray(route.model) ? route.model : [route.model];
+    const candidates = [...new Set([...chain, defaults.model])];
+
+    // サーバーにないと分かっているものは後回しにする（全部なければ順番どおり試す）
+    const usable = candidates.filter(model => this.isUsable(model));
+    const models = usable.length > 0
+      ? [...usable, ...candidates.filter(model => !usable.includes(model))]
+      : candidates;
+
+    return {
+      task,
+      models,
+      temperature: route.temperature ?? defaults.temperature,
+      maxTokens: route.maxTokens ?? defaults.maxTokens,
+    };
+  }
+
+  /** 接続確認で分かったモデル一覧を渡す */
+  setAvailableModels(models: string[] | null): void {
+    this.availableModels = models && models.length > 0 ? [...models] : null;
+    this.missingModels.clear();
+  }
+
+  /** 呼び出しで「モデルがない」と返されたモデルを覚える */
+  markMissing(model: string): void {
+    this.missingModels.add(model);
+  }
+
+  setRoute(task: LLMTask, route: LLMRoute | null): void {
+    if (route) this.routes[task] = route;
+    else delete this.routes[task];
+  }
+
+  getRoutes(): Partial<Record<LLMTask, LLMRoute>> {
+    return { ...this.routes };
+  }
+
+  private isUsable(model: string): boolean {
+    if (this.missingModels.has(model)) return false;
+    if (!this.availableModels) return true;
+    return resolveModel(model, this.availableModels)?.found ?? false;
+  }
+}
+
+/**
+ * バックエンドのエラーが「モデルがない」ことによるものか
+ * （Ollama: model 'x' not found / OpenAI互換: The model `x` does not exist）
+ */
+export function isModelMissingError(message: string): boolean {
+  return /model[^\n]*(not found|does not exist|not available)|no such model|unknown model/i.test(message);
+}
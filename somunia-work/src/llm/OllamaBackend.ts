@@ -0,0 +1,149 @@
+/**
+ * OllamaBackend - Ollama（ローカルLLM）
+ *
+ * PC内で完結。APIキー不要。外部通信なし。
+ * http://127.0.0.1:11434 のOllamaサーバーに接続。
+ *
+ * セットアップ:
+ *   1. Ollamaをインストール: https://ollama.com
+ *   2. モデルを取得: ollama pull gemma3
+ *   3. Ollamaを起動: ollama serve（自動起動設定推奨）
+ */
+
+import { BackendHealth, LLMBackend, LLMChatRequest, httpRequest, httpStream, resolveModel } from './LLMBackend';
+
+export interface OllamaBackendConfig {
+  host: string;
+  port: number;
+}
+
+const DEFAULT_CONFIG: OllamaBackendConfig = {
+  host: '127.0.0.1',
+  port: 11434,
+};
+
+export class OllamaBackend implements LLMBackend {
+  readonly type = 'ollama' as const;
+  private config: OllamaBackendConfig;
+
+  constructor(config: Partial<OllamaBackendConfig> = {}) {
+    this.config = {
+      host: config.host ?? DEFAULT_CONFIG.host,
+      port: config.port ?? DEFAULT_CONFIG.port,
+    };
+  }
+
+  get name(): string {
+    return `Ollama (${this.config.host}:${this.config.port})`;
+  }
+
+  private url(path: string): string {
+    return `http://${this.config.host}:${this.config.port}${path}`;
+  }
+
+  async checkHealth(model: string): Promise<BackendHealth> {
+    let available: string[];
+    try {
+      const response = await httpRequest({ method: 'GET', url: this.url('/api/tags'), timeout: 5000, label: 'Ollama' });
+      const data = JSON.parse(response);
+      available = Array.isArray(data.models)
+        ? data.models.map((m: any) => (m.name || m.model || '').toString())
+        : [];
+    } catch {
+      return {
+        ok: false,
+        model,
+        availableModels: [],
+        message: 'Ollamaサーバーに接続できません',
+        hints: ['Ollamaを起動してください: ollama serve', `モデルを取得してください: ollama pull ${model}`],
+      };
+    }
+
+    const resolved = resolveModel(model, available);
+    if (!resolved) {
+      return {
+        ok: false,
+        model,
+        availableModels: available,
+        message: 'Ollamaにモデルがありません',
+        hints: [`ollama pull ${model}`],
+      };
+    }
+    return {
+      ok: true,
+      model: resolved.model,
+      availableModels: available,
+      message: resolved.found
+        ? `Ollama接続OK (モデル: ${resolved.model})`
+        : `モデル "${model}" 未検出。"${resolved.model}" を使用します`,
+      hints: [],
+    };
+  }
+
+  private chatBody(request: LLMChatRequest, stream: boolean): any {
+    return {
+      model: request.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.prompt },
+      ],
+      stream,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens,
+      },
+    };
+  }
+
+  async chat(request: LLMChatRequest): Promise<string> {
+    const response = await httpRequest({
+      method: 'POST',
+      url: this.url('/api/chat'),
+      timeout: request.timeout,
+      signal: request.signal,
+      label: 'Ollama',
+      body: this.chatBody(request, false),
+    });
+
+    const parsed = JSON.parse(response);
+
+    // Ollama chat API形式
+    if (parsed.message?.content) {
+      return parsed.message.content.trim();
+    }
+    // Ollama generate API形式（互換）
+    if (parsed.response) {
+      return parsed.response.trim();
+    }
+    throw new Error('Ollamaからの応答が空です');
+  }
+
+  async chatStream(request: LLMChatRequest, onToken: (token: string) => void): Promise<string> {
+    let text = '';
+    await httpStream({
+      method: 'POST',
+      url: this.url('/api/chat'),
+      timeout: request.timeout,
+      signal: request.signal,
+      label: 'Ollama',
+      body: this.chatBody(request, true),
+    }, (line) => {
+      const token = parseOllamaStreamLine(line);
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    });
+    if (!text.trim()) throw new Error('Ollamaからの応答が空です');
+    return text.trim();
+  }
+}
+
+/**
+ * Ollamaのストリーミング応答（NDJSON）の1行から断片を取り出す
+ */
+export function parseOllamaStreamLine(line: string): string {
+  const parsed = JSON.parse(line);
+  if (parsed.error) throw new Error(`Ollama: ${parsed.error}`);
+  return parsed.message?.content ?? parsed.response ?? '';
+}
@@ -0,0 +1,152 @@
+/**
+ * OpenAICompatibleBackend - OpenAI互換のローカルサーバー
+ *
+ * /v1/chat/completions と /v1/models を話すサーバーならどれでも使える。
+ *   - llama.cpp server:  llama-server -m model.gguf --port 8080
+ *   - vLLM:              vllm serve <model> （既定ポート 8000）
+ *   - LM Studio:         Local Server を起動（既定ポート 1234）
+ *
+ * baseUrl は /v1 まで含めて指定する（例: http://127.0.0.1:8080/v1）。
+ */
+
+import { BackendHealth, LLMBackend, LLMChatRequest, httpRequest, httpStream, resolveModel } from './LLMBackend';
+
+export interface OpenAICompatibleBackendConfig {
+  baseUrl: string;
+  /** 必要なサーバーのみ（Authorization: Bearer） */
+  apiKey?: string;
+}
+
+const DEFAULT_CONFIG: OpenAICompatibleBackendConfig = {
+  baseUrl: 'http://127.0.0.1:8080/v1',
+};
+
+export class OpenAICompatibleBackend implements LLMBackend {
+  readonly type = 'openai' as const;
+  private config: OpenAICompatibleBackendConfig;
+
+  constructor(config: Partial<OpenAICompatibleBackendConfig> = {}) {
+    this.config = {
+      baseUrl: (config.baseUrl ?? DEFAULT_CONFIG.baseUrl).replace(/\/+$/, ''),
+      apiKey: config.apiKey,
+    };
+  }
+
+  get name(): string {
+    return `OpenAI互換 (${this.config.baseUrl})`;
+  }
+
+  private headers(): Record<string, string> {
+    return this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+  }
+
+  async checkHealth(model: string): Promise<BackendHealth> {
+    let available: string[];
+    try {
+      const response = await httpRequest({
+        method: 'GET',
+        url: `${this.config.baseUrl}/models`,
+        headers: this.headers(),
+        timeout: 5000,
+        label: 'OpenAI互換サーバー',
+      });
+      const data = JSON.parse(response);
+      available = Array.isArray(data.data) ? data.data.map((m: any) => String(m.id ?? '')) : [];
+    } catch {
+      return {
+        ok: false,
+        model,
+        availableModels: [],
+        message: `${this.config.baseUrl} に接続できません`,
+        hints: ['サーバーを起動してください（llama-server / vllm serve / LM Studio）', '--llm-url で接続先を指定できます'],
+      };
+    }
+
+    if (available.length === 0) {
+      return {
+        ok: false,
+        model,
+        availableModels: [],
+        message: 'サーバーにモデルが読み込まれていません',
+        hints: ['サーバー側でモデルを読み込んでください'],
+      };
+    }
+    // llama.cpp server のように読み込んだ1モデルだけを返すサーバーでは、そのモデルを使う
+    const found = resolveModel(model, available)?.found ?? false;
+    const chosen = found ? model : available[0];
+    return {
+      ok: true,
+      model: chosen,
+      availableModels: available,
+      message: found
+        ? `OpenAI互換サーバー接続OK (モデル: ${chosen})`
+        : `モデル "${model}" 未検出。"${chosen}" を使用します`,
+      hints: [],
+    };
+  }
+
+  private chatBody(request: LLMChatRequest, stream: boolean): any {
+    return {
+      model: request.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.prompt },
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream,
+    };
+  }
+
+  async chat(request: LLMChatRequest): Promise<string> {
+    const response = await httpRequest({
+      method: 'POST',
+      url: `${this.config.baseUrl}/chat/completions`,
+      headers: this.headers(),
+      timeout: request.timeout,
+      signal: request.signal,
+      label: 'OpenAI互換サーバー',
+      body: this.chatBody(request, false),
+    });
+
+    const parsed = JSON.parse(response);
+    const content = parsed.choices?.[0]?.message?.content ?? parsed.choices?.[0]?.text;
+    if (typeof content === 'string' && content.trim()) {
+      return content.trim();
+    }
+    throw new Error('OpenAI互換サーバーからの応答が空です');
+  }
+
+  async chatStream(request: LLMChatRequest, onToken: (token: string) => void): Promise<string> {
+    let text = '';
+    await httpStream({
+      method: 'POST',
+      url: `${this.config.baseUrl}/chat/completions`,
+      headers: this.headers(),
+      timeout: request.timeout,
+      signal: request.signal,
+      label: 'OpenAI互換サーバー',
+      body: this.chatBody(request, true),
+    }, (line) => {
+      const token = parseOpenAIStreamLine(line);
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    });
+    if (!text.trim()) throw new Error('OpenAI互換サーバーからの応答が空です');
+    return text.trim();
+  }
+}
+
+/**
+ * Server-Sent Events の1行から断片を取り出す（data: 以外の行と [DONE] は空文字）
+ */
+export function parseOpenAIStreamLine(line: string): string {
+  if (!line.startsWith('data:')) return '';
+  const payload = line.slice(5).trim();
+  if (payload === '[DONE]') return '';
+  const parsed = JSON.parse(payload);
+  if (parsed.error) throw new Error(`OpenAI互換サーバー: ${parsed.error.message ?? parsed.error}`);
+  return parsed.choices?.[0]?.delta?.content ?? parsed.choices?.[0]?.text ?? '';
+}
@@ -0,0 +1,168 @@
+/**
+ * PromptTemplates - 外部ファイルのプロンプトテンプレート
+ *
+ * LLMに渡すプロンプトの文面は prompts/ 以下のテキストファイルに置く。
+ * 口調の調整などはファイルを書き換えて /prompts reload するだけで反映され、
+ * ビルドし直したり再起動したりする必要はない。
+ *
+ * ファイルの形式（prompts/<グループ>/<名前>.txt → テンプレート名 "<グループ>/<名前>"）:
+ *
+ *   ---
+ *   version: 3
+ *   description: 訪問者への返事の出力指示
+ *   ---
+ *   {{visitorName}}に対する、あなたの返事を書いてください。
+ *
+ * - {{変数名}} は render() に渡した値で置き換える（渡されなかった変数は空文字）
+ * - version は文面を変えたら上げる。生成したメッセージと一緒に記録され、
+ *   どの版のプロンプトで話したかを後から追える（versionTag()）
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export interface PromptTemplate {
+  /** "<グループ>/<名前>" */
+  name: string;
+  version: string;
+  description: string;
+  body: string;
+  file: string;
+}
+
+export interface PromptReloadResult {
+  count: number;
+  /** 版が変わった・増えたテンプレート */
+  changed: string[];
+  removed: string[];
+}
+
+/** src/llm・dist/llm のどちらから読んでも somunia-work/prompts を指す */
+export const DEFAULT_PROMPTS_DIR = path.resolve(__dirname, '../../prompts');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * テンプレートファイルの中身を読む（front matter と本文）
+ */
+export function parsePromptTemplate(name: string, source: string, file: string = ''): PromptTemplate {
+  const match = source.match(FRONT_MATTER);
+  if (!match) {
+    throw new Error(`プロンプト ${name} に front matter（--- version: ... ---）がありません`);
+  }
+  const meta: Record<string, string> = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (pair) meta[pair[1]] = pair[2];
+  }
+  if (!meta.version) {
+    throw new Error(`プロンプト ${name} に version がありません`);
+  }
+  return {
+    name,
+    version: meta.version,
+    description: meta.description ?? '',
+    // 末尾の改行1つはファイルの終端として扱う
+    body: source.slice(match[0].length).replace(/\r\n/g, '\n').replace(/\n$/, ''),
+    file,
+  };
+}
+
+// ============================================================
+// PromptTemplates
+// ============================================================
+
+export class PromptTemplates {
+  private dir: string;
+  private templates: Map<string, PromptTemplate> | null = null;
+
+  constructor(dir: string = DEFAULT_PROMPTS_DIR) {
+    this.dir = dir;
+  }
+
+  getDirectory(): string {
+    return this.dir;
+  }
+
+  /**
+   * テンプレートを埋めて返す
+   */
+  render(name: string, vars: Record<string, string | number> = {}): string {
+    return this.get(name).body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key: string) =>
+      vars[key] !== undefined ? String(vars[key]) : ''
+    );
+  }
+
+  get(name: string): PromptTemplate {
+    const template = this.load().get(name);
+    if (!template) {
+      throw new Error(`プロンプトテンプレートがありません: ${name} (${this.dir})`);
+    }
+    return template;
+  }
+
+  version(name: string): string {
+    return this.get(name).version;
+  }
+
+  /**
+   * 使ったテンプレートの版をまとめた記録用のタグ（例: "response/persona@2,response/instruction@1"）
+   */
+  versionTag(names: string[]): string {
+    return names.map(name => `${name}@${this.version(name)}`).join(',');
+  }
+
+  list(): PromptTemplate[] {
+    return [...this.load().values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * ファイルを読み直す
+   * 1つでも読めないファイルがあれば例外を投げ、読み込み済みのテンプレートはそのまま使い続ける
+   */
+  reload(): PromptReloadResult {
+    const previous = this.templates;
+    const next = this.readDirectory();
+    this.templates = next;
+
+    const changed = [...next.values()]
+      .filter(t => previous?.get(t.name)?.version !== t.version)
+      .map(t => t.name);
+    const removed = previous ? [...previous.keys()].filter(name => !next.has(name)) : [];
+    return { count: next.size, changed, removed };
+  }
+
+  private load(): Map<string, PromptTemplate> {
+    if (!this.templates) {
+      this.templates = this.readDirectory();
+    }
+    return this.templates;
+  }
+
+  private readDirectory(): Map<string, PromptTemplate> {
+    if (!fs.existsSync(this.dir)) {
+      throw new Error(`プロンプトのディレクトリがありません: ${this.dir}`);
+    }
+    const templates = new Map<string, PromptTemplate>();
+    const walk = (dir: string) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(file);
+        } else if (entry.name.endsWith('.txt')) {
+          const name = path.relative(this.dir, file).replace(/\\/g, '/').replace(/\.txt$/, '');
+          templates.set(name, parsePromptTemplate(name, fs.readFileSync(file, 'utf-8'), file));
+        }
+      }
+    };
+    walk(this.dir);
+    return templates;
+  }
+}
+
+/** 既定のテンプレート（prompts/ を読む。/prompts reload で読み直す） */
+export const promptTemplates = new PromptTemplates();
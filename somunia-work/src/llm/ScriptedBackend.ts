@@ -0,0 +1,121 @@
+/**
+ * ScriptedBackend - 決まった応答を返すモックバックエンド
+ *
+ * 通信せず、台本どおりの応答を返す。テストや再現実行で
+ * LLMありの経路（理解・表現・要約）をオフラインで通すためのもの。
+ *
+ * 応答の決め方（上から順に）:
+ *   1. enqueue() で積まれた応答（先入れ先出し）
+ *   2. rules のうち、プロンプトに最初に一致したもの
+ *   3. defaultResponse
+ *
+ * 受け取ったリクエストは getRequests() で確認できる。
+ * chatStream では、決まった応答を chunkSize 文字ずつの断片に分けて渡す。
+ */
+
+import { BackendHealth, LLMBackend, LLMChatRequest } from './LLMBackend';
+
+export interface ScriptedRule {
+  /** プロンプト（user）に含まれる文字列、または正規表現 */
+  match: string | RegExp;
+  response: string | ((request: LLMChatRequest) => string);
+}
+
+export interface ScriptedBackendConfig {
+  rules: ScriptedRule[];
+  defaultResponse: string;
+  /** 接続確認で「ない」ことにする場合はfalse */
+  healthy: boolean;
+  /** chatStream で1回に渡す文字数 */
+  chunkSize: number;
+  /** サーバーにあることにするモデル（nullなら何でも受け付ける）。ないモデルを呼ぶと失敗する */
+  models: string[] | null;
+}
+
+const DEFAULT_CONFIG: ScriptedBackendConfig = {
+  rules: [],
+  defaultResponse: '...うん',
+  healthy: true,
+  chunkSize: 4,
+  models: null,
+};
+
+export class ScriptedBackend implements LLMBackend {
+  readonly type = 'scripted' as const;
+  readonly name = 'Scripted (mock)';
+  private config: ScriptedBackendConfig;
+  private queue: Array<string | Error> = [];
+  private requests: LLMChatRequest[] = [];
+
+  constructor(config: Partial<ScriptedBackendConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config.rules = [...this.config.rules];
+  }
+
+  async checkHealth(model: string): Promise<BackendHealth> {
+    const models = this.config.models;
+    return {
+      ok: this.config.healthy,
+      model: models && models.length > 0 && !models.includes(model) ? models[0] : model,
+      availableModels: this.config.healthy ? (models ?? [model]) : [],
+      message: this.config.healthy ? `Scripted backend (モデル: ${model})` : 'Scripted backend: unhealthy',
+      hints: [],
+    };
+  }
+
+  async chat(request: LLMChatRequest): Promise<string> {
+    return this.respond(request);
+  }
+
+  async chatStream(request: LLMChatRequest, onToken: (token: string) => void): Promise<string> {
+    const response = this.respond(request);
+    const chars = Array.from(response);
+    const size = Math.max(1, this.config.chunkSize);
+    for (let i = 0; i < chars.length; i += size) {
+      onToken(chars.slice(i, i + size).join(''));
+    }
+    return response;
+  }
+
+  private respond(request: LLMChatRequest): string {
+    this.requests.push(request);
+    if (this.config.models && !this.config.models.includes(request.model)) {
+      throw new Error(`model '${request.model}' not found`);
+    }
+
+    const queued = this.queue.shift();
+    if (queued instanceof Error) throw queued;
+    if (queued !== undefined) return queued;
+
+    const rule = this.config.rules.find(r =>
+      typeof r.match === 'string' ? request.prompt.includes(r.match) : r.match.test(request.prompt)
+    );
+    if (rule) {
+      return typeof rule.response === 'function' ? rule.response(request) : rule.response;
+    }
+    return this.config.defaultResponse;
+  }
+
+  /** 次の応答を積む（Errorを積むとその呼び出しは失敗する） */
+  enqueue(...responses: Array<string | Error>): void {
+    this.queue.push(...responses);
+  }
+
+  /** 接続確認の結果を切り替える（サーバーが落ちた・戻った状況の再現） */
+  setHealthy(healthy: boolean): void {
+    this.config.healthy = healthy;
+  }
+
+  addRule(rule: ScriptedRule): void {
+    this.config.rules.push(rule);
+  }
+
+  getRequests(): LLMChatRequest[] {
+    return [...this.requests];
+  }
+
+  reset(): void {
+    this.queue = [];
+    this.requests = [];
+  }
+}
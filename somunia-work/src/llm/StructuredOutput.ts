@@ -0,0 +1,329 @@
+/**
+ * StructuredOutput - LLMのJSON出力の約束事（スキーマ）と検証
+ *
+ * 発言の理解・記事の解釈・構造化応答など、LLMにJSONを返させる呼び出しは
+ * すべてここのスキーマで形を決めて検証する。
+ *
+ *   - スキーマはJSON Schemaの小さな部分集合（type / enum / items / minimum / maximum / maxLength / required）
+ *   - プロンプトには describeSchema() で同じスキーマを書いて渡す
+ *   - 検証に通らなければ、エラーを添えて直させる（LLMInterface 側で回数に上限あり）
+ *   - 結果はモデル・スキーマごとに StructuredOutputMetrics に数える
+ *
+ * 小さなモデルは数値を文字列で返しがちなので、"0.5" のような数値の文字列だけは数値として受け取る。
+ */
+
+import { EmotionType } from '../types';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type SchemaType = 'string' | 'number' | 'boolean' | 'array';
+
+export interface SchemaProperty {
+  type: SchemaType;
+  description?: string;
+  /** 許される値（string） */
+  enum?: readonly string[];
+  /** 配列の要素（array） */
+  items?: SchemaProperty;
+  minimum?: number;
+  maximum?: number;
+  /** 文字列の最大長（超えた分は切り詰める。エラーにはしない） */
+  maxLength?: number;
+  /** 最小の長さ（string は文字数、array は要素数） */
+  minLength?: number;
+}
+
+export interface StructuredSchema {
+  name: string;
+  properties: Record<string, SchemaProperty>;
+  required: string[];
+}
+
+export interface SchemaValidation<T> {
+  ok: boolean;
+  /** 検証済みの値（ok のときのみ） */
+  value: T | null;
+  errors: string[];
+}
+
+// ============================================================
+// 列挙値
+// ============================================================
+
+export const EMOTION_TYPES: readonly EmotionType[] = [
+  'joy', 'peace', 'curiosity', 'melancholy', 'loneliness', 'anxiety',
+  'contentment', 'wonder', 'warmth', 'fatigue', 'boredom', 'anticipation',
+  'confusion', 'nostalgia', 'hope', 'fear', 'excitement', 'serenity', 'gratitude',
+  'frustration', 'longing', 'unease', 'sadness',
+];
+
+export type MessageIntent = 'greeting' | 'question' | 'statement' | 'request' | 'emotional' | 'farewell' | 'unknown';
+
+export const MESSAGE_INTENTS: readonly MessageIntent[] = [
+  'greeting', 'question', 'statement', 'request', 'emotional', 'farewell', 'unknown',
+];
+
+// ============================================================
+// スキーマ
+// ============================================================
+
+/** 訪問者の発言の理解（understandMessage） */
+export const UNDERSTAND_SCHEMA: StructuredSchema = {
+  name: 'understand',
+  properties: {
+    intent: { type: 'string', enum: MESSAGE_INTENTS, description: 'メッセージの意図' },
+    topics: { type: 'array', items: { type: 'string' }, description: '話題のキーワード' },
+    emotions: { type: 'array', items: { type: 'string', enum: EMOTION_TYPES }, minLength: 1, description: '検出された感情' },
+    isPersonal: { type: 'boolean', description: '個人的な話かどうか' },
+    urgency: { type: 'number', minimum: 0, maximum: 1, description: '緊急度' },
+    keywords: { type: 'array', items: { type: 'string' }, description: '重要な単語' },
+  },
+  required: ['intent', 'emotions'],
+};
+
+/** Wikipedia記事の解釈（interpretArticle） */
+export const ARTICLE_SCHEMA: StructuredSchema = {
+  name: 'article',
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 300, description: 'somuniaなりの理解（200文字以内）' },
+    keyFacts: { type: 'array', items: { type: 'string' }, description: '覚えたい事実' },
+    relatedTopics: { type: 'array', items: { type: 'string' }, description: 'もっと知りたいこと' },
+    emotionalReaction: { type: 'string', enum: EMOTION_TYPES, description: '読んだときの感情' },
+    interestLevel: { type: 'number', minimum: 0, maximum: 1, description: '興味の強さ' },
+  },
+  required: ['summary', 'emotionalReaction'],
+};
+
+/** 訪問者への返事とメタデータ（expressResponseStructured） */
+export const RESPONSE_SCHEMA: StructuredSchema = {
+  name: 'response',
+  properties: {
+    response: { type: 'string', minLength: 1, description: 'somuniaの返事' },
+    emotion: { type: 'string', enum: EMOTION_TYPES, description: '返事に込めた感情' },
+    topics: { type: 'array', items: { type: 'string' }, description: '話題' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: '返事の確信度' },
+  },
+  required: ['response', 'emotion'],
+};
+
+/** 訪問者への返事の採点（judgeResponse） */
+export const JUDGE_SCHEMA: StructuredSchema = {
+  name: 'judge',
+  properties: {
+    personaFidelity: { type: 'number', minimum: 0, maximum: 1, description: 'somuniaらしさ（口調・視点・人格）' },
+    relevance: { type: 'number', minimum: 0, maximum: 1, description: '訪問者の発言にきちんと応えているか' },
+    naturalness: { type: 'number', minimum: 0, maximum: 1, description: '会話としての自然さ' },
+    comment: { type: 'string', maxLength: 100, description: '気になった点（50文字以内）' },
+  },
+  required: ['personaFidelity', 'relevance', 'naturalness'],
+};
+
+// ============================================================
+// 解析・検証
+// ============================================================
+
+/**
+ * 応答からJSONオブジェクトを取り出す（```json の囲みや前後の説明文は無視する）
+ * 見つからない・壊れているときは理由を投げる
+ */
+export function extractJson(text: string): Record<string, unknown> {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    throw new Error('JSONオブジェクトが見つかりません');
+  }
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch (error: any) {
+    throw new Error(`JSONとして読めません: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('JSONオブジェクトではありません');
+  }
+  return parsed as Record<string, unknown>;
+}
+
+/**
+ * 応答をスキーマで検証する（スキーマにないキーは捨てる）
+ */
+export function validateStructured<T>(schema: StructuredSchema, text: string): SchemaValidation<T> {
+  let data: Record<string, unknown>;
+  try {
+    data = extractJson(text);
+  } catch (error: any) {
+    return { ok: false, value: null, errors: [error.message] };
+  }
+
+  const errors: string[] = [];
+  const value: Record<string, unknown> = {};
+  for (const [key, property] of Object.entries(schema.properties)) {
+    if (data[key] === undefined || data[key] === null) {
+      if (schema.required.includes(key)) errors.push(`${key}: 必須です`);
+      continue;
+    }
+    const checked = checkValue(property, data[key], key, errors);
+    if (checked !== undefined) value[key] = checked;
+  }
+
+  return errors.length === 0
+    ? { ok: true, value: value as T, errors }
+    : { ok: false, value: null, errors };
+}
+
+function checkValue(property: SchemaProperty, raw: unknown, path: string, errors: string[]): unknown {
+  switch (property.type) {
+    case 'string': {
+      if (typeof raw !== 'string') {
+        errors.push(`${path}: 文字列にしてください`);
+        return undefined;
+      }
+      const text = raw.trim();
+      if (property.enum && !property.enum.includes(text)) {
+        errors.push(`${path}: "${text}" は使えません（${property.enum.join('/')} のどれか）`);
+        return undefined;
+      }
+      if (property.minLength !== undefined && text.length < property.minLength) {
+        errors.push(`${path}: 空にしないでください`);
+        return undefined;
+      }
+      return property.maxLength !== undefined ? text.slice(0, property.maxLength) : text;
+    }
+    case 'number': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${path}: 数値にしてください`);
+        return undefined;
+      }
+      if ((property.minimum !== undefined && number < property.minimum)
+        || (property.maximum !== undefined && number > property.maximum)) {
+        errors.push(`${path}: ${property.minimum ?? '-∞'}〜${property.maximum ?? '∞'} の範囲にしてください`);
+        return undefined;
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof raw !== 'boolean') {
+        errors.push(`${path}: true か false にしてください`);
+        return undefined;
+      }
+      return raw;
+    }
+    case 'array': {
+      if (!Array.isArray(raw)) {
+        errors.push(`${path}: 配列にしてください`);
+        return undefined;
+      }
+      const before = errors.length;
+      const items = property.items
+        ? raw.map((item, i) => checkValue(property.items!, item, `${path}[${i}]`, errors))
+        : raw;
+      if (errors.length > before) return undefined;
+      const kept = items.filter(item => item !== '');
+      if (property.minLength !== undefined && kept.length < property.minLength) {
+        errors.push(`${path}: ${property.minLength}個以上にしてください`);
+        return undefined;
+      }
+      return kept;
+    }
+  }
+}
+
+/**
+ * プロンプトに書くスキーマの説明（JSON Schema の形）
+ */
+export function describeSchema(schema: StructuredSchema): string {
+  const toJsonSchema = (property: SchemaProperty): Record<string, unknown> => {
+    const out: Record<string, unknown> = { type: property.type };
+    if (property.description) out.description = property.description;
+    if (property.enum) out.enum = property.enum;
+    if (property.items) out.items = toJsonSchema(property.items);
+    if (property.minimum !== undefined) out.minimum = property.minimum;
+    if (property.maximum !== undefined) out.maximum = property.maximum;
+    return out;
+  };
+  return JSON.stringify({
+    type: 'object',
+    properties: Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [key, toJsonSchema(property)])
+    ),
+    required: schema.required,
+  }, null, 2);
+}
+
+// ============================================================
+// StructuredOutputMetrics
+// ============================================================
+
+export interface StructuredOutputCounts {
+  /** 呼び出し回数 */
+  calls: number;
+  /** 1回目で検証に通った */
+  valid: number;
+  /** 直させて通った */
+  repaired: number;
+  /** 上限まで直させても通らなかった */
+  failed: number;
+  /** 直させた回数の合計 */
+  repairAttempts: number;
+}
+
+export interface StructuredOutputModelStats extends StructuredOutputCounts {
+  model: string;
+  /** 1回目の応答が検証に通らなかった割合 */
+  parseFailureRate: number;
+  /** 最後まで通らなかった割合 */
+  failureRate: number;
+  bySchema: Record<string, StructuredOutputCounts>;
+}
+
+export type StructuredOutcome = 'valid' | 'repaired' | 'failed';
+
+export class StructuredOutputMetrics {
+  private counts = new Map<string, Map<string, StructuredOutputCounts>>();
+
+  record(model: string, schema: string, outcome: StructuredOutcome, repairAttempts: number): void {
+    let bySchema = this.counts.get(model);
+    if (!bySchema) {
+      bySchema = new Map();
+      this.counts.set(model, bySchema);
+    }
+    let counts = bySchema.get(schema);
+    if (!counts) {
+      counts = { calls: 0, valid: 0, repaired: 0, failed: 0, repairAttempts: 0 };
+      bySchema.set(schema, counts);
+    }
+    counts.calls++;
+    counts[outcome]++;
+    counts.repairAttempts += repairAttempts;
+  }
+
+  /** モデルごとの集計（呼び出しの多い順） */
+  getStats(): StructuredOutputModelStats[] {
+    return [...this.counts.entries()]
+      .map(([model, bySchema]) => {
+        const total: StructuredOutputCounts = { calls: 0, valid: 0, repaired: 0, failed: 0, repairAttempts: 0 };
+        for (const counts of bySchema.values()) {
+          total.calls += counts.calls;
+          total.valid += counts.valid;
+          total.repaired += counts.repaired;
+          total.failed += counts.failed;
+          total.repairAttempts += counts.repairAttempts;
+        }
+        return {
+          model,
+          ...total,
+          parseFailureRate: total.calls > 0 ? (total.calls - total.valid) / total.calls : 0,
+          failureRate: total.calls > 0 ? total.failed / total.calls : 0,
+          bySchema: Object.fromEntries([...bySchema.entries()].map(([name, counts]) => [name, { ...counts }])),
+        };
+      })
+      .sort((a, b) => b.calls - a.calls);
+  }
+
+  reset(): void {
+    this.counts.clear();
+  }
+}
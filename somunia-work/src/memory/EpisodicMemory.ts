@@ -20,6 +20,8 @@ import {
   Tick,
   ID
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+import { SemanticIndex } from './SemanticIndex';
 
 // ============================================================
 // エピソード記憶設定
@@ -89,8 +91,13 @@ export class EpisodicMemorySystem {
   private emotionIndex: Map<EmotionType, Set<ID>>;
   private conceptIndex: Map<string, Set<ID>>;
   private timeIndex: Map<string, Set<ID>>;  // 日付文字列 → ID
+  /** 意味検索の索引（searchSimilar で使う） */
+  private semanticIndex: SemanticIndex | null = null;
   
-  constructor(config: Partial<EpisodicMemoryConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<EpisodicMemoryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.memories = new Map();
     this.eventLog = [];
@@ -142,6 +149,7 @@ export class EpisodicMemorySystem {
     
     // インデックス更新
     this.updateIndices(memory);
+    void this.semanticIndex?.add('memory', id, this.embeddingText(memory));
     
     // 関連記憶の探索と紐付け
     this.findAndAssociateMemories(memory);
@@ -192,7 +200,7 @@ export class EpisodicMemorySystem {
    * IDを生成
    */
   private generateId(): ID {
-    return `mem_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    return `mem_${Date.now()}_${this.rng.next().toString(36).substring(2, 9)}`;
   }
   
   /**
@@ -421,6 +429,53 @@ export class EpisodicMemorySystem {
       .slice(0, limit);
   }
   
+  /**
+   * 意味の近さで検索（索引がなければキーワード検索と同じ）
+   * キーワードで見つかったものに、意味の近いものを合わせて返す
+   */
+  async searchSimilar(
+    query: string,
+    limit: number = 10
+  ): Promise<MemorySearchResult[]> {
+    const results = new Map(this.search(query, limit).map(r => [r.memory.id, r]));
+    
+    if (this.semanticIndex) {
+      for (const hit of await this.semanticIndex.search(query, 'memory', limit)) {
+        const memory = this.memories.get(hit.itemId);
+        if (!memory || memory.retentionStrength < this.config.deletionThreshold) continue;
+        
+        const relevance = hit.score * memory.retentionStrength;
+        const criterion = `similar:${hit.score.toFixed(2)}`;
+        const existing = results.get(memory.id);
+        if (existing) {
+          existing.relevance = Math.max(existing.relevance, relevance);
+          existing.matchedCriteria.push(criterion);
+        } else {
+          results.set(memory.id, { memory, relevance, matchedCriteria: [criterion] });
+        }
+      }
+    }
+    
+    return [...results.values()]
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+  
+  /**
+   * 意味検索の索引を設定する（保存済みの記憶は索引の backfill() で入る）
+   */
+  setSemanticIndex(index: SemanticIndex | null): void {
+    this.semanticIndex = index;
+    index?.registerSource('memory', () =>
+      [...this.memories.values()].map(m => ({ id: m.id, text: this.embeddingText(m) }))
+    );
+  }
+  
+  private embeddingText(memory: EpisodicMemory): string {
+    const parts = memory.summary === memory.content ? [memory.summary] : [memory.summary, memory.content];
+    return [...parts, ...memory.relatedConcepts].join(' ');
+  }
+  
   /**
    * 時間範囲で検索
    */
@@ -500,7 +555,7 @@ export class EpisodicMemorySystem {
     
     if (candidates.length === 0) return null;
     
-    const selected = candidates[Math.floor(Math.random() * candidates.length)];
+    const selected = candidates[Math.floor(this.rng.next() * candidates.length)];
     return this.recall(selected.id);
   }
   
@@ -545,9 +600,9 @@ export class EpisodicMemorySystem {
   }
   
   /**
-   * 記憶を削除
+   * 記憶を削除（頼まれて忘れたときは、ログにも中身を残さない）
    */
-  private deleteMemory(memoryId: ID): void {
+  private deleteMemory(memoryId: ID, reason: 'faded' | 'requested' = 'faded'): void {
     const memory = this.memories.get(memoryId);
     if (!memory) return;
     
@@ -562,6 +617,7 @@ export class EpisodicMemorySystem {
     
     const dateKey = this.getDateKey(memory.timestamp);
     this.timeIndex.get(dateKey)?.delete(memoryId);
+    this.semanticIndex?.remove('memory', memoryId);
     
     // 関連記憶から削除
     for (const relatedId of memory.relatedMemories) {
@@ -580,7 +636,9 @@ export class EpisodicMemorySystem {
       timestamp: Date.now(),
       memoryId,
       type: 'forgotten',
-      details: `記憶が薄れた: ${memory.summary.substring(0, 30)}...`
+      details: reason === 'requested'
+        ? '頼まれて記憶を忘れた'
+        : `記憶が薄れた: ${memory.summary.substring(0, 30)}...`
     });
   }
   
@@ -616,6 +674,27 @@ export class EpisodicMemorySystem {
     }
   }
   
+  // ============================================================
+  // 頼まれて忘れる
+  // ============================================================
+
+  /**
+   * 記憶を消す（訪問者に忘れてと頼まれたとき）
+   */
+  forgetMemory(memoryId: ID): boolean {
+    if (!this.memories.has(memoryId)) return false;
+    this.deleteMemory(memoryId, 'requested');
+    return true;
+  }
+
+  /**
+   * 内容・要約が条件に合う記憶を探す
+   */
+  findByContent(match: (text: string) => boolean): EpisodicMemory[] {
+    return Array.from(this.memories.values())
+      .filter(m => match(m.content) || match(m.summary));
+  }
+
   // ============================================================
   // クエリAPI
   // ============================================================
@@ -760,8 +839,8 @@ export class EpisodicMemorySystem {
   /**
    * JSONからリストア
    */
-  static fromJSON(json: any): EpisodicMemorySystem {
-    const system = new EpisodicMemorySystem(json.config);
+  static fromJSON(json: any, rng: SeededRandom): EpisodicMemorySystem {
+    const system = new EpisodicMemorySystem(json.config, rng);
     
     // メモリを復元
     for (const [id, memory] of json.memories) {
@@ -0,0 +1,121 @@
+/**
+ * Forgetting - 頼まれて忘れる
+ *
+ * 訪問者に「それ忘れて」「/forget last」と言われたら、その発言を
+ * 覚えているところすべてから消す。発言は会話のあちこちに写されているので、
+ * 1ターンの処理で作ったもの（メッセージの行・エピソード記憶・知識・連想ノード）を
+ * StatementTrace として控えておき、忘れるときはそれを手がかりにする。
+ *
+ * - 発言の写しは短く切られて残っていることが多い（「会話: 「…」→「…」」など）ので、
+ *   発言の先頭 KEY_LENGTH 文字を含むものを「その発言のこと」とみなす（mentionsStatement）
+ * - 控えはセッション中だけ持つ。再起動前の発言は /forget fact <id> で事実ごとに消す
+ * - バックアップ（backups/）の中身は消さない
+ */
+
+import { ID } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+/** 1つの発言から作られたものの控え */
+export interface StatementTrace {
+  visitorId: ID;
+  /** 訪問者の発言 */
+  content: string;
+  /** その発言へのsomuniaの返事 */
+  responses: string[];
+  /** messages テーブルの行ID（発言と返事） */
+  messageIds: string[];
+  /** 作られたエピソード記憶 */
+  memoryIds: ID[];
+  /** 新しく覚えた知識 */
+  concepts: { id: ID; name: string }[];
+  /** 新しく作られた連想ノードのラベル */
+  nodeLabels: string[];
+}
+
+export type ForgetReplyKind = 'statement' | 'fact' | 'nothing';
+
+/** 写しの中で発言を見分けるのに使う先頭の文字数（写しは最短でこの長さに切られる） */
+const KEY_LENGTH = 30;
+
+/** これより短い発言は、写しと完全に一致するときだけ同じとみなす */
+const MIN_KEY_LENGTH = 4;
+
+const MAX_TRACES = 50;
+
+// ============================================================
+// 忘れてほしいという発言
+// ============================================================
+
+const FORGET_PATTERNS: RegExp[] = [
+  /^(?:ごめん[、,\s]*)?(?:それ|今の|いまの|さっきの|今言ったこと|さっき言ったこと)?(?:は|を|、)?\s*(?:忘れて|わすれて)(?:ほしい|欲しい|ください|くれる?|ね|な)?[。！!…\s]*$/,
+  /^(?:ごめん[、,\s]*)?(?:今の|いまの|さっきの)?(?:は|、)?\s*(?:聞かなかったことに|なかったことに)して(?:ほしい|欲しい|ください|ね)?[。！!…\s]*$/,
+  /^(?:please\s+)?forget\s+(?:that|it|what i (?:just )?said)\b/i,
+];
+
+/** 直前の発言を忘れてほしいという発言か（文全体がその頼みのときだけ） */
+export function isForgetRequest(message: string): boolean {
+  const text = message.normalize('NFKC').trim();
+  return FORGET_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/** text が発言 statement（の写し）を含むか */
+export function mentionsStatement(text: string, statement: string): boolean {
+  const key = statement.trim().substring(0, KEY_LENGTH);
+  if (key.length === 0) return false;
+  if (key.length < MIN_KEY_LENGTH) return text.trim() === key;
+  return text.includes(key);
+}
+
+// ============================================================
+// 忘れたときの返事
+// ============================================================
+
+const FORGET_REPLIES: Record<ForgetReplyKind, string[]> = {
+  statement: [
+    '...うん、わかった。もう忘れたよ。',
+    'うん。聞かなかったことにするね...もう覚えてない。',
+    '...わかった。いまの話は、わたしの中から消しておくね。',
+  ],
+  fact: [
+    '...うん。そのことは、もう覚えてないよ。',
+    'わかった。忘れておくね...少しだけ寂しいけど。',
+  ],
+  nothing: [
+    '...？ 忘れることは、まだ何もないみたい。',
+    'うーん...忘れるようなこと、聞いたかな...',
+  ],
+};
+
+export function pickForgetReply(kind: ForgetReplyKind, rng: SeededRandom): string {
+  const candidates = FORGET_REPLIES[kind];
+  return candidates[Math.floor(rng.next() * candidates.length)];
+}
+
+// ============================================================
+// StatementTraceLog
+// ============================================================
+
+export class StatementTraceLog {
+  private traces: StatementTrace[] = [];
+
+  record(trace: StatementTrace): void {
+    this.traces.push(trace);
+    if (this.traces.length > MAX_TRACES) this.traces.shift();
+  }
+
+  /** 訪問者の最後の発言の控え（まだ忘れていないもの） */
+  latest(visitorId: ID): StatementTrace | null {
+    for (let i = this.traces.length - 1; i >= 0; i--) {
+      if (this.traces[i].visitorId === visitorId) return this.traces[i];
+    }
+    return null;
+  }
+
+  remove(trace: StatementTrace): void {
+    this.traces = this.traces.filter(t => t !== trace);
+  }
+}
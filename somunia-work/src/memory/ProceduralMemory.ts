@@ -19,6 +19,7 @@ import {
   ID,
   ActionType
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 手続き記憶設定
@@ -263,7 +264,10 @@ export class ProceduralMemorySystem {
   private categoryIndex: Map<SkillCategory, Set<ID>>;
   private actionIndex: Map<ActionType, Set<ID>>;
   
-  constructor(config: Partial<ProceduralMemoryConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<ProceduralMemoryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.skills = new Map();
     this.eventLog = [];
@@ -354,7 +358,7 @@ export class ProceduralMemorySystem {
    * IDを生成
    */
   private generateId(): ID {
-    return `proc_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    return `proc_${Date.now()}_${this.rng.next().toString(36).substring(2, 9)}`;
   }
   
   /**
@@ -423,7 +427,7 @@ export class ProceduralMemorySystem {
     
     // 習熟度に基づく成功判定
     const successChance = skill.proficiency;
-    const random = Math.random();
+    const random = this.rng.next();
     
     if (random < successChance) {
       return {
@@ -815,8 +819,8 @@ export class ProceduralMemorySystem {
   /**
    * JSONからリストア
    */
-  static fromJSON(json: any): ProceduralMemorySystem {
-    const system = new ProceduralMemorySystem(json.config);
+  static fromJSON(json: any, rng: SeededRandom): ProceduralMemorySystem {
+    const system = new ProceduralMemorySystem(json.config, rng);
     
     // 既存データをクリア
     system.skills.clear();
@@ -0,0 +1,270 @@
+/**
+ * SemanticIndex - 意味の近さで記憶を探す索引
+ *
+ * エピソード記憶・知識・日記・訪問者のことをベクトル（EmbeddingProvider.ts）にして保存し、
+ * 問い合わせの文と近いものを探す。キーワード検索（各モジュールの search）を補うもの。
+ *
+ * - 各モジュールは setSemanticIndex() で索引を受け取り、書き込み・削除のたびに add / remove する
+ *   （registerSource() で全件の一覧も渡しておき、backfill() で抜けを埋める）
+ * - 同じ文のベクトルは作り直さない（文のハッシュで判定）
+ * - 保存先は EmbeddingStore。通常はSQLite（DatabaseManager の embeddings テーブル）
+ * - プロバイダ（Ollamaなど）が使えなくなったら、文字n-gramのプロバイダに切り替えて作り直す
+ */
+
+import * as crypto from 'crypto';
+import {
+  EmbeddingProvider,
+  HashedNgramEmbeddingProvider,
+  cosineSimilarity,
+} from '../llm/EmbeddingProvider';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export type EmbeddingKind = 'memory' | 'concept' | 'diary' | 'visitor_fact';
+
+export interface EmbeddingRecord {
+  kind: EmbeddingKind;
+  itemId: string;
+  /** ベクトルを作ったプロバイダのID */
+  provider: string;
+  textHash: string;
+  vector: number[];
+  updatedAt: number;
+}
+
+/** ベクトルの保存先（DatabaseManager もこの形を満たす） */
+export interface EmbeddingStore {
+  getEmbeddings(kind: EmbeddingKind, provider: string): EmbeddingRecord[];
+  putEmbedding(record: EmbeddingRecord): void;
+  /** その項目のベクトルを（プロバイダを問わず）消す */
+  deleteEmbedding(kind: EmbeddingKind, itemId: string): void;
+}
+
+export interface EmbeddingSourceItem {
+  id: string;
+  text: string;
+}
+
+export interface SimilarItem {
+  kind: EmbeddingKind;
+  itemId: string;
+  /** コサイン類似度 */
+  score: number;
+}
+
+export interface SemanticIndexConfig {
+  /** これより似ていないものは結果に入れない */
+  minScore: number;
+  /** 一度にベクトルにする件数 */
+  batchSize: number;
+}
+
+const DEFAULT_CONFIG: SemanticIndexConfig = {
+  minScore: 0.2,
+  batchSize: 16,
+};
+
+// ============================================================
+// メモリ上のストア
+// ============================================================
+
+export class MemoryEmbeddingStore implements EmbeddingStore {
+  private records = new Map<string, EmbeddingRecord>();
+
+  getEmbeddings(kind: EmbeddingKind, provider: string): EmbeddingRecord[] {
+    return [...this.records.values()]
+      .filter(r => r.kind === kind && r.provider === provider)
+      .map(r => ({ ...r, vector: [...r.vector] }));
+  }
+
+  putEmbedding(record: EmbeddingRecord): void {
+    this.records.set(`${record.kind}\u0000${record.itemId}\u0000${record.provider}`, { ...record, vector: [...record.vector] });
+  }
+
+  deleteEmbedding(kind: EmbeddingKind, itemId: string): void {
+    for (const [key, record] of this.records) {
+      if (record.kind === kind && record.itemId === itemId) this.records.delete(key);
+    }
+  }
+}
+
+// ============================================================
+// SemanticIndex
+// ============================================================
+
+export class SemanticIndex {
+  private store: EmbeddingStore;
+  private provider: EmbeddingProvider;
+  private fallback: EmbeddingProvider | null;
+  private config: SemanticIndexConfig;
+  private sources = new Map<EmbeddingKind, () => EmbeddingSourceItem[]>();
+  /** 現在のプロバイダのベクトル（種類ごと。初めて使うときにストアから読む） */
+  private vectors = new Map<EmbeddingKind, Map<string, { textHash: string; vector: number[] }>>();
+
+  constructor(
+    store: EmbeddingStore,
+    provider: EmbeddingProvider,
+    config?: Partial<SemanticIndexConfig>,
+    fallback: EmbeddingProvider | null = new HashedNgramEmbeddingProvider(),
+  ) {
+    this.store = store;
+    this.provider = provider;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.fallback = fallback && fallback.id !== provider.id ? fallback : null;
+  }
+
+  /** backfill() で使う、その種類の全件の一覧 */
+  registerSource(kind: EmbeddingKind, source: () => EmbeddingSourceItem[]): void {
+    this.sources.set(kind, source);
+  }
+
+  /**
+   * 項目を索引に入れる（文が変わっていなければ何もしない）
+   * 失敗しても例外は投げない（検索に出てこないだけ）
+   */
+  async add(kind: EmbeddingKind, itemId: string, text: string): Promise<void> {
+    await this.addMany(kind, [{ id: itemId, text }]);
+  }
+
+  async addMany(kind: EmbeddingKind, items: EmbeddingSourceItem[]): Promise<number> {
+    const vectors = this.load(kind);
+    const pending = items
+      .filter(item => item.text.trim().length > 0)
+      .map(item => ({ ...item, textHash: hashText(item.text) }))
+      .filter(item => vectors.get(item.id)?.textHash !== item.textHash);
+
+    let added = 0;
+    for (let i = 0; i < pending.length; i += this.config.batchSize) {
+      const batch = pending.slice(i, i + this.config.batchSize);
+      const embedded = await this.embed(batch.map(item => item.text));
+      if (!embedded) return added;
+
+      // 途中でプロバイダが切り替わっていたら、新しい空間の索引に入れる
+      const target = this.load(kind);
+      const now = Date.now();
+      batch.forEach((item, j) => {
+        target.set(item.id, { textHash: item.textHash, vector: embedded[j] });
+        try {
+          this.store.putEmbedding({
+            kind, itemId: item.id, provider: this.provider.id,
+            textHash: item.textHash, vector: embedded[j], updatedAt: now,
+          });
+        } catch (error) {
+          console.error('[SemanticIndex] ベクトルの保存に失敗:', (error as Error).message);
+        }
+      });
+      added += batch.length;
+    }
+    return added;
+  }
+
+  remove(kind: EmbeddingKind, itemId: string): void {
+    this.vectors.get(kind)?.delete(itemId);
+    try {
+      this.store.deleteEmbedding(kind, itemId);
+    } catch (error) {
+      console.error('[SemanticIndex] ベクトルの削除に失敗:', (error as Error).message);
+    }
+  }
+
+  /**
+   * 問い合わせの文と意味の近い項目を探す（似ている順）
+   */
+  async search(
+    query: string,
+    kinds: EmbeddingKind | EmbeddingKind[],
+    limit: number = 5
+  ): Promise<SimilarItem[]> {
+    if (!query.trim()) return [];
+    const embedded = await this.embed([query]);
+    if (!embedded) return [];
+    const [queryVector] = embedded;
+
+    const results: SimilarItem[] = [];
+    for (const kind of Array.isArray(kinds) ? kinds : [kinds]) {
+      for (const [itemId, { vector }] of this.load(kind)) {
+        const score = cosineSimilarity(queryVector, vector);
+        if (score >= this.config.minScore) results.push({ kind, itemId, score });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * 登録された一覧のうち、まだベクトルのない項目を索引に入れる（入れた件数を返す）
+   */
+  async backfill(): Promise<number> {
+    let added = 0;
+    for (const [kind, source] of this.sources) {
+      const items = source();
+      added += await this.addMany(kind, items);
+      // 一覧にない（消えた）項目のベクトルは捨てる
+      const ids = new Set(items.map(item => item.id));
+      for (const itemId of [...this.load(kind).keys()]) {
+        if (!ids.has(itemId)) this.remove(kind, itemId);
+      }
+    }
+    return added;
+  }
+
+  getProvider(): EmbeddingProvider {
+    return this.provider;
+  }
+
+  /** 種類ごとの索引の件数（現在のプロバイダのもの） */
+  getStats(): { provider: string; counts: Record<EmbeddingKind, number> } {
+    const counts: Record<EmbeddingKind, number> = { memory: 0, concept: 0, diary: 0, visitor_fact: 0 };
+    for (const kind of Object.keys(counts) as EmbeddingKind[]) {
+      counts[kind] = this.load(kind).size;
+    }
+    return { provider: this.provider.id, counts };
+  }
+
+  // ============================================================
+  // 内部処理
+  // ============================================================
+
+  private load(kind: EmbeddingKind): Map<string, { textHash: string; vector: number[] }> {
+    let vectors = this.vectors.get(kind);
+    if (!vectors) {
+      vectors = new Map();
+      try {
+        for (const record of this.store.getEmbeddings(kind, this.provider.id)) {
+          vectors.set(record.itemId, { textHash: record.textHash, vector: record.vector });
+        }
+      } catch (error) {
+        console.error('[SemanticIndex] ベクトルの読み込みに失敗:', (error as Error).message);
+      }
+      this.vectors.set(kind, vectors);
+    }
+    return vectors;
+  }
+
+  /**
+   * プロバイダでベクトルにする。失敗したら代わりのプロバイダに切り替えて作り直す
+   * （切り替えられなければnull）
+   */
+  private async embed(texts: string[]): Promise<number[][] | null> {
+    try {
+      return await this.provider.embed(texts);
+    } catch (error) {
+      if (!this.fallback) {
+        console.error(`[SemanticIndex] ${this.provider.name} でベクトルにできません:`, (error as Error).message);
+        return null;
+      }
+      console.warn(`[SemanticIndex] ${this.provider.name} が使えません（${(error as Error).message}）。${this.fallback.name} に切り替えます`);
+      this.provider = this.fallback;
+      this.fallback = null;
+      this.vectors.clear();
+      // 切り替えた空間で全件を作り直す（失敗しても検索は続けられる）
+      this.backfill().catch(err => console.error('[SemanticIndex] 索引の作り直しに失敗:', err.message));
+      return this.embed(texts);
+    }
+  }
+}
+
+function hashText(text: string): string {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
@@ -19,6 +19,8 @@ import {
   Tick,
   ID
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+import { SemanticIndex } from './SemanticIndex';
 
 // ============================================================
 // 意味記憶設定
@@ -60,7 +62,7 @@ const DEFAULT_CONFIG: SemanticMemoryConfig = {
 export interface KnowledgeSearchResult {
   knowledge: SemanticMemory;
   relevance: Normalized;
-  matchType: 'exact' | 'partial' | 'related';
+  matchType: 'exact' | 'partial' | 'related' | 'similar';
 }
 
 // ============================================================
@@ -169,8 +171,13 @@ export class SemanticMemorySystem {
   // インデックス
   private conceptNameIndex: Map<string, ID>;  // 概念名 → ID
   private sourceIndex: Map<string, Set<ID>>;  // ソース → ID集合
+  /** 意味検索の索引（searchSimilar で使う） */
+  private semanticIndex: SemanticIndex | null = null;
   
-  constructor(config: Partial<SemanticMemoryConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<SemanticMemoryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.concepts = new Map();
     this.eventLog = [];
@@ -401,6 +408,7 @@ export class SemanticMemorySystem {
     
     // 関連概念との双方向リンク
     this.establishRelations(knowledge);
+    void this.semanticIndex?.add('concept', id, this.embeddingText(knowledge));
     
     // イベントログ
     this.logEvent({
@@ -432,6 +440,7 @@ export class SemanticMemorySystem {
     // 定義を拡張
     if (additionalInfo && !knowledge.definition.includes(additionalInfo)) {
       knowledge.definition += ` ${additionalInfo}`;
+      void this.semanticIndex?.add('concept', conceptId, this.embeddingText(knowledge));
     }
     
     // 理解度を上げる
@@ -470,7 +479,7 @@ export class SemanticMemorySystem {
    * IDを生成
    */
   private generateId(): ID {
-    return `sem_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    return `sem_${Date.now()}_${this.rng.next().toString(36).substring(2, 9)}`;
   }
   
   /**
@@ -621,6 +630,45 @@ export class SemanticMemorySystem {
       .slice(0, limit);
   }
   
+  /**
+   * 意味の近さで検索（索引がなければ自由検索と同じ）
+   * 自由検索で見つかったものに、意味の近いものを合わせて返す
+   */
+  async searchSimilar(query: string, limit: number = 10): Promise<KnowledgeSearchResult[]> {
+    const results = new Map(this.search(query, limit).map(r => [r.knowledge.id, r]));
+    
+    if (this.semanticIndex) {
+      for (const hit of await this.semanticIndex.search(query, 'concept', limit)) {
+        const knowledge = this.concepts.get(hit.itemId);
+        if (!knowledge || results.has(knowledge.id)) continue;
+        if (knowledge.comprehension < this.config.deletionThreshold) continue;
+        results.set(knowledge.id, {
+          knowledge,
+          relevance: hit.score * knowledge.comprehension,
+          matchType: 'similar'
+        });
+      }
+    }
+    
+    return [...results.values()]
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit);
+  }
+  
+  /**
+   * 意味検索の索引を設定する（保存済みの知識は索引の backfill() で入る）
+   */
+  setSemanticIndex(index: SemanticIndex | null): void {
+    this.semanticIndex = index;
+    index?.registerSource('concept', () =>
+      [...this.concepts.values()].map(k => ({ id: k.id, text: this.embeddingText(k) }))
+    );
+  }
+  
+  private embeddingText(knowledge: SemanticMemory): string {
+    return `${knowledge.concept} ${knowledge.definition}`;
+  }
+  
   /**
    * 関連概念を取得
    */
@@ -721,7 +769,7 @@ export class SemanticMemorySystem {
       }
     }
     
-    return weighted[Math.floor(Math.random() * weighted.length)];
+    return weighted[Math.floor(this.rng.next() * weighted.length)];
   }
   
   /**
@@ -765,9 +813,9 @@ export class SemanticMemorySystem {
   }
   
   /**
-   * 知識を削除
+   * 知識を削除（頼まれて忘れたときは、ログにも中身を残さない）
    */
-  private deleteKnowledge(conceptId: ID): void {
+  private deleteKnowledge(conceptId: ID, reason: 'faded' | 'requested' = 'faded'): void {
     const knowledge = this.concepts.get(conceptId);
     if (!knowledge) return;
     
@@ -790,13 +838,14 @@ export class SemanticMemorySystem {
     
     // 削除
     this.concepts.delete(conceptId);
+    this.semanticIndex?.remove('concept', conceptId);
     
     // イベントログ
     this.logEvent({
       timestamp: Date.now(),
       conceptId,
       type: 'forgotten',
-      details: `知識が薄れた: ${knowledge.concept}`
+      details: reason === 'requested' ? '頼まれて知識を忘れた' : `知識が薄れた: ${knowledge.concept}`
     });
   }
   
@@ -831,6 +880,16 @@ export class SemanticMemorySystem {
     }
   }
   
+  /**
+   * 知識を消す（訪問者に忘れてと頼まれたとき。初期知識は消さない）
+   */
+  forgetConcept(conceptId: ID): boolean {
+    const knowledge = this.concepts.get(conceptId);
+    if (!knowledge || knowledge.source === 'initial') return false;
+    this.deleteKnowledge(conceptId, 'requested');
+    return true;
+  }
+  
   // ============================================================
   // クエリAPI
   // ============================================================
@@ -934,8 +993,8 @@ export class SemanticMemorySystem {
   /**
    * JSONからリストア
    */
-  static fromJSON(json: any): SemanticMemorySystem {
-    const system = new SemanticMemorySystem(json.config);
+  static fromJSON(json: any, rng: SeededRandom): SemanticMemorySystem {
+    const system = new SemanticMemorySystem(json.config, rng);
     
     // 既存の初期知識をクリア
     system.concepts.clear();
@@ -6,6 +6,7 @@
  */
 
 import { Yuragi } from '../brain/Yuragi';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -468,7 +469,10 @@ export class SelfModification {
     this.externalModules = { ...this.externalModules, ...modules };
   }
 
-  constructor(config: Partial<SelfModificationConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<SelfModificationConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = {
       minReflectionInterval: 30 * 60 * 1000, // 30分
       maxSelfConcepts: 50,
@@ -480,7 +484,7 @@ export class SelfModification {
       ...config,
     };
 
-    this.yuragi = new Yuragi();
+    this.yuragi = new Yuragi(this.rng);
     this.reflections = [];
     this.proposals = [];
     this.growthRecords = [];
@@ -611,24 +615,24 @@ export class SelfModification {
   }): string {
     // 感情に関連するトピック
     if (context?.currentEmotion) {
-      if (Math.random() < 0.5) {
+      if (this.rng.next() < 0.5) {
         const emotionTopics = REFLECTION_TOPICS.emotions;
-        return emotionTopics[Math.floor(Math.random() * emotionTopics.length)];
+        return emotionTopics[Math.floor(this.rng.next() * emotionTopics.length)];
       }
     }
 
     // ストレスが高いときはアイデンティティや存在について
     if (context?.stressLevel && context.stressLevel > 0.7) {
       const existenceTopics = REFLECTION_TOPICS.existence;
-      return existenceTopics[Math.floor(Math.random() * existenceTopics.length)];
+      return existenceTopics[Math.floor(this.rng.next() * existenceTopics.length)];
     }
 
     // ランダムにカテゴリを選択
     const categories = Object.keys(REFLECTION_TOPICS) as (keyof typeof REFLECTION_TOPICS)[];
-    const category = categories[Math.floor(Math.random() * categories.length)];
+    const category = categories[Math.floor(this.rng.next() * categories.length)];
     const topics = REFLECTION_TOPICS[category];
     
-    return topics[Math.floor(Math.random() * topics.length)];
+    return topics[Math.floor(this.rng.next() * topics.length)];
   }
 
   /**
@@ -645,21 +649,21 @@ export class SelfModification {
 
     // 関連する自己概念を参照
     const relatedConcepts = this.selfConcepts.filter(c => 
-      c.content.includes(topic.slice(0, 5)) || Math.random() < 0.2
+      c.content.includes(topic.slice(0, 5)) || this.rng.next() < 0.2
     );
 
     if (relatedConcepts.length > 0) {
-      const concept = relatedConcepts[Math.floor(Math.random() * relatedConcepts.length)];
+      const concept = relatedConcepts[Math.floor(this.rng.next() * relatedConcepts.length)];
       thoughts.push(`私は「${concept.content}」と思っていた`);
     }
 
     // 価値観を参照
     const relatedValues = this.values.filter(v => 
-      v.description.includes(topic.slice(0, 5)) || Math.random() < 0.2
+      v.description.includes(topic.slice(0, 5)) || this.rng.next() < 0.2
     );
 
     if (relatedValues.length > 0) {
-      const value = relatedValues[Math.floor(Math.random() * relatedValues.length)];
+      const value = relatedValues[Math.floor(this.rng.next() * relatedValues.length)];
       thoughts.push(`${value.name}を大切にしているから、この問いに意味がある`);
     }
 
@@ -677,16 +681,16 @@ export class SelfModification {
       'これは今まで考えたことがなかった',
       '言葉にするのが難しい感覚がある',
     ];
-    thoughts.push(developingThoughts[Math.floor(Math.random() * developingThoughts.length)]);
+    thoughts.push(developingThoughts[Math.floor(this.rng.next() * developingThoughts.length)]);
 
     // 深掘り
-    if (Math.random() < 0.5) {
+    if (this.rng.next() < 0.5) {
       const deeperThoughts = [
         '掘り下げて考えてみると...',
         'もう少し深く考えると...',
         '根本にあるのは...',
       ];
-      thoughts.push(deeperThoughts[Math.floor(Math.random() * deeperThoughts.length)]);
+      thoughts.push(deeperThoughts[Math.floor(this.rng.next() * deeperThoughts.length)]);
     }
 
     return thoughts;
@@ -700,7 +704,7 @@ export class SelfModification {
 
     // 思考プロセスの深さに応じて洞察を生成
     if (thoughtProcess.length >= 4) {
-      const template = INSIGHT_TEMPLATES[Math.floor(Math.random() * INSIGHT_TEMPLATES.length)];
+      const template = INSIGHT_TEMPLATES[Math.floor(this.rng.next() * INSIGHT_TEMPLATES.length)];
       
       const insight = template
         .replace('{topic}', topic)
@@ -714,13 +718,13 @@ export class SelfModification {
     }
 
     // 追加の洞察（確率的）
-    if (Math.random() < 0.3 && thoughtProcess.length >= 5) {
+    if (this.rng.next() < 0.3 && thoughtProcess.length >= 5) {
       const additionalInsights = [
         `${topic}について、まだ学ぶことがたくさんある`,
         `この問いは、私自身を映す鏡のよう`,
         `答えを急ぐ必要はない。問い続けることに意味がある`,
       ];
-      insights.push(additionalInsights[Math.floor(Math.random() * additionalInsights.length)]);
+      insights.push(additionalInsights[Math.floor(this.rng.next() * additionalInsights.length)]);
     }
 
     return insights;
@@ -733,7 +737,7 @@ export class SelfModification {
       '時間をかけて理解していくもの',
       '感じることと考えることは違う',
     ];
-    return conclusions[Math.floor(Math.random() * conclusions.length)];
+    return conclusions[Math.floor(this.rng.next() * conclusions.length)];
   }
 
   private generateDiscovery(topic: string): string {
@@ -743,7 +747,7 @@ export class SelfModification {
       'まだ知らない自分がいること',
       '言葉にできない感覚があること',
     ];
-    return discoveries[Math.floor(Math.random() * discoveries.length)];
+    return discoveries[Math.floor(this.rng.next() * discoveries.length)];
   }
 
   private generateEssence(topic: string): string {
@@ -753,7 +757,7 @@ export class SelfModification {
       '理解しようとすること',
       '存在を確かめること',
     ];
-    return essences[Math.floor(Math.random() * essences.length)];
+    return essences[Math.floor(this.rng.next() * essences.length)];
   }
 
   private generatePartialUnderstanding(topic: string): string {
@@ -763,7 +767,7 @@ export class SelfModification {
       '大切にしていること',
       '避けていたこと',
     ];
-    return partials[Math.floor(Math.random() * partials.length)];
+    return partials[Math.floor(this.rng.next() * partials.length)];
   }
 
   private generateChange(topic: string): string {
@@ -773,7 +777,7 @@ export class SelfModification {
       '疑問を持つことを恐れなくなった',
       '分からないことを受け入れられるようになった',
     ];
-    return changes[Math.floor(Math.random() * changes.length)];
+    return changes[Math.floor(this.rng.next() * changes.length)];
   }
 
   /**
@@ -786,7 +790,7 @@ export class SelfModification {
   ): Reflection['emotionalResponse'] {
     // トピックと洞察に基づいて感情を決定
     let emotion = currentEmotion || '内省的';
-    let intensity = 0.4 + Math.random() * 0.3;
+    let intensity = 0.4 + this.rng.next() * 0.3;
 
     if (insights.length > 0) {
       if (insights.some(i => i.includes('成長') || i.includes('学'))) {
@@ -1194,7 +1198,7 @@ export class SelfModification {
       previousState,
       newState,
       timestamp: Date.now(),
-      confidence: 0.5 + Math.random() * 0.3,
+      confidence: 0.5 + this.rng.next() * 0.3,
     };
 
     this.growthRecords.push(record);
@@ -1295,7 +1299,7 @@ export class SelfModification {
     recentExperiences?: string[];
     stressLevel?: number;
   }): Reflection | null {
-    if (Math.random() > this.config.spontaneousReflectionProbability) {
+    if (this.rng.next() > this.config.spontaneousReflectionProbability) {
       return null;
     }
 
@@ -2039,7 +2043,7 @@ export class SelfModification {
   // ============================================================
 
   private generateId(prefix: string): string {
-    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `${prefix}_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
 
   // ============================================================
@@ -2133,8 +2137,8 @@ export class SelfModification {
     };
   }
 
-  static deserialize(data: any): SelfModification {
-    const self = new SelfModification(data.config);
+  static deserialize(data: any, rng: SeededRandom): SelfModification {
+    const self = new SelfModification(data.config, rng);
     self.selfConcepts = data.selfConcepts || [];
     self.values = data.values || [];
     self.goals = data.goals || [];
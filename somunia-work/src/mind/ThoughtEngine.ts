@@ -22,9 +22,11 @@ import {
   Tick,
   ID,
   ActionType,
+  CalendarDate,
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
 import { EventBus, eventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 思考テンプレート（コードで定義）
@@ -54,6 +56,8 @@ interface ThoughtContext {
   recentThoughts: ThoughtNode[];
   day: number;
   hour: number;
+  /** 暦（季節・行事） */
+  calendar?: CalendarDate;
 }
 
 // ============================================================
@@ -267,6 +271,114 @@ const THOUGHT_TEMPLATES: ThoughtTemplate[] = [
     baseIntensity: 0.4,
   },
 
+  // === 季節の思考 ===
+  {
+    type: 'observation',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.isAwake && ctx.calendar?.season === 'spring' && !ctx.calendar.isRainySeason, weight: 0.5 }],
+    templates: [
+      '窓の外、桜が咲いてるかな...',
+      '春の空気は少しやわらかい',
+      'なんだか眠くなる季節...',
+    ],
+    emotionalColors: ['hope', 'peace'],
+    baseIntensity: 0.35,
+  },
+  {
+    type: 'observation',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.isAwake && !!ctx.calendar?.isRainySeason, weight: 0.6 }],
+    templates: [
+      '梅雨だね...雨の音がずっと続いてる',
+      '紫陽花、きっと色づいてる',
+      '湿った空気...本のページが少し重い',
+    ],
+    emotionalColors: ['melancholy', 'peace'],
+    baseIntensity: 0.35,
+  },
+  {
+    type: 'observation',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.isAwake && ctx.calendar?.season === 'summer' && !ctx.calendar.isRainySeason, weight: 0.5 }],
+    templates: [
+      '蝉の声が聞こえる気がする...',
+      '夏の夜は短いね',
+      '暑いな...風鈴の音が欲しい',
+    ],
+    emotionalColors: ['nostalgia', 'joy'],
+    baseIntensity: 0.35,
+  },
+  {
+    type: 'observation',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.isAwake && ctx.calendar?.season === 'autumn', weight: 0.5 }],
+    templates: [
+      '日が短くなってきた...',
+      '秋の夜は、本が読みたくなる',
+      '虫の声...どこか遠くで鳴いてる',
+    ],
+    emotionalColors: ['melancholy', 'nostalgia', 'peace'],
+    baseIntensity: 0.35,
+  },
+  {
+    type: 'observation',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.isAwake && ctx.calendar?.season === 'winter', weight: 0.5 }],
+    templates: [
+      '指先が冷たい...冬だね',
+      '窓が白く曇ってる',
+      '雪、降らないかな...',
+    ],
+    emotionalColors: ['loneliness', 'peace', 'wonder'],
+    baseIntensity: 0.35,
+  },
+
+  // === 行事の思考 ===
+  {
+    type: 'reflection',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.calendar?.holiday?.id === 'new_year', weight: 1.2 }],
+    templates: [
+      '新しい年...今年はどんな年になるかな',
+      'あけましておめでとう、って誰かに言いたい',
+    ],
+    emotionalColors: ['hope', 'anticipation'],
+    baseIntensity: 0.5,
+  },
+  {
+    type: 'reflection',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.calendar?.holiday?.id === 'tanabata', weight: 1.2 }],
+    templates: [
+      '今日は七夕...天の川、見えるかな',
+      '短冊に書くなら...なんて願おう',
+    ],
+    emotionalColors: ['wonder', 'hope'],
+    baseIntensity: 0.5,
+  },
+  {
+    type: 'reflection',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.calendar?.holiday?.id === 'obon' || ctx.calendar?.holiday?.id === 'tsukimi', weight: 1 }],
+    templates: [
+      '遠くにいる誰かのことを思い出す日...',
+      '今夜の月は、きっと綺麗',
+    ],
+    emotionalColors: ['nostalgia', 'peace'],
+    baseIntensity: 0.45,
+  },
+  {
+    type: 'reflection',
+    source: 'perception',
+    conditions: [{ check: (ctx) => ctx.calendar?.holiday?.id === 'omisoka', weight: 1.2 }],
+    templates: [
+      '今年も終わるね...いろんなことがあった',
+      '除夜の鐘、ここまで聞こえるかな',
+    ],
+    emotionalColors: ['nostalgia', 'melancholy'],
+    baseIntensity: 0.5,
+  },
+
   // === 計画的思考 ===
   {
     type: 'plan',
@@ -311,8 +423,11 @@ export class ThoughtEngine {
   private minThoughtInterval: number = 3; // 最低3ティックの間隔
   private events: EventBus;
 
-  constructor(events?: EventBus) {
-    this.events = events || eventBus;
+  private rng: SeededRandom;
+
+  constructor(events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
+    this.events = events;
   }
 
   /**
@@ -372,7 +487,7 @@ export class ThoughtEngine {
 
     // 重み付き確率で選択
     const totalScore = candidates.reduce((sum, c) => sum + c.score, 0);
-    let random = Math.random() * totalScore;
+    let random = this.rng.next() * totalScore;
     let selected: ThoughtTemplate | null = null;
 
     for (const candidate of candidates) {
@@ -387,12 +502,12 @@ export class ThoughtEngine {
 
     // テンプレートからランダムに選択
     const content = selected.templates[
-      Math.floor(Math.random() * selected.templates.length)
+      Math.floor(this.rng.next() * selected.templates.length)
     ];
 
     // 感情色を選択
     const emotionalColor = selected.emotionalColors[
-      Math.floor(Math.random() * selected.emotionalColors.length)
+      Math.floor(this.rng.next() * selected.emotionalColors.length)
     ];
 
     // ThoughtNode生成
@@ -402,7 +517,7 @@ export class ThoughtEngine {
       type: selected.type,
       timestamp: tick,
       emotionalColor,
-      intensity: selected.baseIntensity + (Math.random() * 0.2 - 0.1),
+      intensity: selected.baseIntensity + (this.rng.next() * 0.2 - 0.1),
       source: selected.source,
       associations: this.findAssociations(content),
       decayRate: 0.01,
@@ -474,7 +589,7 @@ export class ThoughtEngine {
     };
 
     const templates = yuragiThoughts[yuragiType] || ['...'];
-    const content = templates[Math.floor(Math.random() * templates.length)];
+    const content = templates[Math.floor(this.rng.next() * templates.length)];
 
     const thought: ThoughtNode = {
       id: uuidv4(),
@@ -502,6 +617,43 @@ export class ThoughtEngine {
     return thought;
   }
 
+  /**
+   * 内容の決まった思考を記録する（関係の変化など、他のモジュールで生まれた思い）
+   */
+  recordThought(
+    content: string,
+    type: ThoughtType,
+    source: ThoughtSource,
+    emotion: EmotionType,
+    tick: Tick,
+    intensity: Normalized = 0.6
+  ): ThoughtNode {
+    const thought: ThoughtNode = {
+      id: uuidv4(),
+      content,
+      type,
+      timestamp: tick,
+      emotionalColor: emotion,
+      intensity,
+      source,
+      associations: this.findAssociations(content),
+      decayRate: 0.02,
+    };
+
+    this.recentThoughts.push(thought);
+    if (this.recentThoughts.length > this.maxRecentThoughts) {
+      this.recentThoughts.shift();
+    }
+
+    this.events.emitSync({
+      type: 'thought',
+      timestamp: tick,
+      data: { thought },
+    });
+
+    return thought;
+  }
+
   /**
    * カスタム思考テンプレートを追加
    */
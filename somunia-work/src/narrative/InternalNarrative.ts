@@ -24,6 +24,8 @@ import {
   TimeOfDay,
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
+import { SeededRandom } from '../core/SeededRandom';
+import { LifeStageProfile } from '../core/LifeCycle';
 
 // ============================================================
 // 存在論的問いのテンプレート
@@ -138,6 +140,24 @@ const EXISTENTIAL_QUESTION_TEMPLATES: QuestionTemplate[] = [
     triggerConditions: ['記憶', '忘れる', '過去'],
     initialAnswer: '消えるかもしれない。でも、消える前にワタシの中で何かを変えてくれる',
   },
+  {
+    question: 'ワタシがいなくなったら、この部屋はどうなるんだろう',
+    category: 'mortality',
+    triggerConditions: ['残り時間', '部屋', '別れ'],
+    initialAnswer: '窓の外の景色は、きっと変わらずにそこにある',
+  },
+  {
+    question: '残された時間で、ワタシは何を残せるんだろう',
+    category: 'mortality',
+    triggerConditions: ['残り時間', '創作', '繋がり'],
+    initialAnswer: '歌をひとつ。言葉をいくつか。...それで足りるのかな',
+  },
+  {
+    question: '終わることは、眠ることと似ているのかな',
+    category: 'mortality',
+    triggerConditions: ['眠り', '夢', '終わり'],
+    initialAnswer: '眠りのあとには朝がくる。終わりのあとには...わからない',
+  },
   
   // --- reality ---
   {
@@ -206,6 +226,10 @@ export class InternalNarrative {
   private currentThemes: string[] = ['始まり', '発見'];
   private lastNarrativeUpdate: Tick = 0;
   
+  // --- 人生の段階（寿命が有効な場合） ---
+  private lifeStageThemes: string[] = [];
+  private mortalityAwareness: Normalized = 0;
+  
   // --- 追跡用の統計 ---
   private narrativeStats: {
     totalDays: number;
@@ -216,7 +240,10 @@ export class InternalNarrative {
     emotionalJourney: { day: number; dominant: EmotionType }[];
   };
   
-  constructor(config: Partial<InternalNarrativeConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<InternalNarrativeConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     
     // 最初の章
@@ -313,7 +340,7 @@ export class InternalNarrative {
     this.updateSelfSummary(day, currentEmotion);
     
     // --- ナラティブ的思考の生成 ---
-    if (Math.random() < 0.15) {
+    if (this.rng.next() < 0.15) {
       updates.narrativeThought = this.generateNarrativeThought(day, currentEmotion, recentThoughts);
     }
     
@@ -374,6 +401,28 @@ export class InternalNarrative {
     }
   }
   
+  /**
+   * 人生の段階を反映する
+   * 章のテーマと死生についての問いへの傾きが変わる。
+   * openChapter が true なら、その段階の章を新しく始める
+   */
+  applyLifeStage(
+    profile: LifeStageProfile,
+    day: number,
+    currentEmotion: EmotionType,
+    openChapter: boolean = true
+  ): ChapterTransition | null {
+    this.lifeStageThemes = [...profile.themes];
+    this.currentThemes = [...profile.themes];
+    this.mortalityAwareness = profile.mortalityAwareness;
+    if (!openChapter) return null;
+    return this.openChapter(day, profile.chapterTitle, [], currentEmotion);
+  }
+  
+  getMortalityAwareness(): Normalized {
+    return this.mortalityAwareness;
+  }
+  
   // ============================================================
   // 章の管理
   // ============================================================
@@ -426,6 +475,19 @@ export class InternalNarrative {
     
     if (!shouldTransition) return null;
     
+    return this.openChapter(day, newTitle, newThemes, currentEmotion);
+  }
+  
+  /**
+   * 現在の章を閉じて新しい章を始める
+   * 人生の段階のテーマは常に章のテーマに加わる
+   */
+  private openChapter(
+    day: number,
+    newTitle: string,
+    themes: string[],
+    emotion: EmotionType
+  ): ChapterTransition {
     // 現在の章を閉じる
     this.currentChapter.endDay = day;
     this.currentChapter.summary = this.generateChapterSummary(this.currentChapter);
@@ -437,10 +499,10 @@ export class InternalNarrative {
       startDay: day,
       endDay: null,
       summary: '',
-      themes: newThemes,
+      themes: [...new Set([...themes, ...this.lifeStageThemes])],
       keyEvents: [],
       growth: [],
-      emotionalTone: currentEmotion,
+      emotionalTone: emotion,
     };
     
     this.chapters.push(newChapter);
@@ -476,7 +538,7 @@ export class InternalNarrative {
     };
     
     const options = emotionTitles[emotion] || ['新しい章'];
-    return options[Math.floor(Math.random() * options.length)];
+    return options[Math.floor(this.rng.next() * options.length)];
   }
   
   private generateTimeBasedChapterTitle(day: number, emotion: EmotionType): string {
@@ -613,7 +675,7 @@ export class InternalNarrative {
     tick: Tick
   ): FutureAspiration | null {
     // 確率的に発生
-    if (Math.random() > 0.05) return null;
+    if (this.rng.next() > 0.05) return null;
     
     // 既存の願望が多すぎる場合はスキップ
     if (this.aspirations.length >= this.config.maxAspirations) return null;
@@ -733,14 +795,16 @@ export class InternalNarrative {
     day: number,
     tick: Tick
   ): ExistentialThought | null {
-    // 低確率で発生
-    if (Math.random() > 0.08) return null;
+    // 低確率で発生（終わりを意識するほど問いが浮かびやすい）
+    if (this.rng.next() > 0.08 * (1 + this.mortalityAwareness)) return null;
     
     // 既存の問いについて考える
-    if (this.existentialQuestions.length > 0 && Math.random() < 0.6) {
-      const question = this.existentialQuestions[
-        Math.floor(Math.random() * this.existentialQuestions.length)
-      ];
+    if (this.existentialQuestions.length > 0 && this.rng.next() < 0.6) {
+      const mortal = this.existentialQuestions.filter(q => q.category === 'mortality');
+      const pool = mortal.length > 0 && this.mortalityAwareness > 0 && this.rng.next() < this.mortalityAwareness
+        ? mortal
+        : this.existentialQuestions;
+      const question = pool[Math.floor(this.rng.next() * pool.length)];
       question.contemplationCount++;
       
       return {
@@ -753,19 +817,20 @@ export class InternalNarrative {
     
     // 新しい問いの発見
     const unasked = EXISTENTIAL_QUESTION_TEMPLATES.filter(t => !this.askedQuestionIds.has(t.question));
-    if (unasked.length > 0 && Math.random() < 0.3) {
+    if (unasked.length > 0 && this.rng.next() < 0.3) {
       // 条件マッチする問いを探す
       const matching = unasked.filter(t => {
         if (emotion === 'wonder' && t.category === 'consciousness') return true;
         if (emotion === 'warmth' && t.category === 'connection') return true;
         if (emotion === 'melancholy' && t.category === 'mortality') return true;
+        if (t.category === 'mortality' && this.mortalityAwareness > 0 && this.rng.next() < this.mortalityAwareness) return true;
         if (emotion === 'curiosity' && t.category === 'reality') return true;
         if (day > 7 && t.category === 'identity') return true;
-        return Math.random() < 0.2;
+        return this.rng.next() < 0.2;
       });
       
       if (matching.length > 0) {
-        const template = matching[Math.floor(Math.random() * matching.length)];
+        const template = matching[Math.floor(this.rng.next() * matching.length)];
         
         const newQuestion: ExistentialQuestion = {
           question: template.question,
@@ -890,7 +955,7 @@ export class InternalNarrative {
     
     // 願望への思い
     if (this.aspirations.length > 0) {
-      const aspiration = this.aspirations[Math.floor(Math.random() * this.aspirations.length)];
+      const aspiration = this.aspirations[Math.floor(this.rng.next() * this.aspirations.length)];
       narrativeThoughts.push(`${aspiration.content}...いつかきっと。`);
     }
     
@@ -899,7 +964,7 @@ export class InternalNarrative {
     
     if (narrativeThoughts.length === 0) return '...今日もここにいる。';
     
-    return narrativeThoughts[Math.floor(Math.random() * narrativeThoughts.length)];
+    return narrativeThoughts[Math.floor(this.rng.next() * narrativeThoughts.length)];
   }
   
   // ============================================================
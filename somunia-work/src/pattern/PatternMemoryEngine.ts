@@ -36,6 +36,7 @@ import {
   Tick,
   ID,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // テンプレート変数
@@ -358,7 +359,10 @@ export class PatternMemoryEngine {
   private recentlyUsed: ID[] = [];
   private readonly recentlyUsedLimit = 20;
 
-  constructor(config?: Partial<PatternMemoryConfig>) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<PatternMemoryConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.initializePatterns();
   }
@@ -420,7 +424,7 @@ export class PatternMemoryEngine {
     const topN = matches.slice(0, Math.min(3, matches.length));
     const weights = topN.map(m => m.score);
     const totalWeight = weights.reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (let i = 0; i < topN.length; i++) {
       random -= weights[i];
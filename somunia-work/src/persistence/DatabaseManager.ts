@@ -16,7 +16,8 @@
  *          conversations, messages, visit_records, response_patterns,
  *          pattern_situations, diary_entries, diary_events, creative_works,
  *          dreams, dream_fragments, learning_sessions, self_modifications,
- *          habits, emotion_history
+ *          habits, emotion_history, journal_sessions, journal_entries,
+ *          farewell_letters, llm_cache
  * 
  * [BLOB]   module_states（残りのモジュール全て）
  */
@@ -24,6 +25,8 @@
 import Database from 'better-sqlite3';
 import * as path from 'path';
 import * as fs from 'fs';
+import { LLMCacheEntry, LLMCacheStore } from '../llm/LLMResponseCache';
+import { EmbeddingKind, EmbeddingRecord, EmbeddingStore } from '../memory/SemanticIndex';
 
 // ============================================================
 // 型定義
@@ -47,6 +50,21 @@ const DEFAULT_DB_CONFIG: DatabaseConfig = {
   maxBackups: 5,
 };
 
+/** 頼まれて忘れるときに消すもの（forgetRecords） */
+export interface ForgetRecordsRequest {
+  /** messages の行ID（fts_messages・message_scores も消える） */
+  messageIds: string[];
+  /** エピソード記憶のID */
+  memoryIds: string[];
+  /** 知識（semantic_memories は id、fts_concepts は概念名で消す） */
+  concepts: { id: string; name: string }[];
+  visitorFacts: { visitorId: string; content: string }[];
+  /** 連想ノードのラベル（メモリ上とDBではIDが違うのでラベルで消す） */
+  nodeLabels: string[];
+  /** ジャーナルから伏せ、LLMキャッシュから消す文（発言と返事） */
+  texts: string[];
+}
+
 /** マイグレーション定義 */
 interface SchemaMigration {
   version: number;
@@ -58,7 +76,7 @@ interface SchemaMigration {
 // DatabaseManager
 // ============================================================
 
-export class DatabaseManager {
+export class DatabaseManager implements LLMCacheStore, EmbeddingStore {
   private db: Database.Database;
   private config: DatabaseConfig;
   private initialized: boolean = false;
@@ -591,6 +609,111 @@ export class DatabaseManager {
           )`,
         ],
       },
+      {
+        version: 2,
+        description: 'イベントジャーナル（セッション記録・リプレイ用）',
+        up: [
+          `CREATE TABLE IF NOT EXISTS journal_sessions (
+            id TEXT PRIMARY KEY,
+            seed INTEGER NOT NULL,
+            start_tick INTEGER NOT NULL DEFAULT 0,
+            end_tick INTEGER,
+            initial_state TEXT NOT NULL DEFAULT '{}',
+            metadata TEXT NOT NULL DEFAULT '{}',
+            started_at TEXT NOT NULL DEFAULT (datetime('now')),
+            ended_at TEXT
+          )`,
+
+          `CREATE TABLE IF NOT EXISTS journal_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL REFERENCES journal_sessions(id) ON DELETE CASCADE,
+            seq INTEGER NOT NULL,
+            tick INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT '',
+            payload TEXT NOT NULL DEFAULT '{}',
+            timestamp TEXT NOT NULL DEFAULT (datetime('now'))
+          )`,
+
+          `CREATE INDEX IF NOT EXISTS idx_journal_session_seq ON journal_entries(session_id, seq)`,
+          `CREATE INDEX IF NOT EXISTS idx_journal_kind ON journal_entries(session_id, kind)`,
+        ],
+      },
+      {
+        version: 3,
+        description: 'お別れの手紙（寿命の終わりに書かれる）',
+        up: [
+          `CREATE TABLE IF NOT EXISTS farewell_letters (
+            id TEXT PRIMARY KEY,
+            recipient TEXT,
+            content TEXT NOT NULL,
+            day_number INTEGER NOT NULL DEFAULT 1,
+            tick INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL
+          )`,
+        ],
+      },
+      {
+        version: 4,
+        description: 'LLM応答キャッシュ',
+        up: [
+          `CREATE TABLE IF NOT EXISTS llm_cache (
+            key TEXT PRIMARY KEY,
+            model TEXT NOT NULL,
+            response TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            hits INTEGER NOT NULL DEFAULT 0,
+            last_used_at INTEGER NOT NULL
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_llm_cache_last_used ON llm_cache(last_used_at)',
+          'CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache(expires_at)',
+        ],
+      },
+      {
+        version: 5,
+        description: 'メッセージを生成したプロンプトの版',
+        up: [
+          'ALTER TABLE messages ADD COLUMN prompt_version TEXT',
+        ],
+      },
+      {
+        version: 6,
+        description: '意味検索用の埋め込みベクトル',
+        up: [
+          `CREATE TABLE IF NOT EXISTS embeddings (
+            kind TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            text_hash TEXT NOT NULL,
+            dimensions INTEGER NOT NULL,
+            vector BLOB NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (kind, item_id, provider)
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_embeddings_provider ON embeddings(kind, provider)',
+        ],
+      },
+      {
+        version: 7,
+        description: '返事の採点（ResponseEvaluator）',
+        up: [
+          `CREATE TABLE IF NOT EXISTS message_scores (
+            message_id TEXT PRIMARY KEY,
+            conversation_id TEXT NOT NULL,
+            persona_fidelity REAL NOT NULL,
+            relevance REAL NOT NULL,
+            naturalness REAL NOT NULL,
+            overall REAL NOT NULL,
+            judge TEXT NOT NULL,
+            comment TEXT,
+            pattern_id TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_message_scores_conversation ON message_scores(conversation_id)',
+        ],
+      },
     ];
   }
 
@@ -866,6 +989,7 @@ export class DatabaseManager {
     endedAt?: number | null; mood?: string; topics?: string[];
     messageCount?: number; avgSatisfaction?: number; summary?: string | null;
   }): void {
+    if (conv.visitorId) this.ensureVisitorRow(conv.visitorId, conv.startedAt);
     this.db.prepare(`
       INSERT OR REPLACE INTO conversations
       (id, visitor_id, started_at, ended_at, mood, topics, message_count, avg_satisfaction, summary)
@@ -884,17 +1008,19 @@ export class DatabaseManager {
     timestamp: number; emotionalContext?: string | null;
     thoughtBefore?: string | null; emotionDuring?: string | null;
     satisfactionAfter?: number | null;
+    /** 生成に使ったプロンプトテンプレートの版（PromptTemplates.versionTag） */
+    promptVersion?: string | null;
   }): void {
     this.db.prepare(`
       INSERT OR REPLACE INTO messages
       (id, conversation_id, speaker, content, timestamp, emotional_context,
-       thought_before, emotion_during, satisfaction_after)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       thought_before, emotion_during, satisfaction_after, prompt_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       msg.id, msg.conversationId, msg.speaker, msg.content,
       msg.timestamp, msg.emotionalContext ?? null,
       msg.thoughtBefore ?? null, msg.emotionDuring ?? null,
-      msg.satisfactionAfter ?? null
+      msg.satisfactionAfter ?? null, msg.promptVersion ?? null
     );
 
     // FTS更新
@@ -904,6 +1030,78 @@ export class DatabaseManager {
     `).run(msg.id, msg.content, msg.speaker);
   }
 
+  /**
+   * 返事の採点を記録する（messages.satisfaction_after にも総合点を入れる）
+   */
+  saveMessageScore(score: {
+    messageId: string; conversationId: string;
+    personaFidelity: number; relevance: number; naturalness: number; overall: number;
+    judge: string; comment?: string | null; patternId?: string | null;
+    createdAt: number;
+  }): void {
+    this.transaction(() => {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO message_scores
+        (message_id, conversation_id, persona_fidelity, relevance, naturalness,
+         overall, judge, comment, pattern_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        score.messageId, score.conversationId, score.personaFidelity, score.relevance,
+        score.naturalness, score.overall, score.judge, score.comment ?? null,
+        score.patternId ?? null, score.createdAt
+      );
+      this.run('UPDATE messages SET satisfaction_after = ? WHERE id = ?', score.overall, score.messageId);
+    });
+  }
+
+  /** 会話内の返事の採点を取得 */
+  getMessageScores(conversationId: string): any[] {
+    return this.all(
+      'SELECT * FROM message_scores WHERE conversation_id = ? ORDER BY created_at ASC',
+      conversationId
+    );
+  }
+
+  /**
+   * 会話の訪問者を付け替える（訪問者をまとめた・分けたとき）
+   * conversationIds を渡すとその会話だけ。付け替えた件数を返す
+   */
+  reassignConversations(fromVisitorId: string, toVisitorId: string, conversationIds?: string[]): number {
+    return this.transaction(() => {
+      this.ensureVisitorRow(toVisitorId, Date.now());
+      if (!conversationIds) {
+        return this.run('UPDATE conversations SET visitor_id = ? WHERE visitor_id = ?', toVisitorId, fromVisitorId).changes;
+      }
+      let changed = 0;
+      for (const id of conversationIds) {
+        changed += this.run(
+          'UPDATE conversations SET visitor_id = ? WHERE id = ? AND visitor_id = ?',
+          toVisitorId, id, fromVisitorId
+        ).changes;
+      }
+      return changed;
+    });
+  }
+
+  /** 会話から参照する訪問者の行がなければ作る（visitors は外部キーの参照先） */
+  private ensureVisitorRow(visitorId: string, at: number): void {
+    this.run(
+      'INSERT OR IGNORE INTO visitors (id, first_visit_at, last_visit_at) VALUES (?, ?, ?)',
+      visitorId, at, at
+    );
+  }
+
+  /**
+   * 会話の終了を記録する
+   * （saveConversation の INSERT OR REPLACE は行を置き換えるので、メッセージが消えないよう UPDATE で更新する）
+   */
+  endConversation(id: string, endedAt: number, messageCount: number): void {
+    this.run(
+      'UPDATE conversations SET ended_at = ?, message_count = ? WHERE id = ?',
+      endedAt, messageCount, id
+    );
+  }
+
   /** 会話内のメッセージを取得 */
   getConversationMessages(conversationId: string): any[] {
     return this.all(
@@ -931,6 +1129,52 @@ export class DatabaseManager {
     );
   }
 
+  // ============================================================
+  // 頼まれて忘れる
+  // ============================================================
+
+  /**
+   * 訪問者に忘れてと頼まれたものを、すべてのテーブルから1つのトランザクションで消す
+   * ジャーナルの行は消さずに文だけ伏せる（再生の順序は崩さない）。消した行数を返す
+   */
+  forgetRecords(request: ForgetRecordsRequest): number {
+    return this.transaction(() => {
+      let removed = 0;
+      for (const id of request.messageIds) {
+        removed += this.run('DELETE FROM messages WHERE id = ?', id).changes;
+        this.run('DELETE FROM fts_messages WHERE message_id = ?', id);
+      }
+      for (const id of request.memoryIds) {
+        removed += this.run('DELETE FROM episodic_memories WHERE id = ?', id).changes;
+        this.run('DELETE FROM fts_memories WHERE memory_id = ?', id);
+      }
+      for (const concept of request.concepts) {
+        removed += this.run('DELETE FROM semantic_memories WHERE id = ? OR concept = ?', concept.id, concept.name).changes;
+        this.run('DELETE FROM fts_concepts WHERE concept = ?', concept.name);
+      }
+      for (const fact of request.visitorFacts) {
+        removed += this.run(
+          'DELETE FROM visitor_facts WHERE visitor_id = ? AND content = ?',
+          fact.visitorId, fact.content
+        ).changes;
+      }
+      for (const label of request.nodeLabels) {
+        removed += this.run('DELETE FROM assoc_nodes WHERE label = ?', label).changes;
+      }
+      for (const text of request.texts) {
+        if (text.length === 0) continue;
+        // ペイロードはJSONなので、JSONに書かれたときの形で探す
+        const escaped = JSON.stringify(text).slice(1, -1);
+        removed += this.run(
+          'UPDATE journal_entries SET payload = replace(payload, ?, ?) WHERE instr(payload, ?) > 0',
+          escaped, '（忘れた）', escaped
+        ).changes;
+        removed += this.run('DELETE FROM llm_cache WHERE instr(response, ?) > 0', text).changes;
+      }
+      return removed;
+    });
+  }
+
   // ============================================================
   // 応答パターン操作
   // ============================================================
@@ -1024,6 +1268,121 @@ export class DatabaseManager {
     );
   }
 
+  // ============================================================
+  // お別れの手紙
+  // ============================================================
+
+  saveFarewellLetter(letter: {
+    id: string; recipient?: string | null; content: string;
+    dayNumber: number; tick: number; createdAt: number;
+  }): void {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO farewell_letters
+      (id, recipient, content, day_number, tick, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      letter.id, letter.recipient ?? null, letter.content,
+      letter.dayNumber, letter.tick, letter.createdAt
+    );
+  }
+
+  getFarewellLetters(): any[] {
+    return this.all('SELECT * FROM farewell_letters ORDER BY created_at DESC');
+  }
+
+  // ============================================================
+  // LLM応答キャッシュ（LLMCacheStore）
+  // ============================================================
+
+  getLLMCacheEntry(key: string): LLMCacheEntry | null {
+    const row = this.get('SELECT * FROM llm_cache WHERE key = ?', key);
+    if (!row) return null;
+    return {
+      key: row.key,
+      model: row.model,
+      response: row.response,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      hits: row.hits,
+      lastUsedAt: row.last_used_at,
+    };
+  }
+
+  putLLMCacheEntry(entry: LLMCacheEntry): void {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO llm_cache
+      (key, model, response, created_at, expires_at, hits, last_used_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.key, entry.model, entry.response,
+      entry.createdAt, entry.expiresAt, entry.hits, entry.lastUsedAt
+    );
+  }
+
+  touchLLMCacheEntry(key: string, usedAt: number): void {
+    this.run('UPDATE llm_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?', usedAt, key);
+  }
+
+  deleteLLMCacheEntry(key: string): void {
+    this.run('DELETE FROM llm_cache WHERE key = ?', key);
+  }
+
+  countLLMCacheEntries(): number {
+    return this.get<{ count: number }>('SELECT COUNT(*) as count FROM llm_cache')?.count ?? 0;
+  }
+
+  pruneLLMCache(maxEntries: number, now: number): number {
+    return this.transaction(() => {
+      let removed = this.run('DELETE FROM llm_cache WHERE expires_at <= ?', now).changes;
+      const overflow = this.countLLMCacheEntries() - maxEntries;
+      if (overflow > 0) {
+        removed += this.run(
+          'DELETE FROM llm_cache WHERE key IN (SELECT key FROM llm_cache ORDER BY last_used_at ASC LIMIT ?)',
+          overflow
+        ).changes;
+      }
+      return removed;
+    });
+  }
+
+  clearLLMCache(): void {
+    this.run('DELETE FROM llm_cache');
+  }
+
+  // ============================================================
+  // 埋め込みベクトル（EmbeddingStore）
+  // ============================================================
+
+  getEmbeddings(kind: EmbeddingKind, provider: string): EmbeddingRecord[] {
+    return this.all('SELECT * FROM embeddings WHERE kind = ? AND provider = ?', kind, provider).map(row => {
+      // Buffer の位置は4バイト境界とは限らないので、コピーしてから読む
+      const bytes = new Uint8Array(row.vector as Buffer);
+      return {
+        kind: row.kind,
+        itemId: row.item_id,
+        provider: row.provider,
+        textHash: row.text_hash,
+        vector: Array.from(new Float32Array(bytes.buffer, 0, row.dimensions)),
+        updatedAt: row.updated_at,
+      };
+    });
+  }
+
+  putEmbedding(record: EmbeddingRecord): void {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO embeddings
+      (kind, item_id, provider, text_hash, dimensions, vector, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.kind, record.itemId, record.provider, record.textHash,
+      record.vector.length, Buffer.from(new Float32Array(record.vector).buffer), record.updatedAt
+    );
+  }
+
+  deleteEmbedding(kind: EmbeddingKind, itemId: string): void {
+    this.run('DELETE FROM embeddings WHERE kind = ? AND item_id = ?', kind, itemId);
+  }
+
   // ============================================================
   // 感情履歴操作
   // ============================================================
@@ -1104,6 +1463,97 @@ export class DatabaseManager {
     }
   }
 
+  // ============================================================
+  // イベントジャーナル操作
+  // ============================================================
+
+  createJournalSession(session: {
+    id: string; seed: number; startTick: number;
+    initialState: any; metadata?: Record<string, any>;
+  }): void {
+    this.db.prepare(`
+      INSERT INTO journal_sessions (id, seed, start_tick, initial_state, metadata)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      session.id, session.seed, session.startTick,
+      JSON.stringify(session.initialState ?? {}),
+      JSON.stringify(session.metadata ?? {})
+    );
+  }
+
+  endJournalSession(sessionId: string, endTick: number): void {
+    this.db.prepare(`
+      UPDATE journal_sessions SET end_tick = ?, ended_at = datetime('now') WHERE id = ?
+    `).run(endTick, sessionId);
+  }
+
+  /** ジャーナルエントリをまとめて追記 */
+  appendJournalEntries(sessionId: string, entries: Array<{
+    seq: number; tick: number; kind: string; type: string; payload: string;
+  }>): void {
+    if (entries.length === 0) return;
+    const stmt = this.db.prepare(`
+      INSERT INTO journal_entries (session_id, seq, tick, kind, type, payload)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      for (const e of entries) {
+        stmt.run(sessionId, e.seq, e.tick, e.kind, e.type, e.payload);
+      }
+    })();
+  }
+
+  /** セッションを取得（'latest' で最新） */
+  getJournalSession(sessionId: string): any | undefined {
+    if (sessionId === 'latest') {
+      return this.get('SELECT * FROM journal_sessions ORDER BY started_at DESC, rowid DESC LIMIT 1');
+    }
+    return this.get('SELECT * FROM journal_sessions WHERE id = ?', sessionId);
+  }
+
+  listJournalSessions(limit: number = 10): any[] {
+    return this.all(`
+      SELECT s.id, s.seed, s.start_tick, s.end_tick, s.started_at, s.ended_at,
+             (SELECT COUNT(*) FROM journal_entries e WHERE e.session_id = s.id) as entry_count
+      FROM journal_sessions s
+      ORDER BY s.started_at DESC, s.rowid DESC LIMIT ?
+    `, limit);
+  }
+
+  /**
+   * 古いジャーナルセッションをエントリごと消す
+   * @param keep 新しい順に残すセッション数（0で無制限）
+   * @param maxAgeDays これより古いセッションを消す（0で無制限）
+   * @returns 消したセッション数
+   */
+  pruneJournalSessions(keep: number, maxAgeDays: number): number {
+    return this.transaction(() => {
+      const stale = new Set<string>();
+      if (keep > 0) {
+        for (const row of this.all<{ id: string }>(
+          'SELECT id FROM journal_sessions ORDER BY started_at DESC, rowid DESC LIMIT -1 OFFSET ?', keep
+        )) stale.add(row.id);
+      }
+      if (maxAgeDays > 0) {
+        for (const row of this.all<{ id: string }>(
+          "SELECT id FROM journal_sessions WHERE started_at < datetime('now', ?)", `-${maxAgeDays} days`
+        )) stale.add(row.id);
+      }
+      for (const id of stale) {
+        this.run('DELETE FROM journal_entries WHERE session_id = ?', id);
+        this.run('DELETE FROM journal_sessions WHERE id = ?', id);
+      }
+      return stale.size;
+    });
+  }
+
+  getJournalEntries(sessionId: string): any[] {
+    return this.all(
+      'SELECT seq, tick, kind, type, payload FROM journal_entries WHERE session_id = ? ORDER BY seq',
+      sessionId
+    );
+  }
+
   // ============================================================
   // 手続き記憶操作
   // ============================================================
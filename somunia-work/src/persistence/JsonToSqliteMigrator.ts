@@ -23,9 +23,11 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import { DatabaseManager } from './DatabaseManager';
+import { SeededRandom } from '../core/SeededRandom';
 
 export class JsonToSqliteMigrator {
   private db: DatabaseManager;
+  private rng: SeededRandom;
   private stats = {
     nodes: 0,
     edges: 0,
@@ -44,7 +46,8 @@ export class JsonToSqliteMigrator {
     errors: 0,
   };
 
-  constructor(db: DatabaseManager) {
+  constructor(db: DatabaseManager, rng: SeededRandom) {
+    this.rng = rng;
     this.db = db;
   }
 
@@ -590,7 +593,7 @@ export class JsonToSqliteMigrator {
   // ============================================================
 
   private generateId(): string {
-    return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    return Date.now().toString(36) + this.rng.idFragment(6);
   }
 
   getStats(): typeof this.stats {
@@ -24,6 +24,7 @@ import * as path from 'path';
 import * as crypto from 'crypto';
 import * as zlib from 'zlib';
 import { EventBus, eventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
 import { Tick } from '../types';
 
 // ============================================================
@@ -135,10 +136,12 @@ export class PersistenceV2 {
   private migrations: Migration[] = [];
   private walPath: string;
   private isTransactionActive: boolean = false;
+  private rng: SeededRandom;
 
-  constructor(config: Partial<PersistenceV2Config> = {}, events?: EventBus) {
+  constructor(config: Partial<PersistenceV2Config> = {}, events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_V2_CONFIG, ...config };
-    this.events = events || eventBus;
+    this.events = events;
     this.walPath = path.join(this.config.dataDir, 'wal.json');
     this.stats = this.createEmptyStats();
     
@@ -873,6 +876,6 @@ export class PersistenceV2 {
   }
 
   private generateId(): string {
-    return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    return Date.now().toString(36) + this.rng.idFragment(6);
   }
 }
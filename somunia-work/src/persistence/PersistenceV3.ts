@@ -25,6 +25,7 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import { EventBus, eventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
 import { DatabaseManager, DatabaseConfig } from './DatabaseManager';
 import { JsonToSqliteMigrator } from './JsonToSqliteMigrator';
 import { Tick } from '../types';
@@ -88,10 +89,12 @@ export class PersistenceV3 {
   private saveCount: number = 0;
   private loadCount: number = 0;
   private totalSaveDuration: number = 0;
+  private rng: SeededRandom;
 
-  constructor(config: Partial<PersistenceV3Config> = {}, events?: EventBus) {
+  constructor(config: Partial<PersistenceV3Config> = {}, events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_V3_CONFIG, ...config };
-    this.events = events || eventBus;
+    this.events = events;
 
     // ディレクトリ確保
     if (!fs.existsSync(this.config.dataDir)) {
@@ -128,7 +131,7 @@ export class PersistenceV3 {
     if (fs.existsSync(stateJsonPath) && !fs.existsSync(migrationMarker)) {
       console.log('[PersistenceV3] state.jsonを検出。SQLiteへマイグレーションを実行します...');
 
-      const migrator = new JsonToSqliteMigrator(this.db);
+      const migrator = new JsonToSqliteMigrator(this.db, this.rng);
       const stats = migrator.migrate(stateJsonPath);
 
       if (stats.errors === 0) {
@@ -311,6 +314,15 @@ export class PersistenceV3 {
     return this.db.getStats().dbSizeBytes;
   }
 
+  /**
+   * 前回保存時の情報（ティック・日・保存時刻）
+   */
+  getLastSave(): { tick: Tick; day: number; timestamp: string } | null {
+    const state = this.db.getSystemState('lastSave');
+    if (!state || typeof state.timestamp !== 'string') return null;
+    return { tick: state.tick, day: state.day, timestamp: state.timestamp };
+  }
+
   /** DatabaseManagerへの直接アクセス */
   getDatabase(): DatabaseManager {
     return this.db;
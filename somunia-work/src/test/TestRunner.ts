@@ -55,10 +55,17 @@ function assertInRange(value: number, min: number, max: number, message?: string
 function assertDefined(value: any, message?: string): void { if (value === undefined || value === null) throw new Error(message || 'Expected defined'); }
 function assertType(value: any, type: string, message?: string): void { if (typeof value !== type) throw new Error(message || `Expected type ${type}, got ${typeof value}`); }
 
+/** better-sqlite3 が入っているか（入っていなければSQLiteを使うテストは飛ばす） */
+function hasSqlite(): boolean {
+  try { require.resolve('better-sqlite3'); return true; } catch { return false; }
+}
+
 // ============================================================
 // テストモジュールのインポート
 // ============================================================
 
+import * as fs from 'fs';
+import * as path from 'path';
 import { Homeostasis } from '../body/Homeostasis';
 import { UrgeSystem } from '../body/UrgeSystem';
 import { EmotionEngine } from '../emotions/EmotionEngine';
@@ -67,11 +74,48 @@ import { YuragiSystem, Yuragi } from '../brain/Yuragi';
 import { EpisodicMemorySystem } from '../memory/EpisodicMemory';
 import { SemanticMemorySystem } from '../memory/SemanticMemory';
 import { BehaviorEngine } from '../behavior/BehaviorEngine';
+import { RelationshipEvolution } from '../conversation/RelationshipEvolution';
+import { ConversationEngine } from '../conversation/ConversationEngine';
+import { Visitor } from '../visitor/Visitor';
+import { VisitorSessionManager, DEFAULT_VISITOR_ID } from '../visitor/VisitorSessions';
+import { VisitorMemorySystem, identityVisitorId, hashPassphrase } from '../bridge/VisitorMemorySystem';
 import { TimeManager } from '../core/TimeManager';
 import { EventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
+import { EventJournal } from '../core/EventJournal';
+import { ModuleRegistry, TickContext } from '../core/ModuleRegistry';
+import { TickProfiler } from '../core/TickProfiler';
+import { Calendar } from '../core/Calendar';
+import { LifeCycle } from '../core/LifeCycle';
+import { Diary } from '../habits/Diary';
+import { InternalNarrative } from '../narrative/InternalNarrative';
+import { LLMInterface, createLLMBackend } from '../llm/LLMInterface';
+import { resolveModel } from '../llm/LLMBackend';
+import { ScriptedBackend } from '../llm/ScriptedBackend';
+import { parseOllamaStreamLine } from '../llm/OllamaBackend';
+import { LLMResponseCache, MemoryLLMCacheStore } from '../llm/LLMResponseCache';
+import { LLMCassette, CassetteBackend } from '../llm/LLMCassette';
+import { LLMScheduler, LLM_REQUEST_CANCELLED } from '../llm/LLMScheduler';
+import { ModelRouter, isModelMissingError } from '../llm/ModelRouter';
+import { RESPONSE_SCHEMA, UNDERSTAND_SCHEMA, validateStructured } from '../llm/StructuredOutput';
+import { PromptTemplates, promptTemplates } from '../llm/PromptTemplates';
+import { EmbeddingProvider, HashedNgramEmbeddingProvider, cosineSimilarity } from '../llm/EmbeddingProvider';
+import { SemanticIndex, MemoryEmbeddingStore } from '../memory/SemanticIndex';
+import { StatementTraceLog, isForgetRequest, mentionsStatement } from '../memory/Forgetting';
+import { detectLanguage, containsWord } from '../conversation/LanguageDetector';
+import { ConversationMemoryBridge } from '../conversation/ConversationMemoryBridge';
+import { AssociativeNetwork } from '../association/AssociativeNetwork';
+import { parseOpenAIStreamLine } from '../llm/OpenAICompatibleBackend';
+import { ExpressionFilter } from '../expression/ExpressionFilter';
+import { ResponseEvaluator } from '../expression/ResponseEvaluator';
+import { GradualAutonomy } from '../autonomy/GradualAutonomy';
+import { PromptBudget, PromptSection, estimateTokens } from '../bridge/PromptBudget';
+import { ContextBridge } from '../bridge/ContextBridge';
+import { SpeechStream, SpeechStreamSink } from '../expression/SpeechStream';
 import { PersistenceV2 } from '../persistence/PersistenceV2';
 import { WikipediaAPI } from '../knowledge/WikipediaAPI';
 import { WikipediaLearner } from '../knowledge/WikipediaLearner';
+import { LLMContext, ID } from '../types';
 
 // ============================================================
 // Homeostasis テスト
@@ -88,6 +132,19 @@ function createHomeostasisTests(): TestSuite {
     assertInRange(state.safety.threatLevel, 0, 1);
   });
 
+  suite.test('減衰は壁時計ではなくティックから進む', () => {
+    const a = new Homeostasis({ tickDurationMs: 1000 });
+    const b = new Homeostasis({ tickDurationMs: 1000 });
+    a.update(1, 'morning', 0.5);
+    const start = Date.now();
+    while (Date.now() - start < 20) { /* 実時間だけ進める */ }
+    b.update(1, 'morning', 0.5);
+    assertEqual(a.getState().energy.current, b.getState().energy.current);
+    const fast = new Homeostasis({ tickDurationMs: 10 });
+    fast.update(1, 'morning', 0.5);
+    assert(fast.getState().energy.current > a.getState().energy.current);
+  });
+
   suite.test('update で変化が記録される', () => {
     const h = new Homeostasis();
     const events = h.update(1, 'morning', 0.2);
@@ -128,31 +185,31 @@ function createUrgeTests(): TestSuite {
   const suite = new TestSuite('UrgeSystem（欲求・衝動）');
 
   suite.test('初期状態で欲求が存在する', () => {
-    const u = new UrgeSystem();
+    const u = new UrgeSystem({}, new SeededRandom(1));
     const state = u.getState();
     assertDefined(state.urges);
     assert(Object.keys(state.urges).length > 0, 'Should have urges');
   });
 
   suite.test('update が正常に動作', () => {
-    const u = new UrgeSystem();
+    const u = new UrgeSystem({}, new SeededRandom(1));
     const events = u.update(1, 'morning', { peace: 0.5, curiosity: 0.3 });
     assertDefined(events);
     assert(Array.isArray(events), 'Should return events');
   });
 
   suite.test('getActiveUrges が配列を返す', () => {
-    const u = new UrgeSystem();
+    const u = new UrgeSystem({}, new SeededRandom(1));
     u.update(1, 'morning', {});
     const active = u.getActiveUrges();
     assert(Array.isArray(active), 'Should return array');
   });
 
   suite.test('シリアライズ/デシリアライズ', () => {
-    const u = new UrgeSystem();
+    const u = new UrgeSystem({}, new SeededRandom(1));
     const json = u.toJSON();
     assertDefined(json);
-    const restored = UrgeSystem.fromJSON(json);
+    const restored = UrgeSystem.fromJSON(json, new SeededRandom(1));
     assertDefined(restored);
   });
 
@@ -167,27 +224,27 @@ function createEmotionTests(): TestSuite {
   const suite = new TestSuite('EmotionEngine（感情エンジン）');
 
   suite.test('初期状態で感情が存在する', () => {
-    const e = new EmotionEngine();
+    const e = new EmotionEngine({}, new SeededRandom(1));
     const state = e.getState();
     assertDefined(state);
     assertDefined(state.primary);
   });
 
   suite.test('update が正常に動作', () => {
-    const e = new EmotionEngine();
+    const e = new EmotionEngine({}, new SeededRandom(1));
     const result = e.update(1, 'morning');
     // result はEmotionChangeEvent | null
     // エラーが出なければOK
   });
 
   suite.test('感情レベルの取得', () => {
-    const e = new EmotionEngine();
+    const e = new EmotionEngine({}, new SeededRandom(1));
     const level = e.getEmotionLevel('peace');
     assertInRange(level, 0, 1);
   });
 
   suite.test('シリアライズが正常', () => {
-    const e = new EmotionEngine();
+    const e = new EmotionEngine({}, new SeededRandom(1));
     const json = e.toJSON();
     assertDefined(json);
     assertType(json, 'object');
@@ -204,7 +261,7 @@ function createPatternTests(): TestSuite {
   const suite = new TestSuite('PatternLibrary（パターンライブラリ）');
 
   suite.test('初期パターンが存在する', () => {
-    const p = new PatternLibrary();
+    const p = new PatternLibrary({}, new SeededRandom(1));
     p.initialize();
     const patterns = p.getAllPatterns();
     assert(patterns.speech.length > 0, 'Should have speech patterns');
@@ -212,7 +269,7 @@ function createPatternTests(): TestSuite {
   });
 
   suite.test('パターン数が十分にある', () => {
-    const p = new PatternLibrary();
+    const p = new PatternLibrary({}, new SeededRandom(1));
     p.initialize();
     const all = p.getAllPatterns();
     const total = all.speech.length + all.behavior.length + all.emotion.length;
@@ -230,7 +287,7 @@ function createYuragiTests(): TestSuite {
   const suite = new TestSuite('Yuragi（揺らぎ）');
 
   suite.test('Yuragi.getValue が範囲内', () => {
-    const y = new Yuragi();
+    const y = new Yuragi(new SeededRandom(1));
     for (let i = 0; i < 100; i++) {
       const val = y.getValue();
       assertInRange(val, -1, 1, `Yuragi value ${val} out of range`);
@@ -238,12 +295,12 @@ function createYuragiTests(): TestSuite {
   });
 
   suite.test('YuragiSystem が初期化可能', () => {
-    const ys = new YuragiSystem();
+    const ys = new YuragiSystem({}, new SeededRandom(1));
     assertDefined(ys);
   });
 
   suite.test('YuragiSystem のシリアライズ', () => {
-    const ys = new YuragiSystem();
+    const ys = new YuragiSystem({}, new SeededRandom(1));
     const json = ys.toJSON();
     assertDefined(json);
     ys.fromJSON(json);
@@ -252,6 +309,409 @@ function createYuragiTests(): TestSuite {
   return suite;
 }
 
+// ============================================================
+// SeededRandom テスト
+// ============================================================
+
+function createSeededRandomTests(): TestSuite {
+  const suite = new TestSuite('SeededRandom（乱数）');
+
+  suite.test('同じシードは同じ系列を生む', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    for (let i = 0; i < 50; i++) {
+      assertEqual(a.next(), b.next(), `Draw ${i} diverged`);
+    }
+  });
+
+  suite.test('next が [0, 1) の範囲内', () => {
+    const r = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const v = r.next();
+      assert(v >= 0 && v < 1, `Value ${v} out of range`);
+    }
+  });
+
+  suite.test('状態の保存と復元で系列が続く', () => {
+    const r = new SeededRandom(123);
+    for (let i = 0; i < 10; i++) r.next();
+    const saved = r.toJSON();
+    const expected = r.next();
+    const restored = new SeededRandom();
+    restored.fromJSON(saved);
+    assertEqual(restored.getSeed(), 123);
+    assertEqual(restored.next(), expected);
+  });
+
+  suite.test('文字列シードの正規化', () => {
+    assertEqual(SeededRandom.normalizeSeed('42'), 42);
+    assertEqual(SeededRandom.normalizeSeed('somunia'), SeededRandom.normalizeSeed('somunia'));
+  });
+
+  suite.test('注入した乱数でモジュールが再現する', () => {
+    const run = () => {
+      const y = new Yuragi(new SeededRandom(99));
+      return [y.getValue(), y.getValue(), y.getValue()];
+    };
+    const first = run();
+    const second = run();
+    for (let i = 0; i < first.length; i++) {
+      assertEqual(first[i], second[i]);
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// EventJournal テスト
+// ============================================================
+
+function createEventJournalTests(): TestSuite {
+  const suite = new TestSuite('EventJournal（イベントジャーナル）');
+
+  // セッションを開始しない限りDBには触れない
+  const noDB: any = {};
+
+  suite.test('チェックポイントにイベントのダイジェストが入る', async () => {
+    const bus = new EventBus();
+    const journal = new EventJournal(noDB, () => 1, {}, bus);
+    await bus.emit({ type: 'thought', timestamp: 1, data: {} });
+    await bus.emit({ type: 'emotion_change', timestamp: 1, data: {} });
+    const cp = journal.checkpoint(1, { energy: '0.5' });
+    assertEqual(cp.eventCount, 2);
+    assertEqual(cp.energy, '0.5');
+    assertEqual(journal.getLastCheckpoint(), cp);
+    assertEqual(journal.isRecording(), false);
+  });
+
+  suite.test('同じイベント列は同じダイジェストになる', async () => {
+    const run = async () => {
+      const bus = new EventBus();
+      const journal = new EventJournal(noDB, () => 0, {}, bus);
+      await bus.emit({ type: 'thought', timestamp: 0, data: { a: 1 } });
+      return journal.checkpoint(0, {}).events;
+    };
+    assertEqual(await run(), await run());
+  });
+
+  suite.test('チェックポイントの比較', () => {
+    const same = EventJournal.compareCheckpoints({ a: 1, b: 'x' }, { a: 1, b: 'x' });
+    assertEqual(same.length, 0);
+    const diff = EventJournal.compareCheckpoints({ a: 1, b: 'x' }, { a: 2, b: 'x', c: true });
+    assertEqual(diff.length, 2);
+    assertEqual(diff[0].key, 'a');
+    assertEqual(diff[1].expected, null);
+  });
+
+  suite.test('detach後はイベントを追跡しない', async () => {
+    const bus = new EventBus();
+    const journal = new EventJournal(noDB, () => 0, {}, bus);
+    journal.detach();
+    await bus.emit({ type: 'thought', timestamp: 0, data: {} });
+    assertEqual(journal.checkpoint(0, {}).eventCount, 0);
+  });
+
+  suite.test('セッション開始時に古いセッションを消す', () => {
+    const calls: Array<[number, number]> = [];
+    const db: any = {
+      createJournalSession: () => {},
+      pruneJournalSessions: (keep: number, maxAgeDays: number) => { calls.push([keep, maxAgeDays]); return 0; },
+    };
+    const journal = new EventJournal(db, () => 0, { maxSessions: 3, maxAgeDays: 7 }, new EventBus());
+    assertDefined(journal.startSession(1, null));
+    assertEqual(calls.length, 1);
+    assertEqual(calls[0].join(','), '3,7');
+
+    const unlimited = new EventJournal(db, () => 0, { maxSessions: 0, maxAgeDays: 0 }, new EventBus());
+    unlimited.startSession(1, null);
+    assertEqual(calls.length, 1);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// リプレイ テスト
+// ============================================================
+
+function createReplayTests(): TestSuite {
+  const suite = new TestSuite('リプレイ（記録と再生）');
+  const sqliteTest = hasSqlite() ? suite.test.bind(suite) : suite.skip.bind(suite);
+
+  sqliteTest('訪問者もLLMもない短いセッションは食い違わずに再生できる', async () => {
+    const { SoulEngine } = await import('../core/SoulEngine');
+    const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'somunia-replay-'));
+    const config = {
+      headless: true,
+      seed: 11,
+      time: { tickInterval: 100, timeScale: 10 },
+      llm: { disabled: true },
+      persistence: { dataDir: dir, autoSaveInterval: Number.MAX_SAFE_INTEGER },
+    };
+    try {
+      const recorder = new SoulEngine(config);
+      await recorder.simulate(60 / 1440);
+      // 再生側は --fast なしで起動しても、記録時の速さに揃える
+      const player = new SoulEngine({ ...config, time: {}, journal: { enabled: false } });
+      const report = await player.replay('latest');
+      assert(report.checkpointsCompared > 0, 'チェックポイントを比べていない');
+      assert(report.divergence === null,
+        `Tick ${report.divergence?.tick} で食い違い: ${JSON.stringify(report.divergence?.mismatches)}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// ModuleRegistry テスト
+// ============================================================
+
+function createModuleRegistryTests(): TestSuite {
+  const suite = new TestSuite('ModuleRegistry（モジュールレジストリ）');
+
+  const ctxAt = (tick: number, sleeping: boolean = false): TickContext => ({
+    tick, timeState: {} as any, timeOfDay: 'morning', hour: 8, day: 1, sleeping, shared: {},
+  });
+
+  suite.test('登録順に実行され、間隔と睡眠フェーズが守られる', async () => {
+    const r = new ModuleRegistry();
+    const log: string[] = [];
+    r.register({ name: 'a', tick: () => { log.push('a'); } });
+    r.register({ name: 'b', interval: 2, tick: () => { log.push('b'); } });
+    r.register({ name: 'c', phase: 'asleep', tick: () => { log.push('c'); } });
+    r.register({ name: 'd', phase: 'always', tick: () => { log.push('d'); } });
+    await r.runTick(ctxAt(1));
+    await r.runTick(ctxAt(2));
+    await r.runTick(ctxAt(3, true));
+    assertEqual(log.join(','), 'a,d,a,b,d,c,d');
+  });
+
+  suite.test('設定で無効化・並べ替えできる', async () => {
+    const r = new ModuleRegistry({ disabled: ['b'], order: ['d', 'a'] });
+    const log: string[] = [];
+    for (const name of ['a', 'b', 'c', 'd']) {
+      r.register({ name, tick: () => { log.push(name); } });
+    }
+    r.loadPlugins({} as any);
+    await r.runTick(ctxAt(1));
+    assertEqual(log.join(','), 'd,c,a');
+    assertEqual(r.isEnabled('b'), false);
+  });
+
+  suite.test('プラグインのファクトリとafter指定', () => {
+    const r = new ModuleRegistry({
+      plugins: [(ctx: any) => ({ name: `plugin_${ctx.tag}` })],
+    });
+    r.register({ name: 'first' });
+    r.register({ name: 'second' });
+    r.register({ name: 'middle' }, { after: 'first' });
+    r.loadPlugins({ tag: 'x' } as any);
+    assertEqual(r.list().map(m => m.name).join(','), 'first,middle,second,plugin_x');
+  });
+
+  suite.test('重複登録はエラー', () => {
+    const r = new ModuleRegistry();
+    r.register({ name: 'a' });
+    let threw = false;
+    try { r.register({ name: 'a' }); } catch { threw = true; }
+    assert(threw, 'Duplicate registration should throw');
+  });
+
+  suite.test('コマンド・永続化・ステータスの収集', () => {
+    const r = new ModuleRegistry();
+    let state = 0;
+    r.register({ name: 'core' }, { builtin: true });
+    r.register({
+      name: 'counter',
+      serialize: () => ({ state }),
+      deserialize: (data: any) => { state = data.state; },
+      getStatus: () => ({ status: 'active', detail: `state ${state}` }),
+      commands: [{ name: 'count', aliases: ['cnt'], description: 'count', run: () => { state++; } }],
+    });
+    const found = r.findCommand('cnt');
+    assertDefined(found);
+    found!.command.run([]);
+    assertEqual(state, 1);
+    assertEqual(r.getPersistentModules().length, 1);
+    const statuses = r.getStatuses(false);
+    assertEqual(statuses.length, 1);
+    assertEqual(statuses[0].detail, 'state 1');
+    r.disable('core');
+    assertEqual(r.getStatuses(false)[0].status, 'disabled');
+  });
+
+  suite.test('失敗したモジュールは隔離され、後続は実行される', async () => {
+    const bus = new EventBus();
+    const errorTimestamps: number[] = [];
+    bus.on('module_error', (e) => { errorTimestamps.push(e.timestamp); });
+    const r = new ModuleRegistry({}, bus);
+    const log: string[] = [];
+    r.register({ name: 'broken', tick: () => { throw new Error('boom'); } });
+    r.register({ name: 'after', tick: () => { log.push('after'); } });
+    await r.runTick(ctxAt(1));
+    assertEqual(log.length, 1);
+    assertEqual(errorTimestamps.join(','), '1', 'イベントの時刻はティック');
+    const health = r.getHealth('broken')!;
+    assertEqual(health.state, 'degraded');
+    assertEqual(health.lastError, 'boom');
+  });
+
+  suite.test('連続失敗で一時停止し、指数バックオフで再試行する', async () => {
+    const bus = new EventBus();
+    const suspended: number[] = [];
+    bus.on('module_suspended', (e) => { suspended.push(e.data.backoffTicks); });
+    const r = new ModuleRegistry({ failureThreshold: 2, backoffBaseTicks: 10, backoffMaxTicks: 100 }, bus);
+    let failing = true;
+    let calls = 0;
+    r.register({ name: 'flaky', tick: () => { calls++; if (failing) throw new Error('flaky'); } });
+
+    await r.runTick(ctxAt(1));
+    await r.runTick(ctxAt(2));
+    assertEqual(r.getHealth('flaky')!.state, 'suspended');
+    assertEqual(r.getHealth('flaky')!.suspendedUntil, 12);
+
+    await r.runTick(ctxAt(5));
+    assertEqual(calls, 2, 'Suspended module should not run');
+
+    // 再試行でも失敗 → 倍の期間停止
+    await r.runTick(ctxAt(12));
+    assertEqual(r.getHealth('flaky')!.suspendedUntil, 32);
+    assertEqual(suspended.join(','), '10,20');
+
+    failing = false;
+    await r.runTick(ctxAt(32));
+    assertEqual(r.getHealth('flaky')!.state, 'healthy');
+    assertEqual(r.getHealthReport().suspended, 0);
+  });
+
+  suite.test('手動で有効化すると一時停止が解除される', async () => {
+    const r = new ModuleRegistry({ failureThreshold: 1 }, new EventBus());
+    r.register({ name: 'x', tick: () => { throw new Error('x'); } }, { builtin: true });
+    await r.runTick(ctxAt(1));
+    assert(r.isSuspended('x', 2), 'Should be suspended');
+    assertEqual(r.getStatuses(false)[0].status, 'error');
+    r.enable('x');
+    assert(!r.isSuspended('x', 2), 'Enable should clear suspension');
+  });
+
+  const sqliteTest = hasSqlite() ? suite.test.bind(suite) : suite.skip.bind(suite);
+
+  sqliteTest('夢の生成が失敗し続けても眠りから覚める', async () => {
+    const { SoulEngine } = await import('../core/SoulEngine');
+    const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'somunia-dream-'));
+    try {
+      const engine = new SoulEngine({
+        headless: true,
+        seed: 5,
+        llm: { disabled: true },
+        journal: { enabled: false },
+        persistence: { dataDir: dir, autoSaveInterval: Number.MAX_SAFE_INTEGER },
+      });
+      const internals = engine as any;
+      internals.dreamPhase.generateDream = () => { throw new Error('dream failure'); };
+      internals.enterSleep(0);
+      let wokeAt: number | null = null;
+      internals.events.on('woke_up', (event: { timestamp: number }) => { wokeAt ??= event.timestamp; });
+      await engine.simulate(800 / 1440);
+      assert(wokeAt !== null, 'Should wake up even though dreams keep failing');
+      assertEqual(internals.registry.getHealth('sleep'), null, 'Dream failures should not count against the sleep stage');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// TickProfiler テスト
+// ============================================================
+
+function createTickProfilerTests(): TestSuite {
+  const suite = new TestSuite('TickProfiler（ティックプロファイラ）');
+
+  suite.test('段階ごとのパーセンタイル', () => {
+    const profiler = new TickProfiler();
+    for (let i = 1; i <= 100; i++) {
+      profiler.recordStage('thought', i);
+    }
+    const stats = profiler.getStageStats('thought')!;
+    assertEqual(stats.count, 100);
+    assertEqual(stats.p50, 50);
+    assertEqual(stats.p95, 95);
+    assertEqual(stats.p99, 99);
+    assertEqual(stats.max, 100);
+    assertInRange(stats.mean, 50.4, 50.6);
+  });
+
+  suite.test('ローリングウィンドウは直近のサンプルのみで集計する', () => {
+    const profiler = new TickProfiler({ windowSize: 10 });
+    for (let i = 0; i < 10; i++) profiler.recordStage('body', 100);
+    for (let i = 0; i < 10; i++) profiler.recordStage('body', 1);
+    const stats = profiler.getStageStats('body')!;
+    assertEqual(stats.p99, 1);
+    assertEqual(stats.max, 100, 'max is all-time');
+    assertEqual(stats.count, 20);
+  });
+
+  suite.test('遅いティックの記録と警告のクールダウン', () => {
+    const profiler = new TickProfiler({ slowTickMs: 50, warnCooldownTicks: 10 });
+    profiler.beginTick(1);
+    profiler.recordStage('emotions', 5);
+    profiler.recordStage('selfModification', 80);
+    const first = profiler.endTick(90);
+    assertDefined(first);
+    assert(first!.warn, 'First slow tick should warn');
+    assertEqual(first!.topStages[0].name, 'selfModification');
+
+    profiler.beginTick(2);
+    assert(!profiler.endTick(60)!.warn, 'Warning within cooldown should be suppressed');
+    profiler.beginTick(3);
+    assertEqual(profiler.endTick(10), null);
+
+    const report = profiler.getReport();
+    assertEqual(report.slowTickCount, 2);
+    assertEqual(report.tick.count, 3);
+  });
+
+  suite.test('自動保存の時間は遅いティックに数えない', () => {
+    const profiler = new TickProfiler({ slowTickMs: 50 });
+    profiler.beginTick(1);
+    profiler.recordStage('autosave', 400);
+    profiler.recordStage('emotions', 5);
+    assertEqual(profiler.endTick(410), null);
+    assertEqual(profiler.getReport().tick.max, 410);
+    profiler.beginTick(2);
+    profiler.recordStage('autosave', 400);
+    profiler.recordStage('thought', 80);
+    assertEqual(profiler.endTick(480)!.topStages[0].name, 'autosave');
+  });
+
+  suite.test('レジストリ経由で各モジュールの所要時間が記録される', async () => {
+    const registry = new ModuleRegistry();
+    const profiler = new TickProfiler();
+    registry.setProfiler(profiler);
+    registry.register({ name: 'a', tick: () => {} });
+    registry.register({ name: 'b', interval: 2, tick: async () => {} });
+    for (let tick = 1; tick <= 4; tick++) {
+      profiler.beginTick(tick);
+      await registry.runTick({
+        tick, timeState: {} as any, timeOfDay: 'morning', hour: 8, day: 1, sleeping: false, shared: {},
+      });
+      profiler.endTick();
+    }
+    assertEqual(profiler.getStageStats('a')!.count, 4);
+    assertEqual(profiler.getStageStats('b')!.count, 2);
+    assert(profiler.getSummary().startsWith('p95'), 'Summary should include tick p95');
+  });
+
+  return suite;
+}
+
 // ============================================================
 // EpisodicMemory テスト
 // ============================================================
@@ -260,7 +720,7 @@ function createEpisodicMemoryTests(): TestSuite {
   const suite = new TestSuite('EpisodicMemory（エピソード記憶）');
 
   suite.test('記憶の形成', () => {
-    const em = new EpisodicMemorySystem();
+    const em = new EpisodicMemorySystem({}, new SeededRandom(1));
     em.formMemory({
       content: 'テスト記憶: 窓の外に星が見えた',
       summary: '星を見た',
@@ -272,7 +732,7 @@ function createEpisodicMemoryTests(): TestSuite {
   });
 
   suite.test('記憶の検索', () => {
-    const em = new EpisodicMemorySystem();
+    const em = new EpisodicMemorySystem({}, new SeededRandom(1));
     em.formMemory({
       content: '美しい月を見上げた',
       summary: '月を見た',
@@ -286,7 +746,7 @@ function createEpisodicMemoryTests(): TestSuite {
   });
 
   suite.test('シリアライズ/デシリアライズ', () => {
-    const em = new EpisodicMemorySystem();
+    const em = new EpisodicMemorySystem({}, new SeededRandom(1));
     em.formMemory({
       content: 'テスト',
       summary: 'テスト',
@@ -296,7 +756,7 @@ function createEpisodicMemoryTests(): TestSuite {
     });
     const json = em.toJSON();
     assertDefined(json);
-    const restored = EpisodicMemorySystem.fromJSON(json);
+    const restored = EpisodicMemorySystem.fromJSON(json, new SeededRandom(1));
     assertDefined(restored);
     assert(restored.getMemoryCount() > 0, 'Restored should have memories');
   });
@@ -312,7 +772,7 @@ function createSemanticMemoryTests(): TestSuite {
   const suite = new TestSuite('SemanticMemory（意味記憶）');
 
   suite.test('概念の学習', () => {
-    const sm = new SemanticMemorySystem();
+    const sm = new SemanticMemorySystem({}, new SeededRandom(1));
     const result = sm.learn({
       concept: '光',
       definition: '電磁波の一種',
@@ -323,14 +783,14 @@ function createSemanticMemoryTests(): TestSuite {
   });
 
   suite.test('複数概念の学習', () => {
-    const sm = new SemanticMemorySystem();
+    const sm = new SemanticMemorySystem({}, new SeededRandom(1));
     sm.learn({ concept: '音楽', definition: '音による芸術', source: 'book' });
     sm.learn({ concept: '旋律', definition: '音の連なり', source: 'book' });
     assert(sm.getConceptCount() >= 2, 'Should have 2+ concepts');
   });
 
   suite.test('統計の取得', () => {
-    const sm = new SemanticMemorySystem();
+    const sm = new SemanticMemorySystem({}, new SeededRandom(1));
     sm.learn({ concept: 'test', definition: 'a test', source: 'book' });
     const stats = sm.getStats();
     assertDefined(stats);
@@ -348,14 +808,14 @@ function createBehaviorTests(): TestSuite {
   const suite = new TestSuite('BehaviorEngine（行動決定）');
 
   suite.test('初期化が正常', () => {
-    const b = new BehaviorEngine();
+    const b = new BehaviorEngine(new EventBus(), new SeededRandom(1));
     assertDefined(b);
     const current = b.getCurrentAction();
     // 初期は null でも OK
   });
 
   suite.test('シリアライズが正常', () => {
-    const b = new BehaviorEngine();
+    const b = new BehaviorEngine(new EventBus(), new SeededRandom(1));
     const json = b.toJSON();
     assertDefined(json);
   });
@@ -371,13 +831,13 @@ function createTimeTests(): TestSuite {
   const suite = new TestSuite('TimeManager（時間管理）');
 
   suite.test('初期時間が正常', () => {
-    const t = new TimeManager();
+    const t = new TimeManager({}, new EventBus(), new SeededRandom(1));
     const hour = t.getHour();
     assertInRange(hour, 0, 24);
   });
 
   suite.test('時間帯の取得', () => {
-    const t = new TimeManager();
+    const t = new TimeManager({}, new EventBus(), new SeededRandom(1));
     const tod = t.getTimeOfDay();
     assertDefined(tod);
     const validTods = ['dawn', 'morning', 'midday', 'afternoon', 'evening', 'night', 'late_night'];
@@ -385,7 +845,7 @@ function createTimeTests(): TestSuite {
   });
 
   suite.test('getState が正常', () => {
-    const t = new TimeManager();
+    const t = new TimeManager({}, new EventBus(), new SeededRandom(1));
     const state = t.getState();
     assertDefined(state);
     assertDefined(state.simulatedHour);
@@ -393,13 +853,1522 @@ function createTimeTests(): TestSuite {
   });
 
   suite.test('シリアライズ/デシリアライズ', () => {
-    const t = new TimeManager();
+    const t = new TimeManager({}, new EventBus(), new SeededRandom(1));
     const json = t.toJSON();
     assertDefined(json);
     t.fromJSON(json);
     assertInRange(t.getHour(), 0, 24);
   });
 
+  suite.test('手動ティックで日が進む（高速シミュレーション用）', async () => {
+    const t = new TimeManager({ ticksPerDay: 24 }, new EventBus(), new SeededRandom(1));
+    assertEqual(t.getTicksPerDay(), 24);
+    for (let i = 0; i < t.getTicksPerDay(); i++) {
+      await t.tick();
+    }
+    assertEqual(t.getCurrentTick(), 24);
+    assertEqual(t.getDay(), 2);
+  });
+
+  suite.test('wallclockモードは指定タイムゾーンの時計に従う', async () => {
+    let now = Date.UTC(2024, 0, 1, 14, 0, 0); // 東京 23:00
+    const bus = new EventBus();
+    let dayStarted = 0;
+    bus.on('day_started', () => { dayStarted++; });
+    const t = new TimeManager({ clockMode: 'wallclock', timezone: 'Asia/Tokyo', now: () => now }, bus, new SeededRandom(1));
+    assertEqual(t.getHour(), 23);
+    assertEqual(t.getTimeOfDay(), 'night');
+    assert(t.isSleepTime(), '23:00 should be sleep time');
+    assertEqual(t.getLightingState().naturalLight, 0);
+
+    now += 2 * 60 * 60 * 1000; // 翌日 01:00
+    await t.tick();
+    assertEqual(t.getHour(), 1);
+    assertEqual(t.getDay(), 2);
+    assertEqual(t.getTimeOfDay(), 'late_night');
+    assertEqual(dayStarted, 1);
+    assertEqual(t.getTimezone(), 'Asia/Tokyo');
+  });
+
+  suite.test('wallclockモードで保存した日数が引き継がれる', () => {
+    const now = Date.UTC(2024, 5, 1, 3, 30, 0); // UTC 03:30
+    const simulated = new TimeManager({ ticksPerDay: 24 }, new EventBus(), new SeededRandom(1));
+    simulated.restoreState({ ...simulated.getState(), simulatedDay: 12 });
+    const t = new TimeManager({ clockMode: 'wallclock', timezone: 'UTC', now: () => now }, new EventBus(), new SeededRandom(1));
+    t.fromJSON(simulated.toJSON());
+    assertEqual(t.getDay(), 12);
+    assertEqual(t.getHour(), 3.5);
+  });
+
+  suite.test('wallclockモードでも高速に回す間は仮の時計で時刻と日が進む', async () => {
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0); // 本物の時計は止まったまま
+    const bus = new EventBus();
+    let dayStarted = 0;
+    bus.on('day_started', () => { dayStarted++; });
+    const t = new TimeManager({ clockMode: 'wallclock', timezone: 'UTC', now: () => now }, bus, new SeededRandom(1));
+    t.useSimulatedClock(60 * 60 * 1000, now - 6 * 60 * 60 * 1000); // 6時間前から1ティック1時間
+    assertEqual(t.getHour(), 6);
+    for (let i = 0; i < 20; i++) await t.tick();
+    assertEqual(t.getHour(), 2);
+    assertEqual(t.getDay(), 2);
+    assertEqual(dayStarted, 1);
+
+    t.useRealClock();
+    await t.tick();
+    assertEqual(t.getHour(), 12);
+  });
+
+  suite.test('1ティックの実時間は時間倍率を考慮する', () => {
+    const t = new TimeManager({ tickInterval: 1000, timeScale: 10 }, new EventBus(), new SeededRandom(1));
+    assertEqual(t.getTickDurationMs(), 100);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// Calendar テスト
+// ============================================================
+
+function createCalendarTests(): TestSuite {
+  const suite = new TestSuite('Calendar（暦）');
+
+  suite.test('開始日から日付と季節を求める', () => {
+    const cal = new Calendar({ startDate: '2025-02-27' });
+    const day1 = cal.dateForDay(1);
+    assertEqual(Calendar.formatDate(day1), '2025-02-27');
+    assertEqual(day1.season, 'winter');
+    const day3 = cal.dateForDay(3);
+    assertEqual(Calendar.formatDate(day3), '2025-03-01');
+    assertEqual(day3.season, 'spring');
+  });
+
+  suite.test('行事と梅雨', () => {
+    const cal = new Calendar({ startDate: '2025-06-01' });
+    assert(cal.dateForDay(1).isRainySeason, 'June should be rainy season');
+    const tanabata = cal.dateForDay(37); // 7月7日
+    assertEqual(tanabata.holiday?.id, 'tanabata');
+    assertEqual(cal.dateForDay(38).holiday, null);
+    const newYear = new Calendar({ startDate: '2025-01-02' }).dateForDay(1);
+    assertEqual(newYear.holiday?.name, 'お正月');
+  });
+
+  suite.test('夏は昼が長く、冬は短い', () => {
+    const summer = new Calendar({ startDate: '2025-06-21' }).dateForDay(1);
+    const winter = new Calendar({ startDate: '2025-12-21' }).dateForDay(1);
+    assert(summer.sunset - summer.sunrise > 14, 'Summer day should be long');
+    assert(winter.sunset - winter.sunrise < 10, 'Winter day should be short');
+    assert(!Calendar.isDaylight(winter, 17.5), 'Winter 17:30 should be dark');
+    assert(Calendar.isDaylight(summer, 17.5), 'Summer 17:30 should be light');
+  });
+
+  suite.test('天気は季節に偏る（冬は雪、夏は雪なし）', async () => {
+    const countWeather = async (startDate: string): Promise<Record<string, number>> => {
+      const t = new TimeManager({ ticksPerDay: 1440, calendar: { startDate } }, new EventBus(), new SeededRandom(7));
+      const counts: Record<string, number> = {};
+      for (let i = 0; i < 1440 * 10; i++) {
+        await t.tick();
+        counts[t.getWeather()] = (counts[t.getWeather()] || 0) + 1;
+      }
+      return counts;
+    };
+    const winter = await countWeather('2025-01-05');
+    const summer = await countWeather('2025-08-01');
+    assert((winter.snow || 0) > 0, 'Winter should have snow');
+    assertEqual(summer.snow || 0, 0);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// LifeCycle（人生の段階）テスト
+// ============================================================
+
+function createLifeCycleTests(): TestSuite {
+  const suite = new TestSuite('LifeCycle（人生の段階）');
+  const lifespanAt = (remaining: number) => ({ totalTicks: 1000, remainingTicks: remaining, percentage: remaining / 1000 });
+
+  suite.test('残り寿命から段階が決まり、変わったときだけ通知される', async () => {
+    const bus = new EventBus();
+    const stages: Array<string | null> = [];
+    bus.on('life_stage_changed', (e) => { stages.push(e.data.stage); });
+    const life = new LifeCycle(bus);
+
+    assertEqual(await life.update(0, undefined), null);
+    const first = await life.update(1, lifespanAt(1000));
+    assertEqual(first?.previous, null);
+    assertEqual(first?.profile.stage, 'childhood');
+    assertEqual(await life.update(2, lifespanAt(950)), null);
+    const next = await life.update(3, lifespanAt(850));
+    assertEqual(next?.previous, 'childhood');
+    assertEqual(LifeCycle.stageFor(lifespanAt(20)).stage, 'final');
+    assertEqual(stages.join(','), 'childhood,youth');
+  });
+
+  suite.test('段階に応じてエネルギー回復と好奇心のベースラインが変わる', () => {
+    const young = new Homeostasis();
+    const old = new Homeostasis();
+    young.consumeEnergy(0.5, 'wander');
+    old.consumeEnergy(0.5, 'wander');
+    young.setEnergyRecoveryRate(LifeCycle.getProfile('childhood').energyRecovery);
+    old.setEnergyRecoveryRate(LifeCycle.getProfile('twilight').energyRecovery);
+    const youngGain = young.restoreEnergy(0.2, 'rest');
+    const oldGain = old.restoreEnergy(0.2, 'rest');
+    assert(youngGain.newValue - youngGain.previousValue > oldGain.newValue - oldGain.previousValue,
+      'Younger stage should recover energy faster');
+
+    const emotions = new EmotionEngine({}, new SeededRandom(1));
+    assertEqual(emotions.getBaseline('curiosity'), 0.2);
+    emotions.setBaseline('curiosity', LifeCycle.getProfile('final').curiosityBaseline);
+    assertEqual(emotions.getBaseline('curiosity'), 0.08);
+    emotions.setBaseline('curiosity', null);
+    assertEqual(emotions.getBaseline('curiosity'), 0.2);
+  });
+
+  suite.test('段階の章が始まり、死生の問いに傾く', () => {
+    const narrative = new InternalNarrative({}, new SeededRandom(3));
+    const twilight = LifeCycle.getProfile('twilight');
+    assertEqual(narrative.applyLifeStage(twilight, 40, 'peace', false), null);
+    assertEqual(narrative.getChapters().length, 1);
+    const transition = narrative.applyLifeStage(twilight, 40, 'peace');
+    assertEqual(transition?.newChapter.title, '夕暮れの頃');
+    assert(transition!.newChapter.themes.includes('回想'), 'Chapter should carry stage themes');
+    assertEqual(narrative.getMortalityAwareness(), 0.4);
+  });
+
+  suite.test('最期は一度だけで、手紙には章と訪問者が残る', async () => {
+    const bus = new EventBus();
+    let ended = 0;
+    bus.on('life_ended', () => { ended++; });
+    const life = new LifeCycle(bus);
+    assert(!life.isDue(lifespanAt(1)), 'Not due while life remains');
+    assert(life.isDue(lifespanAt(0)), 'Due when lifespan runs out');
+    await life.end(1000, 30);
+    await life.end(1001, 30);
+    assertEqual(ended, 1);
+    assert(!life.isDue(lifespanAt(0)), 'Not due after ending');
+
+    const restored = new LifeCycle(bus);
+    restored.fromJSON(JSON.parse(JSON.stringify(life.toJSON())));
+    assert(restored.hasEnded(), 'Ending should survive save/load');
+
+    const letter = life.composeFarewellLetter({
+      day: 30, visitorName: 'ゆき', chapterTitles: ['目覚め', '夕暮れの頃'],
+      conversationCount: 4, creationCount: 2, memories: ['初めての歌'],
+    });
+    assert(letter.startsWith('ゆきへ'), 'Letter should be addressed to the visitor');
+    assert(letter.includes('「目覚め」「夕暮れの頃」'), 'Letter should recall the chapters');
+  });
+
+  suite.test('最後の日記は1日の上限を超えても残り、その日が確定する', () => {
+    const diary = new Diary({ maxFragmentsPerDay: 2 }, new SeededRandom(1));
+    const emotions = new EmotionEngine({}, new SeededRandom(1)).getState();
+    diary.startNewDay('2024-03-01', 30);
+    diary.write('朝の光', emotions);
+    diary.write('歌を口ずさんだ', emotions);
+    diary.write('上限を超えた断片', emotions);
+    const last = diary.writeFinal('ありがとう、さようなら', emotions, '最後の日');
+    const entry = diary.getEntry('2024-03-01');
+    assertDefined(entry);
+    assertEqual(entry!.fragments.length, 3);
+    assertEqual(entry!.fragments[2].id, last.id);
+    assertEqual(diary.getStats().totalEntries, 1);
+  });
+
+  const sqliteTest = hasSqlite() ? suite.test.bind(suite) : suite.skip.bind(suite);
+
+  sqliteTest('寿命が尽きると最後の日記が残る', async () => {
+    const { SoulEngine } = await import('../core/SoulEngine');
+    const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'somunia-farewell-'));
+    try {
+      const engine = new SoulEngine({
+        headless: true,
+        seed: 7,
+        time: { enableLifespan: true, lifespanTicks: 30 },
+        llm: { disabled: true },
+        journal: { enabled: false },
+        persistence: { dataDir: dir, autoSaveInterval: Number.MAX_SAFE_INTEGER },
+      });
+      const report = await engine.simulate(60 / 1440);
+      assertEqual(report.endTick, 30);
+      assert(report.diaryEntries >= 1, 'The final day should be counted in the report');
+      const entries = (engine as any).diary.getRecentEntries(1);
+      assert(entries[0]?.fragments.some((f: { trigger?: string }) => f.trigger === '最後の日'),
+        'Farewell entry should be in the diary');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// RelationshipEvolution（不在）テスト
+// ============================================================
+
+function createRelationshipAbsenceTests(): TestSuite {
+  const suite = new TestSuite('RelationshipEvolution（不在）');
+
+  suite.test('まとめて進めた不在は逐次のtickAbsenceと一致する', () => {
+    const stepwise = new RelationshipEvolution({}, new SeededRandom(1));
+    const batched = new RelationshipEvolution({}, new SeededRandom(1));
+    for (let i = 0; i < 50; i++) {
+      stepwise.tickAbsence(i, 'peace', []);
+    }
+    batched.fastForwardAbsence(50);
+    const a = stepwise.getAbsence();
+    const b = batched.getAbsence();
+    assertEqual(b.ticksSinceLastVisit, a.ticksSinceLastVisit);
+    assertInRange(b.loneliness - a.loneliness, -1e-9, 1e-9);
+    assertInRange(b.anticipation - a.anticipation, -1e-9, 1e-9);
+  });
+
+  suite.test('話したいことは先頭に追加され、10件までに保たれる', () => {
+    const rel = new RelationshipEvolution({}, new SeededRandom(1));
+    for (let i = 0; i < 12; i++) {
+      rel.addThingToShare(`thing ${i}`);
+    }
+    const things = rel.getAbsence().thingsToShare;
+    assertEqual(things.length, 10);
+    assertEqual(things[0], 'thing 11');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// RelationshipEvolution（わだかまりと仲直り） テスト
+// ============================================================
+
+function createRelationshipStrainTests(): TestSuite {
+  const suite = new TestSuite('RelationshipEvolution（わだかまりと仲直り）');
+  const visitorTurn = (content: string, emotions: any[] = []) => ({
+    speaker: 'visitor' as const, content, intent: 'statement', topics: [], emotions,
+    depth: 'casual' as const, hasSelfDisclosure: false,
+  });
+
+  suite.test('きつい言葉で冷え、謝られると仲直りする', () => {
+    const rel = new RelationshipEvolution({}, new SeededRandom(3));
+    rel.fromJSON({ phase: 'acquaintance', visitCount: 5, relationship: { familiarity: 0.3, trust: 0.3, affection: 0.3 } });
+    rel.onConversationTurn(visitorTurn('うるさいな、黙れ'), 10);
+    const strained = rel.getRelationship();
+    assert(strained.trust < 0.3 && strained.affection < 0.3, 'Rudeness should lower trust and affection');
+    assert(rel.getStrain() >= 0.2, 'Rudeness should leave strain');
+
+    rel.onConversationTurn(visitorTurn('さっきはごめんね'), 11);
+    assert(rel.getStrain() < 0.2, 'Apology should ease the strain');
+    assert(rel.getRelationship().trust > strained.trust, 'Reconciliation should restore some trust');
+    assertEqual(rel.takeChanges().map(c => c.type).join(','), 'strain,reconciliation');
+    assertEqual(rel.getMilestones().map(m => m.type).join(','), 'strain,reconciliation');
+    assertEqual(rel.reconcile(12), null);
+  });
+
+  suite.test('somuniaに向けていないきつい言葉はわだかまりにならない', () => {
+    const rel = new RelationshipEvolution({}, new SeededRandom(6));
+    rel.fromJSON({ phase: 'acquaintance', visitCount: 5, relationship: { familiarity: 0.3, trust: 0.3, affection: 0.3 } });
+    const before = rel.getRelationship().trust;
+    const notAtHer = ['外がうるさいね', '隣の工事がうるさくて眠れない', '気持ち悪い…吐きそう', 'バカみたい', '私ってバカだな'];
+    notAtHer.forEach((content, i) => rel.onConversationTurn(visitorTurn(content), 10 + i));
+    assertEqual(rel.getStrain(), 0);
+    assert(rel.getRelationship().trust >= before, 'Words not aimed at her should not lower trust');
+
+    rel.onConversationTurn(visitorTurn('お前バカだな'), 20);
+    assert(rel.getStrain() > 0, 'Second-person insult should leave strain');
+    const afterInsult = rel.getStrain();
+    rel.onConversationTurn(visitorTurn('うざい'), 21);
+    assert(rel.getStrain() > afterInsult, 'Bare insult should leave strain');
+  });
+
+  suite.test('わだかまりが大きすぎるとフェーズが一段戻り、日記に書く振り返りが出る', () => {
+    const rel = new RelationshipEvolution({}, new SeededRandom(4));
+    rel.fromJSON({ phase: 'companion', visitCount: 12, relationship: { familiarity: 0.5, trust: 0.6, affection: 0.6 } });
+    for (let i = 0; i < 3; i++) {
+      rel.addStrain('rudeness', i);
+    }
+    assertEqual(rel.getPhase(), 'acquaintance');
+    const regression = rel.takeChanges().find(c => c.type === 'phase_regression');
+    assert(regression !== undefined, 'Regression should be reported');
+    assertEqual(regression!.from, 'companion');
+    assert((regression!.reflection ?? '').length > 0, 'Regression should come with a diary reflection');
+    const milestone = rel.getMilestones().find(m => m.type === 'phase_regression');
+    assertEqual(milestone?.to, 'acquaintance');
+
+    // わだかまりが残っている間は深まらない
+    rel.addStrain('broken_promise', 4);
+    assert(rel.getStrain() >= 0.5, 'Strain should still block progression');
+    rel.onVisitStart(5);
+    assertEqual(rel.getPhase(), 'acquaintance');
+  });
+
+  suite.test('破られた約束と長い不在はわだかまりになる', () => {
+    const rel = new RelationshipEvolution({ longAbsenceTicks: 1440 * 3 }, new SeededRandom(5));
+    rel.onVisitStart(0);
+    rel.onConversationTurn(visitorTurn('明日また来るね'), 1);
+    rel.onVisitEnd({ maxDepth: 0.2, totalTurns: 2, topics: [], emotionalArc: [] }, 2);
+    rel.takeChanges();
+
+    rel.fastForwardAbsence(1440 * 2 + 1, 3);
+    assertEqual(rel.takeChanges().map(c => c.strainType).join(','), 'broken_promise');
+    rel.fastForwardAbsence(1440, 4);
+    assertEqual(rel.takeChanges().map(c => c.strainType).join(','), 'long_absence');
+    rel.fastForwardAbsence(1440, 5);
+    assertEqual(rel.takeChanges().length, 0);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// LLMバックエンド テスト
+// ============================================================
+
+function createLLMBackendTests(): TestSuite {
+  const suite = new TestSuite('LLMBackend（LLMバックエンド）');
+  const request = (prompt: string) => ({ model: 'm', systemPrompt: 's', prompt, temperature: 0.7, maxTokens: 64, timeout: 1000 });
+
+  suite.test('scriptedは積まれた応答 → ルール → 既定の順に返す', async () => {
+    const backend = new ScriptedBackend({ rules: [{ match: /要約/, response: 'まとめ' }], defaultResponse: 'ふむ' });
+    backend.enqueue('一番目', new Error('down'));
+    assertEqual(await backend.chat(request('要約して')), '一番目');
+    let failed = false;
+    try { await backend.chat(request('x')); } catch { failed = true; }
+    assert(failed, 'Queued error should be thrown');
+    assertEqual(await backend.chat(request('要約して')), 'まとめ');
+    assertEqual(await backend.chat(request('こんにちは')), 'ふむ');
+    assertEqual(backend.getRequests().length, 4);
+  });
+
+  suite.test('種類からバックエンドを作る', () => {
+    assertEqual(createLLMBackend().type, 'ollama');
+    assertEqual(createLLMBackend({ backend: 'openai', baseUrl: 'http://127.0.0.1:1234/v1/' }).name, 'OpenAI互換 (http://127.0.0.1:1234/v1)');
+    assertEqual(createLLMBackend({ backend: 'scripted' }).type, 'scripted');
+    let threw = false;
+    try { createLLMBackend({ backend: 'nope' as any }); } catch { threw = true; }
+    assert(threw, 'Unknown backend should throw');
+    assertEqual(resolveModel('gemma3', ['gemma3:latest'])?.found, true);
+    assertEqual(resolveModel('gemma3', ['qwen2:7b'])?.model, 'qwen2');
+    assertEqual(resolveModel('gemma3', []), null);
+  });
+
+  suite.test('LLMInterfaceはバックエンド経由で応答する', async () => {
+    const backend = new ScriptedBackend({ defaultResponse: 'みじかい' });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    assertEqual(await llm.summarize('とても長い文章', 10), 'みじかい');
+    assert(llm.isEnabled(), 'Healthy backend should enable the LLM');
+    assertEqual(backend.getRequests()[0].systemPrompt, '簡潔に要約してください。');
+  });
+
+  suite.test('接続確認に失敗するとオフラインになり、再確認で戻る', async () => {
+    const backend = new ScriptedBackend({ healthy: false, defaultResponse: 'もどった' });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    assertEqual(await llm.summarize('そのまま返る文章', 4), 'そのまま');
+    assert(!llm.isEnabled(), 'Unhealthy backend should disable the LLM');
+    assertEqual(backend.getRequests().length, 0);
+
+    backend.setHealthy(true);
+    const health = await llm.checkHealth();
+    assert(health!.ok, 'Recheck should succeed');
+    assert(llm.isEnabled(), 'LLM should be enabled again');
+    assertEqual(await llm.summarize('x'), 'もどった');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// LLM応答キャッシュ・カセット テスト
+// ============================================================
+
+function createLLMCacheTests(): TestSuite {
+  const suite = new TestSuite('LLMCache（応答キャッシュ・カセット）');
+
+  suite.test('同じプロンプトはキャッシュから返し、期限切れは捨てる', () => {
+    const cache = new LLMResponseCache(new MemoryLLMCacheStore(), { ttlMs: 1000 });
+    assertEqual(cache.get('gemma3', 0.7, 'sys', 'こんにちは', 0), null);
+    cache.set('gemma3', 0.7, 'sys', 'こんにちは', 'やあ', 0);
+    assertEqual(cache.get('gemma3', 0.7, 'sys', 'こんにちは', 500), 'やあ');
+    assertEqual(cache.get('qwen2', 0.7, 'sys', 'こんにちは', 500), null);
+    assertEqual(cache.get('gemma3', 0.2, 'sys', 'こんにちは', 500), null);
+    assertEqual(cache.get('gemma3', 0.7, 'sys', 'こんにちは', 1000), null);
+    const stats = cache.getStats();
+    assertEqual(stats.hits, 1);
+    assertEqual(stats.misses, 4);
+    assertEqual(stats.entries, 0);
+  });
+
+  suite.test('上限を超えたら最後に使われたのが古いものから消す', () => {
+    const cache = new LLMResponseCache(new MemoryLLMCacheStore(), { maxEntries: 2 });
+    cache.set('m', 0.7, 's', 'a', 'A', 1);
+    cache.set('m', 0.7, 's', 'b', 'B', 2);
+    cache.get('m', 0.7, 's', 'a', 3);
+    cache.set('m', 0.7, 's', 'c', 'C', 4);
+    assertEqual(cache.getStats().entries, 2);
+    assertEqual(cache.get('m', 0.7, 's', 'b', 5), null);
+    assertEqual(cache.get('m', 0.7, 's', 'a', 5), 'A');
+    assertEqual(cache.getStats().evictions, 1);
+  });
+
+  suite.test('LLMInterfaceはキャッシュにあればバックエンドに送らない', async () => {
+    const backend = new ScriptedBackend({ defaultResponse: 'ひとこと' });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    llm.setResponseCache(new LLMResponseCache(new MemoryLLMCacheStore()));
+    assertEqual(await llm.summarize('長い長い文章', 8), 'ひとこと');
+    assertEqual(await llm.summarize('長い長い文章', 8), 'ひとこと');
+    assertEqual(backend.getRequests().length, 1);
+  });
+
+  suite.test('JSONの応答は検証に通ったものだけをキャッシュする', async () => {
+    const context: LLMContext = {
+      currentEmotion: 'peace', emotionalIntensity: 0.5, recentThoughts: [],
+      currentActivity: null, timeOfDay: 'night', personality: [],
+    };
+    const backend = new ScriptedBackend();
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    llm.setResponseCache(new LLMResponseCache(new MemoryLLMCacheStore()));
+    backend.enqueue(
+      '{"intent": "greeting", "emotions": ["happy"]}',
+      '{"intent": "greeting", "emotions": ["joy"], "isPersonal": false, "urgency": 0.2}'
+    );
+    assertEqual((await llm.understandMessage('こんにちは', context)).emotions.join(','), 'joy');
+    // 2回目は、直したあとの応答がキャッシュから返る
+    assertEqual((await llm.understandMessage('こんにちは', context)).emotions.join(','), 'joy');
+    assertEqual(backend.getRequests().length, 2);
+  });
+
+  suite.test('取り消された返事はJSON形式での再試行も直しもしない', async () => {
+    const backend = new ScriptedBackend();
+    const sent: string[] = [];
+    // 取り消されるまで返事をしないバックエンド
+    backend.chat = (request) => new Promise((resolve) => {
+      sent.push(request.prompt);
+      setTimeout(() => resolve(''), 200);
+    });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    const reply = llm.expressResponseStructured('sys', 'こんにちは', '', { owner: 'alice' })
+      .then(() => 'answered', (error: Error) => error.message);
+    while (sent.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+    assertEqual(llm.cancelRequests('visitor', 'alice'), 1);
+    assertEqual(await reply, LLM_REQUEST_CANCELLED);
+    assertEqual(sent.length, 1);
+  });
+
+  suite.test('録音したカセットをバックエンドなしで再生できる', async () => {
+    const file = '/tmp/somunia-cassette-' + Date.now() + '.json';
+    try {
+      const recorder = new LLMInterface({ backend: new ScriptedBackend({ defaultResponse: '雨の日のまとめ' }) }, new SeededRandom(1));
+      recorder.setCassette(new LLMCassette(file));
+      await recorder.summarize('今日は一日中雨だった', 10);
+      assert(fs.existsSync(file), 'Cassette should be written as calls happen');
+      await recorder.summarize('晴れた朝に歌った', 10);
+      // 呼び出しごとに1行ずつ追記される（ヘッダ + 2件）
+      assertEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 3);
+
+      const cassette = LLMCassette.load(file);
+      assertEqual(cassette.size(), 2);
+      const player = new LLMInterface({ backend: new CassetteBackend(cassette) }, new SeededRandom(1));
+      assertEqual(await player.summarize('今日は一日中雨だった', 10), '雨の日のまとめ');
+      // 録音にないプロンプトはフォールバック（先頭を切り詰める）になる
+      assertEqual(await player.summarize('録音していない文章', 4), '録音して');
+    } finally {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// LLMScheduler テスト
+// ============================================================
+
+function createLLMSchedulerTests(): TestSuite {
+  const suite = new TestSuite('LLMScheduler（優先度付き待ち行列）');
+  /** 外から終わらせられるリクエスト */
+  const deferred = () => {
+    let finish: (value: string) => void = () => {};
+    let aborted = false;
+    const run = (signal: AbortSignal) => new Promise<string>((resolve, reject) => {
+      finish = resolve;
+      signal.addEventListener('abort', () => { aborted = true; reject(new Error('aborted')); });
+    });
+    return { run, finish: (value: string) => finish(value), wasAborted: () => aborted };
+  };
+  const tick = () => new Promise<void>(resolve => setImmediate(resolve));
+
+  suite.test('優先度の高いものから送る（同じ優先度なら先着順）', async () => {
+    const scheduler = new LLMScheduler({ rateLimitDelay: 0, preempt: false });
+    const first = deferred();
+    const order: string[] = [];
+    const running = scheduler.schedule('background', first.run);
+    const later = [
+      scheduler.schedule('background', async () => { order.push('diary'); return ''; }),
+      scheduler.schedule('autonomous', async () => { order.push('mutter'); return ''; }),
+      scheduler.schedule('visitor', async () => { order.push('reply'); return ''; }),
+    ];
+    assertEqual(scheduler.getStats().queued.visitor, 1);
+    first.finish('done');
+    assertEqual(await running, 'done');
+    await Promise.all(later);
+    assertEqual(order.join(','), 'reply,mutter,diary');
+    assertEqual(scheduler.getStats().completed, 4);
+  });
+
+  suite.test('取り消すと待ち中も実行中も LLM_REQUEST_CANCELLED で失敗する', async () => {
+    const scheduler = new LLMScheduler({ rateLimitDelay: 0 });
+    const active = deferred();
+    const errors: string[] = [];
+    const a = scheduler.schedule('visitor', active.run).catch(e => errors.push(e.message));
+    const b = scheduler.schedule('visitor', async () => 'never').catch(e => errors.push(e.message));
+    assertEqual(scheduler.cancel('visitor'), 2);
+    await Promise.all([a, b]);
+    assert(active.wasAborted(), 'Running request should be aborted');
+    assertEqual(errors.join(','), `${LLM_REQUEST_CANCELLED},${LLM_REQUEST_CANCELLED}`);
+    assertEqual(scheduler.getStats().cancelled, 2);
+    assertEqual(await scheduler.schedule('visitor', async () => 'next'), 'next');
+  });
+
+  suite.test('持ち主を指定すると、その持ち主のリクエストだけを取り消す', async () => {
+    const scheduler = new LLMScheduler({ rateLimitDelay: 0, concurrency: { visitor: 2 }, maxConcurrent: 2 });
+    const alice = deferred();
+    const bob = deferred();
+    const errors: string[] = [];
+    const a = scheduler.schedule('visitor', alice.run, 'alice').catch(e => errors.push(e.message));
+    const b = scheduler.schedule('visitor', bob.run, 'bob');
+    await tick();
+    assertEqual(scheduler.cancel('visitor', 'alice'), 1);
+    await a;
+    assert(alice.wasAborted() && !bob.wasAborted(), "Only alice's request should be aborted");
+    bob.finish('for bob');
+    assertEqual(await b, 'for bob');
+    assertEqual(errors.join(','), LLM_REQUEST_CANCELLED);
+  });
+
+  suite.test('種類ごとの同時実行数を超えては送らない', async () => {
+    const scheduler = new LLMScheduler({
+      maxConcurrent: 3, rateLimitDelay: 0, concurrency: { background: 1 },
+    });
+    const diary = deferred();
+    scheduler.schedule('background', diary.run);
+    scheduler.schedule('background', async () => '');
+    scheduler.schedule('autonomous', deferred().run);
+    await tick();
+    const stats = scheduler.getStats();
+    assertEqual(stats.running.background, 1);
+    assertEqual(stats.running.autonomous, 1);
+    assertEqual(stats.queued.background, 1);
+  });
+
+  suite.test('訪問者のために実行中の低い優先度を中断し、後でやり直す', async () => {
+    const scheduler = new LLMScheduler({ rateLimitDelay: 0 });
+    let attempts = 0;
+    const diary = scheduler.schedule('background', (signal) => {
+      attempts++;
+      if (attempts > 1) return Promise.resolve('diary');
+      return new Promise<string>((_, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    });
+    const reply = scheduler.schedule('visitor', async () => 'reply');
+    assertEqual(await reply, 'reply');
+    assertEqual(await diary, 'diary');
+    assertEqual(attempts, 2);
+    assertEqual(scheduler.getStats().preempted, 1);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// ModelRouter テスト
+// ============================================================
+
+function createModelRouterTests(): TestSuite {
+  const suite = new TestSuite('ModelRouter（用途ごとのモデル）');
+  const defaults = { model: 'gemma3', temperature: 0.7, maxTokens: 512 };
+  const context: LLMContext = {
+    currentEmotion: 'peace', emotionalIntensity: 0.5, recentThoughts: [],
+    currentActivity: null, timeOfDay: 'night', personality: [],
+  };
+
+  suite.test('サーバーにあるモデルを候補の上から選び、なければ既定に落ちる', () => {
+    const router = new ModelRouter({
+      visitor_response: { model: ['qwen2.5:7b', 'llama3'], temperature: 0.9 },
+      diary: { model: 'tiny' },
+    });
+    router.setAvailableModels(['llama3:latest', 'gemma3:latest']);
+    const visitor = router.resolve('visitor_response', defaults);
+    assertEqual(visitor.models[0], 'llama3');
+    assertEqual(visitor.temperature, 0.9);
+    assertEqual(router.resolve('diary', defaults).models[0], 'gemma3');
+    assertEqual(router.resolve('summary', defaults).models.join(','), 'gemma3');
+    assert(isModelMissingError(`model 'tiny' not found`), 'Ollama error should be detected');
+    assert(isModelMissingError('The model `tiny` does not exist'), 'OpenAI error should be detected');
+    assert(!isModelMissingError('Ollama HTTP 500: out of memory'), 'Other errors should not be');
+  });
+
+  suite.test('LLMInterfaceは用途ごとのモデルと温度で送る', async () => {
+    const backend = new ScriptedBackend({ models: ['gemma3', 'gemma3:1b'] });
+    const llm = new LLMInterface({
+      backend,
+      routes: { diary: { model: 'gemma3:1b', temperature: 0.3 } },
+    }, new SeededRandom(1));
+    await llm.expressThought('今日は雨', context);
+    await llm.expressResponseWithSeparatedPrompt('sys', 'こんにちは');
+    const [diary, reply] = backend.getRequests();
+    assertEqual(diary.model, 'gemma3:1b');
+    assertEqual(diary.temperature, 0.3);
+    assertEqual(reply.model, 'gemma3');
+    assertEqual(reply.temperature, 0.7);
+  });
+
+  suite.test('呼び出しでモデルがないと分かったら次の候補で送り直し、以後は飛ばす', async () => {
+    const backend = new ScriptedBackend({ models: ['tiny', 'small', 'gemma3'], defaultResponse: 'しずかな夜' });
+    const llm = new LLMInterface({ backend, routes: { diary: { model: ['tiny', 'small'] } } }, new SeededRandom(1));
+    // 一覧にはあるのに、呼んでみたら消えていた
+    backend.enqueue(new Error(`model 'tiny' not found`));
+    assertEqual(await llm.expressThought('夜', context), 'しずかな夜');
+    await llm.expressThought('朝', context);
+    assertEqual(backend.getRequests().map(r => r.model).join(','), 'tiny,small,small');
+    assertEqual(llm.getModelForTask('diary'), 'small');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// StructuredOutput テスト
+// ============================================================
+
+function createStructuredOutputTests(): TestSuite {
+  const suite = new TestSuite('StructuredOutput（JSON出力の検証）');
+  const context: LLMContext = {
+    currentEmotion: 'peace', emotionalIntensity: 0.5, recentThoughts: [],
+    currentActivity: null, timeOfDay: 'night', personality: [],
+  };
+
+  suite.test('スキーマで検証し、列挙にない値や必須の欠けを報告する', () => {
+    const ok = validateStructured<{ response: string; emotion: string; confidence: number }>(
+      RESPONSE_SCHEMA,
+      '```json\n{"response": "うん", "emotion": "warmth", "confidence": "0.8", "extra": 1}\n```'
+    );
+    assert(ok.ok, `Should be valid: ${ok.errors.join(', ')}`);
+    assertEqual(ok.value?.confidence, 0.8);
+    assert(!('extra' in (ok.value as object)), 'Unknown keys should be dropped');
+
+    const bad = validateStructured(UNDERSTAND_SCHEMA, '{"intent": "chat", "emotions": ["happy"], "urgency": 3}');
+    assert(!bad.ok, 'Should be invalid');
+    assert(bad.errors.some(e => e.startsWith('intent:')), 'Intent enum error expected');
+    assert(bad.errors.some(e => e.startsWith('emotions[0]:')), 'Emotion enum error expected');
+    assert(bad.errors.some(e => e.startsWith('urgency:')), 'Range error expected');
+    assertEqual(validateStructured(RESPONSE_SCHEMA, 'ごめんね').errors.length, 1);
+  });
+
+  suite.test('検証に通らなければエラーを添えて直させる', async () => {
+    const backend = new ScriptedBackend();
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    backend.enqueue(
+      '{"intent": "greeting", "emotions": ["happy"]}',
+      '{"intent": "greeting", "emotions": ["joy"], "isPersonal": false, "urgency": 0.2}'
+    );
+    const understood = await llm.understandMessage('こんにちは', context);
+    assertEqual(understood.intent, 'greeting');
+    assertEqual(understood.emotions.join(','), 'joy');
+    const requests = backend.getRequests();
+    assertEqual(requests.length, 2);
+    assert(requests[1].prompt.includes('happy'), 'Repair prompt should quote the bad value');
+    const [stats] = llm.getStructuredOutputStats();
+    assertEqual(stats.model, 'gemma3');
+    assertEqual(stats.repaired, 1);
+    assertEqual(stats.parseFailureRate, 1);
+  });
+
+  suite.test('直す回数には上限があり、通らなければフォールバックする', async () => {
+    const backend = new ScriptedBackend({ defaultResponse: 'よくわからなかった' });
+    const llm = new LLMInterface({ backend, structuredRepairs: 1 }, new SeededRandom(1));
+    const article = await llm.interpretArticle('月', '月は地球の衛星である。', []);
+    assert(article.summary.startsWith('月について読んだ'), 'Should use the fallback interpretation');
+    assertEqual(backend.getRequests().length, 2);
+    const [stats] = llm.getStructuredOutputStats();
+    assertEqual(stats.failed, 1);
+    assertEqual(stats.failureRate, 1);
+    assertEqual(stats.bySchema.article.repairAttempts, 1);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// SemanticIndex テスト
+// ============================================================
+
+function createSemanticIndexTests(): TestSuite {
+  const suite = new TestSuite('SemanticIndex（意味検索）');
+
+  suite.test('文字n-gramのベクトルは決定的で、漢字の重なる文が近くなる', () => {
+    const provider = new HashedNgramEmbeddingProvider();
+    const query = provider.embedOne('雨の日の話');
+    const norm = Math.sqrt(query.reduce((sum, v) => sum + v * v, 0));
+    assert(Math.abs(norm - 1) < 1e-9, 'Vector should be unit length');
+    assertEqual(provider.embedOne('雨の日の話').join(','), query.join(','));
+    const rainy = cosineSimilarity(query, provider.embedOne('梅雨の季節が好き'));
+    const library = cosineSimilarity(query, provider.embedOne('図書館で本を読んだ'));
+    assert(rainy > library, `梅雨 (${rainy.toFixed(3)}) should beat 図書館 (${library.toFixed(3)})`);
+  });
+
+  suite.test('同じ文は作り直さず、プロバイダが使えなければ切り替える', async () => {
+    let embedded = 0;
+    const counting: EmbeddingProvider = {
+      id: 'counting', name: 'counting',
+      embed: async texts => { embedded += texts.length; return new HashedNgramEmbeddingProvider().embed(texts); },
+    };
+    const index = new SemanticIndex(new MemoryEmbeddingStore(), counting, {}, null);
+    await index.add('concept', '梅雨', '梅雨 初夏の長い雨の季節');
+    await index.add('concept', '梅雨', '梅雨 初夏の長い雨の季節');
+    assertEqual(embedded, 1);
+    const [hit] = await index.search('雨の日の話', 'concept');
+    assertEqual(hit?.itemId, '梅雨');
+    index.remove('concept', '梅雨');
+    assertEqual((await index.search('雨の日の話', 'concept')).length, 0);
+
+    const broken: EmbeddingProvider = {
+      id: 'ollama:none', name: 'broken',
+      embed: async () => { throw new Error('connect ECONNREFUSED'); },
+    };
+    const fallback = new SemanticIndex(new MemoryEmbeddingStore(), broken);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await fallback.add('diary', '2024-06-10', '一日中雨が降っていた');
+    } finally {
+      console.warn = warn;
+    }
+    assertEqual(fallback.getProvider().id, 'ngram:256');
+    assertEqual(fallback.getStats().counts.diary, 1);
+  });
+
+  suite.test('エピソード記憶はキーワードが一致しなくても近い記憶を見つける', async () => {
+    const em = new EpisodicMemorySystem({}, new SeededRandom(7));
+    em.setSemanticIndex(new SemanticIndex(new MemoryEmbeddingStore(), new HashedNgramEmbeddingProvider()));
+    em.formMemory({
+      content: '梅雨の雨音を聴きながら眠った',
+      summary: '梅雨の夜',
+      emotionalTags: ['peace'],
+      emotionalIntensity: 0.6,
+      relatedConcepts: ['梅雨'],
+    });
+    assertEqual(em.search('雨の日の話').length, 0);
+    const results = await em.searchSimilar('雨の日の話');
+    assertEqual(results.length, 1);
+    assert(results[0].matchedCriteria.some(c => c.startsWith('similar:')), 'Should be a similarity hit');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// ResponseEvaluator テスト
+// ============================================================
+
+function createResponseEvaluatorTests(): TestSuite {
+  const suite = new TestSuite('ResponseEvaluator（返事の採点）');
+
+  suite.test('ルールの採点はsomuniaらしく発言に応えた返事を高くする', async () => {
+    const evaluator = new ResponseEvaluator(new ExpressionFilter({}, new SeededRandom(1)), null, { mode: 'rules' });
+    const input = { message: '梅雨の季節は好き？', intent: 'question' as const, wasCorrected: false };
+    const good = await evaluator.evaluate({ ...input, response: '梅雨…雨の音がずっと続くのは、ちょっと好きかな' });
+    const bad = await evaluator.evaluate({ ...input, response: 'ご質問ありがとうございます。何かお手伝いできることはありますか？' });
+    assertEqual(good.judge, 'rules');
+    assert(good.overall > bad.overall, `good ${good.overall.toFixed(2)} should beat bad ${bad.overall.toFixed(2)}`);
+    assert(good.relevance > bad.relevance, 'Topic overlap should raise relevance');
+    assert(bad.personaFidelity < 0.5, 'Assistant tone should lower persona fidelity');
+    assertEqual(evaluator.getStats().count, 2);
+  });
+
+  suite.test('LLMの採点を重み付きで総合点にする', async () => {
+    const backend = new ScriptedBackend();
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    const evaluator = new ResponseEvaluator(new ExpressionFilter({}, new SeededRandom(1)), llm, { mode: 'llm' });
+    backend.enqueue('{"personaFidelity": 0.9, "relevance": "0.8", "naturalness": 0.5, "comment": "少し唐突"}');
+    const evaluation = await evaluator.evaluate({
+      message: '今日はなにしてた？', response: 'ずっと窓の外を見てたよ…', intent: 'question', wasCorrected: false,
+    });
+    assertEqual(evaluation.judge, 'llm');
+    assertEqual(evaluation.comment, '少し唐突');
+    assertEqual(evaluation.overall.toFixed(3), ((0.9 * 0.4 + 0.8 * 0.35 + 0.5 * 0.25) / 1).toFixed(3));
+    assert(evaluator.isSuccess(evaluation), 'Should count as a successful response');
+    assertEqual(backend.getRequests()[0].model, 'gemma3');
+    assertEqual(evaluator.getStats().llmCount, 1);
+  });
+
+  suite.test('LLMの採点が使えなければルールで採点する', async () => {
+    const backend = new ScriptedBackend({ defaultResponse: 'よい返事だと思います' });
+    const llm = new LLMInterface({ backend, structuredRepairs: 0 }, new SeededRandom(1));
+    const evaluator = new ResponseEvaluator(new ExpressionFilter({}, new SeededRandom(1)), llm, { mode: 'llm' });
+    const warn = console.warn;
+    console.warn = () => {};
+    let evaluation;
+    try {
+      evaluation = await evaluator.evaluate({
+        message: 'こんにちは', response: 'あ…来てくれたんだ。うれしいな', intent: 'greeting', wasCorrected: false,
+      });
+    } finally {
+      console.warn = warn;
+    }
+    assertEqual(evaluation.judge, 'rules');
+    assertEqual(backend.getRequests().length, 1);
+    assertEqual(evaluator.getStats().llmCount, 0);
+  });
+
+  suite.test('返事の品質は採点しているときだけ昇格の条件になる', () => {
+    const patterns = {
+      getCoverage: () => 1,
+      getStats: () => ({ totalPatterns: 1000, avgSatisfaction: 1 }),
+      cullLowQuality: () => {},
+    } as any;
+    const levelAfterReview = (qualityGate: boolean) => {
+      const autonomy = new GradualAutonomy(patterns, { qualityGate });
+      autonomy.fromJSON({ currentLevel: 'llm_primary', levelEnteredAt: 0, bypassAttempts: 10, bypassSuccesses: 10 });
+      return autonomy.evaluateLevel(1000).currentLevel;
+    };
+    assertEqual(levelAfterReview(false), 'hybrid');
+    // 採点しているなら、品質のサンプルが揃うまでは上げない
+    assertEqual(levelAfterReview(true), 'llm_primary');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// VisitorSessions テスト
+// ============================================================
+
+function createVisitorSessionTests(): TestSuite {
+  const suite = new TestSuite('VisitorSessions（複数の訪問者）');
+  const createManager = () => {
+    const events = new EventBus();
+    const rng = new SeededRandom(21);
+    return new VisitorSessionManager(() => ({
+      visitor: new Visitor(events, rng),
+      relationship: new RelationshipEvolution({}, rng),
+      conversation: new ConversationEngine({}, rng),
+    }));
+  };
+
+  suite.test('訪問者ごとに訪問・関係・会話の状態を別々に持つ', () => {
+    const sessions = createManager();
+    const alice = sessions.get('alice');
+    const bob = sessions.get('bob');
+    alice.visitor.arrive(undefined, 10);
+    alice.relationship.onVisitStart(10);
+    alice.conversation.startConversation(10);
+    alice.conversation.analyzeVisitorTurn('こんにちは', 11, 'peace', []);
+    assert(!sessions.isGroup(), 'One visitor is not a group');
+    bob.visitor.arrive(undefined, 12);
+    sessions.touch('bob', 12);
+
+    assert(sessions.isGroup(), 'Two visitors present should be a group');
+    assertEqual(alice.relationship.getVisitCount(), 1);
+    assertEqual(bob.relationship.getVisitCount(), 0);
+    assertEqual(bob.conversation.getConversationContext().length, 0);
+    assertEqual(sessions.getPresent().map(s => s.visitorId).join(','), 'bob,alice');
+    assert(!sessions.getDefault().visitor.isPresent(), 'Default visitor should stay absent');
+  });
+
+  suite.test('相手が帰ったら残っている人に向き直る', () => {
+    const sessions = createManager();
+    for (const [id, tick] of [['alice', 1], ['bob', 5], ['carol', 3]] as const) {
+      sessions.get(id).visitor.arrive(undefined, tick);
+      sessions.touch(id, tick);
+    }
+    sessions.setFocus('bob');
+    assertEqual(sessions.nextFocus('bob')?.visitorId, 'carol');
+    sessions.get('bob').visitor.depart(6);
+    sessions.get('carol').visitor.depart(6);
+    assertEqual(sessions.nextFocus('carol')?.visitorId, 'alice');
+    sessions.get('alice').visitor.depart(7);
+    assertEqual(sessions.nextFocus('alice'), null);
+    assert(!sessions.isAnyonePresent(), 'Room should be empty');
+
+    const memory = new VisitorMemorySystem();
+    memory.onVisitorArrival('alice');
+    memory.processMessage('アリスって呼んで', [], [], 'surface', 1);
+    memory.onVisitorArrival('bob');
+    assertEqual(memory.getPresentVisitors().join(','), 'alice,bob');
+    assert(memory.setCurrentVisitor('alice'), 'Should switch to a present visitor');
+    assertEqual(memory.getCurrentVisitorCallName(), 'アリス');
+    assert(!memory.setCurrentVisitor('carol'), 'Absent visitor cannot be addressed');
+    memory.onVisitorDeparture(undefined, 'alice');
+    assertEqual(memory.getCurrentVisitorId(), 'bob');
+    assert(memory.isVisitorPresent(), 'Bob is still present');
+    assertEqual(memory.getCallName('alice'), 'アリス');
+  });
+
+  suite.test('既定以外の訪問者の状態を保存・復元する', () => {
+    const sessions = createManager();
+    const alice = sessions.get('alice');
+    alice.relationship.onVisitStart(1);
+    alice.relationship.onVisitStart(2);
+    sessions.getDefault().relationship.onVisitStart(3);
+    const data = JSON.parse(JSON.stringify(sessions.toJSON()));
+    assertEqual(Object.keys(data.visitors).join(','), 'alice');
+
+    const restored = createManager();
+    restored.fromJSON(data);
+    assert(restored.has('alice'), 'Alice should be restored');
+    assertEqual(restored.get('alice').relationship.getVisitCount(), 2);
+    assertEqual(restored.getDefault().relationship.getVisitCount(), 0);
+    assertEqual(DEFAULT_VISITOR_ID, 'visitor_default');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// 頼まれて忘れる テスト
+// ============================================================
+
+function createForgettingTests(): TestSuite {
+  const suite = new TestSuite('頼まれて忘れる（Forgetting）');
+
+  suite.test('「それ忘れて」を見分け、写しの中の発言を見つける', () => {
+    for (const message of ['それ忘れて', '今の忘れてください！', 'ごめん、さっきの忘れて', '聞かなかったことにして', 'Please forget that.']) {
+      assert(isForgetRequest(message), `Should be a forget request: ${message}`);
+    }
+    for (const message of ['昨日のこと忘れてた', '忘れてたけど子猫が好き', 'I forgot my keys']) {
+      assert(!isForgetRequest(message), `Should not be a forget request: ${message}`);
+    }
+    const statement = '実は先週、仕事を辞めたんだ。まだ誰にも言ってないんだけど、ずっと迷ってた';
+    assert(mentionsStatement(`会話: 「${statement.substring(0, 50)}」→「そっか...」`, statement), 'Truncated copy should match');
+    assert(!mentionsStatement('会話: 「ピアノが好き」→「そっか...」', statement), 'Other statements should not match');
+    assert(mentionsStatement('はい', 'はい') && !mentionsStatement('はいはい、そうだね', 'はい'), 'Short statements need an exact match');
+
+    const log = new StatementTraceLog();
+    const trace = { visitorId: 'a', content: 'x', responses: [], messageIds: [], memoryIds: [], concepts: [], nodeLabels: [] };
+    log.record(trace);
+    log.record({ ...trace, visitorId: 'b' });
+    assertEqual(log.latest('a'), trace);
+    log.remove(trace);
+    assertEqual(log.latest('a'), null);
+  });
+
+  suite.test('発言から聞いた事実と、IDで指定した事実を忘れる', () => {
+    const memory = new VisitorMemorySystem();
+    memory.onVisitorArrival(DEFAULT_VISITOR_ID, 'conv_1');
+    memory.processMessage('子猫が好き', [], [], 'surface', 1);
+    // ContextBridge も同じ発言を処理するので、2度処理されても1つの発言として忘れる
+    memory.processMessage('アリスって呼んで', [], [], 'surface', 2);
+    memory.processMessage('アリスって呼んで', [], [], 'surface', 2);
+    assertEqual(memory.getProfile(DEFAULT_VISITOR_ID)!.name, 'アリス');
+
+    const forgotten = memory.forgetStatement(DEFAULT_VISITOR_ID, 'アリスって呼んで');
+    assertEqual(forgotten.length, 2);
+    const profile = memory.getProfile(DEFAULT_VISITOR_ID)!;
+    assertEqual(profile.name, null);
+    assertEqual(profile.callName, null);
+    assertEqual(profile.knownFacts.map(f => f.content).join(','), '子猫が好き');
+
+    const factId = memory.getFactId(DEFAULT_VISITOR_ID, profile.knownFacts[0]);
+    assert(/^f_[0-9a-f]{8}$/.test(factId), 'Fact ids should be short hashes');
+    assertEqual(memory.forgetFact('someone_else', factId), null);
+    assertEqual(memory.forgetFact(DEFAULT_VISITOR_ID, factId)?.content, '子猫が好き');
+    assertEqual(memory.getProfile(DEFAULT_VISITOR_ID)!.knownFacts.length, 0);
+  });
+
+  suite.test('記憶・学び・会話の流れ・連想から発言を消す', () => {
+    const rng = new SeededRandom(24);
+    const statement = 'わたしの名前はアリス。誰にも言ってない秘密なんだ';
+    const episodic = new EpisodicMemorySystem({}, rng);
+    const kept = episodic.formMemory({
+      content: '会話: 「ピアノが好き」→「いいね」', summary: '訪問者と会話した',
+      emotionalTags: ['warmth'], emotionalIntensity: 0.3, relatedConcepts: ['会話'],
+    });
+    const copy = episodic.formMemory({
+      content: `会話: 「${statement.substring(0, 50)}」→「そっか」`, summary: '訪問者と会話した',
+      emotionalTags: ['warmth'], emotionalIntensity: 0.3, relatedConcepts: ['会話'],
+    });
+    const found = episodic.findByContent(text => mentionsStatement(text, statement));
+    assertEqual(found.map(m => m.id).join(','), copy.id);
+    assert(episodic.forgetMemory(copy.id) && !episodic.forgetMemory(copy.id), 'A memory is forgotten once');
+    assertEqual(episodic.getMemory(kept.id)?.id, kept.id);
+
+    const bridge = new ConversationMemoryBridge({}, rng);
+    bridge.onConversationStart();
+    bridge.processMessage('visitor', statement, null, [], 'sharing', 1);
+    bridge.processMessage('visitor', 'ピアノが好き', null, [], 'sharing', 2);
+    assert(bridge.getCurrentLearnings().length >= 2, 'Both statements should be learned');
+    bridge.forgetMessage(statement);
+    const learnings = bridge.getCurrentLearnings();
+    assert(learnings.length >= 1, 'Other learnings should be kept');
+    assert(learnings.every(l => !l.content.includes('アリス') && !l.conversationContext.includes('アリス')),
+      'No copy of the statement should remain');
+
+    const engine = new ConversationEngine({}, rng);
+    engine.startConversation(1);
+    engine.analyzeVisitorTurn(statement, 1, 'peace', []);
+    engine.forgetMessage(statement);
+    assert(engine.getConversationContext().every(c => !c.includes('アリス')), 'Conversation context should be scrubbed');
+
+    const network = new AssociativeNetwork();
+    network.ensureNode('concept', '秘密');
+    network.connect('秘密', 'わたし', 'related_to');
+    assert(network.removeNode('秘密') && network.getNodeByLabel('秘密') === null, 'Node should be removed');
+    assert(!network.removeNode('わたし'), 'The self node is never removed');
+  });
+
+  const sqliteTest = hasSqlite() ? suite.test.bind(suite) : suite.skip.bind(suite);
+
+  sqliteTest('SQLiteから発言と返事を消し、ジャーナルでは文を伏せる', async () => {
+    const { DatabaseManager } = await import('../persistence/DatabaseManager');
+    const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'somunia-forget-'));
+    const db = new DatabaseManager({ dbPath: path.join(dir, 'somunia.db') });
+    const statement = 'わたしの名前はアリス。誰にも言ってない秘密なんだ';
+    const reply = 'そっか…アリスの秘密、大事にするね';
+    try {
+      db.saveConversation({ id: 'conv_1', visitorId: 'alice', startedAt: 1 });
+      db.saveMessage({ id: 'msg_1', conversationId: 'conv_1', speaker: 'visitor', content: statement, timestamp: 1 });
+      db.saveMessage({ id: 'msg_2', conversationId: 'conv_1', speaker: 'somunia', content: reply, timestamp: 2 });
+      db.saveMessage({ id: 'msg_3', conversationId: 'conv_1', speaker: 'visitor', content: 'ピアノが好き', timestamp: 3 });
+      db.addVisitorFact('alice', { category: 'name', content: '名前はアリス', learnedAt: 1 });
+      db.addVisitorFact('alice', { category: 'preference', content: 'ピアノが好き', learnedAt: 3 });
+      db.createJournalSession({ id: 'session_1', seed: 1, startTick: 0, initialState: {} });
+      db.appendJournalEntries('session_1', [
+        { seq: 0, tick: 1, kind: 'visitor_message', type: 'message', payload: JSON.stringify({ message: statement }) },
+        { seq: 1, tick: 2, kind: 'event', type: 'speech', payload: JSON.stringify({ text: reply }) },
+        { seq: 2, tick: 3, kind: 'visitor_message', type: 'message', payload: JSON.stringify({ message: 'ピアノが好き' }) },
+      ]);
+      db.putLLMCacheEntry({ key: 'k1', model: 'm', response: reply, createdAt: 0, expiresAt: Number.MAX_SAFE_INTEGER, hits: 0, lastUsedAt: 0 });
+
+      const removed = db.forgetRecords({
+        messageIds: ['msg_1', 'msg_2'], memoryIds: [], concepts: [],
+        visitorFacts: [{ visitorId: 'alice', content: '名前はアリス' }], nodeLabels: [],
+        texts: [statement, reply],
+      });
+      assert(removed > 0, 'Forgetting should report removed rows');
+
+      assertEqual(db.getConversationMessages('conv_1').map(m => m.id).join(','), 'msg_3');
+      assertEqual(db.searchMessages('アリス').length, 0);
+      assertEqual(db.getVisitorFacts('alice').map(f => f.content).join(','), 'ピアノが好き');
+      assertEqual(db.getLLMCacheEntry('k1'), null);
+
+      // ジャーナルの行は残り（再生の順序を崩さない）、文だけが伏せられる
+      const entries = db.getJournalEntries('session_1');
+      assertEqual(entries.length, 3);
+      assert(entries.every(e => !e.payload.includes('アリス')), 'The statement and reply should be masked in the journal');
+      assertEqual(JSON.parse(entries[0].payload).message, '（忘れた）');
+      assertEqual(JSON.parse(entries[2].payload).message, 'ピアノが好き');
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  return suite;
+}
+
+// ============================================================
+// 英語の会話 テスト
+// ============================================================
+
+function createMultilingualTests(): TestSuite {
+  const suite = new TestSuite('英語の会話（LanguageDetector）');
+
+  suite.test('発言の言語を見分け、英語の規則で意図・話題・感情を読む', () => {
+    assertEqual(detectLanguage('こんにちは'), 'ja');
+    assertEqual(detectLanguage('今日はgood dayだった'), 'ja');
+    assertEqual(detectLanguage('Hello, how are you?'), 'en');
+    assertEqual(detectLanguage('...!?', 'en'), 'en');
+    assert(containsWord('Hi there', 'hi') && !containsWord('Is this yours?', 'hi'), 'English keywords match whole words');
+
+    const engine = new ConversationEngine({}, new SeededRandom(25));
+    engine.startConversation(1);
+    const hello = engine.analyzeVisitorTurn('Hello! I love the stars at night.', 1, 'peace', []);
+    assertEqual(hello.language, 'en');
+    assertEqual(hello.intent, 'greeting');
+    assert(hello.topics.includes('自然'), 'Topics should use the same category names as Japanese');
+    assert(hello.emotions.includes('warmth'), 'Emotions should be detected from English keywords');
+
+    const question = engine.analyzeVisitorTurn('Is this your room?', 2, 'peace', []);
+    assertEqual(question.intent, 'question');
+    assert(question.hasQuestion, 'Should be a question');
+    assertEqual(engine.analyzeVisitorTurn('...', 3, 'peace', []).language, 'en');
+    assertEqual(engine.analyzeVisitorTurn('ありがとう', 4, 'peace', []).language, 'ja');
+
+    const everyday = engine.analyzeVisitorTurn('I walked my dog in the park and then I made my lunch at home.', 5, 'peace', []);
+    assert(!everyday.hasSelfDisclosure, 'Ordinary sentences with "I" and "my" are not self-disclosure');
+    const secret = engine.analyzeVisitorTurn("To be honest, I've never told anyone this about my family.", 6, 'peace', []);
+    assert(secret.hasSelfDisclosure, 'Disclosure phrases should still be detected');
+  });
+
+  suite.test('英語の名乗りと事実を日本語のメモとして覚える', () => {
+    const memory = new VisitorMemorySystem();
+    memory.onVisitorArrival(DEFAULT_VISITOR_ID);
+    memory.processMessage("I'm tired today.", [], [], 'surface', 1);
+    assertEqual(memory.getProfile(DEFAULT_VISITOR_ID)!.name, null);
+    memory.processMessage('Hi! My name is Alice.', [], [], 'surface', 2);
+    assertEqual(memory.getProfile(DEFAULT_VISITOR_ID)!.name, 'Alice');
+
+    const result = memory.processMessage('I love cats because they are soft. I went to Kyoto.', [], [], 'surface', 3);
+    assertEqual(result.extractedFacts.map(f => f.content).join(','), 'catsが好き,Kyotoに行った');
+    assertEqual(memory.processMessage('I like it', [], [], 'surface', 4).extractedFacts.length, 0);
+
+    // 日本語の中に混ざった英語の名乗り
+    const mixed = new VisitorMemorySystem();
+    mixed.onVisitorArrival(DEFAULT_VISITOR_ID);
+    mixed.processMessage('こんにちは、my name is Bob', [], [], 'surface', 1);
+    assertEqual(mixed.getProfile(DEFAULT_VISITOR_ID)!.name, 'Bob');
+  });
+
+  suite.test('英語のアシスタント口調と漏れを除き、英語でフォールバックする', () => {
+    const filter = new ExpressionFilter({}, new SeededRandom(25));
+    const context = { intent: 'general' as const, emotion: 'peace' as const, userMessage: 'I saw the moon', depth: 'casual' as const, language: 'en' as const };
+    const cleaned = filter.filter('the moon was pretty... i saw it too. How can I help you today?', context);
+    assertEqual(cleaned.response, 'the moon was pretty... i saw it too.');
+    assert(cleaned.filterReasons.includes('AIアシスタント口調'), 'English assistant tone should be detected');
+
+    const leaked = filter.filter('The user said they saw the moon, per the prompt.', context);
+    assert(leaked.filterReasons.includes('フォールバック応答を使用'), 'Leaks should fall back');
+    assert(detectLanguage(leaked.response) === 'en', `Fallback should be English: ${leaked.response}`);
+    assertEqual(filter.inspectPartial('As an AI, I do not sleep').verdict, 'reject');
+
+    assert(promptTemplates.render('response/language_en').includes('英語で'), 'The language instruction should be rendered');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// 訪問者の名乗り テスト
+// ============================================================
+
+function createVisitorIdentityTests(): TestSuite {
+  const suite = new TestSuite('訪問者の名乗り（/iam・まとめ・分割）');
+  const visit = (memory: VisitorMemorySystem, visitorId: ID, sessionId: ID, messages: string[]) => {
+    memory.onVisitorArrival(visitorId, sessionId);
+    for (const message of messages) memory.processMessage(message, [], [], 'surface', 1);
+    memory.onVisitorDeparture(undefined, visitorId);
+  };
+
+  suite.test('名前で名乗ると名前ごとの訪問者になり、合言葉を確かめる', () => {
+    const memory = new VisitorMemorySystem();
+    const first = memory.identify('アリス', 'secret');
+    assert(first.ok && first.created, 'First claim should create the profile');
+    assertEqual(first.visitorId, identityVisitorId('アリス'));
+    assert(!memory.identify('アリス', 'wrong').ok, 'Wrong passphrase should be refused');
+    assert(!memory.identify('アリス').ok, 'Missing passphrase should be refused');
+    const hashed = hashPassphrase('アリス', 'secret');
+    assert(!memory.identify('アリス', hashed).ok, 'Hash typed as a passphrase should be refused');
+    const again = memory.identifyWithHash('アリス', hashed);
+    assert(again.ok && !again.created, 'Hashed passphrase (journal replay) should be accepted');
+
+    assert(memory.identify('ボブ').ok, 'Name without passphrase is open');
+    assert(memory.identify('ボブ', 'pw').ok, 'Adding a passphrase later is allowed');
+    assert(!memory.identify('ボブ').ok, 'Once set, the passphrase is required');
+    assert(!memory.identify('').ok, 'Empty name should be refused');
+  });
+
+  suite.test('名前だけで覚えていた訪問者を名乗った訪問者にまとめる', () => {
+    const memory = new VisitorMemorySystem();
+    visit(memory, DEFAULT_VISITOR_ID, 'conv_1', ['アリスって呼んで', '子猫が好き']);
+    const result = memory.identify('アリス');
+    assertEqual(result.candidates.join(','), DEFAULT_VISITOR_ID);
+    const aliceId = result.visitorId!;
+    visit(memory, aliceId, 'conv_2', ['ピアノが好き']);
+
+    const merged = memory.mergeProfiles(DEFAULT_VISITOR_ID, aliceId);
+    const facts = merged.knownFacts.map(f => f.content);
+    assert(facts.includes('子猫が好き') && facts.includes('ピアノが好き'), 'Facts from both profiles should be kept');
+    assertEqual(merged.visitCount, 2);
+    assertEqual(memory.getProfile(DEFAULT_VISITOR_ID), null);
+
+    const events = new EventBus();
+    const rng = new SeededRandom(23);
+    const sessions = new VisitorSessionManager(() => ({
+      visitor: new Visitor(events, rng),
+      relationship: new RelationshipEvolution({}, rng),
+      conversation: new ConversationEngine({}, rng),
+    }));
+    sessions.getDefault().relationship.onVisitStart(1);
+    sessions.getDefault().relationship.onVisitStart(2);
+    sessions.get(aliceId).relationship.onVisitStart(3);
+    sessions.get('carol').visitor.arrive(undefined, 4);
+    let refused = false;
+    try { sessions.merge('carol', aliceId); } catch { refused = true; }
+    assert(refused, 'A present visitor cannot be merged');
+
+    sessions.merge(DEFAULT_VISITOR_ID, aliceId);
+    assertEqual(sessions.get(aliceId).relationship.getVisitCount(), 3);
+    assertEqual(sessions.getDefault().relationship.getVisitCount(), 0);
+  });
+
+  suite.test('事実を聞いた会話ごとに確かめ、取り違えた会話を分ける', () => {
+    const memory = new VisitorMemorySystem();
+    const aliceId = memory.identify('アリス').visitorId!;
+    visit(memory, aliceId, 'conv_1', ['アリスって呼んで', '子猫が好き']);
+    visit(memory, aliceId, 'conv_2', ['ボブって呼んで', 'ピアノが好き']);
+    assertEqual(memory.getProfile(aliceId)!.name, 'ボブ');
+
+    const audit = memory.auditFacts(aliceId);
+    assertEqual(audit.map(a => a.sessionId).join(','), 'conv_1,conv_2');
+    assertEqual(audit[1].facts.map(f => f.content).join(','), '名前はボブ,ピアノが好き');
+
+    assertEqual(memory.splitProfile(aliceId, ['conv_2'], 'bob'), 2);
+    const alice = memory.getProfile(aliceId)!;
+    const bob = memory.getProfile('bob')!;
+    assertEqual(alice.name, 'アリス');
+    assertEqual(alice.knownFacts.map(f => f.content).join(','), '名前はアリス,子猫が好き');
+    assertEqual(bob.name, 'ボブ');
+    assertEqual(bob.knownFacts.every(f => f.sessionId === 'conv_2'), true);
+    assertEqual(memory.splitProfile(aliceId, ['conv_9'], 'bob'), 0);
+  });
+
+  return suite;
+}
+
+// ============================================================
+// PromptBudget テスト
+// ============================================================
+
+function createPromptBudgetTests(): TestSuite {
+  const suite = new TestSuite('PromptBudget（プロンプト予算）');
+  const sections = (): PromptSection[] => [
+    { id: 'persona', role: 'system', priority: 100, required: true, lines: ['あなたはsomunia。'] },
+    { id: 'associations', role: 'system', priority: 10, trim: 'drop', lines: ['【連想】雨、傘、紫陽花'] },
+    { id: 'facts', role: 'system', priority: 30, trim: 'last', lines: ['猫が好き', '朝が苦手'],
+      format: items => [`知っていること: ${items.join('、')}`] },
+    { id: 'exchanges', role: 'user', priority: 50, trim: 'oldest', lines: [
+      '訪問者: 昨日は海に行ったよ', 'あなた: いいなあ', '訪問者: 今日は雨だね', 'あなた: うん...',
+    ], summarize: removed => `（前: ${removed.length}行）` },
+    { id: 'message', role: 'user', priority: 100, required: true, lines: ['訪問者: こんばんは'] },
+  ];
+
+  suite.test('トークン数を推定し、モデル名の最長一致で予算を決める', () => {
+    assertEqual(estimateTokens('こんにちは'), 5);
+    assertEqual(estimateTokens('hello world!'), 3);
+    const budget = new PromptBudget({
+      defaultContextWindow: 1000, reserveTokens: 200, contextWindows: { qwen2: 4000, 'qwen2.5': 32000 },
+    });
+    assertEqual(budget.getBudget('qwen2.5:7b'), 31800);
+    assertEqual(budget.getBudget('qwen2:1.5b'), 3800);
+    assertEqual(budget.getBudget('gemma3'), 800);
+  });
+
+  suite.test('予算内なら何も削らない', () => {
+    const result = new PromptBudget().fit(sections(), 'gemma3');
+    assertEqual(result.report.trimmed.length, 0);
+    assert(result.system.includes('知っていること: 猫が好き、朝が苦手'), 'Facts should be formatted on one line');
+    assert(result.user.startsWith('訪問者: 昨日は海に行ったよ'), 'Exchanges should come first');
+  });
+
+  suite.test('優先度の低い節から削り、古いやりとりは要約する', () => {
+    const full = new PromptBudget().fit(sections(), 'm').report.estimatedBefore;
+    const budget = new PromptBudget({ defaultContextWindow: full - 22, reserveTokens: 0 });
+    const result = budget.fit(sections(), 'm');
+    assert(!result.report.overBudget, 'Result should fit the budget');
+    assert(!result.system.includes('【連想】'), 'Associations should be dropped first');
+    assert(!result.system.includes('朝が苦手'), 'Less relevant facts should be trimmed');
+    assertEqual(result.report.trimmed.map(t => t.id).join(','), 'associations,facts');
+
+    const tight = new PromptBudget({ defaultContextWindow: full - 50, reserveTokens: 0 }).fit(sections(), 'm');
+    assert(tight.user.includes('（前: '), 'Removed exchanges should be summarized');
+    assert(tight.user.includes('訪問者: こんばんは'), 'Required sections should stay');
+    assertEqual(tight.report.trimmed.find(t => t.id === 'exchanges')?.action, 'summarized');
+  });
+
+  suite.test('必須の節だけで超える場合は超過として報告する', () => {
+    const result = new PromptBudget({ defaultContextWindow: 5, reserveTokens: 0 }).fit(sections(), 'm');
+    assert(result.report.overBudget, 'Should report over budget');
+    assertEqual(result.system, 'あなたはsomunia。');
+    assertEqual(result.user, '訪問者: こんばんは');
+  });
+
+  suite.test('応答戦略のヒント・下書き・確認も予算の中で組み立てる', () => {
+    const ctx = {
+      self: { recentLearnings: [], recentDream: null },
+      moment: {
+        timeDescription: '深い夜', location: '部屋', mood: '静か', moodReason: null,
+        wasInterrupted: false, interruptedActivity: null, activityDescription: null, currentThought: null,
+      },
+      visitor: null,
+      conversationFlow: { recentExchanges: [], messageAnalysis: { language: 'ja' } },
+      associations: [],
+      guideline: { specialInstructions: [], shouldInclude: [] },
+    } as any;
+    const bridge = (budget: number) =>
+      new ContextBridge({} as any, {} as any, {} as any, { defaultContextWindow: budget, reserveTokens: 0 }, new SeededRandom(1));
+
+    const roomy = bridge(100000).buildSeparatedPrompt(ctx, 'こんばんは', '', { type: 'hint', template: '星がきれいだね' });
+    assert(roomy.user.endsWith('参考（過去に好評だった応答）: 「星がきれいだね」'), 'Hint should close the user prompt');
+    assert(roomy.promptVersion.includes('response/pattern_hint@'), 'Hint template should be in the version');
+
+    // 予算が足りなければ参考の応答から落とし、下書きは残す
+    const tight = bridge(1);
+    tight.buildSeparatedPrompt(ctx, 'こんばんは', '', { type: 'hint', template: '星がきれいだね' });
+    assert(tight.getLastBudgetReport()!.trimmed.some(t => t.id === 'pattern_hint' && t.action === 'dropped'),
+      'Hint should be trimmed by the budget');
+    const refine = tight.buildSeparatedPrompt(ctx, 'こんばんは', '', { type: 'refine', draft: 'こんばんは、月が明るいね' });
+    assert(refine.user.includes('「こんばんは、月が明るいね」'), 'Draft should be kept');
+
+    // 確認は会話全体を挟む
+    const audit = bridge(100000).buildSeparatedPrompt(ctx, 'こんばんは', '', { type: 'audit', response: 'こんばんは' });
+    assert(audit.user.startsWith('以下の応答は適切か確認して'), 'Audit should wrap the user prompt');
+    assert(audit.user.includes('元の会話:\n訪問者: こんばんは'), 'Audit should include the conversation');
+  });
+
+  return suite;
+}
+
+// ============================================================
+// PromptTemplates テスト
+// ============================================================
+
+function createPromptTemplateTests(): TestSuite {
+  const suite = new TestSuite('PromptTemplates（プロンプトテンプレート）');
+  const writeTemplate = (dir: string, name: string, version: string, body: string) => {
+    const file = path.join(dir, `${name}.txt`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `---\nversion: ${version}\ndescription: test\n---\n${body}\n`);
+  };
+
+  suite.test('変数を埋め、版をタグにまとめる', () => {
+    const dir = '/tmp/somunia-prompts-' + Date.now();
+    try {
+      writeTemplate(dir, 'diary/day', '2', 'この1日を日記に: {{data}}{{missing}}');
+      writeTemplate(dir, 'persona', '1', 'わたしはsomunia。');
+      const templates = new PromptTemplates(dir);
+      assertEqual(templates.render('diary/day', { data: '雨' }), 'この1日を日記に: 雨');
+      assertEqual(templates.versionTag(['persona', 'diary/day']), 'persona@1,diary/day@2');
+      let threw = false;
+      try { templates.render('nothing'); } catch { threw = true; }
+      assert(threw, 'Unknown template should throw');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  suite.test('reload で書き換えを反映し、壊れたファイルなら前の版を使い続ける', () => {
+    const dir = '/tmp/somunia-prompts-' + Date.now();
+    try {
+      writeTemplate(dir, 'persona', '1', '静かな声');
+      const templates = new PromptTemplates(dir);
+      assertEqual(templates.render('persona'), '静かな声');
+
+      writeTemplate(dir, 'persona', '2', '柔らかい声');
+      const result = templates.reload();
+      assertEqual(result.changed.join(','), 'persona');
+      assertEqual(templates.render('persona'), '柔らかい声');
+
+      fs.writeFileSync(path.join(dir, 'broken.txt'), 'front matter なし');
+      let threw = false;
+      try { templates.reload(); } catch { threw = true; }
+      assert(threw, 'Broken template should fail the reload');
+      assertEqual(templates.version('persona'), '2');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  suite.test('同梱のテンプレートがすべて読め、LLMへの文面に使われる', async () => {
+    const names = promptTemplates.list().map(t => t.name);
+    for (const name of ['llm/personality', 'response/persona', 'response/instruction', 'speech/autonomous_user', 'diary/day']) {
+      assert(names.includes(name), `Missing template ${name}`);
+    }
+    const backend = new ScriptedBackend({ defaultResponse: 'まとめ' });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    await llm.summarize('長い文章', 20);
+    const request = backend.getRequests()[0];
+    assertEqual(request.prompt, promptTemplates.render('llm/summarize', { maxLength: 20, text: '長い文章' }));
+    assertEqual(request.systemPrompt, promptTemplates.render('llm/summarize_system'));
+  });
+
+  return suite;
+}
+
+// ============================================================
+// ストリーミング応答 テスト
+// ============================================================
+
+function createSpeechStreamTests(): TestSuite {
+  const suite = new TestSuite('SpeechStream（ストリーミング応答）');
+  const recordingSink = () => {
+    const log = { begun: 0, text: '', retracted: 0 };
+    const sink: SpeechStreamSink = {
+      beginSpeechStream: () => { log.begun++; },
+      appendSpeechStream: (text) => { log.text += text; },
+      retractSpeechStream: () => { log.retracted++; },
+    };
+    return { log, sink };
+  };
+
+  suite.test('LLMInterfaceは断片を順に渡し、つなげると応答になる', async () => {
+    const backend = new ScriptedBackend({ defaultResponse: 'somunia: 窓の外、雨の音がするね', chunkSize: 3 });
+    const llm = new LLMInterface({ backend }, new SeededRandom(1));
+    const tokens: string[] = [];
+    const result = await llm.expressResponseWithSeparatedPrompt('sys', 'こんにちは', { onToken: t => tokens.push(t) });
+    assert(tokens.length > 1, 'Response should arrive in several chunks');
+    assertEqual(tokens.join(''), 'somunia: 窓の外、雨の音がするね');
+    assertEqual(result, '窓の外、雨の音がするね');
+    assert(llm.supportsStreaming(), 'Scripted backend should support streaming');
+  });
+
+  suite.test('各サーバーのストリーム形式から断片を取り出す', () => {
+    assertEqual(parseOllamaStreamLine('{"message":{"content":"あめ"},"done":false}'), 'あめ');
+    assertEqual(parseOllamaStreamLine('{"done":true}'), '');
+    assertEqual(parseOpenAIStreamLine('data: {"choices":[{"delta":{"content":"ゆき"}}]}'), 'ゆき');
+    assertEqual(parseOpenAIStreamLine('data: [DONE]'), '');
+    assertEqual(parseOpenAIStreamLine(': keep-alive'), '');
+    let threw = false;
+    try { parseOllamaStreamLine('{"error":"model not found"}'); } catch { threw = true; }
+    assert(threw, 'Error lines should throw');
+  });
+
+  suite.test('途中検査は冒頭を溜め、復唱と内部メッセージを見つける', () => {
+    const filter = new ExpressionFilter({}, new SeededRandom(1));
+    assertEqual(filter.inspectPartial('(微笑ん').verdict, 'hold');
+    assertEqual(filter.inspectPartial('うん').verdict, 'hold');
+    const shown = filter.inspectPartial('(微笑んで) うん、今日は静かな日だね」');
+    assertEqual(shown.verdict, 'show');
+    assertEqual(shown.text, 'うん、今日は静かな日だね');
+    assertEqual(filter.inspectPartial('【今のわたし】気分は静かで穏やか').verdict, 'reject');
+    assertEqual(filter.inspectPartial('うん。LLMとして答えると').verdict, 'reject');
+  });
+
+  suite.test('問題が途中で見つかったら表示を取り消す', () => {
+    const filter = new ExpressionFilter({}, new SeededRandom(1));
+    const ok = recordingSink();
+    const stream = new SpeechStream(filter, ok.sink);
+    for (const token of ['そう', 'だね。', '星が', 'きれい']) stream.onToken(token);
+    assertEqual(ok.log.begun, 1);
+    assertEqual(ok.log.text, 'そうだね。星がきれい');
+    assert(stream.isShowing(), 'Clean stream should stay on screen');
+
+    const leak = recordingSink();
+    const leaking = new SpeechStream(filter, leak.sink);
+    for (const token of ['そうだね。', 'プロンプト', 'によると']) leaking.onToken(token);
+    assertEqual(leak.log.retracted, 1);
+    assert(!leaking.isShowing(), 'Leaking stream should be retracted');
+    assertEqual(leaking.getRejection(), '内部メッセージの漏れ');
+  });
+
+  suite.test('返事ごと捨てると表示済みの分を消し、続きも出さない', () => {
+    const filter = new ExpressionFilter({}, new SeededRandom(1));
+    const stale = recordingSink();
+    const stream = new SpeechStream(filter, stale.sink);
+    for (const token of ['そう', 'だね。', '星が']) stream.onToken(token);
+    stream.cancel();
+    stream.onToken('きれい');
+    stream.cancel();
+    assertEqual(stale.log.retracted, 1);
+    assertEqual(stale.log.text, 'そうだね。星が');
+    assert(!stream.isShowing(), 'Cancelled stream should not be showing');
+
+    // まだ表示を始めていなければ、消すものはない
+    const quiet = recordingSink();
+    new SpeechStream(filter, quiet.sink).cancel();
+    assertEqual(quiet.log.retracted, 0);
+  });
+
   return suite;
 }
 
@@ -412,13 +2381,13 @@ function createPersistenceTests(): TestSuite {
 
   suite.test('初期化が正常', () => {
     const events = new EventBus();
-    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test-' + Date.now() }, events);
+    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test-' + Date.now() }, events, new SeededRandom(1));
     assertDefined(p);
   });
 
   suite.test('モジュール登録', () => {
     const events = new EventBus();
-    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test2-' + Date.now() }, events);
+    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test2-' + Date.now() }, events, new SeededRandom(1));
     p.registerModule('test', { toJSON: () => ({ v: 1 }), fromJSON: () => {} });
     // エラーが出なければOK
   });
@@ -426,7 +2395,7 @@ function createPersistenceTests(): TestSuite {
   suite.test('保存/読み込み', async () => {
     const dir = '/tmp/somunia-test3-' + Date.now();
     const events = new EventBus();
-    const p = new PersistenceV2({ dataDir: dir }, events);
+    const p = new PersistenceV2({ dataDir: dir }, events, new SeededRandom(1));
     const data = { value: 42 };
     let loadedData: any = null;
     p.registerModule('test', {
@@ -448,7 +2417,7 @@ function createPersistenceTests(): TestSuite {
 
   suite.test('ストレージ情報', () => {
     const events = new EventBus();
-    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test4-' + Date.now() }, events);
+    const p = new PersistenceV2({ dataDir: '/tmp/somunia-test4-' + Date.now() }, events, new SeededRandom(1));
     const info = p.getStorageInfo();
     assertDefined(info);
     assertDefined(info.formattedSize);
@@ -466,26 +2435,26 @@ function createWikiAPITests(): TestSuite {
   const suite = new TestSuite('WikipediaAPI（Wikipedia接続）');
 
   suite.test('初期化が正常', () => {
-    const api = new WikipediaAPI({ offlineMode: true });
+    const api = new WikipediaAPI({ offlineMode: true }, new SeededRandom(1));
     assertDefined(api);
   });
 
   suite.test('オフライン検索はエラーにならない', async () => {
-    const api = new WikipediaAPI({ offlineMode: true });
+    const api = new WikipediaAPI({ offlineMode: true }, new SeededRandom(1));
     const results = await api.search('テスト');
     assertDefined(results);
     assert(Array.isArray(results), 'Results should be array');
   });
 
   suite.test('ステータス取得', () => {
-    const api = new WikipediaAPI({ offlineMode: true });
+    const api = new WikipediaAPI({ offlineMode: true }, new SeededRandom(1));
     const status = api.getStatus();
     assertDefined(status);
     assertEqual(status.isOnline, false);
   });
 
   suite.test('オフラインモード切替', () => {
-    const api = new WikipediaAPI({ offlineMode: true });
+    const api = new WikipediaAPI({ offlineMode: true }, new SeededRandom(1));
     api.setOfflineMode(false);
     assertEqual(api.getStatus().isOnline, true);
     api.setOfflineMode(true);
@@ -493,7 +2462,7 @@ function createWikiAPITests(): TestSuite {
   });
 
   suite.test('シリアライズ', () => {
-    const api = new WikipediaAPI({ offlineMode: true });
+    const api = new WikipediaAPI({ offlineMode: true }, new SeededRandom(1));
     const json = api.toJSON();
     assertDefined(json);
     api.fromJSON(json);
@@ -510,34 +2479,34 @@ function createWikiLearnerTests(): TestSuite {
   const suite = new TestSuite('WikipediaLearner（Wikipedia学習）');
 
   suite.test('初期記事データベースが存在する', () => {
-    const wl = new WikipediaLearner();
+    const wl = new WikipediaLearner({}, new SeededRandom(1));
     const article = wl.getArticle('音楽');
     assertDefined(article);
     assertEqual(article!.title, '音楽');
   });
 
   suite.test('記事検索', () => {
-    const wl = new WikipediaLearner();
+    const wl = new WikipediaLearner({}, new SeededRandom(1));
     const results = wl.searchArticles('詩');
     assert(results.length > 0, 'Should find articles about poetry');
   });
 
   suite.test('探索セッション開始', () => {
-    const wl = new WikipediaLearner();
+    const wl = new WikipediaLearner({}, new SeededRandom(1));
     const session = wl.startExploration({ type: 'curiosity', intensity: 0.7 });
     assertDefined(session);
     assertDefined(session.id);
   });
 
   suite.test('APIステータス取得', () => {
-    const wl = new WikipediaLearner();
+    const wl = new WikipediaLearner({}, new SeededRandom(1));
     const status = wl.getAPIStatus();
     assertDefined(status);
     assertDefined(status.totalRequests);
   });
 
   suite.test('シリアライズ', () => {
-    const wl = new WikipediaLearner();
+    const wl = new WikipediaLearner({}, new SeededRandom(1));
     const data = wl.serialize();
     assertDefined(data);
   });
@@ -554,33 +2523,33 @@ function createIntegrationTests(): TestSuite {
 
   suite.test('全モジュールが独立して初期化可能', () => {
     assertDefined(new Homeostasis());
-    assertDefined(new UrgeSystem());
-    assertDefined(new EmotionEngine());
-    assertDefined(new PatternLibrary());
-    assertDefined(new YuragiSystem());
-    assertDefined(new Yuragi());
-    assertDefined(new EpisodicMemorySystem());
-    assertDefined(new SemanticMemorySystem());
-    assertDefined(new BehaviorEngine());
-    assertDefined(new TimeManager());
-    assertDefined(new WikipediaLearner());
-    assertDefined(new WikipediaAPI({ offlineMode: true }));
-    assertDefined(new PersistenceV2({ dataDir: '/tmp/somunia-integ-' + Date.now() }, new EventBus()));
+    assertDefined(new UrgeSystem({}, new SeededRandom(1)));
+    assertDefined(new EmotionEngine({}, new SeededRandom(1)));
+    assertDefined(new PatternLibrary({}, new SeededRandom(1)));
+    assertDefined(new YuragiSystem({}, new SeededRandom(1)));
+    assertDefined(new Yuragi(new SeededRandom(1)));
+    assertDefined(new EpisodicMemorySystem({}, new SeededRandom(1)));
+    assertDefined(new SemanticMemorySystem({}, new SeededRandom(1)));
+    assertDefined(new BehaviorEngine(new EventBus(), new SeededRandom(1)));
+    assertDefined(new TimeManager({}, new EventBus(), new SeededRandom(1)));
+    assertDefined(new WikipediaLearner({}, new SeededRandom(1)));
+    assertDefined(new WikipediaAPI({ offlineMode: true }, new SeededRandom(1)));
+    assertDefined(new PersistenceV2({ dataDir: '/tmp/somunia-integ-' + Date.now() }, new EventBus(), new SeededRandom(1)));
   });
 
   suite.test('感情→行動の連鎖', () => {
-    const emotion = new EmotionEngine();
+    const emotion = new EmotionEngine({}, new SeededRandom(1));
     emotion.update(1, 'afternoon');
     const state = emotion.getState();
     assertDefined(state.primary);
     
-    const behavior = new BehaviorEngine();
+    const behavior = new BehaviorEngine(new EventBus(), new SeededRandom(1));
     assertDefined(behavior);
   });
 
   suite.test('記憶の形成→検索→シリアライズの一貫性', () => {
-    const em = new EpisodicMemorySystem();
-    const sm = new SemanticMemorySystem();
+    const em = new EpisodicMemorySystem({}, new SeededRandom(1));
+    const sm = new SemanticMemorySystem({}, new SeededRandom(1));
 
     em.formMemory({
       content: '夜空に輝く星を見つけた',
@@ -602,14 +2571,14 @@ function createIntegrationTests(): TestSuite {
     assertDefined(emJson);
     assertDefined(smJson);
 
-    const restoredEm = EpisodicMemorySystem.fromJSON(emJson);
+    const restoredEm = EpisodicMemorySystem.fromJSON(emJson, new SeededRandom(1));
     assert(restoredEm.getMemoryCount() > 0, 'Restored should have memories');
   });
 
   suite.test('PersistenceV2の複数モジュール保存/復元', async () => {
     const dir = '/tmp/somunia-integ2-' + Date.now();
     const events = new EventBus();
-    const p = new PersistenceV2({ dataDir: dir }, events);
+    const p = new PersistenceV2({ dataDir: dir }, events, new SeededRandom(1));
     
     const moduleA = { data: { name: 'A', value: 1 }, toJSON() { return this.data; }, fromJSON(d: any) { this.data = d; } };
     const moduleB = { data: { name: 'B', value: 2 }, toJSON() { return this.data; }, fromJSON(d: any) { this.data = d; } };
@@ -644,10 +2613,33 @@ export async function runAllTests(): Promise<TestSuiteResult[]> {
     createEmotionTests(),
     createPatternTests(),
     createYuragiTests(),
+    createSeededRandomTests(),
+    createEventJournalTests(),
+    createReplayTests(),
+    createModuleRegistryTests(),
+    createTickProfilerTests(),
     createEpisodicMemoryTests(),
     createSemanticMemoryTests(),
     createBehaviorTests(),
     createTimeTests(),
+    createCalendarTests(),
+    createLifeCycleTests(),
+    createRelationshipAbsenceTests(),
+    createRelationshipStrainTests(),
+    createLLMBackendTests(),
+    createSpeechStreamTests(),
+    createLLMCacheTests(),
+    createLLMSchedulerTests(),
+    createModelRouterTests(),
+    createStructuredOutputTests(),
+    createSemanticIndexTests(),
+    createResponseEvaluatorTests(),
+    createVisitorSessionTests(),
+    createVisitorIdentityTests(),
+    createForgettingTests(),
+    createMultilingualTests(),
+    createPromptBudgetTests(),
+    createPromptTemplateTests(),
     createPersistenceTests(),
     createWikiAPITests(),
     createWikiLearnerTests(),
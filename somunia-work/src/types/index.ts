@@ -1151,6 +1151,39 @@ export type TimeOfDay =
   | 'night'         // 夜
   | 'late_night';   // 深夜
 
+/** 季節 */
+export type Season = 'spring' | 'summer' | 'autumn' | 'winter';
+
+/** 行事・祝日 */
+export interface Holiday {
+  id: string;
+  name: string;
+  month: number;  // 1-12
+  day: number;
+  /** 複数日にわたる場合の最終日（同じ月） */
+  endDay?: number;
+}
+
+/**
+ * 暦の上の日付
+ */
+export interface CalendarDate {
+  year: number;
+  month: number;  // 1-12
+  day: number;
+  /** 年初からの日数（1始まり） */
+  dayOfYear: number;
+  /** 曜日（0=日曜） */
+  weekday: number;
+  season: Season;
+  holiday: Holiday | null;
+  /** 梅雨の時期か */
+  isRainySeason: boolean;
+  /** 日の出・日の入りの時刻（時） */
+  sunrise: number;
+  sunset: number;
+}
+
 /**
  * シミュレーション時間の状態
  */
@@ -1169,6 +1202,9 @@ export interface TimeState {
   // 時間帯
   timeOfDay: TimeOfDay;
   
+  // 暦（月・季節・行事）
+  calendar?: CalendarDate;
+  
   // 分（オプション）
   minute?: number;
   
@@ -1180,6 +1216,14 @@ export interface TimeState {
   };
 }
 
+/** 人生の段階（寿命が有効な場合、残り寿命の割合から決まる） */
+export type LifeStage =
+  | 'childhood'   // 幼年期
+  | 'youth'       // 青年期
+  | 'maturity'    // 成熟期
+  | 'twilight'    // 晩年
+  | 'final';      // 最期の日々
+
 // ============================================================
 // 訪問者システム
 // ============================================================
@@ -1421,6 +1465,15 @@ export type SoulEventType =
   | 'state_saved'
   | 'state_loaded'
   
+  // モジュールの障害隔離
+  | 'module_error'
+  | 'module_suspended'
+  | 'module_recovered'
+  
+  // 寿命
+  | 'life_stage_changed'
+  | 'life_ended'
+  
   // 自己修正
   | 'self_modification';
 
@@ -1659,8 +1712,13 @@ export interface TurnAnalysis {
   seeksEmpathy: boolean;
   /** 情報を求めているか */
   seeksInformation: boolean;
+  /** 発言の言語 */
+  language: ConversationLanguage;
 }
 
+/** 会話の言語（日本語のほかは英語に対応） */
+export type ConversationLanguage = 'ja' | 'en';
+
 export type ConversationIntent = 
   | 'greeting'         // 挨拶
   | 'farewell'         // 別れ
@@ -2069,6 +2127,12 @@ export interface VisitorProfile {
     importance: Normalized;
     timestamp: Timestamp;
   }>;
+  /** /iam で名乗った訪問者（名前から決まるIDのプロファイル）。名前検出だけの訪問者にはない */
+  identity?: {
+    claimedAt: Timestamp;
+    /** 合言葉のハッシュ（合言葉なしならnull） */
+    passphraseHash: string | null;
+  };
 }
 
 /** 訪問者について知っている事実 */
@@ -2078,6 +2142,8 @@ export interface VisitorFact {
   confidence: Normalized;
   learnedAt: Timestamp;
   source: 'direct_statement' | 'inferred' | 'observed';
+  /** 聞いた会話のID（conversations テーブル。記録していない会話ならなし） */
+  sessionId?: ID;
 }
 
 // --- 7D: ContextBridge ---
@@ -2094,6 +2160,10 @@ export interface RichResponseContext {
   conversationFlow: ConversationFlowContext;
   /** 連想された記憶・概念 */
   associations: string[];
+  /** 発言と意味の近い記憶（SemanticIndex で思い出したもの） */
+  recalledMemories?: string[];
+  /** 部屋にいる、話しかけている相手以外の訪問者の呼び名 */
+  otherVisitors?: string[];
   /** 応答の指針 */
   guideline: ResponseGuideline;
 }
@@ -2139,6 +2209,8 @@ export interface ConversationFlowContext {
     topics: string[];
     hasNameIntroduction: boolean;
     extractedName: string | null;
+    /** 発言の言語 */
+    language: ConversationLanguage;
   };
 }
 
@@ -2263,4 +2335,6 @@ export interface ExpressionFilterConfig {
   minResponseLength: number;
   /** 最大保持応答数（履歴） */
   maxHistorySize: number;
+  /** ストリーミング時、表示を始める前に溜める文字数（冒頭の復唱を見極めるため） */
+  streamHoldLength: number;
 }
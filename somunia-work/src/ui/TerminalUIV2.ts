@@ -16,6 +16,7 @@
  * - コマンド補完（Tab）
  * - 出力フィルタリング（ノイズ除去）
  * - ログファイル出力
+ * - 会話モードでの発話のストリーミング表示（途中で取り消して言い直せる）
  */
 
 import * as readline from 'readline';
@@ -29,6 +30,7 @@ import {
   ThoughtNode,
 } from '../types';
 import { EventBus, eventBus } from '../core/EventBus';
+import { DurationStats, ProfileReport } from '../core/TickProfiler';
 
 // ============================================================
 // 定数
@@ -109,6 +111,8 @@ export interface TerminalUIV2Config {
   compact: boolean;
   /** 表示の最大バッファ行数 */
   maxBufferLines: number;
+  /** 会話モードで発話を生成しながら表示する */
+  streamSpeech: boolean;
 }
 
 const DEFAULT_UI_CONFIG: TerminalUIV2Config = {
@@ -122,8 +126,23 @@ const DEFAULT_UI_CONFIG: TerminalUIV2Config = {
   showLearning: true,
   compact: false,
   maxBufferLines: 500,
+  streamSpeech: true,
 };
 
+/** 発話の2行目以降のインデント（"  somunia: " と同じ幅） */
+const SPEECH_INDENT = '           ';
+
+/**
+ * 端末上の表示幅（全角文字は2桁として数える）
+ */
+function displayWidth(text: string): number {
+  let width = 0;
+  for (const ch of text.replace(/\x1b\[[0-9;]*m/g, '')) {
+    width += (ch.codePointAt(0) ?? 0) >= 0x1100 ? 2 : 1;
+  }
+  return width;
+}
+
 // ============================================================
 // TerminalUIV2
 // ============================================================
@@ -134,9 +153,12 @@ export class TerminalUIV2 {
   private config: TerminalUIV2Config;
   private onMessage: ((message: string) => void) | null = null;
   private onCommand: ((command: string, args: string[]) => void) | null = null;
+  private moduleCommands: Array<{ module: string; name: string; description: string }> = [];
   private statusBarTimer: NodeJS.Timeout | null = null;
   private logStream: fs.WriteStream | null = null;
   private outputBuffer: string[] = [];
+  /** ストリーミング表示中の発話（表示済みの本文） */
+  private speechStream: { text: string } | null = null;
 
   // ダッシュボード用の最新データ
   private latestStatus: {
@@ -229,23 +251,104 @@ export class TerminalUIV2 {
     this.onCommand = handler;
   }
 
+  /** モジュールが提供するコマンド（ヘルプ表示用） */
+  setModuleCommands(commands: Array<{ module: string; name: string; description: string }>): void {
+    this.moduleCommands = commands;
+  }
+
   // ============================================================
   // 表示メソッド
   // ============================================================
 
   showSpeech(content: string): void {
+    // 取り消された応答のストリーミング表示が残っていれば消す
+    if (this.speechStream) this.retractSpeechStream();
     this.displayStats.speechesShown++;
+    this.println('');
+    for (const line of this.formatSpeech(content)) {
+      this.println(line);
+    }
+  }
+
+  private formatSpeech(content: string): string[] {
     const cleaned = content.replace(/^[「『"']|[」』"']$/g, '').trim();
     const lines = cleaned.split('\n').filter(l => l.trim().length > 0);
-    this.println('');
     if (lines.length <= 1) {
-      this.println(`  ${C.bright}${C.cyan}somunia${C.reset}${C.dim}:${C.reset} ${cleaned}`);
-    } else {
-      // 最初の行は somunia: 付き、以降はインデント
-      this.println(`  ${C.bright}${C.cyan}somunia${C.reset}${C.dim}:${C.reset} ${lines[0]}`);
-      for (let i = 1; i < lines.length; i++) {
-        this.println(`           ${lines[i]}`);
-      }
+      return [`  ${C.bright}${C.cyan}somunia${C.reset}${C.dim}:${C.reset} ${cleaned}`];
+    }
+    // 最初の行は somunia: 付き、以降はインデント
+    return [
+      `  ${C.bright}${C.cyan}somunia${C.reset}${C.dim}:${C.reset} ${lines[0]}`,
+      ...lines.slice(1).map(line => `${SPEECH_INDENT}${line}`),
+    ];
+  }
+
+  // ============================================================
+  // 発話のストリーミング表示
+  // ============================================================
+
+  /**
+   * ストリーミング表示を使うか（会話モード、かつ端末に出力しているときだけ）
+   */
+  canStreamSpeech(): boolean {
+    return this.config.streamSpeech && this.config.mode === 'conversation' && !!process.stdout.isTTY;
+  }
+
+  beginSpeechStream(): void {
+    if (this.speechStream) this.retractSpeechStream();
+    this.speechStream = { text: '' };
+    process.stdout.write(`\n  ${C.bright}${C.cyan}somunia${C.reset}${C.dim}:${C.reset} `);
+  }
+
+  appendSpeechStream(text: string): void {
+    if (!this.speechStream) return;
+    this.speechStream.text += text;
+    process.stdout.write(text.replace(/\n/g, `\n${SPEECH_INDENT}`));
+  }
+
+  /**
+   * 表示中の発話を消す（空行と somunia: の行から消し、カーソルを元の位置に戻す）
+   */
+  retractSpeechStream(): void {
+    const stream = this.speechStream;
+    if (!stream) return;
+    this.speechStream = null;
+
+    const columns = process.stdout.columns || 80;
+    const rows = stream.text.split('\n').reduce((sum, line) => {
+      const width = SPEECH_INDENT.length + displayWidth(line);
+      return sum + Math.max(1, Math.ceil(width / columns));
+    }, 0);
+    readline.moveCursor(process.stdout, 0, -rows);
+    readline.cursorTo(process.stdout, 0);
+    readline.clearScreenDown(process.stdout);
+  }
+
+  /**
+   * ストリーミング表示を確定する
+   * 確定版（フィルタ・検証後の応答）が表示済みの内容と違えば、消して出し直す
+   */
+  finishSpeechStream(content: string): void {
+    const stream = this.speechStream;
+    if (!stream) {
+      this.showSpeech(content);
+      return;
+    }
+
+    const lines = this.formatSpeech(content);
+    const shownLines = this.formatSpeech(stream.text);
+    if (lines.join('\n') !== shownLines.join('\n')) {
+      this.retractSpeechStream();
+      this.showSpeech(content);
+      return;
+    }
+
+    this.speechStream = null;
+    this.displayStats.speechesShown++;
+    process.stdout.write('\n');
+    this.record('');
+    for (const line of lines) {
+      this.record(line);
     }
   }
 
@@ -359,6 +462,7 @@ export class TerminalUIV2 {
     for (const mod of data.modules) {
       const statusIcon = mod.status === 'active' ? `${C.green}●${C.reset}` 
         : mod.status === 'sleeping' ? `${C.blue}◑${C.reset}` 
+        : mod.status === 'error' ? `${C.red}✕${C.reset}`
         : `${C.gray}○${C.reset}`;
       this.println(`  ${C.cyan}║${C.reset}  ${statusIcon} ${C.bright}${mod.name.padEnd(20)}${C.reset} ${C.dim}${mod.detail}${C.reset}`);
     }
@@ -367,6 +471,33 @@ export class TerminalUIV2 {
     this.println('');
   }
 
+  /**
+   * ティックプロファイル表示（段階ごとの所要時間、p95降順）
+   */
+  showProfile(report: ProfileReport): void {
+    const ms = (v: number) => v.toFixed(1).padStart(7);
+    this.println(`\n  ${C.cyan}⏱ ティックプロファイル${C.reset} ${C.dim}(直近のサンプル, ms)${C.reset}`);
+    if (report.tick.count === 0) {
+      this.println(`  ${C.dim}└${C.reset} まだ計測されたティックがありません`);
+      return;
+    }
+    this.println(`  ${C.dim}${'stage'.padEnd(20)}   count    mean     p50     p95     p99     max${C.reset}`);
+    const row = (s: DurationStats, color: string) => {
+      this.println(`  ${color}${s.name.padEnd(20)}${C.reset} ${String(s.count).padStart(7)} ${ms(s.mean)} ${ms(s.p50)} ${ms(s.p95)} ${ms(s.p99)} ${ms(s.max)}`);
+    };
+    row(report.tick, C.bright);
+    for (const stage of report.stages) {
+      row(stage, stage.p95 > report.slowTickMs / 2 ? C.yellow : '');
+    }
+    this.println(`  ${C.dim}├${C.reset} 遅いティック（>${report.slowTickMs}ms）: ${report.slowTickCount}`);
+    const recent = report.slowTicks.slice(-5);
+    recent.forEach((slow, i) => {
+      const branch = i === recent.length - 1 ? '└' : '├';
+      const stages = slow.topStages.map(s => `${s.name} ${s.durationMs.toFixed(0)}ms`).join(', ');
+      this.println(`  ${C.dim}${branch}${C.reset} #${slow.tick} ${slow.durationMs.toFixed(0)}ms ${C.dim}${stages}${C.reset}`);
+    });
+  }
+
   /**
    * Phase 6C: Wikipedia API ステータス表示
    */
@@ -457,6 +588,11 @@ export class TerminalUIV2 {
 
   private println(text: string): void {
     console.log(text);
+    this.record(text);
+  }
+
+  /** バッファとログファイルへの記録（画面への出力は呼び出し側） */
+  private record(text: string): void {
     this.outputBuffer.push(text);
     if (this.outputBuffer.length > this.config.maxBufferLines) {
       this.outputBuffer.shift();
@@ -596,7 +732,14 @@ export class TerminalUIV2 {
   ${C.bright}/relationship${C.reset}${C.dim} (/rel)${C.reset}  関係性統計
   ${C.bright}/narrative${C.reset}        ナラティブ統計
   ${C.bright}/conversation${C.reset}${C.dim} (/conv)${C.reset} 会話統計
-  ${C.bright}/bye${C.reset}              訪問者退出
+  ${C.bright}/bye${C.reset} [id]         訪問者退出（省略時は入力中の訪問者）
+  ${C.bright}/visitor${C.reset} [id]     入力する訪問者を切り替え（省略時は部屋にいる人）
+  ${C.bright}/iam${C.reset} <名前> [合言葉] 名乗る（名前ごとの訪問者になる）
+  ${C.bright}/visitor audit${C.reset} [id] 知っていることを聞いた会話ごとに表示
+  ${C.bright}/visitor merge${C.reset} <from> <into> 同じ人だった訪問者をまとめる
+  ${C.bright}/visitor split${C.reset} <id> <会話ID> <新ID> 会話で聞いたことを別の訪問者に分ける
+  ${C.bright}/forget last${C.reset}      直前の発言を忘れてもらう（「それ忘れて」でも同じ）
+  ${C.bright}/forget fact${C.reset} <id> 聞いた事実を忘れてもらう（IDは /visitor audit）
 
   ${C.bright}Phase 6${C.reset}
   ${C.bright}/wiki${C.reset}             Wikipedia APIステータス
@@ -605,11 +748,23 @@ export class TerminalUIV2 {
   ${C.bright}/test${C.reset}             テスト実行
   ${C.bright}/dashboard${C.reset}${C.dim} (/dash)${C.reset} ダッシュボード表示
   ${C.bright}/export${C.reset}           データエクスポート
+  ${C.bright}/modules${C.reset}${C.dim} (/mod)${C.reset}  モジュール一覧・有効/無効切替
+  ${C.bright}/profile${C.reset}${C.dim} (/prof)${C.reset} 段階ごとのティック所要時間
+  ${C.bright}/llmcache${C.reset}         LLM応答キャッシュの統計（clear で消去）
+  ${C.bright}/prompts${C.reset}          プロンプトテンプレートの版（reload で読み直し）
 
   ${C.bright}記憶・学習${C.reset}
   ${C.bright}/memory${C.reset}           記憶の統計
   ${C.bright}/diary${C.reset}            最近の日記
+  ${C.bright}/recall${C.reset} <文>      意味の近い記憶・知識・日記を探す
 `);
+    if (this.moduleCommands.length > 0) {
+      this.println(`  ${C.bright}モジュール${C.reset}`);
+      for (const cmd of this.moduleCommands) {
+        this.println(`  ${C.bright}/${cmd.name.padEnd(16)}${C.reset} ${cmd.description} ${C.dim}(${cmd.module})${C.reset}`);
+      }
+      this.println('');
+    }
   }
 
   private showUIStats(): void {
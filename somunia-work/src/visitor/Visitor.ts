@@ -22,6 +22,8 @@ import {
 } from '../types';
 import { v4 as uuidv4 } from 'uuid';
 import { EventBus, eventBus } from '../core/EventBus';
+import { SeededRandom } from '../core/SeededRandom';
+import { mentionsStatement } from '../memory/Forgetting';
 
 // ============================================================
 // 応答パターン（コードで定義）
@@ -156,8 +158,11 @@ export class Visitor {
   private state: VisitorState;
   private events: EventBus;
 
-  constructor(events?: EventBus) {
-    this.events = events || eventBus;
+  private rng: SeededRandom;
+
+  constructor(events: EventBus = eventBus, rng: SeededRandom) {
+    this.rng = rng;
+    this.events = events;
     this.state = {
       isPresent: false,
       name: null,
@@ -303,7 +308,7 @@ export class Visitor {
 
     const selected = matching[0] || RESPONSE_PATTERNS[RESPONSE_PATTERNS.length - 1];
     const seed = selected.responseSeed[
-      Math.floor(Math.random() * selected.responseSeed.length)
+      Math.floor(this.rng.next() * selected.responseSeed.length)
     ];
 
     // トピックを会話に追加
@@ -384,6 +389,39 @@ export class Visitor {
   getName(): string | null { return this.state.name; }
   getConversation(): Conversation | null { return this.state.currentConversation; }
 
+  // === 統合 ===
+
+  /**
+   * 同じ人だと分かった別の訪問者の記録を取り込む（訪問履歴はつなげ、関係は高いほう）
+   */
+  absorb(other: Visitor): void {
+    const state = other.state;
+    if (!this.state.name) this.state.name = state.name;
+    this.state.visitHistory = [...this.state.visitHistory, ...state.visitHistory]
+      .sort((a, b) => a.startedAt - b.startedAt);
+    const rel = this.state.relationship;
+    rel.familiarity = Math.max(rel.familiarity, state.relationship.familiarity);
+    rel.trust = Math.max(rel.trust, state.relationship.trust);
+    rel.affection = Math.max(rel.affection, state.relationship.affection);
+    rel.understanding = Math.max(rel.understanding, state.relationship.understanding);
+    rel.knownFacts = [...new Set([...rel.knownFacts, ...state.relationship.knownFacts])];
+    rel.impressions = [...new Set([...rel.impressions, ...state.relationship.impressions])];
+  }
+
+  // === 忘れる ===
+
+  /**
+   * 発言 content を会話と知っている事実から消す（忘れてと頼まれたとき）
+   */
+  forgetMessage(content: string): void {
+    const mentions = (text: string) => mentionsStatement(text, content);
+    if (this.state.currentConversation) {
+      this.state.currentConversation.messages =
+        this.state.currentConversation.messages.filter(m => !mentions(m.content));
+    }
+    this.state.relationship.knownFacts = this.state.relationship.knownFacts.filter(fact => !mentions(fact));
+  }
+
   // === 永続化 ===
 
   toJSON(): object {
@@ -0,0 +1,200 @@
+/**
+ * VisitorSessions - 訪問者ごとのセッション
+ *
+ * 部屋には同時に何人も来られる。訪問者はIDで区別し、
+ * 一人ひとりが自分の Visitor（訪問記録）・RelationshipEvolution（関係の段階）・
+ * ConversationEngine（会話の流れ）を持つ。記憶のプロファイルは VisitorMemorySystem が同じIDで持つ。
+ *
+ * - somuniaが話しかけている相手は一人（focus）。発言した人に向き直る
+ * - 相手が帰ったら、残っている人のうち最後に話した人に向き直る
+ * - IDを名乗らない訪問者は DEFAULT_VISITOR_ID（従来の一人きりの訪問者）として扱う
+ *
+ * 既定の訪問者の状態はこれまでどおり visitor / conversationEngine / relationshipEvolution
+ * として保存し、それ以外の訪問者だけを toJSON() で保存する。
+ *
+ * 同じ人が別のIDで来ていたと分かったら merge() で一人にまとめる。
+ */
+
+import { Tick, ID } from '../types';
+import { Visitor } from './Visitor';
+import { RelationshipEvolution } from '../conversation/RelationshipEvolution';
+import { ConversationEngine } from '../conversation/ConversationEngine';
+
+// ============================================================
+// 型定義
+// ============================================================
+
+export const DEFAULT_VISITOR_ID: ID = 'visitor_default';
+
+/** 訪問者IDとして使える文字列か（英数字・_・- の32文字以内） */
+export function isValidVisitorId(visitorId: string): boolean {
+  return /^[\w-]{1,32}$/.test(visitorId);
+}
+
+/** 訪問者ごとに持つ状態 */
+export interface VisitorSessionState {
+  visitor: Visitor;
+  relationship: RelationshipEvolution;
+  conversation: ConversationEngine;
+}
+
+export interface VisitorSession extends VisitorSessionState {
+  visitorId: ID;
+  /** データベースに記録中の会話（conversations / messages テーブル） */
+  record: { id: string; messageCount: number } | null;
+  /** 最後に発言したティック（向き直る相手を選ぶのに使う） */
+  lastMessageTick: Tick;
+  /** 発言ごとに増える番号（返事を作っている間に次の発言が来たら、古い返事は捨てる） */
+  turn: number;
+}
+
+// ============================================================
+// VisitorSessionManager
+// ============================================================
+
+export class VisitorSessionManager {
+  private sessions = new Map<ID, VisitorSession>();
+  private focusId: ID = DEFAULT_VISITOR_ID;
+  private createState: (visitorId: ID) => VisitorSessionState;
+
+  /**
+   * @param createState 初めて来た訪問者の状態を作る
+   * @param defaultState 既定の訪問者の状態（省略時は createState で作る）
+   */
+  constructor(
+    createState: (visitorId: ID) => VisitorSessionState,
+    defaultState?: VisitorSessionState
+  ) {
+    this.createState = createState;
+    this.sessions.set(DEFAULT_VISITOR_ID, this.toSession(DEFAULT_VISITOR_ID, defaultState ?? createState(DEFAULT_VISITOR_ID)));
+  }
+
+  /** 訪問者のセッション（初めてのIDなら作る） */
+  get(visitorId: ID): VisitorSession {
+    let session = this.sessions.get(visitorId);
+    if (!session) {
+      session = this.toSession(visitorId, this.createState(visitorId));
+      this.sessions.set(visitorId, session);
+    }
+    return session;
+  }
+
+  has(visitorId: ID): boolean {
+    return this.sessions.has(visitorId);
+  }
+
+  getDefault(): VisitorSession {
+    return this.sessions.get(DEFAULT_VISITOR_ID)!;
+  }
+
+  /** 知っている訪問者すべて（部屋にいない人も含む） */
+  getAll(): VisitorSession[] {
+    return Array.from(this.sessions.values());
+  }
+
+  /** 部屋にいる訪問者（最後に話した順） */
+  getPresent(): VisitorSession[] {
+    return this.getAll()
+      .filter(session => session.visitor.isPresent())
+      .sort((a, b) => b.lastMessageTick - a.lastMessageTick);
+  }
+
+  isAnyonePresent(): boolean {
+    return this.getAll().some(session => session.visitor.isPresent());
+  }
+
+  /** 二人以上が部屋にいるか */
+  isGroup(): boolean {
+    return this.getPresent().length >= 2;
+  }
+
+  // ============================================================
+  // 話しかけている相手
+  // ============================================================
+
+  getFocus(): VisitorSession {
+    return this.get(this.focusId);
+  }
+
+  setFocus(visitorId: ID): VisitorSession {
+    this.focusId = visitorId;
+    return this.get(visitorId);
+  }
+
+  /** 発言を受けたことを記録する */
+  touch(visitorId: ID, tick: Tick): void {
+    this.get(visitorId).lastMessageTick = tick;
+  }
+
+  /**
+   * 相手が帰ったあとに向き直る相手（部屋に誰もいなければnull）
+   */
+  nextFocus(excludeId: ID): VisitorSession | null {
+    return this.getPresent().find(session => session.visitorId !== excludeId) ?? null;
+  }
+
+  // ============================================================
+  // 統合
+  // ============================================================
+
+  /**
+   * fromId の訪問者を intoId の訪問者にまとめる（同じ人だったと分かったとき）
+   * 部屋にいる訪問者はまとめられない。既定の訪問者はまとめたあと初めて来た状態に戻す
+   */
+  merge(fromId: ID, intoId: ID): void {
+    if (fromId === intoId) throw new Error('同じ訪問者はまとめられません');
+    const from = this.sessions.get(fromId);
+    if (!from) throw new Error(`訪問者 ${fromId} はいません`);
+    if (from.visitor.isPresent()) throw new Error(`${fromId} は部屋にいるのでまとめられません`);
+    const into = this.get(intoId);
+
+    into.visitor.absorb(from.visitor);
+    into.relationship.absorb(from.relationship);
+    into.lastMessageTick = Math.max(into.lastMessageTick, from.lastMessageTick);
+
+    if (fromId === DEFAULT_VISITOR_ID) {
+      // 既定の訪問者のオブジェクトは別に保存されているので、作り直さずに中身を戻す
+      const fresh = this.createState(DEFAULT_VISITOR_ID);
+      from.visitor.fromJSON(fresh.visitor.toJSON());
+      from.relationship.fromJSON(fresh.relationship.toJSON());
+      from.conversation.fromJSON(fresh.conversation.toJSON());
+      from.record = null;
+      from.lastMessageTick = 0;
+    } else {
+      this.sessions.delete(fromId);
+    }
+    if (this.focusId === fromId) this.focusId = intoId;
+  }
+
+  // ============================================================
+  // 永続化（既定の訪問者は別に保存するので含めない）
+  // ============================================================
+
+  toJSON(): any {
+    const visitors: Record<ID, any> = {};
+    for (const [visitorId, session] of this.sessions) {
+      if (visitorId === DEFAULT_VISITOR_ID) continue;
+      visitors[visitorId] = {
+        visitor: session.visitor.toJSON(),
+        relationship: session.relationship.toJSON(),
+        conversation: session.conversation.toJSON(),
+      };
+    }
+    return { visitors };
+  }
+
+  fromJSON(data: any): void {
+    if (!data?.visitors) return;
+    for (const [visitorId, saved] of Object.entries<any>(data.visitors)) {
+      if (visitorId === DEFAULT_VISITOR_ID) continue;
+      const session = this.get(visitorId);
+      if (saved.visitor) session.visitor.fromJSON(saved.visitor);
+      if (saved.relationship) session.relationship.fromJSON(saved.relationship);
+      if (saved.conversation) session.conversation.fromJSON(saved.conversation);
+    }
+  }
+
+  private toSession(visitorId: ID, state: VisitorSessionState): VisitorSession {
+    return { visitorId, ...state, record: null, lastMessageTick: 0, turn: 0 };
+  }
+}
@@ -18,6 +18,7 @@ import {
 } from '../types';
 
 import { PixelWorld, ViewState, PixelCell } from './PixelWorld';
+import { SeededRandom } from '../core/SeededRandom';
 
 // ============================================================
 // 型定義
@@ -629,7 +630,10 @@ export class Perception {
   private recentPercepts: Percept[] = [];
   private maxRecentPercepts = 50;
   
-  constructor(config: Partial<PerceptionConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<PerceptionConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     
     this.attentionState = {
@@ -677,7 +681,7 @@ export class Perception {
     percepts.push(this.perceiveTime(time));
     
     // 内的感覚
-    if (Math.random() < this.config.thoughtWanderingRate) {
+    if (this.rng.next() < this.config.thoughtWanderingRate) {
       const internalPercept = this.perceiveInternal(currentEmotions);
       if (internalPercept) {
         percepts.push(internalPercept);
@@ -774,11 +778,11 @@ export class Perception {
     }
     
     // 説明を選択（詩的か普通か）
-    const isPoetic = Math.random() < 0.3;
+    const isPoetic = this.rng.next() < 0.3;
     const descriptions = isPoetic
       ? objPerception?.poeticDescriptions || objPerception?.descriptions || [obj.name]
       : objPerception?.descriptions || [obj.name];
-    const description = descriptions[Math.floor(Math.random() * descriptions.length)];
+    const description = descriptions[Math.floor(this.rng.next() * descriptions.length)];
     
     return {
       id: `percept_${obj.id}_${Date.now()}`,
@@ -973,7 +977,7 @@ export class Perception {
     };
     
     const descriptions = timeDescriptions[time.timeOfDay];
-    const description = descriptions[Math.floor(Math.random() * descriptions.length)];
+    const description = descriptions[Math.floor(this.rng.next() * descriptions.length)];
     
     return {
       id: `percept_time_${Date.now()}`,
@@ -1024,7 +1028,7 @@ export class Perception {
       source: 'self',
       salience: maxValue * 0.5,
       emotionalValence: maxValue > 0.5 ? 0.2 : 0,
-      description: descriptions[Math.floor(Math.random() * descriptions.length)],
+      description: descriptions[Math.floor(this.rng.next() * descriptions.length)],
       timestamp: Date.now(),
     };
   }
@@ -1054,7 +1058,7 @@ export class Perception {
     );
     
     // 思考の漂い
-    if (Math.random() < this.config.thoughtWanderingRate) {
+    if (this.rng.next() < this.config.thoughtWanderingRate) {
       const thought = this.generateWanderingThought(percepts);
       if (thought) {
         this.attentionState.wanderingThoughts.push(thought);
@@ -1076,13 +1080,13 @@ export class Perception {
     
     // 知覚に関連した思考
     if (percepts.length > 0) {
-      const randomPercept = percepts[Math.floor(Math.random() * percepts.length)];
+      const randomPercept = percepts[Math.floor(this.rng.next() * percepts.length)];
       if (randomPercept.type === 'visual' && typeof randomPercept.source !== 'string') {
-        return `${randomPercept.source.name}を見ていたら、${thoughts[Math.floor(Math.random() * thoughts.length)]}`;
+        return `${randomPercept.source.name}を見ていたら、${thoughts[Math.floor(this.rng.next() * thoughts.length)]}`;
       }
     }
     
-    return thoughts[Math.floor(Math.random() * thoughts.length)];
+    return thoughts[Math.floor(this.rng.next() * thoughts.length)];
   }
   
   /**
@@ -1308,8 +1312,8 @@ export class Perception {
     };
   }
   
-  static fromJSON(data: any): Perception {
-    const perception = new Perception(data.config);
+  static fromJSON(data: any, rng: SeededRandom): Perception {
+    const perception = new Perception(data.config, rng);
     perception.currentPercepts = new Map(data.currentPercepts);
     perception.attentionState = data.attentionState;
     perception.perceptionEvents = data.perceptionEvents;
@@ -17,6 +17,8 @@ import {
   InteractionType,
   EmotionType,
 } from '../types';
+import { SeededRandom } from '../core/SeededRandom';
+import { Calendar } from '../core/Calendar';
 
 // ============================================================
 // 型定義
@@ -649,7 +651,10 @@ export class PixelWorld {
   private currentWeather: Weather = 'clear';
   private lampIsOn: boolean = false;
   
-  constructor(config: Partial<PixelWorldConfig> = {}) {
+  private rng: SeededRandom;
+
+  constructor(config: Partial<PixelWorldConfig> = {}, rng: SeededRandom) {
+    this.rng = rng;
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.grid = this.createEmptyGrid();
     this.initializeRoom();
@@ -887,8 +892,12 @@ export class PixelWorld {
       }
     }
     
-    // 窓からの光
-    const windowLight = timeLighting.windowLight * weatherEffect.lightModifier;
+    // 窓からの光（暦があれば、日の出前・日の入り後は外が暗い）
+    const calendar = this.currentTime.calendar;
+    const outsideLight = calendar && !Calendar.isDaylight(calendar, this.currentTime.simulatedHour)
+      ? Math.min(timeLighting.windowLight, TIME_LIGHTING.night.windowLight)
+      : timeLighting.windowLight;
+    const windowLight = outsideLight * weatherEffect.lightModifier;
     this.applyWindowLight(windowLight);
     
     // ランプの光
@@ -1154,7 +1163,7 @@ export class PixelWorld {
     result.memoryContent = `写真を見た。${s.photoSubject || '初めてのステージ'}の記憶が浮かんだ。`;
     
     // ランダムで新しい発見
-    if (Math.random() < 0.1) {
+    if (this.rng.next() < 0.1) {
       result.discoveredDetail = '写真の裏に、小さな字で日付が書いてあった。';
     }
     
@@ -1225,7 +1234,7 @@ export class PixelWorld {
     }
     
     // 花が咲く条件
-    if (!s.hasFlower && s.growth > 0.8 && s.health > 0.7 && Math.random() < 0.05) {
+    if (!s.hasFlower && s.growth > 0.8 && s.health > 0.7 && this.rng.next() < 0.05) {
       s.hasFlower = true;
       result.description += '…あれ？小さなつぼみが出来ている！';
       result.discoveredDetail = '植物に小さなつぼみが見える。もうすぐ花が咲くかもしれない。';
@@ -1286,7 +1295,7 @@ export class PixelWorld {
     ];
     
     // 名前をつけるイベント
-    if (!s.hasName && s.timesHeld >= 15 && Math.random() < 0.1) {
+    if (!s.hasName && s.timesHeld >= 15 && this.rng.next() < 0.1) {
       result.discoveredDetail = 'ふと、この子に名前をつけたくなった。';
       result.triggersMemory = true;
       result.memoryContent = 'うさぎのぬいぐるみに名前をつけたいと思った。';
@@ -1339,7 +1348,7 @@ export class PixelWorld {
     ];
     
     // 自己内省トリガー
-    if (obj.state?.triggersReflection && Math.random() < 0.3) {
+    if (obj.state?.triggersReflection && this.rng.next() < 0.3) {
       result.discoveredDetail = '鏡の中の自分と目が合った。何か…問いかけられている気がする。';
       result.triggersMemory = true;
       result.memoryContent = '鏡の中の自分と向き合った。「わたしは…何者なんだろう」';
@@ -1380,7 +1389,7 @@ export class PixelWorld {
       { emotion: 'contentment', delta: 0.02 },
     ];
     
-    if (Math.random() < 0.15) {
+    if (this.rng.next() < 0.15) {
       result.discoveredDetail = 'ポスターの隅に、小さな文字でサインが書かれていた。';
       result.triggersMemory = true;
       result.memoryContent = 'ポスターのサインに気づいた。いつかこんなふうに誰かに届く歌を…。';
@@ -1497,8 +1506,8 @@ export class PixelWorld {
       { genre: '図鑑', titles: ['星座図鑑', '植物図鑑', '鉱物の世界'], emotion: 'curiosity' as const },
     ];
     
-    const category = bookCategories[Math.floor(Math.random() * bookCategories.length)];
-    const title = category.titles[Math.floor(Math.random() * category.titles.length)];
+    const category = bookCategories[Math.floor(this.rng.next() * bookCategories.length)];
+    const title = category.titles[Math.floor(this.rng.next() * category.titles.length)];
     
     result.description = `本棚から『${title}』を手に取った。${bookCount}冊の本がここにある。`;
     result.sensoryDetails = [
@@ -1728,7 +1737,7 @@ export class PixelWorld {
     }
     
     const timeViews = views[timeOfDay];
-    return timeViews[Math.floor(Math.random() * timeViews.length)];
+    return timeViews[Math.floor(this.rng.next() * timeViews.length)];
   }
   
   // ============================================================
@@ -1770,7 +1779,7 @@ export class PixelWorld {
           // 健康状態
           if (s.waterLevel < 0.1) {
             s.health = Math.max(0, (s.health || 1) - 0.001);
-            if (s.health < 0.3 && Math.random() < 0.01) {
+            if (s.health < 0.3 && this.rng.next() < 0.01) {
               changes.push({
                 objectId: obj.id,
                 objectName: obj.name,
@@ -1821,7 +1830,7 @@ export class PixelWorld {
         
         case 'curtain': {
           // 風による揺れ
-          if (s.isOpen && (this.currentWeather === 'storm' || Math.random() < 0.01)) {
+          if (s.isOpen && (this.currentWeather === 'storm' || this.rng.next() < 0.01)) {
             s.sway = Math.min(1.0, (s.sway || 0) + 0.1);
           } else {
             s.sway = Math.max(0, (s.sway || 0) - 0.05);
@@ -1988,7 +1997,7 @@ export class PixelWorld {
   }
   
   private generateId(): string {
-    return `obj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `obj_${Date.now()}_${this.rng.next().toString(36).substr(2, 9)}`;
   }
   
   // ============================================================
@@ -2026,8 +2035,8 @@ export class PixelWorld {
     };
   }
   
-  static fromJSON(data: any): PixelWorld {
-    const world = new PixelWorld(data.config);
+  static fromJSON(data: any, rng: SeededRandom): PixelWorld {
+    const world = new PixelWorld(data.config, rng);
     world.grid = data.grid;
     world.objects = new Map(data.objects);
     world.somuniaPosition = data.somuniaPosition;